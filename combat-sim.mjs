@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Project Ashen - Headless Combat Simulator
+ *
+ * Runs scripted fights (no browser) and prints time-to-kill, damage taken
+ * and posture-break frequency per weapon/enemy matchup as JSON.
+ *
+ * Usage:
+ *   node combat-sim.mjs [options]
+ *
+ * Options:
+ *   --weapons iron_sword,steel_sword   Weapon ids, or "all" (default: iron_sword)
+ *   --enemies HOLLOW_SOLDIER,...       ENEMY_TYPES / WORLD_BOSSES keys, "enemies",
+ *                                      "bosses" or "all" (default: enemies)
+ *   --policy "dodge on tell, light attack x3"
+ *                                      Policy spec or preset name; repeatable
+ *                                      (default: dodge_light3)
+ *   --runs 5                           Seeded runs per matchup
+ *   --seed 1                           Seed of the first run
+ *   --max-time 180                     Sim seconds before a run times out
+ *   --level 10                         Player level (parry unlocks at 8)
+ *   --out report.json                  Write to a file instead of stdout
+ *   --verbose                          Keep the game's console logging
+ *
+ * Presets: dodge_light3, block_heavy, parry_light2, trade_light3
+ */
+
+import { writeFileSync } from 'fs';
+import { CombatSimulator, PLAYER_POLICIES, DEFAULT_MAX_TIME, DEFAULT_LEVEL } from './src/sim/CombatSimulator.js';
+import { ENEMY_TYPES } from './src/entities/Enemy.js';
+import { WORLD_BOSSES } from './src/data/BossData.js';
+import { WEAPONS } from './src/data/WeaponData.js';
+
+function parseArgs(argv) {
+  const args = { policies: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`[CombatSim] Missing value for ${arg}`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--weapons': args.weapons = value(); break;
+      case '--enemies': args.enemies = value(); break;
+      case '--policy': args.policies.push(value()); break;
+      case '--runs': args.runs = parseInt(value(), 10); break;
+      case '--seed': args.seed = parseInt(value(), 10); break;
+      case '--max-time': args.maxTime = parseFloat(value()); break;
+      case '--level': args.level = parseInt(value(), 10); break;
+      case '--out': args.out = value(); break;
+      case '--verbose': args.verbose = true; break;
+      default: throw new Error(`[CombatSim] Unknown option: ${arg}`);
+    }
+  }
+  return args;
+}
+
+function resolveList(value, fallback, groups) {
+  const list = (value || fallback).split(',').map(s => s.trim()).filter(Boolean);
+  return list.flatMap(item => groups[item] || [item]);
+}
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+
+  const weapons = resolveList(args.weapons, 'iron_sword', { all: Object.keys(WEAPONS) });
+  const enemies = resolveList(args.enemies, 'enemies', {
+    enemies: Object.keys(ENEMY_TYPES),
+    bosses: Object.keys(WORLD_BOSSES),
+    all: [...Object.keys(ENEMY_TYPES), ...Object.keys(WORLD_BOSSES)],
+  });
+  const policies = args.policies.length > 0 ? args.policies : [PLAYER_POLICIES.dodge_light3];
+
+  const sim = new CombatSimulator({
+    runs: args.runs || 5,
+    seed: Number.isFinite(args.seed) ? args.seed : 1,
+    maxTime: args.maxTime || DEFAULT_MAX_TIME,
+    level: args.level || DEFAULT_LEVEL,
+    quiet: !args.verbose,
+  });
+
+  const report = sim.run({ weapons, targets: enemies, policies });
+  const json = JSON.stringify(report, null, 2);
+
+  if (args.out) {
+    writeFileSync(args.out, json + '\n');
+    console.error(`[CombatSim] ${report.matchups.length} matchups -> ${args.out}`);
+  } else {
+    process.stdout.write(json + '\n');
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
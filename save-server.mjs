@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Project Ashen - Local Save Server
+ *
+ * Minimal REST endpoint for the Cloud Sync panel (RestStorageBackend in
+ * src/systems/SaveStorage.js). Keeps saves in memory, or in a JSON file
+ * with --file, so two browsers/machines can push and pull the same slots.
+ *
+ * Usage:
+ *   node save-server.mjs [options]
+ *
+ * Options:
+ *   --port 8787            Port to listen on
+ *   --file saves.json      Persist saves to this file (default: memory only)
+ *
+ * Endpoints:
+ *   GET    /saves?prefix=ashen_   -> { "keys": [...] }
+ *   GET    /saves/:key            -> stored value (404 if missing)
+ *   PUT    /saves/:key            -> store request body
+ *   DELETE /saves/:key
+ */
+
+import { createServer } from 'http';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`[SaveServer] Missing value for ${arg}`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--port': args.port = parseInt(value(), 10); break;
+      case '--file': args.file = value(); break;
+      default: throw new Error(`[SaveServer] Unknown option: ${arg}`);
+    }
+  }
+  return args;
+}
+
+function loadStore(file) {
+  if (!file || !existsSync(file)) return new Map();
+  return new Map(Object.entries(JSON.parse(readFileSync(file, 'utf8'))));
+}
+
+function persistStore(store, file) {
+  if (file) writeFileSync(file, JSON.stringify(Object.fromEntries(store)));
+}
+
+function send(res, status, body = '', type = 'text/plain;charset=UTF-8') {
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  });
+  res.end(body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the save server (not yet listening)
+ * @param {Object} options - { file } to persist to disk
+ */
+export function createSaveServer(options = {}) {
+  const store = loadStore(options.file);
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    if (url.pathname === '/saves' && req.method === 'GET') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const keys = [...store.keys()].filter(key => key.startsWith(prefix));
+      return send(res, 200, JSON.stringify({ keys }), 'application/json');
+    }
+
+    const match = url.pathname.match(/^\/saves\/(.+)$/);
+    if (!match) return send(res, 404, 'Not found');
+    const key = decodeURIComponent(match[1]);
+
+    switch (req.method) {
+      case 'GET':
+        return store.has(key) ? send(res, 200, store.get(key)) : send(res, 404, 'Not found');
+      case 'PUT':
+        try {
+          store.set(key, await readBody(req));
+        } catch (e) {
+          return send(res, 413, e.message);
+        }
+        persistStore(store, options.file);
+        console.log(`[SaveServer] Stored ${key}`);
+        return send(res, 204);
+      case 'DELETE':
+        store.delete(key);
+        persistStore(store, options.file);
+        console.log(`[SaveServer] Deleted ${key}`);
+        return send(res, 204);
+      default:
+        return send(res, 405, 'Method not allowed');
+    }
+  });
+}
+
+// Run directly: node save-server.mjs (importing only exposes createSaveServer)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const port = args.port || DEFAULT_PORT;
+    createSaveServer({ file: args.file }).listen(port, () => {
+      console.log(`[SaveServer] Listening on http://localhost:${port}${args.file ? ` (file: ${args.file})` : ''}`);
+    });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * BountyData.js - Radiant Bounty Board Templates
+ *
+ * Text pools, reward curves and level bands the BountyBoard fills in from
+ * live world data (enemy zones, gatherable materials, known villages).
+ * Generated quests use the normal QuestData shape and turn in at the board.
+ *
+ * Placeholders: {enemy} {count} {material} {direction} {mark} {parcel}
+ */
+
+// ========== BOUNTY KINDS ==========
+export const BOUNTY_KIND = {
+  KILL: 'kill',         // Thin out an enemy type from the player's zone
+  GATHER: 'gather',     // Bring in materials gatherable nearby
+  DELIVER: 'deliver',   // Carry a parcel to a known village
+  BOUNTY: 'bounty',     // Hunt one named elite at its last-seen spot
+};
+
+// ========== BOARD SETTINGS ==========
+export const BOUNTY_BOARD_ID = 'notice_board';  // QUEST_GIVERS id bounties turn in at
+export const BOUNTY_BOARD_SIZE = 4;              // Postings per day
+export const BOUNTY_LEVEL_SCALING = 0.15;        // +15% rewards per player level above 1
+export const BOUNTY_MIN_DELIVERY_DISTANCE = 60;  // Villages closer than this aren't worth a run
+
+/**
+ * Player level -> DIFFICULTY_ZONES key (EnemyManager) bounties are drawn from.
+ * distance is how far from the castle named marks are sighted.
+ */
+export const BOUNTY_LEVEL_BANDS = [
+  { maxLevel: 3, zone: 'SAFE', difficulty: 'easy', distance: { min: 30, max: 50 } },
+  { maxLevel: 7, zone: 'MEDIUM', difficulty: 'normal', distance: { min: 60, max: 140 } },
+  { maxLevel: 12, zone: 'HARD', difficulty: 'hard', distance: { min: 160, max: 280 } },
+  { maxLevel: Infinity, zone: 'FRONTIER', difficulty: 'elite', distance: { min: 320, max: 420 } },
+];
+
+// ========== REWARDS ==========
+// Level 1 rewards per kind, before level and difficulty scaling
+export const BOUNTY_BASE_REWARDS = {
+  [BOUNTY_KIND.KILL]: { xp: 70, gold: 50 },
+  [BOUNTY_KIND.GATHER]: { xp: 50, gold: 40 },
+  [BOUNTY_KIND.DELIVER]: { xp: 60, gold: 70 },
+  [BOUNTY_KIND.BOUNTY]: { xp: 140, gold: 120 },
+};
+
+// ========== TEMPLATES ==========
+export const BOUNTY_TEMPLATES = {
+  [BOUNTY_KIND.KILL]: {
+    count: { min: 4, max: 8 },
+    titles: ['Cull the {enemy}s', 'Thin the Ranks', 'Clear the Roads'],
+    descriptions: [
+      '{enemy}s have been harrying travellers. Put down {count} of them.',
+      'The watch is stretched thin. Anyone who brings down {count} {enemy}s gets paid.',
+    ],
+  },
+  [BOUNTY_KIND.GATHER]: {
+    count: { min: 4, max: 10 },
+    titles: ['Supplies Wanted: {material}', 'Stocking Up', 'Short on {material}'],
+    descriptions: [
+      'The village stores are running low. Gather {count} {material}.',
+      'A crafter is paying for {count} {material}, no questions asked.',
+    ],
+  },
+  [BOUNTY_KIND.DELIVER]: {
+    titles: ['Parcel for the {direction} Village', 'Courier Needed', 'Urgent Delivery'],
+    descriptions: [
+      'A {parcel} needs to reach the village to the {direction}. Pay on proof of delivery.',
+      'Nobody else will take the {direction} road. Carry this {parcel} there.',
+    ],
+  },
+  [BOUNTY_KIND.BOUNTY]: {
+    titles: ['WANTED: {mark}', 'Bounty: {mark}', 'Price on the Head of {mark}'],
+    descriptions: [
+      '{mark}, a {enemy} of unusual strength, was last seen {direction} of the castle.',
+      'Travellers keep vanishing where {mark} roams, {direction} of the castle. End it.',
+    ],
+  },
+};
+
+// Named marks: first name + epithet
+export const BOUNTY_MARK_NAMES = ['Varek', 'Old Sable', 'Grimsby', 'Ashmaw', 'Hollis', 'Mother Rue', 'Coldhand', 'Tarn'];
+export const BOUNTY_MARK_EPITHETS = ['the Unburied', 'the Cruel', 'Ironjaw', 'the Hungry', 'Twice-Slain', 'the Red'];
+
+// Delivery parcels (flavor only - progress is arriving at the village)
+export const BOUNTY_PARCELS = ['sealed letter', 'crate of medicine', 'bundle of arrows', 'locked strongbox', 'sack of grain'];
+
+// Compass points, clockwise from +X (east)
+export const BOUNTY_DIRECTIONS = ['east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'north', 'northeast'];
+
+// ========== HELPERS ==========
+
+/**
+ * Replace {placeholders} in a template string
+ */
+export function fillBountyTemplate(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+/**
+ * Level band for a player level
+ */
+export function getBountyLevelBand(level) {
+  return BOUNTY_LEVEL_BANDS.find(band => level <= band.maxLevel);
+}
+
+/**
+ * Compass direction of (dx, dz) on the XZ plane
+ */
+export function getBountyDirection(dx, dz) {
+  const angle = Math.atan2(dz, dx);
+  const index = Math.round(angle / (Math.PI / 4));
+  return BOUNTY_DIRECTIONS[(index + 8) % 8];
+}
+
+export default {
+  BOUNTY_KIND,
+  BOUNTY_BOARD_ID,
+  BOUNTY_BOARD_SIZE,
+  BOUNTY_LEVEL_SCALING,
+  BOUNTY_MIN_DELIVERY_DISTANCE,
+  BOUNTY_LEVEL_BANDS,
+  BOUNTY_BASE_REWARDS,
+  BOUNTY_TEMPLATES,
+  BOUNTY_MARK_NAMES,
+  BOUNTY_MARK_EPITHETS,
+  BOUNTY_PARCELS,
+  BOUNTY_DIRECTIONS,
+  fillBountyTemplate,
+  getBountyLevelBand,
+  getBountyDirection,
+};
@@ -0,0 +1,80 @@
+/**
+ * CompanionData.js - Hireable Companions
+ *
+ * Village NPCs who will follow the player and fight at their side for a fee
+ * (CompanionManager). Each is offered in conversation by the village NPC type
+ * in hiredFrom (DialogueData). Stats grow with the player's level, since a
+ * companion levels alongside the player (getCompanionStats).
+ */
+
+// ========== COMPANIONS ==========
+export const COMPANIONS = {
+  sellsword: {
+    id: 'sellsword',
+    name: 'Bram',
+    title: 'Sellsword',
+    hiredFrom: 'guard',
+    cost: 150,
+    health: 120,
+    healthPerLevel: 15,
+    damage: 12,
+    damagePerLevel: 2,
+    postureDamage: 15,
+    attackRange: 2.2,
+    attackCooldown: 1.4,
+    moveSpeed: 5.5,
+    retreatAt: 0.3,            // Health fraction that sends them back to the player
+    bodyColor: 0x5d6470,
+    headColor: 0xd8a47f,
+  },
+  woodcutter: {
+    id: 'woodcutter',
+    name: 'Wren',
+    title: 'Woodcutter',
+    hiredFrom: 'villager',
+    cost: 60,
+    health: 80,
+    healthPerLevel: 10,
+    damage: 8,
+    damagePerLevel: 1.5,
+    postureDamage: 8,
+    attackRange: 2.0,
+    attackCooldown: 1.0,
+    moveSpeed: 6,
+    retreatAt: 0.4,
+    bodyColor: 0x7a5a34,
+    headColor: 0xe0b48a,
+  },
+};
+
+// ========== REVIVAL ==========
+export const COMPANION_REVIVE_HEALTH = 0.5;   // Health fraction a revived companion gets back
+export const COMPANION_REVIVE_RANGE = 2.5;    // How close the player must stand to revive
+
+// ========== HELPERS ==========
+
+export function getCompanion(companionId) {
+  return COMPANIONS[companionId] || null;
+}
+
+/**
+ * Combat stats of a companion at the player's level
+ * @returns {{ maxHealth, damage, postureDamage }}
+ */
+export function getCompanionStats(companionId, level = 1) {
+  const companion = COMPANIONS[companionId];
+  const levelsGained = Math.max(0, level - 1);
+  return {
+    maxHealth: Math.round(companion.health + companion.healthPerLevel * levelsGained),
+    damage: Math.round(companion.damage + companion.damagePerLevel * levelsGained),
+    postureDamage: companion.postureDamage,
+  };
+}
+
+export default {
+  COMPANIONS,
+  COMPANION_REVIVE_HEALTH,
+  COMPANION_REVIVE_RANGE,
+  getCompanion,
+  getCompanionStats,
+};
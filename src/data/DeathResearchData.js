@@ -0,0 +1,137 @@
+/**
+ * DeathResearchData.js - Death Research counters
+ *
+ * Every death is logged in the Death Research ledger by the killer's enemy
+ * type (ENEMY_TYPES key) and damage type. Remnant then buys tiered counters
+ * against enemies that have killed you - you can only research what you've died to.
+ *
+ * Enemy counters apply in Enemy.takeDamage (damage/posture dealt) and
+ * GameManager.takeDamage (damage taken). Damage-type wards stack on top of
+ * the passive deathLessons resistance.
+ */
+
+/**
+ * Counter definitions
+ * deathsRequired[i] / costs[i] gate tier i+1. perTier values stack per tier.
+ */
+export const RESEARCH_COUNTERS = {
+  riposte: {
+    id: 'riposte',
+    name: 'Riposte Study',
+    icon: '🛡️',
+    desc: 'Longer parry window against this foe',
+    maxTier: 3,
+    deathsRequired: [1, 3, 6],
+    costs: [150, 400, 900],
+    perTier: { parryWindowBonus: 0.04 },
+    format: (tier) => `+${Math.round(tier * 40)}ms parry`,
+  },
+  sundering: {
+    id: 'sundering',
+    name: 'Fault Lines',
+    icon: '🔨',
+    desc: 'Deal more posture damage to this foe',
+    maxTier: 3,
+    deathsRequired: [1, 3, 6],
+    costs: [150, 400, 900],
+    perTier: { postureDamageMult: 0.15 },
+    format: (tier) => `+${tier * 15}% posture dmg`,
+  },
+  exploit: {
+    id: 'exploit',
+    name: 'Anatomy',
+    icon: '🗡️',
+    desc: 'Deal more damage to this foe',
+    maxTier: 3,
+    deathsRequired: [1, 3, 6],
+    costs: [200, 500, 1100],
+    perTier: { damageMult: 0.1 },
+    format: (tier) => `+${tier * 10}% damage`,
+  },
+  warding: {
+    id: 'warding',
+    name: 'Scar Tissue',
+    icon: '🩹',
+    desc: 'Take less damage from this foe',
+    maxTier: 3,
+    deathsRequired: [1, 3, 6],
+    costs: [200, 500, 1100],
+    perTier: { damageReduction: 0.05 },
+    format: (tier) => `-${tier * 5}% damage taken`,
+  },
+  foresight: {
+    id: 'foresight',
+    name: 'Foresight',
+    icon: '👁️',
+    desc: 'Preview the attack this foe is winding up',
+    maxTier: 1,
+    deathsRequired: [2],
+    costs: [300],
+    perTier: { tellPreview: true },
+    format: () => 'Attack previews',
+  },
+};
+
+/**
+ * Which counters can be researched against each enemy type (ENEMY_TYPES keys,
+ * plus the Failed Experiment boss, where only incoming-damage wards apply)
+ */
+export const ENEMY_RESEARCH = {
+  HOLLOW_SOLDIER: { family: 'Hollow', counters: ['riposte', 'exploit', 'foresight'] },
+  BERSERKER: { family: 'Hollow', counters: ['riposte', 'warding', 'foresight'] },
+  SENTINEL: { family: 'Golem', counters: ['sundering', 'exploit', 'foresight'] },
+  CRYPT_GUARDIAN: { family: 'Golem', counters: ['sundering', 'warding', 'foresight'] },
+  BONE_REVENANT: { family: 'Skeleton', counters: ['riposte', 'exploit', 'foresight'] },
+  CORRUPTED_ARCHER: { family: 'Corrupted', counters: ['warding', 'exploit', 'foresight'] },
+  CRYPT_LORD: { family: 'Skeleton', counters: ['riposte', 'sundering', 'warding', 'foresight'] },
+  FAILED_EXPERIMENT: { family: 'Boss', name: 'The Failed Experiment', counters: ['warding'] },
+};
+
+/**
+ * Counters researchable against a damage type (applies to every source)
+ */
+export const DAMAGE_TYPE_COUNTERS = ['warding'];
+
+/**
+ * Tell preview labels, keyed by Enemy ATTACK_CONFIGS tell
+ */
+export const TELL_PREVIEW_LABELS = {
+  normal: { text: 'STRIKE', color: 0xdddddd },
+  jab: { text: 'JAB', color: 0x88ccff },
+  heavy: { text: 'HEAVY!', color: 0xff4444 },
+  combo: { text: 'COMBO', color: 0xffaa00 },
+};
+
+/**
+ * Ledger key for a damage type entry (kept separate from enemy type keys)
+ */
+export function getDamageTypeKey(damageType) {
+  return `damage:${damageType}`;
+}
+
+/**
+ * Sum a counter's perTier values up to a tier
+ */
+export function getCounterEffects(counterId, tier) {
+  const counter = RESEARCH_COUNTERS[counterId];
+  const effects = {};
+  if (!counter || tier <= 0) return effects;
+  for (const [key, value] of Object.entries(counter.perTier)) {
+    effects[key] = typeof value === 'boolean' ? value : value * tier;
+  }
+  return effects;
+}
+
+/**
+ * Empty ledger (saved with the player)
+ */
+export function getDefaultDeathResearch() {
+  return {
+    // enemyType -> { deaths, damageTypes: { [damageType]: count } }
+    enemies: {},
+    // damageType -> deaths
+    damageTypes: {},
+    // ledgerKey -> { [counterId]: tier }  (ledgerKey = enemy type or damage:<type>)
+    counters: {},
+  };
+}
@@ -0,0 +1,512 @@
+/**
+ * DialogueData.js - NPC Dialogue Graphs
+ *
+ * Every conversation is a tree of nodes walked by DialogueRuntime.js. Village
+ * NPCs (DialogueManager) use the tree for their type, quest givers
+ * (NPCQuestGivers) the tree for their id.
+ *
+ * Tree: { start, nodes: { nodeId: node } }
+ * Node:
+ *   text      - line, or array of variants (one picked at random)
+ *   choices   - [{ text, next, end, condition, effects }] (hidden unless condition passes)
+ *   next      - node shown on continue when there are no choices (missing = end)
+ *   end       - true ends the conversation; a string also asks the host to act ('shop')
+ *   branch    - [{ condition, next }] jump to the first match before showing anything
+ *   effects   - run when the node is shown
+ *   questHub  - turn in / offer / report on this NPC's quests before showing the node
+ *
+ * Conditions:
+ *   { flag, equals }              - world flag is set (or equals a value)
+ *   { quest, status }             - QUEST_STATUS value, or 'none' if never offered
+ *   { reputation, min, max }      - faction reputation range
+ *   { standing: [...] }           - REP_TIERS keys; the speaking NPC's faction is at one
+ *   { timeOfDay: [...] }          - DAY_PHASES values
+ *   { gold }                      - player carries at least this much gold
+ *   { companion }                 - hired companion id (or list), 'none' if alone
+ *   { all: [...] } / { any: [...] } / { not: condition }
+ *
+ * Effects:
+ *   { setFlag, value }            - value defaults to true, null clears
+ *   { giveItem, quantity }
+ *   { acceptQuest } / { turnInQuest }
+ *   { addReputation, amount }
+ *   { hireCompanion } / { dismissCompanion: true }
+ */
+
+import { STANDING } from './ReputationData.js';
+import { COMPANIONS } from './CompanionData.js';
+
+// ========== END ACTIONS ==========
+export const DIALOGUE_END_ACTION = {
+  SHOP: 'shop', // Open the NPC's shop once the conversation closes
+};
+
+// ========== VILLAGE NPCS (by type) ==========
+const VILLAGE_DIALOGUES = {
+  merchant: {
+    start: 'greeting',
+    nodes: {
+      greeting: {
+        text: [
+          "Welcome, traveler! Looking to lighten your coin purse?",
+          "Ah, a customer! I have just the wares you need.",
+          "Step right up! Best goods this side of the mountains.",
+        ],
+        next: 'prompt',
+      },
+      prompt: {
+        text: "So, what'll it be? Care to browse my wares?",
+        choices: [
+          { text: "Let me see what you have.", next: 'shop' },
+          { text: "What news do you have?", next: 'lore' },
+          {
+            text: "Any deals for a friend of the Union?",
+            next: 'union_deal',
+            condition: { reputation: 'merchants_union', min: 500 },
+          },
+          { text: "Maybe later.", end: true },
+        ],
+      },
+      shop: { text: "Let me show you what I have...", end: DIALOGUE_END_ACTION.SHOP },
+      union_deal: {
+        text: "For you? The Union price, of course. Don't tell the others.",
+        next: 'shop',
+      },
+      lore: {
+        text: [
+          "They say the corruption started in the old ruins to the east. Strange lights at night...",
+          "A merchant friend of mine went north last week. Haven't heard from him since.",
+          "If you're heading out there, stock up on potions. Trust me.",
+          "I source my goods from traders who brave the old roads. Dangerous work, but profitable.",
+          "The corruption's been bad for business... but good for selling weapons, I suppose.",
+        ],
+        next: 'prompt',
+      },
+    },
+  },
+
+  blacksmith: {
+    start: 'greeting',
+    nodes: {
+      greeting: {
+        text: [
+          "*clangs hammer* Oh, a warrior! Let me see that blade of yours.",
+          "The forge runs hot today. Good day for crafting.",
+          "Steel and iron, that's what I know. What do you need?",
+        ],
+        next: 'prompt',
+      },
+      prompt: {
+        text: "Need a new weapon? Or perhaps some armor to protect you out there?",
+        choices: [
+          { text: "Show me your weapons and armor.", next: 'shop' },
+          { text: "Tell me about the corruption.", next: 'lore' },
+          { text: "I'll come back later.", end: true },
+        ],
+      },
+      shop: { text: "Let me show you what I have...", end: DIALOGUE_END_ACTION.SHOP },
+      lore: {
+        text: [
+          "The old knight's armor... it used to gleam silver. Now it's all rusted and dark. Unnatural.",
+          "I once forged a blade from corrupted ore. Had to destroy it. The thing whispered at night.",
+          "If you find any ancient weapons out there, bring them to me. I can restore them.",
+          "This forge has been in my family for three generations. We know our craft.",
+          "The corruption's twisted the metals in some areas. Have to be careful what ore I use.",
+        ],
+        next: 'prompt',
+      },
+    },
+  },
+
+  healer: {
+    start: 'greeting',
+    nodes: {
+      greeting: {
+        text: [
+          "You carry wounds, traveler. Let me help ease your burden.",
+          "The light still shines in dark places. Welcome.",
+          "Rest here awhile. You're safe within these walls.",
+        ],
+        next: 'prompt',
+      },
+      prompt: {
+        text: "Do you need potions or remedies for your journey?",
+        choices: [
+          { text: "Yes, I need supplies.", next: 'shop' },
+          { text: "What can you tell me about the corruption?", next: 'lore' },
+          {
+            text: "I have no coin, but I'm hurt.",
+            next: 'gift',
+            condition: { not: { flag: 'healer_gift_given' } },
+          },
+          { text: "Thank you, but I must go.", end: true },
+        ],
+      },
+      shop: { text: "Let me show you what I have...", end: DIALOGUE_END_ACTION.SHOP },
+      gift: {
+        text: "Take this, then. Pay me back by coming home alive.",
+        effects: [
+          { giveItem: 'health-potion', quantity: 1 },
+          { setFlag: 'healer_gift_given' },
+        ],
+        next: 'prompt',
+      },
+      lore: {
+        text: [
+          "The corruption is not just physical. It feeds on despair, on hopelessness.",
+          "There was once a great healer who ventured into the heart of darkness. She never returned.",
+          "Keep your spirit strong, traveler. That is the best medicine against what lurks out there.",
+          "I've treated many who returned from the wilds. The corruption leaves its mark on the soul as well as the body.",
+          "Herbs grow scarce these days. The tainted land won't yield them anymore.",
+        ],
+        next: 'prompt',
+      },
+    },
+  },
+
+  guard: {
+    start: 'greeting',
+    nodes: {
+      greeting: {
+        branch: [{ condition: { timeOfDay: ['night', 'dusk'] }, next: 'greeting_night' }],
+        text: [
+          "Halt! Oh, you're not one of those creatures. Forgive me, traveler.",
+          "Another survivor? Good to see. We need all the fighters we can get.",
+          "We've doubled the watch since the attacks started. Still doesn't feel like enough.",
+        ],
+        next: 'prompt',
+      },
+      greeting_night: {
+        text: [
+          "Stay alert. The night brings dangers.",
+          "Lost two good men last week to those things. They came right up to the walls.",
+        ],
+        next: 'prompt',
+      },
+      prompt: {
+        text: "Anything else you need to know?",
+        choices: [
+          { text: "What's the situation outside?", next: 'lore' },
+          { text: "Where should I explore?", next: 'hints' },
+          { text: "Stay vigilant.", end: true },
+        ],
+      },
+      lore: {
+        text: [
+          "The eastern ruins are crawling with corrupted ones. Strong ones too.",
+          "We used to trade with the northern villages. Now the roads are too dangerous.",
+          "If you're brave enough to clear out those creatures, we'd all be grateful.",
+        ],
+        next: 'prompt',
+      },
+      hints: {
+        text: [
+          "There's an old cave system to the south. Dangerous, but I've heard of treasure within.",
+          "The ancient tower to the northeast... some say a powerful enemy guards it.",
+          "Stick to the roads at night if you can. The forests hide things.",
+        ],
+        next: 'prompt',
+      },
+    },
+  },
+
+  elder: {
+    start: 'greeting',
+    nodes: {
+      greeting: {
+        branch: [{ condition: { flag: 'met_village_elder' }, next: 'greeting_again' }],
+        text: [
+          "Ah, a traveler from beyond. Come, sit. I have much to tell you.",
+          "The winds spoke of your coming. Welcome, warrior.",
+        ],
+        effects: [{ setFlag: 'met_village_elder' }],
+        next: 'prompt',
+      },
+      greeting_again: {
+        text: [
+          "Young one, you seek answers. I may have some.",
+          "You return. The winds still speak of you.",
+        ],
+        next: 'prompt',
+      },
+      prompt: {
+        text: "What would you know, traveler?",
+        choices: [
+          { text: "Tell me of the corruption's origin.", next: 'lore' },
+          { text: "Where should I seek answers?", next: 'hints' },
+          { text: "Thank you for your wisdom.", end: true },
+        ],
+      },
+      lore: {
+        text: [
+          "It began in the ancient places, where the veil between worlds grows thin.",
+          "There were once guardians who held back the darkness. They fell, one by one.",
+          "The corruption has a will, a hunger. It seeks to consume all life.",
+          "This corruption... it is not the first time our world has seen such darkness.",
+          "The old texts speak of a source, a heart of darkness. If it could be found...",
+        ],
+        next: 'prompt',
+      },
+      hints: {
+        text: [
+          "Seek the ancient ruins. The old ones left knowledge there.",
+          "There is power in the forgotten places. But also great danger.",
+          "The corruption fears the light of the old magic. Find the sacred flames.",
+          "Long ago, there were those who could purify the taint. Perhaps that knowledge still exists.",
+        ],
+        next: 'prompt',
+      },
+    },
+  },
+
+  villager: {
+    start: 'greeting',
+    nodes: {
+      greeting: {
+        text: [
+          "Oh! A stranger... are you friendly?",
+          "Welcome to our village. It's not much, but it's home.",
+          "Haven't seen an outsider in weeks. Where did you come from?",
+          "Careful out there. The world's gone mad.",
+        ],
+        next: 'prompt',
+      },
+      prompt: {
+        text: "Is there something you wanted to ask?",
+        choices: [
+          { text: "What's life like here?", next: 'life' },
+          { text: "Have you seen anything strange?", next: 'lore' },
+          { text: "Take care of yourself.", end: true },
+        ],
+      },
+      life: {
+        text: [
+          "We grow what we can, trade with the merchants. It's a simple life.",
+          "The children can't play outside the walls anymore. Breaks my heart.",
+          "Every night we hear things in the darkness. We try not to listen.",
+          "We try to live our lives, but the fear is always there.",
+          "My family's been here for generations. We won't leave now.",
+          "The guards do their best, but they can't be everywhere.",
+        ],
+        next: 'prompt',
+      },
+      lore: {
+        text: [
+          "Lights in the ruins at night. Unnatural, flickering lights.",
+          "Old Miller says he saw a figure in black robes near the forest. Just watching.",
+          "The well water tastes strange some mornings. We've started boiling everything.",
+        ],
+        next: 'prompt',
+      },
+    },
+  },
+};
+
+// ========== COMPANION HIRING ==========
+// Lines for the village NPC type each companion is hired from (CompanionData.hiredFrom)
+const HIRING_LINES = {
+  sellsword: {
+    offer: "Could you spare a sword for the road?",
+    pitch: "Bram's between contracts and bored stiff on the wall. Pay his fee and he'll walk with you.",
+    hired: "Bram! Get your kit - you're on the road again.",
+  },
+  woodcutter: {
+    offer: "Know anyone handy with an axe who'd come along?",
+    pitch: "Wren swings an axe better than most guards swing a sword. She'd go for the right price.",
+    hired: "I'll fetch Wren. Bring her back in one piece!",
+  },
+};
+
+/**
+ * Add the hire / dismiss choices and nodes for a companion to its village NPC's tree
+ */
+function withHiring(tree, companion, lines) {
+  tree.nodes.prompt.choices.splice(-1, 0,
+    { text: `${lines.offer} (${companion.cost} gold)`, next: 'hire', condition: { companion: 'none' } },
+    { text: "I won't be needing my companion any more.", next: 'dismiss', condition: { not: { companion: 'none' } } },
+  );
+
+  Object.assign(tree.nodes, {
+    hire: {
+      branch: [{ condition: { not: { gold: companion.cost } }, next: 'hire_short' }],
+      text: lines.pitch,
+      choices: [
+        { text: `Hire ${companion.name} (${companion.cost} gold)`, effects: [{ hireCompanion: companion.id }], next: 'hired' },
+        { text: "Not today.", next: 'prompt' },
+      ],
+    },
+    hire_short: {
+      text: `${companion.cost} gold, paid up front. Come back when your purse is heavier.`,
+      next: 'prompt',
+    },
+    hired: { text: lines.hired, end: true },
+    dismiss: {
+      text: "Sending them home? Fair enough - I'll see they get their supper.",
+      effects: [{ dismissCompanion: true }],
+      next: 'prompt',
+    },
+  });
+}
+
+Object.values(COMPANIONS).forEach(companion => {
+  withHiring(VILLAGE_DIALOGUES[companion.hiredFrom], companion, HIRING_LINES[companion.id]);
+});
+
+// ========== VILLAGE STANDING GREETINGS ==========
+// What a village NPC says when the village's faction is hostile, friendly or
+// honors the player. Hostile NPCs refuse to talk (no shop either).
+const STANDING_GREETINGS = {
+  merchant: {
+    hostile: ["I don't sell to your kind. Move along before I call the guard."],
+    friendly: ["Ah, a familiar face! I set aside a few things you might like."],
+    honored: ["My best customer! For you, the good stock from the back room."],
+  },
+  blacksmith: {
+    hostile: ["*keeps hammering* My steel isn't for the likes of you."],
+    friendly: ["Back again? Your blade's been holding up, I hope."],
+    honored: ["There's the one the whole village talks about. The forge is yours to command."],
+  },
+  healer: {
+    hostile: ["I tend to the people of this village. You have hurt enough of them."],
+    friendly: ["Welcome back, friend. Sit, let me look at those cuts."],
+    honored: ["The village owes you more than it can repay. Whatever you need is yours."],
+  },
+  guard: {
+    hostile: ["You're not welcome here. One wrong move and you'll answer to my blade."],
+    friendly: ["Good to see you, friend. Roads been treating you well?"],
+    honored: ["*salutes* An honor. The watch stands with you."],
+  },
+  elder: {
+    hostile: ["You have brought only sorrow to this place. I have nothing to say to you."],
+    friendly: ["Ah, the traveler who helps us. Come, sit."],
+    honored: ["Our champion returns. The village sleeps easier knowing you walk the land."],
+  },
+  villager: {
+    hostile: ["*backs away* Please, just leave us alone.", "Stay away from me!"],
+    friendly: ["Oh, it's you! Thanks for everything you've done for us."],
+    honored: ["Everyone's been talking about you! Welcome, welcome!"],
+  },
+};
+
+/**
+ * Branch a village tree's greeting on the standing of the NPC's village faction
+ */
+function withStandingGreetings(tree, greetings) {
+  const start = tree.nodes[tree.start];
+  return {
+    ...tree,
+    nodes: {
+      ...tree.nodes,
+      [tree.start]: {
+        ...start,
+        branch: [
+          { condition: { standing: STANDING.HOSTILE }, next: 'greeting_hostile' },
+          { condition: { standing: STANDING.HONORED }, next: 'greeting_honored' },
+          { condition: { standing: STANDING.FRIENDLY }, next: 'greeting_friendly' },
+          ...(start.branch || []),
+        ],
+      },
+      greeting_hostile: { text: greetings.hostile, end: true },
+      greeting_friendly: { text: greetings.friendly, next: 'prompt' },
+      greeting_honored: { text: greetings.honored, next: 'prompt' },
+    },
+  };
+}
+
+for (const [type, greetings] of Object.entries(STANDING_GREETINGS)) {
+  VILLAGE_DIALOGUES[type] = withStandingGreetings(VILLAGE_DIALOGUES[type], greetings);
+}
+
+// ========== QUEST GIVERS (by NPC id) ==========
+
+/**
+ * Quest giver tree: quests come first (questHub), then the idle line
+ */
+function questGiverTree(idleText, extraChoices = [], extraNodes = {}) {
+  return {
+    start: 'hub',
+    nodes: {
+      hub: {
+        questHub: true,
+        text: idleText,
+        choices: [...extraChoices, { text: "Goodbye", end: true }],
+      },
+      ...extraNodes,
+    },
+  };
+}
+
+const QUEST_GIVER_DIALOGUES = {
+  elder_marcus: questGiverTree(
+    "The village is peaceful today. Come back if you need guidance.",
+    [{ text: "You look troubled.", next: 'troubled', condition: { quest: 'first_steps', status: 'completed' } }],
+    {
+      troubled: {
+        text: "The wolves were only the beginning. Something stirs beyond the forest, and it is patient.",
+        next: 'hub',
+      },
+    }
+  ),
+  blacksmith_greta: questGiverTree("My forge burns bright! Need anything crafted?"),
+  hunter_jorik: questGiverTree(
+    "The hunt never ends. Stay sharp out there.",
+    [{ text: "Any tips for a fellow hunter?", next: 'tip', condition: { reputation: 'hunters_guild', min: 500 } }],
+    {
+      tip: {
+        text: "Wolves circle before they strike. Keep your back to a tree and let them come to you.",
+        next: 'hub',
+      },
+    }
+  ),
+  mage_selene: questGiverTree("The arcane energies flow... I sense great potential in you."),
+  guard_captain_theron: questGiverTree("Keep your weapon ready. Threats lurk everywhere."),
+  merchant_lydia: questGiverTree("Looking to trade? I have fine wares!"),
+  herbalist_mira: questGiverTree("The herbs are growing well today. Take care!"),
+  mysterious_stranger: {
+    start: 'hub',
+    nodes: {
+      hub: {
+        questHub: true,
+        branch: [{ condition: { timeOfDay: ['night'] }, next: 'night' }],
+        text: "Not yet... the time will come.",
+        choices: [{ text: "Goodbye", end: true }],
+      },
+      night: {
+        questHub: true,
+        text: "The dark suits you. Come back when you have seen what hides beneath the ruins.",
+        effects: [{ setFlag: 'stranger_spoke_at_night' }],
+        choices: [{ text: "Goodbye", end: true }],
+      },
+    },
+  },
+};
+
+// Used when an NPC has no tree of its own
+const FALLBACK_TREE = {
+  start: 'hub',
+  nodes: {
+    hub: { questHub: true, text: "Hello, adventurer.", choices: [{ text: "Goodbye", end: true }] },
+  },
+};
+
+export const DIALOGUE_TREES = {
+  ...VILLAGE_DIALOGUES,
+  ...QUEST_GIVER_DIALOGUES,
+};
+
+// ========== HELPER FUNCTIONS ==========
+
+/**
+ * Get a dialogue tree by id (NPC type or quest giver id)
+ * @param {string} treeId
+ * @param {string} fallbackId - Tree to use when treeId has none
+ */
+export function getDialogueTree(treeId, fallbackId = null) {
+  return DIALOGUE_TREES[treeId] || DIALOGUE_TREES[fallbackId] || FALLBACK_TREE;
+}
+
+export default {
+  DIALOGUE_END_ACTION,
+  DIALOGUE_TREES,
+  getDialogueTree,
+};
@@ -6,6 +6,8 @@
  * Integrates with DungeonGenerator.js, DungeonRenderer.js, and DungeonManager.js
  */
 
+import { DEFAULT_WORLD_SEED } from '../world/WorldSeed.js';
+
 // ========== ROOM TYPES ==========
 export const ROOM_TYPE = {
   ENTRANCE: 'entrance',     // Starting room, safe
@@ -15,6 +17,7 @@ export const ROOM_TYPE = {
   REST: 'rest',             // Safe room with checkpoint/healing
   MINIBOSS: 'miniboss',     // Mini-boss encounter
   BOSS: 'boss',             // Final boss room
+  STAIRS: 'stairs',         // Stairwell down to the next floor
   CORRIDOR: 'corridor',     // Connecting hallway
 };
 
@@ -27,6 +30,21 @@ export const ROOM_SIZE = {
   BOSS: { width: 24, height: 8, depth: 24 },
 };
 
+// ========== FLOOR SCALING ==========
+// Each floor below the first adds these on top of the dungeon's base values
+export const FLOOR_SCALING = {
+  levelsPerFloor: 3,          // enemyLevelRange min/max shift
+  eliteChancePerFloor: 0.05,
+};
+
+// ========== SECRETS ==========
+// Rolled per generated floor, after its rooms are populated
+export const SECRET_SETTINGS = {
+  secretRoomChance: 0.5,      // Treasure room behind an illusory wall
+  shortcutChance: 0.5,        // Barred door that only lifts from the deeper side
+  shortcutMinSkip: 3,         // Rooms of the path a shortcut must cut out
+};
+
 // ========== DUNGEON MODIFIERS ==========
 export const DUNGEON_MODIFIER = {
   NONE: {
@@ -86,15 +104,70 @@ export const DUNGEON_MODIFIER = {
       xpMult: 1.5,
     },
   },
+  ABYSS: {
+    id: 'abyss',
+    name: 'Abyss',
+    description: 'An endless descent. Every floor cleared adds an affix; the deeper you go, the richer the rewards.',
+    effects: {},
+    endless: true,           // No boss floor - stairs keep going down
+  },
+};
+
+// ========== ABYSS AFFIXES ==========
+// One is rolled for every floor cleared in the Abyss; effects stack through
+// getModifierEffects (...Mult values multiply, other numbers add)
+export const ABYSS_AFFIX = {
+  HASTE: {
+    id: 'haste',
+    name: 'Hastened',
+    description: 'Enemies move and attack faster.',
+    maxStacks: 3,
+    effects: { enemySpeedMult: 1.2 },
+  },
+  NO_HEALING: {
+    id: 'no_healing',
+    name: 'Withering',
+    description: 'Nothing heals you.',
+    maxStacks: 1,
+    effects: { healingMult: 0 },
+  },
+  EXPLODING_CORPSES: {
+    id: 'exploding_corpses',
+    name: 'Volatile',
+    description: 'The dead burst a moment after they fall.',
+    maxStacks: 3,
+    effects: { corpseExplosionDamage: 15 },
+  },
+  DARKNESS: {
+    id: 'darkness',
+    name: 'Lightless',
+    description: 'Torches gutter and the dark closes in.',
+    maxStacks: 2,
+    effects: { lightMult: 0.5, fogDensityMult: 1.6 },
+  },
+};
+
+// ========== ABYSS SETTINGS ==========
+export const ABYSS_SETTINGS = {
+  rewardPerFloor: 0.25,       // Chest remnants +25% per floor below the first
+  remnantsPerFloor: 150,      // Paid out when the run ends
+  xpPerFloor: 80,
+  leaderboardSize: 10,        // Runs kept per seed
 };
 
 // ========== TRAP TYPES ==========
+// triggerRadius: trigger volume around the trap; hitRadius: area it damages.
+// telegraphTime: warning (click + glow) between trigger and firing (TrapManager).
 export const TRAP_TYPE = {
   SPIKE: {
     id: 'spike',
     name: 'Spike Trap',
     damage: 25,
     triggerType: 'pressure',  // Triggered by stepping on
+    triggerRadius: 1.0,
+    hitRadius: 1.1,
+    telegraphTime: 0.5,
+    activeTime: 0.6,
     resetTime: 3,
     visualType: 'floor_spikes',
   },
@@ -103,6 +176,10 @@ export const TRAP_TYPE = {
     name: 'Arrow Trap',
     damage: 30,
     triggerType: 'tripwire',
+    triggerRadius: 0.8,
+    hitRadius: 1.6,           // The lane the volley flies down
+    telegraphTime: 0.35,
+    activeTime: 0.4,
     projectileCount: 3,
     resetTime: 5,
     visualType: 'wall_arrows',
@@ -113,6 +190,8 @@ export const TRAP_TYPE = {
     damage: 40,
     damageType: 'fire',
     triggerType: 'timed',     // Periodic activation
+    hitRadius: 1.3,
+    telegraphTime: 0.8,
     activeTime: 2,
     cooldownTime: 4,
     visualType: 'fire_grate',
@@ -120,10 +199,14 @@ export const TRAP_TYPE = {
   POISON: {
     id: 'poison',
     name: 'Poison Cloud',
-    damage: 15,
+    damage: 15,               // Total over the cloud's duration, dealt once a second
     damageType: 'poison',
     triggerType: 'proximity',
+    triggerRadius: 2.2,
+    hitRadius: 2.5,
+    telegraphTime: 0.4,
     duration: 5,              // DoT duration
+    resetTime: 6,
     visualType: 'poison_vent',
   },
   FALLING: {
@@ -131,6 +214,10 @@ export const TRAP_TYPE = {
     name: 'Falling Rocks',
     damage: 50,
     triggerType: 'pressure',
+    triggerRadius: 1.0,
+    hitRadius: 2.0,
+    telegraphTime: 1.0,       // Dust and rumble - time to dodge clear
+    activeTime: 0.4,
     oneShot: true,            // Only triggers once
     visualType: 'cracked_ceiling',
   },
@@ -139,6 +226,11 @@ export const TRAP_TYPE = {
     name: 'Hidden Pit',
     damage: 35,
     triggerType: 'weight',
+    triggerRadius: 0.9,
+    hitRadius: 1.0,
+    telegraphTime: 0.25,
+    activeTime: 0.3,
+    resetTime: 4,
     visualType: 'hidden_floor',
     effect: 'fall',           // Player falls, must climb out
   },
@@ -339,6 +431,7 @@ export const DUNGEONS = {
     
     // Layout parameters
     roomCount: { min: 7, max: 10 },
+    floors: 2,                  // Floors linked by stairwells, boss on the last
     corridorChance: 0.4,        // 40% chance of corridor between rooms
     branchingFactor: 0.3,       // 30% chance of branching paths
     deadEndChance: 0.2,         // 20% of branches are dead ends (bonus loot)
@@ -443,6 +536,7 @@ export const DUNGEONS = {
     fogDensity: 0.05,
     
     roomCount: { min: 8, max: 12 },
+    floors: 2,
     corridorChance: 0.5,
     branchingFactor: 0.4,       // More branching - maze-like
     deadEndChance: 0.25,
@@ -535,6 +629,7 @@ export const DUNGEONS = {
     fogDensity: 0.03,
     
     roomCount: { min: 6, max: 9 },
+    floors: 2,
     corridorChance: 0.6,        // More corridors - building layout
     branchingFactor: 0.25,
     deadEndChance: 0.15,
@@ -627,6 +722,7 @@ export const DUNGEONS = {
     fogDensity: 0.06,
     
     roomCount: { min: 8, max: 11 },
+    floors: 3,                  // One floor deeper than the rest
     corridorChance: 0.35,
     branchingFactor: 0.35,
     deadEndChance: 0.2,
@@ -708,6 +804,98 @@ export const DUNGEONS = {
     
     specialMechanics: ['corruption_spread', 'altar_rituals', 'void_portals', 'reality_distortion'],
   },
+
+  // ========== THE CRYPT ==========
+  // Hand-authored (see DungeonLayouts.js) - never picked for a cave
+  THE_CRYPT: {
+    id: 'the_crypt',
+    name: 'The Crypt',
+    shortName: 'Crypt',
+    description: 'Beneath the castle lies something older. Something that remembers.',
+    layout: 'the_crypt',
+    
+    biome: 'undead',
+    theme: 'catacombs',
+    ambientColor: 0x101a1a,     // Blue-green fungal glow
+    fogColor: 0x060a0a,
+    fogDensity: 0.07,
+    
+    roomCount: { min: 8, max: 8 },
+    floors: 1,
+    corridorChance: 1,
+    branchingFactor: 0,
+    deadEndChance: 0,
+    
+    roomDistribution: {
+      [ROOM_TYPE.COMBAT]: 2,
+      [ROOM_TYPE.TREASURE]: 1,
+      [ROOM_TYPE.MINIBOSS]: 1,
+    },
+    
+    recommendedLevel: 8,
+    enemyLevelRange: { min: 6, max: 12 },
+    
+    enemies: DUNGEON_ENEMY_SETS.catacombs,
+    enemiesPerRoom: { min: 1, max: 2 },
+    eliteChance: 0,
+    
+    trapTypes: ['spike', 'falling'],
+    trapsPerRoom: { min: 0, max: 1 },
+    trapChance: 0,
+    
+    puzzleTypes: [],
+    
+    miniboss: {
+      id: 'crypt_guardian',
+      name: 'The Crypt Guardian',
+      health: 400,
+      damage: 40,
+      abilities: ['chain_sweep', 'ground_slam'],
+    },
+    
+    boss: {
+      id: 'crypt_lord',
+      name: 'The Crypt Lord',
+      title: 'Keeper of the Failed Apotheosis',
+      health: 600,
+      damage: 45,
+      phases: 2,
+      abilities: ['greatsword_slam', 'horizontal_sweep', 'skeleton_summon', 'dark_projectile'],
+      loot: {
+        guaranteed: [
+          { id: 'crypt_lord_soul', name: "Crypt Lord's Soul", type: 'boss_soul' },
+        ],
+        rare: [
+          { id: 'crypt-lords-greatsword', name: "Crypt Lord's Greatsword", type: 'weapon', rarity: 'legendary', chance: 0.25 },
+        ],
+      },
+    },
+    
+    lootPool: DUNGEON_LOOT_POOLS.catacombs,
+    lootTier: 2,
+    chestCount: { min: 3, max: 3 },
+    
+    props: ['coffins', 'bones', 'candles', 'cobwebs', 'skulls', 'broken_tombs'],
+    lighting: 'torches_dim',
+    floorTexture: 'stone_worn',
+    wallTexture: 'stone_brick_dark',
+    ceilingTexture: 'stone_arch',
+    
+    ambientSound: 'catacombs_ambient',
+    combatMusic: 'undead_battle',
+    bossMusic: 'crypt_lord_theme',
+    
+    completionRewards: {
+      remnants: 2500,
+      xp: 1200,
+      firstClearBonus: {
+        remnants: 1000,
+        items: [{ id: 'crypt_trophy', name: 'Crypt Delver Trophy', type: 'trophy' }],
+      },
+    },
+    
+    specialMechanics: ['illusory_walls', 'shortcuts'],
+  },
 };
 
 // ========== ROOM TEMPLATES ==========
@@ -843,6 +1031,7 @@ export function listAllDungeons() {
     recommendedLevel: d.recommendedLevel,
     biome: d.biome,
     roomCount: d.roomCount,
+    floors: d.floors,
     lootTier: d.lootTier,
     bossName: d.boss.name,
   }));
@@ -851,9 +1040,10 @@ export function listAllDungeons() {
 /**
  * Get dungeon for a cave entrance based on position/seed
  */
-export function getDungeonForCave(caveX, caveZ, seed = 12345) {
-  // Use cave position to deterministically pick a dungeon
-  const dungeonList = Object.values(DUNGEONS);
+export function getDungeonForCave(caveX, caveZ, seed = DEFAULT_WORLD_SEED) {
+  // Use cave position to deterministically pick a dungeon (authored
+  // layouts have their own entrances)
+  const dungeonList = Object.values(DUNGEONS).filter(d => !d.layout);
   const hash = Math.abs((caveX * 73856093 + caveZ * 19349663 + seed) % 1000000);
   const index = hash % dungeonList.length;
   return dungeonList[index];
@@ -862,12 +1052,12 @@ export function getDungeonForCave(caveX, caveZ, seed = 12345) {
 /**
  * Get room count for dungeon instance
  */
-export function getRoomCount(dungeonId, modifier = 'none') {
+export function getRoomCount(dungeonId, modifier = 'none', random = Math.random) {
   const dungeon = getDungeonById(dungeonId);
   if (!dungeon) return 5;
   
   let count = dungeon.roomCount.min + 
-    Math.floor(Math.random() * (dungeon.roomCount.max - dungeon.roomCount.min + 1));
+    Math.floor(random() * (dungeon.roomCount.max - dungeon.roomCount.min + 1));
   
   // Elite modifier adds rooms
   if (modifier === 'elite') {
@@ -877,13 +1067,40 @@ export function getRoomCount(dungeonId, modifier = 'none') {
   return count;
 }
 
+/**
+ * Get per-floor settings: enemy levels and elite chance climb with depth,
+ * and only the last floor holds the boss (endless modifiers have no last floor)
+ */
+export function getFloorConfig(dungeonId, floor = 1, modifier = 'none') {
+  const dungeon = getDungeonById(dungeonId);
+  if (!dungeon) return null;
+  
+  const endless = !!DUNGEON_MODIFIER[modifier.toUpperCase()]?.endless;
+  const floorCount = endless ? Infinity : (dungeon.floors || 1);
+  const depth = Math.min(Math.max(floor, 1), floorCount) - 1;
+  const levelBonus = depth * FLOOR_SCALING.levelsPerFloor;
+  
+  return {
+    floor: depth + 1,
+    floorCount,
+    isFinal: depth + 1 === floorCount,
+    enemyLevelRange: {
+      min: dungeon.enemyLevelRange.min + levelBonus,
+      max: dungeon.enemyLevelRange.max + levelBonus,
+    },
+    eliteChance: Math.min(dungeon.eliteChance + depth * FLOOR_SCALING.eliteChancePerFloor, 1),
+  };
+}
+
 /**
  * Get enemy spawn configuration for a room
  */
-export function getEnemySpawnConfig(dungeonId, roomType, modifier = 'none') {
+export function getEnemySpawnConfig(dungeonId, roomType, modifier = 'none', floor = 1) {
   const dungeon = getDungeonById(dungeonId);
   if (!dungeon) return { enemies: [], count: 0 };
   
+  const { eliteChance } = getFloorConfig(dungeonId, floor, modifier);
+  
   const mod = DUNGEON_MODIFIER[modifier.toUpperCase()] || DUNGEON_MODIFIER.NONE;
   const countMult = mod.effects.enemyCountMult || 1;
   
@@ -904,7 +1121,7 @@ export function getEnemySpawnConfig(dungeonId, roomType, modifier = 'none') {
       pool = dungeon.enemies.rare;
     }
     const enemy = pool[Math.floor(Math.random() * pool.length)];
-    const isElite = Math.random() < dungeon.eliteChance;
+    const isElite = Math.random() < eliteChance;
     enemies.push({ type: enemy, isElite });
   }
   
@@ -1005,14 +1222,18 @@ function generatePuzzleSolution(puzzleType, componentCount) {
 /**
  * Get loot drop for dungeon chest
  */
-export function generateChestLoot(dungeonId, chestType = 'normal', modifier = 'none') {
+export function generateChestLoot(dungeonId, chestType = 'normal', modifier = 'none', floor = 1) {
   const dungeon = getDungeonById(dungeonId);
   if (!dungeon) return { items: [], remnants: 0 };
   
   const mod = DUNGEON_MODIFIER[modifier.toUpperCase()] || DUNGEON_MODIFIER.NONE;
-  const rarityBoost = mod.effects.lootRarityBoost || 0;
   
-  const loot = { items: [], remnants: 50 + Math.floor(Math.random() * 100) };
+  // Abyss chests get richer and rarer the deeper they are
+  const depth = mod.endless ? Math.max(floor, 1) - 1 : 0;
+  const rarityBoost = (mod.effects.lootRarityBoost || 0) + Math.floor(depth / 3);
+  const remnantMult = 1 + depth * ABYSS_SETTINGS.rewardPerFloor;
+  
+  const loot = { items: [], remnants: Math.round((50 + Math.floor(Math.random() * 100)) * remnantMult) };
   const pool = dungeon.lootPool;
   
   // Number of items based on chest type
@@ -1044,11 +1265,50 @@ export function generateChestLoot(dungeonId, chestType = 'normal', modifier = 'n
 }
 
 /**
- * Apply dungeon modifier effects to player/enemies
+ * Apply dungeon modifier effects to player/enemies, with any Abyss affixes
+ * stacked on top (...Mult values multiply, other numbers add)
  */
-export function getModifierEffects(modifierId) {
+export function getModifierEffects(modifierId, affixes = []) {
   const mod = DUNGEON_MODIFIER[modifierId.toUpperCase()];
-  return mod ? mod.effects : {};
+  const effects = { ...(mod ? mod.effects : {}) };
+  
+  for (const affixId of affixes) {
+    const affix = ABYSS_AFFIX[affixId.toUpperCase()];
+    if (!affix) continue;
+    
+    for (const [key, value] of Object.entries(affix.effects)) {
+      if (!(key in effects)) {
+        effects[key] = value;
+      } else if (key.endsWith('Mult')) {
+        effects[key] *= value;
+      } else {
+        effects[key] += value;
+      }
+    }
+  }
+  
+  return effects;
+}
+
+/**
+ * Roll the affix added for clearing an Abyss floor (null once all are maxed)
+ */
+export function rollAbyssAffix(affixes = [], random = Math.random) {
+  const available = Object.values(ABYSS_AFFIX)
+    .filter(a => affixes.filter(id => id === a.id).length < a.maxStacks);
+  if (available.length === 0) return null;
+  return available[Math.floor(random() * available.length)].id;
+}
+
+/**
+ * Rewards paid out when an Abyss run ends at a given depth
+ */
+export function getAbyssRewards(depth) {
+  const floors = Math.max(depth, 0);
+  return {
+    remnants: floors * ABYSS_SETTINGS.remnantsPerFloor,
+    xp: floors * ABYSS_SETTINGS.xpPerFloor,
+  };
 }
 
 /**
@@ -0,0 +1,375 @@
+/**
+ * DungeonLayouts.js - Hand-Authored Dungeon Layouts
+ * Phase 22: Dungeon Instances
+ *
+ * A layout pins down a dungeon that DungeonGenerator would otherwise roll at
+ * random. DungeonGenerator.loadLayout() turns one into the same instance
+ * data generate() returns, so rendering, traps and progress work unchanged.
+ *
+ * Format - positions are room-local { x, z } in units (x east, z south):
+ * - dungeonId:   DUNGEONS entry supplying theme, boss and loot pool
+ * - entrances:   overworld ways in { id, x, z, shortcut?, spawnRoom? }; one
+ *                tied to a shortcut only opens once that shortcut is unlocked
+ * - rooms:       { id, name, type (ROOM_TYPE), grid: { x, z }, size (ROOM_SIZE
+ *                key or { width, height, depth }), enemies, chests, traps,
+ *                props, miniboss?, boss? }
+ *   - enemies:   { type, position, elite?, behavior? ('patrol' | 'ambush' | 'guard') }
+ *   - chests:    { id, type, position, loot?, locked? } - fixed loot, or rolled
+ *   - traps:     { type (TRAP_TYPE key), position }
+ *   - miniboss / boss: { position } - stats come from the DUNGEONS entry
+ * - connections: { from, to, type ('door' | 'corridor'), secret? } between
+ *                grid-adjacent rooms; secret ones sit behind an illusory wall
+ * - secrets:     illusory walls { id, room, wall (side of room), hides (room id) }
+ * - shortcuts:   barred doors { id, name, room, door, ladder, exitTo: { x, z } };
+ *                unbarred from inside, the ladder then climbs out to exitTo
+ * - triggers:    { id, room, position, type, ... } - 'notify' shows `message`
+ *                once per visit within `radius`; 'checkpoint' places a bonfire
+ */
+
+import { ROOM_TYPE, ROOM_SIZE, TRAP_TYPE, getDungeonById } from './DungeonData.js';
+
+// Grid offsets for each wall side (north = -z, matching DungeonGenerator)
+export const LAYOUT_SIDES = {
+  north: { x: 0, z: -1 },
+  south: { x: 0, z: 1 },
+  east: { x: 1, z: 0 },
+  west: { x: -1, z: 0 },
+};
+
+// ========== THE CRYPT ==========
+// docs/crypt-design.md: antechamber -> west corridor -> ossuary -> ritual
+// chamber -> south corridor, with the secret room behind its east wall, the
+// shortcut chamber to the west and the Crypt Lord's arena at the bottom
+export const THE_CRYPT_LAYOUT = {
+  id: 'the_crypt',
+  dungeonId: 'the_crypt',
+
+  entrances: [
+    { id: 'crypt_stairs', x: 0, z: -18 },   // Castle courtyard
+    { id: 'chapel_trapdoor', x: -15, z: -12, shortcut: 'crypt_shortcut', spawnRoom: 'shortcut_chamber' },
+  ],
+
+  rooms: [
+    {
+      id: 'antechamber',
+      name: 'Entry Antechamber',
+      type: ROOM_TYPE.ENTRANCE,
+      grid: { x: 0, z: 0 },
+      size: 'MEDIUM',
+      enemies: [
+        { type: 'hollow_soldier', position: { x: 0, z: 3 }, behavior: 'patrol' },
+      ],
+      props: [
+        { type: 'statues', position: { x: -5, z: -5 } },
+        { type: 'statues', position: { x: 5, z: -5 } },
+        { type: 'broken_tombs', position: { x: -5, z: 5 } },
+        { type: 'candles', position: { x: 1, z: -3 } },
+      ],
+    },
+    {
+      id: 'west_corridor',
+      name: 'West Corridor',
+      type: ROOM_TYPE.CORRIDOR,
+      grid: { x: -1, z: 0 },
+      size: { width: 16, height: 3.5, depth: 4 },
+      chests: [
+        {
+          id: 'chest_west_corridor_sarcophagus',
+          type: 'normal',
+          position: { x: -4, z: -1.2 },
+          loot: { items: [{ id: 'bone_ash', name: 'Bone Ash', type: 'consumable', quantity: 1 }], remnants: 0 },
+        },
+      ],
+      props: [
+        { type: 'coffins', position: { x: -6, z: 1.4 } },
+        { type: 'broken_tombs', position: { x: -2, z: 1.4 } },
+        { type: 'coffins', position: { x: 2, z: -1.4 } },
+        { type: 'broken_tombs', position: { x: 6, z: -1.4 } },
+      ],
+    },
+    {
+      id: 'ossuary',
+      name: 'Ossuary Chamber',
+      type: ROOM_TYPE.COMBAT,
+      grid: { x: -1, z: 1 },
+      size: { width: 12, height: 3, depth: 12 },
+      enemies: [
+        { type: 'bone_revenant', position: { x: -2, z: 0 }, behavior: 'ambush' },
+        { type: 'bone_revenant', position: { x: 2, z: 0 }, behavior: 'ambush' },
+      ],
+      traps: [
+        { type: 'FALLING', position: { x: 0, z: 3 } },
+      ],
+      props: [
+        { type: 'pillar', position: { x: -3.5, z: -3.5 } },
+        { type: 'pillar', position: { x: 3.5, z: -3.5 } },
+        { type: 'pillar', position: { x: -3.5, z: 3.5 } },
+        { type: 'pillar', position: { x: 3.5, z: 3.5 } },
+        { type: 'bones', position: { x: -2, z: 0 } },
+        { type: 'bones', position: { x: 2, z: 0 } },
+        { type: 'skulls', position: { x: 5, z: -5 } },
+      ],
+    },
+    {
+      id: 'ritual_chamber',
+      name: 'Ritual Chamber',
+      type: ROOM_TYPE.MINIBOSS,
+      grid: { x: 0, z: 1 },
+      size: 'LARGE',
+      miniboss: { position: { x: 0, z: 0 } },
+      chests: [
+        { id: 'chest_ritual_chamber_guardian', type: 'boss', position: { x: 0, z: -7 }, locked: true },
+      ],
+      props: [
+        { type: 'ritual_circles', position: { x: 0, z: 0 } },
+        { type: 'altars', position: { x: 0, z: -2 } },
+        ...[0, 1, 2, 3, 4, 5, 6, 7].map(i => ({
+          type: 'pillar',
+          position: { x: Math.cos(i * Math.PI / 4) * 6, z: Math.sin(i * Math.PI / 4) * 6 },
+        })),
+      ],
+    },
+    {
+      id: 'south_corridor',
+      name: 'South Corridor',
+      type: ROOM_TYPE.CORRIDOR,
+      grid: { x: 0, z: 2 },
+      size: { width: 4, height: 3.5, depth: 16 },
+      traps: [
+        { type: 'SPIKE', position: { x: 0, z: -3 } },
+      ],
+      props: [
+        { type: 'bones', position: { x: -1.4, z: 2 } },
+        { type: 'skulls', position: { x: 1.4, z: -1 } },  // The skeleton's arm points east
+      ],
+    },
+    {
+      id: 'secret_room',
+      name: 'Hidden Alcove',
+      type: ROOM_TYPE.TREASURE,
+      grid: { x: 1, z: 2 },
+      size: { width: 6, height: 3, depth: 6 },
+      chests: [
+        {
+          id: 'chest_secret_room_shard',
+          type: 'treasure',
+          position: { x: 0, z: -2 },
+          loot: {
+            items: [
+              { id: 'apotheosis_shard', name: 'Apotheosis Shard', type: 'rare_material', quantity: 1 },
+              { id: 'alchemist_journal_page', name: 'Crumbling Journal Page', type: 'lore', quantity: 1 },
+            ],
+            remnants: 300,
+          },
+        },
+      ],
+      props: [
+        { type: 'bones', position: { x: 1.5, z: 0 } },
+        { type: 'candles', position: { x: -1.5, z: -2 } },
+      ],
+    },
+    {
+      id: 'shortcut_chamber',
+      name: 'Shortcut Chamber',
+      type: ROOM_TYPE.COMBAT,
+      grid: { x: -1, z: 2 },
+      size: 'SMALL',
+      props: [
+        { type: 'tables', position: { x: 2.5, z: 2 } },   // Maintenance workbench
+        { type: 'crates', position: { x: -2.5, z: 2.5 } },
+      ],
+    },
+    {
+      id: 'crypt_lord_arena',
+      name: "The Crypt Lord's Arena",
+      type: ROOM_TYPE.BOSS,
+      grid: { x: 0, z: 3 },
+      size: 'BOSS',
+      boss: { position: { x: 0, z: 4 } },
+      props: [
+        { type: 'pillar', position: { x: -7, z: -7 } },
+        { type: 'pillar', position: { x: 7, z: -7 } },
+        { type: 'pillar', position: { x: -7, z: 7 } },
+        { type: 'pillar', position: { x: 7, z: 7 } },
+      ],
+    },
+  ],
+
+  connections: [
+    { from: 'antechamber', to: 'west_corridor', type: 'corridor' },
+    { from: 'west_corridor', to: 'ossuary', type: 'corridor' },
+    { from: 'ossuary', to: 'ritual_chamber', type: 'corridor' },
+    { from: 'ritual_chamber', to: 'south_corridor', type: 'door' },
+    { from: 'south_corridor', to: 'shortcut_chamber', type: 'corridor' },
+    { from: 'south_corridor', to: 'secret_room', type: 'corridor', secret: true },
+    { from: 'south_corridor', to: 'crypt_lord_arena', type: 'door' },
+  ],
+
+  secrets: [
+    { id: 'crypt_illusory_wall', room: 'south_corridor', wall: 'east', hides: 'secret_room' },
+  ],
+
+  shortcuts: [
+    {
+      id: 'crypt_shortcut',
+      name: 'Shortcut Door',
+      room: 'shortcut_chamber',
+      door: { x: 0, z: -3 },
+      ladder: { x: 0, z: -3.6 },
+      exitTo: { x: -15, z: -12 },   // Trapdoor behind the chapel altar
+    },
+  ],
+
+  triggers: [
+    { id: 'crypt_brazier', room: 'antechamber', type: 'checkpoint', position: { x: 0, z: -3 } },
+    { id: 'ossuary_bones', room: 'ossuary', type: 'notify', position: { x: 0, z: 0 }, radius: 5,
+      message: 'The bones begin to stir...' },
+    { id: 'south_draft', room: 'south_corridor', type: 'notify', position: { x: 0, z: 0 }, radius: 3,
+      message: 'A cold draft seeps through the east wall.' },
+    { id: 'arena_threshold', room: 'crypt_lord_arena', type: 'notify', position: { x: 0, z: -10 }, radius: 4,
+      message: 'Something ancient rises from its throne.' },
+  ],
+};
+
+// ========== LAYOUT REGISTRY ==========
+export const DUNGEON_LAYOUTS = {
+  the_crypt: THE_CRYPT_LAYOUT,
+};
+
+/**
+ * Get the authored layout for a dungeon, or null if it is generated
+ */
+export function getDungeonLayout(dungeonId) {
+  const layoutId = getDungeonById(dungeonId)?.layout;
+  return (layoutId && DUNGEON_LAYOUTS[layoutId]) || null;
+}
+
+/**
+ * Overworld entrances of every authored layout, tagged with their dungeon
+ */
+export function listLayoutEntrances() {
+  return Object.values(DUNGEON_LAYOUTS).flatMap(layout =>
+    (layout.entrances || []).map(entrance => ({ ...entrance, dungeonId: layout.dungeonId })));
+}
+
+/**
+ * Resolve a room's size to { width, height, depth }
+ */
+export function getLayoutRoomSize(roomDef) {
+  if (typeof roomDef.size === 'string') return ROOM_SIZE[roomDef.size] || null;
+  return roomDef.size || ROOM_SIZE.MEDIUM;
+}
+
+/**
+ * Side of `from` that `to` lies on, or null if they are not grid neighbours
+ */
+export function getLayoutDirection(from, to) {
+  const dx = to.grid.x - from.grid.x;
+  const dz = to.grid.z - from.grid.z;
+  for (const [side, offset] of Object.entries(LAYOUT_SIDES)) {
+    if (offset.x === dx && offset.z === dz) return side;
+  }
+  return null;
+}
+
+/**
+ * Check a layout for authoring mistakes. Returns a list of problems (empty
+ * when the layout is loadable).
+ */
+export function validateDungeonLayout(layout) {
+  const problems = [];
+  const rooms = new Map();
+  const cells = new Set();
+
+  if (!getDungeonById(layout.dungeonId || '')) {
+    problems.push(`unknown dungeon "${layout.dungeonId}"`);
+  }
+
+  for (const room of layout.rooms || []) {
+    if (rooms.has(room.id)) problems.push(`duplicate room "${room.id}"`);
+    rooms.set(room.id, room);
+
+    const cell = `${room.grid?.x},${room.grid?.z}`;
+    if (cells.has(cell)) problems.push(`room "${room.id}" overlaps grid cell ${cell}`);
+    cells.add(cell);
+
+    if (!Object.values(ROOM_TYPE).includes(room.type)) problems.push(`room "${room.id}" has unknown type "${room.type}"`);
+    if (!getLayoutRoomSize(room)) problems.push(`room "${room.id}" has unknown size "${room.size}"`);
+    for (const trap of room.traps || []) {
+      if (!TRAP_TYPE[trap.type]) problems.push(`room "${room.id}" has unknown trap "${trap.type}"`);
+    }
+  }
+
+  const entrances = [...rooms.values()].filter(r => r.type === ROOM_TYPE.ENTRANCE);
+  const bosses = [...rooms.values()].filter(r => r.type === ROOM_TYPE.BOSS);
+  if (entrances.length !== 1) problems.push('layout needs exactly one entrance room');
+  if (bosses.length !== 1) problems.push('layout needs exactly one boss room');
+
+  // Connections join grid neighbours
+  const links = new Map([...rooms.keys()].map(id => [id, []]));
+  for (const conn of layout.connections || []) {
+    const from = rooms.get(conn.from);
+    const to = rooms.get(conn.to);
+    if (!from || !to) {
+      problems.push(`connection ${conn.from} -> ${conn.to} names a missing room`);
+      continue;
+    }
+    if (!getLayoutDirection(from, to)) {
+      problems.push(`connection ${conn.from} -> ${conn.to} joins rooms that are not adjacent`);
+      continue;
+    }
+    links.get(from.id).push({ id: to.id, secret: !!conn.secret });
+    links.get(to.id).push({ id: from.id, secret: !!conn.secret });
+  }
+
+  // Every room can be reached, and the boss without going through a secret
+  const reachable = (includeSecrets) => {
+    const seen = new Set();
+    const queue = entrances.length ? [entrances[0].id] : [];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      for (const link of links.get(id)) {
+        if (includeSecrets || !link.secret) queue.push(link.id);
+      }
+    }
+    return seen;
+  };
+  const all = reachable(true);
+  for (const id of rooms.keys()) {
+    if (!all.has(id)) problems.push(`room "${id}" cannot be reached from the entrance`);
+  }
+  if (bosses.length === 1 && !reachable(false).has(bosses[0].id)) {
+    problems.push('boss room is only reachable through a secret');
+  }
+
+  // Illusory walls cover the secret connection on the named side
+  for (const secret of layout.secrets || []) {
+    const room = rooms.get(secret.room);
+    const hidden = rooms.get(secret.hides);
+    const conn = (layout.connections || []).find(c => c.secret &&
+      ((c.from === secret.room && c.to === secret.hides) || (c.from === secret.hides && c.to === secret.room)));
+    if (!room || !hidden) {
+      problems.push(`secret "${secret.id}" names a missing room`);
+    } else if (!conn) {
+      problems.push(`secret "${secret.id}" has no secret connection to "${secret.hides}"`);
+    } else if (getLayoutDirection(room, hidden) !== secret.wall) {
+      problems.push(`secret "${secret.id}" is on the ${secret.wall} wall but "${secret.hides}" is not`);
+    }
+  }
+
+  for (const entry of [...(layout.shortcuts || []), ...(layout.triggers || [])]) {
+    if (!rooms.has(entry.room)) problems.push(`"${entry.id}" is in missing room "${entry.room}"`);
+  }
+  for (const entrance of layout.entrances || []) {
+    if (entrance.spawnRoom && !rooms.has(entrance.spawnRoom)) {
+      problems.push(`entrance "${entrance.id}" spawns in missing room "${entrance.spawnRoom}"`);
+    }
+    if (entrance.shortcut && !(layout.shortcuts || []).some(s => s.id === entrance.shortcut)) {
+      problems.push(`entrance "${entrance.id}" needs missing shortcut "${entrance.shortcut}"`);
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,325 @@
+/**
+ * InfusionData.js - Crucible Infusion Tracks
+ *
+ * The three corruption tracks from the design doc: Bone, Blood and Stone.
+ * Each depth grants a named unlock plus a drawback. Effects are additive
+ * modifiers summed over every unlocked depth by GameManager.getInfusionBonuses().
+ *
+ * Tradeoffs:
+ * - Bone: humanity loss (NPCs grow wary, then hostile, then flee)
+ * - Blood: health volatility (more damage taken, slow drain)
+ * - Stone: mobility penalty (slower movement, shorter dodges)
+ */
+
+/**
+ * Track depth limits
+ */
+export const MAX_TRACK_DEPTH = 5;
+export const MAX_TOTAL_DEPTH = 10;
+
+/**
+ * Humanity thresholds (humanity = 100 - total humanity loss)
+ */
+export const HUMANITY_THRESHOLDS = {
+  WARY: 60,     // Merchants refuse to trade
+  HOSTILE: 35,  // Villagers refuse to talk at all
+};
+
+/**
+ * Neutral modifier set - every effect key the tracks can touch
+ */
+export function getBaseInfusionBonuses() {
+  return {
+    damageMult: 1.0,
+    bonusHealth: 0,
+    bonusStamina: 0,
+    staminaRegenMult: 1.0,
+    postureResist: 0,
+    postureRegenMult: 1.0,
+    // Bone
+    killDamageBonus: 0,         // Damage gained per kill (Bone Blade)
+    maxKillDamageBonus: 0,      // Cap on Bone Blade kill scaling
+    lowHealthPostureResist: 0,  // Extra posture resist below 30% HP (Marrow Armor)
+    senseRangeMult: 1.0,        // Enemy health bar range (Predator Sense)
+    senseDormant: false,        // Reveal dormant ambushers
+    killHeal: 0,                // HP restored per kill (Harvest)
+    remnantMult: 1.0,           // Remnant gained from kills
+    npcsFlee: false,            // Apex Form
+    humanityLoss: 0,
+    // Blood
+    lifesteal: 0,               // Fraction of dealt damage returned as HP
+    lowHealthDamageBonus: 0,    // Max extra damage as HP approaches 0
+    incomingDamageMult: 1.0,
+    healthDrain: 0,             // HP lost per second (never lethal)
+    // Stone
+    damageReduction: 0,         // Fraction of incoming damage ignored
+    blockCostMult: 1.0,
+    heavyHyperArmor: false,     // Heavy attacks can't be staggered
+    moveSpeedMult: 1.0,
+    dodgeSpeedMult: 1.0,
+    dodgeCostAdd: 0,
+  };
+}
+
+/**
+ * Track definitions
+ * Additive keys: numbers are summed onto the base, except *Mult keys which
+ * add their delta (e.g. moveSpeedMult: -0.05 => 0.95). Booleans are OR'd.
+ */
+export const INFUSION_TRACKS = {
+  bone: {
+    id: 'bone',
+    name: 'Bone',
+    icon: '🦴',
+    color: 0xe8dcc0,
+    source: 'Skeletal enemies',
+    tradeoff: 'Humanity loss',
+    depths: [
+      {
+        depth: 1,
+        unlock: 'bone_blade',
+        name: 'Bone Blade',
+        desc: 'A blade of bone splits from the forearm. Each kill sharpens it.',
+        effects: { damageMult: 0.05, killDamageBonus: 0.005, maxKillDamageBonus: 0.25 },
+        drawback: { humanityLoss: 10 },
+      },
+      {
+        depth: 2,
+        unlock: 'marrow_armor',
+        name: 'Marrow Armor',
+        desc: 'Bone plating hardens when near death.',
+        effects: { lowHealthPostureResist: 0.35 },
+        drawback: { humanityLoss: 15 },
+      },
+      {
+        depth: 3,
+        unlock: 'predator_sense',
+        name: 'Predator Sense',
+        desc: 'Read enemy health from afar and sense lurking ambushers.',
+        effects: { senseRangeMult: 1.0, senseDormant: true },
+        drawback: { humanityLoss: 20 },
+      },
+      {
+        depth: 4,
+        unlock: 'harvest',
+        name: 'Harvest',
+        desc: 'Kills restore health and yield more Remnant.',
+        effects: { killHeal: 8, remnantMult: 0.25 },
+        drawback: { humanityLoss: 25 },
+      },
+      {
+        depth: 5,
+        unlock: 'apex_form',
+        name: 'Apex Form',
+        desc: 'Become the predator. Villagers flee on sight.',
+        effects: { damageMult: 0.15, npcsFlee: true },
+        drawback: { humanityLoss: 30 },
+      },
+    ],
+  },
+
+  blood: {
+    id: 'blood',
+    name: 'Blood',
+    icon: '🩸',
+    color: 0xaa1122,
+    source: 'Corrupted enemies',
+    tradeoff: 'Health volatility',
+    depths: [
+      {
+        depth: 1,
+        unlock: 'sanguine_edge',
+        name: 'Sanguine Edge',
+        desc: 'Strikes drink a little of what they spill.',
+        effects: { lifesteal: 0.05 },
+        drawback: { incomingDamageMult: 0.05 },
+      },
+      {
+        depth: 2,
+        unlock: 'blood_rush',
+        name: 'Blood Rush',
+        desc: 'Deal more damage the closer you are to death.',
+        effects: { lowHealthDamageBonus: 0.3 },
+        drawback: { incomingDamageMult: 0.05 },
+      },
+      {
+        depth: 3,
+        unlock: 'quickened_pulse',
+        name: 'Quickened Pulse',
+        desc: 'Stamina floods back between blows.',
+        effects: { staminaRegenMult: 0.25, bonusStamina: 15 },
+        drawback: { healthDrain: 0.5 },
+      },
+      {
+        depth: 4,
+        unlock: 'vital_thirst',
+        name: 'Vital Thirst',
+        desc: 'A swollen heart holds more life, and drinks deeper.',
+        effects: { bonusHealth: 30, lifesteal: 0.05 },
+        drawback: { incomingDamageMult: 0.1 },
+      },
+      {
+        depth: 5,
+        unlock: 'exsanguine',
+        name: 'Exsanguine',
+        desc: 'Every wound you open feeds you.',
+        effects: { damageMult: 0.1, lifesteal: 0.05 },
+        drawback: { incomingDamageMult: 0.1, healthDrain: 0.5 },
+      },
+    ],
+  },
+
+  stone: {
+    id: 'stone',
+    name: 'Stone',
+    icon: '🪨',
+    color: 0x888070,
+    source: 'Golem enemies',
+    tradeoff: 'Mobility penalty',
+    depths: [
+      {
+        depth: 1,
+        unlock: 'stoneskin',
+        name: 'Stoneskin',
+        desc: 'Granite flecks the skin, dulling every blow.',
+        effects: { damageReduction: 0.08 },
+        drawback: { moveSpeedMult: -0.05 },
+      },
+      {
+        depth: 2,
+        unlock: 'unyielding',
+        name: 'Unyielding',
+        desc: 'Hard to push, harder to break.',
+        effects: { postureResist: 0.15, postureRegenMult: 0.2 },
+        drawback: { dodgeSpeedMult: -0.1 },
+      },
+      {
+        depth: 3,
+        unlock: 'bulwark',
+        name: 'Bulwark',
+        desc: 'A heavier frame carries more life.',
+        effects: { bonusHealth: 40, blockCostMult: -0.3 },
+        drawback: { moveSpeedMult: -0.05, dodgeCostAdd: 5 },
+      },
+      {
+        depth: 4,
+        unlock: 'rooted_guard',
+        name: 'Rooted Guard',
+        desc: 'Blows slide off stone.',
+        effects: { damageReduction: 0.07 },
+        drawback: { moveSpeedMult: -0.05, dodgeSpeedMult: -0.1 },
+      },
+      {
+        depth: 5,
+        unlock: 'living_monolith',
+        name: 'Living Monolith',
+        desc: 'Heavy attacks cannot be interrupted.',
+        effects: { heavyHyperArmor: true, postureResist: 0.15 },
+        drawback: { moveSpeedMult: -0.1, dodgeCostAdd: 5 },
+      },
+    ],
+  },
+};
+
+/**
+ * Legacy Crucible tracks from before Bone/Blood/Stone.
+ * Depths in these are refunded as Remnant on load.
+ */
+export const LEGACY_INFUSION_TRACKS = ['strength', 'vitality', 'stamina', 'spirit'];
+
+/**
+ * Remnant cost of reaching a depth
+ */
+export function getInfusionCost(depth) {
+  return 100 * depth * depth;
+}
+
+/**
+ * Get a track definition by ID
+ */
+export function getInfusionTrack(trackId) {
+  return INFUSION_TRACKS[trackId] || null;
+}
+
+/**
+ * Empty depth map for every track
+ */
+export function getDefaultInfusions() {
+  const infusions = {};
+  for (const trackId of Object.keys(INFUSION_TRACKS)) {
+    infusions[trackId] = 0;
+  }
+  return infusions;
+}
+
+/**
+ * Get unlocked depth entries for a track at a given depth
+ */
+export function getUnlockedDepths(trackId, depth) {
+  const track = INFUSION_TRACKS[trackId];
+  if (!track) return [];
+  return track.depths.filter(d => d.depth <= depth);
+}
+
+/**
+ * Add an effect block onto a bonuses object
+ */
+function applyEffectBlock(bonuses, block) {
+  if (!block) return;
+  for (const [key, value] of Object.entries(block)) {
+    if (typeof value === 'boolean') {
+      bonuses[key] = bonuses[key] || value;
+    } else {
+      bonuses[key] = (bonuses[key] || 0) + value;
+    }
+  }
+}
+
+/**
+ * Sum effects + drawbacks of all unlocked depths
+ */
+export function calculateInfusionBonuses(infusions) {
+  const bonuses = getBaseInfusionBonuses();
+  for (const trackId of Object.keys(INFUSION_TRACKS)) {
+    const depth = infusions?.[trackId] || 0;
+    for (const entry of getUnlockedDepths(trackId, depth)) {
+      applyEffectBlock(bonuses, entry.effects);
+      applyEffectBlock(bonuses, entry.drawback);
+    }
+  }
+  return bonuses;
+}
+
+/**
+ * Normalize saved infusions to the current tracks.
+ * Returns { infusions, refund } where refund is Remnant owed for legacy depths.
+ */
+export function normalizeInfusions(saved) {
+  const infusions = getDefaultInfusions();
+  let refund = 0;
+  if (!saved) return { infusions, refund };
+
+  for (const trackId of Object.keys(infusions)) {
+    const depth = Math.floor(saved[trackId] || 0);
+    infusions[trackId] = Math.max(0, Math.min(MAX_TRACK_DEPTH, depth));
+  }
+
+  for (const legacyId of LEGACY_INFUSION_TRACKS) {
+    const depth = Math.floor(saved[legacyId] || 0);
+    for (let d = 1; d <= depth; d++) {
+      refund += getInfusionCost(d);
+    }
+  }
+
+  return { infusions, refund };
+}
+
+/**
+ * Short text summary of a depth's effects (for UI)
+ */
+export function describeDepth(trackId, depth) {
+  const track = INFUSION_TRACKS[trackId];
+  const entry = track?.depths.find(d => d.depth === depth);
+  if (!entry) return null;
+  return `${entry.name}: ${entry.desc}`;
+}
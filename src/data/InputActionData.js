@@ -0,0 +1,141 @@
+/**
+ * InputActionData.js - Rebindable input actions and their default keys
+ *
+ * Bindings are "chords": a KeyboardEvent.code ('KeyW', 'Space', 'Digit1'),
+ * a mouse button ('Mouse0' = left, 'Mouse2' = right), optionally prefixed
+ * with modifiers ('Ctrl+Digit1', 'Shift+Digit1').
+ *
+ * Contexts decide which bindings may share a key:
+ * - gameplay: only while playing with no menu open
+ * - menu: only inside an open menu or dialogue
+ * - global: both (menu toggles, back/pause, mute)
+ * - death: only on the death screen and while studying a death
+ * A gameplay and a menu action can share a key; anything sharing a key with
+ * a global action (or with an action in its own context) is a conflict.
+ */
+
+export const INPUT_CONTEXT = {
+  GAMEPLAY: 'gameplay',
+  MENU: 'menu',
+  GLOBAL: 'global',
+  DEATH: 'death',
+};
+
+// Each action can hold a primary and a secondary binding
+export const MAX_BINDINGS_PER_ACTION = 2;
+
+// Order here is the order shown in the Controls tab
+export const INPUT_ACTIONS = {
+  // ===== MOVEMENT =====
+  moveForward: { label: 'Move Forward', category: 'Movement', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyW'] },
+  moveBack: { label: 'Move Back', category: 'Movement', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyS'] },
+  moveLeft: { label: 'Move Left', category: 'Movement', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyA'] },
+  moveRight: { label: 'Move Right', category: 'Movement', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyD'] },
+  dodge: { label: 'Dodge Roll', category: 'Movement', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Space'] },
+  interact: { label: 'Interact', category: 'Movement', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyE'] },
+  puzzleHint: { label: 'Puzzle Hint', category: 'Movement', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyH'] },
+
+  // ===== COMBAT =====
+  lightAttack: { label: 'Light Attack (hold to charge)', category: 'Combat', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Mouse0'] },
+  heavyAttack: { label: 'Heavy Attack', category: 'Combat', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Mouse2'] },
+  block: { label: 'Block', category: 'Combat', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['ShiftLeft', 'ShiftRight'] },
+  lockOn: { label: 'Lock On', category: 'Combat', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyQ'] },
+  dashAbility: { label: 'Dash', category: 'Combat', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyR'] },
+  parryAbility: { label: 'Parry', category: 'Combat', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyF'] },
+  warCryAbility: { label: 'War Cry', category: 'Combat', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyG'] },
+
+  // ===== WEAPONS & ITEMS =====
+  cycleWeapon: { label: 'Cycle Weapon', category: 'Weapons & Items', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyX'] },
+  weaponSlot1: { label: 'Weapon Slot 1', category: 'Weapons & Items', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Digit1'] },
+  weaponSlot2: { label: 'Weapon Slot 2', category: 'Weapons & Items', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Digit2'] },
+  weaponSlot3: { label: 'Weapon Slot 3', category: 'Weapons & Items', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Digit3'] },
+  weaponSlot4: { label: 'Weapon Slot 4', category: 'Weapons & Items', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Digit4'] },
+  useHealthPotion: { label: 'Health Potion', category: 'Weapons & Items', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Ctrl+Digit1'] },
+  useStaminaPotion: { label: 'Stamina Potion', category: 'Weapons & Items', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Ctrl+Digit2'] },
+  useManaPotion: { label: 'Mana Potion', category: 'Weapons & Items', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Ctrl+Digit3'] },
+
+  // ===== SPELLS =====
+  castSpell: { label: 'Cast Selected Spell', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['KeyZ'] },
+  spellSlot1: { label: 'Cast Spell 1', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['F1'] },
+  spellSlot2: { label: 'Cast Spell 2', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['F2'] },
+  spellSlot3: { label: 'Cast Spell 3', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['F3'] },
+  spellSlot4: { label: 'Cast Spell 4', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['F4'] },
+  spellSlot5: { label: 'Cast Spell 5', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['F5'] },
+  spellSlot6: { label: 'Cast Spell 6', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['F6'] },
+  selectSpellSlot1: { label: 'Select Spell 1', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Shift+Digit1'] },
+  selectSpellSlot2: { label: 'Select Spell 2', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Shift+Digit2'] },
+  selectSpellSlot3: { label: 'Select Spell 3', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Shift+Digit3'] },
+  selectSpellSlot4: { label: 'Select Spell 4', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Shift+Digit4'] },
+  selectSpellSlot5: { label: 'Select Spell 5', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Shift+Digit5'] },
+  selectSpellSlot6: { label: 'Select Spell 6', category: 'Spells', context: INPUT_CONTEXT.GAMEPLAY, defaults: ['Shift+Digit6'] },
+
+  // ===== MENUS =====
+  openMap: { label: 'World Map', category: 'Menus', context: INPUT_CONTEXT.GLOBAL, defaults: ['Tab'] },
+  openInventory: { label: 'Inventory', category: 'Menus', context: INPUT_CONTEXT.GLOBAL, defaults: ['KeyI'] },
+  openQuestLog: { label: 'Quest Log', category: 'Menus', context: INPUT_CONTEXT.GLOBAL, defaults: ['KeyJ'] },
+  openStats: { label: 'Character Stats', category: 'Menus', context: INPUT_CONTEXT.GLOBAL, defaults: ['KeyP'] },
+  openCrafting: { label: 'Crafting', category: 'Menus', context: INPUT_CONTEXT.GLOBAL, defaults: ['KeyC'] },
+  openDeathLedger: { label: 'Death Ledger', category: 'Menus', context: INPUT_CONTEXT.GLOBAL, defaults: ['KeyL'] },
+  toggleMinimap: { label: 'Toggle Minimap', category: 'Menus', context: INPUT_CONTEXT.GLOBAL, defaults: ['KeyN'] },
+  toggleMute: { label: 'Toggle Mute', category: 'Menus', context: INPUT_CONTEXT.GLOBAL, defaults: ['KeyM'] },
+  back: { label: 'Back / Settings', category: 'Menus', context: INPUT_CONTEXT.GLOBAL, defaults: ['Escape'] },
+  menuUp: { label: 'Menu Up', category: 'Menus', context: INPUT_CONTEXT.MENU, defaults: ['ArrowUp', 'KeyW'] },
+  menuDown: { label: 'Menu Down', category: 'Menus', context: INPUT_CONTEXT.MENU, defaults: ['ArrowDown', 'KeyS'] },
+  menuConfirm: { label: 'Confirm', category: 'Menus', context: INPUT_CONTEXT.MENU, defaults: ['Enter', 'Space'] },
+
+  // ===== DEATH STUDY =====
+  studyDeath: { label: 'Study Death', category: 'Death Study', context: INPUT_CONTEXT.DEATH, defaults: ['KeyR'] },
+  freeCameraUp: { label: 'Free Camera Up', category: 'Death Study', context: INPUT_CONTEXT.DEATH, defaults: ['Space'] },
+  freeCameraDown: { label: 'Free Camera Down', category: 'Death Study', context: INPUT_CONTEXT.DEATH, defaults: ['ControlLeft', 'ControlRight'] },
+};
+
+// Keys these actions had before rebinding existed, when they shared Q/Tab and F
+// with lock-on, the map and parry. Saves from then are migrated onto them.
+export const PRE_REBINDING_KEYS = {
+  cycleWeapon: ['KeyQ', 'Tab'],
+  castSpell: ['KeyF'],
+};
+
+/**
+ * Do two contexts ever listen at the same time?
+ */
+export function contextsOverlap(a, b) {
+  return a === b || a === INPUT_CONTEXT.GLOBAL || b === INPUT_CONTEXT.GLOBAL;
+}
+
+// ========== GAMEPAD ==========
+
+// Standard Gamepad API button layout (Xbox names)
+export const GAMEPAD_BUTTON = {
+  A: 0, B: 1, X: 2, Y: 3,
+  LB: 4, RB: 5, LT: 6, RT: 7,
+  BACK: 8, START: 9, LS: 10, RS: 11,
+  DPAD_UP: 12, DPAD_DOWN: 13, DPAD_LEFT: 14, DPAD_RIGHT: 15,
+};
+
+export const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D-Up', 'D-Down', 'D-Left', 'D-Right'];
+
+// Fixed pad layout for gameplay actions (sticks move and look).
+// In menus the D-pad/left stick move focus, A confirms and B goes back instead.
+export const GAMEPAD_BINDINGS = {
+  lightAttack: GAMEPAD_BUTTON.RT, // Hold to charge, like the mouse
+  heavyAttack: GAMEPAD_BUTTON.LT,
+  block: GAMEPAD_BUTTON.LB,
+  castSpell: GAMEPAD_BUTTON.RB,
+  dodge: GAMEPAD_BUTTON.B,
+  interact: GAMEPAD_BUTTON.A,
+  parryAbility: GAMEPAD_BUTTON.X,
+  cycleWeapon: GAMEPAD_BUTTON.Y,
+  dashAbility: GAMEPAD_BUTTON.LS,
+  lockOn: GAMEPAD_BUTTON.RS,
+  warCryAbility: GAMEPAD_BUTTON.DPAD_UP,
+  useHealthPotion: GAMEPAD_BUTTON.DPAD_DOWN,
+  useStaminaPotion: GAMEPAD_BUTTON.DPAD_LEFT,
+  useManaPotion: GAMEPAD_BUTTON.DPAD_RIGHT,
+  openInventory: GAMEPAD_BUTTON.START,
+};
+
+export const DEFAULT_GAMEPAD_SETTINGS = {
+  deadZone: 0.15,       // Stick travel ignored around center (0-1)
+  lookSensitivity: 1.0, // Right stick camera speed multiplier
+};
@@ -4,9 +4,11 @@
  * 
  * Contains all shop item definitions and merchant inventories.
  * Items have level requirements - some only appear after player reaches certain levels.
+ * Faction items also need a reputation tier (see ReputationData.js).
  */
 
 import { RARITY, EQUIPMENT_SLOTS } from '../systems/EquipmentManager.js';
+import { meetsReputation } from './ReputationData.js';
 
 // ========== PRICE SCALING ==========
 export const RARITY_PRICE_MULT = {
@@ -161,6 +163,90 @@ export const SHOP_ITEMS = {
     category: 'weapon',
   },
   
+  // --- TWIN DAGGERS ---
+  twin_fangs: {
+    id: 'twin_fangs',
+    name: 'Twin Fangs',
+    type: 'equipment',
+    slot: EQUIPMENT_SLOTS.WEAPON,
+    basePrice: 320,
+    rarity: RARITY.UNCOMMON,
+    description: 'Paired blades. Every cut bleeds.',
+    stats: { damage: 11, attackSpeed: 20, critChance: 5 },
+    weaponModel: 'dagger',
+    levelRequired: 3,
+    category: 'weapon',
+  },
+  venom_twins: {
+    id: 'venom_twins',
+    name: 'Venom Twins',
+    type: 'equipment',
+    slot: EQUIPMENT_SLOTS.WEAPON,
+    basePrice: 950,
+    rarity: RARITY.RARE,
+    description: 'Grooved blades weeping venom. Bleeds and poisons.',
+    stats: { damage: 14, attackSpeed: 20, critChance: 6 },
+    weaponModel: 'dagger',
+    levelRequired: 9,
+    category: 'weapon',
+  },
+  
+  // --- GREATSHIELDS ---
+  iron_bulwark: {
+    id: 'iron_bulwark',
+    name: 'Iron Bulwark',
+    type: 'equipment',
+    slot: EQUIPMENT_SLOTS.WEAPON,
+    basePrice: 400,
+    rarity: RARITY.UNCOMMON,
+    description: 'A slab of riveted iron. Bashes crush posture.',
+    stats: { damage: 16, defense: 10 },
+    weaponModel: 'greatshield',
+    levelRequired: 4,
+    category: 'weapon',
+  },
+  rimeguard: {
+    id: 'rimeguard',
+    name: 'Rimeguard',
+    type: 'equipment',
+    slot: EQUIPMENT_SLOTS.WEAPON,
+    basePrice: 1200,
+    rarity: RARITY.RARE,
+    description: 'Frost-rimed greatshield. Bashes build frost.',
+    stats: { damage: 24, defense: 14 },
+    weaponModel: 'greatshield',
+    levelRequired: 11,
+    category: 'weapon',
+  },
+  
+  // --- BONE WEAPONS ---
+  marrow_blade: {
+    id: 'marrow_blade',
+    name: 'Marrow Blade',
+    type: 'equipment',
+    slot: EQUIPMENT_SLOTS.WEAPON,
+    basePrice: 600,
+    rarity: RARITY.UNCOMMON,
+    description: 'A living blade. Evolves as your Bone infusion deepens.',
+    stats: { damage: 14, critChance: 3 },
+    weaponModel: 'sword',
+    levelRequired: 5,
+    category: 'weapon',
+  },
+  ossuary_spike: {
+    id: 'ossuary_spike',
+    name: 'Ossuary Spike',
+    type: 'equipment',
+    slot: EQUIPMENT_SLOTS.WEAPON,
+    basePrice: 1400,
+    rarity: RARITY.RARE,
+    description: 'Fused vertebrae seeping marrow-rot. Evolves with Bone infusion.',
+    stats: { damage: 22, critChance: 4 },
+    weaponModel: 'spear',
+    levelRequired: 12,
+    category: 'weapon',
+  },
+  
   // ===================================
   // ARMOR - Blacksmith Secondary Stock
   // ===================================
@@ -252,6 +338,34 @@ export const SHOP_ITEMS = {
     category: 'shield',
   },
   
+  // --- FACTION GEAR (reputation-gated) ---
+  ashvale_warden_shield: {
+    id: 'ashvale_warden_shield',
+    name: "Warden's Heater",
+    type: 'equipment',
+    slot: EQUIPMENT_SLOTS.ACCESSORY,
+    basePrice: 650,
+    rarity: RARITY.RARE,
+    description: 'Carried by the wardens of Ashvale. Only sold to friends of the village.',
+    stats: { defense: 24, health: 25 },
+    levelRequired: 6,
+    reputation: { faction: 'village', tier: 'HONORED' },
+    category: 'shield',
+  },
+  union_brigandine: {
+    id: 'union_brigandine',
+    name: 'Union Brigandine',
+    type: 'equipment',
+    slot: EQUIPMENT_SLOTS.ARMOR,
+    basePrice: 900,
+    rarity: RARITY.RARE,
+    description: 'Caravan-guard armor, riveted with Union coin plates.',
+    stats: { defense: 26, health: 30 },
+    levelRequired: 8,
+    reputation: { faction: 'merchants_union', tier: 'HONORED' },
+    category: 'armor',
+  },
+  
   // ===================================
   // POTIONS - Healer Stock
   // ===================================
@@ -302,6 +416,7 @@ export const SHOP_ITEMS = {
     description: 'Restores 400 HP and grants regen.',
     effect: { healAmount: 400, regen: 10 },
     levelRequired: 15,
+    reputation: { faction: 'village', tier: 'FRIENDLY' },
     category: 'potion',
   },
   stamina_potion: {
@@ -647,10 +762,15 @@ export const MERCHANT_INVENTORIES = {
       'hand_axe', 'battle_axe', 'executioner_axe',
       // Spears
       'wooden_spear', 'iron_spear', 'halberd',
+      // Twin daggers / greatshields / bone weapons
+      'twin_fangs', 'venom_twins', 'iron_bulwark', 'rimeguard',
+      'marrow_blade', 'ossuary_spike',
       // Armor
       'leather_armor', 'chainmail_armor', 'knight_armor', 'obsidian_mail',
       // Shields
       'iron_shield', 'steel_shield', 'tower_shield',
+      // Faction gear
+      'ashvale_warden_shield', 'union_brigandine',
       // Utility
       'repair_powder',
       // Phase 23: Crafting materials and recipes
@@ -705,7 +825,7 @@ export const MERCHANT_INVENTORIES = {
       // Combat consumables
       'throwing_knife', 'firebomb',
       // Basic equipment for those without a blacksmith
-      'leather_armor',
+      'leather_armor', 'union_brigandine',
       // Phase 23: Basic crafting materials
       'iron_ore_stack', 'copper_ore_stack', 'healing_herb',
       'leather_scrap', 'cloth_bundle', 'thread_spool',
@@ -736,20 +856,21 @@ export const MERCHANT_INVENTORIES = {
 // ========== HELPER FUNCTIONS ==========
 
 /**
- * Get items available for a merchant based on player level
+ * Get items available for a merchant based on player level and reputation
  * @param {string} merchantType - Type of merchant (blacksmith, healer, merchant, elder)
  * @param {number} playerLevel - Current player level
+ * @param {Function} [getReputation] - factionId -> rep; without it faction items stay hidden
  * @returns {Array} Array of available item IDs
  */
-export function getAvailableItems(merchantType, playerLevel) {
+export function getAvailableItems(merchantType, playerLevel, getReputation = null) {
   const inventory = MERCHANT_INVENTORIES[merchantType];
   if (!inventory) return [];
   
-  // Filter items by level requirement
+  // Filter items by level and reputation requirement
   const available = inventory.items.filter(itemId => {
     const item = SHOP_ITEMS[itemId];
     if (!item) return false;
-    return item.levelRequired <= playerLevel;
+    return item.levelRequired <= playerLevel && meetsReputation(item.reputation, getReputation);
   });
   
   return available;
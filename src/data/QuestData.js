@@ -14,6 +14,11 @@ export const QUEST_TYPE = {
   DELIVER: 'deliver',     // Bring item to NPC
   ESCORT: 'escort',       // Protect NPC to destination
   BOSS: 'boss',           // Defeat specific boss
+  SURVIVE: 'survive',     // Live through N nights
+  DEFEND: 'defend',       // Hold a location against enemy waves
+  PUZZLE: 'puzzle',       // Solve dungeon puzzles
+  CRAFT: 'craft',         // Craft items at a station
+  DUNGEON: 'dungeon',     // Clear dungeons (optionally with a modifier)
 };
 
 // ========== QUEST STATUS ==========
@@ -50,6 +55,13 @@ export const OBJECTIVE_TYPE = {
   USE_ITEM: 'use_item',
   CRAFT_ITEM: 'craft_item',
   SURVIVE_TIME: 'survive_time',
+  MAKE_CHOICE: 'make_choice', // Branch point: options pick the next quest
+  SURVIVE_NIGHTS: 'survive_nights',   // Dusk to dawn without dying
+  DEFEND_LOCATION: 'defend_location', // One progress per enemy wave cleared
+  TIMED_HUNT: 'timed_hunt',           // Kills must land within timeLimitSeconds
+  SOLVE_PUZZLE: 'solve_puzzle',
+  CLEAR_DUNGEON: 'clear_dungeon',
+  BOUNTY_TARGET: 'bounty_target',     // One named mark, spawned when the player nears its position
 };
 
 // ========== QUEST GIVERS (NPCs) ==========
@@ -118,6 +130,15 @@ export const QUEST_GIVERS = {
     position: { x: 30, y: 0, z: -30 },
     icon: '🎭',
   },
+  NOTICE_BOARD: {
+    id: 'notice_board',
+    name: 'Notice Board',
+    title: 'Bounties & Odd Jobs',
+    location: 'ashvale_village',
+    position: { x: -4, y: 0, z: 10 },
+    icon: '📋',
+    isNoticeBoard: true, // Opens the bounty board instead of a conversation
+  },
 };
 
 // ========== EXPLORATION AREAS ==========
@@ -1100,6 +1121,455 @@ export const QUESTS = {
     },
   },
 
+  // ==========================================
+  // TOLL ROAD CHAIN (BRANCHING)
+  // ==========================================
+  
+  THE_TOLL_ROAD: {
+    id: 'the_toll_road',
+    title: 'The Toll Road',
+    description: 'Someone is charging travelers a toll on the crossroads road. Lydia wants to know who - and what you mean to do about it.',
+    type: QUEST_TYPE.EXPLORE,
+    difficulty: QUEST_DIFFICULTY.NORMAL,
+    recommendedLevel: 4,
+    giver: 'merchant_lydia',
+    turnIn: 'merchant_lydia',
+    
+    objectives: [
+      {
+        id: 'obj_1',
+        type: OBJECTIVE_TYPE.VISIT_LOCATION,
+        target: 'toll_camp',
+        targetName: 'Bandit Toll Camp',
+        position: { x: 40, y: 0, z: 35 },
+        radius: 12,
+        required: 1,
+        current: 0,
+        isOptional: false,
+      },
+      {
+        id: 'obj_2',
+        type: OBJECTIVE_TYPE.MAKE_CHOICE,
+        target: 'toll_road_deal',
+        targetName: "Decide the Toll Road's Fate",
+        npc: 'merchant_lydia',
+        prompt: "So? Who's bleeding my customers dry out there?",
+        required: 1,
+        current: 0,
+        isOptional: false,
+        options: [
+          {
+            id: 'report_bandits',
+            label: 'Tell Lydia everything',
+            description: 'The Union will want the camp gone. The bandits will not forget it.',
+            response: "Bandits, bold as brass. Right - the Union will pay well to see that road cleared.",
+            reputation: { merchants_union: 100, bandits: -150 },
+            unlocks: ['clear_the_toll_road'],
+          },
+          {
+            id: 'take_the_bribe',
+            label: 'Cover for the bandits',
+            description: 'Pocket their bribe and keep quiet. Lydia will find out eventually.',
+            response: "Nobody? Strange... well, keep your eyes open. I'll find other escorts for now.",
+            reputation: { bandits: 150, merchants_union: -100 },
+            unlocks: ['smugglers_run'],
+            fails: ['escort_the_merchant'],
+          },
+        ],
+      },
+    ],
+    
+    optionalObjectives: [],
+    
+    rewards: reward(60, 120),
+    
+    prerequisites: ['merchant_delivery'],
+    unlocks: [],
+    
+    isRepeatable: false,
+    cooldownHours: 0,
+    timeLimitMinutes: 0,
+    
+    dialogue: {
+      intro: "Travelers keep arriving with lighter purses and stories of a 'road toll'. Find out who's behind it.",
+      accept: "The camp should be somewhere east of the crossroads. Look, listen, then come back to me.",
+      progress: "Found the toll takers yet?",
+      complete: "Whatever you decided out there, you kept your word to look. That's worth something.",
+    },
+  },
+
+  CLEAR_THE_TOLL_ROAD: {
+    id: 'clear_the_toll_road',
+    title: 'Clear the Toll Road',
+    description: 'The Merchants Union has put a bounty on the toll camp. Drive the bandits off the crossroads road for good.',
+    type: QUEST_TYPE.KILL,
+    difficulty: QUEST_DIFFICULTY.NORMAL,
+    recommendedLevel: 5,
+    giver: 'merchant_lydia',
+    turnIn: 'merchant_lydia',
+    
+    objectives: [
+      {
+        id: 'obj_1',
+        type: OBJECTIVE_TYPE.KILL_ENEMY,
+        target: 'bandit',
+        targetName: 'Toll Road Bandits',
+        required: 6,
+        current: 0,
+        isOptional: false,
+      },
+      {
+        id: 'obj_2',
+        type: OBJECTIVE_TYPE.KILL_ENEMY,
+        target: 'bandit_leader',
+        targetName: 'Toll Master',
+        required: 1,
+        current: 0,
+        isOptional: false,
+      },
+    ],
+    
+    optionalObjectives: [],
+    
+    rewards: reward(180, 260, ['merchant_discount_token']),
+    
+    prerequisites: ['the_toll_road'],
+    unlocks: [],
+    
+    isRepeatable: false,
+    cooldownHours: 0,
+    timeLimitMinutes: 0,
+    
+    dialogue: {
+      intro: "The Union has posted a bounty on that camp. Interested?",
+      accept: "Break the camp and bring down whoever runs it. The road should be free to walk.",
+      progress: "Caravans are still being stopped. Keep at it.",
+      complete: "The road's open again! The Union won't forget this.",
+    },
+  },
+
+  SMUGGLERS_RUN: {
+    id: 'smugglers_run',
+    title: "Smuggler's Run",
+    description: "Your silence bought you friends. The bandits' fence needs a crate carried past the Union's eyes.",
+    type: QUEST_TYPE.DELIVER,
+    difficulty: QUEST_DIFFICULTY.NORMAL,
+    recommendedLevel: 5,
+    giver: 'mysterious_stranger',
+    turnIn: 'mysterious_stranger',
+    
+    objectives: [
+      {
+        id: 'obj_1',
+        type: OBJECTIVE_TYPE.VISIT_LOCATION,
+        target: 'smugglers_cache',
+        targetName: "Smugglers' Cache",
+        position: { x: 55, y: 0, z: -15 },
+        radius: 10,
+        required: 1,
+        current: 0,
+        isOptional: false,
+      },
+      {
+        id: 'obj_2',
+        type: OBJECTIVE_TYPE.DELIVER_ITEM,
+        target: 'contraband_crate',
+        targetName: 'Contraband Crate',
+        recipient: 'mysterious_stranger',
+        recipientName: 'The Stranger',
+        required: 1,
+        current: 0,
+        isOptional: false,
+        questItem: true,
+        autoReceived: true,
+      },
+    ],
+    
+    optionalObjectives: [],
+    
+    rewards: reward(260, 180),
+    
+    prerequisites: ['the_toll_road'],
+    unlocks: [],
+    
+    isRepeatable: false,
+    cooldownHours: 0,
+    timeLimitMinutes: 20,
+    
+    dialogue: {
+      intro: "Our friends on the road speak well of you. They have a crate that must not meet a Union inspector.",
+      accept: "Stop by the cache, then bring the crate to me. Quickly, and quietly.",
+      progress: "The crate. Where is it?",
+      complete: "Not a scratch on it. You'll find the road is kinder to you from now on.",
+    },
+  },
+
+  // ==========================================
+  // SURVIVAL / DEFENSE / CRAFT / PUZZLE / DUNGEON QUESTS
+  // ==========================================
+  
+  APPRENTICES_TEST: {
+    id: 'apprentices_test',
+    title: "The Apprentice's Test",
+    description: 'Greta wants proof you can work a forge before she trusts you with real commissions. Refine steel and craft a sword.',
+    type: QUEST_TYPE.CRAFT,
+    difficulty: QUEST_DIFFICULTY.EASY,
+    recommendedLevel: 2,
+    giver: 'blacksmith_greta',
+    turnIn: 'blacksmith_greta',
+    
+    objectives: [
+      {
+        id: 'obj_1',
+        type: OBJECTIVE_TYPE.CRAFT_ITEM,
+        target: 'refined_steel',
+        targetName: 'Refine Steel',
+        required: 2,
+        current: 0,
+        isOptional: false,
+      },
+      {
+        id: 'obj_2',
+        type: OBJECTIVE_TYPE.CRAFT_ITEM,
+        target: 'iron_sword',
+        targetName: 'Craft an Iron Sword',
+        required: 1,
+        current: 0,
+        isOptional: false,
+      },
+    ],
+    
+    optionalObjectives: [],
+    
+    rewards: reward(90, 140),
+    
+    prerequisites: [],
+    unlocks: [],
+    
+    isRepeatable: false,
+    cooldownHours: 0,
+    timeLimitMinutes: 0,
+    
+    dialogue: {
+      intro: "Anyone can swing a sword. Let's see if you can make one.",
+      accept: "Refine a couple of steel ingots at the workbench, then forge an iron sword from scratch.",
+      progress: "Steady hands. Heat, hammer, quench.",
+      complete: "Not bad at all! A little rough at the edges, but it'll hold.",
+    },
+  },
+
+  SLEEPLESS_VIGIL: {
+    id: 'sleepless_vigil',
+    title: 'Sleepless Vigil',
+    description: 'Things walk the roads after dark. Captain Theron needs someone who can stay out from dusk until dawn - and live.',
+    type: QUEST_TYPE.SURVIVE,
+    difficulty: QUEST_DIFFICULTY.NORMAL,
+    recommendedLevel: 3,
+    giver: 'guard_captain_theron',
+    turnIn: 'guard_captain_theron',
+    
+    objectives: [
+      {
+        id: 'obj_1',
+        type: OBJECTIVE_TYPE.SURVIVE_NIGHTS,
+        target: 'night',
+        targetName: 'Survive Nights Without Dying',
+        required: 2,
+        current: 0,
+        isOptional: false,
+      },
+    ],
+    
+    optionalObjectives: [],
+    
+    rewards: reward(120, 200),
+    
+    prerequisites: ['guard_duty'],
+    unlocks: ['hold_the_line'],
+    
+    isRepeatable: false,
+    cooldownHours: 0,
+    timeLimitMinutes: 0,
+    
+    dialogue: {
+      intro: "My night watch keeps coming back short. I need to know what's out there - from someone who makes it to morning.",
+      accept: "Stay out through two full nights. Die, and the night doesn't count.",
+      progress: "Still breathing? Good. Another night, then.",
+      complete: "Two nights and not a scratch worth mentioning. You're made for the watch.",
+    },
+  },
+
+  HOLD_THE_LINE: {
+    id: 'hold_the_line',
+    title: 'Hold the Line',
+    description: 'Hollow raiders are massing for an assault on Ashvale. Stand at the village edge and break every wave.',
+    type: QUEST_TYPE.DEFEND,
+    difficulty: QUEST_DIFFICULTY.HARD,
+    recommendedLevel: 5,
+    giver: 'guard_captain_theron',
+    turnIn: 'guard_captain_theron',
+    
+    objectives: [
+      {
+        id: 'obj_1',
+        type: OBJECTIVE_TYPE.DEFEND_LOCATION,
+        target: 'ashvale_gate',
+        targetName: 'Defend the Village Gate',
+        position: { x: 0, y: 0, z: 30 },
+        radius: 25,
+        enemyTypes: ['HOLLOW_SOLDIER', 'BERSERKER'],
+        waveSize: 3,
+        waveIntervalSeconds: 15,
+        required: 3, // Waves
+        current: 0,
+        isOptional: false,
+      },
+    ],
+    
+    optionalObjectives: [],
+    
+    rewards: reward(250, 350, ['guard_shield']),
+    
+    prerequisites: ['sleepless_vigil'],
+    unlocks: [],
+    
+    isRepeatable: false,
+    cooldownHours: 0,
+    timeLimitMinutes: 0,
+    
+    dialogue: {
+      intro: "They're coming in force this time. I need every blade at the gate.",
+      accept: "Get to the gate. Waves will come one after another - if you fall back, they'll regroup.",
+      progress: "Hold that gate!",
+      complete: "They broke before we did. Ashvale owes you, and so do I.",
+    },
+  },
+
+  HOLLOW_PURGE: {
+    id: 'hollow_purge',
+    title: 'Hollow Purge',
+    description: "Jorik bets you can't put down six Hollow soldiers before the trail goes cold. Kills only count inside the hunt window.",
+    type: QUEST_TYPE.KILL,
+    difficulty: QUEST_DIFFICULTY.NORMAL,
+    recommendedLevel: 3,
+    giver: 'hunter_jorik',
+    turnIn: 'hunter_jorik',
+    
+    objectives: [
+      {
+        id: 'obj_1',
+        type: OBJECTIVE_TYPE.TIMED_HUNT,
+        target: 'hollow_soldier',
+        targetName: 'Hollow Soldiers (3 min window)',
+        timeLimitSeconds: 180, // Window opens on the first kill; progress resets when it closes
+        required: 6,
+        current: 0,
+        isOptional: false,
+      },
+    ],
+    
+    optionalObjectives: [],
+    
+    rewards: reward(110, 160),
+    
+    prerequisites: [],
+    unlocks: [],
+    
+    isRepeatable: true,
+    cooldownHours: 12,
+    timeLimitMinutes: 0,
+    
+    dialogue: {
+      intro: "Fancy a wager? Six Hollows, one hunt, three minutes from the first kill.",
+      accept: "Clock starts when the first one drops. Let the window close and you start over.",
+      progress: "Trail's still warm - move!",
+      complete: "Ha! Six clean kills inside the window. Here's my coin, fair and square.",
+    },
+  },
+
+  ECHOES_IN_STONE: {
+    id: 'echoes_in_stone',
+    title: 'Echoes in Stone',
+    description: 'Selene believes the dungeon mechanisms follow one ancient design. Solve puzzles in the depths so she can study the pattern.',
+    type: QUEST_TYPE.PUZZLE,
+    difficulty: QUEST_DIFFICULTY.NORMAL,
+    recommendedLevel: 5,
+    giver: 'mage_selene',
+    turnIn: 'mage_selene',
+    
+    objectives: [
+      {
+        id: 'obj_1',
+        type: OBJECTIVE_TYPE.SOLVE_PUZZLE,
+        target: 'any',
+        targetName: 'Solve Dungeon Puzzles',
+        required: 2,
+        current: 0,
+        isOptional: false,
+      },
+    ],
+    
+    optionalObjectives: [],
+    
+    rewards: reward(150, 220),
+    
+    prerequisites: ['explore_the_ruins'],
+    unlocks: [],
+    
+    isRepeatable: false,
+    cooldownHours: 0,
+    timeLimitMinutes: 0,
+    
+    dialogue: {
+      intro: "Plates, levers, crystals... the old builders left riddles everywhere. I want to know why.",
+      accept: "Solve two of their puzzles. Pay attention to how each one resolves.",
+      progress: "Any mechanisms yield to you yet?",
+      complete: "The same principle, both times! This changes everything I thought about the builders.",
+    },
+  },
+
+  TRIAL_OF_THE_ELITE: {
+    id: 'trial_of_the_elite',
+    title: 'Trial of the Elite',
+    description: 'The Hunters Guild only honors those who clear a dungeon under the Elite modifier. Prove yourself.',
+    type: QUEST_TYPE.DUNGEON,
+    difficulty: QUEST_DIFFICULTY.ELITE,
+    recommendedLevel: 8,
+    giver: 'hunter_jorik',
+    turnIn: 'hunter_jorik',
+    
+    objectives: [
+      {
+        id: 'obj_1',
+        type: OBJECTIVE_TYPE.CLEAR_DUNGEON,
+        target: 'any',
+        modifier: 'elite',
+        targetName: 'Clear a Dungeon on Elite',
+        required: 1,
+        current: 0,
+        isOptional: false,
+      },
+    ],
+    
+    optionalObjectives: [],
+    
+    rewards: reward(400, 550),
+    
+    prerequisites: ['hollow_purge'],
+    unlocks: [],
+    
+    isRepeatable: false,
+    cooldownHours: 0,
+    timeLimitMinutes: 0,
+    
+    dialogue: {
+      intro: "Beasts are one thing. The guild's real trial is below ground, with the odds stacked against you.",
+      accept: "Take an elite key, go down, and come back with the dungeon cleared.",
+      progress: "No shame in waiting until you're ready. But don't wait forever.",
+      complete: "An elite clear! Welcome to the guild's inner circle, hunter.",
+    },
+  },
+
   // ==========================================
   // TIME-LIMITED DAILY QUEST
   // ==========================================
@@ -1202,6 +1672,20 @@ export const QUEST_CHAINS = {
     quests: ['stranger_introduction', 'stranger_true_purpose'],
     description: 'A shadowy figure has plans...',
   },
+  
+  TOLL_ROAD: {
+    id: 'toll_road',
+    name: 'The Toll Road',
+    quests: ['the_toll_road', 'clear_the_toll_road', 'smugglers_run'],
+    description: 'Side with the Merchants Union or the bandits on the crossroads road',
+  },
+  
+  NIGHT_WATCH: {
+    id: 'night_watch',
+    name: 'The Night Watch',
+    quests: ['sleepless_vigil', 'hold_the_line'],
+    description: "Stand watch for Captain Theron, then hold Ashvale's gate",
+  },
 };
 
 // ========== DIFFICULTY SCALING ==========
@@ -1216,11 +1700,37 @@ export const DIFFICULTY_SCALE = {
 
 // ========== HELPER FUNCTIONS ==========
 
+// Procedural quests (bounty board) live outside QUESTS; getQuest() falls back to them
+const GENERATED_QUESTS = new Map(); // questId -> quest definition
+
 /**
  * Get quest by ID
  */
 export function getQuest(questId) {
-  return QUESTS[questId.toUpperCase()] || Object.values(QUESTS).find(q => q.id === questId);
+  return QUESTS[questId.toUpperCase()] ||
+    Object.values(QUESTS).find(q => q.id === questId) ||
+    GENERATED_QUESTS.get(questId);
+}
+
+/**
+ * Make a generated quest resolvable through getQuest()
+ */
+export function registerGeneratedQuest(quest) {
+  GENERATED_QUESTS.set(quest.id, quest);
+}
+
+/**
+ * Forget a generated quest
+ */
+export function unregisterGeneratedQuest(questId) {
+  GENERATED_QUESTS.delete(questId);
+}
+
+/**
+ * All registered generated quests
+ */
+export function getGeneratedQuests() {
+  return Array.from(GENERATED_QUESTS.values());
 }
 
 /**
@@ -1231,15 +1741,81 @@ export function getQuestsForGiver(giverId) {
 }
 
 /**
- * Check if quest prerequisites are met
+ * Check if quest prerequisites are met. Quests on a branch also need the
+ * choice that unlocks them (choices: [{ questId, optionId }]).
  */
-export function arePrerequisitesMet(questId, completedQuests = []) {
+export function arePrerequisitesMet(questId, completedQuests = [], choices = []) {
   const quest = getQuest(questId);
   if (!quest) return false;
+  
+  const origin = getBranchOrigin(questId);
+  if (origin && !choices.some(c => c.questId === origin.questId && c.optionId === origin.optionId)) {
+    return false;
+  }
+  
   if (!quest.prerequisites || quest.prerequisites.length === 0) return true;
   return quest.prerequisites.every(prereq => completedQuests.includes(prereq));
 }
 
+// ========== BRANCHING ==========
+
+/**
+ * Choice objectives of a quest definition or quest state
+ */
+export function getChoiceObjectives(objectives = []) {
+  return objectives.filter(obj => obj.type === OBJECTIVE_TYPE.MAKE_CHOICE);
+}
+
+/**
+ * The choice objective waiting on the player: the first unmade one whose
+ * earlier objectives are all complete. Null if none.
+ */
+export function getPendingChoice(objectives = []) {
+  for (const obj of objectives) {
+    if (obj.type === OBJECTIVE_TYPE.MAKE_CHOICE && !obj.chosen) return obj;
+    if (obj.current < obj.required) return null;
+  }
+  return null;
+}
+
+/**
+ * Which choice unlocks a quest: { questId, objectiveId, optionId }, or null
+ * for quests that aren't on a branch
+ */
+export function getBranchOrigin(questId) {
+  for (const quest of Object.values(QUESTS)) {
+    for (const obj of getChoiceObjectives(quest.objectives)) {
+      const option = obj.options.find(opt => opt.unlocks?.includes(questId));
+      if (option) return { questId: quest.id, objectiveId: obj.id, optionId: option.id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Quests closed off by picking an option: the other options' branches plus
+ * anything the option lists under `fails`
+ */
+export function getCompetingQuests(objective, optionId) {
+  const chosen = objective.options.find(opt => opt.id === optionId);
+  const competing = new Set(chosen?.fails || []);
+  objective.options
+    .filter(opt => opt.id !== optionId)
+    .forEach(opt => (opt.unlocks || []).forEach(id => competing.add(id)));
+  (chosen?.unlocks || []).forEach(id => competing.delete(id));
+  return Array.from(competing);
+}
+
+/**
+ * Quests unlocked by the options chosen in a quest state
+ */
+export function getChosenUnlocks(objectives = []) {
+  return getChoiceObjectives(objectives).flatMap(obj => {
+    const option = obj.options.find(opt => opt.id === obj.chosen);
+    return option?.unlocks || [];
+  });
+}
+
 /**
  * Get difficulty relative to player level
  */
@@ -1271,12 +1847,23 @@ export function getQuestChain(questId) {
 }
 
 /**
- * Get next quest in chain
+ * Get next quest in chain. Branch points follow the chosen option
+ * (choices: [{ questId, optionId }]) and have no next quest until then.
  */
-export function getNextInChain(questId) {
+export function getNextInChain(questId, choices = []) {
   const chain = getQuestChain(questId);
   if (!chain) return null;
   
+  const quest = getQuest(questId);
+  const branchPoints = getChoiceObjectives(quest?.objectives);
+  if (branchPoints.length > 0) {
+    const picked = choices.find(c => c.questId === questId);
+    const option = picked && branchPoints
+      .flatMap(obj => obj.options)
+      .find(opt => opt.id === picked.optionId);
+    return option?.unlocks?.find(id => chain.quests.includes(id)) || null;
+  }
+  
   const index = chain.quests.indexOf(questId);
   if (index === -1 || index === chain.quests.length - 1) return null;
   
@@ -1310,12 +1897,20 @@ export default {
   QUEST_CHAINS,
   DIFFICULTY_SCALE,
   getQuest,
+  registerGeneratedQuest,
+  unregisterGeneratedQuest,
+  getGeneratedQuests,
   getQuestsForGiver,
   arePrerequisitesMet,
   getRelativeDifficulty,
   getQuestsByType,
   getQuestChain,
   getNextInChain,
+  getChoiceObjectives,
+  getPendingChoice,
+  getBranchOrigin,
+  getCompetingQuests,
+  getChosenUnlocks,
   getExplorationArea,
   getQuestGiver,
 };
@@ -3,7 +3,7 @@
  * Phase 23: Crafting System
  * 
  * Defines all craftable recipes: weapons, armor, potions, accessories, upgrades.
- * Recipes are unlocked via exploration, NPCs, chests, and boss drops.
+ * Recipes are unlocked via exploration, NPCs, chests, boss drops and faction reputation.
  * 
  * NOTE: Worker 1 will expand this with 40+ recipes as per Phase 23 specs.
  */
@@ -71,6 +71,7 @@ export const UNLOCK_METHOD = {
   EXPLORATION: 'exploration',
   QUEST_REWARD: 'quest_reward',
   LEVEL_UP: 'level_up',
+  REPUTATION: 'reputation', // Taught once recipe.reputation's tier is reached
 };
 
 // ========== CRAFTING STATIONS ==========
@@ -720,6 +721,119 @@ export const RECIPES = {
     station: CRAFTING_STATION.FORGE,
     rarity: 'legendary',
   },
+  
+  // ==================== FACTION RECIPES (reputation) ====================
+  
+  trackers_charm: {
+    id: 'trackers_charm',
+    name: "Tracker's Charm",
+    category: RECIPE_CATEGORY.ACCESSORY,
+    description: 'Hunters Guild token. Sharpens the eye for weak points.',
+    materials: [
+      { materialId: 'wolf_fang', qty: 3 },
+      { materialId: 'beast_hide', qty: 2 },
+      { materialId: 'thread', qty: 1 },
+    ],
+    result: { itemId: 'trackers_charm', qty: 1 },
+    craftingTime: 4.0,
+    requiredLevel: 4,
+    unlockMethod: UNLOCK_METHOD.REPUTATION,
+    reputation: { faction: 'hunters_guild', tier: 'FRIENDLY' },
+    station: CRAFTING_STATION.WORKBENCH,
+    rarity: 'uncommon',
+    resultStats: {
+      critBonus: 8,
+    },
+  },
+  
+  guild_beastbane: {
+    id: 'guild_beastbane',
+    name: 'Guild Beastbane',
+    category: RECIPE_CATEGORY.WEAPON,
+    description: 'Broad hunting blade forged to the Guild pattern.',
+    materials: [
+      { materialId: 'refined_steel', qty: 3 },
+      { materialId: 'wolf_fang', qty: 4 },
+      { materialId: 'beast_hide', qty: 2 },
+    ],
+    result: { itemId: 'guild_beastbane', qty: 1 },
+    craftingTime: 8.0,
+    requiredLevel: 9,
+    unlockMethod: UNLOCK_METHOD.REPUTATION,
+    reputation: { faction: 'hunters_guild', tier: 'HONORED' },
+    station: CRAFTING_STATION.FORGE,
+    rarity: 'rare',
+    resultStats: {
+      damage: 34,
+      scaling: { strength: 'C', dexterity: 'B' },
+      critBonus: 10,
+    },
+  },
+  
+  circle_focus_ring: {
+    id: 'circle_focus_ring',
+    name: 'Circle Focus Ring',
+    category: RECIPE_CATEGORY.ACCESSORY,
+    description: 'Mages Circle focus. Steadies the flow of mana.',
+    materials: [
+      { materialId: 'amethyst', qty: 1 },
+      { materialId: 'mana_bloom', qty: 3 },
+      { materialId: 'enchanted_dust', qty: 2 },
+    ],
+    result: { itemId: 'circle_focus_ring', qty: 1 },
+    craftingTime: 5.0,
+    requiredLevel: 5,
+    unlockMethod: UNLOCK_METHOD.REPUTATION,
+    reputation: { faction: 'mages_circle', tier: 'FRIENDLY' },
+    station: CRAFTING_STATION.WORKBENCH,
+    rarity: 'uncommon',
+    resultStats: {
+      manaBonus: 20,
+    },
+  },
+  
+  circle_warding_robe: {
+    id: 'circle_warding_robe',
+    name: 'Circle Warding Robe',
+    category: RECIPE_CATEGORY.ARMOR,
+    description: 'Robes of a Circle magister, stitched with warding runes.',
+    materials: [
+      { materialId: 'cloth', qty: 6 },
+      { materialId: 'spider_silk', qty: 3 },
+      { materialId: 'ancient_rune', qty: 1 },
+    ],
+    result: { itemId: 'circle_warding_robe', qty: 1 },
+    craftingTime: 12.0,
+    requiredLevel: 12,
+    unlockMethod: UNLOCK_METHOD.REPUTATION,
+    reputation: { faction: 'mages_circle', tier: 'HONORED' },
+    station: CRAFTING_STATION.WORKBENCH,
+    rarity: 'rare',
+    resultStats: {
+      defense: 10,
+      magicDefense: 35,
+      manaBonus: 40,
+    },
+  },
+  
+  nightrunner_tonic: {
+    id: 'nightrunner_tonic',
+    name: 'Nightrunner Speed Tonic',
+    category: RECIPE_CATEGORY.POTION,
+    description: 'Shadow Broker courier brew. Greatly increases movement speed.',
+    materials: [
+      { materialId: 'shadow_fungus', qty: 2 },
+      { materialId: 'vitality_root', qty: 1 },
+      { materialId: 'glass', qty: 1 },
+    ],
+    result: { itemId: 'nightrunner_tonic', qty: 1 },
+    craftingTime: 3.0,
+    requiredLevel: 6,
+    unlockMethod: UNLOCK_METHOD.REPUTATION,
+    reputation: { faction: 'shadow_brokers', tier: 'FRIENDLY' },
+    station: CRAFTING_STATION.ALCHEMY_TABLE,
+    rarity: 'uncommon',
+  },
 };
 
 // ========== UTILITY FUNCTIONS ==========
@@ -0,0 +1,127 @@
+/**
+ * ReputationData.js - Reputation Tiers and Their Consequences
+ *
+ * Tier thresholds, plus what a faction's opinion of the player changes in the
+ * world: greeting sets (DialogueData), hostile ambush squads (ReputationEffects)
+ * and which factions hold the procedurally placed villages (VillageManager).
+ *
+ * Shop items and recipes gated by reputation carry their own requirement,
+ * next to levelRequired / requiredLevel:
+ *   reputation: { faction: 'merchants_union', tier: 'FRIENDLY' }
+ */
+
+// ========== REPUTATION TIERS ==========
+export const REP_TIERS = {
+  HATED: { name: 'Hated', min: -3000, color: '#ff0000', discount: 0.5 },
+  HOSTILE: { name: 'Hostile', min: -1000, color: '#ff4444', discount: 0.8 },
+  UNFRIENDLY: { name: 'Unfriendly', min: -100, color: '#ff8844', discount: 0.95 },
+  NEUTRAL: { name: 'Neutral', min: 0, color: '#aaaaaa', discount: 1.0 },
+  FRIENDLY: { name: 'Friendly', min: 500, color: '#88ff88', discount: 0.95 },
+  HONORED: { name: 'Honored', min: 2000, color: '#44ff44', discount: 0.9 },
+  REVERED: { name: 'Revered', min: 5000, color: '#44ffff', discount: 0.85 },
+  EXALTED: { name: 'Exalted', min: 10000, color: '#ffff44', discount: 0.8 },
+};
+
+/**
+ * Standing bands the world reacts to - lists of REP_TIERS keys.
+ * Dialogue conditions use them as { standing: STANDING.HOSTILE }.
+ */
+export const STANDING = {
+  HOSTILE: ['HATED', 'HOSTILE'],
+  FRIENDLY: ['FRIENDLY'],
+  HONORED: ['HONORED', 'REVERED', 'EXALTED'],
+};
+
+// ========== VILLAGES ==========
+// Faction holding each generated village (weights, picked per village from its seed)
+export const VILLAGE_FACTION_WEIGHTS = [
+  { faction: 'village', weight: 4 },
+  { faction: 'merchants_union', weight: 2 },
+  { faction: 'hunters_guild', weight: 2 },
+  { faction: 'bandits', weight: 2 },
+];
+
+// ========== AMBUSHES ==========
+export const AMBUSH_RADIUS = 60;          // Entering this range of a hostile village can trigger one
+export const AMBUSH_SPAWN_DISTANCE = 14;  // Squad appears in a ring this far from the player
+export const AMBUSH_COOLDOWN = 240;       // Seconds before the same village sends another squad
+
+/**
+ * Squads a faction sends once it holds the player at a hostile tier.
+ * Members are ENEMY_TYPES keys, renamed so the player knows who sent them.
+ */
+export const FACTION_AMBUSHES = {
+  village: {
+    message: 'Ashvale militia are out for your head!',
+    squad: [
+      { type: 'HOLLOW_SOLDIER', name: 'Ashvale Militiaman' },
+      { type: 'HOLLOW_SOLDIER', name: 'Ashvale Militiaman' },
+    ],
+  },
+  merchants_union: {
+    message: 'The Union has hired swords to settle your debt!',
+    squad: [
+      { type: 'BERSERKER', name: 'Union Sellsword' },
+      { type: 'SENTINEL', name: 'Caravan Guard' },
+    ],
+  },
+  hunters_guild: {
+    message: 'Guild hunters have your scent!',
+    squad: [
+      { type: 'CORRUPTED_ARCHER', name: 'Guild Tracker' },
+      { type: 'CORRUPTED_ARCHER', name: 'Guild Tracker' },
+      { type: 'BERSERKER', name: 'Guild Houndmaster' },
+    ],
+  },
+  bandits: {
+    message: 'Redmark bandits spring an ambush!',
+    squad: [
+      { type: 'BERSERKER', name: 'Redmark Cutthroat' },
+      { type: 'BERSERKER', name: 'Redmark Cutthroat' },
+      { type: 'CORRUPTED_ARCHER', name: 'Redmark Archer' },
+    ],
+  },
+};
+
+// ========== HELPERS ==========
+
+/**
+ * REP_TIERS key for a reputation value
+ */
+export function getRepTierKey(rep) {
+  let key = 'HATED';
+  for (const [tierKey, tier] of Object.entries(REP_TIERS)) {
+    if (rep >= tier.min) key = tierKey;
+  }
+  return key;
+}
+
+/**
+ * True if rep has reached the given tier
+ */
+export function meetsRepTier(rep, tierKey) {
+  return rep >= (REP_TIERS[tierKey]?.min ?? Infinity);
+}
+
+/**
+ * Check a { faction, tier } requirement against a reputation lookup
+ * @param {Function} getReputation - factionId -> rep
+ */
+export function meetsReputation(requirement, getReputation) {
+  if (!requirement) return true;
+  if (!getReputation) return false;
+  return meetsRepTier(getReputation(requirement.faction) || 0, requirement.tier);
+}
+
+export default {
+  REP_TIERS,
+  STANDING,
+  VILLAGE_FACTION_WEIGHTS,
+  AMBUSH_RADIUS,
+  AMBUSH_SPAWN_DISTANCE,
+  AMBUSH_COOLDOWN,
+  FACTION_AMBUSHES,
+  getRepTierKey,
+  meetsRepTier,
+  meetsReputation,
+};
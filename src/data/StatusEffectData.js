@@ -0,0 +1,138 @@
+/**
+ * StatusEffectData.js - Status Buildup (Bleed / Poison / Frost)
+ *
+ * Weapon movesets carry per-hit buildup values. Each hit fills the target's
+ * meter for that status; a full meter procs into burst damage, empties, and
+ * raises that status' threshold so repeated procs take longer.
+ * Meters drain over time when the target isn't being hit.
+ *
+ * Meters are plain objects owned by Enemy/Boss; the helpers below are pure.
+ */
+
+/**
+ * Status definitions
+ * - threshold: buildup needed to proc (before resistance)
+ * - decayPerSec: meter drain per second
+ * - burstFlat / burstPercent: proc damage = flat + percent of target max HP
+ * - burstPosture: posture damage dealt by the proc
+ * - procResistGain: threshold growth per proc (0.25 => +25%)
+ */
+export const STATUS_EFFECTS = {
+  bleed: {
+    id: 'bleed',
+    name: 'Bleed',
+    icon: '🩸',
+    color: '#c0202a',
+    threshold: 100,
+    decayPerSec: 10,
+    burstFlat: 20,
+    burstPercent: 0.15,
+    burstPosture: 0,
+    procResistGain: 0.25,
+  },
+  poison: {
+    id: 'poison',
+    name: 'Poison',
+    icon: '☠️',
+    color: '#6aa83a',
+    threshold: 80,
+    decayPerSec: 4,   // Lingers - slow drain
+    burstFlat: 10,
+    burstPercent: 0.10,
+    burstPosture: 0,
+    procResistGain: 0.2,
+  },
+  frost: {
+    id: 'frost',
+    name: 'Frost',
+    icon: '❄️',
+    color: '#7fc8ff',
+    threshold: 120,
+    decayPerSec: 8,
+    burstFlat: 30,
+    burstPercent: 0.08,
+    burstPosture: 40, // Frostbite cracks guard
+    procResistGain: 0.3,
+  },
+};
+
+/**
+ * Threshold multiplier for bosses (harder to proc)
+ */
+export const BOSS_STATUS_RESIST = 2.0;
+
+/**
+ * Fresh meters for every status
+ * @param {number} resistMult - Threshold multiplier (1 = normal enemy)
+ */
+export function createStatusMeters(resistMult = 1) {
+  const meters = {};
+  for (const effect of Object.values(STATUS_EFFECTS)) {
+    meters[effect.id] = {
+      value: 0,
+      threshold: effect.threshold * resistMult,
+      procs: 0,
+    };
+  }
+  return meters;
+}
+
+/**
+ * Add buildup to meters. Returns the status IDs that procced this hit.
+ * @param {object} meters - From createStatusMeters()
+ * @param {object} buildup - e.g. { bleed: 18 }
+ */
+export function addStatusBuildup(meters, buildup) {
+  const procs = [];
+  if (!buildup) return procs;
+
+  for (const [id, amount] of Object.entries(buildup)) {
+    const meter = meters[id];
+    if (!meter || !amount) continue;
+
+    meter.value += amount;
+    if (meter.value >= meter.threshold) {
+      meter.value = 0;
+      meter.procs++;
+      meter.threshold *= 1 + STATUS_EFFECTS[id].procResistGain;
+      procs.push(id);
+    }
+  }
+  return procs;
+}
+
+/**
+ * Drain meters over time
+ */
+export function decayStatusMeters(meters, delta) {
+  for (const [id, meter] of Object.entries(meters)) {
+    if (meter.value > 0) {
+      meter.value = Math.max(0, meter.value - STATUS_EFFECTS[id].decayPerSec * delta);
+    }
+  }
+}
+
+/**
+ * Burst damage dealt when a status procs
+ */
+export function getStatusProcDamage(statusId, maxHealth) {
+  const effect = STATUS_EFFECTS[statusId];
+  if (!effect) return 0;
+  return Math.round(effect.burstFlat + effect.burstPercent * maxHealth);
+}
+
+/**
+ * Sum two buildup maps, scaling the second (for weapon-level extras / evolution)
+ */
+export function mergeBuildup(base, extra, mult = 1) {
+  const result = { ...(base || {}) };
+  for (const [id, amount] of Object.entries(extra || {})) {
+    result[id] = (result[id] || 0) + amount;
+  }
+  if (mult !== 1) {
+    for (const id of Object.keys(result)) {
+      result[id] = Math.round(result[id] * mult);
+    }
+  }
+  return result;
+}
@@ -4,8 +4,15 @@
  * 
  * Defines weapon categories, stats, movesets, and scaling.
  * Integrates with MerchantData.js and EquipmentManager.js
+ * 
+ * Moveset extras:
+ * - buildup: per-hit status buildup ({ bleed, poison, frost }, see StatusEffectData.js)
+ * - dodgeCancel: attack recovery can be cancelled into a dodge once the hit lands
+ * - postureMultiplier: scales posture damage (greatshield bashes)
  */
 
+import { mergeBuildup } from './StatusEffectData.js';
+
 // ========== WEAPON CATEGORIES ==========
 export const WEAPON_CATEGORY = {
   SWORD: {
@@ -73,6 +80,45 @@ export const WEAPON_CATEGORY = {
     secondaryScaling: null,
     scalingRatio: [1.0, 0],
   },
+  TWIN_DAGGERS: {
+    id: 'twin_daggers',
+    name: 'Twin Daggers',
+    description: 'A blade in each hand. Every cut opens a wound; roll out of any swing.',
+    icon: '🗡️',
+    baseSpeed: 1.7,
+    baseRange: 0.55,
+    baseDamage: 0.6,
+    staminaMult: 0.5,
+    primaryScaling: 'DEX',
+    secondaryScaling: null,
+    scalingRatio: [1.0, 0],
+  },
+  GREATSHIELD: {
+    id: 'greatshield',
+    name: 'Greatshield',
+    description: 'A wall of iron. Bashes crush posture and stagger the bold.',
+    icon: '🛡️',
+    baseSpeed: 0.6,
+    baseRange: 0.7,
+    baseDamage: 1.1,
+    staminaMult: 1.4,
+    primaryScaling: 'STR',
+    secondaryScaling: 'END',
+    scalingRatio: [0.7, 0.3],
+  },
+  BONE: {
+    id: 'bone',
+    name: 'Bone Weapon',
+    description: 'Living weapons grown from marrow. They evolve as Bone infusion deepens.',
+    icon: '🦴',
+    baseSpeed: 1.0,
+    baseRange: 1.0,
+    baseDamage: 0.9,
+    staminaMult: 1.0,
+    primaryScaling: 'STR',
+    secondaryScaling: 'DEX',
+    scalingRatio: [0.5, 0.5],
+  },
 };
 
 // ========== RARITY MODIFIERS ==========
@@ -234,6 +280,8 @@ export const MOVESETS = {
       canCombo: true,
       comboWindow: 0.4,
       critBonus: 5, // Extra crit chance
+      buildup: { bleed: 12 },
+      dodgeCancel: true,
     },
     heavy: {
       name: 'Rapid Multi-Stab',
@@ -248,6 +296,45 @@ export const MOVESETS = {
       canCombo: false,
       multiHit: 4, // Number of hits
       critBonus: 10,
+      buildup: { bleed: 32 }, // Total across all hits
+      dodgeCancel: true,
+    },
+  },
+  
+  // ===== TWIN DAGGERS =====
+  twin_daggers: {
+    light: {
+      name: 'Cross Slash',
+      animation: 'dagger_stab',
+      damageMultiplier: 0.65,
+      staminaCost: 5,
+      duration: 0.22,
+      windupTime: 0.04,
+      recoveryTime: 0.1,
+      hitboxWidth: 0.8,
+      hitboxDepth: 0.6,
+      canCombo: true,
+      comboWindow: 0.45,
+      multiHit: 2,
+      critBonus: 5,
+      buildup: { bleed: 20 },
+      dodgeCancel: true,
+    },
+    heavy: {
+      name: 'Whirling Cuts',
+      animation: 'dagger_flurry',
+      damageMultiplier: 1.5, // Total (multiple small hits)
+      staminaCost: 18,
+      duration: 0.55,
+      windupTime: 0.06,
+      recoveryTime: 0.2,
+      hitboxWidth: 1.4,
+      hitboxDepth: 1.0,
+      canCombo: false,
+      multiHit: 6,
+      areaAttack: true,
+      buildup: { bleed: 45 },
+      dodgeCancel: true,
     },
   },
   
@@ -283,8 +370,84 @@ export const MOVESETS = {
       stagger: true, // Guaranteed stagger on hit
     },
   },
+  
+  // ===== GREATSHIELDS =====
+  greatshield: {
+    light: {
+      name: 'Shield Bash',
+      animation: 'gs_sweep',
+      damageMultiplier: 0.8,
+      staminaCost: 16,
+      duration: 0.5,
+      windupTime: 0.15,
+      recoveryTime: 0.25,
+      hitboxWidth: 1.4,
+      hitboxDepth: 0.8,
+      canCombo: true,
+      comboWindow: 0.25,
+      knockback: 2.5,
+      postureMultiplier: 2.0,
+    },
+    heavy: {
+      name: 'Bulwark Charge',
+      animation: 'gs_slam',
+      damageMultiplier: 1.6,
+      staminaCost: 38,
+      duration: 0.95,
+      windupTime: 0.35,
+      recoveryTime: 0.45,
+      hitboxWidth: 1.6,
+      hitboxDepth: 1.4,
+      canCombo: false,
+      knockback: 4.5,
+      stagger: true,
+      postureMultiplier: 3.0,
+    },
+  },
+  
+  // ===== BONE WEAPONS =====
+  bone: {
+    light: {
+      name: 'Marrow Rend',
+      animation: 'sword_slash_h',
+      damageMultiplier: 1.0,
+      staminaCost: 11,
+      duration: 0.42,
+      windupTime: 0.1,
+      recoveryTime: 0.2,
+      hitboxWidth: 1.2,
+      hitboxDepth: 0.9,
+      canCombo: true,
+      comboWindow: 0.3,
+      buildup: { bleed: 10 },
+    },
+    heavy: {
+      name: 'Splinter Drive',
+      animation: 'spear_thrust',
+      damageMultiplier: 1.9,
+      staminaCost: 27,
+      duration: 0.75,
+      windupTime: 0.25,
+      recoveryTime: 0.35,
+      hitboxWidth: 0.6,
+      hitboxDepth: 1.8,
+      canCombo: false,
+      piercing: true,
+      knockback: 2.0,
+      buildup: { bleed: 28 },
+    },
+  },
 };
 
+// ========== BONE WEAPON EVOLUTION ==========
+// Bone weapons grow with the wielder's Bone infusion depth
+export const BONE_EVOLUTION_STAGES = [
+  { stage: 0, minBoneDepth: 0, name: 'Dormant', damageMult: 1.0, buildupMult: 1.0 },
+  { stage: 1, minBoneDepth: 1, name: 'Awakened', damageMult: 1.15, buildupMult: 1.25 },
+  { stage: 2, minBoneDepth: 3, name: 'Hungering', damageMult: 1.3, buildupMult: 1.5 },
+  { stage: 3, minBoneDepth: 5, name: 'Apex', damageMult: 1.5, buildupMult: 2.0 },
+];
+
 // ========== WEAPON DEFINITIONS ==========
 // These integrate with existing shop/loot systems
 export const WEAPONS = {
@@ -528,6 +691,99 @@ export const WEAPONS = {
     specialEffect: 'voidRift', // Attacks leave damaging void zones
     levelRequired: 18,
   },
+  
+  // ========== TWIN DAGGERS ==========
+  twin_fangs: {
+    id: 'twin_fangs',
+    name: 'Twin Fangs',
+    category: WEAPON_CATEGORY.TWIN_DAGGERS,
+    baseDamage: 11,
+    baseSpeed: 1.6,
+    baseRange: 0.55,
+    baseCritChance: 10,
+    staminaCost: 4,
+    moveset: MOVESETS.twin_daggers,
+    description: 'A matched pair of curved blades. Wounds they open rarely close.',
+    visualModel: 'dagger',
+    levelRequired: 3,
+  },
+  venom_twins: {
+    id: 'venom_twins',
+    name: 'Venom Twins',
+    category: WEAPON_CATEGORY.TWIN_DAGGERS,
+    baseDamage: 14,
+    baseSpeed: 1.65,
+    baseRange: 0.6,
+    baseCritChance: 12,
+    staminaCost: 5,
+    moveset: MOVESETS.twin_daggers,
+    description: 'Grooved blades that weep a green venom.',
+    visualModel: 'dagger',
+    statusBuildup: { poison: 14 }, // Added to every hit
+    levelRequired: 9,
+  },
+  
+  // ========== GREATSHIELDS ==========
+  iron_bulwark: {
+    id: 'iron_bulwark',
+    name: 'Iron Bulwark',
+    category: WEAPON_CATEGORY.GREATSHIELD,
+    baseDamage: 16,
+    baseSpeed: 0.6,
+    baseRange: 0.7,
+    baseCritChance: 2,
+    staminaCost: 16,
+    moveset: MOVESETS.greatshield,
+    description: 'A slab of riveted iron. Hold the line, then break theirs.',
+    visualModel: 'greatshield',
+    levelRequired: 4,
+  },
+  rimeguard: {
+    id: 'rimeguard',
+    name: 'Rimeguard',
+    category: WEAPON_CATEGORY.GREATSHIELD,
+    baseDamage: 24,
+    baseSpeed: 0.55,
+    baseRange: 0.75,
+    baseCritChance: 3,
+    staminaCost: 18,
+    moveset: MOVESETS.greatshield,
+    description: 'Frost never melts from its face. Each bash bites with cold.',
+    visualModel: 'greatshield',
+    statusBuildup: { frost: 30 },
+    levelRequired: 11,
+  },
+  
+  // ========== BONE WEAPONS ==========
+  marrow_blade: {
+    id: 'marrow_blade',
+    name: 'Marrow Blade',
+    category: WEAPON_CATEGORY.BONE,
+    baseDamage: 14,
+    baseSpeed: 1.0,
+    baseRange: 1.0,
+    baseCritChance: 6,
+    staminaCost: 11,
+    moveset: MOVESETS.bone,
+    description: 'A blade that still grows. It answers to the bone within you.',
+    visualModel: 'sword',
+    levelRequired: 5,
+  },
+  ossuary_spike: {
+    id: 'ossuary_spike',
+    name: 'Ossuary Spike',
+    category: WEAPON_CATEGORY.BONE,
+    baseDamage: 22,
+    baseSpeed: 0.9,
+    baseRange: 1.3,
+    baseCritChance: 7,
+    staminaCost: 13,
+    moveset: MOVESETS.bone,
+    description: 'A spine of fused vertebrae, marrow-rot seeping from its tip.',
+    visualModel: 'spear',
+    statusBuildup: { poison: 10 },
+    levelRequired: 12,
+  },
 };
 
 // ========== STAT SCALING ==========
@@ -633,6 +889,32 @@ export function calculateCritChance(weapon, playerStats, rarity = WEAPON_RARITY.
   return Math.min(crit, 75); // Cap at 75%
 }
 
+/**
+ * Get the evolution stage of a bone weapon for a Bone infusion depth
+ * @param {number} boneDepth - Current Bone track depth
+ * @returns {object} Stage entry from BONE_EVOLUTION_STAGES
+ */
+export function getBoneEvolutionStage(boneDepth = 0) {
+  let current = BONE_EVOLUTION_STAGES[0];
+  for (const stage of BONE_EVOLUTION_STAGES) {
+    if (boneDepth >= stage.minBoneDepth) current = stage;
+  }
+  return current;
+}
+
+/**
+ * Calculate status buildup for an attack (moveset + weapon extras)
+ * @param {object} weapon - Weapon definition
+ * @param {string} attackType - 'light' or 'heavy'
+ * @param {number} mult - Extra multiplier (e.g. bone evolution)
+ * @returns {object|null} Buildup map or null if none
+ */
+export function calculateStatusBuildup(weapon, attackType, mult = 1) {
+  const moveset = weapon.moveset[attackType];
+  const buildup = mergeBuildup(moveset?.buildup, weapon.statusBuildup, mult);
+  return Object.keys(buildup).length > 0 ? buildup : null;
+}
+
 /**
  * Get weapon by ID
  * @param {string} weaponId - Weapon ID
@@ -1,5 +1,13 @@
 import * as THREE from 'three';
 import { AssetManager } from '../systems/AssetManager.js';
+import {
+  STATUS_EFFECTS,
+  BOSS_STATUS_RESIST,
+  createStatusMeters,
+  addStatusBuildup,
+  decayStatusMeters,
+  getStatusProcDamage,
+} from '../data/StatusEffectData.js';
 
 const STATES = {
   DORMANT: 'dormant',
@@ -15,6 +23,9 @@ const STATES = {
   DEAD: 'dead',
 };
 
+// Death Research ledger key for hits (and deaths) dealt by this boss
+export const BOSS_TYPE = 'FAILED_EXPERIMENT';
+
 // Animation map for boss states (if GLTF has animations)
 const BOSS_ANIM_MAP = {
   [STATES.DORMANT]: 'Idle',
@@ -36,10 +47,12 @@ export class Boss {
     this.gm = gameManager;
     
     this.name = 'The Failed Experiment';
+    this.type = BOSS_TYPE;
     this.maxHealth = 500;
     this.health = this.maxHealth;
     this.maxPosture = 150;
     this.posture = 0;
+    this.statusMeters = createStatusMeters(BOSS_STATUS_RESIST);
     
     this.phase = 1;
     this.state = STATES.DORMANT;
@@ -566,6 +579,8 @@ export class Boss {
   update(delta, player) {
     if (this.state === STATES.DEAD) return;
     
+    decayStatusMeters(this.statusMeters, delta);
+    
     // Update animation mixer
     if (this.mixer) {
       this.mixer.update(delta);
@@ -1135,6 +1150,27 @@ export class Boss {
     return 'hit';
   }
   
+  /**
+   * Fill status meters from a weapon hit; procs deal burst damage via takeDamage()
+   * @returns {{ procs: Array<{id: string, damage: number}>, result: string|null }}
+   */
+  applyStatusBuildup(buildup) {
+    const procs = [];
+    let result = null;
+    if (!buildup || this.state === STATES.DEAD || this.state === STATES.DORMANT) return { procs, result };
+    
+    for (const id of addStatusBuildup(this.statusMeters, buildup)) {
+      const damage = getStatusProcDamage(id, this.maxHealth);
+      result = this.takeDamage(damage, STATUS_EFFECTS[id].burstPosture);
+      if (result === 'immune') continue;
+      procs.push({ id, damage });
+      console.log(`[Boss] ${STATUS_EFFECTS[id].name} proc for ${damage}`);
+      if (result === 'died') break;
+    }
+    
+    return { procs, result };
+  }
+  
   _applyHitRecoil(attackerPos, damage) {
     let knockDir;
     if (attackerPos) {
@@ -1364,6 +1400,7 @@ export class Boss {
   respawn() {
     this.health = this.maxHealth;
     this.posture = 0;
+    this.statusMeters = createStatusMeters(BOSS_STATUS_RESIST);
     this.phase = 1;
     this.config = this.phaseConfigs[1];
     this.state = STATES.DORMANT;
@@ -0,0 +1,312 @@
+/**
+ * Companion.js - Hired Ally
+ *
+ * A companion (CompanionData) follows the player and fights with a small state
+ * machine:
+ * - follow:  stay at the player's side, pick up enemies that come close
+ * - engage:  close in on the target and strike on a cooldown
+ * - retreat: badly hurt - fall back behind the player and recover
+ * - downed:  out of health - lies where they fell until the player revives them
+ *
+ * Enemies can target it like the player (EnemyManager.registerAlly); strikes
+ * go out through onStrike so kills are credited by EnemyManager.
+ */
+
+import { buildAllyModel } from '../models/ModelBuilder.js';
+import { getCompanion, getCompanionStats, COMPANION_REVIVE_HEALTH } from '../data/CompanionData.js';
+
+// ========== CONSTANTS ==========
+export const COMPANION_STATES = {
+  FOLLOW: 'follow',
+  ENGAGE: 'engage',
+  RETREAT: 'retreat',
+  DOWNED: 'downed',
+};
+
+const FOLLOW_DISTANCE = 3;        // Trails the player by this much
+const RUN_DISTANCE = 8;           // Runs to catch up beyond this
+const ENGAGE_RANGE = 12;          // Picks up enemies this close to itself...
+const LEASH_RANGE = 16;           // ...as long as they are this close to the player
+const RECOVER_AT = 0.6;           // Retreat ends at this health fraction
+const RETREAT_REGEN = 0.06;       // Max health fraction regained per second while retreating
+const REGEN_DELAY = 2;            // Seconds without being hit before regen starts
+const SWING_DURATION = 0.3;
+const FLASH_DURATION = 0.15;
+const FLASH_COLOR = 0xff3333;
+
+// ========== COMPANION CLASS ==========
+export class Companion {
+  /**
+   * @param {Object} options - { companionId, scene, terrain, position, level, health }
+   */
+  constructor({ companionId, scene = null, terrain = null, position, level = 1, health = null }) {
+    this.def = getCompanion(companionId);
+    this.id = companionId;
+    this.scene = scene;
+    this.terrain = terrain;
+
+    // Enemy-facing surface shared with the player (EnemyManager, Enemy, health bars)
+    this.isAlly = true;
+    this.isCompanion = true;
+    this.config = { name: this.def.name, level };
+    this.isDead = false;
+    this.isInvincible = false;
+    this.isBlocking = false;
+    this.statusMeters = null;
+
+    this.level = level;
+    this._applyStats(level);
+    this.health = health ?? this.maxHealth;
+
+    this.state = COMPANION_STATES.FOLLOW;
+    this.target = null;
+    this.attackTimer = 0;
+    this.swingTimer = 0;
+    this.flashTimer = 0;
+    this.sinceHit = REGEN_DELAY;
+
+    // Callbacks
+    this.onStrike = null;   // (enemy, damage, postureDamage)
+    this.onDowned = null;   // ()
+
+    this.mesh = buildAllyModel({ bodyColor: this.def.bodyColor, headColor: this.def.headColor, weapon: true });
+    this.bodyMaterial = this.mesh.userData.bodyMaterial;
+    this.weaponPivot = this.mesh.userData.weaponPivot;
+    this.placeAt(position.x, position.z);
+    if (this.scene) this.scene.add(this.mesh);
+  }
+
+  // ========== STATS ==========
+
+  _applyStats(level) {
+    const stats = getCompanionStats(this.id, level);
+    this.maxHealth = stats.maxHealth;
+    this.damage = stats.damage;
+    this.postureDamage = stats.postureDamage;
+  }
+
+  /**
+   * Match the player's level, keeping the same share of health
+   */
+  setLevel(level) {
+    if (level === this.level) return;
+    const ratio = this.health / this.maxHealth;
+    this.level = level;
+    this.config.level = level;
+    this._applyStats(level);
+    this.health = Math.round(this.maxHealth * ratio);
+  }
+
+  // ========== DAMAGE ==========
+
+  /**
+   * Take a hit from an enemy swing or projectile
+   */
+  receiveEnemyHit(damage) {
+    if (this.isDead || this.isInvincible) return;
+
+    this.health = Math.max(0, this.health - damage);
+    this.sinceHit = 0;
+    this.flashDamage();
+
+    if (this.health <= 0) {
+      this.down();
+    } else if (this.health < this.maxHealth * this.def.retreatAt) {
+      this.state = COMPANION_STATES.RETREAT;
+      this.target = null;
+    }
+  }
+
+  flashDamage() {
+    this.flashTimer = FLASH_DURATION;
+    this.bodyMaterial.emissive.setHex(FLASH_COLOR);
+  }
+
+  /**
+   * Out of the fight until revived. isDead makes enemies and health bars let go.
+   */
+  down() {
+    this.state = COMPANION_STATES.DOWNED;
+    this.isDead = true;
+    this.target = null;
+    this.mesh.rotation.z = Math.PI / 2;
+    if (this.onDowned) this.onDowned();
+  }
+
+  revive() {
+    if (this.state !== COMPANION_STATES.DOWNED) return;
+    this.state = COMPANION_STATES.FOLLOW;
+    this.isDead = false;
+    this.health = Math.round(this.maxHealth * COMPANION_REVIVE_HEALTH);
+    this.sinceHit = 0;
+    this.mesh.rotation.z = 0;
+  }
+
+  // ========== UPDATE ==========
+
+  /**
+   * Per-frame update
+   * @param {number} delta
+   * @param {{x, z}} playerPosition
+   * @param {Array} enemies - EnemyManager.enemies
+   */
+  update(delta, playerPosition, enemies = []) {
+    this.attackTimer = Math.max(0, this.attackTimer - delta);
+    this.sinceHit += delta;
+    this._animate(delta);
+
+    switch (this.state) {
+      case COMPANION_STATES.DOWNED:
+        return;
+
+      case COMPANION_STATES.RETREAT:
+        this._retreat(delta, playerPosition);
+        return;
+
+      case COMPANION_STATES.ENGAGE:
+        if (!this._isValidTarget(this.target, playerPosition)) {
+          this.target = null;
+          this.state = COMPANION_STATES.FOLLOW;
+          break;
+        }
+        this._engage(delta);
+        return;
+
+      default:
+        break;
+    }
+
+    // Follow: pick a fight if one comes close, otherwise keep up with the player
+    const target = this._findTarget(enemies, playerPosition);
+    if (target) {
+      this.target = target;
+      this.state = COMPANION_STATES.ENGAGE;
+      return;
+    }
+    this._follow(delta, playerPosition);
+  }
+
+  _follow(delta, playerPosition) {
+    const dist = this._distanceTo(playerPosition);
+    if (dist <= FOLLOW_DISTANCE) return;
+    const speed = dist > RUN_DISTANCE ? this.def.moveSpeed * 1.5 : this.def.moveSpeed;
+    this._stepToward(playerPosition, speed, delta, dist - FOLLOW_DISTANCE);
+  }
+
+  _engage(delta) {
+    const targetPos = this.target.mesh.position;
+    const dist = this._distanceTo(targetPos);
+
+    if (dist > this.def.attackRange) {
+      this._stepToward(targetPos, this.def.moveSpeed, delta, dist - this.def.attackRange * 0.8);
+      return;
+    }
+
+    this._face(targetPos);
+    if (this.attackTimer > 0) return;
+
+    this.attackTimer = this.def.attackCooldown;
+    this.swingTimer = SWING_DURATION;
+    if (this.onStrike) this.onStrike(this.target, this.damage, this.postureDamage);
+  }
+
+  /**
+   * Fall back behind the player and recover once out of the fight
+   */
+  _retreat(delta, playerPosition) {
+    const dist = this._distanceTo(playerPosition);
+    if (dist > FOLLOW_DISTANCE) {
+      this._stepToward(playerPosition, this.def.moveSpeed * 1.3, delta, dist - FOLLOW_DISTANCE);
+    }
+
+    if (this.sinceHit >= REGEN_DELAY) {
+      this.health = Math.min(this.maxHealth, this.health + this.maxHealth * RETREAT_REGEN * delta);
+    }
+    if (this.health >= this.maxHealth * RECOVER_AT) {
+      this.state = COMPANION_STATES.FOLLOW;
+    }
+  }
+
+  /**
+   * Nearest enemy worth fighting: awake, alive, near us and not far from the player
+   */
+  _findTarget(enemies, playerPosition) {
+    let best = null;
+    let bestDist = ENGAGE_RANGE;
+    for (const enemy of enemies) {
+      if (!this._isValidTarget(enemy, playerPosition)) continue;
+      const dist = this._distanceTo(enemy.mesh.position);
+      if (dist < bestDist) {
+        best = enemy;
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  _isValidTarget(enemy, playerPosition) {
+    if (!enemy || enemy.isDead || enemy.health <= 0) return false;
+    if (enemy.state === 'dormant' || enemy.mesh.visible === false) return false;
+    const pos = enemy.mesh.position;
+    return Math.hypot(pos.x - playerPosition.x, pos.z - playerPosition.z) <= LEASH_RANGE;
+  }
+
+  // ========== MOVEMENT ==========
+
+  _distanceTo(target) {
+    const pos = this.mesh.position;
+    return Math.hypot(target.x - pos.x, target.z - pos.z);
+  }
+
+  /**
+   * Move toward a point, covering at most maxStep this frame
+   */
+  _stepToward(target, speed, delta, maxStep = Infinity) {
+    const pos = this.mesh.position;
+    const dx = target.x - pos.x;
+    const dz = target.z - pos.z;
+    const dist = Math.hypot(dx, dz);
+    if (dist < 0.001) return;
+
+    const step = Math.min(dist, maxStep, speed * delta);
+    this.placeAt(pos.x + (dx / dist) * step, pos.z + (dz / dist) * step);
+    this.mesh.rotation.y = Math.atan2(dx, dz);
+  }
+
+  _face(target) {
+    const pos = this.mesh.position;
+    this.mesh.rotation.y = Math.atan2(target.x - pos.x, target.z - pos.z);
+  }
+
+  placeAt(x, z) {
+    const y = this.terrain?.getTerrainHeight(x, z) ?? this.mesh.position.y;
+    this.mesh.position.set(x, y, z);
+  }
+
+  _animate(delta) {
+    if (this.flashTimer > 0) {
+      this.flashTimer -= delta;
+      if (this.flashTimer <= 0) this.bodyMaterial.emissive.setHex(0x000000);
+    }
+
+    // Downward chop over the swing, back to rest after
+    if (this.weaponPivot) {
+      this.swingTimer = Math.max(0, this.swingTimer - delta);
+      this.weaponPivot.rotation.x = this.swingTimer > 0
+        ? Math.sin((1 - this.swingTimer / SWING_DURATION) * Math.PI) * 1.2
+        : 0;
+    }
+  }
+
+  // ========== CLEANUP ==========
+
+  dispose() {
+    if (this.scene) this.scene.remove(this.mesh);
+    this.mesh.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
+
+export default Companion;
@@ -12,6 +12,15 @@ import {
   updateEnemyModel, 
   flashEnemyModel 
 } from '../models/ModelBuilder.js';
+import { TELL_PREVIEW_LABELS } from '../data/DeathResearchData.js';
+import {
+  STATUS_EFFECTS,
+  BOSS_STATUS_RESIST,
+  createStatusMeters,
+  addStatusBuildup,
+  decayStatusMeters,
+  getStatusProcDamage,
+} from '../data/StatusEffectData.js';
 
 const STATES = {
   IDLE: 'idle',
@@ -48,7 +57,7 @@ const ATTACK_TYPES = {
 };
 
 // Attack type configurations (multipliers of base stats)
-const ATTACK_CONFIGS = {
+export const ATTACK_CONFIGS = {
   [ATTACK_TYPES.NORMAL]: {
     windupMult: 1.0,
     damageMult: 1.0,
@@ -389,6 +398,9 @@ export class Enemy {
     this.maxPosture = this.config.maxPosture || 60;
     this.posture = 0;
     
+    // Bleed / poison / frost meters (bosses resist harder)
+    this.statusMeters = createStatusMeters(this.config.isBoss ? BOSS_STATUS_RESIST : 1);
+    
     // Check if this enemy should start dormant (ambush behavior)
     this.isDormant = this.config.behavior === 'ambush' || this.config.isAmbush;
     this.triggerZone = this.config.triggerZone || null;
@@ -714,8 +726,9 @@ export class Enemy {
   }
 
   _applyModelTint(tintColor) {
+    if (!this.gltfModel) return; // Model failed to load (or headless)
     const tint = new THREE.Color(tintColor);
-    
+
     this.gltfModel.traverse((child) => {
       if (child.isMesh && child.material) {
         const mats = Array.isArray(child.material) ? child.material : [child.material];
@@ -1046,6 +1059,8 @@ export class Enemy {
   update(delta, player) {
     if (this.state === STATES.DEAD) return;
 
+    decayStatusMeters(this.statusMeters, delta);
+
     // Update animation mixer (GLTF)
     if (this.animSystem) {
       this.animSystem.update(delta);
@@ -2487,10 +2502,18 @@ export class Enemy {
       proj.mesh.rotation.x += delta * 3;
       proj.mesh.rotation.y += delta * 2;
       
+      // Escort NPCs (EscortNPC) soak their own hits
+      if (dist < 1.2 && player.receiveEnemyHit) {
+        player.receiveEnemyHit(proj.damage, this);
+        this._destroyProjectile(i);
+        continue;
+      }
+      
       // Check collision with player
       if (dist < 1.2 && !player.isInvincible) {
         // Hit player
-        const result = this.gm?.takeDamage(proj.damage, 'magic', 10, player.isBlocking);
+        if (this.gm?.deathReplay) this.gm.deathReplay.recordHit(this, proj.damage, 'magic');
+        const result = this.gm?.takeDamage(proj.damage, 'magic', 10, player.isBlocking, this.config.type || null);
         player.flashDamage();
         
         // HUD flash
@@ -2563,6 +2586,7 @@ export class Enemy {
     // ========== ATTACK VARIETY: Select attack type on first frame ==========
     if (this.stateTimer < delta * 2 && this.attackVarietyEnabled) {
       this._selectAttackType(player);
+      this._showTellPreview();
     }
     
     // Get attack configuration based on current attack type
@@ -2788,6 +2812,22 @@ export class Enemy {
     }
     
     this.attackTellActive = true;
+    this.currentTell = tellType; // Read by DeathReplay telemetry
+    this.currentTellProgress = progress;
+  }
+  
+  /**
+   * Death Research: Foresight - label the incoming attack above the enemy
+   */
+  _showTellPreview() {
+    if (!this.gm?.deathResearch || !this.gm._spawnFloatingText) return;
+    if (!this.gm.deathResearch.getEnemyCounters(this.config.type).tellPreview) return;
+    
+    const attackConfig = ATTACK_CONFIGS[this.currentAttackType] || ATTACK_CONFIGS[ATTACK_TYPES.NORMAL];
+    const label = TELL_PREVIEW_LABELS[attackConfig.tell] || TELL_PREVIEW_LABELS.normal;
+    this.gm._spawnFloatingText(label.text,
+      this.mesh.position.clone().add(new THREE.Vector3(0, 2.6, 0)),
+      label.color, false);
   }
   
   _resetAttackTell() {
@@ -2806,6 +2846,7 @@ export class Enemy {
     }
     
     this.attackTellActive = false;
+    this.currentTell = null;
   }
 
   takeDamage(amount, postureDmg = 0, attackerPos = null) {
@@ -2822,6 +2863,13 @@ export class Enemy {
 
     if (this.state === STATES.STAGGERED) postureDmg *= 2;
 
+    // Death Research counters researched against this enemy type
+    if (this.gm?.deathResearch) {
+      const counters = this.gm.deathResearch.getEnemyCounters(this.config.type);
+      amount = Math.floor(amount * (1 + counters.damageMult));
+      postureDmg *= 1 + counters.postureDamageMult;
+    }
+
     this.health -= amount;
     this.posture = Math.min(this.maxPosture, this.posture + postureDmg);
     
@@ -2867,6 +2915,31 @@ export class Enemy {
     return 'hit';
   }
   
+  // ========== STATUS BUILDUP ==========
+  
+  /**
+   * Fill status meters from a weapon hit; full meters proc into burst damage
+   * @param {object} buildup - e.g. { bleed: 20 }
+   * @returns {{ procs: Array<{id: string, damage: number}>, result: string|null }}
+   *          result is the takeDamage() result of the last proc
+   */
+  applyStatusBuildup(buildup) {
+    const procs = [];
+    let result = null;
+    if (!buildup || this.state === STATES.DEAD) return { procs, result };
+    
+    for (const id of addStatusBuildup(this.statusMeters, buildup)) {
+      const damage = getStatusProcDamage(id, this.maxHealth);
+      result = this.takeDamage(damage, STATUS_EFFECTS[id].burstPosture);
+      if (result === 'immune') continue;
+      procs.push({ id, damage });
+      console.log(`[Enemy] ${this.config.name} suffered ${STATUS_EFFECTS[id].name} (${damage})`);
+      if (result === 'died') break;
+    }
+    
+    return { procs, result };
+  }
+  
   // ========== CRYPT LORD PHASE 2 TRANSITION ==========
   _enterPhase2CryptLord() {
     this.bossPhase = 2;
@@ -3386,6 +3459,7 @@ export class Enemy {
   respawn() {
     this.health = this.maxHealth;
     this.posture = 0;
+    this.statusMeters = createStatusMeters(this.isBoss ? BOSS_STATUS_RESIST : 1);
     this.isDead = false;
     this.stateTimer = 0;
     this.chainAttackCount = 0;
@@ -59,6 +59,9 @@ function getDifficultyZone(distance) {
   return DIFFICULTY_ZONES.FRONTIER;
 }
 
+// Volatile (Abyss affix) corpses burst this long after death, this wide
+const CORPSE_EXPLOSION = { delay: 0.8, radius: 3 };
+
 /**
  * Calculate distance from origin (castle)
  */
@@ -96,6 +99,16 @@ export class EnemyManager {
     this.activeGroups = new Map();      // Map<groupId, { leader, members, attackers }>
     this.nextGroupId = 1;               // Auto-increment group ID
 
+    // Called with (enemyType, enemy, position) when the player kills an enemy
+    this.onEnemyDeath = null;
+
+    // Escorts and companions enemies may go after instead of the player
+    this.allies = [];
+
+    // Dungeon modifier effects (getModifierEffects) - haste, volatile corpses
+    this.affixEffects = {};
+    this.pendingExplosions = [];
+
     // Spawn enemies using terrain-based system
     this._spawnEnemies();
     
@@ -180,10 +193,12 @@ export class EnemyManager {
   
   /**
    * Spawn a single enemy at position with zone-appropriate stats
+   * @param {string} [forcedType] - ENEMY_TYPES key to use instead of a random zone type
+   * @param {boolean} [forceElite] - Always spawn the elite variant
    */
-  _spawnEnemyAtPosition(x, y, z, zone, castleDist) {
+  _spawnEnemyAtPosition(x, y, z, zone, castleDist, forcedType = null, forceElite = false) {
     // Select enemy type from zone's available types
-    const typeKey = zone.enemyTypes[Math.floor(Math.random() * zone.enemyTypes.length)];
+    const typeKey = forcedType || zone.enemyTypes[Math.floor(Math.random() * zone.enemyTypes.length)];
     const typeConfig = ENEMY_TYPES[typeKey];
     
     if (!typeConfig) {
@@ -192,7 +207,7 @@ export class EnemyManager {
     }
     
     // Check for elite upgrade
-    const isElite = Math.random() < zone.eliteChance;
+    const isElite = forceElite || Math.random() < zone.eliteChance;
     
     // Calculate scaled stats
     const scaledConfig = this._applyDistanceScaling(typeConfig, zone, castleDist, isElite);
@@ -215,6 +230,212 @@ export class EnemyManager {
     return enemy;
   }
   
+  // ========== QUEST WAVES ==========
+
+  /**
+   * Spawn a wave of attackers in a ring around a point (defend objectives).
+   * Wave enemies aggro from the ring edge and are removed instead of respawning.
+   * @param {{x:number, y?:number, z:number}} center - Point being defended
+   * @param {Object} options - { types: ENEMY_TYPES keys, count, radius, elite }
+   * @returns {Enemy[]} Spawned enemies
+   */
+  spawnWave(center, { types = null, count = 3, radius = 18, elite = false } = {}) {
+    const castleDist = distanceFromCastle(center.x, center.z);
+    const zone = getDifficultyZone(castleDist);
+    const wave = [];
+    
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2 + Math.random() * 0.5;
+      const x = center.x + Math.cos(angle) * radius;
+      const z = center.z + Math.sin(angle) * radius;
+      const y = (this.world?.terrain?.getTerrainHeight(x, z) ?? center.y ?? 0) + 0.3;
+      const typeKey = types?.length ? types[i % types.length] : null;
+      
+      const enemy = this._spawnEnemyAtPosition(x, y, z, zone, castleDist, typeKey, elite);
+      if (!enemy) continue;
+      
+      enemy.isQuestWave = true;
+      enemy.config.detectionRange = Math.max(enemy.config.detectionRange, radius * 2);
+      wave.push(enemy);
+    }
+    
+    console.log(`[EnemyManager] Spawned quest wave of ${wave.length} at (${center.x}, ${center.z})`);
+    return wave;
+  }
+
+  /**
+   * Remove an enemy from the world for good
+   */
+  removeEnemy(enemy) {
+    const index = this.enemies.indexOf(enemy);
+    if (index === -1) return;
+    
+    if (enemy.mesh) this.scene.remove(enemy.mesh);
+    this.enemies.splice(index, 1);
+  }
+
+  // ========== ALLIES ==========
+
+  /**
+   * Let enemies target an ally - escort NPCs (EscortNPC) and companions (Companion).
+   * Allies expose mesh, health, isDead and receiveEnemyHit(damage, enemy).
+   */
+  registerAlly(ally) {
+    if (!this.allies.includes(ally)) this.allies.push(ally);
+  }
+
+  unregisterAlly(ally) {
+    const index = this.allies.indexOf(ally);
+    if (index !== -1) this.allies.splice(index, 1);
+  }
+
+  /**
+   * Who an enemy goes after: the closest of the player and any living ally
+   * within its detection range. An ally's aggroBias makes it the preferred
+   * target even when the player is that much closer.
+   */
+  _pickTarget(enemy, player) {
+    if (this.allies.length === 0) return player;
+
+    const pos = enemy.mesh.position;
+    let target = player;
+    let best = pos.distanceTo(player.mesh.position);
+    for (const ally of this.allies) {
+      if (ally.isDead) continue;
+      const dist = pos.distanceTo(ally.mesh.position);
+      const score = dist - (ally.aggroBias || 0);
+      if (score < best && dist < enemy.config.detectionRange) {
+        target = ally;
+        best = score;
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Set enemy.combatTarget for this frame; flanking, group tactics and the
+   * update loop all work against it
+   */
+  _assignTargets(player) {
+    for (const enemy of this.enemies) {
+      enemy.combatTarget = this._pickTarget(enemy, player);
+    }
+  }
+
+  /**
+   * Enemy swing aimed at an ally - allies cannot parry or block
+   */
+  _checkAllyHit(enemy, ally) {
+    if (!enemy.activeAttack || enemy.hitThisSwing || ally.isDead) return;
+
+    const dx = ally.mesh.position.x - enemy.activeAttack.position.x;
+    const dz = ally.mesh.position.z - enemy.activeAttack.position.z;
+    if (Math.sqrt(dx * dx + dz * dz) >= enemy.activeAttack.range) return;
+
+    const damage = enemy.activeAttack.damage;
+    enemy.hitThisSwing = true;
+    ally.receiveEnemyHit(damage, enemy);
+
+    if (this.gm?.damageNumbers) {
+      this.gm.damageNumbers.spawn(damage, ally.mesh.position, 'normal');
+    }
+    if (this.particleManager) {
+      this.particleManager.spawnHitSparks(ally.mesh.position.clone(), 6, false);
+    }
+  }
+
+  /**
+   * Damage dealt by anything but the player's weapon (traps, companions).
+   * Their kills still drop loot and count for quests, but Remnant, XP and
+   * Bone kill effects are only earned by the player's own kills.
+   * @param {string} source - 'trap' or 'companion'
+   * @returns {string|undefined} Enemy.takeDamage result
+   */
+  damageEnemy(enemy, damage, postureDamage, attackerPos, source) {
+    if (enemy.isDead || enemy.health <= 0) return undefined;
+
+    const result = enemy.takeDamage(damage, postureDamage, attackerPos);
+    if (this.gm?.damageNumbers) {
+      this.gm.damageNumbers.spawn(damage, enemy.mesh.position, 'normal');
+    }
+    if (this.particleManager) {
+      this.particleManager.spawnHitSparks(enemy.mesh.position.clone(), 6, false);
+    }
+    if (result === 'died') this._onEnemyKilled(enemy, source);
+    return result;
+  }
+
+  /**
+   * Set dungeon modifier effects on enemies ({} when back in the overworld)
+   */
+  setAffixEffects(effects = {}) {
+    this.affixEffects = effects;
+    if (!effects.corpseExplosionDamage) this.pendingExplosions = [];
+  }
+
+  /**
+   * Detonate volatile corpses whose fuse has run out
+   */
+  _updateCorpseExplosions(delta, player) {
+    for (let i = this.pendingExplosions.length - 1; i >= 0; i--) {
+      const explosion = this.pendingExplosions[i];
+      explosion.timer -= delta;
+      if (explosion.timer > 0) continue;
+
+      this.pendingExplosions.splice(i, 1);
+      if (this.particleManager) {
+        this.particleManager.spawnDeathBurst(explosion.position.clone());
+      }
+
+      const dx = player.mesh.position.x - explosion.position.x;
+      const dz = player.mesh.position.z - explosion.position.z;
+      if (Math.sqrt(dx * dx + dz * dz) < CORPSE_EXPLOSION.radius && !player.isInvincible && !this.gm.isDead) {
+        this.gm.takeDamage(explosion.damage, 'fire', 0, false, null);
+      }
+    }
+  }
+
+  /**
+   * Rewards, loot and quest credit for a kill, then schedule the respawn
+   * @param {string} killer - 'player', or the damageEnemy source
+   */
+  _onEnemyKilled(enemy, killer = 'player') {
+    if (killer === 'player') {
+      this.gm.addRemnant(this.gm.onPlayerKill(enemy.config.remnantDrop));
+      // Grant XP for the kill
+      const xpReward = this.gm.calculateEnemyXP(enemy);
+      this.gm.gainXP(xpReward, enemy.mesh.position);
+    }
+    // Spawn death particles
+    if (this.particleManager) {
+      this.particleManager.spawnDeathBurst(enemy.mesh.position.clone());
+    }
+    // Drop loot
+    if (this.lootManager) {
+      this.lootManager.rollLoot(enemy, enemy.mesh.position.clone());
+    }
+    // Quest progress / death sound
+    if (this.onEnemyDeath) {
+      this.onEnemyDeath(enemy.config.type, enemy, enemy.mesh.position.clone());
+    }
+    // Volatile corpses
+    if (this.affixEffects.corpseExplosionDamage > 0) {
+      this.pendingExplosions.push({
+        position: enemy.mesh.position.clone(),
+        damage: this.affixEffects.corpseExplosionDamage,
+        timer: CORPSE_EXPLOSION.delay,
+      });
+    }
+    // Quest waves are one-off; everything else respawns after a delay with same scaling
+    if (enemy.isQuestWave) {
+      setTimeout(() => this.removeEnemy(enemy), 3000);
+    } else {
+      setTimeout(() => {
+        enemy.respawn();
+      }, 8000);
+    }
+  }
+
   /**
    * Apply distance-based scaling to enemy stats
    */
@@ -556,16 +777,21 @@ export class EnemyManager {
     // Check for dormant enemy triggers (ambush spawns)
     this._checkDormantTriggers(player);
     
+    // Decide who each enemy is after before coordinating them
+    this._assignTargets(player);
+    
     // Coordinate flanking behavior when multiple enemies engage
     this._coordinateFlanking(player);
     
     // Coordinate group combat tactics (staggered attacks, max attackers, etc.)
     this._coordinateGroups(player);
     
-    // Update regular enemies
+    // Update regular enemies (hastened enemies run on a faster clock)
+    const enemyDelta = delta * (this.affixEffects.enemySpeedMult || 1);
     for (let i = this.enemies.length - 1; i >= 0; i--) {
       const enemy = this.enemies[i];
-      enemy.update(delta, player);
+      const target = enemy.combatTarget || player;
+      enemy.update(enemyDelta, target);
 
       // Check player attacks hitting enemies (use horizontal distance - ignore y)
       if (player.activeAttack && !player.hitThisSwing) {
@@ -575,12 +801,18 @@ export class EnemyManager {
         if (dist < player.activeAttack.range && enemy.health > 0) {
           // Pass player position for recoil direction
           const attackDamage = player.activeAttack.damage;
-          const result = enemy.takeDamage(
+          let result = enemy.takeDamage(
             attackDamage,
             player.activeAttack.postureDmg,
             player.mesh.position // attackerPos for recoil
           );
           player.hitThisSwing = true;
+          this.gm.onPlayerDealtDamage(attackDamage);
+          
+          // Weapon status buildup (bleed / poison / frost)
+          if (result !== 'died' && player.activeAttack.buildup) {
+            result = this._applyStatusBuildup(enemy, player.activeAttack.buildup) || result;
+          }
           
           // Phase 32: Damage numbers
           if (this.gm.damageNumbers) {
@@ -622,34 +854,28 @@ export class EnemyManager {
           }
 
           if (result === 'died') {
-            this.gm.addRemnant(enemy.config.remnantDrop);
-            // Grant XP for the kill
-            const xpReward = this.gm.calculateEnemyXP(enemy);
-            this.gm.gainXP(xpReward, enemy.mesh.position);
-            // Spawn death particles
-            if (this.particleManager) {
-              this.particleManager.spawnDeathBurst(enemy.mesh.position.clone());
-            }
-            // Drop loot
-            if (this.lootManager) {
-              this.lootManager.rollLoot(enemy, enemy.mesh.position.clone());
-            }
-            // Respawn after delay with same scaling
-            setTimeout(() => {
-              enemy.respawn();
-            }, 8000);
+            this._onEnemyKilled(enemy);
           }
         }
       }
 
+      // Enemies chasing an ally swing at the ally, not the player
+      if (target !== player) {
+        this._checkAllyHit(enemy, target);
+        continue;
+      }
+
       // Check enemy attacks hitting player (use horizontal distance - ignore y)
       if (enemy.activeAttack && !enemy.hitThisSwing) {
         const edx = player.mesh.position.x - enemy.activeAttack.position.x;
         const edz = player.mesh.position.z - enemy.activeAttack.position.z;
         const dist = Math.sqrt(edx * edx + edz * edz);
         if (dist < enemy.activeAttack.range && !player.isInvincible) {
-          // Check for parry (perfect timed block)
-          if (player.isParrying) {
+          // Check for parry (perfect timed block) - Riposte Study widens the window
+          const research = this.gm.deathResearch
+            ? this.gm.deathResearch.getEnemyCounters(enemy.config.type)
+            : null;
+          if (player.canParry(research ? research.parryWindowBonus : 0)) {
             // Parry success! Deflect the attack
             enemy.hitThisSwing = true;
             player.onParrySuccess();
@@ -667,11 +893,14 @@ export class EnemyManager {
           }
           
           const enemyDmg = enemy.activeAttack.damage;
+          // Log before applying - a lethal hit freezes the death replay
+          if (this.gm.deathReplay) this.gm.deathReplay.recordHit(enemy, enemyDmg, 'physical');
           const result = this.gm.takeDamage(
             enemyDmg,
             'physical',
             enemy.activeAttack.postureDmg,
-            player.isBlocking
+            player.isBlocking,
+            enemy.config.type || null
           );
           enemy.hitThisSwing = true;
           player.flashDamage();
@@ -723,6 +952,9 @@ export class EnemyManager {
       }
     }
     
+    // Volatile corpses from kills above
+    this._updateCorpseExplosions(delta, player);
+    
     // Update boss
     if (this.boss) {
       this.boss.update(delta, player);
@@ -735,12 +967,19 @@ export class EnemyManager {
         // Boss has larger hitbox
         if (dist < player.activeAttack.range + 1.0 && this.boss.health > 0) {
           const bossDmg = player.activeAttack.damage;
-          const result = this.boss.takeDamage(
+          let result = this.boss.takeDamage(
             bossDmg,
             player.activeAttack.postureDmg,
             player.mesh.position // attackerPos for recoil
           );
           player.hitThisSwing = true;
+          this.gm.onPlayerDealtDamage(bossDmg);
+          if (result !== 'died' && player.activeAttack.buildup) {
+            result = this._applyStatusBuildup(this.boss, player.activeAttack.buildup) || result;
+          }
+          if (result === 'died') {
+            this.gm.onPlayerKill(0);
+          }
           
           // Phase 32: Damage numbers + hit effects on boss
           if (this.gm.damageNumbers) {
@@ -811,11 +1050,13 @@ export class EnemyManager {
             // Continue instead of taking damage
           } else {
             const bossHitDmg = this.boss.activeAttack.damage;
+            if (this.gm.deathReplay) this.gm.deathReplay.recordHit(this.boss, bossHitDmg, 'physical');
             const result = this.gm.takeDamage(
               bossHitDmg,
               'physical',
               this.boss.activeAttack.postureDmg,
-              player.isBlocking
+              player.isBlocking,
+              this.boss.type
             );
             this.boss.hitThisSwing = true;
             player.flashDamage();
@@ -868,6 +1109,23 @@ export class EnemyManager {
     }
   }
 
+  /**
+   * Apply a hit's status buildup to an enemy or boss and show any procs
+   * @returns {string|null} takeDamage() result of the last proc, null if nothing procced
+   */
+  _applyStatusBuildup(target, buildup) {
+    if (!target.applyStatusBuildup) return null;
+    
+    const { procs, result } = target.applyStatusBuildup(buildup);
+    for (const proc of procs) {
+      this.gm.onPlayerDealtDamage(proc.damage);
+      if (this.gm.damageNumbers) {
+        this.gm.damageNumbers.spawn(proc.damage, target.mesh.position, proc.id);
+      }
+    }
+    return procs.length > 0 ? result : null;
+  }
+
   /**
    * Check if player is near any dormant enemies and trigger them
    */
@@ -896,26 +1154,38 @@ export class EnemyManager {
   }
   
   /**
-   * Coordinate flanking behavior when multiple enemies engage the player
-   * Assigns one enemy to flank when 2+ enemies are targeting same player
+   * Coordinate flanking behavior when multiple enemies engage the same target
+   * (the player or an ally). Assigns one enemy to flank when 2+ enemies are on it
    */
   _coordinateFlanking(player) {
-    const playerPos = player.mesh.position;
-    
-    // Find enemies currently chasing/engaging the player
-    const engagingEnemies = this.enemies.filter(enemy => {
-      if (enemy.isDead || enemy.state === 'dead') return false;
-      if (enemy.state === 'staggered' || enemy.state === 'dormant') return false;
-      if (enemy.isBoss) return false; // Bosses don't flank
+    // Find enemies currently chasing/engaging, grouped by who they are after
+    const engagingByTarget = new Map();
+    for (const enemy of this.enemies) {
+      if (enemy.isDead || enemy.state === 'dead') continue;
+      if (enemy.state === 'staggered' || enemy.state === 'dormant') continue;
+      if (enemy.isBoss) continue; // Bosses don't flank
       
       // Check if enemy is in combat range (detection * 1.2)
-      const dist = enemy.mesh.position.distanceTo(playerPos);
-      if (dist > (enemy.config.detectionRange || 10) * 1.2) return false;
+      const target = enemy.combatTarget || player;
+      const dist = enemy.mesh.position.distanceTo(target.mesh.position);
+      if (dist > (enemy.config.detectionRange || 10) * 1.2) continue;
       
       // Must be in a combat state
-      return enemy.state === 'chase' || enemy.state === 'circle' || enemy.state === 'attack';
-    });
+      if (enemy.state === 'chase' || enemy.state === 'circle' || enemy.state === 'attack') {
+        if (!engagingByTarget.has(target)) engagingByTarget.set(target, []);
+        engagingByTarget.get(target).push(enemy);
+      }
+    }
     
+    engagingByTarget.forEach((engagingEnemies, target) => {
+      this._assignFlanker(engagingEnemies, target.mesh.position);
+    });
+  }
+  
+  /**
+   * Pick one more flanker among enemies engaging the same target
+   */
+  _assignFlanker(engagingEnemies, targetPos) {
     // Need 2+ enemies for flanking coordination
     if (engagingEnemies.length < 2) return;
     
@@ -935,10 +1205,10 @@ export class EnemyManager {
     const maxFlankers = Math.floor(engagingEnemies.length / 2);
     if (currentlyFlanking >= maxFlankers) return;
     
-    // Sort candidates by distance to player (furthest should flank)
+    // Sort candidates by distance to target (furthest should flank)
     flankCandidates.sort((a, b) => {
-      const distA = a.mesh.position.distanceTo(playerPos);
-      const distB = b.mesh.position.distanceTo(playerPos);
+      const distA = a.mesh.position.distanceTo(targetPos);
+      const distB = b.mesh.position.distanceTo(targetPos);
       return distB - distA; // Furthest first
     });
     
@@ -959,16 +1229,15 @@ export class EnemyManager {
    * - Triggers confusion when leader dies
    */
   _coordinateGroups(player) {
-    const playerPos = player.mesh.position;
-    
     // Find all enemies currently in combat (chasing, attacking, etc.)
     const combatEnemies = this.enemies.filter(enemy => {
       if (enemy.isDead || enemy.state === 'dead') return false;
       if (enemy.state === 'staggered' || enemy.state === 'dormant' || enemy.state === 'rising') return false;
       if (enemy.isBoss) return false;
       
-      // Must be in detection range and combat state
-      const dist = enemy.mesh.position.distanceTo(playerPos);
+      // Must be in detection range of its target and in a combat state
+      const target = enemy.combatTarget || player;
+      const dist = enemy.mesh.position.distanceTo(target.mesh.position);
       if (dist > (enemy.config.detectionRange || 10) * 1.5) return false;
       
       return enemy.state === 'chase' || enemy.state === 'circle' || 
@@ -1137,7 +1406,8 @@ export class EnemyManager {
         if (m.isAttacking?.() || m.state === 'attack') return false;
         if (m.isWaitingToJoin || m.isConfused) return false;
         
-        const dist = m.mesh.position.distanceTo(player.mesh.position);
+        const target = m.combatTarget || player;
+        const dist = m.mesh.position.distanceTo(target.mesh.position);
         return dist <= (m.config.attackRange || 2.2);
       });
       
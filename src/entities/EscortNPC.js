@@ -0,0 +1,202 @@
+/**
+ * EscortNPC.js - Escort Quest Companion
+ *
+ * The NPC an ESCORT_NPC objective is about: walks a TerrainPathfinder route to
+ * the objective's destination, waits whenever the player falls behind, and
+ * huddles by the player while enemies are close. EnemyManager lets enemies
+ * target it (registerAlly) and EnemyHealthBarManager shows its health.
+ * QuestWorldHooks spawns it and turns its callbacks into quest progress.
+ */
+
+import { buildAllyModel } from '../models/ModelBuilder.js';
+import { findTerrainPath } from '../world/TerrainPathfinder.js';
+
+// ========== CONSTANTS ==========
+const WALK_SPEED = 2.5;           // Units per second - a touch slower than the player's walk
+const FLEE_SPEED = 4;
+const WAYPOINT_REACHED = 0.6;
+const WAIT_DISTANCE = 12;         // Stop and wait when the player is farther than this
+const RESUME_DISTANCE = 7;        // ...and set off again once they are back within this
+const THREAT_RADIUS = 9;          // Enemies this close send the escort to the player's side
+const HUDDLE_DISTANCE = 2.5;      // How close to the player the escort shelters
+const FLASH_DURATION = 0.15;
+const AGGRO_BIAS = 3;             // Enemies pick the escort over a player up to this much closer
+
+const BODY_COLOR = 0x3f7a4a;
+const HEAD_COLOR = 0xe0b48a;
+const FLASH_COLOR = 0xff3333;
+
+// ========== ESCORT NPC CLASS ==========
+export class EscortNPC {
+  /**
+   * @param {Object} options - { scene, terrain, name, position, destination, destinationRadius, health, maxHealth }
+   */
+  constructor({ scene = null, terrain = null, name = 'Escort', position, destination, destinationRadius = 5, health = 100, maxHealth = health }) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.destination = { x: destination.x, z: destination.z };
+    this.destinationRadius = destinationRadius;
+
+    // Enemy-facing surface shared with the player (EnemyManager, Enemy, health bars)
+    this.isAlly = true;
+    this.isEscort = true;
+    this.aggroBias = AGGRO_BIAS;
+    this.config = { name };
+    this.health = health;
+    this.maxHealth = maxHealth;
+    this.isDead = false;
+    this.isInvincible = false;
+    this.isBlocking = false;
+    this.statusMeters = null;
+
+    // 'walking' | 'waiting' | 'fleeing' | 'arrived' | 'dead'
+    this.state = 'walking';
+    this.path = [];
+    this.flashTimer = 0;
+
+    // Callbacks
+    this.onDamaged = null;   // (health, maxHealth)
+    this.onArrived = null;   // ()
+
+    this.mesh = buildAllyModel({ bodyColor: BODY_COLOR, headColor: HEAD_COLOR });
+    this.bodyMaterial = this.mesh.userData.bodyMaterial;
+    this._placeAt(position.x, position.z);
+    if (this.scene) this.scene.add(this.mesh);
+  }
+
+  // ========== COMBAT ==========
+
+  /**
+   * Take a hit from an enemy swing or projectile
+   */
+  receiveEnemyHit(damage) {
+    if (this.isDead || this.isInvincible) return;
+
+    this.health = Math.max(0, this.health - damage);
+    this.flashDamage();
+    if (this.onDamaged) this.onDamaged(this.health, this.maxHealth);
+
+    if (this.health <= 0) this.die();
+  }
+
+  flashDamage() {
+    this.flashTimer = FLASH_DURATION;
+    this.bodyMaterial.emissive.setHex(FLASH_COLOR);
+  }
+
+  die() {
+    this.isDead = true;
+    this.state = 'dead';
+    this.mesh.rotation.z = Math.PI / 2;
+    console.log(`[EscortNPC] ${this.config.name} was killed`);
+  }
+
+  // ========== UPDATE ==========
+
+  /**
+   * Per-frame update
+   * @param {number} delta
+   * @param {{x, z}} playerPosition
+   * @param {Array} enemies - Live enemies to keep clear of (anything with mesh + isDead)
+   */
+  update(delta, playerPosition, enemies = []) {
+    if (this.flashTimer > 0) {
+      this.flashTimer -= delta;
+      if (this.flashTimer <= 0) this.bodyMaterial.emissive.setHex(0x000000);
+    }
+    if (this.isDead || this.state === 'arrived') return;
+
+    const pos = this.mesh.position;
+    const playerDist = Math.hypot(playerPosition.x - pos.x, playerPosition.z - pos.z);
+    const threatened = enemies.some(enemy =>
+      !enemy.isDead && enemy.mesh.position.distanceTo(pos) < THREAT_RADIUS
+    );
+
+    if (threatened) {
+      this.state = 'fleeing';
+      if (playerDist > HUDDLE_DISTANCE) this._stepToward(playerPosition, FLEE_SPEED, delta);
+      return;
+    }
+
+    if (this.state === 'fleeing') {
+      // Danger passed - the old route starts somewhere else now
+      this.path = [];
+      this.state = 'walking';
+    }
+
+    if (this.state === 'waiting' && playerDist <= RESUME_DISTANCE) this.state = 'walking';
+    if (this.state === 'walking' && playerDist > WAIT_DISTANCE) this.state = 'waiting';
+    if (this.state === 'waiting') {
+      this._face(playerPosition);
+      return;
+    }
+
+    this._followPath(delta);
+  }
+
+  /**
+   * Walk the current route, planning the next leg whenever it runs out
+   */
+  _followPath(delta) {
+    const pos = this.mesh.position;
+    const toDestination = Math.hypot(this.destination.x - pos.x, this.destination.z - pos.z);
+    if (toDestination <= this.destinationRadius) {
+      this.state = 'arrived';
+      this.path = [];
+      if (this.onArrived) this.onArrived();
+      return;
+    }
+
+    if (this.path.length === 0) this.path = this._planLeg();
+
+    const waypoint = this.path[0];
+    if (Math.hypot(waypoint.x - pos.x, waypoint.z - pos.z) <= WAYPOINT_REACHED) {
+      this.path.shift();
+      return;
+    }
+    this._stepToward(waypoint, WALK_SPEED, delta);
+  }
+
+  /**
+   * Route toward the destination; walks straight at it if the terrain has no way through
+   */
+  _planLeg() {
+    const start = { x: this.mesh.position.x, z: this.mesh.position.z };
+    const path = this.terrain ? findTerrainPath(this.terrain, start, this.destination) : null;
+    return path || [{ ...this.destination }];
+  }
+
+  _stepToward(target, speed, delta) {
+    const pos = this.mesh.position;
+    const dx = target.x - pos.x;
+    const dz = target.z - pos.z;
+    const dist = Math.hypot(dx, dz);
+    if (dist < 0.001) return;
+
+    const step = Math.min(dist, speed * delta);
+    this._placeAt(pos.x + (dx / dist) * step, pos.z + (dz / dist) * step);
+    this.mesh.rotation.y = Math.atan2(dx, dz);
+  }
+
+  _placeAt(x, z) {
+    const y = this.terrain?.getTerrainHeight(x, z) ?? this.mesh.position.y;
+    this.mesh.position.set(x, y, z);
+  }
+
+  _face(target) {
+    const pos = this.mesh.position;
+    this.mesh.rotation.y = Math.atan2(target.x - pos.x, target.z - pos.z);
+  }
+
+  // ========== CLEANUP ==========
+
+  dispose() {
+    if (this.scene) this.scene.remove(this.mesh);
+    this.mesh.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
+
+export default EscortNPC;
@@ -18,13 +18,13 @@ const STATES = {
   WAR_CRYING: 'war_crying',
 };
 
-const COSTS = {
+export const COSTS = {
   dodge: 20,
   lightAttack: 15,
   heavyAttack: 30,
 };
 
-const TIMINGS = {
+export const TIMINGS = {
   dodgeDuration: 0.45,
   dodgeIframes: 0.3,
   // IMPROVED ATTACK TIMINGS - snappier with better anticipation/recovery
@@ -669,7 +669,9 @@ export class Player {
         .addScaledVector(right, move.x)
         .normalize();
 
-      const targetVelocity = this.moveDir.clone().multiplyScalar(this.moveSpeed);
+      // Stone infusion weighs the body down
+      const speedMult = this.gm.getInfusionBonuses().moveSpeedMult;
+      const targetVelocity = this.moveDir.clone().multiplyScalar(this.moveSpeed * speedMult);
       this.currentMoveVelocity.lerp(targetVelocity, this.moveAcceleration * delta);
       this.mesh.position.addScaledVector(this.currentMoveVelocity, delta);
 
@@ -772,7 +774,7 @@ export class Player {
     
     // === NORMAL COMBAT INPUTS ===
     
-    if (this.input.dodge && this.gm.canUseStamina(COSTS.dodge)) {
+    if (this.input.dodge && this.gm.canUseStamina(this._getDodgeCost())) {
       this._startDodge();
       return;
     }
@@ -843,8 +845,15 @@ export class Player {
     }
   }
 
+  /**
+   * Dodge stamina cost (Stone infusion makes rolling heavier)
+   */
+  _getDodgeCost() {
+    return COSTS.dodge + this.gm.getInfusionBonuses().dodgeCostAdd;
+  }
+
   _startDodge() {
-    this.gm.useStamina(COSTS.dodge);
+    this.gm.useStamina(this._getDodgeCost());
     if (this.gm.combatSounds) {
       this.gm.combatSounds.playDodge();
     } else if (this.gm.audioManager) {
@@ -987,7 +996,8 @@ export class Player {
     const progress = this.stateTimer / TIMINGS.dodgeDuration;
     const speedCurve = Math.sin(progress * Math.PI);
 
-    this.mesh.position.addScaledVector(this.dodgeDir, this.dodgeSpeed * speedCurve * delta);
+    const dodgeMult = this.gm.getInfusionBonuses().dodgeSpeedMult;
+    this.mesh.position.addScaledVector(this.dodgeDir, this.dodgeSpeed * dodgeMult * speedCurve * delta);
     
     // Apply wall collision during dodge
     this._applyWallCollision();
@@ -1080,6 +1090,18 @@ export class Player {
       this._checkHit(isHeavy);
     }
 
+    // Dodge-cancel: daggers can roll out of recovery once the hit window has passed
+    const attackInfo = this.gm.weaponManager?.getAttackInfo(isHeavy ? 'heavy' : 'light');
+    if (attackInfo?.dodgeCancel && this.stateTimer >= hitEnd &&
+        this.input.dodge && this.gm.canUseStamina(this._getDodgeCost())) {
+      this.attackCombo = 0;
+      if (this.gm.attackAnimator) {
+        this.gm.attackAnimator.cancel();
+      }
+      this._startDodge();
+      return;
+    }
+
     if (!isHeavy && this.stateTimer > duration - (TIMINGS.comboWindow / speedMult) && this.stateTimer < duration) {
       if (this.input.lightAttack && this.gm.canUseStamina(COSTS.lightAttack)) {
         this.attackCombo = (this.attackCombo + 1) % 3;
@@ -1128,6 +1150,16 @@ export class Player {
     // Calculate base damage
     let finalDamage = Math.floor((baseDamage + equipDamageBonus) * damageMultiplier);
     
+    // Weapon moveset: posture multiplier (shield bashes) and status buildup
+    const attackType = isHeavy ? 'heavy' : 'light';
+    const attackInfo = this.gm.weaponManager?.getAttackInfo(attackType);
+    const postureMult = attackInfo?.postureMultiplier || 1;
+    const buildup = this.gm.weaponManager?.getStatusBuildup(attackType) || null;
+    const evolution = this.gm.weaponManager?.getBoneEvolution();
+    if (evolution) {
+      finalDamage = Math.floor(finalDamage * evolution.damageMult);
+    }
+    
     // Check for critical hit
     let isCrit = false;
     const critChance = this.gm.getEquipmentCritChance ? this.gm.getEquipmentCritChance() : 0;
@@ -1143,9 +1175,10 @@ export class Player {
       ),
       range: this.attackRange,
       damage: finalDamage,
-      postureDmg: isHeavy ? this.heavyPostureDmg : this.lightPostureDmg,
+      postureDmg: Math.round((isHeavy ? this.heavyPostureDmg : this.lightPostureDmg) * postureMult),
       isHeavy,
       isCrit,
+      buildup,
     };
   }
 
@@ -1421,7 +1454,14 @@ export class Player {
    * Check if player is in parry window
    */
   get isParrying() {
-    return this.state === STATES.PARRYING && this.stateTimer < TIMINGS.parryWindow;
+    return this.canParry(0);
+  }
+
+  /**
+   * Parry check with an extended window (Death Research: Riposte Study)
+   */
+  canParry(extraWindow = 0) {
+    return this.state === STATES.PARRYING && this.stateTimer < TIMINGS.parryWindow + extraWindow;
   }
 
   _changeState(newState) {
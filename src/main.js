@@ -8,10 +8,12 @@ import { GameManager } from './systems/GameManager.js';
 import { Player } from './entities/Player.js';
 import { EnemyManager } from './entities/EnemyManager.js';
 import { World } from './world/World.js';
+import { resolveBootWorldSeed } from './world/WorldSeed.js';
 import { CloudManager } from './world/CloudManager.js';
 import { LandmarkManager } from './world/LandmarkManager.js';
 import { GrassManager } from './world/GrassManager.js';
 import { InputManager } from './systems/InputManager.js';
+import { getInputMap } from './systems/InputMap.js';
 import { ItemManager } from './systems/ItemManager.js';
 import { LootManager } from './systems/LootManager.js';
 import { EquipmentManager } from './systems/EquipmentManager.js';
@@ -19,6 +21,7 @@ import { ChestManager } from './world/ChestManager.js';
 import { HUD } from './ui/HUD.js';
 import { CrucibleUI } from './ui/CrucibleUI.js';
 import { StatsUI } from './ui/StatsUI.js';
+import { DeathResearchUI } from './ui/DeathResearchUI.js';
 import { InventoryUI } from './ui/InventoryUI.js';
 import { CameraController } from './systems/CameraController.js';
 import { AudioManager } from './systems/AudioManager.js';
@@ -30,6 +33,8 @@ import { DialogueManager } from './systems/DialogueManager.js';
 import { WeaponManager } from './systems/WeaponManager.js';
 import { AttackAnimator } from './systems/AttackAnimator.js';
 import { ManaManager } from './systems/ManaManager.js';
+import { DeathResearchManager } from './systems/DeathResearchManager.js';
+import { DeathReplay } from './systems/DeathReplay.js';
 import { SpellManager } from './systems/SpellManager.js';
 import { SpellCaster } from './systems/SpellCaster.js';
 import { SpellEffects } from './systems/SpellEffects.js';
@@ -37,8 +42,10 @@ import { BossUI } from './ui/BossUI.js';
 import { createBossSpawner } from './systems/BossSpawner.js';
 import { bossRenderer } from './systems/BossRenderer.js';
 import { createDungeonManager, getDungeonManager } from './systems/DungeonManager.js';
+import { createDungeonRewards } from './systems/DungeonRewards.js';
 import { GatheringManager } from './systems/GatheringManager.js';
 import { CraftingManager } from './systems/CraftingManager.js';
+import { getMaterialStore } from './systems/MaterialStore.js';
 import { CraftingUI } from './ui/CraftingUI.js';
 import { createTimeManager, getTimeManager } from './systems/TimeManager.js';
 import { createDayNightLighting, getDayNightLighting } from './systems/DayNightLighting.js';
@@ -47,8 +54,14 @@ import { createTimeWeatherGameplay, getTimeWeatherGameplay } from './systems/Tim
 import { createRareEventManager, getRareEventManager } from './systems/RareEventManager.js';
 import { createQuestManager, getQuestManager } from './systems/QuestManager.js';
 import { createQuestWorldHooks, getQuestWorldHooks } from './systems/QuestWorldHooks.js';
+import { createBountyBoard } from './systems/BountyBoard.js';
+import { createReputationEffects } from './systems/ReputationEffects.js';
+import { createNPCScheduler } from './systems/NPCScheduler.js';
+import { createCompanionManager } from './systems/CompanionManager.js';
 import { createQuestUI, getQuestUI } from './ui/QuestUI.js';
 import { createNPCQuestGivers, getNPCQuestGivers } from './systems/NPCQuestGivers.js';
+import { getDialogueRuntime } from './systems/DialogueRuntime.js';
+import { getWorldFlags } from './systems/WorldFlags.js';
 import { createQuestRewards, getQuestRewards } from './systems/QuestRewards.js';
 import { getSaveManager } from './systems/SaveManager.js';
 import { getSaveIntegration } from './systems/SaveIntegration.js';
@@ -189,6 +202,8 @@ const clock = new THREE.Clock();
 const gameManager = new GameManager();
 const manaManager = new ManaManager(gameManager);
 gameManager.manaManager = manaManager; // Cross-reference for stat updates
+const deathResearch = new DeathResearchManager(gameManager);
+gameManager.deathResearch = deathResearch; // Ledger of killers + bought counters
 const spellManager = new SpellManager(gameManager);
 gameManager.spellManager = spellManager; // Cross-reference for spell casting
 const spellCaster = new SpellCaster(gameManager, spellManager, null, null); // particleManager and audioManager set later
@@ -248,7 +263,8 @@ document.addEventListener('click', () => audioEngine.resume(), { once: true });
 document.addEventListener('touchstart', () => audioEngine.resume(), { once: true });
 
 // --- World ---
-const world = new World(scene);
+// Seed comes from a pending New Game/Load reload or a shared ?seed= link
+const world = new World(scene, resolveBootWorldSeed());
 
 // --- Sky Clouds (Phase 31) ---
 const cloudManager = new CloudManager(scene);
@@ -308,18 +324,7 @@ const gatheringManager = new GatheringManager(
   scene,
   world.terrain,
   inputManager,
-  { // InventoryManager interface for materials
-    addMaterial: (materialId, qty) => {
-      const materials = JSON.parse(localStorage.getItem('ashen-materials') || '{}');
-      materials[materialId] = (materials[materialId] || 0) + qty;
-      localStorage.setItem('ashen-materials', JSON.stringify(materials));
-    },
-    getMaterialCount: (materialId) => {
-      const materials = JSON.parse(localStorage.getItem('ashen-materials') || '{}');
-      return materials[materialId] || 0;
-    },
-    getAllMaterials: () => JSON.parse(localStorage.getItem('ashen-materials') || '{}'),
-  },
+  getMaterialStore(), // InventoryManager interface for materials
   particleManager,
   audioManager
 );
@@ -367,6 +372,7 @@ spellCaster.audioManager = audioManager;
 // --- Phase 32: Combat Feedback Managers ---
 const enemyHealthBars = new EnemyHealthBarManager(camera);
 enemyHealthBars.setEnemyManager(enemyManager);
+enemyHealthBars.setGameManager(gameManager);
 
 const damageNumbers = new DamageNumberManager(camera);
 const hitEffects = new HitEffectManager(scene, camera);
@@ -435,6 +441,11 @@ gameManager.audioManager = audioManager;
 gameManager.particleManager = particleManager;
 gameManager.hud = hud;
 gameManager.cameraController = cameraController;
+
+// --- Death Replay (telemetry ring buffer + study mode) ---
+const deathReplay = new DeathReplay(scene, gameManager, cameraController);
+deathReplay.setEntities(player, enemyManager);
+gameManager.deathReplay = deathReplay;
 gameManager.itemManager = itemManager;  // For boss reward drops
 gameManager.floatingText = floatingText; // For XP gain text
 gameManager.lootManager = lootManager;  // For inventory/potions
@@ -486,6 +497,9 @@ const statsUI = new StatsUI(gameManager, inputManager, player);
 // --- Connect StatsUI to HUD for auto-open on level up ---
 hud.setStatsUI(statsUI);
 
+// --- Death Research UI (Remnant counters vs what killed you) ---
+const deathResearchUI = new DeathResearchUI(gameManager, deathResearch);
+
 // --- Connect Mana and Spell systems to HUD ---
 hud.setManaManager(manaManager);
 hud.setSpellManager(spellManager);
@@ -512,17 +526,12 @@ bossSpawner.onBossDefeated = (bossData, arena) => {
   console.log(`[Main] Boss defeated: ${bossData.name}`);
   bossUI.hideBoss();
   
-  // Generate boss loot
-  const isFirstKill = !localStorage.getItem(`boss_killed_${bossData.id}`);
+  // Generate boss loot (LootManager tracks kills for the first-kill bonus)
   if (lootManager) {
+    const isFirstKill = !lootManager.hasKilledBoss(bossData.id);
     lootManager.generateBossLoot(bossData.id, arena.position, isFirstKill);
   }
   
-  // Track first kill
-  if (isFirstKill) {
-    localStorage.setItem(`boss_killed_${bossData.id}`, 'true');
-  }
-  
   // Optional: Play victory fanfare
   if (audioManager) {
     audioManager.stop('bossMusic');
@@ -536,6 +545,10 @@ bossSpawner.initialize(player);
 // --- Dungeon Manager System (Phase 22) ---
 const dungeonManager = createDungeonManager(scene, world, player, gameManager, inputManager, audioManager);
 gameManager.dungeonManager = dungeonManager;
+gameManager.trapManager = dungeonManager.trapManager; // PuzzleManager springs traps on failure
+gameManager.puzzleManager = dungeonManager.puzzleManager;
+const dungeonRewards = createDungeonRewards(gameManager);
+gameManager.dungeonRewards = dungeonRewards; // Completions, best times, deepest floors
 
 // --- Initialize Quest System (Phase 25) ---
 questManager.init({
@@ -551,6 +564,24 @@ questWorldHooks.init({
   npcManager: world.npcManager,
   bossManager: bossSpawner,
   player: player,
+  gameManager: gameManager,
+  craftingManager: craftingManager,
+  timeManager: timeManager,
+  gatheringManager: gatheringManager,
+  puzzleManager: dungeonManager.puzzleManager,
+  dungeonRewards: dungeonRewards,
+  terrain: world.terrain,
+});
+
+// Radiant bounties on the Ashvale notice board, rotated daily
+const bountyBoard = createBountyBoard();
+bountyBoard.init({
+  questManager,
+  gameManager,
+  timeManager,
+  villageManager: world.villages,
+  gatheringManager,
+  player,
 });
 
 // Initialize Quest UI (Phase 25 - Worker 2)
@@ -568,10 +599,53 @@ gameManager.npcQuestGivers = npcQuestGivers;
 // Phase 33: Screen-space NPC quest markers
 const npcMarkerManager = new NPCMarkerManager(camera);
 npcMarkerManager.setNPCQuestGivers(npcQuestGivers);
+npcMarkerManager.setVillageNPCs(world.npcManager);
+
+// Village NPCs walk between huts, stalls, the forge and the well on schedule
+const npcScheduler = createNPCScheduler();
+npcScheduler.init({
+  npcManager: world.npcManager,
+  villageManager: world.villages,
+  timeWeatherGameplay,
+  weatherManager,
+});
 
 // Initialize Quest Rewards & Reputation (Phase 25 - Worker 2)
 questRewards.init(questManager, scene);
 
+// Hired companion: follows the player, fights, levels with them
+const companionManager = createCompanionManager();
+companionManager.init({
+  scene,
+  terrain: world.terrain,
+  gameManager,
+  enemyManager,
+  lootManager,
+  player,
+  inputManager,
+  itemManager,
+});
+
+// Dialogue trees (village NPCs + quest givers) read and change these systems
+getDialogueRuntime().init({
+  questManager,
+  questRewards,
+  timeManager,
+  worldFlags: getWorldFlags(),
+  inventory: lootManager,
+  companionManager,
+});
+
+// Faction standing: reputation recipes and ambushes near hostile villages
+const reputationEffects = createReputationEffects();
+reputationEffects.init({
+  questRewards,
+  craftingManager,
+  enemyManager,
+  villageManager: world.villages,
+  questManager,
+});
+
 // Phase 40: Quest objective arrow
 const questArrow = new QuestArrow();
 questArrow.init({ camera });
@@ -590,6 +664,7 @@ saveManager.init({
   lootManager,
   questManager,
   questRewards,
+  bountyBoard,
   timeManager,
   weatherManager,
   craftingManager,
@@ -597,8 +672,17 @@ saveManager.init({
   shopManager,
   bossSpawner,
   dungeonManager,
+  dungeonRewards,
+  puzzleManager: dungeonManager.puzzleManager,
   spellManager,
   manaManager,
+  weaponManager,
+  chestManager,
+  companionManager,
+  rareEventManager,
+  timeWeatherGameplay,
+  inputMap: getInputMap(),
+  worldFlags: getWorldFlags(),
   npcManager: npcQuestGivers,
   scene,
   hud,
@@ -694,6 +778,7 @@ fastTravelManager.init({
   minimapManager: minimapManager,
 });
 gameManager.fastTravelManager = fastTravelManager;
+saveManager.registerSystem('fastTravelManager', fastTravelManager);
 
 // Connect fast travel to minimap
 minimapManager.setFastTravelManager(fastTravelManager);
@@ -776,25 +861,32 @@ const tutorialArrow = (() => {
 const settingsUI = new SettingsUI();
 gameManager.settingsUI = settingsUI;
 
-// Esc key → toggle settings (only if no other overlay is open)
-// M key → quick mute toggle
+// Back (Esc) → toggle settings (only if no other overlay is open)
+// Toggle mute (M) → quick mute toggle
 window.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape') {
+  const inputMap = getInputMap();
+  if (inputMap.matches(e, 'back')) {
     // If settings is open, close it
     if (settingsUI.isOpen) {
       settingsUI.close();
       e.preventDefault();
       return;
     }
+    // Esc ends a death study and respawns
+    if (deathReplay.isPlaying) {
+      deathReplay.stopStudy();
+      e.preventDefault();
+      return;
+    }
     // Don't open settings if another menu is open
     if (shopManager.isShopOpen() || inventoryUI.isOpen || dialogueManager.isDialogueActive()
-        || crucibleUI.isOpen || statsUI.isOpen || craftingUI.isOpen) {
+        || crucibleUI.isOpen || statsUI.isOpen || deathResearchUI.isOpen || craftingUI.isOpen) {
       return;
     }
     settingsUI.open();
     e.preventDefault();
   }
-  if (e.key === 'm' || e.key === 'M') {
+  if (inputMap.matches(e, 'toggleMute')) {
     // Don't trigger if typing in an input
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
     // Don't trigger if any text-entry overlay is active
@@ -895,13 +987,18 @@ function animate() {
   // Check hitstop - pause game entities during freeze frame
   const inHitstop = gameManager.updateHitstop(delta);
   
-  if (!inHitstop) {
+  if (deathReplay.isPlaying) {
+    // Death study: the replay drives player/enemy transforms
+    deathReplay.update(delta);
+    particleManager.update(delta);
+  } else if (!inHitstop) {
     // Normal game update when not in hitstop
     // Don't update player movement when any UI is open
     if (!shopManager.isShopOpen() && !inventoryUI.isOpen && !dialogueManager.isDialogueActive() && !settingsUI.isOpen) {
       player.update(delta);
     }
     enemyManager.update(delta, player);
+    deathReplay.record(delta);
     particleManager.update(delta);
     
     // Update terrain chunks based on player position (infinite world)
@@ -983,7 +1080,7 @@ function animate() {
     if (world.bossArena && world.bossArena.active) {
       const arenaDamage = world.updateBossArena(delta, player.mesh.position);
       if (arenaDamage > 0 && !player.isInvincible) {
-        gameManager.takeDamage(arenaDamage, 'magical', 0, false);
+        gameManager.takeDamage(arenaDamage, 'magical', 0, false, enemyManager.boss?.type || null);
         player.flashDamage();
         if (hud) {
           hud.flashDamage(0.5);
@@ -1068,12 +1165,12 @@ function animate() {
   
   // NPC interaction system (prompts, facing, labels)
   // Don't show interaction prompts if any UI is open
-  if (!gameManager.isDead && !crucibleUI.isOpen && !statsUI.isOpen && !inventoryUI.isOpen && !craftingUI.isOpen && !shopManager.isShopOpen() && !dialogueManager.isDialogueActive() && !settingsUI.isOpen) {
+  if (!gameManager.isDead && !crucibleUI.isOpen && !statsUI.isOpen && !deathResearchUI.isOpen && !inventoryUI.isOpen && !craftingUI.isOpen && !shopManager.isShopOpen() && !dialogueManager.isDialogueActive() && !settingsUI.isOpen) {
     interactionManager.update(player.mesh.position, delta);
   }
   
   // Gathering system (Phase 23) - update nodes and interaction
-  if (!gameManager.isDead && !crucibleUI.isOpen && !statsUI.isOpen && !inventoryUI.isOpen && !craftingUI.isOpen && !shopManager.isShopOpen() && !dialogueManager.isDialogueActive() && !settingsUI.isOpen) {
+  if (!gameManager.isDead && !crucibleUI.isOpen && !statsUI.isOpen && !deathResearchUI.isOpen && !inventoryUI.isOpen && !craftingUI.isOpen && !shopManager.isShopOpen() && !dialogueManager.isDialogueActive() && !settingsUI.isOpen) {
     gatheringManager.update(player.mesh.position.x, player.mesh.position.z, delta);
   }
   
@@ -1108,6 +1205,7 @@ function animate() {
   hud.update();
   crucibleUI.update();
   statsUI.update();
+  deathResearchUI.update();
   gameManager.update(delta);
   manaManager.update(delta); // Phase 20: Mana regeneration
   spellManager.update(delta); // Phase 20: Spell cooldowns and buffs
@@ -1117,7 +1215,7 @@ function animate() {
   
   // Phase 24: Day/Night & Weather System updates
   // Pause time during menus/dialogue
-  const timeIsPaused = shopManager.isShopOpen() || inventoryUI.isOpen || dialogueManager.isDialogueActive() || crucibleUI.isOpen || statsUI.isOpen || craftingUI.isOpen || settingsUI.isOpen;
+  const timeIsPaused = shopManager.isShopOpen() || inventoryUI.isOpen || dialogueManager.isDialogueActive() || crucibleUI.isOpen || statsUI.isOpen || deathResearchUI.isOpen || craftingUI.isOpen || settingsUI.isOpen;
   if (timeIsPaused) {
     timeManager.pause();
   } else {
@@ -1135,11 +1233,20 @@ function animate() {
   
   // Phase 25: Quest system update (exploration markers, location tracking)
   questWorldHooks.update(delta, player.mesh.position);
+  reputationEffects.update(delta, player.mesh.position);
+  npcScheduler.update(delta, player.mesh.position);
+  companionManager.update(delta, player.mesh.position);
   questManager.updateQuestUI();
   
   // Phase 25 (Worker 2): NPC quest giver markers and animations
   if (npcQuestGivers) {
     npcQuestGivers.update(delta, player.mesh.position);
+    
+    // Talk to the quest giver whose prompt is showing
+    const questGiver = npcQuestGivers.getNearestNPC(player.mesh.position);
+    if (questGiver && !npcQuestGivers.isDialogueOpen() && !dialogueManager.isDialogueActive() && inputManager.interact) {
+      dialogueManager.startDialogue(questGiver.npcData);
+    }
   }
   
   // Update quest UI player position for distance sorting
@@ -1370,10 +1477,13 @@ window.dialogueManager = dialogueManager;
 window.attackAnimator = attackAnimator;
 window.weaponManager = weaponManager;
 window.manaManager = manaManager;
+window.deathResearch = deathResearch;
+window.deathReplay = deathReplay;
 window.spellManager = spellManager;
 window.spellCaster = spellCaster;
 window.bossUI = bossUI;
 window.dungeonManager = dungeonManager;
+window.dungeonRewards = dungeonRewards;
 window.timeManager = timeManager;
 window.rareEventManager = rareEventManager;
 window.dayNightLighting = dayNightLighting;
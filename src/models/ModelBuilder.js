@@ -1121,6 +1121,49 @@ export function flashEnemyModel(model, color = 0xff0000, duration = 150) {
   });
 }
 
+/**
+ * Build a friendly humanoid (escorts, companions) - upright, plain clothes,
+ * village-NPC proportions. Body material is on userData for damage flashes.
+ */
+export function buildAllyModel({ bodyColor = 0x3f7a4a, headColor = 0xe0b48a, weapon = false } = {}) {
+  const group = new THREE.Group();
+
+  const bodyMaterial = new THREE.MeshStandardMaterial({ color: bodyColor, roughness: 0.8 });
+  const body = new THREE.Mesh(new THREE.CylinderGeometry(0.28, 0.25, 1.0, 12), bodyMaterial);
+  body.position.y = 1.1;
+  body.castShadow = true;
+  group.add(body);
+
+  const legs = new THREE.Mesh(new THREE.CylinderGeometry(0.22, 0.18, 0.6, 10), bodyMaterial);
+  legs.position.y = 0.3;
+  legs.castShadow = true;
+  group.add(legs);
+
+  const headMaterial = new THREE.MeshStandardMaterial({ color: headColor, roughness: 0.6 });
+  const head = new THREE.Mesh(new THREE.SphereGeometry(0.2, 12, 10), headMaterial);
+  head.position.y = 1.8;
+  head.castShadow = true;
+  group.add(head);
+
+  // Sword held point-forward at the right hip; pivot at the grip for swings
+  if (weapon) {
+    const weaponPivot = new THREE.Group();
+    weaponPivot.position.set(0.35, 1.0, 0.1);
+    const blade = new THREE.Mesh(
+      new THREE.BoxGeometry(0.06, 0.05, 0.9),
+      new THREE.MeshStandardMaterial({ color: 0xb8bcc4, metalness: 0.7, roughness: 0.3 }),
+    );
+    blade.position.z = 0.45;
+    blade.castShadow = true;
+    weaponPivot.add(blade);
+    group.add(weaponPivot);
+    group.userData.weaponPivot = weaponPivot;
+  }
+
+  group.userData.bodyMaterial = bodyMaterial;
+  return group;
+}
+
 export const ModelBuilder = {
   buildEnemyModel,
   buildEliteEnemyModel,
@@ -1131,5 +1174,6 @@ export const ModelBuilder = {
   buildBossModel,
   updateEnemyModel,
   flashEnemyModel,
+  buildAllyModel,
   ENEMY_PALETTES
 };
@@ -0,0 +1,627 @@
+/**
+ * CombatSimulator.js - Deterministic headless combat harness
+ *
+ * Pits one player against one target (an ENEMY_TYPES or WORLD_BOSSES key)
+ * on a fixed timestep with no renderer. The real GameManager, Player, Enemy
+ * and BossAI do the fighting; a scripted policy stands in for the keyboard
+ * and hit resolution mirrors EnemyManager. Same seed in, same JSON out.
+ *
+ * Weapons feed the Player's damage, attack speed and reach through
+ * WeaponManager - stamina costs stay the Player's own.
+ *
+ * Run from Node via combat-sim.mjs.
+ */
+
+import * as THREE from 'three';
+import { GameManager } from '../systems/GameManager.js';
+import { InputManager } from '../systems/InputManager.js';
+import { WeaponManager } from '../systems/WeaponManager.js';
+import { Player, COSTS, TIMINGS } from '../entities/Player.js';
+import { Enemy, ENEMY_TYPES, ATTACK_CONFIGS } from '../entities/Enemy.js';
+import { BossAI } from '../ai/BossAI.js';
+import { WORLD_BOSSES } from '../data/BossData.js';
+import { WEAPONS } from '../data/WeaponData.js';
+import { installHeadlessEnvironment } from './HeadlessEnvironment.js';
+
+export const SIM_DT = 1 / 60;
+export const DEFAULT_MAX_TIME = 180;  // Seconds before a run counts as a timeout
+export const DEFAULT_LEVEL = 10;      // Parry unlocks at 8
+
+const START_DISTANCE = 8;         // Regular enemies start this far away
+const BOSS_START_DISTANCE = 10;   // Inside every world boss's detection range
+const BOSS_HIT_PADDING = 1.0;     // Same padding EnemyManager gives bosses
+const PLAYER_HITBOX_OFFSET = 1.2; // Player._checkHit places the hitbox this far ahead
+const PROJECTILE_RADIUS = 1.0;
+const PROJECTILE_LIFETIME = 5;
+
+// Seconds before a strike lands that each reaction is input
+const REACTION_LEADS = {
+  dodge: 0.1,   // Inside the 0.3s i-frames
+  parry: 0.05,  // Inside the 0.15s parry window
+};
+
+// Stamina kept back so the reaction is always affordable
+const REACTION_RESERVE = {
+  dodge: COSTS.dodge,
+  parry: 10,
+  block: 0,
+};
+
+// Crypt Lord's scripted attacks -> their config.attacks entry (for windups)
+const BOSS_STATE_ATTACKS = {
+  boss_slam: 'GREATSWORD_SLAM',
+  boss_sweep: 'HORIZONTAL_SWEEP',
+  boss_combo: 'THREE_HIT_COMBO',
+  boss_charge: 'SHOULDER_BASH',
+  boss_grab: 'GRAB',
+  boss_summon: 'SKELETON_SUMMON',
+  boss_aoe: 'GROUND_SLAM_AOE',
+  boss_projectile: 'DARK_PROJECTILE',
+};
+
+/**
+ * Built-in policies (pass the key or any spec to parsePolicy)
+ */
+export const PLAYER_POLICIES = {
+  dodge_light3: 'dodge on tell, light attack x3',
+  block_heavy: 'block on tell, heavy attack x1',
+  parry_light2: 'parry on tell, light attack x2',
+  trade_light3: 'light attack x3',
+};
+
+/**
+ * Parse a policy spec like "dodge on tell, light attack x3".
+ * Clauses: "<dodge|block|parry> on tell" (at most one) and
+ * "<light|heavy> attack [xN]" (repeatable, run in order as a string).
+ */
+export function parsePolicy(spec) {
+  const text = PLAYER_POLICIES[spec] || spec;
+  const policy = { spec: text, reaction: null, attacks: [] };
+
+  for (const rawClause of text.split(',')) {
+    const clause = rawClause.trim().toLowerCase();
+    if (!clause) continue;
+
+    const reaction = clause.match(/^(dodge|block|parry) on tell$/);
+    if (reaction) {
+      if (policy.reaction) throw new Error(`[CombatSim] Policy has two reactions: "${text}"`);
+      policy.reaction = reaction[1];
+      continue;
+    }
+
+    const attack = clause.match(/^(light|heavy)(?: attack)?(?:\s*x\s*(\d+))?$/);
+    if (attack) {
+      const count = attack[2] ? parseInt(attack[2], 10) : 1;
+      for (let i = 0; i < count; i++) policy.attacks.push(attack[1]);
+      continue;
+    }
+
+    throw new Error(`[CombatSim] Unknown policy clause: "${rawClause.trim()}"`);
+  }
+
+  return policy;
+}
+
+/**
+ * InputManager driven by the policy instead of DOM events
+ */
+class ScriptedInput extends InputManager {
+  constructor() {
+    super(document.createElement('canvas'));
+    this.stick = { x: 0, z: 0 };
+  }
+
+  press(code) {
+    this._bufferAction(code);
+  }
+
+  hold(code, held) {
+    this.keys[code] = held;
+  }
+
+  getMovementVector() {
+    return { x: this.stick.x, z: this.stick.z };
+  }
+}
+
+function horizontalDistance(a, b) {
+  const dx = a.x - b.x;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+function round(value, places = 2) {
+  const f = Math.pow(10, places);
+  return Math.round(value * f) / f;
+}
+
+function summarize(values) {
+  if (values.length === 0) return null;
+  const sum = values.reduce((a, b) => a + b, 0);
+  return {
+    mean: round(sum / values.length),
+    min: round(Math.min(...values)),
+    max: round(Math.max(...values)),
+  };
+}
+
+export class CombatSimulator {
+  /**
+   * @param {object} options
+   * @param {number} options.runs - Seeded runs per matchup
+   * @param {number} options.seed - Seed of the first run (run i uses seed + i)
+   * @param {number} options.maxTime - Sim seconds before a run times out
+   * @param {number} options.level - Player level (gates abilities)
+   * @param {boolean} options.quiet - Silence game logging during runs
+   */
+  constructor({ runs = 5, seed = 1, maxTime = DEFAULT_MAX_TIME, level = DEFAULT_LEVEL, quiet = true } = {}) {
+    this.runs = runs;
+    this.seed = seed;
+    this.maxTime = maxTime;
+    this.level = level;
+    this.quiet = quiet;
+    this.dt = SIM_DT;
+  }
+
+  // ========== REPORTS ==========
+
+  /**
+   * Every weapon x target x policy combination
+   */
+  run({ weapons, targets, policies }) {
+    const matchups = [];
+    for (const policy of policies) {
+      for (const weaponId of weapons) {
+        for (const targetKey of targets) {
+          matchups.push(this.runMatchup(weaponId, targetKey, policy));
+        }
+      }
+    }
+
+    return {
+      seed: this.seed,
+      runs: this.runs,
+      dt: round(this.dt, 6),
+      maxTime: this.maxTime,
+      level: this.level,
+      matchups,
+    };
+  }
+
+  /**
+   * Aggregate several seeded runs of one matchup
+   */
+  runMatchup(weaponId, targetKey, policySpec) {
+    const policy = typeof policySpec === 'string' ? parsePolicy(policySpec) : policySpec;
+    const results = [];
+    for (let i = 0; i < this.runs; i++) {
+      results.push(this.runOnce(weaponId, targetKey, policy, this.seed + i));
+    }
+
+    const kills = results.filter(r => r.outcome === 'kill');
+    const totalMinutes = results.reduce((sum, r) => sum + r.time, 0) / 60;
+    const perRun = (key) => round(results.reduce((sum, r) => sum + r[key], 0) / results.length);
+    const perMinute = (key) => round(results.reduce((sum, r) => sum + r[key], 0) / Math.max(totalMinutes, 1e-6));
+
+    return {
+      weapon: weaponId,
+      target: targetKey,
+      targetName: this._getTargetDef(targetKey).name,
+      policy: policy.spec,
+      runs: results.length,
+      kills: kills.length,
+      deaths: results.filter(r => r.outcome === 'death').length,
+      timeouts: results.filter(r => r.outcome === 'timeout').length,
+      winRate: round(kills.length / results.length),
+      timeToKill: summarize(kills.map(r => r.time)),
+      damageTaken: summarize(results.map(r => r.damageTaken)),
+      damageTakenPerMinute: perMinute('damageTaken'),
+      damageDealt: summarize(results.map(r => r.damageDealt)),
+      hitsTaken: perRun('hitsTaken'),
+      hitsBlocked: perRun('hitsBlocked'),
+      postureBreaks: {
+        enemy: { perRun: perRun('enemyPostureBreaks'), perMinute: perMinute('enemyPostureBreaks') },
+        player: { perRun: perRun('playerPostureBreaks'), perMinute: perMinute('playerPostureBreaks') },
+      },
+      parries: perRun('parries'),
+      dodges: perRun('dodges'),
+    };
+  }
+
+  // ========== SINGLE RUN ==========
+
+  /**
+   * One fight to a kill, death or timeout
+   */
+  runOnce(weaponId, targetKey, policy, seed) {
+    if (!WEAPONS[weaponId]) throw new Error(`[CombatSim] Unknown weapon: ${weaponId}`);
+    this._getTargetDef(targetKey);
+
+    const env = installHeadlessEnvironment({ seed, quiet: this.quiet });
+    try {
+      const ctx = this._setupFight(weaponId, targetKey, policy);
+      const { gm, player, input, target } = ctx;
+      const stats = ctx.stats;
+
+      let time = 0;
+      let outcome = 'timeout';
+      let lastPlayerState = player.state;
+
+      while (time < this.maxTime) {
+        this._applyPolicy(ctx);
+
+        input.update(this.dt);
+        const inHitstop = gm.updateHitstop(this.dt);
+        if (!inHitstop) {
+          player.update(this.dt);
+          target.update(this.dt, player);
+          this._resolveHits(ctx);
+        }
+        gm.update(this.dt);
+        env.advance(this.dt);
+        time += this.dt;
+
+        if (player.state === 'dodging' && lastPlayerState !== 'dodging') stats.dodges++;
+        lastPlayerState = player.state;
+
+        if (gm.isDead) {
+          outcome = 'death';
+          break;
+        }
+        if (ctx.targetDead()) {
+          outcome = 'kill';
+          break;
+        }
+      }
+
+      return { seed, outcome, time: round(time, 3), ...stats };
+    } finally {
+      env.uninstall();
+    }
+  }
+
+  _getTargetDef(targetKey) {
+    const def = ENEMY_TYPES[targetKey] || WORLD_BOSSES[targetKey];
+    if (!def) throw new Error(`[CombatSim] Unknown enemy: ${targetKey}`);
+    return def;
+  }
+
+  _setupFight(weaponId, targetKey, policy) {
+    const scene = new THREE.Scene();
+    const gm = new GameManager();
+    gm.currentLevel = this.level;
+
+    const input = new ScriptedInput();
+    const player = new Player(scene, gm, input);
+    gm.player = player;
+
+    // Weapon stats onto the Player's attack
+    const weapons = new WeaponManager(gm, null);
+    weapons.equipWeapon(weaponId);
+    gm.weaponManager = weapons; // Moveset extras (status buildup, posture multiplier, dodge-cancel)
+    player.lightDamage = weapons.getDamage('light');
+    player.heavyDamage = weapons.getDamage('heavy');
+    player.attackRange *= weapons.getRange();
+    const categoryDamage = weapons.activeWeapon.category.baseDamage;
+    player.lightPostureDmg = Math.round(player.lightPostureDmg * categoryDamage);
+    player.heavyPostureDmg = Math.round(player.heavyPostureDmg * categoryDamage);
+    const statSpeed = gm.getAttackSpeedMultiplier.bind(gm);
+    const weaponSpeed = weapons.getAttackSpeed();
+    gm.getAttackSpeedMultiplier = () => statSpeed() * weaponSpeed;
+
+    const stats = {
+      damageTaken: 0,
+      damageDealt: 0,
+      hitsTaken: 0,
+      hitsBlocked: 0,
+      playerPostureBreaks: 0,
+      enemyPostureBreaks: 0,
+      parries: 0,
+      dodges: 0,
+    };
+
+    // Every source of player damage (including enemy projectiles) goes through here
+    const takeDamage = gm.takeDamage.bind(gm);
+    gm.takeDamage = (amount, damageType, postureDmg, isBlocking, sourceType) => {
+      const healthBefore = gm.health;
+      const result = takeDamage(amount, damageType, postureDmg, isBlocking, sourceType);
+      stats.damageTaken += Math.max(0, healthBefore - gm.health);
+      stats.hitsTaken++;
+      if (isBlocking && result === 'hit') stats.hitsBlocked++;
+      if (result === 'guard_broken' || result === 'posture_broken') stats.playerPostureBreaks++;
+      return result;
+    };
+
+    const ctx = { gm, player, input, policy, stats, targetKey, plan: { step: 0, reacted: false } };
+
+    if (ENEMY_TYPES[targetKey]) {
+      player.mesh.position.set(0, 0, 0);
+      const enemy = new Enemy(scene, new THREE.Vector3(0, 0, START_DISTANCE), { type: targetKey }, gm);
+      ctx.enemy = enemy;
+      ctx.target = enemy;
+      ctx.targetMesh = enemy.mesh;
+      ctx.targetDead = () => enemy.health <= 0;
+    } else {
+      const data = WORLD_BOSSES[targetKey];
+      const entity = this._createBossEntity(data);
+      const bossAI = new BossAI(entity, data, gm);
+      const spawn = entity.mesh.position;
+      player.mesh.position.set(spawn.x, 0, spawn.z - BOSS_START_DISTANCE);
+      ctx.bossAI = bossAI;
+      ctx.bossEntity = entity;
+      ctx.target = bossAI;
+      ctx.targetMesh = entity.mesh;
+      ctx.targetDead = () => bossAI.isDead;
+    }
+
+    return ctx;
+  }
+
+  /**
+   * Stand-in for the rendered boss: a mesh to move plus a projectile list
+   */
+  _createBossEntity(data) {
+    const mesh = new THREE.Group();
+    mesh.position.set(data.spawnLocation.x, 0, data.spawnLocation.z);
+    const projectiles = [];
+
+    return {
+      mesh,
+      projectiles,
+      fireProjectile(opts) {
+        projectiles.push({
+          position: mesh.position.clone(),
+          direction: opts.direction.clone().setY(0).normalize(),
+          speed: opts.speed,
+          damage: opts.damage,
+          damageType: opts.damageType,
+          postureDamage: opts.postureDamage,
+          life: PROJECTILE_LIFETIME,
+        });
+      },
+    };
+  }
+
+  // ========== POLICY ==========
+
+  /**
+   * What the target is winding up, if anything.
+   * remaining = seconds until the strike; <= 0 while the strike is out.
+   */
+  _readThreat(ctx) {
+    if (ctx.bossAI) {
+      const boss = ctx.bossAI;
+      if (boss.state === 'telegraph' && boss.currentAbility) {
+        const windup = boss.currentAbility.windupTime || 1.0;
+        return { name: boss.currentAbility.id, remaining: windup - boss.stateTimer };
+      }
+      if (boss.state === 'attacking') return { name: boss.currentAbility?.id || 'attack', remaining: 0 };
+      return null;
+    }
+
+    const enemy = ctx.enemy;
+    if (enemy.state === 'attack') {
+      const attackConfig = enemy.attackVarietyEnabled ? ATTACK_CONFIGS[enemy.currentAttackType] : null;
+      const windup = enemy.config.attackWindup * (attackConfig ? attackConfig.windupMult : 1);
+      if (enemy.stateTimer > windup + enemy.config.attackDuration) return null;
+      return { name: attackConfig ? attackConfig.tell : 'normal', remaining: windup - enemy.stateTimer };
+    }
+    const bossAttack = enemy.config.attacks?.[BOSS_STATE_ATTACKS[enemy.state]];
+    if (bossAttack) {
+      if (enemy.stateTimer > bossAttack.windup + 0.3) return null;
+      return { name: enemy.state, remaining: bossAttack.windup - enemy.stateTimer };
+    }
+    return null;
+  }
+
+  /**
+   * Turn the policy into this frame's inputs
+   */
+  _applyPolicy(ctx) {
+    const { gm, player, input, policy, plan } = ctx;
+    input.stick.x = 0;
+    input.stick.z = 0;
+    input.hold('ShiftLeft', false);
+    if (gm.isDead) return;
+
+    const playerPos = player.mesh.position;
+    const targetPos = ctx.targetMesh.position;
+    const dist = horizontalDistance(playerPos, targetPos);
+    const canAct = player.state === 'idle' || player.state === 'moving';
+    const steerToTarget = () => {
+      if (dist < 0.01) return;
+      input.stick.x = (targetPos.x - playerPos.x) / dist;
+      input.stick.z = (targetPos.z - playerPos.z) / dist;
+    };
+
+    // ===== React to tells =====
+    const threat = this._readThreat(ctx);
+    if (!threat) plan.reacted = false;
+
+    if (threat && policy.reaction) {
+      if (policy.reaction === 'block') {
+        input.hold('ShiftLeft', true);
+        return;
+      }
+      if (!plan.reacted && threat.remaining <= REACTION_LEADS[policy.reaction] && canAct) {
+        // No stick input: dodges roll straight back
+        input.press(policy.reaction === 'dodge' ? 'Space' : 'KeyF');
+        plan.reacted = true;
+        return;
+      }
+      // Hold still and wait for the strike rather than start a swing
+      if (!plan.reacted && threat.remaining > 0) return;
+    }
+
+    // ===== Attack string =====
+    if (policy.attacks.length === 0) return;
+    const next = policy.attacks[plan.step];
+    const reach = PLAYER_HITBOX_OFFSET + player.attackRange * 0.8 + (ctx.bossAI ? BOSS_HIT_PADDING : 0);
+
+    // Chain light attacks inside the combo window
+    if (player.state === 'attacking' && next === 'light' && plan.step > 0) {
+      const speedMult = gm.getAttackSpeedMultiplier();
+      const duration = TIMINGS.lightAttackDuration / speedMult;
+      if (player.stateTimer >= duration - TIMINGS.comboWindow / speedMult && gm.stamina >= COSTS.lightAttack) {
+        input.press('Mouse0');
+        plan.step = (plan.step + 1) % policy.attacks.length;
+      }
+      return;
+    }
+
+    if (!canAct) return;
+
+    if (dist > reach) {
+      plan.step = 0;
+      steerToTarget();
+      return;
+    }
+
+    const cost = next === 'heavy' ? COSTS.heavyAttack : COSTS.lightAttack;
+    const reserve = plan.step === 0 && policy.reaction ? REACTION_RESERVE[policy.reaction] : 0;
+    if (gm.stamina < cost + reserve) return;
+
+    // A stick tap turns the player to face the target as the swing starts
+    steerToTarget();
+    input.press(next === 'heavy' ? 'Mouse2' : 'Mouse0');
+    plan.step = (plan.step + 1) % policy.attacks.length;
+  }
+
+  // ========== HIT RESOLUTION (mirrors EnemyManager) ==========
+
+  _resolveHits(ctx) {
+    if (ctx.bossAI) {
+      this._resolveBossHits(ctx);
+    } else {
+      this._resolveEnemyHits(ctx);
+    }
+  }
+
+  _resolveEnemyHits(ctx) {
+    const { gm, player, enemy, stats } = ctx;
+
+    // Player attacks hitting the enemy
+    if (player.activeAttack && !player.hitThisSwing) {
+      const dist = horizontalDistance(enemy.mesh.position, player.activeAttack.position);
+      if (dist < player.activeAttack.range && enemy.health > 0) {
+        const healthBefore = enemy.health;
+        const attackDamage = player.activeAttack.damage;
+        let result = enemy.takeDamage(attackDamage, player.activeAttack.postureDmg, player.mesh.position);
+        player.hitThisSwing = true;
+        gm.onPlayerDealtDamage(attackDamage);
+        if (result !== 'died' && player.activeAttack.buildup) {
+          const status = enemy.applyStatusBuildup(player.activeAttack.buildup);
+          for (const proc of status.procs) gm.onPlayerDealtDamage(proc.damage);
+          if (status.procs.length > 0) result = status.result;
+        }
+        stats.damageDealt += Math.max(0, healthBefore - enemy.health);
+        if (result === 'staggered') stats.enemyPostureBreaks++;
+
+        if (player.activeAttack.isHeavy) {
+          gm.hitstopHeavy();
+        } else {
+          gm.hitstopLight();
+        }
+      }
+    }
+
+    // Enemy attacks hitting the player
+    if (enemy.activeAttack && !enemy.hitThisSwing) {
+      const dist = horizontalDistance(player.mesh.position, enemy.activeAttack.position);
+      if (dist < enemy.activeAttack.range && !player.isInvincible) {
+        if (player.canParry()) {
+          enemy.hitThisSwing = true;
+          player.onParrySuccess();
+          enemy.state = 'staggered';
+          enemy.stateTimer = 0;
+          stats.parries++;
+          return;
+        }
+
+        const result = gm.takeDamage(
+          enemy.activeAttack.damage,
+          'physical',
+          enemy.activeAttack.postureDmg,
+          player.isBlocking,
+          enemy.config.type || null
+        );
+        enemy.hitThisSwing = true;
+        player.flashDamage();
+
+        if (result === 'guard_broken' || result === 'posture_broken') {
+          player.state = 'staggered';
+          player.stateTimer = 0;
+        }
+      }
+    }
+  }
+
+  _resolveBossHits(ctx) {
+    const { gm, player, bossAI, bossEntity, stats } = ctx;
+
+    // Player attacks hitting the boss
+    if (player.activeAttack && !player.hitThisSwing && !bossAI.isDead) {
+      const dist = horizontalDistance(bossEntity.mesh.position, player.activeAttack.position);
+      if (dist < player.activeAttack.range + BOSS_HIT_PADDING && bossAI.health > 0) {
+        const attackDamage = player.activeAttack.damage;
+        const { result, damage } = bossAI.takeDamage(attackDamage, player.activeAttack.postureDmg, player.mesh.position);
+        player.hitThisSwing = true;
+        gm.onPlayerDealtDamage(attackDamage);
+        stats.damageDealt += damage;
+        if (result === 'staggered') stats.enemyPostureBreaks++;
+
+        if (player.activeAttack.isHeavy) {
+          gm.hitstopHeavy();
+        } else {
+          gm.hitstopLight();
+        }
+      }
+    }
+
+    // Boss attacks hitting the player
+    const attack = bossAI.activeAttack;
+    if (attack && !bossAI.hitThisAttack) {
+      const dist = horizontalDistance(player.mesh.position, attack.position);
+      if (dist < attack.range && !player.isInvincible) {
+        bossAI.hitThisAttack = true;
+        if (player.canParry()) {
+          player.onParrySuccess();
+          stats.parries++;
+        } else {
+          this._hitPlayer(ctx, attack.damage, attack.damageType || 'physical', attack.postureDmg);
+          if (attack.onHit) attack.onHit(attack.damage);
+        }
+      }
+    }
+
+    // Boss projectiles
+    const projectiles = bossEntity.projectiles;
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+      const proj = projectiles[i];
+      proj.position.addScaledVector(proj.direction, proj.speed * this.dt);
+      proj.life -= this.dt;
+
+      if (proj.life <= 0) {
+        projectiles.splice(i, 1);
+      } else if (horizontalDistance(proj.position, player.mesh.position) < PROJECTILE_RADIUS && !player.isInvincible) {
+        projectiles.splice(i, 1);
+        if (player.canParry()) {
+          player.onParrySuccess();
+          stats.parries++;
+        } else {
+          this._hitPlayer(ctx, proj.damage, proj.damageType || 'magic', proj.postureDamage);
+        }
+      }
+    }
+  }
+
+  _hitPlayer(ctx, damage, damageType, postureDmg) {
+    const { gm, player, targetKey } = ctx;
+    const result = gm.takeDamage(damage, damageType, postureDmg, player.isBlocking, targetKey);
+    player.flashDamage();
+    if (result === 'guard_broken' || result === 'posture_broken') {
+      player.state = 'staggered';
+      player.stateTimer = 0;
+    }
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * HeadlessEnvironment.js - Browser stand-ins for running game code in Node
+ *
+ * Installs just enough of window/document/localStorage for GameManager,
+ * Player, Enemy and BossAI to construct and update without a renderer, and
+ * puts every source of nondeterminism on a seeded, simulated clock:
+ * - Math.random -> seeded mulberry32
+ * - Date.now / performance.now -> sim clock (advanced by the caller)
+ * - setTimeout / requestAnimationFrame -> queues flushed on advance()
+ *
+ * Everything is restored by uninstall(), so runs can be repeated in one process.
+ */
+
+const SIM_EPOCH = 1700000000000; // Fixed wall clock start (ms)
+
+/**
+ * Seeded PRNG (mulberry32) - returns floats in [0, 1) like Math.random
+ */
+export function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Canvas 2D context that accepts any call or assignment
+ */
+function createNullContext() {
+  const noop = () => ctx;
+  const ctx = new Proxy({}, {
+    get(target, key) {
+      if (key in target) return target[key];
+      if (key === 'measureText') return () => ({ width: 0 });
+      return noop;
+    },
+    set(target, key, value) {
+      target[key] = value;
+      return true;
+    },
+  });
+  return ctx;
+}
+
+/**
+ * Minimal DOM element - enough for UI code that builds but never shows anything
+ */
+function createNullElement(tagName = 'div') {
+  return {
+    tagName: tagName.toUpperCase(),
+    style: {},
+    dataset: {},
+    children: [],
+    textContent: '',
+    innerHTML: '',
+    width: 0,
+    height: 0,
+    classList: {
+      add() {},
+      remove() {},
+      toggle() { return false; },
+      contains() { return false; },
+    },
+    appendChild(child) { return child; },
+    removeChild(child) { return child; },
+    remove() {},
+    addEventListener() {},
+    removeEventListener() {},
+    setAttribute() {},
+    getAttribute() { return null; },
+    querySelector() { return null; },
+    querySelectorAll() { return []; },
+    getBoundingClientRect() { return { left: 0, top: 0, width: 0, height: 0 }; },
+    getContext() { return createNullContext(); },
+    requestPointerLock() {},
+  };
+}
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+    clear: () => { items.clear(); },
+    key: (i) => Array.from(items.keys())[i] ?? null,
+    get length() { return items.size; },
+  };
+}
+
+/**
+ * Install the headless environment.
+ * @param {object} options
+ * @param {number} options.seed - Seed for Math.random
+ * @param {boolean} options.quiet - Silence console output while installed
+ * @returns {{ now: () => number, advance: (dt: number) => void, uninstall: () => void }}
+ */
+export function installHeadlessEnvironment({ seed = 1, quiet = true } = {}) {
+  const saved = [];
+  const override = (target, key, value) => {
+    saved.push({ target, key, descriptor: Object.getOwnPropertyDescriptor(target, key) });
+    Object.defineProperty(target, key, { value, writable: true, configurable: true, enumerable: false });
+  };
+
+  // ========== CLOCK & TIMERS ==========
+
+  let nowMs = SIM_EPOCH;
+  let nextTimerId = 1;
+  let timers = [];        // { id, due, callback, args }
+  let frameCallbacks = []; // { id, callback }
+
+  const setTimeoutSim = (callback, delay = 0, ...args) => {
+    const id = nextTimerId++;
+    if (typeof callback === 'function') {
+      timers.push({ id, due: nowMs + Math.max(0, delay || 0), callback, args });
+    }
+    return id;
+  };
+  const clearTimeoutSim = (id) => {
+    timers = timers.filter(t => t.id !== id);
+  };
+  const requestFrameSim = (callback) => {
+    const id = nextTimerId++;
+    frameCallbacks.push({ id, callback });
+    return id;
+  };
+  const cancelFrameSim = (id) => {
+    frameCallbacks = frameCallbacks.filter(f => f.id !== id);
+  };
+
+  override(Math, 'random', createSeededRandom(seed));
+  override(Date, 'now', () => nowMs);
+  override(globalThis, 'performance', { now: () => nowMs - SIM_EPOCH });
+  override(globalThis, 'setTimeout', setTimeoutSim);
+  override(globalThis, 'clearTimeout', clearTimeoutSim);
+  override(globalThis, 'setInterval', () => 0); // Nothing in the combat path polls
+  override(globalThis, 'clearInterval', () => {});
+  override(globalThis, 'requestAnimationFrame', requestFrameSim);
+  override(globalThis, 'cancelAnimationFrame', cancelFrameSim);
+
+  // ========== BROWSER GLOBALS ==========
+
+  const body = createNullElement('body');
+  override(globalThis, 'document', {
+    body,
+    head: createNullElement('head'),
+    documentElement: createNullElement('html'),
+    pointerLockElement: null,
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createElement: (tag) => createNullElement(tag),
+    createElementNS: (ns, tag) => createNullElement(tag),
+    addEventListener() {},
+    removeEventListener() {},
+    exitPointerLock() {},
+  });
+  override(globalThis, 'window', {
+    innerWidth: 1280,
+    innerHeight: 720,
+    devicePixelRatio: 1,
+    location: { search: '', hash: '', href: '' },
+    addEventListener() {},
+    removeEventListener() {},
+  });
+  override(globalThis, 'navigator', { maxTouchPoints: 0, userAgent: 'node' });
+  override(globalThis, 'localStorage', createMemoryStorage());
+
+  if (quiet) {
+    for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+      override(console, method, () => {});
+    }
+  }
+
+  return {
+    now: () => nowMs,
+
+    /**
+     * Move the sim clock forward, firing due timers and one batch of frame callbacks
+     */
+    advance(dt) {
+      nowMs += dt * 1000;
+
+      // Frame callbacks queued during this frame run next frame
+      const frame = frameCallbacks;
+      frameCallbacks = [];
+      for (const { callback } of frame) {
+        callback(nowMs - SIM_EPOCH);
+      }
+
+      // Timers may schedule more timers - keep draining until nothing is due
+      for (;;) {
+        let next = null;
+        for (const t of timers) {
+          if (t.due <= nowMs && (!next || t.due < next.due || (t.due === next.due && t.id < next.id))) {
+            next = t;
+          }
+        }
+        if (!next) break;
+        timers = timers.filter(t => t !== next);
+        next.callback(...next.args);
+      }
+    },
+
+    uninstall() {
+      timers = [];
+      frameCallbacks = [];
+      for (let i = saved.length - 1; i >= 0; i--) {
+        const { target, key, descriptor } = saved[i];
+        if (descriptor) {
+          Object.defineProperty(target, key, descriptor);
+        } else {
+          delete target[key];
+        }
+      }
+    },
+  };
+}
@@ -31,6 +31,13 @@ const IDLE_POSITIONS = {
   greatsword: { pos: new THREE.Vector3(0.6, 0.1, 0.2), rot: new THREE.Euler(0, -Math.PI / 6, -Math.PI / 5) },
 };
 
+// Categories that reuse another category's animations
+const ANIM_CATEGORY_ALIASES = {
+  'twin daggers': 'dagger',
+  'greatshield': 'greatsword',
+  'bone weapon': 'sword',
+};
+
 // Attack animation keyframes per weapon type
 // Each animation has: start, peak (hit frame), end positions/rotations
 const ATTACK_ANIMATIONS = {
@@ -305,7 +312,8 @@ export class AttackAnimator {
     // Get weapon type from current weapon
     const weaponInfo = this.weaponManager?.getActiveWeaponInfo();
     if (weaponInfo && weaponInfo.category) {
-      this.currentWeaponType = weaponInfo.category.toLowerCase();
+      const category = weaponInfo.category.toLowerCase();
+      this.currentWeaponType = ANIM_CATEGORY_ALIASES[category] || category;
     } else {
       this.currentWeaponType = 'sword';
     }
@@ -413,7 +421,8 @@ export class AttackAnimator {
     // Get base idle position for current weapon
     const weaponInfo = this.weaponManager?.getActiveWeaponInfo();
     if (weaponInfo && weaponInfo.category) {
-      this.currentWeaponType = weaponInfo.category.toLowerCase();
+      const category = weaponInfo.category.toLowerCase();
+      this.currentWeaponType = ANIM_CATEGORY_ALIASES[category] || category;
     }
     const idleData = IDLE_POSITIONS[this.currentWeaponType] || IDLE_POSITIONS.sword;
     
@@ -132,6 +132,10 @@ export class AudioManager {
     
     // Chest open (creak + unlock chime)
     this.soundBuffers.chestOpen = this.createChestOpenBuffer(0.5);
+    
+    // Dungeon traps - mechanism click (telegraph), then the spring firing
+    this.soundBuffers.trapClick = this.createImpactBuffer(0.06, 900, 0.4);
+    this.soundBuffers.trapSpring = this.createNoiseBuffer(0.25, 'bandpass', 1200, 0.4);
   }
   
   /**
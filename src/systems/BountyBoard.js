@@ -0,0 +1,427 @@
+/**
+ * BountyBoard.js - Radiant Bounty Board
+ *
+ * Generates repeatable kill / gather / deliver / bounty quests from live world
+ * data and posts them on the Ashvale notice board:
+ * - Kill and bounty targets come from the EnemyManager difficulty zone for the player's level
+ * - Gather targets are materials the gathering nodes around the player can drop
+ * - Deliveries go to villages the VillageManager has placed
+ * - Rewards scale with GameManager level; the board rotates on TimeManager day changes
+ *
+ * Generated quests are registered with QuestData, so QuestManager tracks and
+ * turns them in like hand-written ones. Postings and accepted bounties are
+ * saved under quest.bountyBoard.
+ */
+
+import { ENEMY_TYPES } from '../entities/Enemy.js';
+import { DIFFICULTY_ZONES } from '../entities/EnemyManager.js';
+import {
+  BIOME_SOURCE,
+  GATHERING_NODE_TYPES,
+  getMaterial,
+  getNodeDropsForBiome,
+} from '../data/MaterialData.js';
+import {
+  QUEST_TYPE,
+  QUEST_GIVERS,
+  OBJECTIVE_TYPE,
+  DIFFICULTY_SCALE,
+  registerGeneratedQuest,
+  unregisterGeneratedQuest,
+} from '../data/QuestData.js';
+import {
+  BOUNTY_KIND,
+  BOUNTY_BOARD_ID,
+  BOUNTY_BOARD_SIZE,
+  BOUNTY_LEVEL_SCALING,
+  BOUNTY_MIN_DELIVERY_DISTANCE,
+  BOUNTY_BASE_REWARDS,
+  BOUNTY_TEMPLATES,
+  BOUNTY_MARK_NAMES,
+  BOUNTY_MARK_EPITHETS,
+  BOUNTY_PARCELS,
+  fillBountyTemplate,
+  getBountyLevelBand,
+  getBountyDirection,
+} from '../data/BountyData.js';
+import { getQuestManager } from './QuestManager.js';
+import { deriveSeed, createSeededRandom, getWorldSeed } from '../world/WorldSeed.js';
+
+// ========== CONSTANTS ==========
+const GATHER_RARITIES = ['common', 'uncommon'];
+const DELIVERY_RADIUS = 15;
+const MARK_SIGHTING_RADIUS = 30; // Mark spawns once the player is this close
+
+// ========== BOUNTY BOARD CLASS ==========
+class BountyBoard {
+  constructor() {
+    this.bounties = new Map(); // questId -> generated quest (posted or accepted)
+    this.day = null;           // Day the current postings were generated for
+
+    // References to game systems
+    this.questManager = null;
+    this.gameManager = null;
+    this.timeManager = null;
+    this.villageManager = null;
+    this.gatheringManager = null;
+    this.player = null;
+  }
+
+  // ========== INITIALIZATION ==========
+
+  /**
+   * Initialize with game system references
+   */
+  init(systems = {}) {
+    this.questManager = systems.questManager || getQuestManager();
+    this.gameManager = systems.gameManager || null;
+    this.timeManager = systems.timeManager || null;
+    this.villageManager = systems.villageManager || null;
+    this.gatheringManager = systems.gatheringManager || null;
+    this.player = systems.player || null;
+
+    if (this.timeManager) {
+      const originalDayChange = this.timeManager.onDayChange;
+      this.timeManager.onDayChange = (day) => {
+        if (originalDayChange) originalDayChange(day);
+        this.rotate(day);
+      };
+    }
+
+    if (this.day === null) {
+      this.rotate(this.timeManager?.currentDay || 1);
+    }
+
+    console.log('[BountyBoard] Initialized with', this.getPostings().length, 'postings');
+  }
+
+  // ========== ROTATION ==========
+
+  /**
+   * Replace the day's postings. Accepted bounties stay until turned in.
+   */
+  rotate(day) {
+    this.prune();
+    this.day = day;
+
+    const random = createSeededRandom(deriveSeed(getWorldSeed(), `bounties:${day}`));
+    const context = this.getWorldContext();
+    const posted = [];
+
+    this.pickKinds(context, random).forEach((kind, index) => {
+      const questId = `bounty_${day}_${index + 1}`;
+      if (this.bounties.has(questId)) return; // Still active from an earlier posting
+
+      const quest = this.generateBounty(kind, questId, context, random);
+      if (!quest) return;
+
+      this.register(quest);
+      posted.push(questId);
+    });
+
+    if (this.questManager) {
+      this.questManager.updateAvailableQuests();
+      posted.forEach(questId => this.questManager.emit('onQuestAvailable', { questId }));
+    }
+
+    console.log(`[BountyBoard] Day ${day}: posted ${posted.length} bounties`);
+  }
+
+  /**
+   * Drop every bounty that isn't currently accepted
+   */
+  prune() {
+    this.bounties.forEach((quest, questId) => {
+      if (this.questManager?.activeQuests.has(questId)) return;
+
+      this.questManager?.availableQuests.delete(questId);
+      unregisterGeneratedQuest(questId);
+      this.bounties.delete(questId);
+    });
+  }
+
+  /**
+   * Track a generated quest and make it resolvable through getQuest()
+   */
+  register(quest) {
+    this.bounties.set(quest.id, quest);
+    registerGeneratedQuest(quest);
+  }
+
+  // ========== WORLD CONTEXT ==========
+
+  /**
+   * Snapshot of the live world data the generator draws from
+   */
+  getWorldContext() {
+    const level = this.gameManager?.currentLevel || 1;
+    const origin = QUEST_GIVERS.NOTICE_BOARD.position;
+    const playerPos = this.player?.mesh?.position || origin;
+
+    return {
+      level,
+      band: getBountyLevelBand(level),
+      origin,
+      materialBiome: this.gatheringManager?.getMaterialBiomeAt?.(playerPos.x, playerPos.z) || BIOME_SOURCE.ANY,
+      villages: this.villageManager?.getVillagePositions?.() || [],
+    };
+  }
+
+  /**
+   * One of each kind where the world allows it, padded with kill bounties
+   */
+  pickKinds(context, random) {
+    const kinds = Object.values(BOUNTY_KIND).filter(kind =>
+      kind !== BOUNTY_KIND.DELIVER || this.getDeliveryVillages(context).length > 0
+    );
+
+    // Fisher-Yates with the day's seeded random
+    for (let i = kinds.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [kinds[i], kinds[j]] = [kinds[j], kinds[i]];
+    }
+
+    while (kinds.length < BOUNTY_BOARD_SIZE) kinds.push(BOUNTY_KIND.KILL);
+    return kinds.slice(0, BOUNTY_BOARD_SIZE);
+  }
+
+  /**
+   * Known villages far enough from the board to be worth a delivery
+   */
+  getDeliveryVillages(context) {
+    return context.villages.filter(v =>
+      Math.hypot(v.x - context.origin.x, v.z - context.origin.z) >= BOUNTY_MIN_DELIVERY_DISTANCE
+    );
+  }
+
+  // ========== GENERATION ==========
+
+  /**
+   * Build one bounty quest of the given kind, or null if the world can't support it
+   */
+  generateBounty(kind, questId, context, random) {
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const builders = {
+      [BOUNTY_KIND.KILL]: () => this.buildKill(context, random, pick),
+      [BOUNTY_KIND.GATHER]: () => this.buildGather(context, random, pick),
+      [BOUNTY_KIND.DELIVER]: () => this.buildDelivery(questId, context, pick),
+      [BOUNTY_KIND.BOUNTY]: () => this.buildMark(questId, context, random, pick),
+    };
+
+    const built = builders[kind]?.();
+    if (!built) return null;
+
+    const template = BOUNTY_TEMPLATES[kind];
+    const title = fillBountyTemplate(pick(template.titles), built.values);
+    const description = fillBountyTemplate(pick(template.descriptions), built.values);
+
+    return {
+      id: questId,
+      title,
+      description,
+      type: built.type,
+      difficulty: context.band.difficulty,
+      recommendedLevel: context.level,
+      giver: BOUNTY_BOARD_ID,
+      turnIn: BOUNTY_BOARD_ID,
+
+      objectives: [{ id: 'obj_1', current: 0, isOptional: false, ...built.objective }],
+      optionalObjectives: [],
+
+      rewards: this.scaleRewards(kind, context),
+
+      prerequisites: [],
+      unlocks: [],
+
+      isRepeatable: false,
+      cooldownHours: 0,
+      timeLimitMinutes: 0,
+
+      bountyKind: kind,
+      postedDay: this.day,
+
+      dialogue: {
+        intro: description,
+        accept: 'The notice is yours. Bring proof back to the board.',
+        progress: 'The notice is still pinned up, waiting.',
+        complete: 'The reward pouch is nailed under the notice. It\'s yours.',
+      },
+    };
+  }
+
+  buildKill(context, random, pick) {
+    const typeKey = pick(DIFFICULTY_ZONES[context.band.zone].enemyTypes);
+    const enemy = ENEMY_TYPES[typeKey].name;
+    const { min, max } = BOUNTY_TEMPLATES[BOUNTY_KIND.KILL].count;
+    const count = min + Math.floor(random() * (max - min + 1));
+
+    return {
+      type: QUEST_TYPE.KILL,
+      values: { enemy, count },
+      objective: {
+        type: OBJECTIVE_TYPE.KILL_ENEMY,
+        target: typeKey.toLowerCase(),
+        targetName: `Slay ${enemy}s`,
+        required: count,
+      },
+    };
+  }
+
+  buildGather(context, random, pick) {
+    const materialIds = new Set();
+    Object.keys(GATHERING_NODE_TYPES).forEach(nodeTypeId => {
+      getNodeDropsForBiome(nodeTypeId, context.materialBiome).forEach(id => materialIds.add(id));
+    });
+
+    const materials = Array.from(materialIds)
+      .map(id => getMaterial(id))
+      .filter(mat => mat && GATHER_RARITIES.includes(mat.rarity.id));
+    if (materials.length === 0) return null;
+
+    const material = pick(materials);
+    const { min, max } = BOUNTY_TEMPLATES[BOUNTY_KIND.GATHER].count;
+    let count = min + Math.floor(random() * (max - min + 1));
+    if (material.rarity.id !== 'common') count = Math.ceil(count / 2);
+
+    return {
+      type: QUEST_TYPE.GATHER,
+      values: { material: material.name, count },
+      objective: {
+        type: OBJECTIVE_TYPE.GATHER_ITEM,
+        target: material.id,
+        targetName: `Gather ${material.name}`,
+        required: count,
+      },
+    };
+  }
+
+  buildDelivery(questId, context, pick) {
+    const villages = this.getDeliveryVillages(context);
+    if (villages.length === 0) return null;
+
+    const village = pick(villages);
+    const direction = getBountyDirection(village.x - context.origin.x, village.z - context.origin.z);
+    const parcel = pick(BOUNTY_PARCELS);
+
+    return {
+      type: QUEST_TYPE.DELIVER,
+      values: { direction, parcel },
+      objective: {
+        type: OBJECTIVE_TYPE.DELIVER_ITEM,
+        target: `${questId}_parcel`,
+        targetName: `Deliver the ${parcel} (${direction} village)`,
+        position: { x: Math.round(village.x), y: 0, z: Math.round(village.z) },
+        radius: DELIVERY_RADIUS,
+        required: 1,
+      },
+    };
+  }
+
+  buildMark(questId, context, random, pick) {
+    const typeKey = pick(DIFFICULTY_ZONES[context.band.zone].enemyTypes);
+    const mark = `${pick(BOUNTY_MARK_NAMES)} ${pick(BOUNTY_MARK_EPITHETS)}`;
+
+    const { min, max } = context.band.distance;
+    const distance = min + random() * (max - min);
+    const angle = random() * Math.PI * 2;
+    const x = Math.round(Math.cos(angle) * distance);
+    const z = Math.round(Math.sin(angle) * distance);
+
+    return {
+      type: QUEST_TYPE.KILL,
+      values: { mark, enemy: ENEMY_TYPES[typeKey].name, direction: getBountyDirection(x, z) },
+      objective: {
+        type: OBJECTIVE_TYPE.BOUNTY_TARGET,
+        target: questId,
+        targetName: `Slay ${mark}`,
+        markName: mark,
+        enemyType: typeKey,
+        position: { x, y: 0, z },
+        radius: MARK_SIGHTING_RADIUS,
+        required: 1,
+      },
+    };
+  }
+
+  /**
+   * Base reward for the kind, scaled by player level and zone difficulty
+   */
+  scaleRewards(kind, context) {
+    const base = BOUNTY_BASE_REWARDS[kind];
+    const levelMult = 1 + BOUNTY_LEVEL_SCALING * (context.level - 1);
+    const scale = DIFFICULTY_SCALE[context.band.difficulty];
+
+    return {
+      gold: Math.round(base.gold * levelMult * scale.goldMult),
+      xp: Math.round(base.xp * levelMult * scale.xpMult),
+      items: [],
+    };
+  }
+
+  // ========== QUERIES ==========
+
+  /**
+   * Bounties on the board that can be accepted now
+   */
+  getPostings() {
+    return Array.from(this.bounties.values())
+      .filter(quest => this.questManager?.availableQuests.has(quest.id));
+  }
+
+  /**
+   * Accepted bounties ready to be claimed at the board
+   */
+  getClaimable() {
+    return (this.questManager?.getTurnInQuestsForNpc(BOUNTY_BOARD_ID) || [])
+      .map(({ quest }) => quest);
+  }
+
+  // ========== SAVE / LOAD ==========
+
+  /**
+   * Postings and accepted bounties for SaveManager (quest.bountyBoard)
+   */
+  getSaveData() {
+    return {
+      day: this.day,
+      bounties: JSON.parse(JSON.stringify(Array.from(this.bounties.values()))),
+    };
+  }
+
+  /**
+   * Restore the board (null = fresh board for the current day).
+   * Must run before QuestManager loads so accepted bounties resolve.
+   */
+  loadSaveData(data) {
+    this.bounties.forEach((quest, questId) => unregisterGeneratedQuest(questId));
+    this.bounties.clear();
+
+    if (!data) {
+      this.day = null;
+      this.rotate(this.timeManager?.currentDay || 1);
+      return;
+    }
+
+    this.day = data.day ?? null;
+    (data.bounties || []).forEach(quest => this.register(quest));
+
+    console.log(`[BountyBoard] Loaded ${this.bounties.size} bounties (day ${this.day})`);
+  }
+}
+
+// ========== SINGLETON ==========
+let bountyBoardInstance = null;
+
+export function createBountyBoard() {
+  if (!bountyBoardInstance) {
+    bountyBoardInstance = new BountyBoard();
+  }
+  return bountyBoardInstance;
+}
+
+export function getBountyBoard() {
+  return bountyBoardInstance;
+}
+
+export { BountyBoard };
+export default BountyBoard;
@@ -41,6 +41,10 @@ export class CameraController {
     this.shakeTimer = 0;
     this.shakeOffset = new THREE.Vector3();
     this.shakeDecay = 0.92; // How fast shake fades
+
+    // Free-fly mode (death replay study)
+    this.freeMode = false;
+    this.freeSpeed = 8;
   }
   
   // Trigger camera shake
@@ -72,6 +76,11 @@ export class CameraController {
     this.yaw -= mouseDelta.x * this.sensitivity;
     this.pitch = Math.max(this.minPitch, Math.min(this.maxPitch, this.pitch + mouseDelta.y * this.sensitivity));
 
+    if (this.freeMode) {
+      this._updateFreeMode(delta);
+      return;
+    }
+
     // Calculate desired position
     const targetPos = this.target.position.clone();
     targetPos.y += this.height;
@@ -233,6 +242,46 @@ export class CameraController {
     // (player may have moved since forcePosition was called)
   }
 
+  /**
+   * Detach from the target and fly freely (used by DeathReplay)
+   */
+  enterFreeMode(startPos = null) {
+    this.freeMode = true;
+    this.clearLockOn();
+    this.lockOnTransition = 0;
+    if (startPos) this.currentPos.copy(startPos);
+  }
+
+  exitFreeMode() {
+    this.freeMode = false;
+    // Snap back behind the target on the next update
+    this._firstFrame = true;
+  }
+
+  _updateFreeMode(delta) {
+    // Look direction from yaw/pitch (same convention as the orbit offset, inverted)
+    const lookDir = new THREE.Vector3(
+      -Math.sin(this.yaw) * Math.cos(this.pitch),
+      -Math.sin(this.pitch),
+      -Math.cos(this.yaw) * Math.cos(this.pitch)
+    );
+
+    // Movement keys fly along the look direction, free camera up/down raise and lower
+    const move = this.input.getMovementVector();
+    const forward = this.getForwardDirection();
+    const right = this.getRightDirection();
+    const step = this.freeSpeed * delta;
+    this.currentPos.addScaledVector(forward, -move.z * step);
+    this.currentPos.addScaledVector(right, -move.x * step);
+    if (this.input.isActionHeld('freeCameraUp')) this.currentPos.y += step;
+    if (this.input.isActionHeld('freeCameraDown')) this.currentPos.y -= step;
+
+    this.clampToTerrain();
+
+    this.camera.position.copy(this.currentPos);
+    this.camera.lookAt(this.currentPos.clone().add(lookDir));
+  }
+
   getForwardDirection() {
     return new THREE.Vector3(-Math.sin(this.yaw), 0, -Math.cos(this.yaw)).normalize();
   }
@@ -0,0 +1,235 @@
+/**
+ * CompanionManager.js - Hired Companion
+ *
+ * Owns the one companion the player can have at a time:
+ * - hire() / dismiss() - driven by dialogue effects (DialogueRuntime)
+ * - keeps the companion's level in step with GameManager.currentLevel
+ * - registers it with EnemyManager so enemies fight it; its kills drop loot and count for quests
+ * - downed companions ask to be revived: [E] next to them gets them back up
+ * - companions left far behind (fast travel, respawn) catch up at the player's side
+ * - getSaveData() / loadSaveData() for the save's player.companion
+ */
+
+import { Companion, COMPANION_STATES } from '../entities/Companion.js';
+import { getCompanion, COMPANION_REVIVE_RANGE } from '../data/CompanionData.js';
+
+// ========== CONSTANTS ==========
+const SPAWN_OFFSET = 2;              // Joins / catches up this far beside the player
+const CATCH_UP_DISTANCE = 60;        // Farther than this from the player and they rejoin at once
+
+// ========== COMPANION MANAGER CLASS ==========
+class CompanionManager {
+  constructor() {
+    this.companion = null;
+    this.revivePrompt = null;
+
+    // References to game systems
+    this.scene = null;
+    this.terrain = null;
+    this.gameManager = null;
+    this.enemyManager = null;
+    this.lootManager = null;
+    this.player = null;
+    this.inputManager = null;
+    this.itemManager = null;
+  }
+
+  // ========== INITIALIZATION ==========
+
+  /**
+   * @param {Object} systems - { scene, terrain, gameManager, enemyManager, lootManager, player, inputManager, itemManager }
+   */
+  init(systems = {}) {
+    this.scene = systems.scene || null;
+    this.terrain = systems.terrain || null;
+    this.gameManager = systems.gameManager || null;
+    this.enemyManager = systems.enemyManager || null;
+    this.lootManager = systems.lootManager || null;
+    this.player = systems.player || null;
+    this.inputManager = systems.inputManager || null;
+    this.itemManager = systems.itemManager || null;
+
+    if (typeof document !== 'undefined' && document.body) this._createRevivePrompt();
+    console.log('[CompanionManager] Initialized');
+  }
+
+  _createRevivePrompt() {
+    const prompt = document.createElement('div');
+    prompt.id = 'companion-revive-prompt';
+    prompt.style.cssText = `
+      position: fixed;
+      bottom: 25%;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(0, 0, 0, 0.75);
+      color: #fff;
+      padding: 12px 24px;
+      border-radius: 8px;
+      font-family: 'Segoe UI', sans-serif;
+      font-size: 16px;
+      pointer-events: none;
+      opacity: 0;
+      transition: opacity 0.2s;
+      z-index: 100;
+      border: 1px solid rgba(120, 220, 130, 0.5);
+      text-shadow: 0 1px 2px rgba(0,0,0,0.5);
+    `;
+    document.body.appendChild(prompt);
+    this.revivePrompt = prompt;
+  }
+
+  // ========== HIRING ==========
+
+  getCompanionId() {
+    return this.companion?.id || null;
+  }
+
+  /**
+   * Pay a companion's fee and have them join beside the player
+   * @returns {boolean} False if already accompanied or short of gold
+   */
+  hire(companionId) {
+    const def = getCompanion(companionId);
+    if (!def || this.companion) return false;
+
+    if (!this.lootManager?.spendGold(def.cost)) {
+      this.notify('Not enough gold!');
+      return false;
+    }
+
+    this.spawn(companionId);
+    this.notify(`${def.name} the ${def.title} joins you`);
+    return true;
+  }
+
+  /**
+   * Send the companion home
+   */
+  dismiss() {
+    if (!this.companion) return;
+    const { name } = this.companion.def;
+    this.despawn();
+    this.notify(`${name} heads back to the village`);
+  }
+
+  spawn(companionId, health = null) {
+    const playerPos = this.getPlayerPosition();
+    this.companion = new Companion({
+      companionId,
+      scene: this.scene,
+      terrain: this.terrain,
+      position: { x: playerPos.x + SPAWN_OFFSET, z: playerPos.z },
+      level: this.gameManager?.currentLevel || 1,
+      health,
+    });
+
+    this.companion.onStrike = (enemy, damage, postureDamage) => {
+      this.enemyManager?.damageEnemy(enemy, damage, postureDamage, this.companion.mesh.position, 'companion');
+    };
+    this.companion.onDowned = () => {
+      this.notify(`${this.companion.def.name} is down! Get to them and press E to help them up`);
+    };
+
+    this.enemyManager?.registerAlly(this.companion);
+    return this.companion;
+  }
+
+  despawn() {
+    if (!this.companion) return;
+    this.enemyManager?.unregisterAlly(this.companion);
+    this.companion.dispose();
+    this.companion = null;
+    this._setRevivePrompt(null);
+  }
+
+  // ========== UPDATE ==========
+
+  /**
+   * Per-frame update
+   */
+  update(delta, playerPosition) {
+    const companion = this.companion;
+    if (!companion || !playerPosition) return;
+
+    companion.setLevel(this.gameManager?.currentLevel || companion.level);
+
+    const pos = companion.mesh.position;
+    const distance = Math.hypot(pos.x - playerPosition.x, pos.z - playerPosition.z);
+
+    if (distance > CATCH_UP_DISTANCE) {
+      companion.revive();
+      companion.placeAt(playerPosition.x + SPAWN_OFFSET, playerPosition.z);
+    }
+
+    companion.update(delta, playerPosition, this.enemyManager?.enemies || []);
+    this.updateRevive(distance);
+  }
+
+  /**
+   * Revive request: prompt while the player stands over a downed companion
+   */
+  updateRevive(distance) {
+    const companion = this.companion;
+    const canRevive = companion.state === COMPANION_STATES.DOWNED && distance <= COMPANION_REVIVE_RANGE;
+    this._setRevivePrompt(canRevive ? `<span style="color:#88dd99">[E]</span> Help ${companion.def.name} up` : null);
+
+    if (canRevive && this.inputManager?.interact) {
+      companion.revive();
+      this._setRevivePrompt(null);
+      this.notify(`${companion.def.name} is back on their feet`);
+    }
+  }
+
+  _setRevivePrompt(html) {
+    if (!this.revivePrompt) return;
+    if (html) this.revivePrompt.innerHTML = html;
+    this.revivePrompt.style.opacity = html ? '1' : '0';
+  }
+
+  getPlayerPosition() {
+    return this.player?.mesh?.position || { x: 0, z: 0 };
+  }
+
+  notify(message) {
+    this.itemManager?.showNotification(message);
+  }
+
+  // ========== SAVE / LOAD ==========
+
+  /**
+   * @returns {Object|null} { id, health, downed } or null without a companion
+   */
+  getSaveData() {
+    if (!this.companion) return null;
+    return {
+      id: this.companion.id,
+      health: Math.round(this.companion.health),
+      downed: this.companion.state === COMPANION_STATES.DOWNED,
+    };
+  }
+
+  loadSaveData(data) {
+    this.despawn();
+    if (!data || !getCompanion(data.id)) return;
+
+    const companion = this.spawn(data.id, data.health);
+    if (data.downed) companion.down();
+  }
+}
+
+// ========== SINGLETON ==========
+let companionManagerInstance = null;
+
+export function createCompanionManager() {
+  if (!companionManagerInstance) {
+    companionManagerInstance = new CompanionManager();
+  }
+  return companionManagerInstance;
+}
+
+export function getCompanionManager() {
+  return companionManagerInstance;
+}
+
+export { CompanionManager };
+export default CompanionManager;
@@ -3,7 +3,7 @@
  * Phase 23: Crafting System
  * 
  * Features:
- * - Track unlocked recipes per player (localStorage persistence)
+ * - Track unlocked recipes per player (saved through SaveManager)
  * - canCraft(recipeId): check materials, level, and station requirements
  * - craft(recipeId): consume materials, create items, add to inventory
  * - Crafting time with progress bar (optional instant for simple items)
@@ -26,6 +26,7 @@ import {
   getRecipeRarityColor,
 } from '../data/RecipeData.js';
 import { getMaterial, MATERIALS } from '../data/MaterialData.js';
+import { getMaterialStore } from './MaterialStore.js';
 
 export class CraftingManager {
   constructor(gameManager, inventoryUI = null) {
@@ -52,15 +53,17 @@ export class CraftingManager {
       recipesCrafted: {},
     };
     
+    // Crafted items with no inventory to go to
+    this.craftedPotions = {};   // itemId -> qty
+    this.craftedEquipment = []; // [{ id, recipeId, name, type, rarity, stats }]
+    this.upgrades = {};         // itemId -> qty
+    
     // Event callbacks
     this.onCraftCallbacks = [];
     this.onRecipeUnlockCallbacks = [];
     this.onCraftProgressCallbacks = [];
     this.onCraftFailCallbacks = [];
     
-    // Load saved state
-    this._loadState();
-    
     // Initialize default recipes
     this._initializeDefaultRecipes();
     
@@ -74,34 +77,39 @@ export class CraftingManager {
     defaults.forEach(recipe => {
       this.unlockedRecipes.add(recipe.id);
     });
-    this._saveState();
   }
   
   // ========== PERSISTENCE ==========
   
-  _loadState() {
-    try {
-      const saved = localStorage.getItem('ashen-crafting');
-      if (saved) {
-        const data = JSON.parse(saved);
-        this.unlockedRecipes = new Set(data.unlockedRecipes || []);
-        this.stats = data.stats || this.stats;
-      }
-    } catch (e) {
-      console.warn('[CraftingManager] Failed to load saved state:', e);
-    }
+  /**
+   * Crafting section data for SaveManager
+   */
+  getSaveData() {
+    return {
+      unlockedRecipes: Array.from(this.unlockedRecipes),
+      craftingStats: JSON.parse(JSON.stringify(this.stats)),
+      materials: getMaterialStore().getSaveData(),
+      craftedPotions: { ...this.craftedPotions },
+      craftedEquipment: this.craftedEquipment.map(item => ({ ...item })),
+      upgrades: { ...this.upgrades },
+    };
   }
   
-  _saveState() {
-    try {
-      const data = {
-        unlockedRecipes: Array.from(this.unlockedRecipes),
-        stats: this.stats,
-      };
-      localStorage.setItem('ashen-crafting', JSON.stringify(data));
-    } catch (e) {
-      console.warn('[CraftingManager] Failed to save state:', e);
-    }
+  /**
+   * Restore from a crafting section (null = fresh game)
+   */
+  loadSaveData(data) {
+    this.cancelCraft();
+    this.unlockedRecipes = new Set(data?.unlockedRecipes || []);
+    this.stats = data?.craftingStats
+      ? JSON.parse(JSON.stringify(data.craftingStats))
+      : { totalCrafted: 0, recipesCrafted: {} };
+    this.craftedPotions = { ...(data?.craftedPotions || {}) };
+    this.craftedEquipment = (data?.craftedEquipment || []).map(item => ({ ...item }));
+    this.upgrades = { ...(data?.upgrades || {}) };
+    getMaterialStore().loadSaveData(data?.materials);
+    
+    this._initializeDefaultRecipes();
   }
   
   // ========== RECIPE MANAGEMENT ==========
@@ -128,7 +136,6 @@ export class CraftingManager {
     }
     
     this.unlockedRecipes.add(recipeId);
-    this._saveState();
     
     // Fire unlock callbacks
     this.onRecipeUnlockCallbacks.forEach(cb => cb(recipe, source));
@@ -170,9 +177,7 @@ export class CraftingManager {
     if (this.gm?.gatheringManager?.getMaterialCount) {
       return this.gm.gatheringManager.getMaterialCount(materialId);
     }
-    // Fallback to localStorage
-    const materials = JSON.parse(localStorage.getItem('ashen-materials') || '{}');
-    return materials[materialId] || 0;
+    return getMaterialStore().getMaterialCount(materialId);
   }
   
   /**
@@ -182,36 +187,21 @@ export class CraftingManager {
     if (this.gm?.gatheringManager?.getAllMaterials) {
       return this.gm.gatheringManager.getAllMaterials();
     }
-    return JSON.parse(localStorage.getItem('ashen-materials') || '{}');
+    return getMaterialStore().getAllMaterials();
   }
   
   /**
    * Consume materials from player inventory
    */
   _consumeMaterials(materials) {
-    const stored = JSON.parse(localStorage.getItem('ashen-materials') || '{}');
-    
-    for (const mat of materials) {
-      if ((stored[mat.materialId] || 0) < mat.qty) {
-        return false; // Not enough materials
-      }
-      stored[mat.materialId] -= mat.qty;
-      if (stored[mat.materialId] <= 0) {
-        delete stored[mat.materialId];
-      }
-    }
-    
-    localStorage.setItem('ashen-materials', JSON.stringify(stored));
-    return true;
+    return getMaterialStore().consumeMaterials(materials);
   }
   
   /**
    * Add materials to player inventory
    */
   _addMaterial(materialId, quantity) {
-    const stored = JSON.parse(localStorage.getItem('ashen-materials') || '{}');
-    stored[materialId] = (stored[materialId] || 0) + quantity;
-    localStorage.setItem('ashen-materials', JSON.stringify(stored));
+    getMaterialStore().addMaterial(materialId, quantity);
   }
   
   // ========== CRAFTING CHECKS ==========
@@ -432,7 +422,6 @@ export class CraftingManager {
     this.stats.totalCrafted += quantity;
     this.stats.recipesCrafted[recipe.id] = 
       (this.stats.recipesCrafted[recipe.id] || 0) + quantity;
-    this._saveState();
     
     // Fire craft callbacks
     this.onCraftCallbacks.forEach(cb => 
@@ -478,10 +467,7 @@ export class CraftingManager {
             });
           }
         } else {
-          // Fallback: store in localStorage
-          const potions = JSON.parse(localStorage.getItem('ashen-potions') || '{}');
-          potions[itemId] = (potions[itemId] || 0) + quantity;
-          localStorage.setItem('ashen-potions', JSON.stringify(potions));
+          this.craftedPotions[itemId] = (this.craftedPotions[itemId] || 0) + quantity;
         }
         break;
         
@@ -506,10 +492,8 @@ export class CraftingManager {
             });
           }
         } else {
-          // Fallback: store in localStorage
-          const equipment = JSON.parse(localStorage.getItem('ashen-crafted-equipment') || '[]');
           for (let i = 0; i < quantity; i++) {
-            equipment.push({
+            this.craftedEquipment.push({
               id: `${itemId}-${Date.now()}-${i}`,
               recipeId: recipe.id,
               name: recipe.name,
@@ -518,15 +502,12 @@ export class CraftingManager {
               stats: recipe.resultStats || {},
             });
           }
-          localStorage.setItem('ashen-crafted-equipment', JSON.stringify(equipment));
         }
         break;
         
       case 'upgrade':
         // Add to upgrade materials inventory
-        const upgrades = JSON.parse(localStorage.getItem('ashen-upgrades') || '{}');
-        upgrades[itemId] = (upgrades[itemId] || 0) + quantity;
-        localStorage.setItem('ashen-upgrades', JSON.stringify(upgrades));
+        this.upgrades[itemId] = (this.upgrades[itemId] || 0) + quantity;
         break;
         
       default:
@@ -706,14 +687,7 @@ export class CraftingManager {
    * Reset all crafting progress (for new game)
    */
   resetProgress() {
-    this.unlockedRecipes.clear();
-    this.stats = {
-      totalCrafted: 0,
-      recipesCrafted: {},
-    };
-    this.cancelCraft();
-    this._initializeDefaultRecipes();
-    this._saveState();
+    this.loadSaveData(null);
     console.log('[CraftingManager] Progress reset');
   }
   
@@ -0,0 +1,431 @@
+/**
+ * DeathReplay.js - Death telemetry + "study" replay
+ *
+ * Records the player and nearby enemies every frame into a rolling buffer
+ * (transforms, states, attack tells). When the player dies the last
+ * seconds are frozen, and the death screen can replay them from a free
+ * camera with the killer highlighted and the tell that preceded the
+ * killing blow called out - death is research.
+ */
+
+import * as THREE from 'three';
+import { getInputMap, formatChord } from './InputMap.js';
+
+const RECORD_SECONDS = 10;                // Recording window, whatever the frame rate
+const RECORD_RADIUS = 30;                 // Only enemies near the player are recorded
+const PLAYBACK_SPEED = 0.75;              // Slightly slowed so tells are readable
+
+// Boss states double as their tells
+const BOSS_STATE_TELLS = {
+  attack: 'normal',
+  heavy_attack: 'heavy',
+  combo: 'combo',
+  aoe_attack: 'aoe',
+};
+
+// What each tell looks like (so the player learns the read)
+const TELL_DESCRIPTIONS = {
+  normal: 'Slight lean back before the swing',
+  jab: 'Quick crouch - almost no windup',
+  heavy: 'Leans back and rises, eyes flare red, two warning flashes',
+  combo: 'Aggressive forward lean with yellow flashes',
+  aoe: 'Weapon raised overhead while a ring spreads on the ground',
+};
+
+export class DeathReplay {
+  constructor(scene, gameManager, cameraController) {
+    this.scene = scene;
+    this.gm = gameManager;
+    this.cameraController = cameraController;
+    this.enemyManager = null;
+    this.player = null;
+
+    // Rolling buffer, oldest -> newest
+    this.frames = [];
+    this.time = 0;
+
+    // Hit log (only the last few matter)
+    this.hits = [];
+
+    // Frozen recording of the last death
+    this.lastDeath = null;
+
+    // Playback state
+    this.isPlaying = false;
+    this.playbackTime = 0;
+    this.playbackFrame = 0;
+    this._savedVisibility = new Map();
+
+    // Killer highlight ring
+    this.highlight = new THREE.Mesh(
+      new THREE.RingGeometry(0.9, 1.2, 32),
+      new THREE.MeshBasicMaterial({ color: 0xff2222, transparent: true, opacity: 0.8, side: THREE.DoubleSide, depthWrite: false })
+    );
+    this.highlight.rotation.x = -Math.PI / 2;
+    this.highlight.visible = false;
+    this.scene.add(this.highlight);
+
+    this._createOverlay();
+    this.studyHintEl = document.getElementById('death-study-hint');
+
+    // Study key on the death screen to study the death
+    window.addEventListener('keydown', (e) => {
+      if (getInputMap().matches(e, 'studyDeath') && this.gm.isDead && !this.isPlaying) {
+        this.startStudy();
+      }
+    });
+
+    console.log('[DeathReplay] Initialized');
+  }
+
+  setEntities(player, enemyManager) {
+    this.player = player;
+    this.enemyManager = enemyManager;
+  }
+
+  // ========== RECORDING ==========
+
+  /**
+   * Record one frame (call every frame while alive)
+   */
+  record(delta) {
+    if (!this.player || this.isPlaying || this.gm.isDead) return;
+    this.time += delta;
+
+    const playerPos = this.player.mesh.position;
+    const enemies = [];
+
+    for (const enemy of this._getLiveEntities()) {
+      if (!enemy.mesh) continue;
+      if (enemy.mesh.position.distanceTo(playerPos) > RECORD_RADIUS) continue;
+      enemies.push({
+        ref: enemy,
+        x: enemy.mesh.position.x,
+        y: enemy.mesh.position.y,
+        z: enemy.mesh.position.z,
+        rotY: enemy.mesh.rotation.y,
+        state: enemy.state,
+        tell: this._getTell(enemy),
+        tellProgress: enemy.currentTellProgress || 0,
+        attacking: !!enemy.activeAttack,
+        health: enemy.health,
+      });
+    }
+
+    this.frames.push({
+      t: this.time,
+      player: {
+        x: playerPos.x,
+        y: playerPos.y,
+        z: playerPos.z,
+        rotY: this.player.mesh.rotation.y,
+        state: this.player.state,
+        health: this.gm.health,
+      },
+      enemies,
+    });
+
+    // Trim by time, not frame count, so high refresh rates keep the full window
+    const cutoff = this.time - RECORD_SECONDS;
+    let stale = 0;
+    while (stale < this.frames.length && this.frames[stale].t < cutoff) stale++;
+    if (stale > 0) this.frames.splice(0, stale);
+  }
+
+  /**
+   * Log an attack that landed on the player (called from EnemyManager)
+   */
+  recordHit(attacker, damage, damageType) {
+    this.hits.push({
+      t: this.time,
+      ref: attacker,
+      damage,
+      damageType,
+      tell: this._getTell(attacker) || this._findRecentTell(attacker),
+    });
+    if (this.hits.length > 16) this.hits.shift();
+  }
+
+  _getLiveEntities() {
+    if (!this.enemyManager) return [];
+    const list = [...this.enemyManager.enemies];
+    if (this.enemyManager.boss) list.push(this.enemyManager.boss);
+    return list;
+  }
+
+  _getTell(entity) {
+    if (!entity) return null;
+    if (entity.currentTell) return entity.currentTell;
+    return BOSS_STATE_TELLS[entity.state] || null;
+  }
+
+  /**
+   * Tells are cleared at the strike - walk back through the buffer for the last one
+   */
+  _findRecentTell(entity) {
+    for (let i = this.frames.length - 1; i >= 0; i--) {
+      const entry = this.frames[i].enemies.find(e => e.ref === entity);
+      if (entry?.tell) return entry.tell;
+    }
+    return null;
+  }
+
+  /**
+   * Freeze the buffer when the player dies (called from GameManager.die)
+   */
+  onPlayerDeath(damageType) {
+    const frames = this.frames.slice();
+    if (frames.length === 0) {
+      this.lastDeath = null;
+      if (this.studyHintEl) this.studyHintEl.style.display = 'none';
+      return;
+    }
+
+    // Only blame an attacker whose hit landed on the frame of death
+    const lastHit = this.hits.length > 0 ? this.hits[this.hits.length - 1] : null;
+    const lethalHit = lastHit && this.time - lastHit.t < 0.1 ? lastHit : null;
+    const killer = lethalHit?.ref || null;
+
+    this.lastDeath = {
+      frames,
+      startTime: frames[0].t,
+      endTime: frames[frames.length - 1].t,
+      damageType,
+      lethalHit,
+      killer,
+      killerName: killer?.config?.name || killer?.name || null,
+      tell: lethalHit?.tell || null,
+    };
+
+    this.hits = [];
+    if (this.studyHintEl) {
+      this.studyHintEl.textContent = `Press ${this._keyLabel('studyDeath')} to study your death`;
+      this.studyHintEl.style.display = this.hasReplay() ? 'block' : 'none';
+    }
+    console.log(`[DeathReplay] Death recorded: ${frames.length} frames, killer=${this.lastDeath.killerName}, tell=${this.lastDeath.tell}`);
+  }
+
+  hasReplay() {
+    return !!this.lastDeath && this.lastDeath.frames.length > 1;
+  }
+
+  // ========== PLAYBACK ==========
+
+  /**
+   * Start studying the last death (called from the death screen)
+   */
+  startStudy() {
+    if (!this.hasReplay() || this.isPlaying) return false;
+
+    this.isPlaying = true;
+    this.playbackTime = this.lastDeath.startTime;
+    this.playbackFrame = 0;
+
+    // Hold the respawn until the study is over
+    if (this.gm.respawnTimer) {
+      clearTimeout(this.gm.respawnTimer);
+      this.gm.respawnTimer = null;
+    }
+    if (this.gm.deathScreenEl) this.gm.deathScreenEl.classList.remove('visible');
+
+    // Player mesh is hidden by death effects - show it for the replay
+    this._savedVisibility.clear();
+    this._savedVisibility.set(this.player.mesh, this.player.mesh.visible);
+    this.player.mesh.visible = true;
+    for (const entry of this.lastDeath.frames[0].enemies) {
+      if (entry.ref?.mesh && !this._savedVisibility.has(entry.ref.mesh)) {
+        this._savedVisibility.set(entry.ref.mesh, entry.ref.mesh.visible);
+      }
+    }
+
+    // Free camera starting behind the player's last position
+    const last = this.lastDeath.frames[this.lastDeath.frames.length - 1].player;
+    if (this.cameraController) {
+      this.cameraController.enterFreeMode(new THREE.Vector3(last.x, last.y + 6, last.z + 9));
+    }
+
+    this._showOverlay();
+    return true;
+  }
+
+  /**
+   * End study and respawn
+   */
+  stopStudy() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    this.highlight.visible = false;
+
+    for (const [mesh, visible] of this._savedVisibility) {
+      mesh.visible = visible;
+    }
+    this._savedVisibility.clear();
+
+    // Clear any tell poses we applied
+    for (const entity of this._getLiveEntities()) {
+      if (entity._resetAttackTell) entity._resetAttackTell();
+    }
+
+    if (this.cameraController) this.cameraController.exitFreeMode();
+    this._hideOverlay();
+
+    this.gm.respawn();
+  }
+
+  update(delta) {
+    if (!this.isPlaying) return;
+
+    const death = this.lastDeath;
+    this.playbackTime += delta * PLAYBACK_SPEED;
+    if (this.playbackTime > death.endTime + 1.5) {
+      // Loop so the player can watch the read again
+      this.playbackTime = death.startTime;
+      this.playbackFrame = 0;
+    }
+
+    // Advance to the frame at playbackTime
+    const frames = death.frames;
+    if (frames[this.playbackFrame].t > this.playbackTime) this.playbackFrame = 0;
+    while (this.playbackFrame < frames.length - 1 && frames[this.playbackFrame + 1].t <= this.playbackTime) {
+      this.playbackFrame++;
+    }
+    const frame = frames[this.playbackFrame];
+
+    this._applyFrame(frame);
+    this._updateOverlay(frame);
+  }
+
+  _applyFrame(frame) {
+    const death = this.lastDeath;
+
+    this.player.mesh.position.set(frame.player.x, frame.player.y, frame.player.z);
+    this.player.mesh.rotation.y = frame.player.rotY;
+
+    for (const entry of frame.enemies) {
+      const enemy = entry.ref;
+      if (!enemy?.mesh) continue;
+      enemy.mesh.visible = true;
+      enemy.mesh.position.set(entry.x, entry.y, entry.z);
+      enemy.mesh.rotation.y = entry.rotY;
+
+      // Re-pose the windup using the enemy's own tell visuals
+      if (entry.tell && enemy._showAttackTell) {
+        enemy._showAttackTell(entry.tell, entry.tellProgress);
+      } else if (enemy._resetAttackTell) {
+        enemy._resetAttackTell();
+      }
+
+      if (enemy === death.killer) {
+        this.highlight.visible = true;
+        this.highlight.position.set(entry.x, entry.y + 0.05, entry.z);
+        // Pulse harder as the lethal blow approaches
+        const toDeath = death.lethalHit ? death.lethalHit.t - frame.t : Infinity;
+        const pulse = toDeath >= 0 && toDeath < 1.5 ? 0.5 + 0.5 * Math.sin(frame.t * 20) : 0.6;
+        this.highlight.material.opacity = pulse;
+        this.highlight.material.color.setHex(entry.tell ? 0xffaa00 : 0xff2222);
+      }
+    }
+  }
+
+  // ========== OVERLAY ==========
+
+  _createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'death-replay-overlay';
+    this.overlay.style.cssText = `
+      position: fixed;
+      top: 24px;
+      left: 50%;
+      transform: translateX(-50%);
+      min-width: 460px;
+      padding: 14px 24px;
+      background: rgba(0, 0, 0, 0.75);
+      border: 1px solid rgba(139, 26, 26, 0.8);
+      border-radius: 6px;
+      font-family: 'Georgia', serif;
+      color: #ccc;
+      text-align: center;
+      z-index: 150;
+      display: none;
+      pointer-events: none;
+    `;
+
+    this.overlayTitle = document.createElement('div');
+    this.overlayTitle.style.cssText = `font-size: 18px; color: #c04040; letter-spacing: 2px;`;
+    this.overlay.appendChild(this.overlayTitle);
+
+    this.overlayTell = document.createElement('div');
+    this.overlayTell.style.cssText = `font-size: 13px; color: #ffaa00; margin-top: 6px;`;
+    this.overlay.appendChild(this.overlayTell);
+
+    const track = document.createElement('div');
+    track.style.cssText = `position: relative; height: 6px; background: #222; margin-top: 10px; border-radius: 3px;`;
+    this.overlayProgress = document.createElement('div');
+    this.overlayProgress.style.cssText = `height: 100%; width: 0%; background: #8b1a1a; border-radius: 3px;`;
+    track.appendChild(this.overlayProgress);
+    this.overlayLethalMark = document.createElement('div');
+    this.overlayLethalMark.style.cssText = `position: absolute; top: -3px; width: 2px; height: 12px; background: #ff4444;`;
+    track.appendChild(this.overlayLethalMark);
+    this.overlay.appendChild(track);
+
+    this.overlayState = document.createElement('div');
+    this.overlayState.style.cssText = `font-size: 12px; color: #888; margin-top: 8px;`;
+    this.overlay.appendChild(this.overlayState);
+
+    this.overlayHint = document.createElement('div');
+    this.overlayHint.style.cssText = `font-size: 11px; color: #666; margin-top: 8px;`;
+    this.overlay.appendChild(this.overlayHint);
+
+    document.body.appendChild(this.overlay);
+  }
+
+  _showOverlay() {
+    const death = this.lastDeath;
+    this.overlayTitle.textContent = death.killerName
+      ? `STUDY: Killed by ${death.killerName}`
+      : `STUDY: Died to ${death.damageType} damage`;
+    this.overlayTell.textContent = death.tell
+      ? `Tell before the killing blow: ${death.tell.toUpperCase()} - ${TELL_DESCRIPTIONS[death.tell] || ''}`
+      : 'No tell preceded the killing blow';
+
+    const span = Math.max(0.001, death.endTime - death.startTime);
+    const lethalT = death.lethalHit ? death.lethalHit.t : death.endTime;
+    this.overlayLethalMark.style.left = `${Math.min(100, ((lethalT - death.startTime) / span) * 100)}%`;
+
+    // Keys may have been rebound since the overlay was built
+    this.overlayHint.textContent =
+      `Move + mouse: free camera · ${this._keyLabel('freeCameraUp')}/${this._keyLabel('freeCameraDown')}: up/down · ${this._keyLabel('back')}: respawn`;
+
+    this.overlay.style.display = 'block';
+  }
+
+  _hideOverlay() {
+    this.overlay.style.display = 'none';
+  }
+
+  _keyLabel(actionId) {
+    return formatChord(getInputMap().getBindings(actionId)[0]);
+  }
+
+  _updateOverlay(frame) {
+    const death = this.lastDeath;
+    const span = Math.max(0.001, death.endTime - death.startTime);
+    const pct = Math.min(100, ((frame.t - death.startTime) / span) * 100);
+    this.overlayProgress.style.width = `${pct}%`;
+
+    const remaining = Math.max(0, death.endTime - frame.t);
+    const killerEntry = frame.enemies.find(e => e.ref === death.killer);
+    const killerState = killerEntry
+      ? `${killerEntry.state}${killerEntry.tell ? ` (${killerEntry.tell} tell)` : ''}`
+      : '-';
+    this.overlayState.textContent =
+      `-${remaining.toFixed(1)}s · You: ${frame.player.state}, ${Math.max(0, Math.round(frame.player.health))} HP · Killer: ${killerState}`;
+  }
+
+  dispose() {
+    this.scene.remove(this.highlight);
+    this.highlight.geometry.dispose();
+    this.highlight.material.dispose();
+    this.overlay.remove();
+  }
+}
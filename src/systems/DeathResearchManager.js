@@ -0,0 +1,179 @@
+/**
+ * DeathResearchManager.js - Death Research ledger
+ *
+ * Records every death by killer enemy type and damage type, and lets the
+ * player spend Remnant on tiered counters against what killed them.
+ * Counter data lives in data/DeathResearchData.js.
+ */
+
+import {
+  RESEARCH_COUNTERS,
+  ENEMY_RESEARCH,
+  DAMAGE_TYPE_COUNTERS,
+  getDamageTypeKey,
+  getCounterEffects,
+  getDefaultDeathResearch,
+} from '../data/DeathResearchData.js';
+
+export class DeathResearchManager {
+  constructor(gameManager) {
+    this.gm = gameManager;
+    this.ledger = getDefaultDeathResearch();
+
+    // Event callbacks
+    this.onCounterPurchased = null; // (ledgerKey, counterId, tier) => void
+
+    console.log('[DeathResearch] Initialized');
+  }
+
+  // ========== LEDGER ==========
+
+  /**
+   * Log a death. enemyType may be null (traps, environment).
+   */
+  recordDeath(enemyType, damageType = 'unknown') {
+    if (enemyType) {
+      if (!this.ledger.enemies[enemyType]) {
+        this.ledger.enemies[enemyType] = { deaths: 0, damageTypes: {} };
+      }
+      const entry = this.ledger.enemies[enemyType];
+      entry.deaths++;
+      entry.damageTypes[damageType] = (entry.damageTypes[damageType] || 0) + 1;
+    }
+    this.ledger.damageTypes[damageType] = (this.ledger.damageTypes[damageType] || 0) + 1;
+
+    console.log(`[DeathResearch] Death recorded: ${enemyType || 'environment'} (${damageType})`);
+  }
+
+  /**
+   * Deaths logged against a ledger key (enemy type or damage:<type>)
+   */
+  getDeaths(ledgerKey) {
+    if (ledgerKey.startsWith('damage:')) {
+      return this.ledger.damageTypes[ledgerKey.slice(7)] || 0;
+    }
+    return this.ledger.enemies[ledgerKey]?.deaths || 0;
+  }
+
+  /**
+   * Counters researchable for a ledger key
+   */
+  getAvailableCounters(ledgerKey) {
+    if (ledgerKey.startsWith('damage:')) return DAMAGE_TYPE_COUNTERS;
+    return ENEMY_RESEARCH[ledgerKey]?.counters || [];
+  }
+
+  getTier(ledgerKey, counterId) {
+    return this.ledger.counters[ledgerKey]?.[counterId] || 0;
+  }
+
+  /**
+   * Info for UI: tier, next cost, and why it can't be bought (if so)
+   */
+  getCounterInfo(ledgerKey, counterId) {
+    const counter = RESEARCH_COUNTERS[counterId];
+    const tier = this.getTier(ledgerKey, counterId);
+    const maxed = tier >= counter.maxTier;
+    const cost = maxed ? null : counter.costs[tier];
+    const deathsNeeded = maxed ? null : counter.deathsRequired[tier];
+    const deaths = this.getDeaths(ledgerKey);
+
+    let blocked = null;
+    if (!maxed && deaths < deathsNeeded) {
+      blocked = `Die ${deathsNeeded - deaths} more time${deathsNeeded - deaths > 1 ? 's' : ''}`;
+    } else if (!maxed && this.gm.remnant < cost) {
+      blocked = 'Not enough Remnant';
+    }
+
+    return {
+      counter,
+      tier,
+      maxed,
+      cost,
+      deathsNeeded,
+      canBuy: !maxed && blocked === null,
+      blocked,
+      current: tier > 0 ? counter.format(tier) : 'None',
+    };
+  }
+
+  /**
+   * Spend Remnant on the next tier of a counter
+   */
+  purchaseCounter(ledgerKey, counterId) {
+    if (!this.getAvailableCounters(ledgerKey).includes(counterId)) return false;
+
+    const info = this.getCounterInfo(ledgerKey, counterId);
+    if (!info.canBuy) return false;
+
+    this.gm.remnant -= info.cost;
+    if (!this.ledger.counters[ledgerKey]) this.ledger.counters[ledgerKey] = {};
+    this.ledger.counters[ledgerKey][counterId] = info.tier + 1;
+
+    if (this.gm.audioManager) {
+      this.gm.audioManager.play('menuConfirm', { volume: 0.5 });
+    }
+    if (this.onCounterPurchased) {
+      this.onCounterPurchased(ledgerKey, counterId, info.tier + 1);
+    }
+
+    console.log(`[DeathResearch] ${counterId} vs ${ledgerKey} -> tier ${info.tier + 1}`);
+    return true;
+  }
+
+  // ========== COMBAT QUERIES ==========
+
+  /**
+   * Summed counter effects against an enemy type
+   */
+  getEnemyCounters(enemyType) {
+    const effects = {
+      parryWindowBonus: 0,
+      postureDamageMult: 0,
+      damageMult: 0,
+      damageReduction: 0,
+      tellPreview: false,
+    };
+    const tiers = enemyType ? this.ledger.counters[enemyType] : null;
+    if (!tiers) return effects;
+
+    for (const [counterId, tier] of Object.entries(tiers)) {
+      const counterEffects = getCounterEffects(counterId, tier);
+      for (const [key, value] of Object.entries(counterEffects)) {
+        effects[key] = typeof value === 'boolean' ? (effects[key] || value) : effects[key] + value;
+      }
+    }
+    return effects;
+  }
+
+  /**
+   * Damage reduction researched against a damage type
+   */
+  getDamageTypeReduction(damageType) {
+    const tier = this.getTier(getDamageTypeKey(damageType), 'warding');
+    return getCounterEffects('warding', tier).damageReduction || 0;
+  }
+
+  /**
+   * Incoming damage multiplier for the player (used by GameManager.takeDamage)
+   */
+  getIncomingDamageMult(enemyType, damageType) {
+    const reduction = this.getEnemyCounters(enemyType).damageReduction + this.getDamageTypeReduction(damageType);
+    return 1 - Math.min(0.5, reduction);
+  }
+
+  // ========== SAVE / LOAD ==========
+
+  serialize() {
+    return JSON.parse(JSON.stringify(this.ledger));
+  }
+
+  deserialize(data) {
+    const defaults = getDefaultDeathResearch();
+    this.ledger = {
+      enemies: { ...defaults.enemies, ...(data?.enemies || {}) },
+      damageTypes: { ...defaults.damageTypes, ...(data?.damageTypes || {}) },
+      counters: { ...defaults.counters, ...(data?.counters || {}) },
+    };
+  }
+}
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { getInputMap } from './InputMap.js';
+import { getGamepadNavigator, NAV_DIRECTION } from './GamepadNavigator.js';
+import { getDialogueRuntime } from './DialogueRuntime.js';
+import { DIALOGUE_END_ACTION } from '../data/DialogueData.js';
 
 /**
  * DialogueManager - Handles NPC conversations and dialogue choices
@@ -8,7 +12,7 @@ import * as THREE from 'three';
  * - RPG-style dialogue box at bottom of screen
  * - Typewriter text effect with skip functionality
  * - Dialogue choices (numbered 1-4)
- * - NPC-specific dialogue trees (greetings, lore, hints)
+ * - NPC-specific dialogue trees (DialogueData.js, walked by DialogueRuntime)
  * - Merchant dialogue leads to shop
  * - Quest NPC story dialogues with branching
  */
@@ -23,8 +27,7 @@ export class DialogueManager {
     // Dialogue state
     this.isActive = false;
     this.currentNPC = null;
-    this.currentDialogue = null;
-    this.currentLineIndex = 0;
+    this.session = null; // DialogueSession from DialogueRuntime
     this.displayedText = '';
     this.fullText = '';
     this.typewriterIndex = 0;
@@ -57,6 +60,21 @@ export class DialogueManager {
     this._boundKeyHandler = this._handleKeyDown.bind(this);
     this._boundClickHandler = this._handleClick.bind(this);
     
+    // Gamepad: up/down pick a choice, A advances, B leaves
+    getGamepadNavigator().registerMenu('dialogue', {
+      isOpen: () => this.isActive,
+      onNavigate: (direction) => {
+        if (direction === NAV_DIRECTION.UP) this._moveChoice(-1);
+        else if (direction === NAV_DIRECTION.DOWN) this._moveChoice(1);
+        return true;
+      },
+      onConfirm: () => {
+        this._advance();
+        return true;
+      },
+      onBack: () => this.endDialogue(),
+    });
+    
     console.log('[DialogueManager] Initialized');
   }
   
@@ -245,184 +263,6 @@ export class DialogueManager {
     document.head.appendChild(style);
   }
   
-  /**
-   * Get dialogue data for an NPC type
-   */
-  _getDialogueData(npc) {
-    // Comprehensive dialogue trees for each NPC type
-    const dialogues = {
-      'merchant': {
-        greeting: [
-          "Welcome, traveler! Looking to lighten your coin purse?",
-          "Ah, a customer! I have just the wares you need.",
-          "Step right up! Best goods this side of the mountains.",
-        ],
-        lines: [
-          { text: "I source my goods from traders who brave the old roads. Dangerous work, but profitable.", choices: null },
-          { text: "The corruption's been bad for business... but good for selling weapons, I suppose.", choices: null },
-        ],
-        tradePrompt: {
-          text: "So, what'll it be? Care to browse my wares?",
-          choices: [
-            { text: "Let me see what you have.", action: 'shop' },
-            { text: "What news do you have?", action: 'lore' },
-            { text: "Maybe later.", action: 'close' },
-          ]
-        },
-        lore: [
-          "They say the corruption started in the old ruins to the east. Strange lights at night...",
-          "A merchant friend of mine went north last week. Haven't heard from him since.",
-          "If you're heading out there, stock up on potions. Trust me.",
-        ],
-      },
-      
-      'blacksmith': {
-        greeting: [
-          "*clangs hammer* Oh, a warrior! Let me see that blade of yours.",
-          "The forge runs hot today. Good day for crafting.",
-          "Steel and iron, that's what I know. What do you need?",
-        ],
-        lines: [
-          { text: "This forge has been in my family for three generations. We know our craft.", choices: null },
-          { text: "The corruption's twisted the metals in some areas. Have to be careful what ore I use.", choices: null },
-        ],
-        tradePrompt: {
-          text: "Need a new weapon? Or perhaps some armor to protect you out there?",
-          choices: [
-            { text: "Show me your weapons and armor.", action: 'shop' },
-            { text: "Tell me about the corruption.", action: 'lore' },
-            { text: "I'll come back later.", action: 'close' },
-          ]
-        },
-        lore: [
-          "The old knight's armor... it used to gleam silver. Now it's all rusted and dark. Unnatural.",
-          "I once forged a blade from corrupted ore. Had to destroy it. The thing whispered at night.",
-          "If you find any ancient weapons out there, bring them to me. I can restore them.",
-        ],
-      },
-      
-      'healer': {
-        greeting: [
-          "You carry wounds, traveler. Let me help ease your burden.",
-          "The light still shines in dark places. Welcome.",
-          "Rest here awhile. You're safe within these walls.",
-        ],
-        lines: [
-          { text: "I've treated many who returned from the wilds. The corruption leaves its mark on the soul as well as the body.", choices: null },
-          { text: "Herbs grow scarce these days. The tainted land won't yield them anymore.", choices: null },
-        ],
-        tradePrompt: {
-          text: "Do you need potions or remedies for your journey?",
-          choices: [
-            { text: "Yes, I need supplies.", action: 'shop' },
-            { text: "What can you tell me about the corruption?", action: 'lore' },
-            { text: "Thank you, but I must go.", action: 'close' },
-          ]
-        },
-        lore: [
-          "The corruption is not just physical. It feeds on despair, on hopelessness.",
-          "There was once a great healer who ventured into the heart of darkness. She never returned.",
-          "Keep your spirit strong, traveler. That is the best medicine against what lurks out there.",
-        ],
-      },
-      
-      'guard': {
-        greeting: [
-          "Halt! Oh, you're not one of those creatures. Forgive me, traveler.",
-          "Stay alert. The night brings dangers.",
-          "Another survivor? Good to see. We need all the fighters we can get.",
-        ],
-        lines: [
-          { text: "We've doubled the watch since the attacks started. Still doesn't feel like enough.", choices: null },
-          { text: "Lost two good men last week to those things. They came right up to the walls.", choices: null },
-        ],
-        continuePrompt: {
-          text: "Anything else you need to know?",
-          choices: [
-            { text: "What's the situation outside?", action: 'lore' },
-            { text: "Where should I explore?", action: 'hints' },
-            { text: "Stay vigilant.", action: 'close' },
-          ]
-        },
-        lore: [
-          "The eastern ruins are crawling with corrupted ones. Strong ones too.",
-          "We used to trade with the northern villages. Now the roads are too dangerous.",
-          "If you're brave enough to clear out those creatures, we'd all be grateful.",
-        ],
-        hints: [
-          "There's an old cave system to the south. Dangerous, but I've heard of treasure within.",
-          "The ancient tower to the northeast... some say a powerful enemy guards it.",
-          "Stick to the roads at night if you can. The forests hide things.",
-        ],
-      },
-      
-      'elder': {
-        greeting: [
-          "Ah, a traveler from beyond. Come, sit. I have much to tell you.",
-          "The winds spoke of your coming. Welcome, warrior.",
-          "Young one, you seek answers. I may have some.",
-        ],
-        lines: [
-          { text: "This corruption... it is not the first time our world has seen such darkness.", choices: null },
-          { text: "Long ago, there were those who could purify the taint. Perhaps that knowledge still exists.", choices: null },
-          { text: "The old texts speak of a source, a heart of darkness. If it could be found...", choices: null },
-        ],
-        continuePrompt: {
-          text: "What would you know, traveler?",
-          choices: [
-            { text: "Tell me of the corruption's origin.", action: 'lore' },
-            { text: "Where should I seek answers?", action: 'hints' },
-            { text: "Thank you for your wisdom.", action: 'close' },
-          ]
-        },
-        lore: [
-          "It began in the ancient places, where the veil between worlds grows thin.",
-          "There were once guardians who held back the darkness. They fell, one by one.",
-          "The corruption has a will, a hunger. It seeks to consume all life.",
-        ],
-        hints: [
-          "Seek the ancient ruins. The old ones left knowledge there.",
-          "There is power in the forgotten places. But also great danger.",
-          "The corruption fears the light of the old magic. Find the sacred flames.",
-        ],
-      },
-      
-      'villager': {
-        greeting: [
-          "Oh! A stranger... are you friendly?",
-          "Welcome to our village. It's not much, but it's home.",
-          "Haven't seen an outsider in weeks. Where did you come from?",
-          "Careful out there. The world's gone mad.",
-        ],
-        lines: [
-          { text: "We try to live our lives, but the fear is always there.", choices: null },
-          { text: "My family's been here for generations. We won't leave now.", choices: null },
-          { text: "The guards do their best, but they can't be everywhere.", choices: null },
-        ],
-        continuePrompt: {
-          text: "Is there something you wanted to ask?",
-          choices: [
-            { text: "What's life like here?", action: 'life' },
-            { text: "Have you seen anything strange?", action: 'lore' },
-            { text: "Take care of yourself.", action: 'close' },
-          ]
-        },
-        life: [
-          "We grow what we can, trade with the merchants. It's a simple life.",
-          "The children can't play outside the walls anymore. Breaks my heart.",
-          "Every night we hear things in the darkness. We try not to listen.",
-        ],
-        lore: [
-          "Lights in the ruins at night. Unnatural, flickering lights.",
-          "Old Miller says he saw a figure in black robes near the forest. Just watching.",
-          "The well water tastes strange some mornings. We've started boiling everything.",
-        ],
-      },
-    };
-    
-    return dialogues[npc.type] || dialogues['villager'];
-  }
-  
   /**
    * Start a dialogue with an NPC
    */
@@ -431,8 +271,6 @@ export class DialogueManager {
     
     this.isActive = true;
     this.currentNPC = npc;
-    this.currentDialogue = this._getDialogueData(npc);
-    this.currentLineIndex = 0;
     this.selectedChoice = 0;
     
     // Set NPC info in UI
@@ -446,15 +284,13 @@ export class DialogueManager {
     this.dialogueContainer.style.display = 'flex';
     this.dialogueContainer.classList.add('visible');
     
-    // Pick random greeting
-    const greetings = this.currentDialogue.greeting;
-    const greeting = greetings[Math.floor(Math.random() * greetings.length)];
-    
-    // Start with greeting, then show trade/continue prompt
-    this._displayLine(greeting, () => {
-      // After greeting, show the prompt with choices
-      this._showPromptWithChoices();
+    // Walk the NPC type's dialogue tree from its start node, greeting by village standing
+    this.session = getDialogueRuntime().start(npc.type, {
+      npcId: npc.id,
+      fallbackTreeId: 'villager',
+      faction: npc.faction,
     });
+    this._showNode();
     
     // Add input listeners
     document.addEventListener('keydown', this._boundKeyHandler);
@@ -471,12 +307,11 @@ export class DialogueManager {
   /**
    * Display a line with typewriter effect
    */
-  _displayLine(text, onComplete = null) {
+  _displayLine(text) {
     this.fullText = text;
     this.displayedText = '';
     this.typewriterIndex = 0;
     this.isTyping = true;
-    this.onLineComplete = onComplete;
     
     // Hide choices while typing
     this.choicesContainer.style.display = 'none';
@@ -541,88 +376,37 @@ export class DialogueManager {
     } else {
       this.continueText.textContent = 'Click or press SPACE to continue';
     }
-    
-    // Call completion callback if set
-    if (this.onLineComplete) {
-      // Delay to let player read
-    }
-  }
-  
-  /**
-   * Show the main prompt with choices (trade or continue)
-   */
-  _showPromptWithChoices() {
-    const promptData = this.currentDialogue.tradePrompt || this.currentDialogue.continuePrompt;
-    
-    if (promptData) {
-      this.choices = promptData.choices;
-      this._displayLine(promptData.text);
-    } else {
-      // No prompt, just cycle through random lines
-      this._showRandomLine();
-    }
-  }
-  
-  /**
-   * Show a random flavor line
-   */
-  _showRandomLine() {
-    if (this.currentDialogue.lines && this.currentDialogue.lines.length > 0) {
-      const lineData = this.currentDialogue.lines[Math.floor(Math.random() * this.currentDialogue.lines.length)];
-      this.choices = lineData.choices;
-      this._displayLine(lineData.text);
-    } else {
-      // Return to prompt
-      this._showPromptWithChoices();
-    }
-  }
-  
-  /**
-   * Show lore dialogue
-   */
-  _showLoreDialogue() {
-    const loreLines = this.currentDialogue.lore;
-    if (loreLines && loreLines.length > 0) {
-      const line = loreLines[Math.floor(Math.random() * loreLines.length)];
-      this.choices = null;
-      this._displayLine(line, () => {
-        setTimeout(() => this._showPromptWithChoices(), 500);
-      });
-    } else {
-      this._showPromptWithChoices();
-    }
   }
   
   /**
-   * Show hints dialogue
+   * Show the session's current node, or close once the conversation ends
    */
-  _showHintsDialogue() {
-    const hintsLines = this.currentDialogue.hints;
-    if (hintsLines && hintsLines.length > 0) {
-      const line = hintsLines[Math.floor(Math.random() * hintsLines.length)];
-      this.choices = null;
-      this._displayLine(line, () => {
-        setTimeout(() => this._showPromptWithChoices(), 500);
-      });
-    } else {
-      this._showPromptWithChoices();
+  _showNode() {
+    if (this.session.ended) {
+      this._finishSession();
+      return;
     }
+    
+    this.selectedChoice = 0;
+    this.choices = this.session.node.choices;
+    this._displayLine(this.session.node.text);
   }
   
   /**
-   * Show life dialogue (villager specific)
+   * Conversation over - open the shop if the last node asked for it
    */
-  _showLifeDialogue() {
-    const lifeLines = this.currentDialogue.life;
-    if (lifeLines && lifeLines.length > 0) {
-      const line = lifeLines[Math.floor(Math.random() * lifeLines.length)];
-      this.choices = null;
-      this._displayLine(line, () => {
-        setTimeout(() => this._showPromptWithChoices(), 500);
-      });
-    } else {
-      this._showPromptWithChoices();
+  _finishSession() {
+    this.choices = [];
+    if (this.session.endAction === DIALOGUE_END_ACTION.SHOP) {
+      setTimeout(() => {
+        if (this.onShopRequest) {
+          this.onShopRequest(this.currentNPC);
+        }
+        this.endDialogue(true); // Silent end (shop is opening)
+      }, 300);
+      return;
     }
+    this.endDialogue();
   }
   
   /**
@@ -683,49 +467,36 @@ export class DialogueManager {
   _selectChoice() {
     if (!this.choices || this.choices.length === 0) return;
     
-    const choice = this.choices[this.selectedChoice];
-    
     // Play selection sound
     if (this.audio) {
       this.audio.play('menuSelect', { volume: 0.4 });
     }
     
-    // Handle choice action
-    switch (choice.action) {
-      case 'shop':
-        this._requestShop();
-        break;
-      case 'lore':
-        this._showLoreDialogue();
-        break;
-      case 'hints':
-        this._showHintsDialogue();
-        break;
-      case 'life':
-        this._showLifeDialogue();
-        break;
-      case 'close':
-        this.endDialogue();
-        break;
-      default:
-        // Unknown action, just show random line
-        this._showRandomLine();
+    this.session.choose(this.selectedChoice);
+    this._showNode();
+  }
+  
+  /**
+   * Confirm: finish typing, pick the selected choice, or move to the next line
+   */
+  _advance() {
+    if (this.isTyping) {
+      this._skipTypewriter();
+    } else if (this.choices && this.choices.length > 0) {
+      this._selectChoice();
+    } else if (!this.session.ended) {
+      this.session.advance();
+      this._showNode();
     }
   }
   
   /**
-   * Request to open the shop
+   * Move the choice highlight up (-1) or down (+1)
    */
-  _requestShop() {
-    // Transition line before shop
-    this._displayLine("Let me show you what I have...", () => {
-      setTimeout(() => {
-        if (this.onShopRequest) {
-          this.onShopRequest(this.currentNPC);
-        }
-        this.endDialogue(true); // Silent end (shop is opening)
-      }, 300);
-    });
+  _moveChoice(step) {
+    if (!this.choices || this.choices.length === 0) return;
+    this.selectedChoice = Math.max(0, Math.min(this.choices.length - 1, this.selectedChoice + step));
+    this._updateChoiceSelection();
   }
   
   /**
@@ -745,45 +516,21 @@ export class DialogueManager {
       }
     }
     
-    switch (e.code) {
-      case 'Space':
-      case 'Enter':
-      case 'KeyE':
-        e.preventDefault();
-        if (this.isTyping) {
-          this._skipTypewriter();
-        } else if (this.choices && this.choices.length > 0) {
-          this._selectChoice();
-        } else if (this.onLineComplete) {
-          this.onLineComplete();
-          this.onLineComplete = null;
-        } else {
-          this._showPromptWithChoices();
-        }
-        break;
-        
-      case 'ArrowUp':
-      case 'KeyW':
-        e.preventDefault();
-        if (this.choices && this.choices.length > 0) {
-          this.selectedChoice = Math.max(0, this.selectedChoice - 1);
-          this._updateChoiceSelection();
-        }
-        break;
-        
-      case 'ArrowDown':
-      case 'KeyS':
-        e.preventDefault();
-        if (this.choices && this.choices.length > 0) {
-          this.selectedChoice = Math.min(this.choices.length - 1, this.selectedChoice + 1);
-          this._updateChoiceSelection();
-        }
-        break;
-        
-      case 'Escape':
-        e.preventDefault();
-        this.endDialogue();
-        break;
+    const inputMap = getInputMap();
+    
+    // Confirm, or the interact key that started the conversation
+    if (inputMap.matches(e, 'menuConfirm') || inputMap.matches(e, 'interact')) {
+      e.preventDefault();
+      this._advance();
+    } else if (inputMap.matches(e, 'menuUp')) {
+      e.preventDefault();
+      this._moveChoice(-1);
+    } else if (inputMap.matches(e, 'menuDown')) {
+      e.preventDefault();
+      this._moveChoice(1);
+    } else if (inputMap.matches(e, 'back')) {
+      e.preventDefault();
+      this.endDialogue();
     }
   }
   
@@ -799,12 +546,7 @@ export class DialogueManager {
       if (this.isTyping) {
         this._skipTypewriter();
       } else if (!this.choices || this.choices.length === 0) {
-        if (this.onLineComplete) {
-          this.onLineComplete();
-          this.onLineComplete = null;
-        } else {
-          this._showPromptWithChoices();
-        }
+        this._advance();
       }
       return;
     }
@@ -844,9 +586,8 @@ export class DialogueManager {
     
     // Reset state
     this.currentNPC = null;
-    this.currentDialogue = null;
+    this.session = null;
     this.choices = [];
-    this.onLineComplete = null;
     
     console.log('[DialogueManager] Dialogue ended');
   }
@@ -0,0 +1,414 @@
+/**
+ * DialogueRuntime.js - Walks the dialogue graphs in DialogueData.js
+ *
+ * Shared by DialogueManager (village NPCs) and NPCQuestGivers (quest givers):
+ * both start a DialogueSession and render its current node however they like.
+ * The runtime evaluates conditions (world flags, quest state, reputation, time
+ * of day, gold, companion) and applies effects (flags, items, quests,
+ * reputation, hiring) against the systems passed to init().
+ */
+
+import { getDialogueTree } from '../data/DialogueData.js';
+import { getQuest, getPendingChoice, QUEST_STATUS } from '../data/QuestData.js';
+import { getRepTierKey } from '../data/ReputationData.js';
+
+// ========== CONSTANTS ==========
+const MAX_BRANCH_DEPTH = 10; // Guards against branch loops in data
+const QUEST_NOT_STARTED = 'none';
+
+export const QUEST_VIEW = {
+  OFFER: 'offer',
+  ACCEPTED: 'accepted',
+  CHOICE: 'choice',
+  PROGRESS: 'progress',
+  TURN_IN: 'turnIn',
+};
+
+// ========== DIALOGUE SESSION ==========
+
+/**
+ * One conversation. `node` is the resolved current node:
+ * { id, text, choices: [{ text, style, ... }], quest, questState, questView }
+ */
+class DialogueSession {
+  constructor(runtime, tree, npcId, random, faction = null) {
+    this.runtime = runtime;
+    this.tree = tree;
+    this.npcId = npcId;
+    this.faction = faction; // Faction the NPC speaks for ({ standing } conditions)
+    this.random = random;
+    this.node = null;
+    this.ended = false;
+    this.endAction = null; // DIALOGUE_END_ACTION value, if the last node asked for one
+  }
+
+  hasChoices() {
+    return !!this.node && this.node.choices.length > 0;
+  }
+
+  /**
+   * Continue past a node without choices
+   * @returns {boolean} False if the node is waiting for a choice
+   */
+  advance() {
+    if (this.ended || this.hasChoices()) return false;
+    const node = this.node;
+    if (node.next) {
+      this.goTo(node.next);
+    } else {
+      this.end(node.end);
+    }
+    return true;
+  }
+
+  /**
+   * Pick one of the current node's choices
+   */
+  choose(index) {
+    if (this.ended) return false;
+    const choice = this.node?.choices[index];
+    if (!choice) return false;
+
+    // A failed effect (quest no longer available, ...) ends the conversation
+    if (!this.runtime.runEffects(choice.effects)) {
+      this.end(true);
+      return true;
+    }
+
+    if (choice.next) {
+      this.goTo(choice.next);
+    } else {
+      this.end(choice.end ?? true);
+    }
+    return true;
+  }
+
+  /**
+   * Show a node by id (or a node object built at runtime)
+   */
+  goTo(target, depth = 0) {
+    const node = typeof target === 'string' ? this.tree.nodes[target] : target;
+    if (!node) {
+      console.warn(`[DialogueRuntime] Missing node: ${target}`);
+      this.end(true);
+      return;
+    }
+    const nodeId = typeof target === 'string' ? target : node.id;
+
+    if (depth < MAX_BRANCH_DEPTH) {
+      const branch = node.branch?.find(b => this.runtime.checkCondition(b.condition, this));
+      if (branch) {
+        this.goTo(branch.next, depth + 1);
+        return;
+      }
+    }
+
+    const questNode = node.questHub ? this.runtime.getQuestNode(this.npcId) : null;
+    const shown = questNode || node;
+
+    this.runtime.runEffects(shown.effects);
+    this.node = {
+      ...shown,
+      id: questNode ? questNode.id : nodeId,
+      text: pickText(shown.text, this.random),
+      choices: (shown.choices || []).filter(c => this.runtime.checkCondition(c.condition, this)),
+    };
+  }
+
+  end(action = true) {
+    this.ended = true;
+    this.endAction = typeof action === 'string' ? action : null;
+    this.node = null;
+  }
+}
+
+// ========== DIALOGUE RUNTIME CLASS ==========
+class DialogueRuntime {
+  constructor() {
+    this.systems = {
+      questManager: null,
+      questRewards: null,
+      timeManager: null,
+      worldFlags: null,
+      inventory: null,
+      companionManager: null,
+    };
+  }
+
+  /**
+   * @param {Object} systems - { questManager, questRewards, timeManager, worldFlags, inventory, companionManager }
+   */
+  init(systems = {}) {
+    Object.assign(this.systems, systems);
+    console.log('[DialogueRuntime] Initialized');
+  }
+
+  /**
+   * Start a conversation
+   * @param {string} treeId - NPC type or quest giver id
+   * @param {Object} options - { npcId, fallbackTreeId, random, faction }
+   * @returns {DialogueSession}
+   */
+  start(treeId, { npcId = treeId, fallbackTreeId = null, random = Math.random, faction = null } = {}) {
+    const tree = getDialogueTree(treeId, fallbackTreeId);
+    const session = new DialogueSession(this, tree, npcId, random, faction);
+    session.goTo(tree.start);
+    return session;
+  }
+
+  // ========== CONDITIONS ==========
+
+  /**
+   * @param {Object} condition
+   * @param {Object} context - { faction } of the NPC speaking, if any
+   */
+  checkCondition(condition, context = {}) {
+    if (!condition) return true;
+
+    if (condition.all) return condition.all.every(c => this.checkCondition(c, context));
+    if (condition.any) return condition.any.some(c => this.checkCondition(c, context));
+    if (condition.not) return !this.checkCondition(condition.not, context);
+
+    if (condition.flag !== undefined) {
+      const flags = this.systems.worldFlags;
+      if (!flags) return false;
+      return condition.equals === undefined
+        ? flags.has(condition.flag)
+        : flags.get(condition.flag) === condition.equals;
+    }
+
+    if (condition.quest !== undefined) {
+      return toList(condition.status).includes(this.getQuestStatus(condition.quest));
+    }
+
+    if (condition.reputation !== undefined) {
+      const rep = this.systems.questRewards?.getReputation(condition.reputation) || 0;
+      return rep >= (condition.min ?? -Infinity) && rep <= (condition.max ?? Infinity);
+    }
+
+    if (condition.standing !== undefined) {
+      if (!context.faction) return false;
+      const rep = this.systems.questRewards?.getReputation(context.faction) || 0;
+      return toList(condition.standing).includes(getRepTierKey(rep));
+    }
+
+    if (condition.timeOfDay !== undefined) {
+      const phase = this.systems.timeManager?.dayPhase;
+      return !!phase && toList(condition.timeOfDay).includes(phase);
+    }
+
+    if (condition.gold !== undefined) {
+      return (this.systems.inventory?.getGold() || 0) >= condition.gold;
+    }
+
+    if (condition.companion !== undefined) {
+      const current = this.systems.companionManager?.getCompanionId() || 'none';
+      return toList(condition.companion).includes(current);
+    }
+
+    console.warn('[DialogueRuntime] Unknown condition:', condition);
+    return false;
+  }
+
+  /**
+   * QUEST_STATUS for a quest, or 'none' if it was never offered
+   */
+  getQuestStatus(questId) {
+    const qm = this.systems.questManager;
+    if (!qm) return QUEST_NOT_STARTED;
+
+    const state = qm.getQuestState(questId);
+    if (state) return state.status;
+    if (qm.hasCompletedQuest(questId)) return QUEST_STATUS.COMPLETED;
+    if (qm.availableQuests?.has(questId)) return QUEST_STATUS.AVAILABLE;
+    return QUEST_NOT_STARTED;
+  }
+
+  // ========== EFFECTS ==========
+
+  /**
+   * Apply a list of effects
+   * @returns {boolean} False if any effect failed
+   */
+  runEffects(effects) {
+    let ok = true;
+    for (const effect of effects || []) {
+      if (!this.runEffect(effect)) ok = false;
+    }
+    return ok;
+  }
+
+  runEffect(effect) {
+    const { questManager, questRewards, worldFlags, inventory, companionManager } = this.systems;
+
+    if (effect.setFlag !== undefined) {
+      worldFlags?.set(effect.setFlag, effect.value === undefined ? true : effect.value);
+      return !!worldFlags;
+    }
+    if (effect.giveItem !== undefined) {
+      inventory?.addItem(effect.giveItem, effect.quantity || 1);
+      return !!inventory;
+    }
+    if (effect.acceptQuest !== undefined) {
+      return !!questManager?.acceptQuest(effect.acceptQuest)?.success;
+    }
+    if (effect.turnInQuest !== undefined) {
+      return !!questManager?.turnInQuest(effect.turnInQuest)?.success;
+    }
+    if (effect.questChoice !== undefined) {
+      return !!questManager?.makeChoice(effect.questChoice, effect.objective, effect.option)?.success;
+    }
+    if (effect.addReputation !== undefined) {
+      questRewards?.addReputation(effect.addReputation, effect.amount || 0);
+      return !!questRewards;
+    }
+    if (effect.hireCompanion !== undefined) {
+      return !!companionManager?.hire(effect.hireCompanion);
+    }
+    if (effect.dismissCompanion !== undefined) {
+      companionManager?.dismiss();
+      return !!companionManager;
+    }
+
+    console.warn('[DialogueRuntime] Unknown effect:', effect);
+    return false;
+  }
+
+  // ========== QUEST HUB ==========
+
+  /**
+   * What a quest giver talks about first: a quest to turn in, then a branch
+   * choice waiting on this NPC, then a quest to offer, then one in progress.
+   * Null if the NPC has no quest business.
+   */
+  getQuestNode(npcId) {
+    const qm = this.systems.questManager;
+    if (!qm || !npcId) return null;
+
+    const turnIn = qm.getTurnInQuestsForNpc(npcId)[0];
+    if (turnIn) {
+      const { quest, state } = turnIn;
+      return {
+        id: 'quest_turn_in',
+        text: quest.dialogue.complete,
+        quest,
+        questState: state,
+        questView: QUEST_VIEW.TURN_IN,
+        choices: [{ text: 'Complete Quest', style: 'turn-in', effects: [{ turnInQuest: quest.id }], end: true }],
+      };
+    }
+
+    const choiceNode = this.getChoiceNode(npcId);
+    if (choiceNode) return choiceNode;
+
+    const offer = qm.getAvailableQuestsForNpc(npcId)[0];
+    if (offer) {
+      return {
+        id: 'quest_offer',
+        text: offer.dialogue.intro,
+        quest: offer,
+        questView: QUEST_VIEW.OFFER,
+        choices: [
+          {
+            text: 'Accept Quest',
+            style: 'accept',
+            effects: [{ acceptQuest: offer.id }],
+            next: {
+              id: 'quest_accepted',
+              text: offer.dialogue.accept,
+              quest: offer,
+              questView: QUEST_VIEW.ACCEPTED,
+              choices: [{ text: "Let's go!", style: 'continue', end: true }],
+            },
+          },
+          { text: 'Decline', style: 'decline', end: true },
+        ],
+      };
+    }
+
+    for (const [questId, state] of qm.activeQuests) {
+      const quest = getQuest(questId);
+      if (quest && (quest.giver === npcId || quest.turnIn === npcId)) {
+        return {
+          id: 'quest_progress',
+          text: progressLine(quest, state),
+          quest,
+          questState: state,
+          questView: QUEST_VIEW.PROGRESS,
+          choices: [{ text: 'Continue', style: 'continue', end: true }],
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * A MAKE_CHOICE objective this NPC settles (objective.npc, else the quest's
+   * turn-in NPC), with one dialogue choice per option
+   */
+  getChoiceNode(npcId) {
+    for (const [questId, state] of this.systems.questManager.activeQuests) {
+      const quest = getQuest(questId);
+      const objective = getPendingChoice(state.objectives);
+      if (!quest || !objective || (objective.npc || quest.turnIn) !== npcId) continue;
+
+      return {
+        id: 'quest_choice',
+        text: objective.prompt || quest.dialogue.progress,
+        quest,
+        questState: state,
+        questView: QUEST_VIEW.CHOICE,
+        objective,
+        choices: objective.options.map(option => ({
+          text: option.label,
+          style: 'choice',
+          effects: [{ questChoice: questId, objective: objective.id, option: option.id }],
+          next: {
+            id: 'quest_choice_made',
+            text: option.response || quest.dialogue.progress,
+            choices: [{ text: 'Continue', style: 'continue', end: true }],
+          },
+        })),
+      };
+    }
+    return null;
+  }
+}
+
+// ========== HELPERS ==========
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function pickText(text, random) {
+  if (!Array.isArray(text)) return text || '';
+  return text[Math.floor(random() * text.length)] || '';
+}
+
+/**
+ * Quest giver's comment on how far along the player is
+ */
+function progressLine(quest, state) {
+  const totalProgress = state.objectives.reduce((sum, obj) => sum + obj.current, 0);
+  const totalRequired = state.objectives.reduce((sum, obj) => sum + obj.required, 0);
+  const progressPercent = totalRequired > 0 ? totalProgress / totalRequired : 0;
+
+  if (progressPercent >= 0.75) return "Almost there! Just a bit more.";
+  if (progressPercent >= 0.5) return "Good progress! Keep at it.";
+  return quest.dialogue.progress;
+}
+
+// ========== SINGLETON ==========
+let dialogueRuntimeInstance = null;
+
+export function getDialogueRuntime() {
+  if (!dialogueRuntimeInstance) {
+    dialogueRuntimeInstance = new DialogueRuntime();
+  }
+  return dialogueRuntimeInstance;
+}
+
+export { DialogueRuntime, DialogueSession };
+export default DialogueRuntime;
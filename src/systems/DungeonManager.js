@@ -4,13 +4,35 @@
  * 
  * Handles detection of dungeon entrances, transition effects,
  * dungeon generation/loading, player teleportation, state tracking,
- * exit portals, and save/load persistence.
+ * exit portals, traps (TrapManager), room puzzles (PuzzleManager), and
+ * save/load persistence. Defeating the boss completes the dungeon through
+ * DungeonRewards.
+ * Dungeons span several floors linked by stairwells; lighting a rest-room
+ * bonfire makes it the run's checkpoint. The Abyss Gate on each top floor
+ * starts an endless run that stacks an affix per floor until the player
+ * dies or walks out. Dungeons with an authored layout (DungeonLayouts.js)
+ * load it instead of generating. Every floor's illusory walls and shortcut
+ * doors go to World's secret hooks; what the player opens is kept in the
+ * run's progress.
  */
 
 import * as THREE from 'three';
 import { DungeonGenerator } from '../world/DungeonGenerator.js';
 import { dungeonRenderer } from '../world/DungeonRenderer.js';
-import { getDungeonById, DUNGEONS, DUNGEON_MODIFIER } from '../data/DungeonData.js';
+import { TrapManager } from './TrapManager.js';
+import { PuzzleManager } from './PuzzleManager.js';
+import { getInputMap, formatChord } from './InputMap.js';
+import {
+  getDungeonById,
+  getDungeonForCave,
+  getModifierEffects,
+  rollAbyssAffix,
+  DUNGEONS,
+  DUNGEON_MODIFIER,
+  ABYSS_AFFIX,
+} from '../data/DungeonData.js';
+import { getDungeonLayout, listLayoutEntrances } from '../data/DungeonLayouts.js';
+import { deriveSeed, createSeededRandom, isLegacyWorldSeed } from '../world/WorldSeed.js';
 
 // ========== DUNGEON STATE ==========
 const DUNGEON_STATE = {
@@ -28,6 +50,17 @@ const ENTRANCE_SETTINGS = {
   interactCooldown: 0.5,      // Seconds between interact attempts
 };
 
+// ========== FLOOR SETTINGS ==========
+const FLOOR_SETTINGS = {
+  stairsDistance: 3,          // Distance to show "Descend" prompt
+  bonfireDistance: 3,         // Walk this close to a bonfire to make it the checkpoint
+};
+
+// ========== ATMOSPHERE ==========
+const ATMOSPHERE = {
+  ambientIntensity: 0.3,      // Dungeon ambient light, before modifiers
+};
+
 // ========== TRANSITION SETTINGS ==========
 const TRANSITION = {
   fadeInDuration: 0.8,        // Seconds for fade to black
@@ -52,6 +85,7 @@ export class DungeonManager {
     this.currentDungeon = null;       // Active dungeon instance
     this.currentDungeonId = null;     // ID of current dungeon type
     this.currentModifier = 'none';    // Current dungeon modifier
+    this.currentFloor = 1;            // Floor of the current dungeon, 1 = top
     
     // Dungeon generator
     this.generator = new DungeonGenerator();
@@ -66,11 +100,26 @@ export class DungeonManager {
     
     // Dungeon progress tracking
     this.dungeonProgress = new Map();  // dungeonId -> progress data
+    this.abyssRun = null;              // Endless run in progress; not saved, it ends on leaving
     
     // Exit portal
     this.exitPortal = null;
     this.exitPortalMesh = null;
     
+    // Room and corridor traps; disarming one sticks for the rest of the run
+    this.trapManager = new TrapManager(scene, gameManager, inputManager, audioManager);
+    this.trapManager.onDisarm((trap) => this.markTrapDisarmed(trap.id));
+    
+    // Room puzzles; solving one sticks for the rest of the run
+    this.puzzleManager = new PuzzleManager(scene, inputManager, audioManager, gameManager);
+    this.puzzleManager.setPlayer(player.mesh);
+    this.puzzleManager.onSolve((puzzle) => this.markPuzzleSolved(puzzle.id));
+    
+    // Illusory walls and shortcut doors live on World while a floor is loaded
+    this.world.onHiddenWallRevealed((wall) => this._onHiddenWallRevealed(wall));
+    this.world.onShortcutUnlocked((shortcut) => this._onShortcutUnlocked(shortcut));
+    this.firedTriggers = new Set();   // Notify triggers already shown this floor
+    
     // Transition overlay
     this.transitionOverlay = null;
     this.transitionProgress = 0;
@@ -79,13 +128,12 @@ export class DungeonManager {
     // UI elements
     this.promptElement = null;
     this.loadingElement = null;
+    this.floorElement = null;
+    this.stairsPromptElement = null;
     
     // Create UI
     this._createUI();
     
-    // Load saved progress
-    this._loadProgress();
-    
     console.log('[DungeonManager] Initialized');
   }
   
@@ -226,7 +274,8 @@ export class DungeonManager {
         transition: none;
       }
       
-      #dungeon-exit-prompt {
+      #dungeon-exit-prompt,
+      #dungeon-stairs-prompt {
         position: fixed;
         bottom: 150px;
         left: 50%;
@@ -242,14 +291,47 @@ export class DungeonManager {
         z-index: 100;
         box-shadow: 0 0 20px rgba(100,180,255,0.3);
       }
-      #dungeon-exit-prompt .exit-title {
+      #dungeon-exit-prompt .exit-title,
+      #dungeon-stairs-prompt .exit-title {
         font-size: 18px;
         margin-bottom: 4px;
       }
-      #dungeon-exit-prompt .exit-action {
+      #dungeon-exit-prompt .exit-action,
+      #dungeon-stairs-prompt .exit-action {
         font-size: 14px;
         color: #88cc88;
       }
+      #dungeon-stairs-prompt {
+        border-color: rgba(160,120,80,0.7);
+        color: #d4a055;
+        box-shadow: 0 0 20px rgba(160,120,80,0.3);
+      }
+      
+      #dungeon-floor {
+        position: fixed;
+        top: 16px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: rgba(15,12,20,0.8);
+        border: 1px solid rgba(160,120,80,0.5);
+        border-radius: 4px;
+        padding: 4px 14px;
+        font-family: 'Times New Roman', serif;
+        font-size: 15px;
+        color: #e8dcc8;
+        display: none;
+        z-index: 100;
+      }
+      #dungeon-floor .floor-num {
+        color: #d4a055;
+        font-weight: bold;
+      }
+      #dungeon-floor .floor-affixes {
+        font-size: 12px;
+        color: #aa77ff;
+        font-style: italic;
+        text-align: center;
+      }
     `;
     document.head.appendChild(style);
     
@@ -276,6 +358,60 @@ export class DungeonManager {
       <div class="exit-action">[E] Return to Overworld</div>
     `;
     document.body.appendChild(this.exitPromptElement);
+    
+    // Create stairs prompt
+    this.stairsPromptElement = document.createElement('div');
+    this.stairsPromptElement.id = 'dungeon-stairs-prompt';
+    this.stairsPromptElement.innerHTML = `
+      <div class="exit-title">Stairwell</div>
+      <div class="exit-action">[E] Descend to Floor <span class="floor-num">2</span></div>
+    `;
+    document.body.appendChild(this.stairsPromptElement);
+    
+    // Create floor counter
+    this.floorElement = document.createElement('div');
+    this.floorElement.id = 'dungeon-floor';
+    document.body.appendChild(this.floorElement);
+  }
+  
+  /**
+   * Show "Dungeon Name - Floor N / M" while in a dungeon, or the Abyss depth
+   * and its stacked affixes
+   */
+  _updateFloorUI() {
+    const dungeon = this.currentDungeon;
+    if (!dungeon) {
+      this.floorElement.style.display = 'none';
+      return;
+    }
+    
+    if (this.abyssRun) {
+      this.floorElement.innerHTML = `${dungeon.dungeonData.name} &mdash; Abyss ` +
+        `<span class="floor-num">${dungeon.floor}</span>`;
+      const affixes = this._describeAffixes(this.abyssRun.affixes);
+      if (affixes) {
+        this.floorElement.innerHTML += `<div class="floor-affixes">${affixes}</div>`;
+      }
+    } else {
+      this.floorElement.innerHTML = `${dungeon.dungeonData.name} &mdash; Floor ` +
+        `<span class="floor-num">${dungeon.floor}</span> / ${dungeon.floorCount}`;
+    }
+    this.floorElement.style.display = 'block';
+  }
+  
+  /**
+   * "Hastened x2 · Lightless" for a list of affix ids
+   */
+  _describeAffixes(affixIds) {
+    const counts = new Map();
+    for (const id of affixIds) {
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+    
+    return Array.from(counts, ([id, count]) => {
+      const name = ABYSS_AFFIX[id.toUpperCase()]?.name || id;
+      return count > 1 ? `${name} x${count}` : name;
+    }).join(' &middot; ');
   }
   
   // ========================================
@@ -286,15 +422,13 @@ export class DungeonManager {
    * Check for nearby dungeon entrances and update prompt
    */
   _checkEntrances() {
-    if (!this.world.caveManager) return;
-    
     const playerPos = this.player.mesh.position;
-    const caves = this.world.caveManager.caves;
+    const caves = [...(this.world.caveManager?.caves || []), ...this._getOpenLayoutEntrances()];
     
     this.nearestEntrance = null;
     this.entranceDistance = Infinity;
     
-    // Find nearest cave entrance
+    // Find nearest cave (or authored dungeon) entrance
     for (const cave of caves) {
       const dx = playerPos.x - cave.x;
       const dz = playerPos.z - cave.z;
@@ -369,28 +503,38 @@ export class DungeonManager {
   }
   
   /**
-   * Get dungeon ID based on cave properties/location
+   * Get dungeon ID based on cave location and world seed
    */
   _getDungeonIdForCave(cave) {
-    // Use cave position as seed to consistently assign dungeon type
-    const seed = Math.floor(cave.x * 7 + cave.z * 13);
-    const dungeonIds = Object.keys(DUNGEONS);
-    const index = Math.abs(seed) % dungeonIds.length;
-    
-    // Convert key to dungeon ID
-    const dungeonKey = dungeonIds[index];
-    const dungeon = DUNGEONS[dungeonKey];
+    if (cave.dungeonId) return cave.dungeonId;
+    
+    // The legacy world keeps its original position-only mapping
+    if (isLegacyWorldSeed(this.world.getSeed())) {
+      const dungeonList = Object.values(DUNGEONS).filter(d => !d.layout);
+      return dungeonList[Math.abs(Math.floor(cave.x * 7 + cave.z * 13)) % dungeonList.length].id;
+    }
+    
+    const dungeon = getDungeonForCave(Math.floor(cave.x), Math.floor(cave.z), this.world.getSeed());
     return dungeon ? dungeon.id : 'forgotten_catacombs';
   }
   
+  /**
+   * Overworld entrances of authored dungeons; shortcut ones once unbarred
+   */
+  _getOpenLayoutEntrances() {
+    return listLayoutEntrances().filter(entrance => !entrance.shortcut ||
+      this.dungeonProgress.get(entrance.dungeonId)?.shortcutsUnlocked?.has(entrance.shortcut));
+  }
+  
   // ========================================
   // DUNGEON TRANSITIONS
   // ========================================
   
   /**
    * Begin entering a dungeon
+   * @param {string} spawnRoomId - Authored entrances that open into another room
    */
-  enterDungeon(dungeonId, modifier = 'none') {
+  enterDungeon(dungeonId, modifier = 'none', spawnRoomId = null) {
     if (this.state !== DUNGEON_STATE.OVERWORLD) {
       console.warn('[DungeonManager] Cannot enter dungeon - not in overworld');
       return;
@@ -421,14 +565,16 @@ export class DungeonManager {
     
     // Start fade transition
     this._startTransition('enter', () => {
-      this._loadDungeon(dungeonId, modifier);
+      this._loadDungeon(dungeonId, modifier, spawnRoomId);
     });
   }
   
   /**
    * Exit current dungeon and return to overworld
+   * @param {Object} exitTo - Overworld { x, z } to come out at (shortcut ladders);
+   *   defaults to the entrance
    */
-  exitDungeon() {
+  exitDungeon(exitTo = null) {
     if (this.state !== DUNGEON_STATE.IN_DUNGEON) {
       console.warn('[DungeonManager] Cannot exit - not in dungeon');
       return;
@@ -446,13 +592,17 @@ export class DungeonManager {
       this.audioManager.play('teleport', { volume: 0.6 });
     }
     
-    // Save dungeon progress
-    this._saveDungeonProgress();
+    // Record time spent in this dungeon, or settle the Abyss run
+    if (this.abyssRun) {
+      this._endAbyssRun();
+    } else {
+      this._updateTimeSpent();
+    }
     
     // Start fade transition
     this._startTransition('exit', () => {
       this._unloadDungeon();
-      this._restoreOverworldState();
+      this._restoreOverworldState(exitTo);
     });
   }
   
@@ -463,7 +613,7 @@ export class DungeonManager {
     this.transitionProgress = 0;
     this.transitionCallback = callback;
     
-    const duration = type === 'enter' ? TRANSITION.fadeInDuration : TRANSITION.fadeOutDuration;
+    const duration = type === 'exit' ? TRANSITION.fadeOutDuration : TRANSITION.fadeInDuration;
     
     // Update loading screen title
     const titleEl = this.loadingElement.querySelector('.loading-title');
@@ -473,6 +623,12 @@ export class DungeonManager {
       const dungeon = getDungeonById(this.currentDungeonId);
       titleEl.textContent = dungeon ? `Entering ${dungeon.name}` : 'Entering Dungeon';
       subtitleEl.textContent = 'Prepare yourself...';
+    } else if (type === 'descend') {
+      titleEl.textContent = this.abyssRun ? `Abyss ${this.currentFloor + 1}` : `Floor ${this.currentFloor + 1}`;
+      subtitleEl.textContent = 'The stairs wind deeper...';
+    } else if (type === 'abyss') {
+      titleEl.textContent = 'The Abyss';
+      subtitleEl.textContent = 'There is no bottom...';
     } else {
       titleEl.textContent = 'Returning to Overworld';
       subtitleEl.textContent = 'The light awaits...';
@@ -542,6 +698,7 @@ export class DungeonManager {
     this.overworldState = {
       playerPosition: this.player.mesh.position.clone(),
       playerRotation: this.player.mesh.rotation.y,
+      checkpoint: this.gameManager.checkpoint.clone(),
       // Store any other relevant state
       worldVisible: true,
     };
@@ -552,19 +709,20 @@ export class DungeonManager {
   /**
    * Restore overworld state after exiting dungeon
    */
-  _restoreOverworldState() {
+  _restoreOverworldState(exitTo = null) {
     if (!this.overworldState) return;
     
-    // Restore player position (near cave entrance)
-    this.player.mesh.position.copy(this.overworldState.playerPosition);
-    this.player.mesh.position.y = this.world.terrain.getTerrainHeight(
-      this.overworldState.playerPosition.x,
-      this.overworldState.playerPosition.z
-    );
+    // Restore player position (near cave entrance, or where a shortcut comes out)
+    const position = exitTo ? new THREE.Vector3(exitTo.x, 0, exitTo.z) : this.overworldState.playerPosition;
+    this.player.mesh.position.copy(position);
+    this.player.mesh.position.y = this.world.terrain.getTerrainHeight(position.x, position.z);
     
     this.player.mesh.rotation.y = this.overworldState.playerRotation + Math.PI; // Face away from cave
     this.player.velocity.set(0, 0, 0);
     
+    // Dungeon bonfires only hold while inside
+    this.gameManager.setCheckpoint(this.overworldState.checkpoint);
+    
     // Re-enable overworld rendering
     this._setOverworldVisible(true);
     
@@ -572,7 +730,10 @@ export class DungeonManager {
     this.currentDungeon = null;
     this.currentDungeonId = null;
     this.currentModifier = 'none';
+    this.currentFloor = 1;
+    this.abyssRun = null;
     this.state = DUNGEON_STATE.OVERWORLD;
+    this._updateFloorUI();
     
     // End transition
     this._endTransition();
@@ -583,24 +744,35 @@ export class DungeonManager {
   /**
    * Load and generate dungeon instance
    */
-  _loadDungeon(dungeonId, modifier) {
+  _loadDungeon(dungeonId, modifier, spawnRoomId = null) {
     this.state = DUNGEON_STATE.LOADING;
     
     // Check for existing progress
-    const progress = this.dungeonProgress.get(dungeonId);
-    let seed = null;
+    let progress = this.dungeonProgress.get(dungeonId);
     
     if (progress && !progress.completed) {
       // Resume existing dungeon
-      seed = progress.seed;
-      console.log(`[DungeonManager] Resuming dungeon with seed ${seed}`);
+      console.log(`[DungeonManager] Resuming dungeon with seed ${progress.seed}`);
+    } else {
+      // New dungeon run; layout is derived from the world seed so shared seeds match
+      const previous = progress;
+      const runNumber = (previous?.runNumber || 0) + 1;
+      progress = this._createRunProgress(
+        deriveSeed(this.world.getSeed(), `${dungeonId}:${runNumber}`), runNumber, modifier);
+      
+      // An authored layout never changes, so what was opened stays open
+      if (getDungeonLayout(dungeonId)) {
+        progress.shortcutsUnlocked = new Set(previous?.shortcutsUnlocked || []);
+        progress.secretsFound = new Set(previous?.secretsFound || []);
+      }
+      this.dungeonProgress.set(dungeonId, progress);
     }
     
-    // Generate dungeon layout
-    this.generator = new DungeonGenerator(seed);
-    this.currentDungeon = this.generator.generate(dungeonId, modifier);
+    // Resume at the last bonfire lit, otherwise from the top floor
+    const checkpoint = progress.checkpoint;
+    const floor = this._generateFloor(checkpoint?.floor || 1);
     
-    if (!this.currentDungeon) {
+    if (!floor) {
       console.error('[DungeonManager] Failed to generate dungeon');
       this._restoreOverworldState();
       return;
@@ -609,45 +781,11 @@ export class DungeonManager {
     // Hide overworld
     this._setOverworldVisible(false);
     
-    // Render dungeon geometry
+    // Set up renderer and dungeon lighting
     dungeonRenderer.initialize(this.scene);
-    dungeonRenderer.renderDungeon(this.currentDungeon);
-    
-    // Set up dungeon lighting
     this._setupDungeonLighting();
     
-    // Find entrance room and spawn player there
-    const entranceRoom = this.currentDungeon.rooms.find(r => r.type === 'entrance');
-    if (entranceRoom) {
-      const spawnX = entranceRoom.worldX + entranceRoom.width / 2;
-      const spawnZ = entranceRoom.worldZ + entranceRoom.depth / 2;
-      const spawnY = 0.5; // Dungeon floor level
-      
-      this.player.mesh.position.set(spawnX, spawnY, spawnZ);
-      this.player.mesh.rotation.y = 0;
-      this.player.velocity.set(0, 0, 0);
-    }
-    
-    // Create exit portal in boss room
-    this._createExitPortal();
-    
-    // Initialize or restore progress
-    if (!progress || progress.completed) {
-      // New dungeon run
-      this.dungeonProgress.set(dungeonId, {
-        seed: this.generator.seed,
-        modifier: modifier,
-        roomsCleared: new Set(),
-        chestsLooted: new Set(),
-        puzzlesSolved: new Set(),
-        minibossDefeated: false,
-        bossDefeated: false,
-        completed: false,
-        startedAt: Date.now(),
-        timeSpent: 0,
-        enemiesKilled: 0,
-      });
-    }
+    this._enterFloor(floor, spawnRoomId || checkpoint?.roomId);
     
     // Update state
     this.state = DUNGEON_STATE.IN_DUNGEON;
@@ -655,7 +793,8 @@ export class DungeonManager {
     // End transition (fade in)
     this._endTransition();
     
-    console.log(`[DungeonManager] Dungeon loaded - ${this.currentDungeon.rooms.length} rooms`);
+    console.log(`[DungeonManager] Dungeon loaded - floor ${floor.floor}/${floor.floorCount}, ` +
+      `${floor.rooms.length} rooms`);
     
     // Play dungeon ambient
     if (this.audioManager) {
@@ -664,6 +803,270 @@ export class DungeonManager {
     }
   }
   
+  /**
+   * Fresh progress record for a run
+   */
+  _createRunProgress(seed, runNumber, modifier) {
+    return {
+      seed,
+      runNumber,
+      modifier: modifier,
+      roomsCleared: new Set(),
+      chestsLooted: new Set(),
+      puzzlesSolved: new Set(),
+      trapsDisarmed: new Set(),
+      floor: 1,
+      deepestFloor: 1,
+      checkpoint: null,           // { floor, roomId } of the last bonfire lit
+      shortcutsUnlocked: new Set(),
+      secretsFound: new Set(),    // Illusory walls revealed
+      minibossDefeated: false,
+      bossDefeated: false,
+      completed: false,
+      startedAt: Date.now(),
+      timeSpent: 0,
+      enemiesKilled: 0,
+    };
+  }
+  
+  /**
+   * Seed for one floor of a run (the top floor keeps the run seed)
+   */
+  _getFloorSeed(runSeed, floor) {
+    return floor > 1 ? deriveSeed(runSeed, `floor:${floor}`) : runSeed;
+  }
+  
+  /**
+   * Generate a floor of the current run
+   */
+  _generateFloor(floor) {
+    const progress = this.getProgress();
+    const layout = this.abyssRun ? null : getDungeonLayout(this.currentDungeonId);
+    if (layout) {
+      this.generator = new DungeonGenerator(progress.seed);
+      return this.generator.loadLayout(layout, this.currentModifier);
+    }
+    
+    this.generator = new DungeonGenerator(this._getFloorSeed(progress.seed, floor));
+    return this.generator.generate(this.currentDungeonId, this.currentModifier, floor);
+  }
+  
+  /**
+   * Make a generated floor current: render it, arm its traps and place the
+   * player at the entrance, or beside the checkpoint bonfire when resuming
+   */
+  _enterFloor(dungeon, spawnRoomId = null) {
+    const progress = this.getProgress();
+    
+    this.currentDungeon = dungeon;
+    this.currentFloor = dungeon.floor;
+    
+    // Render dungeon geometry (replaces the floor above)
+    dungeonRenderer.renderDungeon(dungeon);
+    
+    // Arm traps, minus those disarmed earlier in this run
+    this.trapManager.loadDungeon(dungeon, progress.trapsDisarmed);
+    
+    // Build this floor's puzzles; solved ones stay solved
+    this.puzzleManager.clearDungeonPuzzles();
+    this.puzzleManager.createPuzzlesForDungeon(dungeon);
+    
+    this._registerSecrets(dungeon);
+    this.firedTriggers.clear();
+    
+    this._applyModifierEffects();
+    
+    // Exit portal waits in the boss room on the last floor; in the Abyss one
+    // stands open at every floor's entrance so the run can be banked
+    this._removeExitPortal();
+    if (dungeon.bossRoom) {
+      this._createExitPortal();
+    } else if (this.abyssRun) {
+      this._createExitPortal(dungeon.entranceRoom);
+      this.activateExitPortal();
+    }
+    
+    // Spawn player; the floor start counts as a checkpoint until a bonfire is lit
+    const checkpointRoom = spawnRoomId && dungeon.rooms.find(r => r.id === spawnRoomId);
+    const spawnRoom = checkpointRoom || dungeon.entranceRoom;
+    this.player.mesh.position.set(
+      spawnRoom.position.x,
+      0.5, // Dungeon floor level
+      spawnRoom.position.z + (checkpointRoom ? 2 : 0)
+    );
+    this.player.mesh.rotation.y = 0;
+    this.player.velocity.set(0, 0, 0);
+    this.gameManager.setCheckpoint(this.player.mesh.position);
+    
+    // Track depth for the run and for lifetime records
+    progress.floor = dungeon.floor;
+    progress.deepestFloor = Math.max(progress.deepestFloor || 1, dungeon.floor);
+    if (!this.abyssRun) {
+      this.gameManager.dungeonRewards?.recordFloorReached(this.currentDungeonId, dungeon.floor);
+    }
+    
+    this._updateFloorUI();
+  }
+  
+  /**
+   * Take the stairwell down to the next floor
+   */
+  descendStairs() {
+    if (this.state !== DUNGEON_STATE.IN_DUNGEON || !this.currentDungeon?.stairsRoom) return;
+    
+    const nextFloor = this.currentFloor + 1;
+    console.log(`[DungeonManager] Descending to floor ${nextFloor}`);
+    
+    this.state = DUNGEON_STATE.LOADING;
+    this.stairsPromptElement.style.display = 'none';
+    
+    if (this.audioManager) {
+      this.audioManager.play('doorOpen', { volume: 0.5 });
+    }
+    
+    // Each Abyss floor cleared stacks another affix onto the run
+    const affix = this.abyssRun ? this._rollAbyssAffix(nextFloor) : null;
+    
+    this._startTransition('descend', () => {
+      const floor = this._generateFloor(nextFloor);
+      if (floor) {
+        this._enterFloor(floor);
+      } else {
+        console.error(`[DungeonManager] Failed to generate floor ${nextFloor}`);
+      }
+      
+      this.state = DUNGEON_STATE.IN_DUNGEON;
+      this._endTransition();
+      
+      if (affix) {
+        this.gameManager.itemManager?.showNotification?.(`${affix.name} - ${affix.description}`);
+      }
+    });
+    
+    if (affix) {
+      this.loadingElement.querySelector('.loading-subtitle').textContent = `${affix.name}: ${affix.description}`;
+    }
+  }
+  
+  // ========================================
+  // ABYSS
+  // ========================================
+  
+  /**
+   * Abyss seed for a dungeon - fixed per world so leaderboard runs compare
+   */
+  _getAbyssSeed(dungeonId) {
+    return deriveSeed(this.world.getSeed(), `abyss:${dungeonId}`);
+  }
+  
+  /**
+   * Step through the Abyss Gate: leave the current run (its progress is
+   * kept) and start an endless descent from Abyss floor 1
+   */
+  enterAbyss() {
+    if (this.state !== DUNGEON_STATE.IN_DUNGEON || this.abyssRun) return;
+    
+    console.log(`[DungeonManager] Entering the Abyss of ${this.currentDungeonId}`);
+    
+    this.state = DUNGEON_STATE.LOADING;
+    this.stairsPromptElement.style.display = 'none';
+    this._updateTimeSpent();
+    
+    if (this.audioManager) {
+      this.audioManager.play('teleport', { volume: 0.6 });
+    }
+    
+    this._startTransition('abyss', () => {
+      this.currentModifier = DUNGEON_MODIFIER.ABYSS.id;
+      this.abyssRun = {
+        ...this._createRunProgress(this._getAbyssSeed(this.currentDungeonId), 1, this.currentModifier),
+        affixes: [],
+      };
+      
+      const floor = this._generateFloor(1);
+      if (floor) {
+        this._enterFloor(floor);
+      } else {
+        console.error('[DungeonManager] Failed to generate the Abyss');
+      }
+      
+      this.state = DUNGEON_STATE.IN_DUNGEON;
+      this._endTransition();
+    });
+  }
+  
+  /**
+   * Add the affix for reaching an Abyss floor; seeded by the run so every
+   * attempt on a seed faces the same stack
+   */
+  _rollAbyssAffix(floor) {
+    const run = this.abyssRun;
+    const random = createSeededRandom(deriveSeed(run.seed, `affix:${floor}`));
+    const affixId = rollAbyssAffix(run.affixes, random);
+    if (!affixId) return null;
+    
+    run.affixes.push(affixId);
+    return ABYSS_AFFIX[affixId.toUpperCase()];
+  }
+  
+  /**
+   * Settle the Abyss run: pay out by depth and record it on the seed's board
+   */
+  _endAbyssRun() {
+    const run = this.abyssRun;
+    if (!run) return null;
+    
+    const result = this.gameManager.dungeonRewards?.completeAbyssRun({
+      seed: run.seed,
+      dungeonId: this.currentDungeonId,
+      depth: run.deepestFloor,
+      timeMs: Date.now() - run.startedAt,
+      affixes: run.affixes,
+    });
+    
+    const rank = result?.rank ? ` - rank #${result.rank}` : '';
+    this.gameManager.itemManager?.showNotification?.(`Abyss depth ${run.deepestFloor}${rank}`);
+    console.log(`[DungeonManager] Abyss run ended at depth ${run.deepestFloor}`);
+    
+    return result;
+  }
+  
+  /**
+   * Push modifier and affix effects to enemies, healing and the lights
+   */
+  _applyModifierEffects() {
+    const effects = getModifierEffects(this.currentModifier, this.abyssRun?.affixes);
+    
+    this.gameManager.enemyManager?.setAffixEffects?.(effects);
+    this.gameManager.healingMult = (effects.healingMult ?? 1) *
+      (1 - (effects.healingReduction || 0)) * (effects.healingBonus || 1);
+    
+    // Darkness: thicker fog, dimmer ambient and torches (the renderer
+    // rebuilds fog and torches for every floor, so scale them in place)
+    const lightMult = effects.lightMult ?? 1;
+    if (this.scene.fog) {
+      this.scene.fog.density *= effects.fogDensityMult || 1;
+    }
+    for (const light of this.dungeonLights || []) {
+      light.intensity = ATMOSPHERE.ambientIntensity * lightMult;
+    }
+    for (const light of dungeonRenderer.activeLights) {
+      if (light.userData?.flicker) {
+        light.userData.baseIntensity *= lightMult;
+      } else {
+        light.intensity *= lightMult;
+      }
+    }
+  }
+  
+  /**
+   * Drop modifier effects on the way out
+   */
+  _clearModifierEffects() {
+    this.gameManager.enemyManager?.setAffixEffects?.({});
+    this.gameManager.healingMult = 1;
+  }
+  
   /**
    * Unload current dungeon
    */
@@ -672,14 +1075,14 @@ export class DungeonManager {
     
     // Clear dungeon geometry
     dungeonRenderer.clearDungeon();
+    this.trapManager.clear();
+    this.puzzleManager.clearDungeonPuzzles();
+    this.world.clearSecrets();
     
     // Remove exit portal
-    if (this.exitPortalMesh) {
-      this.scene.remove(this.exitPortalMesh);
-      if (this.exitPortalMesh.geometry) this.exitPortalMesh.geometry.dispose();
-      this.exitPortalMesh = null;
-    }
-    this.exitPortal = null;
+    this._removeExitPortal();
+    this.stairsPromptElement.style.display = 'none';
+    this._clearModifierEffects();
     
     // Restore dungeon lighting (remove dungeon lights)
     this._removeDungeonLighting();
@@ -750,7 +1153,7 @@ export class DungeonManager {
     this.dungeonLights = [];
     
     // Dim ambient light for dungeon
-    const ambient = new THREE.AmbientLight(dungeon.ambientColor || 0x151520, 0.3);
+    const ambient = new THREE.AmbientLight(dungeon.ambientColor || 0x151520, ATMOSPHERE.ambientIntensity);
     ambient.name = 'dungeon-ambient';
     this.scene.add(ambient);
     this.dungeonLights.push(ambient);
@@ -771,26 +1174,98 @@ export class DungeonManager {
     this.dungeonLights = [];
   }
   
+  // ========================================
+  // SECRETS, SHORTCUTS AND TRIGGERS
+  // ========================================
+  
+  /**
+   * Hand a floor's illusory walls and shortcut doors to World, reopening
+   * those already found (earlier in the run, or on an authored layout ever)
+   */
+  _registerSecrets(dungeon) {
+    const progress = this.getProgress();
+    for (const wall of dungeon.hiddenWalls || []) {
+      if (progress.secretsFound?.has(wall.id)) {
+        wall.revealed = true;
+        dungeonRenderer.revealIllusoryWall(wall.id);
+      }
+    }
+    for (const shortcut of dungeon.shortcuts || []) {
+      if (progress.shortcutsUnlocked?.has(shortcut.id)) {
+        shortcut.unlocked = true;
+        dungeonRenderer.unbarShortcutDoor(shortcut.id);
+      }
+    }
+    
+    this.world.registerSecrets(dungeon);
+  }
+  
+  /**
+   * World revealed an illusory wall (struck or walked through)
+   */
+  _onHiddenWallRevealed(wall) {
+    if (!this.currentDungeon?.hiddenWalls?.includes(wall)) return;
+    
+    dungeonRenderer.revealIllusoryWall(wall.id);
+    this.getProgress()?.secretsFound.add(wall.id);
+    if (wall.attackOnly) {
+      this.gameManager.itemManager?.showNotification?.('The wall was an illusion - a hidden room lies beyond');
+    }
+    console.log(`[DungeonManager] Secret found: ${wall.id}`);
+  }
+  
+  /**
+   * World unbarred a shortcut door - the way back (or the ladder and
+   * overworld entrance of an authored one) opens
+   */
+  _onShortcutUnlocked(shortcut) {
+    if (!this.currentDungeon?.shortcuts?.includes(shortcut)) return;
+    
+    dungeonRenderer.unbarShortcutDoor(shortcut.id);
+    this.getProgress()?.shortcutsUnlocked.add(shortcut.id);
+    console.log(`[DungeonManager] Shortcut opened: ${shortcut.id}`);
+  }
+  
+  /**
+   * Show each notify trigger's message the first time the player steps in
+   */
+  _checkTriggers() {
+    const triggers = this.currentDungeon?.triggers;
+    if (!triggers) return;
+    
+    const playerPos = this.player.mesh.position;
+    for (const trigger of triggers) {
+      if (trigger.type !== 'notify' || this.firedTriggers.has(trigger.id)) continue;
+      
+      const dx = playerPos.x - trigger.position.x;
+      const dz = playerPos.z - trigger.position.z;
+      if (Math.sqrt(dx * dx + dz * dz) < trigger.radius) {
+        this.firedTriggers.add(trigger.id);
+        this.gameManager.itemManager?.showNotification?.(trigger.message);
+      }
+    }
+  }
+  
   // ========================================
   // EXIT PORTAL
   // ========================================
   
   /**
-   * Create exit portal in boss room
+   * Create exit portal in boss room (or another room, e.g. an Abyss entrance)
    */
-  _createExitPortal() {
+  _createExitPortal(room = null) {
     if (!this.currentDungeon) return;
     
     // Find boss room
-    const bossRoom = this.currentDungeon.rooms.find(r => r.type === 'boss');
+    const bossRoom = room || this.currentDungeon.rooms.find(r => r.type === 'boss');
     if (!bossRoom) {
       console.warn('[DungeonManager] No boss room found for exit portal');
       return;
     }
     
     // Position portal at back of boss room
-    const portalX = bossRoom.worldX + bossRoom.width / 2;
-    const portalZ = bossRoom.worldZ + bossRoom.depth - 2;
+    const portalX = bossRoom.position.x;
+    const portalZ = bossRoom.position.z + bossRoom.depth / 2 - 2;
     const portalY = 0;
     
     this.exitPortal = {
@@ -853,6 +1328,18 @@ export class DungeonManager {
     this.scene.add(portalGroup);
   }
   
+  /**
+   * Remove exit portal mesh
+   */
+  _removeExitPortal() {
+    if (this.exitPortalMesh) {
+      this.scene.remove(this.exitPortalMesh);
+      if (this.exitPortalMesh.geometry) this.exitPortalMesh.geometry.dispose();
+      this.exitPortalMesh = null;
+    }
+    this.exitPortal = null;
+  }
+  
   /**
    * Activate exit portal (called when boss defeated)
    */
@@ -904,6 +1391,99 @@ export class DungeonManager {
     }
   }
   
+  // ========================================
+  // FLOORS AND CHECKPOINTS
+  // ========================================
+  
+  /**
+   * Check if player is at the stairwell down, at the Abyss Gate on a
+   * dungeon's top floor, or at an unbarred shortcut ladder
+   */
+  _checkStairs() {
+    const dungeon = this.currentDungeon;
+    const stairsRoom = dungeon?.stairsRoom;
+    const stairwell = stairsRoom?.features.find(f => f.type === 'stairwell');
+    const gate = this.abyssRun ? null : dungeon?.entranceRoom.features.find(f => f.type === 'abyss_gate');
+    
+    const playerPos = this.player.mesh.position;
+    const ladder = dungeon?.shortcuts?.find(s => s.unlocked && s.ladderPosition &&
+      Math.hypot(playerPos.x - s.ladderPosition.x, playerPos.z - s.ladderPosition.z) < FLOOR_SETTINGS.stairsDistance);
+    const near = (room, feature) => {
+      if (!feature) return false;
+      const dx = playerPos.x - (room.position.x + feature.position.x);
+      const dz = playerPos.z - (room.position.z + feature.position.z);
+      return Math.sqrt(dx * dx + dz * dz) < FLOOR_SETTINGS.stairsDistance;
+    };
+    
+    const key = `[${formatChord(getInputMap().getBindings('interact')[0])}]`;
+    let title, action, onInteract;
+    if (near(stairsRoom, stairwell)) {
+      const label = this.abyssRun ? 'Abyss' : 'Floor';
+      title = 'Stairwell';
+      action = `${key} Descend to ${label} <span class="floor-num">${stairwell.leadsTo}</span>`;
+      onInteract = () => this.descendStairs();
+    } else if (near(dungeon?.entranceRoom, gate)) {
+      title = 'Abyss Gate';
+      action = `${key} Descend into the Abyss`;
+      onInteract = () => this.enterAbyss();
+    } else if (ladder) {
+      title = 'Ladder';
+      action = `${key} Climb to the surface`;
+      onInteract = () => this.exitDungeon(ladder.exitTo);
+    } else {
+      this.stairsPromptElement.style.display = 'none';
+      return;
+    }
+    
+    this.stairsPromptElement.querySelector('.exit-title').textContent = title;
+    this.stairsPromptElement.querySelector('.exit-action').innerHTML = action;
+    this.stairsPromptElement.style.display = 'block';
+    
+    // Check for interact
+    if (this.inputManager.interact && this.interactCooldown <= 0) {
+      this.interactCooldown = ENTRANCE_SETTINGS.interactCooldown;
+      onInteract();
+    }
+  }
+  
+  /**
+   * Reaching a rest-room bonfire makes it the checkpoint: death respawns
+   * there, and re-entering an unfinished run starts from its floor
+   */
+  _checkBonfires() {
+    const progress = this.getProgress();
+    if (!progress || !this.currentDungeon) return;
+    
+    const playerPos = this.player.mesh.position;
+    
+    for (const room of this.currentDungeon.rooms) {
+      if (progress.checkpoint?.floor === this.currentFloor && progress.checkpoint.roomId === room.id) continue;
+      
+      const bonfire = room.features.find(f => f.type === 'bonfire');
+      if (!bonfire) continue;
+      
+      const x = room.position.x + bonfire.position.x;
+      const z = room.position.z + bonfire.position.z;
+      const dx = playerPos.x - x;
+      const dz = playerPos.z - z;
+      
+      if (Math.sqrt(dx * dx + dz * dz) < FLOOR_SETTINGS.bonfireDistance) {
+        progress.checkpoint = { floor: this.currentFloor, roomId: room.id };
+        this.gameManager.setCheckpoint(new THREE.Vector3(x, 0.5, z + 2));
+        this.gameManager.itemManager?.showNotification?.(`Checkpoint set - Floor ${this.currentFloor}`);
+        console.log(`[DungeonManager] Checkpoint set at ${room.id} on floor ${this.currentFloor}`);
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Get the floor the player is on (1 = top)
+   */
+  getCurrentFloor() {
+    return this.currentFloor;
+  }
+  
   // ========================================
   // PROGRESS TRACKING
   // ========================================
@@ -914,10 +1494,9 @@ export class DungeonManager {
   markRoomCleared(roomId) {
     if (!this.currentDungeonId) return;
     
-    const progress = this.dungeonProgress.get(this.currentDungeonId);
+    const progress = this.getProgress();
     if (progress) {
       progress.roomsCleared.add(roomId);
-      this._saveProgress();
     }
   }
   
@@ -927,10 +1506,9 @@ export class DungeonManager {
   markChestLooted(chestId) {
     if (!this.currentDungeonId) return;
     
-    const progress = this.dungeonProgress.get(this.currentDungeonId);
+    const progress = this.getProgress();
     if (progress) {
       progress.chestsLooted.add(chestId);
-      this._saveProgress();
     }
   }
   
@@ -940,10 +1518,22 @@ export class DungeonManager {
   markPuzzleSolved(puzzleId) {
     if (!this.currentDungeonId) return;
     
-    const progress = this.dungeonProgress.get(this.currentDungeonId);
+    const progress = this.getProgress();
     if (progress) {
       progress.puzzlesSolved.add(puzzleId);
-      this._saveProgress();
+    }
+  }
+  
+  /**
+   * Mark a trap as disarmed
+   */
+  markTrapDisarmed(trapId) {
+    if (!this.currentDungeonId) return;
+    
+    const progress = this.getProgress();
+    if (progress) {
+      if (!progress.trapsDisarmed) progress.trapsDisarmed = new Set();
+      progress.trapsDisarmed.add(trapId);
     }
   }
   
@@ -953,10 +1543,9 @@ export class DungeonManager {
   markMinibossDefeated() {
     if (!this.currentDungeonId) return;
     
-    const progress = this.dungeonProgress.get(this.currentDungeonId);
+    const progress = this.getProgress();
     if (progress) {
       progress.minibossDefeated = true;
-      this._saveProgress();
     }
   }
   
@@ -966,12 +1555,24 @@ export class DungeonManager {
   markBossDefeated() {
     if (!this.currentDungeonId) return;
     
-    const progress = this.dungeonProgress.get(this.currentDungeonId);
+    const progress = this.getProgress();
     if (progress) {
       progress.bossDefeated = true;
       progress.completed = true;
       progress.completedAt = Date.now();
-      this._saveProgress();
+      
+      // Clear time, records and rewards; dungeon-clear quests listen for this.
+      // Abyss runs are settled by depth instead
+      if (!this.abyssRun) {
+        this.gameManager.dungeonRewards?.completeDungeon(this.currentDungeon, {
+          elapsedTime: progress.completedAt - progress.startedAt,
+          roomsExplored: progress.roomsCleared.size,
+          roomsCleared: progress.roomsCleared.size,
+          totalRooms: this.currentDungeon.rooms.length,
+          enemiesKilled: progress.enemiesKilled,
+          chestsLooted: progress.chestsLooted.size,
+        });
+      }
     }
     
     // Activate exit portal
@@ -984,7 +1585,7 @@ export class DungeonManager {
   incrementEnemyKills() {
     if (!this.currentDungeonId) return;
     
-    const progress = this.dungeonProgress.get(this.currentDungeonId);
+    const progress = this.getProgress();
     if (progress) {
       progress.enemiesKilled++;
     }
@@ -995,71 +1596,66 @@ export class DungeonManager {
    */
   getProgress() {
     if (!this.currentDungeonId) return null;
-    return this.dungeonProgress.get(this.currentDungeonId);
+    return this.abyssRun || this.dungeonProgress.get(this.currentDungeonId);
   }
   
   /**
-   * Save dungeon progress to localStorage
+   * Add time since the last update to the current dungeon's timeSpent
    */
-  _saveDungeonProgress() {
+  _updateTimeSpent() {
     if (!this.currentDungeonId) return;
     
-    const progress = this.dungeonProgress.get(this.currentDungeonId);
+    const progress = this.getProgress();
     if (progress) {
-      // Update time spent
       const now = Date.now();
       progress.timeSpent += (now - (progress.lastUpdateTime || progress.startedAt));
       progress.lastUpdateTime = now;
     }
-    
-    this._saveProgress();
   }
   
   /**
-   * Save all progress to localStorage
+   * Per-dungeon progress for SaveManager (world.dungeons)
    */
-  _saveProgress() {
-    try {
-      const data = {};
-      
-      this.dungeonProgress.forEach((progress, dungeonId) => {
-        data[dungeonId] = {
-          ...progress,
-          roomsCleared: Array.from(progress.roomsCleared),
-          chestsLooted: Array.from(progress.chestsLooted),
-          puzzlesSolved: Array.from(progress.puzzlesSolved),
-        };
-      });
-      
-      localStorage.setItem('ashen_dungeon_progress', JSON.stringify(data));
-    } catch (e) {
-      console.warn('[DungeonManager] Failed to save progress:', e);
-    }
+  getSaveData() {
+    const data = {};
+    
+    this.dungeonProgress.forEach((progress, dungeonId) => {
+      data[dungeonId] = {
+        ...progress,
+        roomsCleared: Array.from(progress.roomsCleared),
+        chestsLooted: Array.from(progress.chestsLooted),
+        puzzlesSolved: Array.from(progress.puzzlesSolved),
+        trapsDisarmed: Array.from(progress.trapsDisarmed || []),
+        shortcutsUnlocked: Array.from(progress.shortcutsUnlocked || []),
+        secretsFound: Array.from(progress.secretsFound || []),
+      };
+    });
+    
+    return data;
   }
   
   /**
-   * Load progress from localStorage
+   * Restore per-dungeon progress (null = fresh game)
    */
-  _loadProgress() {
-    try {
-      const saved = localStorage.getItem('ashen_dungeon_progress');
-      if (saved) {
-        const data = JSON.parse(saved);
-        
-        for (const [dungeonId, progress] of Object.entries(data)) {
-          this.dungeonProgress.set(dungeonId, {
-            ...progress,
-            roomsCleared: new Set(progress.roomsCleared || []),
-            chestsLooted: new Set(progress.chestsLooted || []),
-            puzzlesSolved: new Set(progress.puzzlesSolved || []),
-          });
-        }
-        
-        console.log(`[DungeonManager] Loaded progress for ${this.dungeonProgress.size} dungeons`);
-      }
-    } catch (e) {
-      console.warn('[DungeonManager] Failed to load progress:', e);
+  loadSaveData(data) {
+    this.dungeonProgress.clear();
+    
+    for (const [dungeonId, progress] of Object.entries(data || {})) {
+      this.dungeonProgress.set(dungeonId, {
+        ...progress,
+        roomsCleared: new Set(progress.roomsCleared || []),
+        chestsLooted: new Set(progress.chestsLooted || []),
+        puzzlesSolved: new Set(progress.puzzlesSolved || []),
+        trapsDisarmed: new Set(progress.trapsDisarmed || []),
+        shortcutsUnlocked: new Set(progress.shortcutsUnlocked || []),
+        secretsFound: new Set(progress.secretsFound || []),
+        floor: progress.floor || 1,
+        deepestFloor: progress.deepestFloor || 1,
+        checkpoint: progress.checkpoint || null,
+      });
     }
+    
+    console.log(`[DungeonManager] Loaded progress for ${this.dungeonProgress.size} dungeons`);
   }
   
   // ========================================
@@ -1114,7 +1710,7 @@ export class DungeonManager {
       
       // Enter dungeon
       const dungeonId = this._getDungeonIdForCave(this.nearestEntrance);
-      this.enterDungeon(dungeonId, this.currentModifier);
+      this.enterDungeon(dungeonId, this.currentModifier, this.nearestEntrance.spawnRoom);
     }
   }
   
@@ -1122,12 +1718,29 @@ export class DungeonManager {
    * Update when in dungeon
    */
   _updateInDungeon(delta) {
+    // Death ends an Abyss run - there is no checkpoint to come back to
+    if (this.abyssRun && this.gameManager.isDead) {
+      this.exitDungeon();
+      return;
+    }
+    
     // Check exit portal proximity
     this._checkExitPortal();
     
+    // Stairwell down and rest-room checkpoints
+    this._checkStairs();
+    this._checkBonfires();
+    this._checkTriggers();
+    
     // Update dungeon renderer (animations, particles)
     dungeonRenderer.update(delta);
     
+    // Trap triggers, cycles and disarming
+    this.trapManager.update(delta);
+    
+    // Puzzle prompts and interaction
+    this.puzzleManager.update(delta);
+    
     // Update time tracking
     const progress = this.getProgress();
     if (progress) {
@@ -1269,15 +1882,23 @@ export class DungeonManager {
    * Returns array of { x, z, name, difficulty }
    */
   getDungeonEntrances() {
-    if (!this.world || !this.world.caveManager) return [];
-    
-    const caves = this.world.caveManager.caves || [];
-    return caves.map(cave => ({
-      x: cave.x,
-      z: cave.z,
-      name: cave.name || 'Cave',
-      difficulty: cave.difficulty || 1,
-    }));
+    if (!this.world) return [];
+    
+    const caves = this.world.caveManager?.caves || [];
+    return [
+      ...caves.map(cave => ({
+        x: cave.x,
+        z: cave.z,
+        name: cave.name || 'Cave',
+        difficulty: cave.difficulty || 1,
+      })),
+      ...this._getOpenLayoutEntrances().map(entrance => ({
+        x: entrance.x,
+        z: entrance.z,
+        name: getDungeonById(entrance.dungeonId).name,
+        difficulty: 1,
+      })),
+    ];
   }
   
   /**
@@ -1297,11 +1918,19 @@ export class DungeonManager {
     if (this.exitPromptElement) {
       this.exitPromptElement.remove();
     }
+    if (this.stairsPromptElement) {
+      this.stairsPromptElement.remove();
+    }
+    if (this.floorElement) {
+      this.floorElement.remove();
+    }
     
     // Clear dungeon if active
     if (this.currentDungeon) {
       this._unloadDungeon();
     }
+    this.trapManager.dispose();
+    this.puzzleManager.dispose();
     
     // Clear references
     this.scene = null;
@@ -12,7 +12,7 @@
  * - Victory screen with stats
  */
 
-import { getDungeonById, DUNGEONS, generateChestLoot, DUNGEON_MODIFIER } from '../data/DungeonData.js';
+import { getDungeonById, DUNGEONS, generateChestLoot, DUNGEON_MODIFIER, ABYSS_SETTINGS, getAbyssRewards } from '../data/DungeonData.js';
 import { BOSS_ITEM_TYPES } from './LootManager.js';
 
 // ========== DUNGEON BOSS SOULS ==========
@@ -285,9 +285,6 @@ const DUNGEON_TIER_REQUIREMENTS = {
   corrupted_temple: { tier: 4, requires: ['bandit_hideout', 'forgotten_catacombs', 'crystal_caverns'] },
 };
 
-// ========== SAVE KEY ==========
-const REWARDS_SAVE_KEY = 'ashen_dungeon_rewards';
-
 /**
  * DungeonRewards - Manages dungeon reward systems
  */
@@ -302,12 +299,14 @@ export class DungeonRewards {
     this.completedDungeons = new Map(); // dungeonId -> completion data
     this.firstKillTracking = new Set(); // dungeonId - has first kill bonus been claimed
     this.bestTimes = new Map(); // dungeonId -> best clear time (ms)
+    this.deepestFloors = new Map(); // dungeonId -> deepest floor reached
+    this.abyssLeaderboards = new Map(); // abyss seed -> runs, deepest (then fastest) first
     
     // Victory screen element
     this.victoryScreen = null;
     
-    // Load saved data
-    this.loadRewardsData();
+    // Completion listeners (quest objectives etc.)
+    this.onCompleteCallbacks = [];
     
     // Create victory screen UI
     this.createVictoryScreen();
@@ -644,18 +643,29 @@ export class DungeonRewards {
       totalRooms: completionStats.totalRooms,
     });
     
-    // Save data
-    this.saveRewardsData();
-    
     // Show victory screen
     this.showVictoryScreen(dungeonData, completionStats, rewards, medal);
     
     // Check for tier unlocks
     this.checkTierUnlocks(dungeonId);
     
+    this.onCompleteCallbacks.forEach(cb => cb(dungeonId, dungeonInstance.modifier, rewards));
+    
     return rewards;
   }
 
+  /**
+   * Register callback for dungeon clears - (dungeonId, modifier, rewards)
+   * @returns {Function} Unsubscribe
+   */
+  onComplete(callback) {
+    this.onCompleteCallbacks.push(callback);
+    return () => {
+      const idx = this.onCompleteCallbacks.indexOf(callback);
+      if (idx !== -1) this.onCompleteCallbacks.splice(idx, 1);
+    };
+  }
+
   /**
    * Get speedrun medal based on clear time
    */
@@ -865,10 +875,93 @@ export class DungeonRewards {
       completionData: completion,
       bestTime,
       bestMedal: bestTime ? this.getSpeedrunMedal(dungeonId, bestTime) : null,
+      deepestFloor: this.getDeepestFloor(dungeonId),
       hasFirstKill,
     };
   }
 
+  /**
+   * Record reaching a dungeon floor; returns true for a new deepest floor
+   */
+  recordFloorReached(dungeonId, floor) {
+    if (floor <= this.getDeepestFloor(dungeonId)) return false;
+    
+    this.deepestFloors.set(dungeonId, floor);
+    console.log(`[DungeonRewards] New deepest floor in ${dungeonId}: ${floor}`);
+    return true;
+  }
+
+  /**
+   * Deepest floor reached in a dungeon across all runs (0 = never entered)
+   */
+  getDeepestFloor(dungeonId) {
+    return this.deepestFloors.get(dungeonId) || 0;
+  }
+
+  /**
+   * Pay out an ended Abyss run by depth and put it on the board.
+   * Returns { rank, rewards } (rank null if it didn't make the board).
+   */
+  completeAbyssRun(run) {
+    const rewards = getAbyssRewards(run.depth);
+    if (rewards.remnants) this.game?.addRemnant?.(rewards.remnants);
+    if (rewards.xp) this.game?.gainXP?.(rewards.xp);
+
+    const rank = this.recordAbyssRun(run);
+    console.log(`[DungeonRewards] Abyss run ended at depth ${run.depth}` +
+      (rank ? ` - rank #${rank}` : ''));
+    return { rank, rewards };
+  }
+
+  /**
+   * Add a run { seed, dungeonId, depth, timeMs, affixes } to its seed's board.
+   * Returns its 1-based rank, or null if it fell off the bottom.
+   */
+  recordAbyssRun({ seed, dungeonId, depth, timeMs, affixes = [] }) {
+    const key = String(seed);
+    const entry = { dungeonId, depth, timeMs, affixes: [...affixes], date: Date.now() };
+    const board = [...(this.abyssLeaderboards.get(key) || []), entry]
+      .sort((a, b) => b.depth - a.depth || a.timeMs - b.timeMs)
+      .slice(0, ABYSS_SETTINGS.leaderboardSize);
+
+    this.abyssLeaderboards.set(key, board);
+    const index = board.indexOf(entry);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Runs recorded for an Abyss seed, best first
+   */
+  getAbyssLeaderboard(seed) {
+    return [...(this.abyssLeaderboards.get(String(seed)) || [])];
+  }
+
+  /**
+   * All Abyss boards as JSON, for sharing between players on the same seed
+   */
+  exportAbyssLeaderboard() {
+    return JSON.stringify({
+      exportedAt: Date.now(),
+      leaderboards: Object.fromEntries(this.abyssLeaderboards),
+    }, null, 2);
+  }
+
+  /**
+   * Export Abyss boards as a downloadable JSON file
+   */
+  downloadAbyssLeaderboard() {
+    const blob = new Blob([this.exportAbyssLeaderboard()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ashen_abyss_leaderboard_${Date.now()}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Check if player has required key for modifier
    */
@@ -903,60 +996,36 @@ export class DungeonRewards {
   }
 
   /**
-   * Save rewards data to localStorage
+   * Get rewards data for SaveManager (world.dungeonRewards)
    */
-  saveRewardsData() {
-    try {
-      const data = {
-        completedDungeons: Object.fromEntries(this.completedDungeons),
-        firstKillTracking: Array.from(this.firstKillTracking),
-        bestTimes: Object.fromEntries(this.bestTimes),
-      };
-      
-      localStorage.setItem(REWARDS_SAVE_KEY, JSON.stringify(data));
-    } catch (e) {
-      console.warn('[DungeonRewards] Failed to save:', e);
-    }
+  getSaveData() {
+    return {
+      completedDungeons: Object.fromEntries(this.completedDungeons),
+      firstKillTracking: Array.from(this.firstKillTracking),
+      bestTimes: Object.fromEntries(this.bestTimes),
+      deepestFloors: Object.fromEntries(this.deepestFloors),
+      abyssLeaderboards: Object.fromEntries(this.abyssLeaderboards),
+    };
   }
 
   /**
-   * Load rewards data from localStorage
+   * Restore rewards data from a save (null resets for a new game)
    */
-  loadRewardsData() {
-    try {
-      const saved = localStorage.getItem(REWARDS_SAVE_KEY);
-      if (!saved) return;
-      
-      const data = JSON.parse(saved);
-      
-      if (data.completedDungeons) {
-        this.completedDungeons = new Map(Object.entries(data.completedDungeons));
-      }
-      
-      if (data.firstKillTracking) {
-        this.firstKillTracking = new Set(data.firstKillTracking);
-      }
-      
-      if (data.bestTimes) {
-        this.bestTimes = new Map(Object.entries(data.bestTimes));
-      }
-      
-      console.log(`[DungeonRewards] Loaded ${this.completedDungeons.size} dungeon completions`);
-    } catch (e) {
-      console.warn('[DungeonRewards] Failed to load:', e);
-    }
+  loadSaveData(data) {
+    this.completedDungeons = new Map(Object.entries(data?.completedDungeons || {}));
+    this.firstKillTracking = new Set(data?.firstKillTracking || []);
+    this.bestTimes = new Map(Object.entries(data?.bestTimes || {}));
+    this.deepestFloors = new Map(Object.entries(data?.deepestFloors || {}));
+    this.abyssLeaderboards = new Map(Object.entries(data?.abyssLeaderboards || {}));
+
+    console.log(`[DungeonRewards] Loaded ${this.completedDungeons.size} dungeon completions`);
   }
 
   /**
    * Reset all dungeon progress (for new game)
    */
   resetProgress() {
-    this.completedDungeons.clear();
-    this.firstKillTracking.clear();
-    this.bestTimes.clear();
-    
-    localStorage.removeItem(REWARDS_SAVE_KEY);
-    
+    this.loadSaveData(null);
     console.log('[DungeonRewards] Progress reset');
   }
 
@@ -254,7 +254,6 @@ export class EquipmentManager {
     // Equipment visual (weapon model reference)
     this.weaponMesh = null;
     
-    this.loadEquipment();
     this.createUI();
     
     console.log('[EquipmentManager] Initialized');
@@ -463,7 +462,6 @@ export class EquipmentManager {
    */
   addToInventory(equipment) {
     this.inventory.push(equipment);
-    this.saveEquipment();
     this.showEquipmentPickup(equipment);
     console.log(`[EquipmentManager] Added to inventory: ${equipment.name}`);
   }
@@ -503,7 +501,6 @@ export class EquipmentManager {
       }
     }
     
-    this.saveEquipment();
     this.updateUI();
     
     // Play equip sound
@@ -531,7 +528,6 @@ export class EquipmentManager {
       this.updateWeaponVisual();
     }
     
-    this.saveEquipment();
     this.updateUI();
     
     console.log(`[EquipmentManager] Unequipped: ${equipment.name}`);
@@ -546,7 +542,6 @@ export class EquipmentManager {
     if (index === -1) return false;
     
     const equipment = this.inventory.splice(index, 1)[0];
-    this.saveEquipment();
     this.updateUI();
     
     console.log(`[EquipmentManager] Dropped: ${equipment.name}`);
@@ -904,43 +899,35 @@ export class EquipmentManager {
   
   // ========== PERSISTENCE ==========
   
-  saveEquipment() {
-    const data = {
+  /**
+   * Equipped items + equipment bag for SaveManager
+   */
+  getSaveData() {
+    return JSON.parse(JSON.stringify({
       equipped: this.equipped,
       inventory: this.inventory,
-    };
-    localStorage.setItem('ashen_equipment', JSON.stringify(data));
+    }));
   }
   
-  loadEquipment() {
-    try {
-      const saved = localStorage.getItem('ashen_equipment');
-      if (saved) {
-        const data = JSON.parse(saved);
-        
-        // Restore equipped items with proper rarity objects
-        if (data.equipped) {
-          for (const [slot, item] of Object.entries(data.equipped)) {
-            if (item) {
-              item.rarity = RARITY[item.rarity.id.toUpperCase()] || RARITY.COMMON;
-              this.equipped[slot] = item;
-            }
-          }
-        }
-        
-        // Restore inventory
-        if (data.inventory) {
-          this.inventory = data.inventory.map(item => {
-            item.rarity = RARITY[item.rarity.id.toUpperCase()] || RARITY.COMMON;
-            return item;
-          });
-        }
-        
-        console.log('[EquipmentManager] Loaded equipment from localStorage');
-      }
-    } catch (e) {
-      console.error('[EquipmentManager] Failed to load equipment:', e);
+  /**
+   * Restore equipped items + bag (null = fresh game)
+   */
+  loadSaveData(data) {
+    // Saved items carry plain rarity copies - relink to the RARITY objects
+    const relink = (item) => ({
+      ...item,
+      rarity: RARITY[item.rarity?.id?.toUpperCase()] || RARITY.COMMON,
+    });
+    
+    for (const slot of Object.keys(this.equipped)) {
+      const item = data?.equipped?.[slot];
+      this.equipped[slot] = item ? relink(item) : null;
     }
+    this.inventory = (data?.inventory || []).map(relink);
+    
+    this.applyEquipmentStats();
+    this.updateWeaponVisual();
+    this.updateUI();
   }
   
   // ========== UPDATE LOOP ==========
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getInputMap } from './InputMap.js';
 
 /**
  * FastTravelManager - Fast travel between discovered locations
@@ -82,9 +83,6 @@ export class FastTravelManager {
     // Create UI elements
     this._createUI();
     
-    // Load discovered locations from localStorage
-    this._loadDiscovered();
-    
     console.log('[FastTravelManager] Initialized');
   }
   
@@ -227,44 +225,14 @@ export class FastTravelManager {
     
     document.body.appendChild(this.loadingScreen);
     
-    // Keyboard handler for ESC
+    // Keyboard handler for back (cancel)
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.state === TRAVEL_STATE.CONFIRMING) {
+      if (getInputMap().matches(e, 'back') && this.state === TRAVEL_STATE.CONFIRMING) {
         this._cancelTravel();
       }
     });
   }
   
-  /**
-   * Load discovered locations from storage
-   */
-  _loadDiscovered() {
-    try {
-      const stored = localStorage.getItem('ashen-fast-travel');
-      if (stored) {
-        const data = JSON.parse(stored);
-        for (const [id, loc] of Object.entries(data)) {
-          this.discoveredLocations.set(id, loc);
-        }
-        console.log(`[FastTravelManager] Loaded ${this.discoveredLocations.size} discovered locations`);
-      }
-    } catch (e) {
-      console.warn('[FastTravelManager] Failed to load discovered locations:', e);
-    }
-  }
-  
-  /**
-   * Save discovered locations to storage
-   */
-  _saveDiscovered() {
-    try {
-      const data = Object.fromEntries(this.discoveredLocations);
-      localStorage.setItem('ashen-fast-travel', JSON.stringify(data));
-    } catch (e) {
-      console.warn('[FastTravelManager] Failed to save discovered locations:', e);
-    }
-  }
-  
   /**
    * Discover a new fast travel location
    */
@@ -276,8 +244,6 @@ export class FastTravelManager {
       discovered: Date.now(),
     });
     
-    this._saveDiscovered();
-    
     // Show discovery notification
     this._showDiscoveryNotification(location.name);
     
@@ -762,15 +728,17 @@ export class FastTravelManager {
   }
   
   /**
-   * Load save data
+   * Load save data (null = fresh game)
    */
   loadSaveData(data) {
-    if (data && data.discoveredLocations) {
-      this.discoveredLocations.clear();
-      for (const [id, loc] of Object.entries(data.discoveredLocations)) {
-        this.discoveredLocations.set(id, loc);
-      }
-      this._saveDiscovered();
+    if (!data?.discoveredLocations) {
+      this.reset();
+      return;
+    }
+    
+    this.discoveredLocations.clear();
+    for (const [id, loc] of Object.entries(data.discoveredLocations)) {
+      this.discoveredLocations.set(id, loc);
     }
   }
   
@@ -779,7 +747,6 @@ export class FastTravelManager {
    */
   reset() {
     this.discoveredLocations.clear();
-    this._saveDiscovered();
     this.state = TRAVEL_STATE.IDLE;
     this.targetLocation = null;
     
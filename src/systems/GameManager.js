@@ -1,4 +1,14 @@
 import * as THREE from 'three';
+import {
+  INFUSION_TRACKS,
+  MAX_TRACK_DEPTH,
+  MAX_TOTAL_DEPTH,
+  HUMANITY_THRESHOLDS,
+  getDefaultInfusions,
+  getInfusionCost,
+  calculateInfusionBonuses,
+  normalizeInfusions,
+} from '../data/InfusionData.js';
 
 // XP thresholds: exponential curve - L2=100, L3=250, L4=500, etc.
 // Formula: level N requires sum of (75 * 1.5^(n-2)) from n=2 to N
@@ -106,11 +116,18 @@ export class GameManager {
     this.heldRemnant = 0;
     this.deathCount = 0;
     this.deathLessons = {}; // damageType -> resistance (0-0.25)
+    this.deathResearch = null; // DeathResearchManager (set from main.js)
+    this.lastDamageSource = null; // Enemy type of the last attacker
+    this.deathReplay = null; // DeathReplay (set from main.js)
+    this.respawnTimer = null;
 
-    // Infusions (4 tracks: Strength, Vitality, Stamina, Spirit)
-    this.infusions = { strength: 0, vitality: 0, stamina: 0, spirit: 0 };
-    this.MAX_TOTAL_DEPTH = 20;
-    this.MAX_TRACK_DEPTH = 5;
+    // Infusions (3 tracks: Bone, Blood, Stone - see InfusionData.js)
+    this.infusions = getDefaultInfusions();
+    this.MAX_TOTAL_DEPTH = MAX_TOTAL_DEPTH;
+    this.MAX_TRACK_DEPTH = MAX_TRACK_DEPTH;
+    this.boneBladeKills = 0; // Bone Blade scales with kills
+    this._infusionCacheKey = null;
+    this._infusionCache = null;
     
     // Bonfire position for crucible proximity check
     this.bonfirePosition = new THREE.Vector3(0, 0, 5);
@@ -122,6 +139,7 @@ export class GameManager {
     this.health = this.maxHealth;
     this.stamina = this.maxStamina;
     this.posture = 0;
+    this.healingMult = 1; // Dungeon modifiers/affixes scale all healing (see heal)
 
     // State
     this.isDead = false;
@@ -159,62 +177,6 @@ export class GameManager {
     
     // Camera controller reference for shake (set via main.js)
     this.cameraController = null;
-    
-    // Load saved progression from localStorage
-    this._loadProgression();
-  }
-  
-  // === XP & LEVELING METHODS ===
-  
-  /**
-   * Load saved XP/Level/Stats from localStorage
-   */
-  _loadProgression() {
-    try {
-      const saved = localStorage.getItem('ashen_progression');
-      if (saved) {
-        const data = JSON.parse(saved);
-        this.currentXP = data.currentXP || 0;
-        this.currentLevel = data.currentLevel || 1;
-        
-        // Load stats
-        if (data.stats) {
-          this.stats = {
-            vigor: data.stats.vigor || 0,
-            endurance: data.stats.endurance || 0,
-            strength: data.stats.strength || 0,
-            dexterity: data.stats.dexterity || 0,
-            mind: data.stats.mind || 0,
-            intelligence: data.stats.intelligence || 0,
-          };
-        }
-        this.spentStatPoints = data.spentStatPoints || 0;
-        
-        // Apply stat bonuses to max health/stamina
-        this._applyStatBonuses();
-        
-        console.log(`[GameManager] Loaded progression: Level ${this.currentLevel}, XP ${this.currentXP}, Stats: ${JSON.stringify(this.stats)}`);
-      }
-    } catch (e) {
-      console.warn('[GameManager] Failed to load progression:', e);
-    }
-  }
-  
-  /**
-   * Save XP/Level/Stats to localStorage
-   */
-  _saveProgression() {
-    try {
-      const data = {
-        currentXP: this.currentXP,
-        currentLevel: this.currentLevel,
-        stats: this.stats,
-        spentStatPoints: this.spentStatPoints,
-      };
-      localStorage.setItem('ashen_progression', JSON.stringify(data));
-    } catch (e) {
-      console.warn('[GameManager] Failed to save progression:', e);
-    }
   }
   
   // === STAT POINT METHODS ===
@@ -253,9 +215,6 @@ export class GameManager {
     // Apply new bonuses
     this._applyStatBonuses();
     
-    // Save progression
-    this._saveProgression();
-    
     console.log(`[GameManager] Spent point on ${statId}: now ${this.stats[statId]}`);
     return true;
   }
@@ -339,8 +298,6 @@ export class GameManager {
            this.currentXP >= this.xpThresholds[this.currentLevel + 1]) {
       this._levelUp();
     }
-    
-    this._saveProgression();
   }
   
   /**
@@ -552,7 +509,15 @@ export class GameManager {
    */
   getDamageMultiplier() {
     // Base from infusions
-    let mult = this.getInfusionBonuses().damageMult;
+    const infusion = this.getInfusionBonuses();
+    let mult = infusion.damageMult;
+    // Bone Blade: sharpened by kills
+    mult += Math.min(infusion.maxKillDamageBonus, this.boneBladeKills * infusion.killDamageBonus);
+    // Blood Rush: stronger as health drops
+    if (infusion.lowHealthDamageBonus > 0 && this.maxHealth > 0) {
+      const missing = 1 - Math.max(0, this.health) / this.maxHealth;
+      mult += infusion.lowHealthDamageBonus * missing;
+    }
     // Add stat bonus (strength)
     const statBonus = this.getStatBonuses();
     mult += (statBonus.damageMult - 1.0); // Add the bonus portion
@@ -715,10 +680,17 @@ export class GameManager {
       this.stamina = Math.min(this.maxStamina, this.stamina + this.staminaRegenRate * regenMult * delta);
     }
 
-    // Posture regen
+    // Posture regen (Stone infusion speeds it up)
     this.postureRegenTimer += delta;
     if (this.postureRegenTimer >= this.postureRegenDelay && this.posture > 0) {
-      this.posture = Math.max(0, this.posture - this.postureRegenRate * delta);
+      const postureRegenMult = this.getInfusionBonuses().postureRegenMult;
+      this.posture = Math.max(0, this.posture - this.postureRegenRate * postureRegenMult * delta);
+    }
+
+    // Blood infusion drain - volatile, but never lethal
+    const healthDrain = this.getInfusionBonuses().healthDrain;
+    if (healthDrain > 0 && this.health > 1) {
+      this.health = Math.max(1, this.health - healthDrain * delta);
     }
     
     // Ability cooldowns
@@ -773,12 +745,37 @@ export class GameManager {
   }
 
   // --- Damage ---
-  takeDamage(amount, damageType = 'physical', postureDmg = 0, isBlocking = false) {
+  takeDamage(amount, damageType = 'physical', postureDmg = 0, isBlocking = false, sourceType = null) {
     if (this.isDead) return;
 
+    // Remember the attacker for the Death Research ledger
+    this.lastDamageSource = sourceType;
+
     // Apply death lesson resistance
     const resistance = this.deathLessons[damageType] || 0;
     let finalDamage = Math.floor(amount * (1 - resistance));
+
+    // Death Research counters vs this enemy type / damage type
+    if (this.deathResearch) {
+      finalDamage = Math.floor(finalDamage * this.deathResearch.getIncomingDamageMult(sourceType, damageType));
+    }
+
+    // Infusion tradeoffs: Blood amplifies, Stone dulls
+    const infusion = this.getInfusionBonuses();
+    finalDamage = Math.floor(finalDamage * infusion.incomingDamageMult * (1 - Math.min(0.5, infusion.damageReduction)));
+
+    // Posture resist (Stone), plus Marrow Armor below 30% HP (Bone)
+    let postureResist = infusion.postureResist;
+    if (this.health / this.maxHealth < 0.3) {
+      postureResist += infusion.lowHealthPostureResist;
+    }
+    postureDmg *= 1 - Math.min(0.75, postureResist);
+
+    // Living Monolith: heavy attacks shrug off posture damage
+    const heavyStates = ['heavy_attacking', 'charged_attacking'];
+    if (infusion.heavyHyperArmor && heavyStates.includes(this.player?.state)) {
+      postureDmg = 0;
+    }
     
     // Apply equipment defense (flat reduction, minimum 1 damage)
     const defense = this.getEquipmentDefense();
@@ -787,7 +784,7 @@ export class GameManager {
     }
 
     if (isBlocking) {
-      const blockCost = finalDamage * 0.5;
+      const blockCost = finalDamage * 0.5 * infusion.blockCostMult;
       if (this.canUseStamina(blockCost)) {
         this.useStamina(blockCost);
         finalDamage = Math.floor(finalDamage * 0.2);
@@ -893,14 +890,28 @@ export class GameManager {
     if (!this.deathLessons[damageType]) this.deathLessons[damageType] = 0;
     this.deathLessons[damageType] = Math.min(0.25, this.deathLessons[damageType] + 0.005);
 
+    // Log the killer in the Death Research ledger
+    if (this.deathResearch) {
+      this.deathResearch.recordDeath(this.lastDamageSource, damageType);
+    }
+
+    // Freeze the last seconds for the study replay
+    if (this.deathReplay) {
+      this.deathReplay.onPlayerDeath(damageType);
+    }
+
     // Show death screen
     if (this.deathScreenEl) this.deathScreenEl.classList.add('visible');
 
-    // Respawn after delay
-    setTimeout(() => this.respawn(), 3000);
+    // Respawn after delay (cancelled if the player studies the death)
+    this.respawnTimer = setTimeout(() => this.respawn(), 3000);
   }
 
   respawn() {
+    if (this.respawnTimer) {
+      clearTimeout(this.respawnTimer);
+      this.respawnTimer = null;
+    }
     this.isDead = false;
     this.health = this.maxHealth;
     this.stamina = this.maxStamina;
@@ -965,18 +976,18 @@ export class GameManager {
 
   // --- Infusions ---
   getTotalDepth() {
-    return this.infusions.strength + this.infusions.vitality + this.infusions.stamina + this.infusions.spirit;
+    return Object.values(this.infusions).reduce((sum, depth) => sum + depth, 0);
   }
 
   canInfuse(track) {
-    if (!this.infusions.hasOwnProperty(track)) return false;
+    if (!INFUSION_TRACKS[track]) return false;
     if (this.infusions[track] >= this.MAX_TRACK_DEPTH) return false;
     if (this.getTotalDepth() >= this.MAX_TOTAL_DEPTH) return false;
     return true;
   }
 
   getInfusionCost(track, depth) {
-    return 100 * depth * depth;
+    return getInfusionCost(depth);
   }
 
   infuse(track) {
@@ -990,34 +1001,108 @@ export class GameManager {
     if (this.audioManager) {
       this.audioManager.play('menuConfirm', { volume: 0.5 });
     }
+    const unlock = INFUSION_TRACKS[track].depths[nextDepth - 1];
+    if (unlock && this.player) {
+      this._spawnFloatingText(unlock.name.toUpperCase(),
+        this.player.mesh.position.clone().add(new THREE.Vector3(0, 2.5, 0)),
+        INFUSION_TRACKS[track].color, true);
+    }
+    console.log(`[GameManager] Infused ${track} to depth ${nextDepth}: ${unlock?.name}`);
     return true;
   }
 
+  /**
+   * Replace infusion depths from save data.
+   * Legacy stat tracks (strength/vitality/stamina/spirit) are refunded as Remnant.
+   */
+  setInfusions(savedInfusions) {
+    const { infusions, refund } = normalizeInfusions(savedInfusions);
+    this.infusions = infusions;
+    if (refund > 0) {
+      this.remnant += refund;
+      console.log(`[GameManager] Refunded ${refund} Remnant from legacy infusions`);
+    }
+  }
+
+  /**
+   * Summed effects + drawbacks of all unlocked infusion depths (cached per depth set)
+   */
   getInfusionBonuses() {
-    return {
-      // Strength: +10% damage per level
-      damageMult: 1.0 + (this.infusions.strength * 0.1),
-      // Vitality: +20 max HP per level
-      bonusHealth: this.infusions.vitality * 20,
-      // Stamina: +15 max stamina per level, +10% regen
-      bonusStamina: this.infusions.stamina * 15,
-      staminaRegenMult: 1.0 + (this.infusions.stamina * 0.1),
-      // Spirit: +5% posture resistance, faster posture regen
-      postureResist: this.infusions.spirit * 0.05,
-      postureRegenMult: 1.0 + (this.infusions.spirit * 0.15),
-    };
+    const key = Object.values(this.infusions).join('/');
+    if (key !== this._infusionCacheKey) {
+      this._infusionCache = calculateInfusionBonuses(this.infusions);
+      this._infusionCacheKey = key;
+    }
+    return this._infusionCache;
   }
-  
+
+  /**
+   * Check whether a named infusion unlock is active (e.g. 'predator_sense')
+   */
+  hasInfusionUnlock(unlockId) {
+    for (const [trackId, track] of Object.entries(INFUSION_TRACKS)) {
+      const entry = track.depths.find(d => d.unlock === unlockId);
+      if (entry) return (this.infusions[trackId] || 0) >= entry.depth;
+    }
+    return false;
+  }
+
+  /**
+   * Humanity remaining after Bone infusion (0-100)
+   */
+  getHumanity() {
+    return Math.max(0, 100 - this.getInfusionBonuses().humanityLoss);
+  }
+
+  /**
+   * How villagers react to the player: 'friendly' | 'wary' | 'hostile' | 'fleeing'
+   */
+  getNPCDisposition() {
+    if (this.getInfusionBonuses().npcsFlee) return 'fleeing';
+    const humanity = this.getHumanity();
+    if (humanity < HUMANITY_THRESHOLDS.HOSTILE) return 'hostile';
+    if (humanity < HUMANITY_THRESHOLDS.WARY) return 'wary';
+    return 'friendly';
+  }
+
+  /**
+   * Restore health, scaled by healingMult. Returns the amount actually healed.
+   */
+  heal(amount) {
+    if (this.isDead || amount <= 0) return 0;
+    const before = this.health;
+    this.health = Math.min(this.maxHealth, this.health + amount * this.healingMult);
+    return this.health - before;
+  }
+
+  /**
+   * Blood lifesteal - call when a player attack connects
+   */
+  onPlayerDealtDamage(amount) {
+    const lifesteal = this.getInfusionBonuses().lifesteal;
+    if (lifesteal <= 0 || this.isDead || amount <= 0) return;
+    this.heal(amount * lifesteal);
+  }
+
+  /**
+   * Bone kill effects - call when the player kills an enemy.
+   * Returns Remnant earned after the Harvest multiplier.
+   */
+  onPlayerKill(baseRemnant = 0) {
+    const infusion = this.getInfusionBonuses();
+    if (infusion.killDamageBonus > 0) {
+      this.boneBladeKills++;
+    }
+    if (infusion.killHeal > 0) {
+      this.heal(infusion.killHeal);
+    }
+    return Math.floor(baseRemnant * infusion.remnantMult);
+  }
+
   // Apply infusion bonuses to stats (call after infusing)
   applyInfusionBonuses() {
-    const bonuses = this.getInfusionBonuses();
-    this.maxHealth = 100 + bonuses.bonusHealth;
-    this.maxStamina = 100 + bonuses.bonusStamina;
-    // Keep current ratio if alive
-    if (!this.isDead) {
-      this.health = Math.min(this.health, this.maxHealth);
-      this.stamina = Math.min(this.stamina, this.maxStamina);
-    }
+    // Infusions stack with stats + equipment, so recompute everything together
+    this._applyStatBonuses();
   }
   
   // Check if player is near bonfire
@@ -1043,26 +1128,28 @@ export class GameManager {
   
   // Get info about a specific track
   getTrackInfo(track) {
+    const def = INFUSION_TRACKS[track];
     const level = this.infusions[track] || 0;
     const nextLevel = level + 1;
     const cost = nextLevel <= this.MAX_TRACK_DEPTH ? this.getInfusionCost(track, nextLevel) : null;
     const canAfford = cost !== null && this.remnant >= cost;
     const maxed = level >= this.MAX_TRACK_DEPTH;
-    
-    const descriptions = {
-      strength: { name: 'Strength', desc: '+10% damage per level', bonus: `+${level * 10}% damage` },
-      vitality: { name: 'Vitality', desc: '+20 max HP per level', bonus: `+${level * 20} HP` },
-      stamina: { name: 'Stamina', desc: '+15 max stamina, +10% regen per level', bonus: `+${level * 15} stamina` },
-      spirit: { name: 'Spirit', desc: '+5% posture resist, +15% posture regen per level', bonus: `+${level * 5}% resist` },
-    };
-    
+    const current = def.depths[level - 1] || null;
+    const next = def.depths[level] || null;
+
     return {
       level,
       nextLevel,
       cost,
       canAfford,
       maxed,
-      ...descriptions[track],
+      capped: !maxed && this.getTotalDepth() >= this.MAX_TOTAL_DEPTH,
+      name: def.name,
+      icon: def.icon,
+      tradeoff: def.tradeoff,
+      desc: next ? `${next.name}: ${next.desc}` : 'Fully infused',
+      bonus: current ? current.name : 'None',
+      unlocks: def.depths.filter(d => d.depth <= level).map(d => d.name),
     };
   }
 }
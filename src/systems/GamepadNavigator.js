@@ -0,0 +1,213 @@
+/**
+ * GamepadNavigator.js - D-pad focus navigation for DOM menus
+ *
+ * Menus register how to tell they're open and which elements can take focus.
+ * While one is open, InputManager routes the D-pad / left stick here instead
+ * of gameplay: directions move a highlighted focus to the nearest element
+ * that way on screen, A clicks it and B calls the menu's back handler.
+ *
+ * Menus with their own selection model (dialogue choices) pass onNavigate /
+ * onConfirm instead of a selector.
+ */
+
+// ========== CONSTANTS ==========
+const FOCUS_CLASS = 'gamepad-focus';
+const STYLE_ID = 'gamepad-focus-styles';
+
+export const NAV_DIRECTION = {
+  UP: 'up',
+  DOWN: 'down',
+  LEFT: 'left',
+  RIGHT: 'right',
+};
+
+// ========== GAMEPAD NAVIGATOR CLASS ==========
+class GamepadNavigator {
+  constructor() {
+    this.menus = []; // [{ id, isOpen, getRoot, selector, onNavigate, onConfirm, onBack }]
+    this.activeMenuId = null;
+    this.focused = null;
+    this.focusIndex = 0;
+  }
+
+  /**
+   * Register a menu for gamepad navigation (re-registering an id replaces it)
+   * @param {string} id
+   * @param {Object} options
+   * @param {Function} options.isOpen - () => boolean
+   * @param {Function} options.getRoot - () => Element to search for focusables
+   * @param {string} options.selector - Focusable elements inside the root
+   * @param {Function} options.onNavigate - (direction) => true if handled (skips focus movement)
+   * @param {Function} options.onConfirm - (focusedElement) => true if handled (skips click)
+   * @param {Function} options.onBack - Called for B
+   */
+  registerMenu(id, options) {
+    this.menus = this.menus.filter(menu => menu.id !== id);
+    this.menus.push({ id, ...options });
+  }
+
+  unregisterMenu(id) {
+    this.menus = this.menus.filter(menu => menu.id !== id);
+    if (this.activeMenuId === id) this._setFocus(null);
+  }
+
+  /**
+   * First registered menu that is open, or null
+   */
+  getActiveMenu() {
+    const menu = this.menus.find(m => m.isOpen()) || null;
+    const id = menu ? menu.id : null;
+    if (id !== this.activeMenuId) {
+      this._setFocus(null);
+      this.focusIndex = 0;
+      this.activeMenuId = id;
+    }
+    return menu;
+  }
+
+  // ========== INPUT ==========
+
+  navigate(direction) {
+    const menu = this.getActiveMenu();
+    if (!menu) return;
+    if (menu.onNavigate?.(direction)) return;
+
+    const candidates = this._getFocusables(menu);
+    if (candidates.length === 0) return;
+
+    const current = this._currentFocus(candidates);
+    if (!current) {
+      this._setFocus(candidates[0], candidates);
+      return;
+    }
+
+    const next = this._nearestInDirection(current, candidates, direction);
+    if (next) this._setFocus(next, candidates);
+  }
+
+  confirm() {
+    const menu = this.getActiveMenu();
+    if (!menu) return;
+
+    const current = this._currentFocus(this._getFocusables(menu));
+    if (menu.onConfirm?.(current)) return;
+    current?.click();
+  }
+
+  back() {
+    this.getActiveMenu()?.onBack?.();
+  }
+
+  // ========== FOCUS ==========
+
+  _getFocusables(menu) {
+    if (!menu.selector) return [];
+    const root = menu.getRoot();
+    if (!root) return [];
+    return Array.from(root.querySelectorAll(menu.selector))
+      .filter(el => el.offsetParent !== null && !el.disabled);
+  }
+
+  /**
+   * Focused element, re-found by index when the menu re-rendered under it
+   */
+  _currentFocus(candidates) {
+    if (this.focused && candidates.includes(this.focused)) return this.focused;
+    if (!this.focused) return null;
+
+    const replacement = candidates[Math.min(this.focusIndex, candidates.length - 1)] || null;
+    this._setFocus(replacement, candidates);
+    return replacement;
+  }
+
+  _setFocus(el, candidates = []) {
+    if (this.focused) {
+      this.focused.classList.remove(FOCUS_CLASS);
+      this._dispatchHover(this.focused, 'mouseleave');
+    }
+
+    this.focused = el;
+    if (!el) return;
+
+    ensureFocusStyles();
+    this.focusIndex = Math.max(0, candidates.indexOf(el));
+    el.classList.add(FOCUS_CLASS);
+    el.scrollIntoView?.({ block: 'nearest' });
+    // Lets hover tooltips follow the pad focus
+    this._dispatchHover(el, 'mouseenter');
+  }
+
+  _dispatchHover(el, type) {
+    const rect = el.getBoundingClientRect();
+    el.dispatchEvent(new MouseEvent(type, {
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+    }));
+  }
+
+  /**
+   * Closest candidate whose center lies in the direction, favouring straight lines
+   */
+  _nearestInDirection(from, candidates, direction) {
+    const origin = center(from);
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const el of candidates) {
+      if (el === from) continue;
+      const c = center(el);
+      const dx = c.x - origin.x;
+      const dy = c.y - origin.y;
+
+      let along, across;
+      switch (direction) {
+        case NAV_DIRECTION.UP: along = -dy; across = dx; break;
+        case NAV_DIRECTION.DOWN: along = dy; across = dx; break;
+        case NAV_DIRECTION.LEFT: along = -dx; across = dy; break;
+        default: along = dx; across = dy; break;
+      }
+      if (along <= 1) continue;
+
+      const score = along + Math.abs(across) * 2;
+      if (score < bestScore) {
+        bestScore = score;
+        best = el;
+      }
+    }
+    return best;
+  }
+}
+
+// ========== HELPERS ==========
+
+function center(el) {
+  const rect = el.getBoundingClientRect();
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+function ensureFocusStyles() {
+  if (document.getElementById(STYLE_ID)) return;
+  const style = document.createElement('style');
+  style.id = STYLE_ID;
+  style.textContent = `
+    .${FOCUS_CLASS} {
+      outline: 2px solid #DAA520 !important;
+      outline-offset: 2px;
+      box-shadow: 0 0 12px rgba(218, 165, 32, 0.5) !important;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// ========== SINGLETON ==========
+let gamepadNavigatorInstance = null;
+
+export function getGamepadNavigator() {
+  if (!gamepadNavigatorInstance) {
+    gamepadNavigatorInstance = new GamepadNavigator();
+  }
+  return gamepadNavigatorInstance;
+}
+
+export { GamepadNavigator };
+export default GamepadNavigator;
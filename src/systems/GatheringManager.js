@@ -6,6 +6,8 @@ import {
   getMaterial,
   rollGatheringDrops 
 } from '../data/MaterialData.js';
+import { getWorldSeedOffset } from '../world/WorldSeed.js';
+import { getMaterialStore } from './MaterialStore.js';
 
 /**
  * GatheringManager - Resource Gathering System
@@ -28,6 +30,9 @@ export class GatheringManager {
     this.particles = particleManager;
     this.audio = audioManager;
     
+    // Offset chunk seeds by the world seed
+    this.worldSeed = getWorldSeedOffset(this.terrain.seed, 'gathering');
+    
     // Chunk configuration
     this.chunkSize = 64;
     this.loadDistance = 2;
@@ -65,6 +70,9 @@ export class GatheringManager {
     // Player reference
     this.playerPosition = new THREE.Vector3();
     
+    // Event listeners
+    this.onGatherCallbacks = [];
+    
     // Create shared assets
     this._createSharedAssets();
     
@@ -327,7 +335,7 @@ export class GatheringManager {
     const chunk = { nodes: [], meshes: [] };
     
     // Generate unique seed for this chunk
-    const baseSeed = cx * 73856093 + cz * 19349663;
+    const baseSeed = cx * 73856093 + cz * 19349663 + this.worldSeed;
     
     // Get biome at chunk center
     const centerX = cx * this.chunkSize + this.chunkSize / 2;
@@ -668,7 +676,7 @@ export class GatheringManager {
     
     // Handle gathering input
     if (this.input && this.input.keys) {
-      const ePressed = this.input.keys['KeyE'] || this.input.keys['e'];
+      const ePressed = this.input.isActionHeld('interact');
       
       if (ePressed && this.nearbyNode && !this.isGathering) {
         this._startGathering(this.nearbyNode);
@@ -779,6 +787,7 @@ export class GatheringManager {
       if (mat) {
         this._addMaterialToInventory(drop.materialId, drop.quantity);
         pickupTexts.push(`+${drop.quantity} ${mat.name}`);
+        this.onGatherCallbacks.forEach(cb => cb(drop.materialId, drop.quantity, node));
       }
     }
     
@@ -804,10 +813,7 @@ export class GatheringManager {
     if (this.inventory && this.inventory.addMaterial) {
       this.inventory.addMaterial(materialId, quantity);
     } else {
-      // Fallback: store in localStorage
-      const materials = JSON.parse(localStorage.getItem('ashen-materials') || '{}');
-      materials[materialId] = (materials[materialId] || 0) + quantity;
-      localStorage.setItem('ashen-materials', JSON.stringify(materials));
+      getMaterialStore().addMaterial(materialId, quantity);
     }
   }
   
@@ -873,8 +879,7 @@ export class GatheringManager {
     if (this.inventory && this.inventory.getMaterialCount) {
       return this.inventory.getMaterialCount(materialId);
     }
-    const materials = JSON.parse(localStorage.getItem('ashen-materials') || '{}');
-    return materials[materialId] || 0;
+    return getMaterialStore().getMaterialCount(materialId);
   }
   
   /**
@@ -884,7 +889,26 @@ export class GatheringManager {
     if (this.inventory && this.inventory.getAllMaterials) {
       return this.inventory.getAllMaterials();
     }
-    return JSON.parse(localStorage.getItem('ashen-materials') || '{}');
+    return getMaterialStore().getAllMaterials();
+  }
+  
+  /**
+   * MaterialData biome source for a world position
+   */
+  getMaterialBiomeAt(x, z) {
+    return this._mapBiomeToMaterial(this.terrain.getBiome(x, z));
+  }
+  
+  /**
+   * Register callback for gathered materials: (materialId, quantity, node)
+   * @returns {Function} Unsubscribe function
+   */
+  onGather(callback) {
+    this.onGatherCallbacks.push(callback);
+    return () => {
+      const idx = this.onGatherCallbacks.indexOf(callback);
+      if (idx !== -1) this.onGatherCallbacks.splice(idx, 1);
+    };
   }
   
   /**
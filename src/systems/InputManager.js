@@ -1,6 +1,18 @@
+import { getInputMap, chordFromEvent, chordCode } from './InputMap.js';
+import { getGamepadNavigator, NAV_DIRECTION } from './GamepadNavigator.js';
+import { GAMEPAD_BINDINGS, GAMEPAD_BUTTON } from '../data/InputActionData.js';
+
+// Gamepad tuning
+const TRIGGER_THRESHOLD = 0.5;   // Analog trigger travel that counts as a press
+const PAD_LOOK_SPEED = 1000;     // Camera "pixels" per second at full right-stick tilt
+const NAV_REPEAT_DELAY = 0.4;    // Seconds before a held direction repeats in menus
+const NAV_REPEAT_RATE = 0.12;    // Seconds between repeats after that
+const NAV_STICK_THRESHOLD = 0.6; // Left-stick tilt that counts as a menu direction
+
 export class InputManager {
   constructor(domElement) {
-    this.keys = {};
+    this.keys = {}; // code -> held (mouse buttons as 'Mouse0'...)
+    this.heldActions = {}; // actionId -> held, for non-key sources (touch controls)
     this.mouseButtons = {};
     this.mouseDelta = { x: 0, y: 0 };
     this.isLocked = false;
@@ -22,38 +34,44 @@ export class InputManager {
 
     this.domElement = domElement;
 
+    // Action -> key bindings (rebindable from the Controls tab)
+    this.inputMap = getInputMap();
+
+    // Gamepad state (polled each frame in update)
+    this.gamepadNav = getGamepadNavigator();
+    this.gamepadId = null;
+    this.padMove = { x: 0, z: 0 };
+    this.padButtons = [];  // Pressed state last poll, by button index
+    this.padHeld = {};     // actionId -> held
+    this.padNav = { direction: null, timer: 0 };
+
+    window.addEventListener('gamepadconnected', (e) => {
+      console.log(`[InputManager] Gamepad connected: ${e.gamepad.id}`);
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+      console.log(`[InputManager] Gamepad disconnected: ${e.gamepad.id}`);
+    });
+
     // Keyboard
     window.addEventListener('keydown', (e) => {
       this.keys[e.code] = true;
-      this._bufferAction(e.code);
+      this._press(e);
     });
     window.addEventListener('keyup', (e) => {
       this.keys[e.code] = false;
+      this._release(e);
     });
 
     // Mouse buttons
     domElement.addEventListener('mousedown', (e) => {
       this.mouseButtons[e.button] = true;
-      this._bufferAction(`mouse${e.button}`);
-      
-      // Track LMB hold for charged attacks
-      if (e.button === 0) {
-        this.lmbHoldStart = performance.now();
-        this.lmbWasHeld = false;
-      }
+      this.keys[`Mouse${e.button}`] = true;
+      this._press(e);
     });
     domElement.addEventListener('mouseup', (e) => {
       this.mouseButtons[e.button] = false;
-      
-      // Check for charged attack release
-      if (e.button === 0 && this.lmbHoldStart > 0) {
-        this.lmbHoldTime = (performance.now() - this.lmbHoldStart) / 1000;
-        if (this.lmbHoldTime >= this.chargeThreshold) {
-          this.lmbWasHeld = true;
-          this._bufferAction('chargedAttack');
-        }
-        this.lmbHoldStart = 0;
-      }
+      this.keys[`Mouse${e.button}`] = false;
+      this._release(e);
     });
 
     // Mouse movement
@@ -87,8 +105,42 @@ export class InputManager {
     domElement.addEventListener('contextmenu', (e) => e.preventDefault());
   }
 
-  _bufferAction(code) {
-    this.buffer[code] = this.bufferDuration;
+  _bufferAction(chord) {
+    this.buffer[chord] = this.bufferDuration;
+  }
+
+  _press(e) {
+    const chord = this.inputMap.resolveChord(chordFromEvent(e));
+    this._bufferAction(chord);
+
+    // Track light attack hold for charged attacks
+    if (!e.repeat && this.inputMap.getBindings('lightAttack').includes(chord)) {
+      this._startCharge();
+    }
+  }
+
+  _release(e) {
+    const code = chordCode(chordFromEvent(e));
+    const isAttackKey = this.inputMap.getBindings('lightAttack').some(chord => chordCode(chord) === code);
+    if (isAttackKey) {
+      this._releaseCharge();
+    }
+  }
+
+  _startCharge() {
+    this.lmbHoldStart = performance.now();
+    this.lmbWasHeld = false;
+  }
+
+  // Check for charged attack release
+  _releaseCharge() {
+    if (this.lmbHoldStart <= 0) return;
+    this.lmbHoldTime = (performance.now() - this.lmbHoldStart) / 1000;
+    if (this.lmbHoldTime >= this.chargeThreshold) {
+      this.lmbWasHeld = true;
+      this._bufferAction('chargedAttack');
+    }
+    this.lmbHoldStart = 0;
   }
 
   update(delta) {
@@ -98,6 +150,119 @@ export class InputManager {
       this.buffer[key] -= dt;
       if (this.buffer[key] <= 0) delete this.buffer[key];
     }
+
+    this._pollGamepad(dt);
+  }
+
+  // ========== GAMEPAD ==========
+
+  /**
+   * First connected standard gamepad, or null
+   */
+  _getGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    for (const pad of navigator.getGamepads()) {
+      if (pad && pad.connected) return pad;
+    }
+    return null;
+  }
+
+  _pollGamepad(dt) {
+    const pad = this._getGamepad();
+    if (!pad) {
+      if (this.gamepadId) this._resetGamepad();
+      return;
+    }
+    this.gamepadId = pad.id;
+
+    const { deadZone, lookSensitivity } = this.inputMap.gamepad;
+    const pressed = pad.buttons.map((button, i) =>
+      i === GAMEPAD_BUTTON.LT || i === GAMEPAD_BUTTON.RT ? button.value > TRIGGER_THRESHOLD : button.pressed
+    );
+    const wasPressed = (i) => !!this.padButtons[i];
+    const justPressed = (i) => pressed[i] && !wasPressed(i);
+
+    const move = applyDeadZone(pad.axes[0] || 0, pad.axes[1] || 0, deadZone);
+
+    // Menus take the pad while open: D-pad / left stick move focus, A confirms, B backs out
+    if (this.gamepadNav.getActiveMenu()) {
+      this._releasePadActions();
+      this.padMove = { x: 0, z: 0 };
+      this._navigateMenu(pressed, move, dt);
+      if (justPressed(GAMEPAD_BUTTON.A)) this.gamepadNav.confirm();
+      if (justPressed(GAMEPAD_BUTTON.B)) this.gamepadNav.back();
+      this.padButtons = pressed;
+      return;
+    }
+    this.padNav.direction = null;
+
+    // Left stick moves, right stick looks
+    this.padMove = { x: move.x, z: move.y };
+    const look = applyDeadZone(pad.axes[2] || 0, pad.axes[3] || 0, deadZone);
+    this.mouseDelta.x += look.x * PAD_LOOK_SPEED * lookSensitivity * dt;
+    this.mouseDelta.y += look.y * PAD_LOOK_SPEED * lookSensitivity * dt;
+
+    // Buttons -> actions (same buffer as keys, so combat timing feels identical)
+    for (const [actionId, button] of Object.entries(GAMEPAD_BINDINGS)) {
+      const held = !!pressed[button];
+      if (held && !wasPressed(button)) {
+        this._bufferAction(`pad:${actionId}`);
+        if (actionId === 'lightAttack') this._startCharge();
+      } else if (!held && wasPressed(button) && actionId === 'lightAttack') {
+        this._releaseCharge();
+      }
+      this.padHeld[actionId] = held;
+    }
+
+    this.padButtons = pressed;
+  }
+
+  /**
+   * D-pad or left stick -> menu focus moves, repeating while held
+   */
+  _navigateMenu(pressed, move, dt) {
+    let direction = null;
+    if (pressed[GAMEPAD_BUTTON.DPAD_UP] || move.y < -NAV_STICK_THRESHOLD) direction = NAV_DIRECTION.UP;
+    else if (pressed[GAMEPAD_BUTTON.DPAD_DOWN] || move.y > NAV_STICK_THRESHOLD) direction = NAV_DIRECTION.DOWN;
+    else if (pressed[GAMEPAD_BUTTON.DPAD_LEFT] || move.x < -NAV_STICK_THRESHOLD) direction = NAV_DIRECTION.LEFT;
+    else if (pressed[GAMEPAD_BUTTON.DPAD_RIGHT] || move.x > NAV_STICK_THRESHOLD) direction = NAV_DIRECTION.RIGHT;
+
+    const nav = this.padNav;
+    if (!direction) {
+      nav.direction = null;
+      return;
+    }
+
+    if (direction !== nav.direction) {
+      nav.direction = direction;
+      nav.timer = NAV_REPEAT_DELAY;
+      this.gamepadNav.navigate(direction);
+      return;
+    }
+
+    nav.timer -= dt;
+    if (nav.timer <= 0) {
+      nav.timer = NAV_REPEAT_RATE;
+      this.gamepadNav.navigate(direction);
+    }
+  }
+
+  _releasePadActions() {
+    if (this.padHeld.lightAttack) this.lmbHoldStart = 0; // Opening a menu cancels a charge
+    this.padHeld = {};
+  }
+
+  _resetGamepad() {
+    console.log('[InputManager] Gamepad lost, back to keyboard/mouse');
+    this.gamepadId = null;
+    this.padMove = { x: 0, z: 0 };
+    this.padButtons = [];
+    this.padNav.direction = null;
+    this._releasePadActions();
+  }
+
+  get gamepadConnected() {
+    return this.gamepadId !== null;
   }
 
   consumeBuffer(code) {
@@ -108,6 +273,37 @@ export class InputManager {
     return false;
   }
 
+  /**
+   * Was the action pressed within the buffer window? Consumes the press.
+   */
+  consumeAction(actionId) {
+    return this.consumeBuffer(`pad:${actionId}`) ||
+      this.inputMap.getBindings(actionId).some(chord => this.consumeBuffer(chord));
+  }
+
+  /**
+   * Is the action's key held right now?
+   */
+  isActionHeld(actionId) {
+    return !!this.heldActions[actionId] || !!this.padHeld[actionId] ||
+      this.inputMap.isHeld(actionId, this.keys);
+  }
+
+  /**
+   * Press an action without a key event (touch buttons)
+   */
+  pressAction(actionId) {
+    const chord = this.inputMap.getBindings(actionId)[0];
+    if (chord) this._bufferAction(chord);
+  }
+
+  /**
+   * Hold or release an action without a key event (touch joystick/buttons)
+   */
+  setActionHeld(actionId, held) {
+    this.heldActions[actionId] = held;
+  }
+
   getMouseDelta() {
     const delta = { x: this.mouseDelta.x, y: this.mouseDelta.y };
     this.mouseDelta.x = 0;
@@ -115,64 +311,64 @@ export class InputManager {
     return delta;
   }
 
-  // --- Helpers ---
-  get moveForward() { return this.keys['KeyW']; }
-  get moveBack() { return this.keys['KeyS']; }
-  get moveLeft() { return this.keys['KeyA']; }
-  get moveRight() { return this.keys['KeyD']; }
-  get dodge() { return this.consumeBuffer('Space'); }
-  get lightAttack() { return this.consumeBuffer('mouse0'); }
-  get heavyAttack() { return this.consumeBuffer('mouse2'); }
-  get block() { return this.keys['ShiftLeft'] || this.keys['ShiftRight']; }
-  get lockOn() { return this.consumeBuffer('KeyQ'); }
-  get interact() { return this.consumeBuffer('KeyE'); }
+  // --- Helpers (actions resolve through InputMap) ---
+  get moveForward() { return this.isActionHeld('moveForward'); }
+  get moveBack() { return this.isActionHeld('moveBack'); }
+  get moveLeft() { return this.isActionHeld('moveLeft'); }
+  get moveRight() { return this.isActionHeld('moveRight'); }
+  get dodge() { return this.consumeAction('dodge'); }
+  get lightAttack() { return this.consumeAction('lightAttack'); }
+  get heavyAttack() { return this.consumeAction('heavyAttack'); }
+  get block() { return this.isActionHeld('block'); }
+  get lockOn() { return this.consumeAction('lockOn'); }
+  get interact() { return this.consumeAction('interact'); }
   
   // --- Ability Inputs ---
-  get dashAbility() { return this.consumeBuffer('KeyR'); }
-  get parryAbility() { return this.consumeBuffer('KeyF'); }
-  get warCryAbility() { return this.consumeBuffer('KeyG'); }
+  get dashAbility() { return this.consumeAction('dashAbility'); }
+  get parryAbility() { return this.consumeAction('parryAbility'); }
+  get warCryAbility() { return this.consumeAction('warCryAbility'); }
   get chargedAttack() { return this.consumeBuffer('chargedAttack'); }
   
-  // --- Potion Hotkeys (hold Ctrl + 1/2/3 for potions, plain 1-4 for weapons) ---
-  get useHealthPotion() { return (this.keys['ControlLeft'] || this.keys['ControlRight']) && this.consumeBuffer('Digit1'); }
-  get useStaminaPotion() { return (this.keys['ControlLeft'] || this.keys['ControlRight']) && this.consumeBuffer('Digit2'); }
-  get useManaPotion() { return (this.keys['ControlLeft'] || this.keys['ControlRight']) && this.consumeBuffer('Digit3'); }
+  // --- Potion Hotkeys (Ctrl + 1/2/3 by default) ---
+  get useHealthPotion() { return this.consumeAction('useHealthPotion'); }
+  get useStaminaPotion() { return this.consumeAction('useStaminaPotion'); }
+  get useManaPotion() { return this.consumeAction('useManaPotion'); }
   
   // --- Weapon Switching ---
-  get cycleWeapon() { return this.consumeBuffer('KeyQ') || this.consumeBuffer('Tab'); }
-  get weaponSlot1() { return this.consumeBuffer('Digit1'); }
-  get weaponSlot2() { return this.consumeBuffer('Digit2'); }
-  get weaponSlot3() { return this.consumeBuffer('Digit3'); }
-  get weaponSlot4() { return this.consumeBuffer('Digit4'); }
+  get cycleWeapon() { return this.consumeAction('cycleWeapon'); }
+  get weaponSlot1() { return this.consumeAction('weaponSlot1'); }
+  get weaponSlot2() { return this.consumeAction('weaponSlot2'); }
+  get weaponSlot3() { return this.consumeAction('weaponSlot3'); }
+  get weaponSlot4() { return this.consumeAction('weaponSlot4'); }
   
   // Check if weapon slot keys should be consumed (not in inventory)
   get weaponSlotsActive() { return true; }
   
   // --- Equipment/Inventory UI ---
-  get openEquipment() { return this.consumeBuffer('KeyI'); }
-  get craftingToggle() { return this.consumeBuffer('KeyC'); }
-  get escape() { return this.consumeBuffer('Escape'); }
+  get openEquipment() { return this.consumeAction('openInventory'); }
+  get craftingToggle() { return this.consumeAction('openCrafting'); }
+  get escape() { return this.consumeAction('back'); }
   
-  // --- Spell Casting (F key to cast selected spell, F1-F6 for hotbar slots) ---
-  get castSpell() { return this.consumeBuffer('KeyF'); }
-  get spellSlot1() { return this.consumeBuffer('F1'); }
-  get spellSlot2() { return this.consumeBuffer('F2'); }
-  get spellSlot3() { return this.consumeBuffer('F3'); }
-  get spellSlot4() { return this.consumeBuffer('F4'); }
-  get spellSlot5() { return this.consumeBuffer('F5'); }
-  get spellSlot6() { return this.consumeBuffer('F6'); }
+  // --- Spell Casting (cast selected spell, or a hotbar slot directly) ---
+  get castSpell() { return this.consumeAction('castSpell'); }
+  get spellSlot1() { return this.consumeAction('spellSlot1'); }
+  get spellSlot2() { return this.consumeAction('spellSlot2'); }
+  get spellSlot3() { return this.consumeAction('spellSlot3'); }
+  get spellSlot4() { return this.consumeAction('spellSlot4'); }
+  get spellSlot5() { return this.consumeAction('spellSlot5'); }
+  get spellSlot6() { return this.consumeAction('spellSlot6'); }
   
-  // Select spell slot (Shift + 1-6) - selects without casting
-  get selectSpellSlot1() { return (this.keys['ShiftLeft'] || this.keys['ShiftRight']) && this.consumeBuffer('Digit1'); }
-  get selectSpellSlot2() { return (this.keys['ShiftLeft'] || this.keys['ShiftRight']) && this.consumeBuffer('Digit2'); }
-  get selectSpellSlot3() { return (this.keys['ShiftLeft'] || this.keys['ShiftRight']) && this.consumeBuffer('Digit3'); }
-  get selectSpellSlot4() { return (this.keys['ShiftLeft'] || this.keys['ShiftRight']) && this.consumeBuffer('Digit4'); }
-  get selectSpellSlot5() { return (this.keys['ShiftLeft'] || this.keys['ShiftRight']) && this.consumeBuffer('Digit5'); }
-  get selectSpellSlot6() { return (this.keys['ShiftLeft'] || this.keys['ShiftRight']) && this.consumeBuffer('Digit6'); }
+  // Select spell slot without casting (Shift + 1-6 by default)
+  get selectSpellSlot1() { return this.consumeAction('selectSpellSlot1'); }
+  get selectSpellSlot2() { return this.consumeAction('selectSpellSlot2'); }
+  get selectSpellSlot3() { return this.consumeAction('selectSpellSlot3'); }
+  get selectSpellSlot4() { return this.consumeAction('selectSpellSlot4'); }
+  get selectSpellSlot5() { return this.consumeAction('selectSpellSlot5'); }
+  get selectSpellSlot6() { return this.consumeAction('selectSpellSlot6'); }
   
-  // Check if LMB is being held (for charge indicator)
+  // Check if the light attack key is being held (for charge indicator)
   get isChargingAttack() { 
-    return this.mouseButtons[0] && this.lmbHoldStart > 0; 
+    return this.isActionHeld('lightAttack') && this.lmbHoldStart > 0; 
   }
   
   // Get current charge progress (0-1)
@@ -183,6 +379,11 @@ export class InputManager {
   }
 
   getMovementVector() {
+    // Analog stick wins when tilted
+    if (this.padMove.x !== 0 || this.padMove.z !== 0) {
+      return { x: this.padMove.x, z: this.padMove.z };
+    }
+    
     let x = 0, z = 0;
     if (this.moveForward) z -= 1;
     if (this.moveBack) z += 1;
@@ -193,3 +394,13 @@ export class InputManager {
     return { x, z };
   }
 }
+
+/**
+ * Radial dead zone: tilt inside it reads 0, the rest is rescaled to 0..1
+ */
+function applyDeadZone(x, y, deadZone) {
+  const magnitude = Math.sqrt(x * x + y * y);
+  if (magnitude <= deadZone) return { x: 0, y: 0 };
+  const scaled = (Math.min(magnitude, 1) - deadZone) / (1 - deadZone);
+  return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
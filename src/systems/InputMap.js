@@ -0,0 +1,257 @@
+/**
+ * InputMap.js - Action -> key bindings
+ *
+ * Single owner of the player's keymap. InputManager resolves its action
+ * getters through it and menu UIs match their keydown events against it, so
+ * a rebind in the Controls tab applies everywhere at once.
+ * Persisted through SaveManager (settings.keybindings).
+ *
+ * Also holds the gamepad stick settings; those belong to the controller
+ * rather than the save, so SettingsUI keeps them with the other device prefs.
+ */
+
+import {
+  INPUT_ACTIONS,
+  MAX_BINDINGS_PER_ACTION,
+  GAMEPAD_BINDINGS,
+  DEFAULT_GAMEPAD_SETTINGS,
+  contextsOverlap,
+} from '../data/InputActionData.js';
+
+// ========== CHORDS ==========
+
+const MODIFIER_CODES = ['ControlLeft', 'ControlRight', 'ShiftLeft', 'ShiftRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+const MOUSE_NAMES = { Mouse0: 'Left Click', Mouse1: 'Middle Click', Mouse2: 'Right Click' };
+
+const KEY_NAMES = {
+  Space: 'Space', Escape: 'Esc', Enter: 'Enter', Tab: 'Tab', Backspace: 'Backspace',
+  ShiftLeft: 'Left Shift', ShiftRight: 'Right Shift',
+  ControlLeft: 'Left Ctrl', ControlRight: 'Right Ctrl',
+  AltLeft: 'Left Alt', AltRight: 'Right Alt',
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+  Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']',
+  Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', Backslash: '\\',
+};
+
+/**
+ * Chord for a keyboard or mouse event ('KeyW', 'Ctrl+Digit1', 'Mouse0').
+ * Modifier keys pressed on their own are plain codes ('ShiftLeft').
+ */
+export function chordFromEvent(e) {
+  const code = e.code || (typeof e.button === 'number' ? `Mouse${e.button}` : '');
+  if (!code || MODIFIER_CODES.includes(code)) return code;
+
+  let chord = code;
+  if (e.shiftKey) chord = `Shift+${chord}`;
+  if (e.altKey) chord = `Alt+${chord}`;
+  if (e.ctrlKey) chord = `Ctrl+${chord}`;
+  return chord;
+}
+
+/**
+ * Base code of a chord ('Ctrl+Digit1' -> 'Digit1')
+ */
+export function chordCode(chord) {
+  return chord.split('+').pop();
+}
+
+/**
+ * Readable label for a chord ('Ctrl+Digit1' -> 'Ctrl+1')
+ */
+export function formatChord(chord) {
+  if (!chord) return '—';
+  const parts = chord.split('+');
+  const code = parts.pop();
+
+  let name = MOUSE_NAMES[code] || KEY_NAMES[code];
+  if (!name) {
+    if (code.startsWith('Key')) name = code.slice(3);
+    else if (code.startsWith('Digit')) name = code.slice(5);
+    else if (code.startsWith('Numpad')) name = `Num ${code.slice(6)}`;
+    else name = code;
+  }
+  return [...parts, name].join('+');
+}
+
+// ========== INPUT MAP CLASS ==========
+class InputMap {
+  constructor() {
+    this.bindings = {}; // actionId -> [chord, ...]
+    this.gamepad = { ...DEFAULT_GAMEPAD_SETTINGS };
+    this.resetToDefaults();
+  }
+
+  // ========== QUERIES ==========
+
+  getBindings(actionId) {
+    return this.bindings[actionId] || [];
+  }
+
+  /**
+   * Every action bound to exactly this chord
+   */
+  getActionsForChord(chord) {
+    return Object.keys(this.bindings).filter(id => this.bindings[id].includes(chord));
+  }
+
+  /**
+   * The chord a press counts as. A modified press ('Shift+Space') falls back
+   * to its bare code when nothing is bound to the modified chord, so holding
+   * Shift to block doesn't swallow the dodge key.
+   */
+  resolveChord(chord) {
+    if (this.getActionsForChord(chord).length > 0) return chord;
+    return chordCode(chord);
+  }
+
+  /**
+   * Does this keyboard/mouse event trigger the action?
+   */
+  matches(e, actionId) {
+    return this.getBindings(actionId).includes(this.resolveChord(chordFromEvent(e)));
+  }
+
+  /**
+   * Is the action held, given InputManager's pressed-code table?
+   * Only the base code must be held, plus any modifiers the binding names.
+   */
+  isHeld(actionId, keys) {
+    return this.getBindings(actionId).some(chord => {
+      const parts = chord.split('+');
+      const code = parts.pop();
+      if (!keys[code]) return false;
+      return parts.every(mod => {
+        if (mod === 'Ctrl') return keys.ControlLeft || keys.ControlRight;
+        if (mod === 'Shift') return keys.ShiftLeft || keys.ShiftRight;
+        if (mod === 'Alt') return keys.AltLeft || keys.AltRight;
+        return false;
+      });
+    });
+  }
+
+  /**
+   * Gamepad button index for an action (fixed layout), or null
+   */
+  getGamepadButton(actionId) {
+    return GAMEPAD_BINDINGS[actionId] ?? null;
+  }
+
+  /**
+   * Update stick dead zone / look sensitivity (clamped to sane ranges)
+   */
+  setGamepadSettings(settings = {}) {
+    const { deadZone, lookSensitivity } = { ...this.gamepad, ...settings };
+    this.gamepad = {
+      deadZone: Math.min(0.9, Math.max(0, deadZone)),
+      lookSensitivity: Math.min(5, Math.max(0.1, lookSensitivity)),
+    };
+  }
+
+  // ========== CONFLICTS ==========
+
+  /**
+   * Actions that would fire alongside actionId if it were bound to chord
+   */
+  getConflicts(actionId, chord) {
+    const context = INPUT_ACTIONS[actionId].context;
+    return this.getActionsForChord(chord).filter(otherId =>
+      otherId !== actionId && contextsOverlap(context, INPUT_ACTIONS[otherId].context)
+    );
+  }
+
+  /**
+   * Every conflicting binding in the current map
+   * @returns {Array} [{ chord, actions: [actionId, ...] }]
+   */
+  findAllConflicts() {
+    const conflicts = [];
+    const seen = new Set();
+    for (const [actionId, chords] of Object.entries(this.bindings)) {
+      for (const chord of chords) {
+        const others = this.getConflicts(actionId, chord);
+        if (others.length === 0) continue;
+        const actions = [actionId, ...others].sort();
+        const key = `${chord}:${actions.join(',')}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        conflicts.push({ chord, actions });
+      }
+    }
+    return conflicts;
+  }
+
+  // ========== REBINDING ==========
+
+  /**
+   * Bind one of an action's slots to a chord (null clears the slot)
+   * @returns {Object} { success, conflicts: [actionId, ...] } - conflicts are kept, not undone
+   */
+  setBinding(actionId, slot, chord) {
+    if (!INPUT_ACTIONS[actionId] || slot < 0 || slot >= MAX_BINDINGS_PER_ACTION) {
+      return { success: false, conflicts: [] };
+    }
+
+    const chords = [...this.getBindings(actionId)];
+    if (chord) {
+      // Binding the same chord to both slots is pointless
+      const existing = chords.indexOf(chord);
+      if (existing !== -1 && existing !== slot) chords.splice(existing, 1);
+      chords[Math.min(slot, chords.length)] = chord;
+    } else {
+      chords.splice(slot, 1);
+    }
+    this.bindings[actionId] = chords.filter(Boolean);
+
+    const conflicts = chord ? this.getConflicts(actionId, chord) : [];
+    console.log(`[InputMap] ${actionId} -> ${this.bindings[actionId].join(', ') || 'unbound'}`);
+    return { success: true, conflicts };
+  }
+
+  resetAction(actionId) {
+    this.bindings[actionId] = [...INPUT_ACTIONS[actionId].defaults];
+  }
+
+  resetToDefaults() {
+    for (const actionId of Object.keys(INPUT_ACTIONS)) {
+      this.resetAction(actionId);
+    }
+  }
+
+  // ========== SAVE / LOAD ==========
+
+  /**
+   * Only actions changed from their defaults are saved
+   */
+  getSaveData() {
+    const changed = {};
+    for (const [actionId, chords] of Object.entries(this.bindings)) {
+      if (chords.join('|') !== INPUT_ACTIONS[actionId].defaults.join('|')) {
+        changed[actionId] = [...chords];
+      }
+    }
+    return changed;
+  }
+
+  loadSaveData(data) {
+    this.resetToDefaults();
+    for (const [actionId, chords] of Object.entries(data || {})) {
+      // Actions removed since the save was made are dropped
+      if (!INPUT_ACTIONS[actionId] || !Array.isArray(chords)) continue;
+      this.bindings[actionId] = chords.filter(c => typeof c === 'string').slice(0, MAX_BINDINGS_PER_ACTION);
+    }
+  }
+}
+
+// ========== SINGLETON ==========
+let inputMapInstance = null;
+
+export function getInputMap() {
+  if (!inputMapInstance) {
+    inputMapInstance = new InputMap();
+  }
+  return inputMapInstance;
+}
+
+export { InputMap };
+export default InputMap;
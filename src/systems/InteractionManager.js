@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { getInputMap, formatChord } from './InputMap.js';
+import { STANDING, getRepTierKey } from '../data/ReputationData.js';
 
 /**
  * InteractionManager - Handles player interaction with NPCs
@@ -217,7 +219,8 @@ export class InteractionManager {
    * Get unique ID for an NPC
    */
   _getNPCId(npc) {
-    return `npc_${npc.position.x.toFixed(0)}_${npc.position.z.toFixed(0)}`;
+    // Scheduled NPCs walk around, so prefer their stable id over position
+    return npc.id || `npc_${npc.position.x.toFixed(0)}_${npc.position.z.toFixed(0)}`;
   }
   
   /**
@@ -229,8 +232,8 @@ export class InteractionManager {
     for (const npc of npcs) {
       const dist = playerPos.distanceTo(npc.position);
       
-      // Only show labels for nearby NPCs
-      if (dist < this.approachRadius * 1.5) {
+      // Only show labels for nearby NPCs who are out of doors
+      if (dist < this.approachRadius * 1.5 && !npc.indoors) {
         const labelData = this._getOrCreateLabel(npc);
         
         // Project 3D position to screen
@@ -290,6 +293,7 @@ export class InteractionManager {
     let nearestDist = this.interactionRadius;
     
     for (const npc of npcs) {
+      if (npc.indoors) continue;
       const dist = playerPos.distanceTo(npc.position);
       if (dist < nearestDist) {
         nearestDist = dist;
@@ -359,6 +363,23 @@ export class InteractionManager {
       this.audio.play('menuSelect', { volume: 0.4 });
     }
     
+    // Bone infusion erodes humanity - villagers shun the player
+    const disposition = this.gm ? this.gm.getNPCDisposition() : 'friendly';
+    const isTrader = ['merchant', 'blacksmith', 'healer'].includes(npc.type);
+    if (disposition === 'hostile' || (disposition === 'wary' && isTrader)) {
+      this.interactionMode = 'dialogue';
+      this._hidePrompt();
+      const lines = this._getShunLines(npc, disposition);
+      this._showPlaceholderMessage(npc, lines[Math.floor(Math.random() * lines.length)]);
+      return;
+    }
+    
+    // Traders of a hostile faction won't open shop - their greeting sends you off
+    if (isTrader && this._isFactionHostile(npc)) {
+      this._openDialogue(npc);
+      return;
+    }
+    
     // Determine interaction type based on NPC type
     switch (npc.type) {
       case 'merchant':
@@ -455,6 +476,51 @@ export class InteractionManager {
     return greetingsByType[npc.type] || greetingsByType['villager'];
   }
   
+  /**
+   * True if the NPC's village faction holds the player at a hostile tier
+   */
+  _isFactionHostile(npc) {
+    const questRewards = this.gm?.questRewards;
+    if (!npc.faction || !questRewards) return false;
+    return STANDING.HOSTILE.includes(getRepTierKey(questRewards.getReputation(npc.faction)));
+  }
+  
+  /**
+   * Lines for NPCs refusing a player corrupted by Bone infusion
+   */
+  _getShunLines(npc, disposition) {
+    if (disposition === 'hostile') {
+      return [
+        'Get away from me, abomination!',
+        'Guards! There\'s a monster in the village!',
+        'You\'re no traveler. You\'re one of them.',
+      ];
+    }
+    return [
+      'I... don\'t think I have anything for you.',
+      'Come back when you look a little more... human.',
+      'My wares aren\'t for your kind.',
+    ];
+  }
+  
+  /**
+   * Apex Form - nearby NPCs back away from the player
+   */
+  _fleeFromPlayer(npc, playerPos, delta) {
+    if (!npc.mesh) return;
+    
+    const dx = npc.position.x - playerPos.x;
+    const dz = npc.position.z - playerPos.z;
+    const dist = Math.sqrt(dx * dx + dz * dz) || 1;
+    const fleeSpeed = 3.0;
+    
+    npc.position.x += (dx / dist) * fleeSpeed * delta;
+    npc.position.z += (dz / dist) * fleeSpeed * delta;
+    npc.mesh.position.x = npc.position.x;
+    npc.mesh.position.z = npc.position.z;
+    npc.mesh.rotation.y = Math.atan2(dx, dz);
+  }
+  
   /**
    * Show placeholder message (until dialogue system is built)
    */
@@ -511,24 +577,25 @@ export class InteractionManager {
       margin-top: 16px;
       text-align: center;
     `;
-    hint.textContent = 'Press E or click to close';
+    hint.textContent = `Press ${formatChord(getInputMap().getBindings('interact')[0])} or click to close`;
     dialogueBox.appendChild(hint);
     
     document.body.appendChild(dialogueBox);
     
     // Close on next E press or click
     const closeHandler = () => {
-      if (this.input.consumeBuffer('KeyE') || true) {
-        dialogueBox.remove();
-        this.interactionMode = null;
-        this.activeNPC = null;
-        document.removeEventListener('click', closeHandler);
-        document.removeEventListener('keydown', keyHandler);
-      }
+      // Swallow the buffered press so it doesn't start a new interaction
+      this.input.consumeAction('interact');
+      dialogueBox.remove();
+      this.interactionMode = null;
+      this.activeNPC = null;
+      document.removeEventListener('click', closeHandler);
+      document.removeEventListener('keydown', keyHandler);
     };
     
     const keyHandler = (e) => {
-      if (e.code === 'KeyE' || e.code === 'Escape') {
+      const inputMap = getInputMap();
+      if (inputMap.matches(e, 'interact') || inputMap.matches(e, 'back')) {
         closeHandler();
       }
     };
@@ -571,15 +638,22 @@ export class InteractionManager {
     // Update NPC labels
     this._updateLabels(playerPos);
     
+    // Apex Form: villagers flee instead of talking
+    const fleeing = this.gm ? this.gm.getNPCDisposition() === 'fleeing' : false;
+    
     // Find nearby NPCs for interaction
-    this.nearbyNPC = this._findNearestNPC(playerPos);
+    this.nearbyNPC = fleeing ? null : this._findNearestNPC(playerPos);
     
-    // Make nearby NPCs face the player
+    // Make nearby NPCs face the player (or run from them)
     const npcs = this.npcManager.getNPCs();
     for (const npc of npcs) {
       const dist = playerPos.distanceTo(npc.position);
       if (dist < this.approachRadius) {
-        this._faceNPCToPlayer(npc, playerPos, delta);
+        if (fleeing) {
+          this._fleeFromPlayer(npc, playerPos, delta);
+        } else {
+          this._faceNPCToPlayer(npc, playerPos, delta);
+        }
       }
     }
     
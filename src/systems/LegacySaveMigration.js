@@ -0,0 +1,273 @@
+/**
+ * LegacySaveMigration.js - One-time import of pre-SaveManager storage keys
+ *
+ * Before every system saved through SaveManager sections, each one wrote its
+ * own localStorage key on every change. Those keys hold the player's latest
+ * progress, so on first run they are folded into the most recent save slot
+ * (or a fresh autosave when there are no slots) and then removed.
+ */
+
+import { createDefaultSaveData, createSaveMetadata, upgradeSaveData, SAVE_VERSION, SAVE_SLOT_TYPE } from './SaveDataSchema.js';
+import { AUTOSAVE_SLOT } from './SaveManager.js';
+
+// ========== CONSTANTS ==========
+const MIGRATION_FLAG_KEY = 'ashen_legacy_migrated';
+const BOSS_KILLED_PREFIX = 'boss_killed_';
+
+export const LEGACY_STORAGE_KEYS = [
+  // Crafting
+  'ashen-crafting',
+  'ashen-materials',
+  'ashen-potions',
+  'ashen-crafted-equipment',
+  'ashen-upgrades',
+  // Player, inventory, equipment
+  'ashen_progression',
+  'ashen_inventory',
+  'ashen_boss_kills',
+  'ashen_equipment',
+  'ashen_weapons',
+  'ashen_spells',
+  'ashen_mana',
+  // Quests
+  'ashen_quest_state',
+  'ashen_reputation',
+  // World
+  'ashen-time',
+  'ashen-weather',
+  'ashen-gameplay-time',
+  'ashen-hints',
+  'ashen-fast-travel',
+  'ashen_opened_chests',
+  'ashen-rare-events',
+  'ashen_dungeon_progress',
+  'ashen_dungeon_rewards',
+  'ashen_solved_puzzles',
+];
+
+// ========== READ / CLEAR ==========
+
+/**
+ * Collect every legacy key present in localStorage
+ * @returns {Object} { key: parsedValue, bossKilled: [bossId, ...] }
+ */
+export function readLegacyStorage() {
+  const legacy = {};
+
+  for (const key of LEGACY_STORAGE_KEYS) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) continue;
+    try {
+      legacy[key] = JSON.parse(raw);
+    } catch (e) {
+      console.warn(`[LegacySaveMigration] Skipping unreadable ${key}:`, e);
+    }
+  }
+
+  const bossKilled = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(BOSS_KILLED_PREFIX)) {
+      bossKilled.push(key.slice(BOSS_KILLED_PREFIX.length));
+    }
+  }
+  if (bossKilled.length > 0) legacy.bossKilled = bossKilled;
+
+  return legacy;
+}
+
+/**
+ * Remove every legacy key (including boss_killed_<id> flags)
+ */
+export function clearLegacyStorage() {
+  for (const key of LEGACY_STORAGE_KEYS) {
+    localStorage.removeItem(key);
+  }
+
+  const bossKeys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(BOSS_KILLED_PREFIX)) bossKeys.push(key);
+  }
+  bossKeys.forEach(key => localStorage.removeItem(key));
+}
+
+// ========== ABSORB ==========
+
+/**
+ * Overlay legacy values onto save data (mutates and returns saveData).
+ * Legacy keys were written on every change, so they win over slot contents.
+ */
+export function absorbLegacyStorage(saveData, legacy) {
+  const { player, inventory, equipment, quest, reputation, world, crafting, combat } = saveData;
+
+  // ===== CRAFTING =====
+  const craftingState = legacy['ashen-crafting'];
+  if (craftingState) {
+    if (craftingState.unlockedRecipes) crafting.unlockedRecipes = craftingState.unlockedRecipes;
+    if (craftingState.stats) crafting.craftingStats = craftingState.stats;
+  }
+  if (legacy['ashen-materials']) crafting.materials = legacy['ashen-materials'];
+  if (legacy['ashen-potions']) crafting.craftedPotions = legacy['ashen-potions'];
+  if (legacy['ashen-crafted-equipment']) crafting.craftedEquipment = legacy['ashen-crafted-equipment'];
+  if (legacy['ashen-upgrades']) crafting.upgrades = legacy['ashen-upgrades'];
+
+  // ===== PLAYER =====
+  const progression = legacy['ashen_progression'];
+  if (progression) {
+    player.level = progression.currentLevel || player.level;
+    player.currentXP = progression.currentXP || 0;
+    if (progression.stats) player.stats = { ...player.stats, ...progression.stats };
+    player.spentStatPoints = progression.spentStatPoints || 0;
+  }
+  if (legacy['ashen_spells']) player.spells = legacy['ashen_spells'];
+  if (typeof legacy['ashen_mana']?.currentMana === 'number') {
+    player.mana = legacy['ashen_mana'].currentMana;
+  }
+
+  // ===== INVENTORY & EQUIPMENT =====
+  const lootInventory = legacy['ashen_inventory'];
+  if (lootInventory) {
+    inventory.gold = lootInventory.gold || 0;
+    inventory.items = lootInventory.items || {};
+    if (lootInventory.potionHotbar) inventory.potionHotbar = lootInventory.potionHotbar;
+  }
+
+  const gear = legacy['ashen_equipment'];
+  if (gear) {
+    if (gear.equipped) equipment.equipped = { ...equipment.equipped, ...gear.equipped };
+    if (gear.inventory) inventory.equipment = gear.inventory;
+  }
+
+  const weapons = legacy['ashen_weapons'];
+  if (weapons) {
+    equipment.weaponSlots = weapons.quickSlots || equipment.weaponSlots;
+    equipment.activeWeaponSlot = weapons.activeSlot || 0;
+  }
+
+  // ===== BOSS KILLS =====
+  if (legacy['ashen_boss_kills']) combat.bossKills = { ...legacy['ashen_boss_kills'] };
+  for (const bossId of legacy.bossKilled || []) {
+    if (!combat.bossKills[bossId]) {
+      combat.bossKills[bossId] = { count: 1, firstKillAt: null };
+    }
+  }
+
+  // ===== QUESTS =====
+  const questState = legacy['ashen_quest_state'];
+  if (questState) {
+    // Maps were stored as entry arrays
+    quest.activeQuests = (questState.activeQuests || []).map(([questId, state]) => ({ questId, ...state }));
+    quest.completedQuests = questState.completedQuests || [];
+    quest.failedQuests = questState.failedQuests || [];
+    quest.questCooldowns = Object.fromEntries(questState.questCooldowns || []);
+    quest.questStartTimes = Object.fromEntries(questState.questStartTimes || []);
+  }
+
+  const rep = legacy['ashen_reputation'];
+  if (rep) {
+    reputation.factions = { ...reputation.factions, ...rep.reputation };
+    reputation.unlockedMilestones = rep.unlockedMilestones || [];
+    reputation.titles = rep.titles || [];
+    reputation.activeTitle = rep.currentTitle || null;
+    reputation.achievements = rep.achievements || [];
+    reputation.rewardStats = rep.stats || {};
+  }
+
+  // ===== TIME & WEATHER =====
+  const time = legacy['ashen-time'];
+  if (time) {
+    world.time = {
+      ...world.time,
+      currentHour: time.hour ?? world.time.currentHour,
+      currentMinute: time.minute ?? world.time.currentMinute,
+      currentDay: time.day ?? world.time.currentDay,
+      moonPhase: time.moonPhase ?? world.time.moonPhase,
+    };
+  }
+
+  const weather = legacy['ashen-weather'];
+  if (weather) {
+    world.weather = {
+      currentWeather: weather.weather || world.weather.currentWeather,
+      biome: weather.biome || world.weather.biome,
+      hoursUntilChange: weather.hoursUntilChange ?? null,
+    };
+  }
+
+  const gameplay = legacy['ashen-gameplay-time'];
+  const hints = legacy['ashen-hints'];
+  if (gameplay || hints) {
+    world.gameplay = {
+      hasWarmthBuff: gameplay?.hasWarmthBuff || false,
+      warmthBuffEndTime: gameplay?.warmthBuffEndTime || 0,
+      shownHints: [...new Set([...(gameplay?.shownHints || []), ...(hints || [])])],
+    };
+  }
+
+  // ===== WORLD =====
+  if (legacy['ashen-fast-travel']) {
+    world.fastTravelLocations = { discoveredLocations: legacy['ashen-fast-travel'] };
+  }
+  if (legacy['ashen_opened_chests']) world.openedChests = legacy['ashen_opened_chests'];
+  if (legacy['ashen-rare-events']) world.rareEvents = legacy['ashen-rare-events'];
+  if (legacy['ashen_dungeon_progress']) world.dungeons = legacy['ashen_dungeon_progress'];
+  if (legacy['ashen_dungeon_rewards']) world.dungeonRewards = legacy['ashen_dungeon_rewards'];
+  if (legacy['ashen_solved_puzzles']) world.puzzles = legacy['ashen_solved_puzzles'];
+
+  return saveData;
+}
+
+// ========== MIGRATION ==========
+
+/**
+ * Fold legacy keys into the most recent slot (or a new autosave), then delete them.
+ * Runs once; the flag key stops it from running again.
+ * @param {SaveManager} saveManager
+ * @returns {Promise<Object|null>} { slotId, keys } when something was migrated
+ */
+export async function migrateLegacyStorage(saveManager) {
+  try {
+    if (localStorage.getItem(MIGRATION_FLAG_KEY)) return null;
+
+    const legacy = readLegacyStorage();
+    const keys = Object.keys(legacy);
+    if (keys.length === 0) {
+      localStorage.setItem(MIGRATION_FLAG_KEY, String(SAVE_VERSION));
+      return null;
+    }
+
+    // Slot metadata can outlive its data key - treat that like no slots at all
+    const recent = saveManager.getMostRecentSave();
+    const record = recent ? await saveManager.readSlotRecord(recent.slotId) : null;
+    if (recent && !record) {
+      console.warn(`[LegacySaveMigration] Slot ${recent.slotId} has no data, migrating into a fresh autosave`);
+    }
+    const slotId = record ? recent.slotId : AUTOSAVE_SLOT;
+
+    const saveData = record
+      ? upgradeSaveData(saveManager.decompressSaveData(record.data)).data
+      : createDefaultSaveData(AUTOSAVE_SLOT, SAVE_SLOT_TYPE.AUTOSAVE);
+
+    absorbLegacyStorage(saveData, legacy);
+    saveData.updatedAt = Date.now();
+
+    const result = await saveManager.writeSlotRecord(slotId, {
+      metadata: createSaveMetadata(saveData),
+      data: saveManager.compressSaveData(saveData),
+    });
+    if (!result.success) {
+      console.warn('[LegacySaveMigration] Could not write slot, keeping legacy keys:', result.error);
+      return null;
+    }
+
+    clearLegacyStorage();
+    localStorage.setItem(MIGRATION_FLAG_KEY, String(SAVE_VERSION));
+
+    console.log(`[LegacySaveMigration] Moved ${keys.length} legacy entries into slot ${slotId}`);
+    return { slotId, keys };
+  } catch (e) {
+    console.warn('[LegacySaveMigration] Migration failed, will retry next launch:', e);
+    return null;
+  }
+}
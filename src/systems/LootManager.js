@@ -355,6 +355,9 @@ export class LootManager {
       potionHotbar: ['health-potion', 'stamina-potion'], // Quick-use slots
     };
     
+    // Boss kill records: bossId -> { count, firstKillAt }
+    this.bossKills = {};
+    
     // Pickup radius
     this.pickupRadius = 2.0;
     
@@ -362,9 +365,6 @@ export class LootManager {
     this.notificationQueue = [];
     this.notificationActive = false;
     
-    // Load saved inventory
-    this._loadInventory();
-    
     // Create notification container if needed
     this._ensureNotificationUI();
   }
@@ -399,34 +399,27 @@ export class LootManager {
   }
   
   /**
-   * Load inventory from localStorage
+   * Inventory + boss kill records for SaveManager
    */
-  _loadInventory() {
-    try {
-      const saved = localStorage.getItem('ashen_inventory');
-      if (saved) {
-        const data = JSON.parse(saved);
-        this.inventory.gold = data.gold || 0;
-        this.inventory.items = data.items || {};
-        if (data.potionHotbar) {
-          this.inventory.potionHotbar = data.potionHotbar;
-        }
-        console.log('[LootManager] Loaded inventory:', this.inventory);
-      }
-    } catch (e) {
-      console.warn('[LootManager] Failed to load inventory:', e);
-    }
+  getSaveData() {
+    return {
+      gold: this.inventory.gold,
+      items: { ...this.inventory.items },
+      potionHotbar: [...this.inventory.potionHotbar],
+      bossKills: JSON.parse(JSON.stringify(this.bossKills)),
+    };
   }
   
   /**
-   * Save inventory to localStorage
+   * Restore inventory + boss kills (null = fresh game)
    */
-  _saveInventory() {
-    try {
-      localStorage.setItem('ashen_inventory', JSON.stringify(this.inventory));
-    } catch (e) {
-      console.warn('[LootManager] Failed to save inventory:', e);
-    }
+  loadSaveData(data) {
+    this.inventory.gold = data?.gold || 0;
+    this.inventory.items = { ...(data?.items || {}) };
+    this.inventory.potionHotbar = data?.potionHotbar
+      ? [...data.potionHotbar]
+      : ['health-potion', 'stamina-potion'];
+    this.bossKills = JSON.parse(JSON.stringify(data?.bossKills || {}));
   }
   
   /**
@@ -611,9 +604,6 @@ export class LootManager {
       this.inventory.items[drop.itemDef.id] += drop.quantity;
     }
     
-    // Save inventory
-    this._saveInventory();
-    
     // Play pickup sound
     if (this.gm?.audioManager) {
       this.gm.audioManager.play('itemPickup', { volume: 0.5 });
@@ -697,8 +687,7 @@ export class LootManager {
     // Apply effect
     if (itemDef.effect) {
       if (itemDef.effect.healAmount && this.gm) {
-        const healed = Math.min(itemDef.effect.healAmount, this.gm.maxHealth - this.gm.health);
-        this.gm.health = Math.min(this.gm.maxHealth, this.gm.health + itemDef.effect.healAmount);
+        const healed = Math.round(this.gm.heal(itemDef.effect.healAmount));
         
         // Visual feedback
         if (this.gm.floatingText && this.gm.player) {
@@ -749,7 +738,6 @@ export class LootManager {
       this.gm.audioManager.play('itemPickup', { volume: 0.4 });
     }
     
-    this._saveInventory();
     return true;
   }
   
@@ -785,7 +773,6 @@ export class LootManager {
   spendGold(amount) {
     if (this.inventory.gold < amount) return false;
     this.inventory.gold -= amount;
-    this._saveInventory();
     return true;
   }
   
@@ -795,7 +782,6 @@ export class LootManager {
   addGold(amount) {
     this.inventory.gold += amount;
     if (this.inventory.gold < 0) this.inventory.gold = 0;
-    this._saveInventory();
   }
   
   /**
@@ -808,7 +794,6 @@ export class LootManager {
       this.inventory.items[itemId] = 0;
     }
     this.inventory.items[itemId] += quantity;
-    this._saveInventory();
     console.log(`[LootManager] Added ${quantity}x ${itemId}`);
   }
   
@@ -826,7 +811,6 @@ export class LootManager {
     if (this.inventory.items[itemId] <= 0) {
       delete this.inventory.items[itemId];
     }
-    this._saveInventory();
     console.log(`[LootManager] Removed ${quantity}x ${itemId}`);
     return true;
   }
@@ -1191,7 +1175,6 @@ export class LootManager {
       this.bossChests.splice(index, 1);
     }, 1000);
 
-    this._saveInventory();
     console.log(`[LootManager] Collected boss chest with ${loot.items.length} items`);
   }
 
@@ -1314,11 +1297,6 @@ export class LootManager {
    * Track boss kills (for first-kill bonus)
    */
   _trackBossKill(bossId, isFirstKill) {
-    if (!this.bossKills) {
-      this.bossKills = {};
-      this._loadBossKills();
-    }
-
     if (!this.bossKills[bossId]) {
       this.bossKills[bossId] = { count: 0, firstKillAt: null };
     }
@@ -1327,18 +1305,12 @@ export class LootManager {
     if (isFirstKill) {
       this.bossKills[bossId].firstKillAt = Date.now();
     }
-
-    this._saveBossKills();
   }
 
   /**
    * Check if boss has been killed before
    */
   hasKilledBoss(bossId) {
-    if (!this.bossKills) {
-      this.bossKills = {};
-      this._loadBossKills();
-    }
     return this.bossKills[bossId]?.count > 0;
   }
 
@@ -1346,38 +1318,9 @@ export class LootManager {
    * Get boss kill count
    */
   getBossKillCount(bossId) {
-    if (!this.bossKills) {
-      this.bossKills = {};
-      this._loadBossKills();
-    }
     return this.bossKills[bossId]?.count || 0;
   }
 
-  /**
-   * Save boss kills to localStorage
-   */
-  _saveBossKills() {
-    try {
-      localStorage.setItem('ashen_boss_kills', JSON.stringify(this.bossKills));
-    } catch (e) {
-      console.warn('[LootManager] Failed to save boss kills:', e);
-    }
-  }
-
-  /**
-   * Load boss kills from localStorage
-   */
-  _loadBossKills() {
-    try {
-      const saved = localStorage.getItem('ashen_boss_kills');
-      if (saved) {
-        this.bossKills = JSON.parse(saved);
-      }
-    } catch (e) {
-      console.warn('[LootManager] Failed to load boss kills:', e);
-    }
-  }
-
   /**
    * Get boss soul exchange options
    */
@@ -1431,7 +1374,6 @@ export class LootManager {
       this._queueNotification(`Learned: ${exchange.name}`, 0x4488ff);
     }
 
-    this._saveInventory();
     return true;
   }
 }
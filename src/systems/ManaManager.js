@@ -27,42 +27,10 @@ export class ManaManager {
     this.onManaChanged = null; // (current, max) => void
     this.onManaInsufficient = null; // () => void - when trying to cast without enough
     
-    // Load saved mana
-    this._loadMana();
-    
     // Apply INT scaling
     this.recalculateMaxMana();
   }
   
-  /**
-   * Load mana from localStorage
-   */
-  _loadMana() {
-    try {
-      const saved = localStorage.getItem('ashen_mana');
-      if (saved) {
-        const data = JSON.parse(saved);
-        this.currentMana = data.currentMana || this.maxMana;
-      }
-    } catch (e) {
-      console.warn('[ManaManager] Failed to load mana:', e);
-    }
-  }
-  
-  /**
-   * Save mana to localStorage
-   */
-  _saveMana() {
-    try {
-      const data = {
-        currentMana: this.currentMana,
-      };
-      localStorage.setItem('ashen_mana', JSON.stringify(data));
-    } catch (e) {
-      console.warn('[ManaManager] Failed to save mana:', e);
-    }
-  }
-  
   /**
    * Recalculate max mana based on INT stat
    * Called when stats change
@@ -145,7 +113,6 @@ export class ManaManager {
     this.currentMana -= cost;
     this.manaRegenTimer = 0; // Reset regen delay
     
-    this._saveMana();
     this._fireOnManaChanged();
     
     return true;
@@ -160,8 +127,7 @@ export class ManaManager {
     this.currentMana = Math.min(this.maxMana, this.currentMana + amount);
     
     if (this.currentMana !== previous) {
-      this._saveMana();
-      this._fireOnManaChanged();
+        this._fireOnManaChanged();
     }
     
     return this.currentMana - previous; // Actual amount restored
@@ -172,7 +138,6 @@ export class ManaManager {
    */
   fullRestore() {
     this.currentMana = this.maxMana;
-    this._saveMana();
     this._fireOnManaChanged();
   }
   
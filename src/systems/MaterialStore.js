@@ -0,0 +1,69 @@
+/**
+ * MaterialStore.js - Crafting material counts
+ *
+ * Single owner of the player's gathered/refined materials (materialId -> qty).
+ * GatheringManager adds to it, CraftingManager consumes from it and
+ * InventoryUI reads it. Persisted through SaveManager (crafting.materials).
+ */
+
+class MaterialStore {
+  constructor() {
+    this.materials = {}; // materialId -> quantity
+  }
+
+  getMaterialCount(materialId) {
+    return this.materials[materialId] || 0;
+  }
+
+  getAllMaterials() {
+    return { ...this.materials };
+  }
+
+  addMaterial(materialId, quantity) {
+    this.materials[materialId] = (this.materials[materialId] || 0) + quantity;
+  }
+
+  /**
+   * Consume a list of materials, all or nothing
+   * @param {Array} materials - [{ materialId, qty }]
+   * @returns {boolean} False (and nothing consumed) if any are short
+   */
+  consumeMaterials(materials) {
+    for (const mat of materials) {
+      if (this.getMaterialCount(mat.materialId) < mat.qty) {
+        return false;
+      }
+    }
+
+    for (const mat of materials) {
+      this.materials[mat.materialId] -= mat.qty;
+      if (this.materials[mat.materialId] <= 0) {
+        delete this.materials[mat.materialId];
+      }
+    }
+    return true;
+  }
+
+  // ========== SAVE / LOAD ==========
+
+  getSaveData() {
+    return { ...this.materials };
+  }
+
+  loadSaveData(data) {
+    this.materials = { ...(data || {}) };
+  }
+}
+
+// ========== SINGLETON ==========
+let materialStoreInstance = null;
+
+export function getMaterialStore() {
+  if (!materialStoreInstance) {
+    materialStoreInstance = new MaterialStore();
+  }
+  return materialStoreInstance;
+}
+
+export { MaterialStore };
+export default MaterialStore;
@@ -4,6 +4,8 @@
  * 
  * Integrates quests with NPCs: markers, dialogue, quest offers,
  * turn-ins, and contextual responses based on quest state.
+ * Conversations are DialogueData.js trees walked by DialogueRuntime; this
+ * file only renders them (quest panel + choice buttons).
  */
 
 import * as THREE from 'three';
@@ -17,6 +19,11 @@ import {
 } from '../data/QuestData.js';
 
 import { getQuestManager } from './QuestManager.js';
+import { getDialogueRuntime, QUEST_VIEW } from './DialogueRuntime.js';
+import { FACTIONS } from './QuestRewards.js';
+import { getGamepadNavigator } from './GamepadNavigator.js';
+import { getInputMap } from './InputMap.js';
+import { getBountyBoard } from './BountyBoard.js';
 
 // ========== CONSTANTS ==========
 const MARKER_HOVER_HEIGHT = 2.5;
@@ -53,6 +60,27 @@ class NPCQuestGiver {
     // Create simple NPC representation
     const group = new THREE.Group();
     
+    if (this.npcData.isNoticeBoard) {
+      this.createBoardMesh(group);
+    } else {
+      this.createBodyMesh(group);
+    }
+    
+    // Position
+    group.position.set(
+      this.npcData.position.x,
+      this.npcData.position.y || 0,
+      this.npcData.position.z
+    );
+    
+    // Name plate
+    this.createNamePlate(group);
+    
+    this.mesh = group;
+    this.scene.add(group);
+  }
+
+  createBodyMesh(group) {
     // Body
     const bodyGeom = new THREE.CapsuleGeometry(0.4, 1.0, 4, 8);
     const bodyMat = new THREE.MeshBasicMaterial({ 
@@ -69,19 +97,34 @@ class NPCQuestGiver {
     head.position.y = 1.8;
     head.castShadow = true;
     group.add(head);
+  }
+
+  createBoardMesh(group) {
+    const woodMat = new THREE.MeshBasicMaterial({ color: 0x5a3a1a });
     
-    // Position
-    group.position.set(
-      this.npcData.position.x,
-      this.npcData.position.y || 0,
-      this.npcData.position.z
-    );
-    
-    // Name plate
-    this.createNamePlate(group);
+    // Two posts
+    const postGeom = new THREE.BoxGeometry(0.15, 2.0, 0.15);
+    [-0.8, 0.8].forEach(x => {
+      const post = new THREE.Mesh(postGeom, woodMat);
+      post.position.set(x, 1.0, 0);
+      post.castShadow = true;
+      group.add(post);
+    });
     
-    this.mesh = group;
-    this.scene.add(group);
+    // Board
+    const board = new THREE.Mesh(new THREE.BoxGeometry(1.8, 1.1, 0.08), woodMat);
+    board.position.y = 1.45;
+    board.castShadow = true;
+    group.add(board);
+    
+    // Pinned notices
+    const paperMat = new THREE.MeshBasicMaterial({ color: 0xe8dcb8 });
+    const paperGeom = new THREE.PlaneGeometry(0.35, 0.45);
+    [[-0.5, 1.55], [0, 1.4], [0.5, 1.6]].forEach(([x, y]) => {
+      const paper = new THREE.Mesh(paperGeom, paperMat);
+      paper.position.set(x, y, 0.05);
+      group.add(paper);
+    });
   }
 
   getNPCColor() {
@@ -579,6 +622,36 @@ class NPCQuestGiversManager {
         border: 1px solid #4a6a8a;
       }
 
+      .dialogue-btn.choice {
+        background: linear-gradient(180deg, #4a3a5a, #3a2a4a);
+        color: #ddaaff;
+        border: 1px solid #6a4a8a;
+      }
+
+      .dialogue-btn.choice:hover {
+        background: linear-gradient(180deg, #5a4a6a, #4a3a5a);
+      }
+
+      /* Branch choice */
+      .dialogue-choice-option {
+        padding: 6px 0;
+        border-bottom: 1px solid rgba(255,255,255,0.05);
+        font-size: 13px;
+      }
+
+      .dialogue-choice-label {
+        font-weight: bold;
+        color: #ddaaff;
+      }
+
+      .dialogue-choice-desc {
+        color: #aaa;
+        margin: 2px 0;
+      }
+
+      .dialogue-choice-rep.gain { color: #88ff88; margin-right: 8px; }
+      .dialogue-choice-rep.loss { color: #ff8888; margin-right: 8px; }
+
       /* Progress dialogue */
       .dialogue-progress {
         background: rgba(100,100,150,0.1);
@@ -687,6 +760,34 @@ class NPCQuestGiversManager {
         padding: 30px;
         font-style: italic;
       }
+
+      .notice-section-title {
+        font-size: 13px;
+        color: #daa520;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+        margin: 5px 0 8px;
+      }
+
+      .notice-quest.bounty {
+        border-style: dashed;
+      }
+
+      .notice-quest.claimable {
+        border-color: #7fff7f;
+        cursor: default;
+      }
+
+      .notice-claim-btn {
+        margin-top: 8px;
+        padding: 6px 14px;
+        background: #2a4a1a;
+        border: 1px solid #7fff7f;
+        border-radius: 4px;
+        color: #7fff7f;
+        font-family: inherit;
+        cursor: pointer;
+      }
     `;
     
     document.head.appendChild(style);
@@ -715,12 +816,19 @@ class NPCQuestGiversManager {
     
     dialogue.querySelector('.dialogue-close').onclick = () => this.closeDialogue();
     
-    // ESC to close
+    // Back key to close
     window.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && dialogue.classList.contains('show')) {
+      if (getInputMap().matches(e, 'back') && dialogue.classList.contains('show')) {
         this.closeDialogue();
       }
     });
+    
+    getGamepadNavigator().registerMenu('questDialogue', {
+      isOpen: () => this.isDialogueOpen(),
+      getRoot: () => dialogue,
+      selector: '.dialogue-btn',
+      onBack: () => this.closeDialogue(),
+    });
   }
 
   createNoticeBoard() {
@@ -738,9 +846,21 @@ class NPCQuestGiversManager {
     
     document.body.appendChild(panel);
     
-    panel.querySelector('.dialogue-close').onclick = () => {
-      panel.classList.remove('show');
-    };
+    panel.querySelector('.dialogue-close').onclick = () => this.closeNoticeBoard();
+    
+    // Back key to close
+    window.addEventListener('keydown', (e) => {
+      if (getInputMap().matches(e, 'back') && this.isNoticeBoardOpen()) {
+        this.closeNoticeBoard();
+      }
+    });
+    
+    getGamepadNavigator().registerMenu('noticeBoard', {
+      isOpen: () => this.isNoticeBoardOpen(),
+      getRoot: () => panel,
+      selector: '.notice-quest:not(.claimable), .notice-claim-btn',
+      onBack: () => this.closeNoticeBoard(),
+    });
   }
 
   // ========== INTERACTION ==========
@@ -749,101 +869,143 @@ class NPCQuestGiversManager {
     const npc = this.npcs.get(npcId);
     if (!npc || !this.questManager) return;
     
-    const npcData = npc.npcData;
-    
-    // Check for turn-in quests first
-    const turnInQuests = this.questManager.getTurnInQuestsForNpc(npcId);
-    if (turnInQuests.length > 0) {
-      this.showTurnInDialogue(npcData, turnInQuests[0]);
+    if (npc.npcData.isNoticeBoard) {
+      this.openNoticeBoard();
       return;
     }
     
-    // Check for available quests
-    const availableQuests = this.questManager.getAvailableQuestsForNpc(npcId);
-    if (availableQuests.length > 0) {
-      this.showQuestOfferDialogue(npcData, availableQuests[0]);
-      return;
-    }
-    
-    // Check for in-progress quests
-    let inProgressQuest = null;
-    this.questManager.activeQuests.forEach((state, questId) => {
-      const quest = getQuest(questId);
-      if (quest && (quest.giver === npcId || quest.turnIn === npcId)) {
-        inProgressQuest = { quest, state };
-      }
-    });
-    
-    if (inProgressQuest) {
-      this.showProgressDialogue(npcData, inProgressQuest);
-      return;
-    }
-    
-    // Default: no quests
-    this.showIdleDialogue(npcData);
+    // Quests come first in every giver's tree (questHub), then their own lines
+    const session = getDialogueRuntime().start(npcId);
+    this.currentDialogue = { session, npc: npc.npcData };
+    this.renderDialogue();
+    this.dialogueUI.classList.add('show');
   }
 
-  showQuestOfferDialogue(npcData, quest) {
-    const dialogue = this.dialogueUI;
+  /**
+   * Render the session's current node: line, quest panel, choice buttons
+   */
+  renderDialogue() {
+    const { session, npc: npcData } = this.currentDialogue;
+    if (session.ended) {
+      this.closeDialogue();
+      return;
+    }
+    const node = session.node;
     
     document.getElementById('dialogue-portrait').textContent = npcData.icon;
     document.getElementById('dialogue-npc-name').textContent = npcData.name;
     document.getElementById('dialogue-npc-title').textContent = npcData.title;
     
-    let rewardsHtml = '';
-    if (quest.rewards.gold > 0) {
-      rewardsHtml += `<span class="dialogue-reward gold">💰 ${quest.rewards.gold}</span>`;
-    }
-    if (quest.rewards.xp > 0) {
-      rewardsHtml += `<span class="dialogue-reward xp">⭐ ${quest.rewards.xp}</span>`;
-    }
-    quest.rewards.items?.forEach(item => {
-      rewardsHtml += `<span class="dialogue-reward item">📦 ${item.id}</span>`;
-    });
-    
-    const objectivesHtml = quest.objectives.map(obj => 
-      `<li>${obj.targetName} (${obj.required})</li>`
-    ).join('');
-    
     document.getElementById('dialogue-content').innerHTML = `
-      <div class="dialogue-text">"${quest.dialogue.intro}"</div>
-      <div class="dialogue-quest-info">
-        <div class="dialogue-quest-title">${quest.title}</div>
-        <div class="dialogue-quest-desc">${quest.description}</div>
-        <div class="dialogue-quest-objectives">
-          <strong>Objectives:</strong>
-          <ul>${objectivesHtml}</ul>
-        </div>
-        <div class="dialogue-rewards-preview">
-          <strong style="width:100%">Rewards:</strong>
-          ${rewardsHtml}
-        </div>
-      </div>
+      <div class="dialogue-text">"${node.text}"</div>
+      ${this.renderQuestPanel(node)}
     `;
     
-    document.getElementById('dialogue-actions').innerHTML = `
-      <button class="dialogue-btn accept" data-action="accept" data-quest="${quest.id}">
-        Accept Quest
-      </button>
-      <button class="dialogue-btn decline" data-action="decline">
-        Decline
-      </button>
-    `;
+    const choices = node.choices.length > 0
+      ? node.choices.map((choice, index) => `
+        <button class="dialogue-btn ${choice.style || 'continue'}" data-choice="${index}">
+          ${choice.text}
+        </button>
+      `).join('')
+      : '<button class="dialogue-btn continue" data-choice="-1">Continue</button>';
+    document.getElementById('dialogue-actions').innerHTML = choices;
     
     this.setupDialogueActions();
-    dialogue.classList.add('show');
-    this.currentDialogue = { type: 'offer', quest, npc: npcData };
   }
 
-  showTurnInDialogue(npcData, { quest, state }) {
-    const dialogue = this.dialogueUI;
-    
-    document.getElementById('dialogue-portrait').textContent = npcData.icon;
-    document.getElementById('dialogue-npc-name').textContent = npcData.name;
-    document.getElementById('dialogue-npc-title').textContent = npcData.title;
-    
+  renderQuestPanel(node) {
+    const { quest, questState: state } = node;
+    
+    switch (node.questView) {
+      case QUEST_VIEW.OFFER: {
+        const objectivesHtml = quest.objectives.map(obj => 
+          `<li>${obj.targetName} (${obj.required})</li>`
+        ).join('');
+        return `
+          <div class="dialogue-quest-info">
+            <div class="dialogue-quest-title">${quest.title}</div>
+            <div class="dialogue-quest-desc">${quest.description}</div>
+            <div class="dialogue-quest-objectives">
+              <strong>Objectives:</strong>
+              <ul>${objectivesHtml}</ul>
+            </div>
+            <div class="dialogue-rewards-preview">
+              <strong style="width:100%">Rewards:</strong>
+              ${this.renderRewards(quest.rewards)}
+            </div>
+          </div>
+        `;
+      }
+      
+      case QUEST_VIEW.ACCEPTED:
+        return `
+          <div style="color: #88ff88; text-align: center; margin-top: 10px;">
+            Quest Accepted!
+          </div>
+        `;
+      
+      case QUEST_VIEW.TURN_IN: {
+        // Check optional objectives
+        let bonusText = '';
+        state.optionalObjectives?.forEach(obj => {
+          if (obj.current >= obj.required && obj.bonusReward) {
+            bonusText += '<div style="color: #88ff88; margin-top: 10px;">✨ Bonus objective complete!</div>';
+          }
+        });
+        return `
+          <div class="dialogue-quest-info">
+            <div class="dialogue-quest-title">✅ ${quest.title}</div>
+            <div style="color: #7fff7f; margin-bottom: 10px;">All objectives complete!</div>
+            ${bonusText}
+            <div class="dialogue-rewards-preview">
+              <strong style="width:100%">Your Rewards:</strong>
+              ${this.renderRewards(quest.rewards)}
+            </div>
+          </div>
+        `;
+      }
+      
+      case QUEST_VIEW.CHOICE: {
+        const optionsHtml = node.objective.options.map(option => `
+          <div class="dialogue-choice-option">
+            <div class="dialogue-choice-label">${option.label}</div>
+            <div class="dialogue-choice-desc">${option.description || ''}</div>
+            ${this.renderReputationChanges(option.reputation)}
+          </div>
+        `).join('');
+        return `
+          <div class="dialogue-progress">
+            <div class="dialogue-progress-title">⚖️ ${quest.title}: ${node.objective.targetName}</div>
+            ${optionsHtml}
+          </div>
+        `;
+      }
+      
+      case QUEST_VIEW.PROGRESS: {
+        const objectivesHtml = state.objectives.map(obj => {
+          const complete = obj.current >= obj.required;
+          return `
+            <div class="dialogue-progress-obj ${complete ? 'complete' : ''}">
+              <span>${obj.targetName}</span>
+              <span>${obj.current}/${obj.required}</span>
+            </div>
+          `;
+        }).join('');
+        return `
+          <div class="dialogue-progress">
+            <div class="dialogue-progress-title">📋 ${quest.title}</div>
+            ${objectivesHtml}
+          </div>
+        `;
+      }
+      
+      default:
+        return '';
+    }
+  }
+
+  renderRewards(rewards) {
     let rewardsHtml = '';
-    const rewards = quest.rewards;
     if (rewards.gold > 0) {
       rewardsHtml += `<span class="dialogue-reward gold">💰 ${rewards.gold}</span>`;
     }
@@ -853,121 +1015,16 @@ class NPCQuestGiversManager {
     rewards.items?.forEach(item => {
       rewardsHtml += `<span class="dialogue-reward item">📦 ${item.id}</span>`;
     });
-    
-    // Check optional objectives
-    let bonusText = '';
-    state.optionalObjectives?.forEach(obj => {
-      if (obj.current >= obj.required && obj.bonusReward) {
-        bonusText += '<div style="color: #88ff88; margin-top: 10px;">✨ Bonus objective complete!</div>';
-      }
-    });
-    
-    document.getElementById('dialogue-content').innerHTML = `
-      <div class="dialogue-text">"${quest.dialogue.complete}"</div>
-      <div class="dialogue-quest-info">
-        <div class="dialogue-quest-title">✅ ${quest.title}</div>
-        <div style="color: #7fff7f; margin-bottom: 10px;">All objectives complete!</div>
-        ${bonusText}
-        <div class="dialogue-rewards-preview">
-          <strong style="width:100%">Your Rewards:</strong>
-          ${rewardsHtml}
-        </div>
-      </div>
-    `;
-    
-    document.getElementById('dialogue-actions').innerHTML = `
-      <button class="dialogue-btn turn-in" data-action="turn-in" data-quest="${quest.id}">
-        Complete Quest
-      </button>
-    `;
-    
-    this.setupDialogueActions();
-    dialogue.classList.add('show');
-    this.currentDialogue = { type: 'turn-in', quest, state, npc: npcData };
+    return rewardsHtml;
   }
 
-  showProgressDialogue(npcData, { quest, state }) {
-    const dialogue = this.dialogueUI;
-    
-    document.getElementById('dialogue-portrait').textContent = npcData.icon;
-    document.getElementById('dialogue-npc-name').textContent = npcData.name;
-    document.getElementById('dialogue-npc-title').textContent = npcData.title;
-    
-    // Generate contextual comment based on progress
-    let progressText = quest.dialogue.progress;
-    const totalProgress = state.objectives.reduce((sum, obj) => sum + obj.current, 0);
-    const totalRequired = state.objectives.reduce((sum, obj) => sum + obj.required, 0);
-    const progressPercent = totalProgress / totalRequired;
-    
-    if (progressPercent >= 0.75) {
-      progressText = "Almost there! Just a bit more.";
-    } else if (progressPercent >= 0.5) {
-      progressText = "Good progress! Keep at it.";
-    } else if (progressPercent >= 0.25) {
-      progressText = quest.dialogue.progress;
-    }
-    
-    const objectivesHtml = state.objectives.map(obj => {
-      const complete = obj.current >= obj.required;
-      return `
-        <div class="dialogue-progress-obj ${complete ? 'complete' : ''}">
-          <span>${obj.targetName}</span>
-          <span>${obj.current}/${obj.required}</span>
-        </div>
-      `;
+  renderReputationChanges(reputation = {}) {
+    return Object.entries(reputation).map(([factionId, amount]) => {
+      const faction = Object.values(FACTIONS).find(f => f.id === factionId);
+      return `<span class="dialogue-choice-rep ${amount >= 0 ? 'gain' : 'loss'}">
+        ${faction?.icon || ''} ${amount >= 0 ? '+' : ''}${amount} ${faction?.name || factionId}
+      </span>`;
     }).join('');
-    
-    document.getElementById('dialogue-content').innerHTML = `
-      <div class="dialogue-text">"${progressText}"</div>
-      <div class="dialogue-progress">
-        <div class="dialogue-progress-title">📋 ${quest.title}</div>
-        ${objectivesHtml}
-      </div>
-    `;
-    
-    document.getElementById('dialogue-actions').innerHTML = `
-      <button class="dialogue-btn continue" data-action="close">
-        Continue
-      </button>
-    `;
-    
-    this.setupDialogueActions();
-    dialogue.classList.add('show');
-    this.currentDialogue = { type: 'progress', quest, state, npc: npcData };
-  }
-
-  showIdleDialogue(npcData) {
-    const dialogue = this.dialogueUI;
-    
-    document.getElementById('dialogue-portrait').textContent = npcData.icon;
-    document.getElementById('dialogue-npc-name').textContent = npcData.name;
-    document.getElementById('dialogue-npc-title').textContent = npcData.title;
-    
-    // NPC-specific idle dialogue
-    const idleDialogues = {
-      'elder_marcus': "The village is peaceful today. Come back if you need guidance.",
-      'blacksmith_greta': "My forge burns bright! Need anything crafted?",
-      'hunter_jorik': "The hunt never ends. Stay sharp out there.",
-      'mage_selene': "The arcane energies flow... I sense great potential in you.",
-      'guard_captain_theron': "Keep your weapon ready. Threats lurk everywhere.",
-      'merchant_lydia': "Looking to trade? I have fine wares!",
-      'herbalist_mira': "The herbs are growing well today. Take care!",
-      'mysterious_stranger': "Not yet... the time will come.",
-    };
-    
-    document.getElementById('dialogue-content').innerHTML = `
-      <div class="dialogue-text">"${idleDialogues[npcData.id] || "Hello, adventurer."}"</div>
-    `;
-    
-    document.getElementById('dialogue-actions').innerHTML = `
-      <button class="dialogue-btn continue" data-action="close">
-        Goodbye
-      </button>
-    `;
-    
-    this.setupDialogueActions();
-    dialogue.classList.add('show');
-    this.currentDialogue = { type: 'idle', npc: npcData };
   }
 
   setupDialogueActions() {
@@ -975,37 +1032,17 @@ class NPCQuestGiversManager {
     
     actionsEl.querySelectorAll('.dialogue-btn').forEach(btn => {
       btn.onclick = () => {
-        const action = btn.dataset.action;
-        const questId = btn.dataset.quest;
+        const session = this.currentDialogue?.session;
+        if (!session) return;
         
-        if (action === 'accept' && questId) {
-          const result = this.questManager?.acceptQuest(questId);
-          if (result?.success) {
-            // Show accept dialogue
-            const quest = getQuest(questId);
-            document.getElementById('dialogue-content').innerHTML = `
-              <div class="dialogue-text">"${quest.dialogue.accept}"</div>
-              <div style="color: #88ff88; text-align: center; margin-top: 10px;">
-                Quest Accepted!
-              </div>
-            `;
-            document.getElementById('dialogue-actions').innerHTML = `
-              <button class="dialogue-btn continue" data-action="close">
-                Let's go!
-              </button>
-            `;
-            this.setupDialogueActions();
-            this.updateAllMarkers();
-          }
-        } else if (action === 'turn-in' && questId) {
-          const result = this.questManager?.turnInQuest(questId);
-          if (result?.success) {
-            this.closeDialogue();
-            this.updateAllMarkers();
-          }
-        } else if (action === 'decline' || action === 'close') {
-          this.closeDialogue();
+        const index = parseInt(btn.dataset.choice, 10);
+        if (index >= 0) {
+          session.choose(index);
+        } else {
+          session.advance();
         }
+        this.updateAllMarkers();
+        this.renderDialogue();
       };
     });
   }
@@ -1023,7 +1060,7 @@ class NPCQuestGiversManager {
     
     if (!this.questManager) return;
     
-    // Get repeatable/daily quests
+    // Get repeatable/daily quests, then today's generated bounties
     const dailyQuests = [];
     this.questManager.availableQuests.forEach(questId => {
       const quest = getQuest(questId);
@@ -1031,12 +1068,30 @@ class NPCQuestGiversManager {
         dailyQuests.push(quest);
       }
     });
+    const bountyBoard = getBountyBoard();
+    const postings = [...dailyQuests, ...(bountyBoard?.getPostings() || [])];
+    const claimable = bountyBoard?.getClaimable() || [];
+    
+    let html = '';
+    if (claimable.length > 0) {
+      html += '<div class="notice-section-title">Ready to Claim</div>';
+      html += claimable.map(quest => `
+        <div class="notice-quest claimable">
+          <div class="notice-quest-title">✅ ${quest.title}</div>
+          <div class="notice-quest-meta">
+            <span>💰 ${quest.rewards.gold} gold</span>
+            <span>⭐ ${quest.rewards.xp} XP</span>
+          </div>
+          <button class="notice-claim-btn" data-quest="${quest.id}">Claim Reward</button>
+        </div>
+      `).join('');
+    }
     
-    if (dailyQuests.length === 0) {
-      content.innerHTML = '<div class="notice-empty">No notices posted today. Check back later!</div>';
+    if (postings.length === 0) {
+      html += '<div class="notice-empty">No notices posted today. Check back later!</div>';
     } else {
-      content.innerHTML = dailyQuests.map(quest => `
-        <div class="notice-quest" data-quest="${quest.id}">
+      html += postings.map(quest => `
+        <div class="notice-quest ${quest.bountyKind ? 'bounty' : ''}" data-quest="${quest.id}">
           <div class="notice-quest-title">${quest.title}</div>
           <div class="notice-quest-desc">${quest.description}</div>
           <div class="notice-quest-meta">
@@ -1046,22 +1101,41 @@ class NPCQuestGiversManager {
           </div>
         </div>
       `).join('');
-      
-      content.querySelectorAll('.notice-quest').forEach(el => {
-        el.onclick = () => {
-          const questId = el.dataset.quest;
-          const result = this.questManager?.acceptQuest(questId);
-          if (result?.success) {
-            panel.classList.remove('show');
-            this.updateAllMarkers();
-          }
-        };
-      });
     }
+    content.innerHTML = html;
+    
+    content.querySelectorAll('.notice-quest:not(.claimable)').forEach(el => {
+      el.onclick = () => {
+        const questId = el.dataset.quest;
+        const result = this.questManager?.acceptQuest(questId);
+        if (result?.success) {
+          this.closeNoticeBoard();
+          this.updateAllMarkers();
+        }
+      };
+    });
+    
+    content.querySelectorAll('.notice-claim-btn').forEach(btn => {
+      btn.onclick = () => {
+        const result = this.questManager?.turnInQuest(btn.dataset.quest);
+        if (result?.success) {
+          this.updateAllMarkers();
+          this.openNoticeBoard();
+        }
+      };
+    });
     
     panel.classList.add('show');
   }
 
+  closeNoticeBoard() {
+    document.getElementById('notice-board-panel')?.classList.remove('show');
+  }
+
+  isNoticeBoardOpen() {
+    return document.getElementById('notice-board-panel')?.classList.contains('show') || false;
+  }
+
   // ========== UPDATES ==========
   
   updateAllMarkers() {
@@ -1079,7 +1153,7 @@ class NPCQuestGiversManager {
     if (playerPosition) {
       const nearest = this.getNearestNPC(playerPosition);
       if (nearest) {
-        this._showInteractionPrompt(nearest.npcData.name);
+        this._showInteractionPrompt(nearest.npcData);
       } else {
         this._hideInteractionPrompt();
       }
@@ -1116,9 +1190,11 @@ class NPCQuestGiversManager {
     return this._interactionPrompt;
   }
   
-  _showInteractionPrompt(name) {
+  _showInteractionPrompt(npcData) {
     const el = this._getInteractionPromptEl();
-    el.textContent = `Press E to talk to ${name}`;
+    el.textContent = npcData.isNoticeBoard
+      ? `Press E to read the ${npcData.name}`
+      : `Press E to talk to ${npcData.name}`;
     el.style.display = 'block';
   }
   
@@ -1151,7 +1227,7 @@ class NPCQuestGiversManager {
   }
 
   isDialogueOpen() {
-    return this.dialogueUI?.classList.contains('show') || false;
+    return this.dialogueUI?.classList.contains('show') || this.isNoticeBoardOpen();
   }
 
   // ========== CLEANUP ==========
@@ -0,0 +1,299 @@
+/**
+ * NPCScheduler.js - Village Life
+ *
+ * Walks village NPCs (NPCManager) between the spots of their village's layout
+ * (VillageManager) following the NPC_SCHEDULES actions from TimeWeatherGameplay:
+ * - Every NPC owns a hut and sleeps indoors - hidden and not interactable
+ * - Working hours: merchants at a market stall, blacksmiths at the forge,
+ *   villagers at the workbench, the elder by the well
+ * - Lunch and evenings by the well; guards walk the fence line on their shift
+ * - Rain, heavy rain and storms send everyone but on-duty guards home
+ *
+ * NPCs carry their current activity label (npc.activity) and npc.indoors for
+ * NPCMarkerManager, the world map and InteractionManager.
+ */
+
+import { WEATHER_TYPES } from './WeatherManager.js';
+
+// ========== CONSTANTS ==========
+const WALK_SPEED = 1.6;               // Units per second
+const ARRIVE_DISTANCE = 0.3;
+const PLAN_INTERVAL = 1;              // Seconds between schedule checks
+const PLAYER_PAUSE_RADIUS = 6;        // NPCs stop walking while the player is this close
+const WELL_GATHER_RADIUS = 2.2;       // NPCs stand around the well, not in it
+
+const SHELTER_WEATHER = [WEATHER_TYPES.RAIN, WEATHER_TYPES.HEAVY_RAIN, WEATHER_TYPES.STORM];
+
+// NPC type -> NPC_SCHEDULES key
+const NPC_SCHEDULE_TYPE = {
+  merchant: 'MERCHANT',
+  blacksmith: 'MERCHANT',
+  healer: 'MERCHANT',
+  guard: 'GUARD',
+  elder: 'VILLAGER',
+  villager: 'VILLAGER',
+};
+
+// Layout spot each NPC type works at
+const WORK_PLACE = {
+  merchant: 'stall',
+  blacksmith: 'forge',
+  healer: 'alchemyTable',
+  elder: 'well',
+  villager: 'workbench',
+};
+
+const ACTIVITY_LABELS = {
+  sleeping: 'Asleep at home',
+  at_home: 'At home',
+  waking: 'Up and about',
+  eating: 'Lunch by the well',
+  socializing: 'Chatting by the well',
+  sheltering: 'Sheltering from the weather',
+  patrol: 'On patrol',
+  stall: 'Minding the market stall',
+  forge: 'Working the forge',
+  workbench: 'At the workbench',
+  alchemyTable: 'At the alchemy table',
+  well: 'By the well',
+};
+
+// ========== NPC SCHEDULER CLASS ==========
+class NPCScheduler {
+  constructor() {
+    this.planTimer = 0;
+    this.guardsPerVillage = new Map(); // "villageX,villageZ" -> guards given a shift
+
+    // References to game systems
+    this.npcManager = null;
+    this.villageManager = null;
+    this.timeWeatherGameplay = null;
+    this.weatherManager = null;
+  }
+
+  // ========== INITIALIZATION ==========
+
+  /**
+   * @param {Object} systems - { npcManager, villageManager, timeWeatherGameplay, weatherManager }
+   */
+  init(systems = {}) {
+    this.npcManager = systems.npcManager || null;
+    this.villageManager = systems.villageManager || null;
+    this.timeWeatherGameplay = systems.timeWeatherGameplay || null;
+    this.weatherManager = systems.weatherManager || null;
+
+    this.assignGuardShifts();
+    console.log('[NPCScheduler] Initialized');
+  }
+
+  /**
+   * First guard in each village takes the day shift, the next the night, and so on
+   */
+  assignGuardShifts() {
+    this.guardsPerVillage.clear();
+    (this.npcManager?.getNPCs() || []).forEach(npc => this.assignGuardShift(npc));
+  }
+
+  /**
+   * Give a guard the next shift in its village (guards spawned after init
+   * get theirs when the scheduler first picks them up)
+   */
+  assignGuardShift(npc) {
+    if (npc.type !== 'guard') return;
+    const key = `${npc.villageX},${npc.villageZ}`;
+    const count = this.guardsPerVillage.get(key) || 0;
+    npc.shift = count % 2 === 0 ? 'day' : 'night';
+    this.guardsPerVillage.set(key, count + 1);
+  }
+
+  // ========== SCHEDULE ==========
+
+  isSheltering() {
+    return SHELTER_WEATHER.includes(this.weatherManager?.currentWeather);
+  }
+
+  /**
+   * What an NPC should be doing right now
+   * @returns {{ activity: string, place: string, indoors: boolean }}
+   */
+  planFor(npc) {
+    const scheduleType = NPC_SCHEDULE_TYPE[npc.type] || 'VILLAGER';
+    const action = this.timeWeatherGameplay?.getNPCScheduleAction(scheduleType) || 'idle';
+
+    // Guards keep their shift whatever the weather
+    if (scheduleType === 'GUARD') {
+      return action === `${npc.shift || 'day'}_patrol`
+        ? { activity: 'patrol', place: 'patrol', indoors: false }
+        : { activity: 'sleeping', place: 'home', indoors: true };
+    }
+
+    if (this.isSheltering()) return { activity: 'sheltering', place: 'home', indoors: true };
+
+    switch (action) {
+      case 'sleeping':
+      case 'at_home':
+        return { activity: action, place: 'home', indoors: true };
+      case 'waking':
+        return { activity: action, place: 'door', indoors: false };
+      case 'working': {
+        const place = WORK_PLACE[npc.type] || 'well';
+        return { activity: place, place, indoors: false };
+      }
+      case 'eating':
+      case 'socializing':
+        return { activity: action, place: 'well', indoors: false };
+      default:
+        return { activity: 'well', place: 'well', indoors: false };
+    }
+  }
+
+  /**
+   * World spot for a place in an NPC's village layout
+   */
+  resolvePlace(npc, place, layout) {
+    const index = npc.homeIndex || 0;
+    const hut = layout.huts[index % layout.huts.length];
+
+    switch (place) {
+      case 'home':
+        return hut;
+      case 'door':
+        return hut.door;
+      case 'stall':
+        return layout.stalls[index % layout.stalls.length] || layout.well;
+      case 'patrol':
+        return layout.patrol[(npc.schedule?.patrolIndex || 0) % layout.patrol.length];
+      case 'well': {
+        const angle = index * 2.1;
+        return {
+          x: layout.well.x + Math.cos(angle) * WELL_GATHER_RADIUS,
+          z: layout.well.z + Math.sin(angle) * WELL_GATHER_RADIUS,
+        };
+      }
+      default:
+        return layout[place] || layout.well;
+    }
+  }
+
+  // ========== UPDATE ==========
+
+  /**
+   * Per-frame update: re-plan once a second, walk every frame
+   */
+  update(delta, playerPosition = null) {
+    if (!this.npcManager || !this.villageManager) return;
+
+    this.planTimer -= delta;
+    const replan = this.planTimer <= 0;
+    if (replan) this.planTimer = PLAN_INTERVAL;
+
+    for (const npc of this.npcManager.getNPCs()) {
+      // Villages unloaded with their region keep their NPCs frozen until they return
+      const layout = this.villageManager.getVillageLayout(npc.villageX, npc.villageZ);
+      if (!layout) continue;
+
+      if (!npc.schedule) {
+        this.startSchedule(npc, layout);
+        continue;
+      }
+      if (replan) this.applyPlan(npc, this.planFor(npc));
+      this.step(npc, layout, delta, playerPosition);
+    }
+  }
+
+  /**
+   * Place an NPC straight where its schedule says (game start / load)
+   */
+  startSchedule(npc, layout) {
+    if (!npc.shift) this.assignGuardShift(npc);
+
+    const plan = this.planFor(npc);
+    npc.schedule = { ...plan, patrolIndex: 0 };
+    npc.activity = ACTIVITY_LABELS[plan.activity] || plan.activity;
+
+    const spot = this.resolvePlace(npc, plan.place, layout);
+    this.moveTo(npc, spot.x, spot.z);
+    this.setIndoors(npc, plan.indoors);
+  }
+
+  applyPlan(npc, plan) {
+    Object.assign(npc.schedule, plan);
+    npc.activity = ACTIVITY_LABELS[plan.activity] || plan.activity;
+  }
+
+  /**
+   * Walk one frame toward the current place, going in and out through the hut door
+   */
+  step(npc, layout, delta, playerPosition) {
+    const schedule = npc.schedule;
+    const hut = layout.huts[(npc.homeIndex || 0) % layout.huts.length];
+
+    if (npc.indoors) {
+      if (schedule.indoors) return;
+      // Step out the door, then walk on from there
+      this.moveTo(npc, hut.door.x, hut.door.z);
+      this.setIndoors(npc, false);
+    }
+
+    // Heading home: walk to the door, then go in
+    const target = schedule.indoors ? hut.door : this.resolvePlace(npc, schedule.place, layout);
+
+    if (playerPosition) {
+      const px = playerPosition.x - npc.position.x;
+      const pz = playerPosition.z - npc.position.z;
+      if (px * px + pz * pz < PLAYER_PAUSE_RADIUS * PLAYER_PAUSE_RADIUS) return;
+    }
+
+    if (!this.walk(npc, target, delta)) return;
+
+    if (schedule.indoors) {
+      this.moveTo(npc, hut.x, hut.z);
+      this.setIndoors(npc, true);
+    } else if (schedule.place === 'patrol') {
+      schedule.patrolIndex = (schedule.patrolIndex + 1) % layout.patrol.length;
+    }
+  }
+
+  /**
+   * @returns {boolean} True once the NPC has arrived
+   */
+  walk(npc, target, delta) {
+    const dx = target.x - npc.position.x;
+    const dz = target.z - npc.position.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    if (dist <= ARRIVE_DISTANCE) return true;
+
+    const stepLength = Math.min(dist, WALK_SPEED * delta);
+    this.moveTo(npc, npc.position.x + (dx / dist) * stepLength, npc.position.z + (dz / dist) * stepLength);
+    if (npc.mesh) npc.mesh.rotation.y = Math.atan2(dx, dz);
+    return false;
+  }
+
+  moveTo(npc, x, z) {
+    const y = this.npcManager.terrain?.getTerrainHeight(x, z) ?? npc.position.y;
+    npc.position.set(x, y, z);
+    npc.mesh?.position.set(x, y, z);
+  }
+
+  setIndoors(npc, indoors) {
+    npc.indoors = indoors;
+    if (npc.mesh) npc.mesh.visible = !indoors;
+  }
+}
+
+// ========== SINGLETON ==========
+let npcSchedulerInstance = null;
+
+export function createNPCScheduler() {
+  if (!npcSchedulerInstance) {
+    npcSchedulerInstance = new NPCScheduler();
+  }
+  return npcSchedulerInstance;
+}
+
+export function getNPCScheduler() {
+  return npcSchedulerInstance;
+}
+
+export { NPCScheduler };
+export default NPCScheduler;
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getInputMap, formatChord } from './InputMap.js';
 
 /**
  * PuzzleManager.js - Dungeon Puzzle Mechanics
@@ -49,12 +50,12 @@ export class PuzzleManager {
     // Create UI elements
     this._createPuzzleUI();
     
-    // Load saved puzzle states
-    this._loadPuzzleState();
-    
     // Active tweens for smooth animations
     this.tweens = [];
     
+    // Solve listeners (quest objectives etc.)
+    this.onSolveCallbacks = [];
+    
     console.log('[PuzzleManager] Initialized');
   }
   
@@ -992,6 +993,7 @@ export class PuzzleManager {
     }[type] || 'Interact';
     
     this.promptName.textContent = puzzle.name;
+    this.promptAction.querySelector('span:first-child').textContent = formatChord(getInputMap().getBindings('interact')[0]);
     this.promptAction.querySelector('span:last-child').textContent = actionText;
     this.promptContainer.style.display = 'flex';
   }
@@ -1009,12 +1011,12 @@ export class PuzzleManager {
   _handleInput() {
     if (!this.activePuzzle || !this.activeComponent) return;
     
-    if (this.input.isKeyJustPressed('KeyE')) {
+    if (this.input.interact) {
       this._interactWithComponent(this.activePuzzle, this.activeComponent);
     }
     
     // Hint key
-    if (this.input.isKeyJustPressed('KeyH')) {
+    if (this.input.consumeAction('puzzleHint')) {
       this._showHint(this.activePuzzle);
     }
   }
@@ -1028,7 +1030,7 @@ export class PuzzleManager {
     
     // Play interaction sound
     if (this.audio) {
-      this.audio.playSound('puzzle_interact');
+      this.audio.play('puzzle_interact');
     }
     
     switch (type) {
@@ -1099,7 +1101,7 @@ export class PuzzleManager {
     
     // Play lever sound
     if (this.audio) {
-      this.audio.playSound('lever_pull');
+      this.audio.play('lever_pull');
     }
     
     // Animate lever with smooth tween
@@ -1148,7 +1150,7 @@ export class PuzzleManager {
     
     // Play crystal sound
     if (this.audio) {
-      this.audio.playSound('crystal_rotate');
+      this.audio.play('crystal_rotate');
     }
     
     // Rotate the crystal visually with smooth tween
@@ -1213,7 +1215,7 @@ export class PuzzleManager {
       
       // Play unlock sound
       if (this.audio) {
-        this.audio.playSound('door_unlock');
+        this.audio.play('door_unlock');
       }
       
       // Unlock door
@@ -1239,7 +1241,7 @@ export class PuzzleManager {
       const keyName = this._getKeyName(puzzle.requiredKey);
       this._showStatus(`🔒 This door is locked. You need: ${keyName}`);
       if (this.audio) {
-        this.audio.playSound('locked');
+        this.audio.play('locked');
       }
     }
   }
@@ -1268,7 +1270,7 @@ export class PuzzleManager {
     
     // Play pillar sound
     if (this.audio) {
-      this.audio.playSound('pillar_spin');
+      this.audio.play('pillar_spin');
     }
     
     // Update state
@@ -1312,7 +1314,7 @@ export class PuzzleManager {
     
     // Play torch sound
     if (this.audio) {
-      this.audio.playSound(!isLit ? 'torch_light' : 'torch_extinguish');
+      this.audio.play(!isLit ? 'torch_light' : 'torch_extinguish');
     }
     
     // Update visuals
@@ -1409,7 +1411,7 @@ export class PuzzleManager {
     
     // Play failure sound
     if (this.audio) {
-      this.audio.playSound('puzzle_fail');
+      this.audio.play('puzzle_fail');
     }
     
     // Reset puzzle state
@@ -1488,14 +1490,7 @@ export class PuzzleManager {
       spawnPos.y = 0;
       
       // Spawn 2-3 enemies
-      for (let i = 0; i < 2 + Math.floor(Math.random()); i++) {
-        const offset = new THREE.Vector3(
-          (Math.random() - 0.5) * 6,
-          0,
-          (Math.random() - 0.5) * 6
-        );
-        this.gm.enemyManager.spawnEnemy(spawnPos.clone().add(offset), 'skeleton_warrior');
-      }
+      this.gm.enemyManager.spawnWave(spawnPos, { count: 2 + Math.floor(Math.random() * 2), radius: 3 });
     }
   }
   
@@ -1504,20 +1499,20 @@ export class PuzzleManager {
    */
   _activateFailTraps(puzzle) {
     // Trigger nearby traps
-    if (this.gm?.trapManager) {
-      this.gm.trapManager.activateNearby(puzzle.roomPosition, 8);
-    }
+    const sprung = this.gm?.trapManager?.activateNearby(puzzle.roomPosition, 8) || 0;
     
-    // Fallback: deal damage
-    this._dealDamageToPlayer(15);
+    // Fallback: deal damage when there are none to set off
+    if (sprung === 0) {
+      this._dealDamageToPlayer(15);
+    }
   }
   
   /**
    * Deal damage to player
    */
   _dealDamageToPlayer(amount) {
-    if (this.gm?.player) {
-      this.gm.player.takeDamage(amount, 'trap');
+    if (this.gm) {
+      this.gm.takeDamage(amount, 'trap');
     }
   }
   
@@ -1530,12 +1525,9 @@ export class PuzzleManager {
     puzzle.isActive = false;
     this.solvedPuzzles.add(puzzle.id);
     
-    // Save state
-    this._savePuzzleState();
-    
     // Play success sound
     if (this.audio) {
-      this.audio.playSound('puzzle_solved');
+      this.audio.play('puzzle_solved');
     }
     
     // Visual celebration
@@ -1549,8 +1541,19 @@ export class PuzzleManager {
       this._grantReward(puzzle.reward);
     }
     
-    // Unlock blocked paths
-    this._unlockPath(puzzle);
+    this.onSolveCallbacks.forEach(cb => cb(puzzle));
+  }
+  
+  /**
+   * Register callback for puzzle solves
+   * @returns {Function} Unsubscribe
+   */
+  onSolve(callback) {
+    this.onSolveCallbacks.push(callback);
+    return () => {
+      const idx = this.onSolveCallbacks.indexOf(callback);
+      if (idx !== -1) this.onSolveCallbacks.splice(idx, 1);
+    };
   }
   
   /**
@@ -1607,28 +1610,14 @@ export class PuzzleManager {
    * Grant puzzle reward
    */
   _grantReward(reward) {
-    if (this.gm?.inventory) {
-      // Add remnants
-      if (reward.remnants) {
-        this.gm.inventory.addRemnants(reward.remnants);
-      }
-      
-      // Add items
-      if (reward.items) {
-        for (const item of reward.items) {
-          this.gm.inventory.addItem(item);
-        }
-      }
+    if (!this.gm) return;
+    
+    if (reward.remnants) {
+      this.gm.addRemnant(reward.remnants);
     }
-  }
-  
-  /**
-   * Unlock blocked path after puzzle solve
-   */
-  _unlockPath(puzzle) {
-    // Notify dungeon manager to unlock doors/paths
-    if (this.gm?.dungeonManager) {
-      this.gm.dungeonManager.onPuzzleSolved(puzzle.id);
+    
+    for (const item of reward.items || []) {
+      this.gm.lootManager?.addItem(item.id, item.quantity || 1);
     }
   }
   
@@ -1704,31 +1693,18 @@ export class PuzzleManager {
   }
   
   /**
-   * Save puzzle state to localStorage
+   * Get solved puzzle IDs for SaveManager (world.puzzles)
    */
-  _savePuzzleState() {
-    const state = Array.from(this.solvedPuzzles);
-    try {
-      localStorage.setItem('ashen_solved_puzzles', JSON.stringify(state));
-    } catch (e) {
-      console.warn('[PuzzleManager] Failed to save puzzle state:', e);
-    }
+  getSaveData() {
+    return Array.from(this.solvedPuzzles);
   }
   
   /**
-   * Load puzzle state from localStorage
+   * Restore solved puzzles from a save (null clears them)
    */
-  _loadPuzzleState() {
-    try {
-      const saved = localStorage.getItem('ashen_solved_puzzles');
-      if (saved) {
-        const state = JSON.parse(saved);
-        this.solvedPuzzles = new Set(state);
-        console.log(`[PuzzleManager] Loaded ${this.solvedPuzzles.size} solved puzzles`);
-      }
-    } catch (e) {
-      console.warn('[PuzzleManager] Failed to load puzzle state:', e);
-    }
+  loadSaveData(data) {
+    this.solvedPuzzles = new Set(Array.isArray(data) ? data : []);
+    console.log(`[PuzzleManager] Loaded ${this.solvedPuzzles.size} solved puzzles`);
   }
   
   /**
@@ -1736,7 +1712,6 @@ export class PuzzleManager {
    */
   clearState() {
     this.solvedPuzzles.clear();
-    this._savePuzzleState();
     console.log('[PuzzleManager] Cleared all puzzle state');
   }
   
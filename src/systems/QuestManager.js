@@ -21,11 +21,14 @@ import {
   getRelativeDifficulty,
   getNextInChain,
   getQuestGiver,
+  getPendingChoice,
+  getCompetingQuests,
+  getChosenUnlocks,
+  getGeneratedQuests,
 } from '../data/QuestData.js';
 
 // ========== CONSTANTS ==========
 const MAX_ACTIVE_QUESTS = 10;
-const STORAGE_KEY = 'ashen_quest_state';
 const QUEST_MARKER_UPDATE_INTERVAL = 1000; // ms
 
 // ========== QUEST MANAGER CLASS ==========
@@ -37,6 +40,7 @@ class QuestManager {
     this.availableQuests = new Set(); // questId
     this.failedQuests = new Set(); // questId
     this.questCooldowns = new Map(); // questId -> cooldownEndTime
+    this.questChoices = []; // [{ questId, objectiveId, optionId, failed, madeAt }] in the order made
     
     // Time tracking for timed quests
     this.questStartTimes = new Map(); // questId -> startTime
@@ -51,6 +55,7 @@ class QuestManager {
       onQuestFailed: [],
       onQuestAbandoned: [],
       onQuestAvailable: [],
+      onQuestChoice: [],
     };
     
     // UI references
@@ -62,7 +67,6 @@ class QuestManager {
     this.playerStats = null;
     
     // Initialize
-    this.loadState();
     this.updateAvailableQuests();
   }
 
@@ -107,6 +111,11 @@ class QuestManager {
       return { success: false, reason: 'Quest already completed' };
     }
     
+    // Failed quests (incl. branches closed by a choice) stay closed
+    if (this.failedQuests.has(questId)) {
+      return { success: false, reason: 'Quest failed' };
+    }
+    
     // Check cooldown for repeatable quests
     if (questDef.isRepeatable && this.questCooldowns.has(questId)) {
       const cooldownEnd = this.questCooldowns.get(questId);
@@ -122,7 +131,7 @@ class QuestManager {
     }
     
     // Check prerequisites
-    if (!arePrerequisitesMet(questId, Array.from(this.completedQuests))) {
+    if (!arePrerequisitesMet(questId, Array.from(this.completedQuests), this.questChoices)) {
       return { success: false, reason: 'Prerequisites not met' };
     }
     
@@ -153,7 +162,6 @@ class QuestManager {
     
     // Update UI
     this.updateQuestUI();
-    this.saveState();
     
     // Show notification
     this.showNotification(`Quest Accepted: ${questDef.title}`, 'accept');
@@ -169,8 +177,9 @@ class QuestManager {
    * @param {string} type - Objective type (kill_enemy, gather_item, etc)
    * @param {string} target - Target identifier
    * @param {number} amount - Progress amount
+   * @param {Object} details - Extra context matched against objective fields (e.g. dungeon modifier)
    */
-  updateProgress(type, target, amount = 1) {
+  updateProgress(type, target, amount = 1, details = {}) {
     let anyProgress = false;
     
     this.activeQuests.forEach((questState, questId) => {
@@ -179,7 +188,11 @@ class QuestManager {
       
       // Check main objectives
       questState.objectives.forEach((obj, index) => {
-        if (this.objectiveMatches(obj, type, target) && obj.current < obj.required) {
+        if (this.objectiveMatches(obj, type, target, details) && obj.current < obj.required) {
+          if (obj.type === OBJECTIVE_TYPE.TIMED_HUNT) {
+            this.refreshHuntWindow(obj);
+          }
+          
           const oldCurrent = obj.current;
           obj.current = Math.min(obj.current + amount, obj.required);
           
@@ -212,7 +225,7 @@ class QuestManager {
       
       // Check optional objectives
       (questState.optionalObjectives || []).forEach((obj) => {
-        if (this.objectiveMatches(obj, type, target) && obj.current < obj.required) {
+        if (this.objectiveMatches(obj, type, target, details) && obj.current < obj.required) {
           obj.current = Math.min(obj.current + amount, obj.required);
           
           if (obj.current >= obj.required) {
@@ -227,7 +240,6 @@ class QuestManager {
     
     if (anyProgress) {
       this.updateQuestUI();
-      this.saveState();
     }
     
     return anyProgress;
@@ -236,10 +248,10 @@ class QuestManager {
   /**
    * Check if objective matches update type and target
    */
-  objectiveMatches(obj, type, target) {
+  objectiveMatches(obj, type, target, details = {}) {
     // Type mapping
     const typeMap = {
-      'kill': [OBJECTIVE_TYPE.KILL_ENEMY, OBJECTIVE_TYPE.KILL_ANY, OBJECTIVE_TYPE.DEFEAT_BOSS],
+      'kill': [OBJECTIVE_TYPE.KILL_ENEMY, OBJECTIVE_TYPE.KILL_ANY, OBJECTIVE_TYPE.DEFEAT_BOSS, OBJECTIVE_TYPE.TIMED_HUNT],
       'gather': [OBJECTIVE_TYPE.GATHER_ITEM],
       'explore': [OBJECTIVE_TYPE.VISIT_LOCATION],
       'deliver': [OBJECTIVE_TYPE.DELIVER_ITEM],
@@ -248,19 +260,68 @@ class QuestManager {
       'talk': [OBJECTIVE_TYPE.TALK_TO_NPC],
       'use': [OBJECTIVE_TYPE.USE_ITEM],
       'craft': [OBJECTIVE_TYPE.CRAFT_ITEM],
+      'survive': [OBJECTIVE_TYPE.SURVIVE_NIGHTS],
+      'defend': [OBJECTIVE_TYPE.DEFEND_LOCATION],
+      'puzzle': [OBJECTIVE_TYPE.SOLVE_PUZZLE],
+      'dungeon': [OBJECTIVE_TYPE.CLEAR_DUNGEON],
+      'bounty': [OBJECTIVE_TYPE.BOUNTY_TARGET],
     };
     
     const validTypes = typeMap[type] || [type];
     if (!validTypes.includes(obj.type)) return false;
     
+    // Dungeon clears can require a specific modifier
+    if (obj.modifier && obj.modifier !== details.modifier) return false;
+    
     // Check target match
     if (obj.type === OBJECTIVE_TYPE.KILL_ANY && obj.validTargets) {
       return obj.validTargets.includes(target);
     }
     
+    if (obj.target === 'any') return true;
+    
     return obj.target === target || obj.target === target.toLowerCase();
   }
 
+  // ========== TIMED HUNTS ==========
+  
+  /**
+   * Start a fresh hunt window if none is open, dropping progress from a closed one
+   */
+  refreshHuntWindow(obj) {
+    const now = Date.now();
+    if (obj.windowStartedAt && now - obj.windowStartedAt < obj.timeLimitSeconds * 1000) return;
+    
+    obj.current = 0;
+    obj.windowStartedAt = now;
+  }
+
+  /**
+   * Reset timed hunts whose window closed before the count was reached
+   */
+  expireHuntWindows(now = Date.now()) {
+    this.activeQuests.forEach((questState, questId) => {
+      questState.objectives.forEach((obj) => {
+        if (obj.type !== OBJECTIVE_TYPE.TIMED_HUNT || !obj.windowStartedAt) return;
+        if (obj.current >= obj.required) return;
+        if (now - obj.windowStartedAt < obj.timeLimitSeconds * 1000) return;
+        
+        obj.current = 0;
+        obj.windowStartedAt = null;
+        
+        this.emit('onObjectiveProgress', {
+          questId,
+          objectiveId: obj.id,
+          objective: obj,
+          progress: 0,
+          required: obj.required,
+        });
+        this.showNotification(`${obj.targetName}: hunt window closed`, 'fail');
+        this.updateQuestUI();
+      });
+    });
+  }
+
   // ========== COMPLETION ==========
   
   /**
@@ -353,15 +414,15 @@ class QuestManager {
       this.questCooldowns.set(questId, cooldownEnd);
     }
     
-    // Unlock next quests
-    if (questDef.unlocks) {
-      questDef.unlocks.forEach(unlockedId => {
-        if (arePrerequisitesMet(unlockedId, Array.from(this.completedQuests))) {
-          this.availableQuests.add(unlockedId);
-          this.emit('onQuestAvailable', { questId: unlockedId });
-        }
-      });
-    }
+    // Unlock next quests (plus the branch picked by any choice objectives)
+    const unlocks = [...(questDef.unlocks || []), ...getChosenUnlocks(questState.objectives)];
+    unlocks.forEach(unlockedId => {
+      if (this.failedQuests.has(unlockedId)) return;
+      if (arePrerequisitesMet(unlockedId, Array.from(this.completedQuests), this.questChoices)) {
+        this.availableQuests.add(unlockedId);
+        this.emit('onQuestAvailable', { questId: unlockedId });
+      }
+    });
     
     // Emit event
     this.emit('onQuestTurnedIn', {
@@ -373,7 +434,6 @@ class QuestManager {
     // Update UI
     this.updateQuestUI();
     this.updateAvailableQuests();
-    this.saveState();
     
     // Show reward notification
     this.showRewardNotification(totalGold, totalXp, allItems);
@@ -414,7 +474,6 @@ class QuestManager {
     this.emit('onQuestAbandoned', { questId, quest: questDef });
     
     this.updateQuestUI();
-    this.saveState();
     
     this.showNotification(`Quest Abandoned: ${questDef.title}`, 'abandon');
     
@@ -452,13 +511,100 @@ class QuestManager {
     this.emit('onQuestFailed', { questId, quest: questDef, reason });
     
     this.updateQuestUI();
-    this.saveState();
     
     this.showNotification(`Quest Failed: ${questDef.title} - ${reason}`, 'fail');
     
     console.log(`[QuestManager] Quest failed: ${questDef.title} - ${reason}`);
   }
 
+  // ========== BRANCHING CHOICES ==========
+  
+  /**
+   * Resolve a choice objective. The option's branch becomes the next quest
+   * on turn-in and competing quests are failed for good.
+   * @param {string} questId
+   * @param {string} objectiveId - MAKE_CHOICE objective
+   * @param {string} optionId - One of the objective's options
+   */
+  makeChoice(questId, objectiveId, optionId) {
+    const questState = this.activeQuests.get(questId);
+    if (!questState) {
+      return { success: false, reason: 'Quest not active' };
+    }
+    
+    const obj = questState.objectives.find(o => o.id === objectiveId);
+    if (!obj || obj.type !== OBJECTIVE_TYPE.MAKE_CHOICE) {
+      return { success: false, reason: 'Not a choice objective' };
+    }
+    if (obj.chosen) {
+      return { success: false, reason: 'Choice already made' };
+    }
+    if (getPendingChoice(questState.objectives) !== obj) {
+      return { success: false, reason: 'Earlier objectives not complete' };
+    }
+    
+    const option = obj.options.find(opt => opt.id === optionId);
+    if (!option) {
+      return { success: false, reason: 'Unknown option' };
+    }
+    
+    obj.chosen = optionId;
+    obj.current = obj.required;
+    
+    const failed = getCompetingQuests(obj, optionId)
+      .filter(id => this.closeQuest(id, `You chose: ${option.label}`));
+    
+    const choice = { questId, objectiveId, optionId, failed, madeAt: Date.now() };
+    this.questChoices.push(choice);
+    
+    const questDef = getQuest(questId);
+    this.emit('onObjectiveProgress', {
+      questId,
+      objectiveId,
+      objective: obj,
+      progress: obj.current,
+      required: obj.required,
+    });
+    this.emit('onObjectiveComplete', { questId, objectiveId, objective: obj });
+    this.emit('onQuestChoice', { questId, quest: questDef, objective: obj, option, failed });
+    
+    this.showNotification(`Choice Made: ${option.label}`, 'progress');
+    
+    this.checkQuestCompletion(questId);
+    this.updateQuestUI();
+    
+    console.log(`[QuestManager] ${questDef.title}: chose ${optionId}` +
+      (failed.length > 0 ? ` (closed ${failed.join(', ')})` : ''));
+    return { success: true, option, failed };
+  }
+
+  /**
+   * Permanently fail a quest another branch competes with, whether it is
+   * active, available or not offered yet
+   * @returns {boolean} False if it was already closed or finished for good
+   */
+  closeQuest(questId, reason) {
+    const questDef = getQuest(questId);
+    if (!questDef || this.failedQuests.has(questId)) return false;
+    if (this.completedQuests.has(questId) && !questDef.isRepeatable) return false;
+    
+    if (this.activeQuests.has(questId)) {
+      this.failQuest(questId, reason);
+    }
+    this.availableQuests.delete(questId);
+    this.questCooldowns.delete(questId);
+    this.failedQuests.add(questId);
+    return true;
+  }
+
+  /**
+   * Choices made so far, oldest first
+   * @param {string[]} questIds - Only choices made in these quests
+   */
+  getChoiceHistory(questIds = null) {
+    return this.questChoices.filter(c => !questIds || questIds.includes(c.questId));
+  }
+
   // ========== TIMED QUEST CHECKING ==========
   
   /**
@@ -477,6 +623,8 @@ class QuestManager {
         }
       });
       
+      this.expireHuntWindows(now);
+      
       // Clean up expired cooldowns
       this.questCooldowns.forEach((endTime, questId) => {
         if (now >= endTime) {
@@ -498,7 +646,7 @@ class QuestManager {
   updateAvailableQuests() {
     const completedArr = Array.from(this.completedQuests);
     
-    Object.values(QUESTS).forEach(quest => {
+    [...Object.values(QUESTS), ...getGeneratedQuests()].forEach(quest => {
       const questId = quest.id;
       
       // Skip if already active or completed (non-repeatable)
@@ -513,7 +661,7 @@ class QuestManager {
       }
       
       // Check prerequisites
-      if (arePrerequisitesMet(questId, completedArr)) {
+      if (arePrerequisitesMet(questId, completedArr, this.questChoices)) {
         this.availableQuests.add(questId);
       } else {
         this.availableQuests.delete(questId);
@@ -568,19 +716,14 @@ class QuestManager {
         }
       });
       
-      // Check escort destination
+      // Deliveries to a place rather than an NPC complete on arrival
       questState.objectives.forEach(obj => {
-        if (obj.type === OBJECTIVE_TYPE.ESCORT_NPC && obj.destinationPosition) {
-          const pos = obj.destinationPosition;
-          const radius = obj.destinationRadius || 10;
+        if (obj.type === OBJECTIVE_TYPE.DELIVER_ITEM && obj.position && !obj.recipient && obj.current < obj.required) {
+          const dx = playerPosition.x - obj.position.x;
+          const dz = playerPosition.z - obj.position.z;
           
-          const dx = playerPosition.x - pos.x;
-          const dz = playerPosition.z - pos.z;
-          const distance = Math.sqrt(dx * dx + dz * dz);
-          
-          if (distance <= radius) {
-            obj.current = obj.required;
-            this.checkQuestCompletion(questId);
+          if (Math.sqrt(dx * dx + dz * dz) <= (obj.radius || 10)) {
+            this.updateProgress('deliver', obj.target, 1);
           }
         }
       });
@@ -626,47 +769,45 @@ class QuestManager {
   // ========== PERSISTENCE ==========
   
   /**
-   * Save state to localStorage
+   * Quest section data for SaveManager
    */
-  saveState() {
-    const state = {
-      activeQuests: Array.from(this.activeQuests.entries()),
+  getSaveData() {
+    return {
+      activeQuests: Array.from(this.activeQuests.entries()).map(([questId, state]) => ({
+        questId,
+        ...JSON.parse(JSON.stringify(state)),
+      })),
       completedQuests: Array.from(this.completedQuests),
       failedQuests: Array.from(this.failedQuests),
-      questCooldowns: Array.from(this.questCooldowns.entries()),
-      questStartTimes: Array.from(this.questStartTimes.entries()),
+      availableQuests: Array.from(this.availableQuests),
+      questCooldowns: Object.fromEntries(this.questCooldowns),
+      questStartTimes: Object.fromEntries(this.questStartTimes),
+      questChoices: JSON.parse(JSON.stringify(this.questChoices)),
     };
-    
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch (e) {
-      console.warn('[QuestManager] Failed to save state:', e);
-    }
   }
 
   /**
-   * Load state from localStorage
+   * Restore from a quest section (null = fresh game)
    */
-  loadState() {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (!saved) return;
-      
-      const state = JSON.parse(saved);
-      
-      this.activeQuests = new Map(state.activeQuests || []);
-      this.completedQuests = new Set(state.completedQuests || []);
-      this.failedQuests = new Set(state.failedQuests || []);
-      this.questCooldowns = new Map(state.questCooldowns || []);
-      this.questStartTimes = new Map(state.questStartTimes || []);
-      
-      console.log('[QuestManager] Loaded state:', {
-        active: this.activeQuests.size,
-        completed: this.completedQuests.size,
-      });
-    } catch (e) {
-      console.warn('[QuestManager] Failed to load state:', e);
-    }
+  loadSaveData(data) {
+    this.activeQuests = new Map();
+    (data?.activeQuests || []).forEach(({ questId, ...state }) => {
+      this.activeQuests.set(questId, state);
+    });
+    this.completedQuests = new Set(data?.completedQuests || []);
+    this.failedQuests = new Set(data?.failedQuests || []);
+    this.availableQuests = new Set(data?.availableQuests || []);
+    this.questCooldowns = new Map(Object.entries(data?.questCooldowns || {}));
+    this.questStartTimes = new Map(Object.entries(data?.questStartTimes || {}));
+    this.questChoices = [...(data?.questChoices || [])];
+    
+    this.updateAvailableQuests();
+    this.updateQuestUI();
+    
+    console.log('[QuestManager] Loaded state:', {
+      active: this.activeQuests.size,
+      completed: this.completedQuests.size,
+    });
   }
 
   /**
@@ -678,9 +819,9 @@ class QuestManager {
     this.failedQuests.clear();
     this.questCooldowns.clear();
     this.questStartTimes.clear();
+    this.questChoices = [];
     this.updateAvailableQuests();
     this.updateQuestUI();
-    this.saveState();
     console.log('[QuestManager] Reset all progress');
   }
 
@@ -12,11 +12,15 @@ import {
   DIFFICULTY_SCALE,
   getQuest,
 } from '../data/QuestData.js';
+import { REP_TIERS, STANDING, FACTION_AMBUSHES, getRepTierKey, meetsRepTier } from '../data/ReputationData.js';
 
 import { getQuestManager } from './QuestManager.js';
+import { getTierUnlocks } from './ReputationEffects.js';
+
+// Re-export for backwards compatibility
+export { REP_TIERS };
 
 // ========== CONSTANTS ==========
-const STORAGE_KEY = 'ashen_reputation';
 const FIRST_COMPLETION_BONUS = 1.25; // 25% bonus for first time
 
 // ========== FACTIONS ==========
@@ -56,18 +60,13 @@ export const FACTIONS = {
     icon: '🎭',
     color: '#1a1a1a',
   },
-};
-
-// ========== REPUTATION TIERS ==========
-export const REP_TIERS = {
-  HATED: { name: 'Hated', min: -3000, color: '#ff0000', discount: 0.5 },
-  HOSTILE: { name: 'Hostile', min: -1000, color: '#ff4444', discount: 0.8 },
-  UNFRIENDLY: { name: 'Unfriendly', min: -100, color: '#ff8844', discount: 0.95 },
-  NEUTRAL: { name: 'Neutral', min: 0, color: '#aaaaaa', discount: 1.0 },
-  FRIENDLY: { name: 'Friendly', min: 500, color: '#88ff88', discount: 0.95 },
-  HONORED: { name: 'Honored', min: 2000, color: '#44ff44', discount: 0.9 },
-  REVERED: { name: 'Revered', min: 5000, color: '#44ffff', discount: 0.85 },
-  EXALTED: { name: 'Exalted', min: 10000, color: '#ffff44', discount: 0.8 },
+  BANDITS: {
+    id: 'bandits',
+    name: 'Redmark Bandits',
+    description: 'Outlaws who hold the roads around the crossroads.',
+    icon: '🗡️',
+    color: '#8b1a1a',
+  },
 };
 
 // ========== REPUTATION MILESTONES ==========
@@ -131,6 +130,18 @@ const QUEST_FACTION_MAP = {
   // Shadow broker quests
   'stranger_introduction': { shadow_brokers: 100 },
   
+  // Toll road branches (the choice itself moves merchants_union / bandits)
+  'clear_the_toll_road': { merchants_union: 150, village: 50 },
+  'smugglers_run': { bandits: 200, shadow_brokers: 50 },
+  
+  // Survival / defense / puzzle / dungeon quests
+  'apprentices_test': { merchants_union: 50 },
+  'sleepless_vigil': { village: 75 },
+  'hold_the_line': { village: 250 },
+  'hollow_purge': { hunters_guild: 75 },
+  'echoes_in_stone': { mages_circle: 150 },
+  'trial_of_the_elite': { hunters_guild: 400 },
+  
   // Herbalist / general
   'gathering_herbs': { village: 50 },
   'miras_special_brew': { village: 100 },
@@ -232,9 +243,6 @@ class QuestRewardsSystem {
       onTitleUnlocked: [],
     };
     
-    // Load saved state
-    this.loadState();
-    
     // Create UI
     this.createStyles();
     this.createReputationPanel();
@@ -252,6 +260,11 @@ class QuestRewardsSystem {
       this.handleQuestCompletion(data);
     });
     
+    // Branch choices move reputation as soon as they're made
+    questManager.on('onQuestChoice', (data) => {
+      this.handleQuestChoice(data);
+    });
+    
     console.log('[QuestRewards] Initialized');
   }
 
@@ -288,8 +301,12 @@ class QuestRewardsSystem {
     if (this.scene) {
       this.showRewardChest(rewards);
     }
-    
-    this.saveState();
+  }
+
+  handleQuestChoice(data) {
+    Object.entries(data.option.reputation || {}).forEach(([factionId, amount]) => {
+      this.addReputation(factionId, amount);
+    });
   }
 
   // ========== REWARD CALCULATION ==========
@@ -361,7 +378,6 @@ class QuestRewardsSystem {
     });
     
     this.updateReputationPanel();
-    this.saveState();
   }
 
   getReputation(factionId) {
@@ -551,6 +567,25 @@ class QuestRewardsSystem {
         margin-top: 4px;
       }
 
+      .rep-unlocks {
+        margin-top: 10px;
+        font-size: 11px;
+      }
+
+      .rep-unlock-tier {
+        color: #666;
+        margin-top: 4px;
+      }
+
+      .rep-unlock-tier.reached {
+        color: #ccc;
+      }
+
+      .rep-unlock-tier-name {
+        font-weight: bold;
+        margin-right: 6px;
+      }
+
       /* ===== REWARD CHEST ===== */
       #reward-chest-ui {
         position: fixed;
@@ -843,11 +878,46 @@ class QuestRewardsSystem {
               <span>${nextTier ? `Next: ${nextTier.name} (${nextTier.min.toLocaleString()})` : 'Max Rank'}</span>
             </div>
           </div>
+          ${this.renderTierUnlocks(faction.id, rep)}
         </div>
       `;
     }).join('');
   }
 
+  /**
+   * What each of a faction's tiers unlocks (gear, recipes, milestones),
+   * with tiers already reached highlighted
+   */
+  renderTierUnlocks(factionId, rep) {
+    const unlocks = getTierUnlocks(factionId);
+    (REP_MILESTONES[factionId] || []).forEach(milestone => {
+      (unlocks[getRepTierKey(milestone.rep)] ||= []).push({ kind: 'milestone', name: milestone.description });
+    });
+
+    const rows = Object.entries(REP_TIERS)
+      .filter(([tierKey]) => unlocks[tierKey])
+      .map(([tierKey, tier]) => {
+        const reached = meetsRepTier(rep, tierKey);
+        const names = unlocks[tierKey].map(u => (u.kind === 'recipe' ? `Recipe: ${u.name}` : u.name));
+        return `
+          <div class="rep-unlock-tier ${reached ? 'reached' : ''}">
+            <span class="rep-unlock-tier-name" style="color:${tier.color}">${tier.name}</span>${names.join(', ')}
+          </div>
+        `;
+      });
+
+    if (FACTION_AMBUSHES[factionId]) {
+      const hostile = REP_TIERS.HOSTILE;
+      rows.unshift(`
+        <div class="rep-unlock-tier ${STANDING.HOSTILE.includes(getRepTierKey(rep)) ? 'reached' : ''}">
+          <span class="rep-unlock-tier-name" style="color:${hostile.color}">${hostile.name}</span>Ambushes near their villages
+        </div>
+      `);
+    }
+
+    return rows.length ? `<div class="rep-unlocks">${rows.join('')}</div>` : '';
+  }
+
   getNextTier(rep) {
     const tiers = Object.values(REP_TIERS).sort((a, b) => a.min - b.min);
     for (const tier of tiers) {
@@ -989,60 +1059,44 @@ class QuestRewardsSystem {
 
   // ========== PERSISTENCE ==========
   
-  saveState() {
-    const state = {
-      reputation: this.reputation,
-      unlockedMilestones: Array.from(this.unlockedMilestones),
+  /**
+   * Reputation section data for SaveManager
+   */
+  getSaveData() {
+    return JSON.parse(JSON.stringify({
+      factions: this.reputation,
       titles: this.titles,
-      currentTitle: this.currentTitle,
+      activeTitle: this.currentTitle,
+      unlockedMilestones: Array.from(this.unlockedMilestones),
       achievements: Array.from(this.achievements),
-      stats: this.stats,
-    };
-    
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch (e) {
-      console.warn('[QuestRewards] Failed to save state:', e);
-    }
+      rewardStats: this.stats,
+    }));
   }
 
-  loadState() {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (!saved) return;
-      
-      const state = JSON.parse(saved);
-      
-      this.reputation = state.reputation || {};
-      this.unlockedMilestones = new Set(state.unlockedMilestones || []);
-      this.titles = state.titles || [];
-      this.currentTitle = state.currentTitle || null;
-      this.achievements = new Set(state.achievements || []);
-      this.stats = state.stats || this.stats;
-      
-      console.log('[QuestRewards] Loaded state');
-    } catch (e) {
-      console.warn('[QuestRewards] Failed to load state:', e);
-    }
-  }
-
-  resetState() {
-    this.reputation = {};
-    this.unlockedMilestones.clear();
-    this.titles = [];
-    this.currentTitle = null;
-    this.achievements.clear();
+  /**
+   * Restore from a reputation section (null = fresh game)
+   */
+  loadSaveData(data) {
+    this.reputation = { ...(data?.factions || {}) };
+    this.unlockedMilestones = new Set(data?.unlockedMilestones || []);
+    this.titles = [...(data?.titles || [])];
+    this.currentTitle = data?.activeTitle || null;
+    this.achievements = new Set(data?.achievements || []);
     this.stats = {
       questsCompleted: 0,
       bossQuestsCompleted: 0,
       dailyQuestsCompleted: 0,
       totalGoldEarned: 0,
       totalXpEarned: 0,
+      ...(data?.rewardStats || {}),
     };
-    this.saveState();
     this.updateReputationPanel();
   }
 
+  resetState() {
+    this.loadSaveData(null);
+  }
+
   // ========== UTILITY ==========
   
   isInputFocused() {
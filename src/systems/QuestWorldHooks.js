@@ -8,6 +8,11 @@
  * - Area enters → explore progress
  * - NPC interactions → delivery quests
  * - Boss kills → boss quest progress
+ * - Crafting, puzzle solves, dungeon clears → craft / puzzle / dungeon progress
+ * - Nights survived without dying → survive progress
+ * - Defend objectives → timed enemy waves at the defended spot
+ * - Bounty marks → named elite spawned when the player nears its last-seen spot
+ * - Escort objectives → EscortNPC walking to the destination; its death fails the quest
  */
 
 import * as THREE from 'three';
@@ -18,12 +23,18 @@ import {
   EXPLORATION_AREAS,
   getQuest,
 } from '../data/QuestData.js';
+import { DAY_PHASES } from './TimeManager.js';
+import { EscortNPC } from '../entities/EscortNPC.js';
 
 // ========== CONSTANTS ==========
 const EXPLORATION_MARKER_HEIGHT = 3;
 const EXPLORATION_MARKER_SEGMENTS = 32;
 const MARKER_ANIMATION_SPEED = 2;
 const QUEST_ITEM_GLOW_COLOR = 0x44ffff;
+const DEFENSE_FIRST_WAVE_DELAY = 5;   // Seconds of warning before the first wave
+const DEFENSE_LEASH = 1.5;            // Leaving radius * leash abandons the defense
+const BOUNTY_MARK_LEASH = 3;          // Marks despawn (and wait again) past radius * leash
+const ESCORT_SPAWN_OFFSET = 2;        // Escorts appear at the player's side
 
 // ========== QUEST WORLD HOOKS CLASS ==========
 class QuestWorldHooks {
@@ -48,6 +59,25 @@ class QuestWorldHooks {
     this.itemManager = null;
     this.npcManager = null;
     this.bossManager = null;
+    this.gameManager = null;
+    this.craftingManager = null;
+    this.timeManager = null;
+    this.puzzleManager = null;
+    this.dungeonRewards = null;
+    this.gatheringManager = null;
+    this.terrain = null;
+    
+    // Night in progress: { deathCount } at nightfall, null outside of night
+    this.nightWatch = null;
+    
+    // Running defend encounter (see updateDefense)
+    this.activeDefense = null;
+    
+    // Spawned bounty marks
+    this.bountyMarks = new Map(); // bounty objective target -> enemy
+    
+    // Escort NPCs walking their quest's route
+    this.escorts = new Map(); // questId -> EscortNPC
     
     // Bound handlers for cleanup
     this.boundHandlers = {};
@@ -66,6 +96,13 @@ class QuestWorldHooks {
     this.npcManager = systems.npcManager || null;
     this.bossManager = systems.bossManager || null;
     this.player = systems.player || null;
+    this.gameManager = systems.gameManager || null;
+    this.craftingManager = systems.craftingManager || null;
+    this.timeManager = systems.timeManager || null;
+    this.puzzleManager = systems.puzzleManager || null;
+    this.dungeonRewards = systems.dungeonRewards || null;
+    this.gatheringManager = systems.gatheringManager || null;
+    this.terrain = systems.terrain || null;
     
     // Set up quest event listeners
     this.setupQuestListeners();
@@ -117,12 +154,95 @@ class QuestWorldHooks {
    * Set up hooks into world systems
    */
   setupWorldHooks() {
-    // These would normally be called by the respective systems
-    // We expose methods that those systems call
+    // Kills, pickups and NPC talks are pushed in by their systems (see main.js);
+    // the rest we subscribe to directly when the system is available
+    if (this.craftingManager) {
+      this.boundHandlers.craft = this.craftingManager.onCraft((recipe, itemId, quantity) => {
+        this.onItemCrafted(itemId, quantity);
+      });
+    }
+    
+    if (this.puzzleManager) {
+      this.boundHandlers.puzzle = this.puzzleManager.onSolve((puzzle) => {
+        this.onPuzzleSolved(puzzle);
+      });
+    }
+    
+    if (this.dungeonRewards) {
+      this.boundHandlers.dungeon = this.dungeonRewards.onComplete((dungeonId, modifier) => {
+        this.onDungeonCleared(dungeonId, modifier);
+      });
+    }
+    
+    if (this.gatheringManager) {
+      this.boundHandlers.gather = this.gatheringManager.onGather((materialId, quantity) => {
+        this.onItemPickup(materialId, quantity);
+      });
+    }
+    
+    if (this.timeManager) {
+      const originalPhaseChange = this.timeManager.onPhaseChange;
+      this.timeManager.onPhaseChange = (newPhase, oldPhase) => {
+        if (originalPhaseChange) originalPhaseChange(newPhase, oldPhase);
+        this.onPhaseChange(newPhase, oldPhase);
+      };
+    }
     
     console.log('[QuestWorldHooks] World hooks ready');
   }
 
+  // ========== CRAFT / PUZZLE / DUNGEON HOOKS ==========
+  
+  /**
+   * Called when the player crafts an item
+   */
+  onItemCrafted(itemId, amount = 1) {
+    if (!this.questManager) return;
+    
+    this.questManager.updateProgress('craft', itemId, amount);
+  }
+
+  /**
+   * Called when a dungeon puzzle is solved
+   */
+  onPuzzleSolved(puzzle) {
+    if (!this.questManager) return;
+    
+    this.questManager.updateProgress('puzzle', puzzle.id, 1);
+  }
+
+  /**
+   * Called when a dungeon is cleared - modifier lets objectives ask for e.g. elite runs
+   */
+  onDungeonCleared(dungeonId, modifier = 'none') {
+    if (!this.questManager) return;
+    
+    this.questManager.updateProgress('dungeon', dungeonId, 1, { modifier });
+  }
+
+  // ========== SURVIVAL HOOKS ==========
+  
+  /**
+   * Time of day changed - a night counts once dawn comes without a death since nightfall
+   */
+  onPhaseChange(newPhase, oldPhase) {
+    const deathCount = this.gameManager?.deathCount || 0;
+    
+    if (newPhase === DAY_PHASES.NIGHT) {
+      this.nightWatch = { deathCount };
+      return;
+    }
+    
+    if (oldPhase !== DAY_PHASES.NIGHT || !this.nightWatch) return;
+    
+    const survived = deathCount === this.nightWatch.deathCount;
+    this.nightWatch = null;
+    
+    if (survived && this.questManager) {
+      this.questManager.updateProgress('survive', DAY_PHASES.NIGHT, 1);
+    }
+  }
+
   // ========== ENEMY KILL HOOKS ==========
   
   /**
@@ -134,6 +254,11 @@ class QuestWorldHooks {
     // Track kill for quest progress
     this.questManager.updateProgress('kill', enemyType, 1);
     
+    if (enemyData.bountyId) {
+      this.questManager.updateProgress('bounty', enemyData.bountyId, 1);
+      this.bountyMarks.delete(enemyData.bountyId);
+    }
+    
     // Check for quest item drops
     this.checkQuestItemDrop(enemyType, enemyData);
     
@@ -345,6 +470,257 @@ class QuestWorldHooks {
     this.questManager.checkQuestCompletion(questId);
   }
 
+  /**
+   * Keep an EscortNPC in the world for every unfinished escort objective -
+   * spawned beside the player on accept (or load) - and walk them on
+   */
+  updateEscorts(delta, playerPosition) {
+    if (!this.questManager || !playerPosition) return;
+    
+    this.questManager.getActiveQuests().forEach(({ id, state }) => {
+      if (this.escorts.has(id)) return;
+      const obj = state.objectives.find(o =>
+        o.type === OBJECTIVE_TYPE.ESCORT_NPC && o.destinationPosition && o.current < o.required
+      );
+      if (obj) this.spawnEscort(id, obj, playerPosition);
+    });
+    
+    const enemies = this.enemyManager?.enemies || [];
+    this.escorts.forEach(escort => escort.update(delta, playerPosition, enemies));
+  }
+
+  /**
+   * Spawn the escort for an objective, wired to onEscortDamage / onEscortArrived
+   */
+  spawnEscort(questId, obj, playerPosition) {
+    const escort = new EscortNPC({
+      scene: this.scene,
+      terrain: this.terrain,
+      name: obj.targetName,
+      position: { x: playerPosition.x + ESCORT_SPAWN_OFFSET, z: playerPosition.z },
+      destination: obj.destinationPosition,
+      destinationRadius: obj.destinationRadius || 10,
+      health: obj.npcCurrentHealth ?? obj.npcHealth,
+      maxHealth: obj.npcHealth,
+    });
+    
+    escort.onDamaged = (health, maxHealth) => this.onEscortDamage(questId, health, maxHealth);
+    escort.onArrived = () => {
+      this.questManager.showNotification(`${obj.targetName} arrived safely`, 'progress');
+      this.onEscortArrived(questId);
+    };
+    
+    this.enemyManager?.registerAlly?.(escort);
+    this.escorts.set(questId, escort);
+    console.log(`[QuestWorldHooks] Escort spawned: ${obj.targetName} (${questId})`);
+    return escort;
+  }
+
+  /**
+   * Take a quest's escort out of the world
+   */
+  removeEscort(questId) {
+    const escort = this.escorts.get(questId);
+    if (!escort) return;
+    
+    this.enemyManager?.unregisterAlly?.(escort);
+    escort.dispose();
+    this.escorts.delete(questId);
+  }
+
+  // ========== DEFEND ENCOUNTERS ==========
+  
+  /**
+   * Run the defend encounter: start it when the player reaches an unfinished
+   * defend objective, spawn waves on a countdown, and count each cleared wave
+   */
+  updateDefense(delta, playerPosition) {
+    if (!this.questManager || !playerPosition) return;
+    
+    if (!this.activeDefense) {
+      const found = this.findDefendObjective(playerPosition);
+      if (found) this.startDefense(found.questId, found.objective);
+      return;
+    }
+    
+    const defense = this.activeDefense;
+    const obj = this.questManager.getQuestState(defense.questId)?.objectives
+      .find(o => o.id === defense.objectiveId);
+    
+    // Quest abandoned, failed or turned in mid-fight
+    if (!obj || !this.questManager.hasActiveQuest(defense.questId)) {
+      this.endDefense();
+      return;
+    }
+    
+    const distance = this.horizontalDistance(playerPosition, obj.position);
+    if (distance > obj.radius * DEFENSE_LEASH) {
+      this.failDefense(obj, 'You abandoned the defense');
+      return;
+    }
+    if (this.gameManager && this.gameManager.deathCount !== defense.deathCount) {
+      this.failDefense(obj, 'You fell - the line broke');
+      return;
+    }
+    
+    if (defense.wave.length === 0) {
+      defense.countdown -= delta;
+      if (defense.countdown <= 0) this.spawnDefenseWave(obj);
+      return;
+    }
+    
+    const cleared = defense.wave.every(enemy =>
+      enemy.isDead || !this.enemyManager?.enemies?.includes(enemy)
+    );
+    if (!cleared) return;
+    
+    defense.wave = [];
+    defense.countdown = obj.waveIntervalSeconds || 15;
+    this.questManager.updateProgress('defend', obj.target, 1);
+    
+    if (obj.current >= obj.required) {
+      this.endDefense();
+    }
+  }
+
+  /**
+   * Find an unfinished defend objective whose area contains the player
+   */
+  findDefendObjective(playerPosition) {
+    const activeQuests = this.questManager.getActiveQuests();
+    
+    for (const { id, state } of activeQuests) {
+      for (const obj of state.objectives) {
+        if (obj.type !== OBJECTIVE_TYPE.DEFEND_LOCATION || obj.current >= obj.required) continue;
+        if (!obj.position) continue;
+        
+        if (this.horizontalDistance(playerPosition, obj.position) <= obj.radius) {
+          return { questId: id, objective: obj };
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Begin a defend encounter
+   */
+  startDefense(questId, obj) {
+    this.activeDefense = {
+      questId,
+      objectiveId: obj.id,
+      wave: [],
+      countdown: DEFENSE_FIRST_WAVE_DELAY,
+      deathCount: this.gameManager?.deathCount || 0,
+    };
+    
+    this.questManager.showNotification(`${obj.targetName}: enemies approaching!`, 'progress');
+    console.log(`[QuestWorldHooks] Defense started: ${questId}/${obj.id}`);
+  }
+
+  /**
+   * Spawn the next wave around the defended point
+   */
+  spawnDefenseWave(obj) {
+    if (!this.enemyManager?.spawnWave) return;
+    
+    this.activeDefense.wave = this.enemyManager.spawnWave(obj.position, {
+      types: obj.enemyTypes,
+      count: obj.waveSize || 3,
+      radius: obj.radius * 0.8,
+    });
+    
+    this.questManager.showNotification(
+      `${obj.targetName}: wave ${obj.current + 1}/${obj.required}`,
+      'progress',
+    );
+  }
+
+  /**
+   * Defense lost - clear the attackers and start the objective over
+   */
+  failDefense(obj, reason) {
+    obj.current = 0;
+    this.endDefense();
+    
+    this.questManager.showNotification(`${obj.targetName}: ${reason}`, 'fail');
+    this.questManager.updateQuestUI();
+    this.updateExplorationMarkers();
+  }
+
+  /**
+   * Tear down the running encounter, removing any attackers still alive
+   */
+  endDefense() {
+    if (!this.activeDefense) return;
+    
+    if (this.enemyManager?.removeEnemy) {
+      this.activeDefense.wave.forEach(enemy => this.enemyManager.removeEnemy(enemy));
+    }
+    this.activeDefense = null;
+  }
+
+  /**
+   * XZ-plane distance between two positions
+   */
+  horizontalDistance(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  // ========== BOUNTY MARKS ==========
+  
+  /**
+   * Spawn named bounty marks as the player closes in, and pull them back out
+   * if the player wanders off so they wait at their spot again
+   */
+  updateBountyMarks(playerPosition) {
+    if (!this.questManager || !this.enemyManager?.spawnWave || !playerPosition) return;
+    
+    this.questManager.getActiveQuests().forEach(({ state }) => {
+      state.objectives.forEach(obj => {
+        if (obj.type !== OBJECTIVE_TYPE.BOUNTY_TARGET || obj.current >= obj.required) return;
+        
+        const distance = this.horizontalDistance(playerPosition, obj.position);
+        let mark = this.bountyMarks.get(obj.target);
+        
+        // Culled by EnemyManager (distance despawn etc.)
+        if (mark && !mark.isDead && !this.enemyManager.enemies.includes(mark)) {
+          this.bountyMarks.delete(obj.target);
+          mark = null;
+        }
+        
+        if (!mark && distance <= obj.radius) {
+          this.spawnBountyMark(obj);
+        } else if (mark && !mark.isDead && distance > obj.radius * BOUNTY_MARK_LEASH) {
+          this.enemyManager.removeEnemy(mark);
+          this.bountyMarks.delete(obj.target);
+        }
+      });
+    });
+  }
+
+  /**
+   * Spawn the named elite for a bounty objective
+   */
+  spawnBountyMark(obj) {
+    const [mark] = this.enemyManager.spawnWave(obj.position, {
+      types: [obj.enemyType],
+      count: 1,
+      radius: 2,
+      elite: true,
+    });
+    if (!mark) return;
+    
+    mark.bountyId = obj.target;
+    mark.config.name = obj.markName;
+    this.bountyMarks.set(obj.target, mark);
+    
+    this.questManager.showNotification(`${obj.markName} has been sighted!`, 'progress');
+  }
+
   // ========== EXPLORATION MARKERS ==========
   
   /**
@@ -359,7 +735,11 @@ class QuestWorldHooks {
     
     activeQuests.forEach(({ id, state }) => {
       state.objectives.forEach(obj => {
-        if (obj.type === OBJECTIVE_TYPE.VISIT_LOCATION && obj.current < obj.required) {
+        const isLocation = obj.type === OBJECTIVE_TYPE.VISIT_LOCATION ||
+          obj.type === OBJECTIVE_TYPE.DEFEND_LOCATION ||
+          obj.type === OBJECTIVE_TYPE.BOUNTY_TARGET ||
+          (obj.type === OBJECTIVE_TYPE.DELIVER_ITEM && obj.position && !obj.recipient);
+        if (isLocation && obj.current < obj.required) {
           neededLocations.add(obj.target);
         }
       });
@@ -516,6 +896,8 @@ class QuestWorldHooks {
    * Called when quest ends
    */
   onQuestEnded(questId) {
+    this.removeEscort(questId);
+    
     // Cleanup exploration markers
     this.updateExplorationMarkers();
     
@@ -662,6 +1044,10 @@ class QuestWorldHooks {
     if (playerPosition) {
       this.updatePlayerPosition(playerPosition);
     }
+    
+    this.updateDefense(delta, playerPosition);
+    this.updateBountyMarks(playerPosition);
+    this.updateEscorts(delta, playerPosition);
   }
 
   // ========== CLEANUP ==========
@@ -670,6 +1056,14 @@ class QuestWorldHooks {
    * Cleanup all markers and effects
    */
   cleanup() {
+    // Drop system subscriptions, any running defense and spawned marks
+    Object.values(this.boundHandlers).forEach(unsubscribe => unsubscribe());
+    this.boundHandlers = {};
+    this.endDefense();
+    this.bountyMarks.forEach(mark => this.enemyManager?.removeEnemy?.(mark));
+    this.bountyMarks.clear();
+    [...this.escorts.keys()].forEach(questId => this.removeEscort(questId));
+    
     // Remove exploration markers
     this.explorationMarkers.forEach((marker) => {
       if (this.scene) this.scene.remove(marker);
@@ -697,6 +1091,17 @@ class QuestWorldHooks {
       explorationMarkers: this.explorationMarkers.size,
       questEnemySpawns: Object.fromEntries(this.questEnemySpawns),
       questItemEffects: this.questItemEffects.size,
+      nightWatch: this.nightWatch,
+      activeDefense: this.activeDefense && {
+        questId: this.activeDefense.questId,
+        wave: this.activeDefense.wave.length,
+        countdown: this.activeDefense.countdown,
+      },
+      escorts: [...this.escorts].map(([questId, escort]) => ({
+        questId,
+        state: escort.state,
+        health: escort.health,
+      })),
     };
   }
 }
@@ -69,8 +69,6 @@ export class RareEventManager {
         this.checkForRareEvents();
       };
     }
-    
-    this.load();
   }
   
   /**
@@ -284,8 +282,6 @@ export class RareEventManager {
     if (this.onEventStart) {
       this.onEventStart(event);
     }
-    
-    this.save();
   }
   
   /**
@@ -310,7 +306,6 @@ export class RareEventManager {
     }
     
     this.activeEvent = null;
-    this.save();
   }
   
   /**
@@ -780,53 +775,46 @@ export class RareEventManager {
   }
   
   /**
-   * Save state
+   * Event cooldowns + active event for SaveManager (world.rareEvents)
    */
-  save() {
-    const data = {
+  getSaveData() {
+    return {
       cooldowns: Object.fromEntries(this.eventCooldowns),
       activeEvent: this.activeEvent?.id || null,
       eventStartTime: this.eventStartTime
     };
-    localStorage.setItem('ashen-rare-events', JSON.stringify(data));
   }
   
   /**
-   * Load state
+   * Restore state (null = fresh game)
    */
-  load() {
-    try {
-      const data = localStorage.getItem('ashen-rare-events');
-      if (data) {
-        const parsed = JSON.parse(data);
-        
-        // Restore cooldowns
-        if (parsed.cooldowns) {
-          for (const [id, time] of Object.entries(parsed.cooldowns)) {
-            this.eventCooldowns.set(id, time);
-          }
-        }
+  loadSaveData(data) {
+    this.endEvent();
+    this.eventCooldowns.clear();
+    
+    // Restore cooldowns
+    if (data?.cooldowns) {
+      for (const [id, time] of Object.entries(data.cooldowns)) {
+        this.eventCooldowns.set(id, time);
+      }
+    }
+    
+    // Check if event was active and should continue
+    if (data?.activeEvent && data.eventStartTime) {
+      const event = RARE_EVENTS[data.activeEvent];
+      if (event) {
+        const elapsed = Date.now() - data.eventStartTime;
+        const duration = event.duration * 60 * 1000;
         
-        // Check if event was active and should continue
-        if (parsed.activeEvent && parsed.eventStartTime) {
-          const event = RARE_EVENTS[parsed.activeEvent];
-          if (event) {
-            const elapsed = Date.now() - parsed.eventStartTime;
-            const duration = event.duration * 60 * 1000;
-            
-            if (elapsed < duration) {
-              // Resume event
-              this.activeEvent = event;
-              this.eventStartTime = parsed.eventStartTime;
-              this.eventDuration = duration;
-              this.applyEventVisuals(parsed.activeEvent);
-              console.log(`[RareEventManager] Resumed event: ${event.name}`);
-            }
-          }
+        if (elapsed < duration) {
+          // Resume event
+          this.activeEvent = event;
+          this.eventStartTime = data.eventStartTime;
+          this.eventDuration = duration;
+          this.applyEventVisuals(data.activeEvent);
+          console.log(`[RareEventManager] Resumed event: ${event.name}`);
         }
       }
-    } catch (e) {
-      console.warn('[RareEventManager] Failed to load state:', e);
     }
   }
   
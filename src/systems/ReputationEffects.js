@@ -0,0 +1,185 @@
+/**
+ * ReputationEffects.js - What Faction Standing Changes in the World
+ *
+ * QuestRewards owns the reputation numbers; this system applies them:
+ * - Faction recipes (UNLOCK_METHOD.REPUTATION) are taught once their tier is reached
+ * - Villages held by a faction that is hostile to the player send ambush squads
+ *   through EnemyManager when the player comes near
+ * - getTierUnlocks() lists the shop items and recipes each tier opens up,
+ *   for the reputation panel
+ *
+ * Shop gating (MerchantData.getAvailableItems) and standing greetings
+ * (DialogueData) read reputation directly and need nothing from here.
+ */
+
+import { SHOP_ITEMS } from '../data/MerchantData.js';
+import { RECIPES, UNLOCK_METHOD } from '../data/RecipeData.js';
+import {
+  STANDING,
+  AMBUSH_RADIUS,
+  AMBUSH_SPAWN_DISTANCE,
+  AMBUSH_COOLDOWN,
+  FACTION_AMBUSHES,
+  getRepTierKey,
+  meetsReputation,
+} from '../data/ReputationData.js';
+
+// ========== CONSTANTS ==========
+const AMBUSH_CHECK_INTERVAL = 2; // Seconds between hostile-village proximity checks
+
+// ========== TIER UNLOCKS ==========
+
+/**
+ * Shop items and recipes gated behind each of a faction's tiers
+ * @returns {Object} tierKey -> [{ kind: 'item' | 'recipe', id, name }]
+ */
+export function getTierUnlocks(factionId) {
+  const unlocks = {};
+  const add = (requirement, entry) => {
+    if (requirement?.faction !== factionId) return;
+    (unlocks[requirement.tier] ||= []).push(entry);
+  };
+
+  Object.entries(SHOP_ITEMS).forEach(([id, item]) => {
+    add(item.reputation, { kind: 'item', id, name: item.name });
+  });
+  Object.values(RECIPES).forEach(recipe => {
+    add(recipe.reputation, { kind: 'recipe', id: recipe.id, name: recipe.name });
+  });
+
+  return unlocks;
+}
+
+// ========== REPUTATION EFFECTS CLASS ==========
+class ReputationEffects {
+  constructor() {
+    this.ambushCooldowns = new Map(); // village key -> seconds until it can ambush again
+    this.checkTimer = 0;
+
+    // References to game systems
+    this.questRewards = null;
+    this.craftingManager = null;
+    this.enemyManager = null;
+    this.villageManager = null;
+    this.questManager = null;
+  }
+
+  // ========== INITIALIZATION ==========
+
+  /**
+   * @param {Object} systems - { questRewards, craftingManager, enemyManager, villageManager, questManager }
+   */
+  init(systems = {}) {
+    this.questRewards = systems.questRewards || null;
+    this.craftingManager = systems.craftingManager || null;
+    this.enemyManager = systems.enemyManager || null;
+    this.villageManager = systems.villageManager || null;
+    this.questManager = systems.questManager || null;
+
+    if (this.questRewards) {
+      this.questRewards.on('onReputationChange', () => this.syncRecipeUnlocks());
+    }
+    this.syncRecipeUnlocks();
+
+    console.log('[ReputationEffects] Initialized');
+  }
+
+  getReputation(factionId) {
+    return this.questRewards?.getReputation(factionId) || 0;
+  }
+
+  // ========== RECIPES ==========
+
+  /**
+   * Teach every faction recipe whose reputation requirement is met
+   * @returns {string[]} Newly unlocked recipe ids
+   */
+  syncRecipeUnlocks() {
+    if (!this.craftingManager || !this.questRewards) return [];
+
+    const lookup = (factionId) => this.getReputation(factionId);
+    return Object.values(RECIPES)
+      .filter(recipe => recipe.unlockMethod === UNLOCK_METHOD.REPUTATION)
+      .filter(recipe => meetsReputation(recipe.reputation, lookup))
+      .filter(recipe => this.craftingManager.unlockRecipe(recipe.id, `reputation:${recipe.reputation.faction}`))
+      .map(recipe => recipe.id);
+  }
+
+  // ========== AMBUSHES ==========
+
+  isHostile(factionId) {
+    return STANDING.HOSTILE.includes(getRepTierKey(this.getReputation(factionId)));
+  }
+
+  /**
+   * Per-frame update: hostile villages near the player send a squad
+   */
+  update(delta, playerPosition) {
+    this.ambushCooldowns.forEach((remaining, key) => {
+      if (remaining - delta <= 0) {
+        this.ambushCooldowns.delete(key);
+      } else {
+        this.ambushCooldowns.set(key, remaining - delta);
+      }
+    });
+
+    this.checkTimer -= delta;
+    if (this.checkTimer > 0 || !playerPosition || !this.villageManager || !this.enemyManager) return;
+    this.checkTimer = AMBUSH_CHECK_INTERVAL;
+
+    for (const village of this.villageManager.getVillagePositions()) {
+      const key = `${village.x},${village.z}`;
+      if (this.ambushCooldowns.has(key)) continue;
+      if (!FACTION_AMBUSHES[village.faction] || !this.isHostile(village.faction)) continue;
+
+      const dx = playerPosition.x - village.x;
+      const dz = playerPosition.z - village.z;
+      if (dx * dx + dz * dz > AMBUSH_RADIUS * AMBUSH_RADIUS) continue;
+
+      this.spawnAmbush(village.faction, playerPosition);
+      this.ambushCooldowns.set(key, AMBUSH_COOLDOWN);
+      break; // One squad at a time
+    }
+  }
+
+  /**
+   * Spawn a faction's ambush squad around the player
+   * @returns {Array} Spawned enemies
+   */
+  spawnAmbush(factionId, position) {
+    const ambush = FACTION_AMBUSHES[factionId];
+    if (!ambush || !this.enemyManager) return [];
+
+    const squad = this.enemyManager.spawnWave(position, {
+      types: ambush.squad.map(member => member.type),
+      count: ambush.squad.length,
+      radius: AMBUSH_SPAWN_DISTANCE,
+    });
+    squad.forEach((enemy, i) => {
+      const member = ambush.squad[i % ambush.squad.length];
+      if (member.name) enemy.config.name = member.name;
+      enemy.ambushFaction = factionId;
+    });
+
+    this.questManager?.showNotification(ambush.message, 'fail');
+    console.log(`[ReputationEffects] ${factionId} ambush: ${squad.length} enemies`);
+    return squad;
+  }
+}
+
+// ========== SINGLETON ==========
+let reputationEffectsInstance = null;
+
+export function createReputationEffects() {
+  if (!reputationEffectsInstance) {
+    reputationEffectsInstance = new ReputationEffects();
+  }
+  return reputationEffectsInstance;
+}
+
+export function getReputationEffects() {
+  return reputationEffectsInstance;
+}
+
+export { ReputationEffects };
+export default ReputationEffects;
@@ -13,8 +13,17 @@
  * - Version control for migration support
  */
 
+import { getDefaultInfusions } from '../data/InfusionData.js';
+import { getDefaultDeathResearch } from '../data/DeathResearchData.js';
+import { DEFAULT_WORLD_SEED } from '../world/WorldSeed.js';
+import { PRE_REBINDING_KEYS } from '../data/InputActionData.js';
+
 // ========== CURRENT SCHEMA VERSION ==========
-export const SAVE_VERSION = 1;
+export const SAVE_VERSION = 3;
+
+// ========== SAVE SECTIONS ==========
+export const SAVE_SECTIONS = ['player', 'inventory', 'equipment', 'quest', 'reputation',
+                              'world', 'crafting', 'gathering', 'combat', 'shop', 'settings'];
 
 // ========== SAVE SLOT TYPES ==========
 export const SAVE_SLOT_TYPE = {
@@ -66,13 +75,9 @@ export function getDefaultPlayerData() {
     },
     spentStatPoints: 0,
     
-    // Infusions (Crucible)
-    infusions: {
-      strength: 0,
-      vitality: 0,
-      stamina: 0,
-      spirit: 0,
-    },
+    // Infusions (Crucible) - Bone / Blood / Stone depths
+    infusions: getDefaultInfusions(),
+    boneBladeKills: 0, // Bone Blade kill scaling
     
     // Abilities
     unlockedAbilities: [], // ['dash', 'heavyCharge', ...]
@@ -83,14 +88,16 @@ export function getDefaultPlayerData() {
       warCry: 0,
     },
     
-    // Spells unlocked
-    unlockedSpells: ['fireball'], // Default starting spell
-    equippedSpells: ['fireball', null, null, null], // 4 spell slots
-    spellCooldowns: {},
+    // Spells (SpellManager) - null means starter spells
+    spells: null, // { learnedSpells: [], hotbarSlots: [], activeSlot }
+    
+    // Hired companion (CompanionManager) - null when travelling alone
+    companion: null, // { id, health, downed }
     
     // Death tracking
     deathCount: 0,
     deathLessons: {}, // damageType -> resistance bonus
+    deathResearch: getDefaultDeathResearch(), // Killer ledger + purchased counters
     
     // Bloodstain (remnant recovery location)
     bloodstain: null, // { position: {x,y,z}, remnant: number } or null
@@ -105,8 +112,11 @@ export function getDefaultInventoryData() {
     // Gold currency
     gold: 0,
     
-    // General items (materials, consumables, keys, quest items)
-    items: [], // [{ id, quantity, ... }]
+    // General items (consumables, keys, quest items)
+    items: {}, // { itemId: quantity }
+    
+    // Potion quick-use order
+    potionHotbar: ['health-potion', 'stamina-potion'],
     
     // Equipment in inventory (not equipped)
     equipment: [], // [{ id, baseId, rarity, stats, ... }]
@@ -137,8 +147,8 @@ export function getDefaultEquipmentData() {
       accessory: null,
     },
     
-    // Weapon quick-slots (keys 1-4)
-    weaponSlots: [null, null, null, null],
+    // Weapon quick-slots (keys 1-4, WeaponManager)
+    weaponSlots: [null, null, null, null], // [{ id, rarityId, instanceId, ... }]
     activeWeaponSlot: 0,
     
     // Potion quick-slots (Ctrl+1/2)
@@ -166,6 +176,15 @@ export function getDefaultQuestData() {
     // Quest cooldowns for repeatable quests
     questCooldowns: {}, // { questId: cooldownEndTime }
     
+    // Start times for timed quests
+    questStartTimes: {}, // { questId: startTime }
+    
+    // Branch choices, oldest first (QuestManager.makeChoice)
+    questChoices: [], // [{ questId, objectiveId, optionId, failed: [questId], madeAt }]
+    
+    // Generated bounty board (BountyBoard.getSaveData), null = post a fresh board
+    bountyBoard: null, // { day, bounties: [quest] }
+    
     // Quest-specific tracking
     questStats: {
       totalCompleted: 0,
@@ -191,6 +210,7 @@ export function getDefaultReputationData() {
       mages_circle: 0,
       merchants_union: 0,
       shadow_brokers: 0,
+      bandits: 0,
     },
     
     // Unlocked titles
@@ -210,6 +230,9 @@ export function getDefaultReputationData() {
       totalRepEarned: 0,
       highestTierReached: {}, // { village: 'honored', ... }
     },
+    
+    // Quest reward totals (QuestRewards)
+    rewardStats: {}, // { questsCompleted, totalGoldEarned, ... }
   };
 }
 
@@ -218,6 +241,9 @@ export function getDefaultReputationData() {
  */
 export function getDefaultWorldData() {
   return {
+    // World generation seed (terrain, POIs, chests, gathering, dungeons)
+    seed: DEFAULT_WORLD_SEED,
+    
     // Time of day
     time: {
       currentHour: 10,
@@ -231,33 +257,48 @@ export function getDefaultWorldData() {
     // Weather state
     weather: {
       currentWeather: 'clear', // 'clear', 'cloudy', 'rain', 'storm', 'fog', 'snow'
-      intensity: 0,
-      transitionProgress: 0,
-      lastWeatherChange: 0,
+      biome: 'default',
+      hoursUntilChange: null, // null rolls a fresh interval
     },
     
+    // Weather/time gameplay (hints shown, warmth buff)
+    gameplay: null, // { shownHints: [], hasWarmthBuff, warmthBuffEndTime }
+    
     // Discovered locations
     discoveredLocations: [], // ['ashvale_village', 'ancient_ruins', ...]
     
     // Unlocked fast travel points
     fastTravelPoints: ['ashvale_village'], // Start with village unlocked
     
+    // Discovered fast travel locations (FastTravelManager) - null means starting set
+    fastTravelLocations: null,
+    
+    // Opened chests
+    openedChests: {}, // { chestId: openedAt }
+    
     // World state flags
     worldFlags: {}, // { 'bridge_repaired': true, 'gate_opened': false, ... }
     
     // Boss defeat states
     bossesDefeated: [], // ['ancient_golem', 'shadow_wraith', ...]
     
-    // Dungeon states
-    dungeons: {}, // { 'crypt': { cleared: false, chestsOpened: [], puzzlesSolved: [] } }
+    // Dungeon progress (DungeonManager)
+    dungeons: {}, // { dungeonId: { roomsCleared: [], chestsLooted: [], puzzlesSolved: [], ... } }
+    
+    // Dungeon completions, first-kill bonuses, best times, deepest floors, Abyss leaderboards (DungeonRewards)
+    dungeonRewards: null,
+    
+    // Solved puzzle IDs
+    puzzles: [],
     
     // NPC states
     npcStates: {}, // { 'elder_marcus': { dialogueIndex: 2, questsGiven: [...] } }
     
     // Rare event flags
     rareEvents: {
-      triggeredEvents: [],
-      lastRareEventTime: 0,
+      cooldowns: {}, // { eventId: cooldownEndTime }
+      activeEvent: null,
+      eventStartTime: 0,
     },
   };
 }
@@ -278,6 +319,16 @@ export function getDefaultCraftingData() {
     
     // Station unlock states
     unlockedStations: ['basic_workbench'], // Start with basic
+    
+    // Gathered/refined materials (MaterialStore)
+    materials: {}, // { materialId: quantity }
+    
+    // Crafted items not yet handed to inventory/equipment
+    craftedPotions: {}, // { potionId: quantity }
+    craftedEquipment: [],
+    
+    // Equipment upgrade levels
+    upgrades: {}, // { itemId: level }
   };
 }
 
@@ -311,6 +362,9 @@ export function getDefaultCombatData() {
     // Boss kill counts
     bossKillCounts: {}, // { 'ancient_golem': 2, ... }
     
+    // Boss kill records for first-kill loot (LootManager)
+    bossKills: {}, // { bossId: { count, firstKillAt } }
+    
     // Damage statistics
     damageStats: {
       totalDamageDealt: 0,
@@ -405,6 +459,7 @@ export function createSaveMetadata(saveData) {
     // Visual preview data
     currentHour: worldData.time?.currentHour || 10,
     dayCount: worldData.time?.currentDay || 1,
+    worldSeed: worldData.seed ?? DEFAULT_WORLD_SEED,
     
     // Schema version for migration
     version: SAVE_VERSION,
@@ -451,15 +506,74 @@ export function createDefaultSaveData(slotId = 0, slotType = SAVE_SLOT_TYPE.MANU
     combat: getDefaultCombatData(),
     shop: getDefaultShopData(),
     
-    // Settings (optional, can be saved separately)
+    // Settings (optional): { keybindings: { actionId: [chord, ...] } }
     settings: null, // Use null to indicate "use global settings"
   };
 }
 
 // ========== VALIDATION ==========
 
+// Sections every save must have
+const REQUIRED_SECTIONS = ['player', 'inventory', 'equipment', 'quest', 'world'];
+
+// Fields a save can't be loaded without: [path, min]
+const REQUIRED_NUMBERS = [
+  ['player.level', 1],
+  ['player.health', 0],
+  ['player.position.x', null],
+  ['player.position.y', null],
+  ['player.position.z', null],
+];
+
+/**
+ * Read a dotted path ('player.position.x') from an object
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function describeValue(value) {
+  const type = typeName(value);
+  if (type === 'string') return `"${value}"`;
+  if (type === 'number' || type === 'boolean' || type === 'null') return String(value);
+  return type;
+}
+
 /**
- * Validate save data structure
+ * Compare a value against the default shape, recording path-level mismatches.
+ * Null defaults accept anything; empty-object defaults are free-form maps.
+ */
+function collectShapeIssues(value, expected, path, issues) {
+  if (expected === null || expected === undefined) return;
+
+  if (value === undefined) {
+    issues.push(`${path}: missing (default will be used)`);
+    return;
+  }
+
+  const expectedType = typeName(expected);
+  const actualType = typeName(value);
+  if (expectedType !== actualType) {
+    issues.push(`${path}: expected ${expectedType}, got ${describeValue(value)}`);
+    return;
+  }
+
+  if (expectedType === 'object') {
+    for (const key of Object.keys(expected)) {
+      collectShapeIssues(value[key], expected[key], `${path}.${key}`, issues);
+    }
+  }
+}
+
+/**
+ * Validate save data structure against the current schema.
+ * Messages start with the offending path, e.g. "player.level: expected number >= 1, got 0"
  * Returns { valid: boolean, errors: string[], warnings: string[] }
  */
 export function validateSaveData(saveData) {
@@ -468,48 +582,40 @@ export function validateSaveData(saveData) {
   
   // Check version
   if (!saveData.version) {
-    errors.push('Missing save version');
+    errors.push('version: missing');
   } else if (saveData.version > SAVE_VERSION) {
-    errors.push(`Save version ${saveData.version} is newer than supported ${SAVE_VERSION}`);
+    errors.push(`version: save version ${saveData.version} is newer than supported ${SAVE_VERSION}`);
   } else if (saveData.version < SAVE_VERSION) {
-    warnings.push(`Save version ${saveData.version} will be migrated to ${SAVE_VERSION}`);
+    warnings.push(`version: save version ${saveData.version} will be migrated to ${SAVE_VERSION}`);
   }
   
   // Check required sections
-  const requiredSections = ['player', 'inventory', 'equipment', 'quest', 'world'];
-  for (const section of requiredSections) {
-    if (!saveData[section]) {
-      errors.push(`Missing required section: ${section}`);
-    }
-  }
-  
-  // Validate player data
-  if (saveData.player) {
-    if (typeof saveData.player.level !== 'number' || saveData.player.level < 1) {
-      errors.push('Invalid player level');
-    }
-    if (typeof saveData.player.health !== 'number' || saveData.player.health < 0) {
-      errors.push('Invalid player health');
-    }
-    if (!saveData.player.position || typeof saveData.player.position.x !== 'number') {
-      errors.push('Invalid player position');
+  for (const section of REQUIRED_SECTIONS) {
+    if (typeName(saveData[section]) !== 'object') {
+      errors.push(`${section}: missing required section`);
     }
   }
   
-  // Validate inventory
-  if (saveData.inventory) {
-    if (!Array.isArray(saveData.inventory.items)) {
-      warnings.push('Inventory items should be an array');
-    }
-    if (typeof saveData.inventory.gold !== 'number') {
-      warnings.push('Inventory gold should be a number');
+  // Fields the game can't start without
+  for (const [path, min] of REQUIRED_NUMBERS) {
+    if (typeName(saveData[path.split('.')[0]]) !== 'object') continue;
+    const value = getPath(saveData, path);
+    if (typeof value !== 'number' || !Number.isFinite(value) || (min !== null && value < min)) {
+      const expected = min !== null ? `number >= ${min}` : 'number';
+      errors.push(`${path}: expected ${expected}, got ${describeValue(value)}`);
     }
   }
   
-  // Validate world
-  if (saveData.world) {
-    if (!saveData.world.time || typeof saveData.world.time.currentHour !== 'number') {
-      warnings.push('Invalid world time data');
+  // Everything else: shape mismatches against the defaults are recoverable
+  if (saveData.version === SAVE_VERSION) {
+    const defaults = createDefaultSaveData();
+    for (const section of SAVE_SECTIONS) {
+      if (saveData[section] === undefined && !REQUIRED_SECTIONS.includes(section)) {
+        warnings.push(`${section}: missing (default will be used)`);
+        continue;
+      }
+      if (typeName(saveData[section]) !== 'object') continue;
+      collectShapeIssues(saveData[section], defaults[section], section, warnings);
     }
   }
   
@@ -523,64 +629,146 @@ export function validateSaveData(saveData) {
 // ========== MIGRATION SUPPORT ==========
 
 /**
- * Migrate save data from older versions
+ * Version 0 -> 1: pre-versioning saves get every section filled with defaults
+ */
+function migrateV0ToV1(saveData) {
+  return {
+    ...saveData,
+    player: { ...getDefaultPlayerData(), ...saveData.player },
+    inventory: { ...getDefaultInventoryData(), ...saveData.inventory },
+    equipment: { ...getDefaultEquipmentData(), ...saveData.equipment },
+    quest: { ...getDefaultQuestData(), ...saveData.quest },
+    reputation: { ...getDefaultReputationData(), ...saveData.reputation },
+    world: { ...getDefaultWorldData(), ...saveData.world },
+    crafting: { ...getDefaultCraftingData(), ...saveData.crafting },
+    gathering: { ...getDefaultGatheringData(), ...saveData.gathering },
+    combat: { ...getDefaultCombatData(), ...saveData.combat },
+    shop: { ...getDefaultShopData(), ...saveData.shop },
+  };
+}
+
+/**
+ * Version 1 -> 2: systems save through SaveManager instead of their own keys
+ */
+function migrateV1ToV2(saveData) {
+  // v1 read spells from fields SpellManager never had - start from the starter set
+  const { unlockedSpells, equippedSpells, spellCooldowns, ...player } = saveData.player || {};
+  
+  // v1 wrote LootManager's whole { gold, items, potionHotbar } object into items
+  const inventory = { ...getDefaultInventoryData(), ...saveData.inventory };
+  const snapshot = inventory.items;
+  if (snapshot && typeof snapshot.items === 'object' && !Array.isArray(snapshot)) {
+    inventory.gold = snapshot.gold ?? inventory.gold;
+    inventory.potionHotbar = snapshot.potionHotbar || inventory.potionHotbar;
+    inventory.items = { ...snapshot.items };
+  } else if (Array.isArray(snapshot)) {
+    inventory.items = {};
+  }
+  
+  const worldDefaults = getDefaultWorldData();
+  const world = { ...worldDefaults, ...saveData.world };
+  world.weather = { ...worldDefaults.weather, currentWeather: world.weather?.currentWeather || 'clear' };
+  world.rareEvents = worldDefaults.rareEvents;
+  
+  return {
+    ...saveData,
+    player: { ...getDefaultPlayerData(), ...player, spells: null },
+    inventory,
+    world,
+    quest: { ...getDefaultQuestData(), ...saveData.quest },
+    reputation: { ...getDefaultReputationData(), ...saveData.reputation },
+    crafting: { ...getDefaultCraftingData(), ...saveData.crafting },
+    combat: { ...getDefaultCombatData(), ...saveData.combat },
+  };
+}
+
+/**
+ * Version 2 -> 3: saves made before keys could be rebound keep the weapon
+ * and spell keys they were played with instead of the new defaults
+ */
+function migrateV2ToV3(saveData) {
+  if (saveData.settings?.keybindings) return saveData;
+  
+  return {
+    ...saveData,
+    settings: { ...saveData.settings, keybindings: cloneSaveData(PRE_REBINDING_KEYS) },
+  };
+}
+
+/**
+ * Migration registry - one pure step per schema version.
+ * Bumping SAVE_VERSION means appending a step here and adding a fixture
+ * save for the old version under test/fixtures/saves.
+ */
+export const SAVE_MIGRATIONS = [
+  { from: 0, to: 1, description: 'Added missing sections', migrate: migrateV0ToV1 },
+  { from: 1, to: 2, description: 'Added per-system save sections', migrate: migrateV1ToV2 },
+  { from: 2, to: 3, description: 'Kept pre-rebinding weapon and spell keys', migrate: migrateV2ToV3 },
+];
+
+/**
+ * Migrate save data from older versions by chaining registry steps.
+ * The input is never modified.
  */
 export function migrateSaveData(saveData) {
-  let currentData = { ...saveData };
-  let migrationsApplied = [];
+  let currentData = cloneSaveData(saveData);
+  const migrationsApplied = [];
   
   // Handle missing version (pre-versioning saves)
   if (!currentData.version) {
     currentData.version = 0;
   }
   
-  // Version 0 -> 1: Initial structure
-  if (currentData.version < 1) {
-    // Ensure all sections exist with defaults
-    currentData.player = { ...getDefaultPlayerData(), ...currentData.player };
-    currentData.inventory = { ...getDefaultInventoryData(), ...currentData.inventory };
-    currentData.equipment = { ...getDefaultEquipmentData(), ...currentData.equipment };
-    currentData.quest = { ...getDefaultQuestData(), ...currentData.quest };
-    currentData.reputation = { ...getDefaultReputationData(), ...currentData.reputation };
-    currentData.world = { ...getDefaultWorldData(), ...currentData.world };
-    currentData.crafting = { ...getDefaultCraftingData(), ...currentData.crafting };
-    currentData.gathering = { ...getDefaultGatheringData(), ...currentData.gathering };
-    currentData.combat = { ...getDefaultCombatData(), ...currentData.combat };
-    currentData.shop = { ...getDefaultShopData(), ...currentData.shop };
-    
-    currentData.version = 1;
-    migrationsApplied.push('v0 -> v1: Added missing sections');
+  while (currentData.version < SAVE_VERSION) {
+    const step = SAVE_MIGRATIONS.find(m => m.from === currentData.version);
+    if (!step) {
+      throw new Error(`No save migration from version ${currentData.version}`);
+    }
+    currentData = { ...step.migrate(currentData), version: step.to };
+    migrationsApplied.push(`v${step.from} -> v${step.to}: ${step.description}`);
   }
   
-  // Future migrations would go here:
-  // if (currentData.version < 2) { ... }
-  
   return {
     data: currentData,
     migrationsApplied,
   };
 }
 
+/**
+ * Bring any readable save up to the current schema and validate the result.
+ * Saves from a newer version are returned untouched with a 'newer' error.
+ * @returns {{ data, migrationsApplied, validation }}
+ */
+export function upgradeSaveData(saveData) {
+  if (saveData.version > SAVE_VERSION) {
+    return { data: saveData, migrationsApplied: [], validation: validateSaveData(saveData) };
+  }
+  
+  const { data, migrationsApplied } = migrateSaveData(saveData);
+  return { data, migrationsApplied, validation: validateSaveData(data) };
+}
+
 // ========== DELTA COMPRESSION UTILITIES ==========
 
+// Top-level fields every delta carries (cheap, and change on nearly every save)
+const DELTA_HEADER_FIELDS = ['version', 'updatedAt', 'playtime', 'locationName', 'playerName'];
+
 /**
  * Create a delta between two save states (for optimized storage)
- * Returns only changed fields
+ * Returns only changed sections plus the header fields
  */
 export function createSaveDelta(oldSave, newSave) {
   const delta = {
-    version: newSave.version,
-    updatedAt: newSave.updatedAt,
-    playtime: newSave.playtime,
     _isDelta: true,
     _baseTimestamp: oldSave.updatedAt,
   };
   
-  // Compare and include only changed sections
-  const sections = ['player', 'inventory', 'equipment', 'quest', 'reputation', 
-                    'world', 'crafting', 'gathering', 'combat', 'shop'];
+  for (const field of DELTA_HEADER_FIELDS) {
+    delta[field] = newSave[field];
+  }
   
-  for (const section of sections) {
+  // Compare and include only changed sections
+  for (const section of SAVE_SECTIONS) {
     if (JSON.stringify(oldSave[section]) !== JSON.stringify(newSave[section])) {
       delta[section] = newSave[section];
     }
@@ -599,22 +787,28 @@ export function applySaveDelta(baseSave, delta) {
   
   const result = { ...baseSave };
   
-  const sections = ['player', 'inventory', 'equipment', 'quest', 'reputation', 
-                    'world', 'crafting', 'gathering', 'combat', 'shop'];
-  
-  for (const section of sections) {
+  for (const section of SAVE_SECTIONS) {
     if (delta[section] !== undefined) {
       result[section] = delta[section];
     }
   }
   
-  result.version = delta.version;
-  result.updatedAt = delta.updatedAt;
-  result.playtime = delta.playtime;
+  for (const field of DELTA_HEADER_FIELDS) {
+    if (delta[field] !== undefined) {
+      result[field] = delta[field];
+    }
+  }
   
   return result;
 }
 
+/**
+ * Names of the sections a delta replaces
+ */
+export function getDeltaSections(delta) {
+  return SAVE_SECTIONS.filter(section => delta[section] !== undefined);
+}
+
 // ========== HELPERS ==========
 
 /**
@@ -657,6 +851,8 @@ export function formatTimestamp(timestamp) {
 export default {
   SAVE_VERSION,
   SAVE_SLOT_TYPE,
+  SAVE_SECTIONS,
+  SAVE_MIGRATIONS,
   getDefaultPlayerData,
   getDefaultInventoryData,
   getDefaultEquipmentData,
@@ -672,8 +868,10 @@ export default {
   createDefaultSaveData,
   validateSaveData,
   migrateSaveData,
+  upgradeSaveData,
   createSaveDelta,
   applySaveDelta,
+  getDeltaSections,
   cloneSaveData,
   getSaveDataSize,
   formatPlaytime,
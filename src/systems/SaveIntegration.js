@@ -10,17 +10,30 @@
  * - 'Saving...' indicator (non-blocking)
  * - Combat/cutscene save blocking
  * - Tutorial first save prompt
- * - Cloud save placeholder structure
+ * - Cloud Sync panel (push/pull slots to a save server, resolve conflicts)
+ * - World seed entry on New Game, seed display/copy in pause menu
  */
 
 import { getSaveManager, formatPlaytime, formatTimestamp, AUTOSAVE_SLOT, MAX_MANUAL_SLOTS } from './SaveManager.js';
 import { SAVE_SLOT_TYPE, createDefaultSaveData } from './SaveDataSchema.js';
 import { getSaveUI } from './SaveUI.js';
+import { getSaveSync, SYNC_ACTION } from './SaveSync.js';
+import { STORAGE_BACKEND_TYPE } from './SaveStorage.js';
+import { getInputMap } from './InputMap.js';
+import {
+  getWorldSeed,
+  normalizeWorldSeed,
+  generateWorldSeed,
+  getWorldSeedShareUrl,
+  requestWorldReload,
+  consumePendingWorldAction,
+} from '../world/WorldSeed.js';
 
 // ========== CONSTANTS ==========
 const VILLAGE_AREA_RADIUS = 50; // Units from village center
 const VILLAGE_CENTER = { x: 0, y: 0, z: 5 };
 const TUTORIAL_FIRST_SAVE_SHOWN_KEY = 'ashen_tutorial_save_shown';
+const DEFAULT_SYNC_ENDPOINT = 'http://localhost:8787';
 
 // ========== SAVE INTEGRATION CLASS ==========
 class SaveIntegration {
@@ -43,6 +56,8 @@ class SaveIntegration {
     this.pauseMenuOverlay = null;
     this.loadMenuOverlay = null;
     this.saveMenuOverlay = null;
+    this.newGameOverlay = null;
+    this.syncOverlay = null;
     this.confirmOverlay = null;
     
     // Game state
@@ -61,6 +76,10 @@ class SaveIntegration {
     this.saveManager = saveManager;
     this.systems = systems;
     
+    // Remote slot sync (restores the configured backend)
+    this.saveSync = getSaveSync();
+    this.saveSync.init(saveManager);
+    
     // Initialize SaveUI for enhanced features
     this.saveUI = getSaveUI();
     if (systems.renderer && systems.scene && systems.camera) {
@@ -82,6 +101,8 @@ class SaveIntegration {
     this.createPauseMenu();
     this.createLoadMenu();
     this.createSaveMenu();
+    this.createNewGameMenu();
+    this.createSyncMenu();
     this.createConfirmDialog();
     
     // Hook into save manager events
@@ -97,9 +118,16 @@ class SaveIntegration {
     const urlParams = new URLSearchParams(window.location.search);
     const autostart = urlParams.get('autostart');
     
+    // Resume a New Game / Load that reloaded the page to regenerate the world
+    const pendingWorld = consumePendingWorldAction();
+    
     // Show main menu if no active game (unless autostart)
     if (!this.gameStarted) {
-      if (autostart === 'true' || autostart === '1') {
+      if (pendingWorld?.type === 'new') {
+        this.startNewGame();
+      } else if (pendingWorld?.type === 'load') {
+        this.loadSlot(pendingWorld.slotId);
+      } else if (autostart === 'true' || autostart === '1') {
         console.log('[SaveIntegration] Autostart enabled - skipping main menu');
         this.startNewGame();
       } else {
@@ -230,6 +258,11 @@ class SaveIntegration {
         <div class="pause-info">
           <span id="pause-playtime">Playtime: 00:00</span>
         </div>
+        <div class="pause-info world-seed-info">
+          <span id="pause-world-seed">World Seed: -</span>
+          <button class="slot-btn" id="btn-copy-seed">Copy</button>
+          <button class="slot-btn" id="btn-copy-seed-link">Copy Link</button>
+        </div>
       </div>
     `;
     
@@ -241,6 +274,8 @@ class SaveIntegration {
     document.getElementById('btn-load-pause').onclick = () => this.showLoadMenu();
     document.getElementById('btn-settings-pause').onclick = () => this.showSettings();
     document.getElementById('btn-main-menu').onclick = () => this.confirmReturnToMainMenu();
+    document.getElementById('btn-copy-seed').onclick = () => this.copyWorldSeed();
+    document.getElementById('btn-copy-seed-link').onclick = () => this.copyWorldSeed(true);
   }
   
   /**
@@ -260,6 +295,7 @@ class SaveIntegration {
         <div class="save-slots" id="load-slots"></div>
         <div class="menu-actions">
           <button class="menu-btn secondary" id="btn-import-save">Import Save</button>
+          <button class="menu-btn secondary" id="btn-cloud-sync">Cloud Sync</button>
           <button class="menu-btn secondary" id="btn-load-back">Back</button>
         </div>
       </div>
@@ -274,6 +310,7 @@ class SaveIntegration {
       document.getElementById('import-file-input').click();
     };
     document.getElementById('import-file-input').onchange = (e) => this.handleImport(e);
+    document.getElementById('btn-cloud-sync').onclick = () => this.showSyncMenu();
   }
   
   /**
@@ -303,6 +340,94 @@ class SaveIntegration {
     document.getElementById('btn-save-back').onclick = () => this.hideSaveMenu();
   }
   
+  /**
+   * Create New Game overlay (world seed entry)
+   */
+  createNewGameMenu() {
+    if (document.getElementById('new-game-overlay')) {
+      this.newGameOverlay = document.getElementById('new-game-overlay');
+      return;
+    }
+    
+    this.newGameOverlay = document.createElement('div');
+    this.newGameOverlay.id = 'new-game-overlay';
+    this.newGameOverlay.innerHTML = `
+      <div class="menu-content new-game-menu">
+        <h2>NEW GAME</h2>
+        <label class="seed-label" for="world-seed-input">World Seed</label>
+        <div class="seed-row">
+          <input type="text" id="world-seed-input" maxlength="32" spellcheck="false" autocomplete="off">
+          <button class="slot-btn" id="btn-random-seed">Random</button>
+        </div>
+        <div class="seed-hint">Share a seed so others explore the identical world. Words work too.</div>
+        <div class="menu-actions">
+          <button class="menu-btn" id="btn-begin-new-game">Begin</button>
+          <button class="menu-btn secondary" id="btn-new-game-back">Back</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(this.newGameOverlay);
+    
+    const input = document.getElementById('world-seed-input');
+    document.getElementById('btn-random-seed').onclick = () => {
+      input.value = String(generateWorldSeed());
+    };
+    document.getElementById('btn-begin-new-game').onclick = () => this.submitNewGame();
+    document.getElementById('btn-new-game-back').onclick = () => this.hideNewGameMenu();
+    input.addEventListener('keydown', (e) => {
+      // Keep typing out of the game's key bindings
+      e.stopPropagation();
+      if (e.key === 'Enter') this.submitNewGame();
+    });
+  }
+  
+  /**
+   * Create Cloud Sync overlay (remote backend + per-slot sync status)
+   */
+  createSyncMenu() {
+    if (document.getElementById('sync-overlay')) {
+      this.syncOverlay = document.getElementById('sync-overlay');
+      return;
+    }
+    
+    this.syncOverlay = document.createElement('div');
+    this.syncOverlay.id = 'sync-overlay';
+    this.syncOverlay.innerHTML = `
+      <div class="menu-content sync-menu">
+        <h2>CLOUD SYNC</h2>
+        <div class="sync-row">
+          <select id="sync-backend">
+            <option value="">Off</option>
+            <option value="${STORAGE_BACKEND_TYPE.REST}">Save Server</option>
+            <option value="${STORAGE_BACKEND_TYPE.INDEXED_DB}">Browser Database</option>
+          </select>
+          <input type="text" id="sync-endpoint" spellcheck="false" autocomplete="off" placeholder="${DEFAULT_SYNC_ENDPOINT}">
+        </div>
+        <label class="sync-auto"><input type="checkbox" id="sync-auto-push"> Upload after every save</label>
+        <div class="sync-slots" id="sync-slots"></div>
+        <div class="menu-actions">
+          <button class="menu-btn" id="btn-sync-now">Sync Now</button>
+          <button class="menu-btn secondary" id="btn-sync-back">Back</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(this.syncOverlay);
+    
+    const backendSelect = document.getElementById('sync-backend');
+    const endpointInput = document.getElementById('sync-endpoint');
+    backendSelect.onchange = () => {
+      endpointInput.style.display = backendSelect.value === STORAGE_BACKEND_TYPE.REST ? '' : 'none';
+    };
+    endpointInput.addEventListener('keydown', (e) => e.stopPropagation());
+    document.getElementById('sync-auto-push').onchange = (e) => {
+      this.saveSync.setAutoPush(e.target.checked);
+    };
+    document.getElementById('btn-sync-now').onclick = () => this.runSync();
+    document.getElementById('btn-sync-back').onclick = () => this.hideSyncMenu();
+  }
+  
   /**
    * Create confirm dialog
    */
@@ -342,6 +467,8 @@ class SaveIntegration {
       #pause-menu-overlay,
       #load-menu-overlay,
       #save-menu-overlay,
+      #new-game-overlay,
+      #sync-overlay,
       #confirm-overlay {
         position: fixed;
         top: 0;
@@ -360,6 +487,8 @@ class SaveIntegration {
       #pause-menu-overlay.active,
       #load-menu-overlay.active,
       #save-menu-overlay.active,
+      #new-game-overlay.active,
+      #sync-overlay.active,
       #confirm-overlay.active {
         display: flex;
       }
@@ -459,6 +588,105 @@ class SaveIntegration {
         font-size: 14px;
       }
       
+      .world-seed-info {
+        display: flex;
+        gap: 8px;
+        justify-content: center;
+        align-items: center;
+        margin-top: 10px;
+      }
+      
+      /* New Game / World Seed */
+      .seed-label {
+        display: block;
+        color: #aaa;
+        font-size: 14px;
+        letter-spacing: 2px;
+        margin-bottom: 8px;
+      }
+      
+      .seed-row {
+        display: flex;
+        gap: 8px;
+        justify-content: center;
+      }
+      
+      #world-seed-input {
+        flex: 1;
+        background: rgba(30, 30, 40, 0.9);
+        border: 1px solid rgba(200, 170, 100, 0.4);
+        color: #ddd;
+        padding: 8px 12px;
+        font-size: 16px;
+        font-family: monospace;
+        border-radius: 3px;
+      }
+      
+      .seed-hint {
+        color: #666;
+        font-size: 12px;
+        margin-top: 10px;
+      }
+      
+      /* Cloud Sync */
+      .sync-row {
+        display: flex;
+        gap: 8px;
+        margin-bottom: 10px;
+      }
+      
+      #sync-backend,
+      #sync-endpoint {
+        background: rgba(30, 30, 40, 0.9);
+        border: 1px solid rgba(200, 170, 100, 0.4);
+        color: #ddd;
+        padding: 6px 10px;
+        font-size: 13px;
+        border-radius: 3px;
+      }
+      
+      #sync-endpoint {
+        flex: 1;
+        font-family: monospace;
+      }
+      
+      .sync-auto {
+        display: block;
+        color: #888;
+        font-size: 12px;
+        text-align: left;
+        margin-bottom: 16px;
+      }
+      
+      .sync-slots {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        margin-bottom: 20px;
+      }
+      
+      .sync-slot {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 12px;
+        background: rgba(30, 30, 40, 0.8);
+        border: 1px solid rgba(100, 100, 120, 0.3);
+        border-radius: 4px;
+        padding: 10px 14px;
+        text-align: left;
+      }
+      
+      .sync-slot.conflict {
+        border-color: rgba(200, 140, 60, 0.6);
+      }
+      
+      .sync-status {
+        color: #888;
+        font-size: 12px;
+        margin-top: 2px;
+      }
+      
       /* Save Slots */
       .save-slots {
         display: flex;
@@ -691,8 +919,8 @@ class SaveIntegration {
    */
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
-      // Escape - toggle pause
-      if (e.key === 'Escape') {
+      // Back (Esc) - toggle pause
+      if (getInputMap().matches(e, 'back')) {
         if (this.loadMenuOverlay?.classList.contains('active')) {
           this.hideLoadMenu();
         } else if (this.saveMenuOverlay?.classList.contains('active')) {
@@ -930,17 +1158,65 @@ class SaveIntegration {
     if (this.saveManager?.hasSaves()) {
       this.showConfirmDialog(
         'Start a new game? Your current saves will remain.',
-        () => this.startNewGame()
+        () => this.showNewGameMenu()
       );
     } else {
-      this.startNewGame();
+      this.showNewGameMenu();
+    }
+  }
+  
+  /**
+   * Show New Game overlay with a fresh random seed
+   */
+  showNewGameMenu() {
+    document.getElementById('world-seed-input').value = String(generateWorldSeed());
+    this.newGameOverlay?.classList.add('active');
+    document.getElementById('world-seed-input').focus();
+  }
+  
+  /**
+   * Hide New Game overlay
+   */
+  hideNewGameMenu() {
+    this.newGameOverlay?.classList.remove('active');
+  }
+  
+  /**
+   * Start a new game with the seed typed into the New Game overlay
+   */
+  submitNewGame() {
+    const input = document.getElementById('world-seed-input').value;
+    const seed = normalizeWorldSeed(input) ?? generateWorldSeed();
+    
+    this.hideNewGameMenu();
+    this.startNewGame(seed);
+  }
+  
+  /**
+   * Copy current world seed (or a share link) to the clipboard
+   */
+  async copyWorldSeed(asLink = false) {
+    const text = asLink ? getWorldSeedShareUrl() : String(getWorldSeed());
+    
+    try {
+      await navigator.clipboard.writeText(text);
+      this.showNotification(asLink ? 'World link copied' : `World seed ${text} copied`, 'success');
+    } catch (e) {
+      console.warn('[SaveIntegration] Clipboard unavailable:', e);
+      this.showNotification(`World seed: ${getWorldSeed()}`, 'info');
     }
   }
   
   /**
    * Start a new game
+   * @param {number} seed - World seed; a different seed than the current world regenerates it
    */
-  startNewGame() {
+  startNewGame(seed = getWorldSeed()) {
+    if (seed !== getWorldSeed()) {
+      requestWorldReload(seed, { type: 'new' });
+      return;
+    }
+    
     // Check if we're in autostart mode - use extra aggressive safety
     const isAutostart = window.AUTOSTART_MODE === true;
     
@@ -950,6 +1226,7 @@ class SaveIntegration {
     
     // Reset all game state to defaults
     const defaultData = createDefaultSaveData(0);
+    defaultData.world.seed = seed;
     this.saveManager?.distributeGameState(defaultData);
     
     // ==================================================================================
@@ -975,7 +1252,7 @@ class SaveIntegration {
       this.tutorialSaveShown = false;
       localStorage.removeItem(TUTORIAL_FIRST_SAVE_SHOWN_KEY);
       
-      this.showNotification('New game started', 'success');
+      this.showNotification(`New game started · World ${seed}`, 'success');
       return;
     }
     
@@ -1095,7 +1372,7 @@ class SaveIntegration {
     this.tutorialSaveShown = false;
     localStorage.removeItem(TUTORIAL_FIRST_SAVE_SHOWN_KEY);
     
-    this.showNotification('New game started', 'success');
+    this.showNotification(`New game started · World ${seed}`, 'success');
   }
   
   /**
@@ -1112,6 +1389,11 @@ class SaveIntegration {
       playtimeEl.textContent = `Playtime: ${this.saveManager.getFormattedPlaytime()}`;
     }
     
+    const seedEl = document.getElementById('pause-world-seed');
+    if (seedEl) {
+      seedEl.textContent = `World Seed: ${getWorldSeed()}`;
+    }
+    
     this.pauseMenuOverlay?.classList.add('active');
     
     // Pause game systems
@@ -1214,7 +1496,7 @@ class SaveIntegration {
           <div class="slot-info">
             <div class="slot-name">${slot.label} - Level ${meta.playerLevel} ${meta.playerName}</div>
             <div class="slot-details">
-              ${meta.locationName} · ${formatPlaytime(meta.playtime)} · ${formatTimestamp(meta.timestamp)}
+              ${meta.locationName} · ${formatPlaytime(meta.playtime)} · ${formatTimestamp(meta.timestamp)}${meta.worldSeed !== undefined ? ` · Seed ${meta.worldSeed}` : ''}
             </div>
           </div>
           <div class="slot-actions">
@@ -1280,6 +1562,153 @@ class SaveIntegration {
     }
   }
   
+  // ========== CLOUD SYNC ==========
+  
+  /**
+   * Show Cloud Sync panel with current settings and slot status
+   */
+  async showSyncMenu() {
+    const state = this.saveSync.state;
+    const backendSelect = document.getElementById('sync-backend');
+    const endpointInput = document.getElementById('sync-endpoint');
+    backendSelect.value = state.backendType || '';
+    endpointInput.value = state.endpoint || DEFAULT_SYNC_ENDPOINT;
+    endpointInput.style.display = backendSelect.value === STORAGE_BACKEND_TYPE.REST ? '' : 'none';
+    document.getElementById('sync-auto-push').checked = state.autoPush;
+    
+    this.syncOverlay?.classList.add('active');
+    
+    if (this.saveSync.isConfigured()) {
+      const reports = [];
+      try {
+        for (const slotId of this.saveSync.getSlotIds()) {
+          reports.push(await this.saveSync.compareSlot(slotId));
+        }
+        this.renderSyncSlots(reports);
+      } catch (e) {
+        this.renderSyncSlots([], `Remote unreachable: ${e.message}`);
+      }
+    } else {
+      this.renderSyncSlots([], 'Choose where to sync saves, then press Sync Now.');
+    }
+  }
+  
+  /**
+   * Hide Cloud Sync panel
+   */
+  hideSyncMenu() {
+    this.syncOverlay?.classList.remove('active');
+    this.populateLoadSlots();
+  }
+  
+  /**
+   * Apply the chosen backend and sync every slot
+   */
+  async runSync() {
+    const type = document.getElementById('sync-backend').value || null;
+    const endpoint = document.getElementById('sync-endpoint').value.trim() || DEFAULT_SYNC_ENDPOINT;
+    
+    const configured = this.saveSync.configure(type, type === STORAGE_BACKEND_TYPE.REST ? { endpoint } : {});
+    if (!configured.success) {
+      this.showNotification(configured.error, 'error');
+      return;
+    }
+    if (!type) {
+      this.renderSyncSlots([], 'Sync is off.');
+      return;
+    }
+    
+    this.renderSyncSlots([], 'Syncing...');
+    const result = await this.saveSync.syncAll();
+    this.renderSyncSlots(result.slots);
+    
+    if (result.conflicts > 0) {
+      this.showNotification(`${result.conflicts} slot(s) need a choice`, 'info');
+    } else if (result.success) {
+      this.showNotification('Saves synced', 'success');
+    } else {
+      this.showNotification('Some slots failed to sync', 'error');
+    }
+  }
+  
+  /**
+   * Render per-slot sync status; conflicts get Keep Local / Use Cloud buttons
+   */
+  renderSyncSlots(reports, message = '') {
+    const container = document.getElementById('sync-slots');
+    if (!container) return;
+    container.innerHTML = message ? `<div class="sync-status">${message}</div>` : '';
+    
+    const labels = {};
+    for (const slot of this.saveManager.listSaves()) {
+      labels[slot.slotId] = slot.label;
+    }
+    
+    for (const report of reports) {
+      const row = document.createElement('div');
+      row.className = `sync-slot ${report.action === SYNC_ACTION.CONFLICT ? 'conflict' : ''}`;
+      row.innerHTML = `
+        <div>
+          <div class="slot-name">${labels[report.slotId] || `Slot ${report.slotId}`}</div>
+          <div class="sync-status">${this.describeSyncReport(report)}</div>
+        </div>
+        ${report.action === SYNC_ACTION.CONFLICT ? `
+          <div class="slot-actions">
+            <button class="slot-btn" data-resolve="local">Keep Local</button>
+            <button class="slot-btn" data-resolve="remote">Use Cloud</button>
+          </div>
+        ` : ''}
+      `;
+      
+      row.querySelectorAll('[data-resolve]').forEach(btn => {
+        btn.onclick = () => {
+          const keepLocal = btn.dataset.resolve === 'local';
+          this.showConfirmDialog(
+            keepLocal ? 'Overwrite the cloud copy with this save?' : 'Overwrite this save with the cloud copy?',
+            async () => {
+              const result = await this.saveSync.syncSlot(report.slotId, btn.dataset.resolve);
+              this.showNotification(result.success ? 'Conflict resolved' : `Sync failed: ${result.error}`,
+                result.success ? 'success' : 'error');
+              this.showSyncMenu();
+            }
+          );
+        };
+      });
+      
+      container.appendChild(row);
+    }
+  }
+  
+  /**
+   * One-line status for a slot sync report
+   */
+  describeSyncReport(report) {
+    const describe = (meta) => `Lv ${meta.playerLevel} · ${formatPlaytime(meta.playtime || 0)} · ${formatTimestamp(meta.timestamp)}`;
+    
+    if (report.error && report.action !== SYNC_ACTION.CONFLICT) {
+      return `Failed: ${report.error}`;
+    }
+    
+    switch (report.action) {
+      case SYNC_ACTION.NONE:
+        return 'Empty';
+      case SYNC_ACTION.IN_SYNC:
+        return `In sync · ${describe(report.local)}`;
+      case SYNC_ACTION.PUSH:
+        return `${report.applied ? 'Uploaded' : 'Local is newer'} · ${describe(report.local)}`;
+      case SYNC_ACTION.PULL:
+        return `${report.applied ? 'Downloaded' : 'Cloud is newer'} · ${describe(report.remote)}`;
+      case SYNC_ACTION.CONFLICT: {
+        const { newer, furtherAlong, diverged } = report.conflict;
+        const side = (which) => which === 'local' ? 'this save' : 'cloud';
+        return `Both changed · Local ${describe(report.local)} · Cloud ${describe(report.remote)}` +
+          ` · ${diverged ? `${side(newer)} is newer, ${side(furtherAlong)} has more playtime` : `${side(newer)} is ahead`}`;
+      }
+      default:
+        return '';
+    }
+  }
+  
   // ========== SAVE MENU ==========
   
   /**
@@ -1399,8 +1828,8 @@ class SaveIntegration {
   confirmDeleteSlot(slotId, label) {
     this.showConfirmDialog(
       `Delete ${label}? This cannot be undone.`,
-      () => {
-        this.saveManager?.deleteSave(slotId);
+      async () => {
+        await this.saveManager?.deleteSave(slotId);
         this.populateLoadSlots();
         this.showNotification('Save deleted', 'success');
       }
@@ -1604,6 +2033,8 @@ class SaveIntegration {
     this.pauseMenuOverlay?.classList.remove('active');
     this.loadMenuOverlay?.classList.remove('active');
     this.saveMenuOverlay?.classList.remove('active');
+    this.newGameOverlay?.classList.remove('active');
+    this.syncOverlay?.classList.remove('active');
     this.confirmOverlay?.classList.remove('active');
   }
   
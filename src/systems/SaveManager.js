@@ -9,25 +9,32 @@
  * - Distribute loaded state to all managers
  * - Import/export saves as downloadable JSON
  * - Autosave triggers (village entry, quest complete, timer)
- * - Save size optimization with delta compression
+ * - Autosaves stored as a base snapshot plus a short chain of section deltas
  * - Corrupt save recovery
- * - Cloud save structure ready (localStorage now)
+ * - Pluggable storage backend (localStorage default, IndexedDB, REST - see SaveStorage.js)
+ * - Raw slot records for SaveSync (remote push/pull with conflict detection)
+ * - One-time import of legacy per-system storage keys (see LegacySaveMigration.js)
  */
 
 import LZString from 'lz-string';
 import {
-  SAVE_VERSION,
   SAVE_SLOT_TYPE,
   createDefaultSaveData,
   createSaveMetadata,
   validateSaveData,
-  migrateSaveData,
+  upgradeSaveData,
   cloneSaveData,
+  createSaveDelta,
+  applySaveDelta,
+  getDeltaSections,
   getSaveDataSize,
   formatPlaytime,
   formatTimestamp,
 } from './SaveDataSchema.js';
 import { getStateRestoration } from './StateRestoration.js';
+import { migrateLegacyStorage } from './LegacySaveMigration.js';
+import { LocalStorageBackend } from './SaveStorage.js';
+import { DEFAULT_WORLD_SEED, getWorldSeed, requestWorldReload } from '../world/WorldSeed.js';
 
 // ========== CONSTANTS ==========
 const STORAGE_PREFIX = 'ashen_save_';
@@ -38,6 +45,9 @@ const MAX_MANUAL_SLOTS = 3;
 const AUTOSAVE_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
 const MAX_SAVE_SIZE_BYTES = 5 * 1024 * 1024; // 5MB per save
 const STORAGE_WARNING_THRESHOLD = 0.8; // Warn at 80% capacity
+const AUTOSAVE_DELTA_PREFIX = `${STORAGE_PREFIX}${AUTOSAVE_SLOT}_delta_`;
+const MAX_AUTOSAVE_DELTAS = 8; // Compact into a fresh base after this many
+const DELTA_COMPACT_RATIO = 0.5; // ...or once the deltas outweigh half the base
 
 // ========== SAVE MANAGER CLASS ==========
 class SaveManager {
@@ -56,6 +66,10 @@ class SaveManager {
     this.autosaveTimer = null;
     this.lastAutosaveTime = 0;
     
+    // Autosave delta chain written this session:
+    // { lastState, baseSize, deltaSizes[] } - null means next autosave writes a base
+    this.autosaveChain = null;
+    
     // Flags
     this.isSaving = false;
     this.isLoading = false;
@@ -71,6 +85,11 @@ class SaveManager {
     this.onLoadError = [];
     this.onAutosaveTrigger = [];
     
+    // Where slot data lives (metadata index stays in localStorage)
+    this.storage = new LocalStorageBackend({
+      onQuotaExceeded: () => this.freeStorageSpace(),
+    });
+    
     // Cache for slot metadata
     this.slotMetadataCache = {};
     
@@ -94,6 +113,7 @@ class SaveManager {
       lootManager: systems.lootManager || null,
       questManager: systems.questManager || null,
       questRewards: systems.questRewards || null,
+      bountyBoard: systems.bountyBoard || null,
       timeManager: systems.timeManager || null,
       weatherManager: systems.weatherManager || null,
       craftingManager: systems.craftingManager || null,
@@ -101,8 +121,18 @@ class SaveManager {
       shopManager: systems.shopManager || null,
       bossSpawner: systems.bossSpawner || null,
       dungeonManager: systems.dungeonManager || null,
+      dungeonRewards: systems.dungeonRewards || null,
+      puzzleManager: systems.puzzleManager || null,
       spellManager: systems.spellManager || null,
       manaManager: systems.manaManager || null,
+      weaponManager: systems.weaponManager || null,
+      chestManager: systems.chestManager || null,
+      companionManager: systems.companionManager || null,
+      fastTravelManager: systems.fastTravelManager || null,
+      rareEventManager: systems.rareEventManager || null,
+      timeWeatherGameplay: systems.timeWeatherGameplay || null,
+      inputMap: systems.inputMap || null,
+      worldFlags: systems.worldFlags || null,
       npcManager: systems.npcManager || null,
       scene: systems.scene || null,
       hud: systems.hud || null,
@@ -118,12 +148,23 @@ class SaveManager {
     this.stateRestoration = getStateRestoration();
     this.stateRestoration.registerSystems(this.systems);
     
+    // Fold pre-SaveManager localStorage keys into a slot (first run only)
+    migrateLegacyStorage(this);
+    
     // Start autosave timer
     this.startAutosaveTimer();
     
     console.log('[SaveManager] Systems registered');
   }
   
+  /**
+   * Register a system created after init (e.g. fast travel)
+   */
+  registerSystem(key, system) {
+    this.systems[key] = system;
+    this.stateRestoration?.registerSystems(this.systems);
+  }
+  
   // ========== CORE SAVE/LOAD ==========
   
   /**
@@ -161,24 +202,16 @@ class SaveManager {
         throw new Error(`Invalid save data: ${validation.errors.join(', ')}`);
       }
       
-      // Compress and store
-      const compressed = this.compressSaveData(saveData);
-      const storageKey = `${STORAGE_PREFIX}${slotId}`;
-      
-      // Check size
-      const size = compressed.length * 2; // UTF-16 chars = 2 bytes each
-      if (size > MAX_SAVE_SIZE_BYTES) {
-        throw new Error(`Save size (${(size / 1024).toFixed(1)}KB) exceeds limit`);
-      }
-      
-      // Write to localStorage with quota handling
-      const storageResult = this.safeStorageSet(storageKey, compressed);
-      if (!storageResult.success) {
-        throw new Error(storageResult.error);
-      }
+      // Compress and store (autosaves append a delta when they can)
+      const size = isAutosave && slotId === AUTOSAVE_SLOT
+        ? await this.writeAutosave(saveData)
+        : await this.writeSnapshot(slotId, saveData);
       
       // Update metadata cache
       const metadata = createSaveMetadata(saveData);
+      if (slotId === AUTOSAVE_SLOT && this.autosaveChain) {
+        metadata.deltaCount = this.autosaveChain.deltaSizes.length;
+      }
       this.slotMetadataCache[slotId] = metadata;
       this.saveSlotMetadata();
       
@@ -226,42 +259,32 @@ class SaveManager {
     this.emitEvent('onLoadStart', { slotId });
     
     try {
-      // Read from localStorage
-      const storageKey = `${STORAGE_PREFIX}${slotId}`;
-      const compressed = localStorage.getItem(storageKey);
+      // Read from the storage backend (base snapshot + any autosave deltas)
+      let saveData = await this.readSaveData(slotId);
       
-      if (!compressed) {
-        throw new Error('Save slot is empty');
+      // Migrate to the current schema, then validate
+      const upgrade = upgradeSaveData(saveData);
+      if (upgrade.validation.errors.some(e => e.includes('newer'))) {
+        throw new Error('Save from newer game version');
       }
-      
-      // Decompress
-      let saveData;
-      try {
-        saveData = this.decompressSaveData(compressed);
-      } catch (e) {
-        // Try recovery
-        console.warn('[SaveManager] Attempting corrupt save recovery...');
-        saveData = this.attemptRecovery(compressed);
-        if (!saveData) {
-          throw new Error('Save data corrupted and unrecoverable');
-        }
+      if (upgrade.migrationsApplied.length > 0) {
+        console.log('[SaveManager] Migrations applied:', upgrade.migrationsApplied);
       }
-      
-      // Validate and migrate if needed
-      const validation = validateSaveData(saveData);
-      if (validation.warnings.length > 0) {
-        console.warn('[SaveManager] Save warnings:', validation.warnings);
+      if (upgrade.validation.errors.length > 0) {
+        console.warn('[SaveManager] Save errors:', upgrade.validation.errors);
       }
-      
-      if (!validation.valid && validation.errors.some(e => e.includes('newer'))) {
-        throw new Error('Save from newer game version');
+      if (upgrade.validation.warnings.length > 0) {
+        console.warn('[SaveManager] Save warnings:', upgrade.validation.warnings);
       }
-      
-      // Migrate if needed
-      if (saveData.version < SAVE_VERSION) {
-        const migration = migrateSaveData(saveData);
-        saveData = migration.data;
-        console.log('[SaveManager] Migrations applied:', migration.migrationsApplied);
+      saveData = upgrade.data;
+      
+      // Save belongs to another world - regenerate it, then load again after reload
+      const saveSeed = saveData.world?.seed ?? DEFAULT_WORLD_SEED;
+      if (saveSeed !== getWorldSeed()) {
+        console.log(`[SaveManager] Save uses world seed ${saveSeed}, regenerating world`);
+        if (requestWorldReload(saveSeed, { type: 'load', slotId })) {
+          return { success: true, slotId, reloading: true };
+        }
       }
       
       // Use StateRestoration for proper initialization order
@@ -303,10 +326,17 @@ class SaveManager {
   /**
    * Delete a save slot
    */
-  deleteSave(slotId) {
+  async deleteSave(slotId) {
     try {
       const storageKey = `${STORAGE_PREFIX}${slotId}`;
-      localStorage.removeItem(storageKey);
+      const removeResult = await this.storage.remove(storageKey);
+      if (!removeResult.success) {
+        throw new Error(removeResult.error);
+      }
+      
+      if (slotId === AUTOSAVE_SLOT) {
+        await this.resetAutosaveChain();
+      }
       
       delete this.slotMetadataCache[slotId];
       this.saveSlotMetadata();
@@ -378,6 +408,7 @@ class SaveManager {
       
       // Infusions
       saveData.player.infusions = { ...gm.infusions };
+      saveData.player.boneBladeKills = gm.boneBladeKills || 0;
       
       // Abilities
       saveData.player.unlockedAbilities = Array.from(gm.unlockedAbilities || []);
@@ -386,6 +417,7 @@ class SaveManager {
       // Death tracking
       saveData.player.deathCount = gm.deathCount || 0;
       saveData.player.deathLessons = { ...gm.deathLessons };
+      saveData.player.deathResearch = gm.deathResearch ? gm.deathResearch.serialize() : saveData.player.deathResearch;
       
       // Checkpoint
       if (gm.checkpoint) {
@@ -418,99 +450,74 @@ class SaveManager {
     
     // Spells
     if (this.systems.spellManager) {
-      const sm = this.systems.spellManager;
-      saveData.player.unlockedSpells = Array.from(sm.unlockedSpells || ['fireball']);
-      saveData.player.equippedSpells = [...(sm.equippedSpells || ['fireball', null, null, null])];
+      saveData.player.spells = this.systems.spellManager.getSaveData();
+    }
+    
+    // Companion
+    if (this.systems.companionManager) {
+      saveData.player.companion = this.systems.companionManager.getSaveData();
     }
     
     // ===== INVENTORY DATA =====
     if (this.systems.lootManager) {
-      const lm = this.systems.lootManager;
-      saveData.inventory.gold = lm.gold || 0;
-      saveData.inventory.items = cloneSaveData(lm.inventory || []);
-      saveData.inventory.bossSouls = Array.from(lm.collectedSouls || []);
-      saveData.inventory.bossTrophies = Array.from(lm.collectedTrophies || []);
+      const loot = this.systems.lootManager.getSaveData();
+      saveData.inventory.gold = loot.gold;
+      saveData.inventory.items = loot.items;
+      saveData.inventory.potionHotbar = loot.potionHotbar;
+      saveData.combat.bossKills = loot.bossKills;
     }
     
     // ===== EQUIPMENT DATA =====
     if (this.systems.equipmentManager) {
-      const em = this.systems.equipmentManager;
-      
-      saveData.equipment.equipped = {
-        weapon: em.equipped?.weapon ? cloneSaveData(em.equipped.weapon) : null,
-        armor: em.equipped?.armor ? cloneSaveData(em.equipped.armor) : null,
-        accessory: em.equipped?.accessory ? cloneSaveData(em.equipped.accessory) : null,
-      };
-      
-      saveData.equipment.weaponSlots = (em.weaponSlots || []).map(w => 
-        w ? cloneSaveData(w) : null
-      );
-      saveData.equipment.activeWeaponSlot = em.activeWeaponSlot || 0;
-      saveData.equipment.potionSlots = [...(em.potionSlots || [null, null])];
+      const equipment = this.systems.equipmentManager.getSaveData();
+      saveData.equipment.equipped = equipment.equipped;
+      saveData.inventory.equipment = equipment.inventory;
+    }
+    
+    if (this.systems.weaponManager) {
+      const weapons = this.systems.weaponManager.getSaveData();
+      saveData.equipment.weaponSlots = weapons.quickSlots;
+      saveData.equipment.activeWeaponSlot = weapons.activeSlot;
     }
     
     // ===== QUEST DATA =====
     if (this.systems.questManager) {
-      const qm = this.systems.questManager;
-      
-      // Active quests (serialize Map to array)
-      saveData.quest.activeQuests = [];
-      if (qm.activeQuests) {
-        qm.activeQuests.forEach((state, questId) => {
-          saveData.quest.activeQuests.push({
-            questId,
-            ...cloneSaveData(state),
-          });
-        });
-      }
-      
-      saveData.quest.completedQuests = Array.from(qm.completedQuests || []);
-      saveData.quest.failedQuests = Array.from(qm.failedQuests || []);
-      saveData.quest.availableQuests = Array.from(qm.availableQuests || []);
-      
-      // Cooldowns (serialize Map)
-      saveData.quest.questCooldowns = {};
-      if (qm.questCooldowns) {
-        qm.questCooldowns.forEach((time, questId) => {
-          saveData.quest.questCooldowns[questId] = time;
-        });
-      }
-      
-      saveData.quest.trackedQuests = [...(qm.trackedQuests || [])];
+      Object.assign(saveData.quest, this.systems.questManager.getSaveData());
+    }
+    if (this.systems.bountyBoard) {
+      saveData.quest.bountyBoard = this.systems.bountyBoard.getSaveData();
     }
     
     // ===== REPUTATION DATA =====
     if (this.systems.questRewards) {
-      const qr = this.systems.questRewards;
-      
-      saveData.reputation.factions = { ...qr.reputation };
-      saveData.reputation.titles = Array.from(qr.unlockedTitles || []);
-      saveData.reputation.activeTitle = qr.activeTitle || null;
-      saveData.reputation.unlockedMilestones = Array.from(qr.unlockedMilestones || []);
-      saveData.reputation.achievements = Array.from(qr.unlockedAchievements || []);
+      Object.assign(saveData.reputation, this.systems.questRewards.getSaveData());
     }
     
     // ===== WORLD DATA =====
+    saveData.world.seed = getWorldSeed();
+    
     if (this.systems.timeManager) {
-      const tm = this.systems.timeManager;
-      saveData.world.time = {
-        currentHour: tm.currentHour || 10,
-        currentMinute: tm.currentMinute || 0,
-        currentDay: tm.currentDay || 1,
-        dayPhase: tm.dayPhase || 'day',
-        moonPhase: tm.moonPhase || 4,
-        isPaused: tm.isPaused || false,
-      };
+      saveData.world.time = this.systems.timeManager.getSaveData();
     }
     
     if (this.systems.weatherManager) {
-      const wm = this.systems.weatherManager;
-      saveData.world.weather = {
-        currentWeather: wm.currentWeather || 'clear',
-        intensity: wm.intensity || 0,
-        transitionProgress: wm.transitionProgress || 0,
-        lastWeatherChange: wm.lastWeatherChange || 0,
-      };
+      saveData.world.weather = this.systems.weatherManager.getSaveData();
+    }
+    
+    if (this.systems.timeWeatherGameplay) {
+      saveData.world.gameplay = this.systems.timeWeatherGameplay.getSaveData();
+    }
+    
+    if (this.systems.fastTravelManager) {
+      saveData.world.fastTravelLocations = this.systems.fastTravelManager.getSaveData();
+    }
+    
+    if (this.systems.chestManager) {
+      saveData.world.openedChests = this.systems.chestManager.getSaveData();
+    }
+    
+    if (this.systems.rareEventManager) {
+      saveData.world.rareEvents = this.systems.rareEventManager.getSaveData();
     }
     
     // Boss defeats
@@ -520,17 +527,23 @@ class SaveManager {
       );
     }
     
-    // Dungeon states
+    // Dungeons
     if (this.systems.dungeonManager) {
-      const dm = this.systems.dungeonManager;
-      saveData.world.dungeons = cloneSaveData(dm.dungeonStates || {});
+      saveData.world.dungeons = this.systems.dungeonManager.getSaveData();
+    }
+    if (this.systems.dungeonRewards) {
+      saveData.world.dungeonRewards = this.systems.dungeonRewards.getSaveData();
+    }
+    if (this.systems.puzzleManager) {
+      saveData.world.puzzles = this.systems.puzzleManager.getSaveData();
+    }
+    if (this.systems.worldFlags) {
+      saveData.world.worldFlags = this.systems.worldFlags.getSaveData();
     }
     
     // ===== CRAFTING DATA =====
     if (this.systems.craftingManager) {
-      const cm = this.systems.craftingManager;
-      saveData.crafting.unlockedRecipes = Array.from(cm.unlockedRecipes || []);
-      saveData.crafting.craftingStats = cloneSaveData(cm.stats || {});
+      Object.assign(saveData.crafting, this.systems.craftingManager.getSaveData());
     }
     
     // ===== GATHERING DATA =====
@@ -569,6 +582,11 @@ class SaveManager {
       this.systems.bossSpawner?.killCounts || {}
     );
     
+    // ===== SETTINGS =====
+    if (this.systems.inputMap) {
+      saveData.settings = { keybindings: this.systems.inputMap.getSaveData() };
+    }
+    
     // ===== METADATA =====
     saveData.locationName = this.getCurrentLocationName();
     
@@ -653,8 +671,9 @@ class SaveManager {
       gm.stats = { ...p.stats };
       gm.spentStatPoints = p.spentStatPoints;
       
-      // Infusions
-      gm.infusions = { ...p.infusions };
+      // Infusions (legacy stat tracks are refunded)
+      gm.setInfusions(p.infusions);
+      gm.boneBladeKills = p.boneBladeKills || 0;
       
       // Abilities
       gm.unlockedAbilities = new Set(p.unlockedAbilities || []);
@@ -663,6 +682,7 @@ class SaveManager {
       // Death tracking
       gm.deathCount = p.deathCount;
       gm.deathLessons = { ...p.deathLessons };
+      if (gm.deathResearch) gm.deathResearch.deserialize(p.deathResearch);
       
       // Checkpoint
       if (p.checkpoint) {
@@ -694,109 +714,80 @@ class SaveManager {
     
     // Spells
     if (this.systems.spellManager && saveData.player) {
-      this.systems.spellManager.unlockedSpells = new Set(saveData.player.unlockedSpells);
-      this.systems.spellManager.equippedSpells = [...saveData.player.equippedSpells];
+      this.systems.spellManager.loadSaveData(saveData.player.spells);
+    }
+    
+    // Companion (after the level, which sets their stats)
+    if (this.systems.companionManager && saveData.player) {
+      this.systems.companionManager.loadSaveData(saveData.player.companion);
     }
     
     // ===== INVENTORY =====
     if (this.systems.lootManager && saveData.inventory) {
-      const lm = this.systems.lootManager;
       const inv = saveData.inventory;
-      
-      lm.gold = inv.gold;
-      lm.inventory = cloneSaveData(inv.items);
-      lm.collectedSouls = new Set(inv.bossSouls);
-      lm.collectedTrophies = new Set(inv.bossTrophies);
+      this.systems.lootManager.loadSaveData({
+        gold: inv.gold,
+        items: inv.items,
+        potionHotbar: inv.potionHotbar,
+        bossKills: saveData.combat?.bossKills,
+      });
     }
     
     // ===== EQUIPMENT =====
     if (this.systems.equipmentManager && saveData.equipment) {
-      const em = this.systems.equipmentManager;
-      const eq = saveData.equipment;
-      
-      em.equipped = {
-        weapon: eq.equipped.weapon ? cloneSaveData(eq.equipped.weapon) : null,
-        armor: eq.equipped.armor ? cloneSaveData(eq.equipped.armor) : null,
-        accessory: eq.equipped.accessory ? cloneSaveData(eq.equipped.accessory) : null,
-      };
-      
-      em.weaponSlots = eq.weaponSlots.map(w => w ? cloneSaveData(w) : null);
-      em.activeWeaponSlot = eq.activeWeaponSlot;
-      em.potionSlots = [...eq.potionSlots];
-      
-      // Re-render equipped weapon if method exists
-      if (em.refreshEquippedWeapon) em.refreshEquippedWeapon();
+      this.systems.equipmentManager.loadSaveData({
+        equipped: saveData.equipment.equipped,
+        inventory: saveData.inventory?.equipment,
+      });
+    }
+    
+    if (this.systems.weaponManager && saveData.equipment) {
+      this.systems.weaponManager.loadSaveData({
+        activeSlot: saveData.equipment.activeWeaponSlot,
+        quickSlots: saveData.equipment.weaponSlots,
+      });
     }
     
     // ===== QUESTS =====
     if (this.systems.questManager && saveData.quest) {
-      const qm = this.systems.questManager;
-      const q = saveData.quest;
-      
-      // Restore active quests as Map
-      qm.activeQuests = new Map();
-      (q.activeQuests || []).forEach(qs => {
-        const { questId, ...state } = qs;
-        qm.activeQuests.set(questId, state);
-      });
-      
-      qm.completedQuests = new Set(q.completedQuests);
-      qm.failedQuests = new Set(q.failedQuests);
-      qm.availableQuests = new Set(q.availableQuests);
-      
-      // Restore cooldowns
-      qm.questCooldowns = new Map();
-      Object.entries(q.questCooldowns || {}).forEach(([id, time]) => {
-        qm.questCooldowns.set(id, time);
-      });
-      
-      qm.trackedQuests = [...(q.trackedQuests || [])];
-      
-      // Refresh UI
-      if (qm.updateQuestUI) qm.updateQuestUI();
+      // Generated bounties must be registered before accepted ones are looked up
+      this.systems.bountyBoard?.loadSaveData(saveData.quest.bountyBoard);
+      this.systems.questManager.loadSaveData(saveData.quest);
     }
     
     // ===== REPUTATION =====
     if (this.systems.questRewards && saveData.reputation) {
-      const qr = this.systems.questRewards;
-      const r = saveData.reputation;
-      
-      qr.reputation = { ...r.factions };
-      qr.unlockedTitles = new Set(r.titles);
-      qr.activeTitle = r.activeTitle;
-      qr.unlockedMilestones = new Set(r.unlockedMilestones);
-      qr.unlockedAchievements = new Set(r.achievements);
+      this.systems.questRewards.loadSaveData(saveData.reputation);
     }
     
-    // ===== TIME =====
+    // ===== TIME & WEATHER =====
     if (this.systems.timeManager && saveData.world?.time) {
-      const tm = this.systems.timeManager;
-      const t = saveData.world.time;
-      
-      tm.currentHour = t.currentHour;
-      tm.currentMinute = t.currentMinute;
-      tm.currentDay = t.currentDay;
-      tm.dayPhase = t.dayPhase;
-      tm.moonPhase = t.moonPhase;
-      tm.isPaused = t.isPaused;
-      
-      // Update celestial bodies
-      if (tm.updateCelestials) tm.updateCelestials();
-      if (tm.updateClockUI) tm.updateClockUI();
+      this.systems.timeManager.loadSaveData(saveData.world.time);
     }
     
-    // ===== WEATHER =====
     if (this.systems.weatherManager && saveData.world?.weather) {
-      const wm = this.systems.weatherManager;
-      const w = saveData.world.weather;
-      
-      wm.currentWeather = w.currentWeather;
-      wm.intensity = w.intensity;
-      wm.transitionProgress = w.transitionProgress;
-      wm.lastWeatherChange = w.lastWeatherChange;
-      
-      // Apply weather visuals
-      if (wm.applyWeather) wm.applyWeather();
+      this.systems.weatherManager.loadSaveData(saveData.world.weather);
+    }
+    
+    if (this.systems.timeWeatherGameplay && saveData.world) {
+      this.systems.timeWeatherGameplay.loadSaveData(saveData.world.gameplay);
+    }
+    
+    // ===== WORLD =====
+    if (this.systems.fastTravelManager && saveData.world) {
+      this.systems.fastTravelManager.loadSaveData(saveData.world.fastTravelLocations);
+    }
+    
+    if (this.systems.chestManager && saveData.world) {
+      this.systems.chestManager.loadSaveData(saveData.world.openedChests);
+    }
+    
+    if (this.systems.rareEventManager && saveData.world) {
+      this.systems.rareEventManager.loadSaveData(saveData.world.rareEvents);
+    }
+    
+    if (this.systems.worldFlags && saveData.world) {
+      this.systems.worldFlags.loadSaveData(saveData.world.worldFlags);
     }
     
     // ===== BOSSES =====
@@ -805,15 +796,25 @@ class SaveManager {
     }
     
     // ===== DUNGEONS =====
-    if (this.systems.dungeonManager && saveData.world?.dungeons) {
-      this.systems.dungeonManager.dungeonStates = cloneSaveData(saveData.world.dungeons);
+    if (this.systems.dungeonManager && saveData.world) {
+      this.systems.dungeonManager.loadSaveData(saveData.world.dungeons);
+    }
+    if (this.systems.dungeonRewards && saveData.world) {
+      this.systems.dungeonRewards.loadSaveData(saveData.world.dungeonRewards);
+    }
+    if (this.systems.puzzleManager && saveData.world) {
+      this.systems.puzzleManager.loadSaveData(saveData.world.puzzles);
+    }
+    
+    // ===== SETTINGS =====
+    // Saves without keybindings keep the current map
+    if (this.systems.inputMap && saveData.settings?.keybindings) {
+      this.systems.inputMap.loadSaveData(saveData.settings.keybindings);
     }
     
     // ===== CRAFTING =====
     if (this.systems.craftingManager && saveData.crafting) {
-      const cm = this.systems.craftingManager;
-      cm.unlockedRecipes = new Set(saveData.crafting.unlockedRecipes);
-      cm.stats = cloneSaveData(saveData.crafting.craftingStats);
+      this.systems.craftingManager.loadSaveData(saveData.crafting);
     }
     
     // ===== GATHERING =====
@@ -848,6 +849,128 @@ class SaveManager {
     console.log('[SaveManager] Game state distributed to all systems');
   }
   
+  // ========== SNAPSHOTS & AUTOSAVE DELTAS ==========
+  
+  /**
+   * Write a full compressed snapshot to a slot
+   * @returns {Promise<number>} Bytes written
+   */
+  async writeSnapshot(slotId, saveData) {
+    const compressed = this.compressSaveData(saveData);
+    
+    // Check size
+    const size = compressed.length * 2; // UTF-16 chars = 2 bytes each
+    if (size > MAX_SAVE_SIZE_BYTES) {
+      throw new Error(`Save size (${(size / 1024).toFixed(1)}KB) exceeds limit`);
+    }
+    
+    // Write to the storage backend (localStorage handles quota cleanup)
+    const storageResult = await this.storage.write(`${STORAGE_PREFIX}${slotId}`, compressed);
+    if (!storageResult.success) {
+      throw new Error(storageResult.error);
+    }
+    
+    // A new base makes any autosave deltas stale
+    if (slotId === AUTOSAVE_SLOT) {
+      await this.resetAutosaveChain();
+    }
+    
+    return size;
+  }
+  
+  /**
+   * Autosave as a delta of the sections changed since the last autosave.
+   * Writes a fresh base instead on the first autosave of a session, or once
+   * the chain is MAX_AUTOSAVE_DELTAS long or heavier than DELTA_COMPACT_RATIO of the base.
+   * @returns {Promise<number>} Bytes written
+   */
+  async writeAutosave(saveData) {
+    const chain = this.autosaveChain;
+    const deltaBytes = chain ? chain.deltaSizes.reduce((sum, size) => sum + size, 0) : 0;
+    
+    if (!chain ||
+        chain.deltaSizes.length >= MAX_AUTOSAVE_DELTAS ||
+        deltaBytes > chain.baseSize * DELTA_COMPACT_RATIO) {
+      const size = await this.writeSnapshot(AUTOSAVE_SLOT, saveData);
+      this.autosaveChain = { lastState: cloneSaveData(saveData), baseSize: size, deltaSizes: [] };
+      if (chain) {
+        console.log(`[SaveManager] Compacted ${chain.deltaSizes.length} autosave deltas into a new base`);
+      }
+      return size;
+    }
+    
+    const delta = createSaveDelta(chain.lastState, saveData);
+    const compressed = this.compressSaveData(delta);
+    const size = compressed.length * 2;
+    const index = chain.deltaSizes.length + 1;
+    
+    const storageResult = await this.storage.write(`${AUTOSAVE_DELTA_PREFIX}${index}`, compressed);
+    if (!storageResult.success) {
+      throw new Error(storageResult.error);
+    }
+    
+    chain.deltaSizes.push(size);
+    chain.lastState = cloneSaveData(saveData);
+    
+    const sections = getDeltaSections(delta);
+    console.log(`[SaveManager] Autosave delta ${index} (${sections.join(', ') || 'no section changes'})`);
+    return size;
+  }
+  
+  /**
+   * Drop the autosave delta chain (the base snapshot stays)
+   */
+  async resetAutosaveChain() {
+    this.autosaveChain = null;
+    
+    const keys = await this.storage.keys(AUTOSAVE_DELTA_PREFIX);
+    for (const key of keys) {
+      await this.storage.remove(key);
+    }
+    
+    if (this.slotMetadataCache[AUTOSAVE_SLOT]?.deltaCount) {
+      this.slotMetadataCache[AUTOSAVE_SLOT].deltaCount = 0;
+      this.saveSlotMetadata();
+    }
+  }
+  
+  /**
+   * Read a slot's full save data, replaying autosave deltas over the base.
+   * An unreadable delta ends the chain there (earlier progress is kept).
+   */
+  async readSaveData(slotId) {
+    const compressed = await this.storage.read(`${STORAGE_PREFIX}${slotId}`);
+    if (!compressed) {
+      throw new Error('Save slot is empty');
+    }
+    
+    // Decompress
+    let saveData;
+    try {
+      saveData = this.decompressSaveData(compressed);
+    } catch (e) {
+      // Try recovery
+      console.warn('[SaveManager] Attempting corrupt save recovery...');
+      saveData = this.attemptRecovery(compressed);
+      if (!saveData) {
+        throw new Error('Save data corrupted and unrecoverable');
+      }
+    }
+    
+    const deltaCount = slotId === AUTOSAVE_SLOT ? this.slotMetadataCache[slotId]?.deltaCount || 0 : 0;
+    for (let i = 1; i <= deltaCount; i++) {
+      try {
+        const delta = this.decompressSaveData(await this.storage.read(`${AUTOSAVE_DELTA_PREFIX}${i}`));
+        saveData = applySaveDelta(saveData, delta);
+      } catch (e) {
+        console.warn(`[SaveManager] Autosave delta ${i} unreadable, keeping the first ${i - 1}:`, e);
+        break;
+      }
+    }
+    
+    return saveData;
+  }
+  
   // ========== COMPRESSION ==========
   
   /**
@@ -1024,16 +1147,9 @@ class SaveManager {
   /**
    * Export save as downloadable JSON file
    */
-  exportSave(slotId) {
+  async exportSave(slotId) {
     try {
-      const storageKey = `${STORAGE_PREFIX}${slotId}`;
-      const compressed = localStorage.getItem(storageKey);
-      
-      if (!compressed) {
-        throw new Error('Save slot is empty');
-      }
-      
-      const saveData = this.decompressSaveData(compressed);
+      const saveData = await this.readSaveData(slotId);
       const json = JSON.stringify(saveData, null, 2);
       
       // Create download
@@ -1064,30 +1180,23 @@ class SaveManager {
     return new Promise((resolve) => {
       const reader = new FileReader();
       
-      reader.onload = (e) => {
+      reader.onload = async (e) => {
         try {
           const saveData = JSON.parse(e.target.result);
           
-          // Validate
-          const validation = validateSaveData(saveData);
+          // Migrate, then validate against the current schema
+          const { data: finalData, validation } = upgradeSaveData(saveData);
           if (!validation.valid) {
             throw new Error(`Invalid save: ${validation.errors.join(', ')}`);
           }
           
-          // Migrate if needed
-          let finalData = saveData;
-          if (saveData.version < SAVE_VERSION) {
-            finalData = migrateSaveData(saveData).data;
-          }
-          
           // Update slot info
           finalData.slotId = slotId;
           finalData.updatedAt = Date.now();
           
           // Compress and store
-          const compressed = this.compressSaveData(finalData);
-          const storageKey = `${STORAGE_PREFIX}${slotId}`;
-          localStorage.setItem(storageKey, compressed);
+          await this.writeSnapshot(slotId, finalData);
+          if (slotId === AUTOSAVE_SLOT) this.autosaveChain = null;
           
           // Update metadata
           const metadata = createSaveMetadata(finalData);
@@ -1111,6 +1220,59 @@ class SaveManager {
     });
   }
   
+  // ========== RAW SLOT RECORDS (SYNC) ==========
+  
+  /**
+   * Read a slot as stored (compressed data + metadata) without loading it
+   * @returns {Promise<Object|null>} { slotId, metadata, data } or null if empty
+   */
+  async readSlotRecord(slotId) {
+    const cached = this.slotMetadataCache[slotId];
+    if (!cached) return null;
+    
+    // The delta chain is local bookkeeping - records always carry one full save
+    const { deltaCount = 0, ...metadata } = cached;
+    
+    let data;
+    if (deltaCount > 0) {
+      data = this.compressSaveData(await this.readSaveData(slotId));
+    } else {
+      data = await this.storage.read(`${STORAGE_PREFIX}${slotId}`);
+      if (!data) return null;
+    }
+    
+    return { slotId, metadata, data };
+  }
+  
+  /**
+   * Write a slot record pulled from elsewhere, keeping its metadata as-is
+   * so timestamps/playtime still match the source for conflict detection
+   */
+  async writeSlotRecord(slotId, record) {
+    // Make sure the payload is a readable save before replacing anything
+    const saveData = this.decompressSaveData(record.data);
+    const validation = validateSaveData(saveData);
+    if (!validation.valid && validation.errors.some(e => e.includes('newer'))) {
+      return { success: false, error: 'Save from newer game version' };
+    }
+    
+    const storageResult = await this.storage.write(`${STORAGE_PREFIX}${slotId}`, record.data);
+    if (!storageResult.success) {
+      return storageResult;
+    }
+    
+    if (slotId === AUTOSAVE_SLOT) {
+      await this.resetAutosaveChain();
+    }
+    
+    const { deltaCount, ...metadata } = record.metadata;
+    this.slotMetadataCache[slotId] = { ...metadata, slotId };
+    this.saveSlotMetadata();
+    
+    console.log(`[SaveManager] Wrote synced record to slot ${slotId}`);
+    return { success: true, slotId };
+  }
+  
   // ========== METADATA PERSISTENCE ==========
   
   /**
@@ -1178,6 +1340,9 @@ class SaveManager {
     try {
       let totalUsed = 0;
       let savesUsed = 0;
+      let autosaveBaseBytes = 0;
+      let autosaveDeltaBytes = 0;
+      let autosaveDeltaCount = 0;
       
       // Count all localStorage usage
       for (let i = 0; i < localStorage.length; i++) {
@@ -1189,6 +1354,13 @@ class SaveManager {
         if (key.startsWith(STORAGE_PREFIX) || key === METADATA_KEY) {
           savesUsed += size;
         }
+        
+        if (key === `${STORAGE_PREFIX}${AUTOSAVE_SLOT}`) {
+          autosaveBaseBytes = size;
+        } else if (key.startsWith(AUTOSAVE_DELTA_PREFIX)) {
+          autosaveDeltaBytes += size;
+          autosaveDeltaCount++;
+        }
       }
       
       // Estimate available (most browsers allow ~5-10MB)
@@ -1202,10 +1374,18 @@ class SaveManager {
         available,
         usagePercent,
         isNearLimit: usagePercent > STORAGE_WARNING_THRESHOLD,
+        autosaveChain: {
+          deltaCount: autosaveDeltaCount,
+          maxDeltas: MAX_AUTOSAVE_DELTAS,
+          baseBytes: autosaveBaseBytes,
+          deltaBytes: autosaveDeltaBytes,
+        },
         formatted: {
           totalUsed: this.formatBytes(totalUsed),
           savesUsed: this.formatBytes(savesUsed),
           available: this.formatBytes(available),
+          autosaveBase: this.formatBytes(autosaveBaseBytes),
+          autosaveDeltas: this.formatBytes(autosaveDeltaBytes),
         },
       };
     } catch (e) {
@@ -1258,46 +1438,6 @@ class SaveManager {
     return bytesFreed;
   }
   
-  /**
-   * Safely write to localStorage with quota handling
-   */
-  safeStorageSet(key, value) {
-    try {
-      localStorage.setItem(key, value);
-      return { success: true };
-    } catch (e) {
-      // QuotaExceededError
-      if (e.name === 'QuotaExceededError' || e.code === 22) {
-        console.warn('[SaveManager] Storage quota exceeded, attempting cleanup...');
-        
-        // Try to free space
-        const freed = this.freeStorageSpace();
-        
-        if (freed > 0) {
-          // Retry
-          try {
-            localStorage.setItem(key, value);
-            return { success: true, freedSpace: freed };
-          } catch (e2) {
-            return { 
-              success: false, 
-              error: 'Storage full. Please delete old saves to continue.',
-              quotaExceeded: true,
-            };
-          }
-        }
-        
-        return { 
-          success: false, 
-          error: 'Storage full. Please delete old saves or export to file.',
-          quotaExceeded: true,
-        };
-      }
-      
-      return { success: false, error: e.message };
-    }
-  }
-  
   // ========== EVENT SYSTEM ==========
   
   /**
@@ -0,0 +1,278 @@
+/**
+ * SaveStorage.js - Pluggable storage backends for save data
+ *
+ * Every backend stores plain string values under string keys and exposes
+ * the same async interface, so SaveManager (local slots) and SaveSync
+ * (remote copies) can use any of them interchangeably:
+ *
+ *   read(key)          -> Promise<string|null>
+ *   write(key, value)  -> Promise<{ success, error?, quotaExceeded? }>
+ *   remove(key)        -> Promise<{ success, error? }>
+ *   keys(prefix)       -> Promise<string[]>
+ *   isAvailable()      -> boolean
+ *
+ * Backends:
+ * - LocalStorageBackend: browser localStorage (default, ~5MB)
+ * - IndexedDBBackend: browser IndexedDB (much larger quota)
+ * - RestStorageBackend: HTTP endpoint (see save-server.mjs for a local mock)
+ */
+
+export const STORAGE_BACKEND_TYPE = {
+  LOCAL: 'localStorage',
+  INDEXED_DB: 'indexedDB',
+  REST: 'rest',
+};
+
+// ========== LOCAL STORAGE ==========
+
+export class LocalStorageBackend {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onQuotaExceeded - Called when full; returns bytes freed (retry if > 0)
+   */
+  constructor(options = {}) {
+    this.type = STORAGE_BACKEND_TYPE.LOCAL;
+    this.label = 'This Browser';
+    this.onQuotaExceeded = options.onQuotaExceeded || null;
+  }
+
+  isAvailable() {
+    try {
+      return typeof localStorage !== 'undefined';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async read(key) {
+    return localStorage.getItem(key);
+  }
+
+  async write(key, value) {
+    try {
+      localStorage.setItem(key, value);
+      return { success: true };
+    } catch (e) {
+      if (e.name !== 'QuotaExceededError' && e.code !== 22) {
+        return { success: false, error: e.message };
+      }
+
+      console.warn('[SaveStorage] Storage quota exceeded, attempting cleanup...');
+      const freed = this.onQuotaExceeded ? this.onQuotaExceeded() : 0;
+      if (freed > 0) {
+        try {
+          localStorage.setItem(key, value);
+          return { success: true, freedSpace: freed };
+        } catch (e2) {
+          return {
+            success: false,
+            error: 'Storage full. Please delete old saves to continue.',
+            quotaExceeded: true,
+          };
+        }
+      }
+
+      return {
+        success: false,
+        error: 'Storage full. Please delete old saves or export to file.',
+        quotaExceeded: true,
+      };
+    }
+  }
+
+  async remove(key) {
+    localStorage.removeItem(key);
+    return { success: true };
+  }
+
+  async keys(prefix = '') {
+    const result = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(prefix)) result.push(key);
+    }
+    return result;
+  }
+}
+
+// ========== INDEXED DB ==========
+
+export class IndexedDBBackend {
+  constructor(options = {}) {
+    this.type = STORAGE_BACKEND_TYPE.INDEXED_DB;
+    this.label = 'Browser Database';
+    this.dbName = options.dbName || 'ashen_saves';
+    this.storeName = options.storeName || 'saves';
+    this.dbPromise = null;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create on first use) the database
+   */
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a later retry if opening failed
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request inside a transaction and resolve with its result
+   */
+  async _request(mode, makeRequest) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = makeRequest(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error || request.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  async read(key) {
+    const value = await this._request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async write(key, value) {
+    try {
+      await this._request('readwrite', store => store.put(value, key));
+      return { success: true };
+    } catch (e) {
+      const quotaExceeded = e?.name === 'QuotaExceededError';
+      return { success: false, error: e?.message || 'IndexedDB write failed', quotaExceeded };
+    }
+  }
+
+  async remove(key) {
+    try {
+      await this._request('readwrite', store => store.delete(key));
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e?.message || 'IndexedDB delete failed' };
+    }
+  }
+
+  async keys(prefix = '') {
+    const all = await this._request('readonly', store => store.getAllKeys());
+    return all.map(String).filter(key => key.startsWith(prefix));
+  }
+}
+
+// ========== REST ENDPOINT ==========
+
+/**
+ * Talks to a save server:
+ *   GET    {baseUrl}/saves?prefix=ashen_   -> { keys: [...] }
+ *   GET    {baseUrl}/saves/:key            -> raw value (404 when missing)
+ *   PUT    {baseUrl}/saves/:key            -> stores request body
+ *   DELETE {baseUrl}/saves/:key
+ */
+export class RestStorageBackend {
+  /**
+   * @param {string} baseUrl - e.g. http://localhost:8787
+   * @param {Object} options
+   * @param {Object} options.headers - Extra headers (auth tokens etc.)
+   * @param {Function} options.fetchImpl - fetch replacement (defaults to global fetch)
+   */
+  constructor(baseUrl, options = {}) {
+    this.type = STORAGE_BACKEND_TYPE.REST;
+    this.label = 'Save Server';
+    this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    this.headers = options.headers || {};
+    this.fetchImpl = options.fetchImpl || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+  }
+
+  isAvailable() {
+    return !!this.baseUrl && !!this.fetchImpl;
+  }
+
+  _url(key) {
+    return `${this.baseUrl}/saves/${encodeURIComponent(key)}`;
+  }
+
+  async read(key) {
+    const response = await this.fetchImpl(this._url(key), { headers: this.headers });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Save server responded ${response.status}`);
+    }
+    return response.text();
+  }
+
+  async write(key, value) {
+    try {
+      const response = await this.fetchImpl(this._url(key), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'text/plain;charset=UTF-8', ...this.headers },
+        body: value,
+      });
+      if (!response.ok) {
+        return { success: false, error: `Save server responded ${response.status}` };
+      }
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  async remove(key) {
+    try {
+      const response = await this.fetchImpl(this._url(key), {
+        method: 'DELETE',
+        headers: this.headers,
+      });
+      if (!response.ok && response.status !== 404) {
+        return { success: false, error: `Save server responded ${response.status}` };
+      }
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  async keys(prefix = '') {
+    const url = `${this.baseUrl}/saves?prefix=${encodeURIComponent(prefix)}`;
+    const response = await this.fetchImpl(url, { headers: this.headers });
+    if (!response.ok) {
+      throw new Error(`Save server responded ${response.status}`);
+    }
+    const body = await response.json();
+    return Array.isArray(body.keys) ? body.keys : [];
+  }
+}
+
+// ========== FACTORY ==========
+
+/**
+ * Create a backend by type
+ * @param {string} type - STORAGE_BACKEND_TYPE value
+ * @param {Object} options - { endpoint } for REST, passed through to the constructor
+ */
+export function createStorageBackend(type, options = {}) {
+  switch (type) {
+    case STORAGE_BACKEND_TYPE.LOCAL:
+      return new LocalStorageBackend(options);
+    case STORAGE_BACKEND_TYPE.INDEXED_DB:
+      return new IndexedDBBackend(options);
+    case STORAGE_BACKEND_TYPE.REST:
+      return new RestStorageBackend(options.endpoint, options);
+    default:
+      console.warn(`[SaveStorage] Unknown backend type: ${type}`);
+      return null;
+  }
+}
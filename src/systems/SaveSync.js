@@ -0,0 +1,353 @@
+/**
+ * SaveSync.js - Cloud-style save slot sync
+ *
+ * Mirrors local save slots to a remote storage backend (REST save server or
+ * IndexedDB) so a save made on one machine can be pulled on another without
+ * manual export/import.
+ *
+ * Each slot is stored remotely as one JSON record: { version, slotId, metadata, data }
+ * where data is the compressed save exactly as SaveManager stores it.
+ *
+ * Conflict detection compares slot metadata (timestamp + playtime) on both
+ * sides against the copy recorded at the last successful sync:
+ * - only one side changed since then -> push or pull
+ * - both changed (or never synced and they differ) -> conflict, player picks
+ */
+
+import { AUTOSAVE_SLOT, MAX_MANUAL_SLOTS } from './SaveManager.js';
+import { STORAGE_BACKEND_TYPE, createStorageBackend } from './SaveStorage.js';
+
+// ========== CONSTANTS ==========
+const SYNC_STATE_KEY = 'ashen_sync_state';
+const REMOTE_SLOT_PREFIX = 'ashen_slot_';
+const RECORD_VERSION = 1;
+
+export const SYNC_ACTION = {
+  NONE: 'none',         // Empty on both sides
+  IN_SYNC: 'in_sync',
+  PUSH: 'push',         // Local is ahead
+  PULL: 'pull',         // Remote is ahead
+  CONFLICT: 'conflict', // Both changed - needs a choice
+};
+
+/**
+ * Do two metadata entries describe the same save?
+ */
+function isSameSave(a, b) {
+  return !!a && !!b &&
+    a.timestamp === b.timestamp &&
+    Math.floor(a.playtime || 0) === Math.floor(b.playtime || 0);
+}
+
+/**
+ * Decide what to do with one slot
+ * @param {Object|null} local - Local slot metadata
+ * @param {Object|null} remote - Remote slot metadata
+ * @param {Object|null} lastSynced - { timestamp, playtime } recorded at last sync
+ * @returns {string} SYNC_ACTION value
+ */
+export function detectSyncAction(local, remote, lastSynced) {
+  if (!local && !remote) return SYNC_ACTION.NONE;
+  if (!remote) return SYNC_ACTION.PUSH;
+  if (!local) return SYNC_ACTION.PULL;
+  if (isSameSave(local, remote)) return SYNC_ACTION.IN_SYNC;
+
+  if (lastSynced) {
+    const localChanged = !isSameSave(local, lastSynced);
+    const remoteChanged = !isSameSave(remote, lastSynced);
+    if (localChanged && !remoteChanged) return SYNC_ACTION.PUSH;
+    if (remoteChanged && !localChanged) return SYNC_ACTION.PULL;
+  }
+
+  return SYNC_ACTION.CONFLICT;
+}
+
+/**
+ * Describe a conflict so the UI can suggest a side
+ * - newer: side with the later save timestamp
+ * - furtherAlong: side with more playtime
+ * - diverged: the newer save has less playtime (likely an older run saved over)
+ */
+export function describeConflict(local, remote) {
+  const newer = (local.timestamp || 0) >= (remote.timestamp || 0) ? 'local' : 'remote';
+  const furtherAlong = (local.playtime || 0) >= (remote.playtime || 0) ? 'local' : 'remote';
+  return { newer, furtherAlong, diverged: newer !== furtherAlong };
+}
+
+// ========== SAVE SYNC CLASS ==========
+class SaveSync {
+  constructor() {
+    this.saveManager = null;
+    this.remote = null;
+    this.isSyncing = false;
+
+    // Persisted settings + per-slot sync baselines
+    this.state = {
+      backendType: null,
+      endpoint: '',
+      autoPush: true,
+      lastSynced: {}, // slotId -> { timestamp, playtime }
+    };
+
+    this._onSaveComplete = ({ slotId }) => this._autoPush(slotId);
+
+    this.loadState();
+  }
+
+  /**
+   * Connect to SaveManager and restore the configured remote
+   */
+  init(saveManager) {
+    this.saveManager = saveManager;
+    saveManager.on('onSaveComplete', this._onSaveComplete);
+
+    if (this.state.backendType) {
+      this.remote = createStorageBackend(this.state.backendType, { endpoint: this.state.endpoint });
+    }
+
+    console.log(`[SaveSync] Initialized (remote: ${this.state.backendType || 'none'})`);
+  }
+
+  // ========== CONFIGURATION ==========
+
+  /**
+   * Choose the remote backend
+   * @param {string} type - STORAGE_BACKEND_TYPE.REST or INDEXED_DB (null disconnects)
+   * @param {Object} options - { endpoint } for REST
+   */
+  configure(type, options = {}) {
+    if (!type) {
+      this.remote = null;
+      this.state.backendType = null;
+      this.state.lastSynced = {};
+      this.saveState();
+      return { success: true };
+    }
+
+    if (type === STORAGE_BACKEND_TYPE.LOCAL) {
+      return { success: false, error: 'Local storage is already where saves live' };
+    }
+
+    const backend = createStorageBackend(type, options);
+    if (!backend || !backend.isAvailable()) {
+      return { success: false, error: 'Storage backend unavailable' };
+    }
+
+    // A different remote has different baselines
+    const endpoint = options.endpoint || '';
+    if (type !== this.state.backendType || endpoint !== this.state.endpoint) {
+      this.state.lastSynced = {};
+    }
+
+    this.remote = backend;
+    this.state.backendType = type;
+    this.state.endpoint = endpoint;
+    this.saveState();
+
+    console.log(`[SaveSync] Remote set to ${type}${endpoint ? ` (${endpoint})` : ''}`);
+    return { success: true };
+  }
+
+  isConfigured() {
+    return !!this.remote;
+  }
+
+  setAutoPush(enabled) {
+    this.state.autoPush = !!enabled;
+    this.saveState();
+  }
+
+  getSlotIds() {
+    const ids = [AUTOSAVE_SLOT];
+    for (let i = 1; i <= MAX_MANUAL_SLOTS; i++) ids.push(i);
+    return ids;
+  }
+
+  // ========== REMOTE RECORDS ==========
+
+  /**
+   * Read and parse a slot record from the remote
+   */
+  async readRemoteRecord(slotId) {
+    const raw = await this.remote.read(`${REMOTE_SLOT_PREFIX}${slotId}`);
+    if (!raw) return null;
+
+    try {
+      const record = JSON.parse(raw);
+      if (!record.metadata || !record.data) return null;
+      return record;
+    } catch (e) {
+      console.warn(`[SaveSync] Remote slot ${slotId} is unreadable:`, e);
+      return null;
+    }
+  }
+
+  // ========== COMPARISON ==========
+
+  /**
+   * Compare one slot without changing anything
+   * @returns {Promise<Object>} { slotId, action, local, remote, conflict? }
+   */
+  async compareSlot(slotId) {
+    const local = this.saveManager.getSaveInfo(slotId);
+    const remoteRecord = await this.readRemoteRecord(slotId);
+    const remote = remoteRecord ? remoteRecord.metadata : null;
+
+    const action = detectSyncAction(local, remote, this.state.lastSynced[slotId] || null);
+    const report = { slotId, action, local, remote };
+    if (action === SYNC_ACTION.CONFLICT) {
+      report.conflict = describeConflict(local, remote);
+    }
+    return report;
+  }
+
+  // ========== PUSH / PULL ==========
+
+  /**
+   * Upload a local slot to the remote
+   */
+  async push(slotId) {
+    const record = await this.saveManager.readSlotRecord(slotId);
+    if (!record) return { success: false, error: 'Save slot is empty' };
+
+    const payload = JSON.stringify({ version: RECORD_VERSION, ...record });
+    const result = await this.remote.write(`${REMOTE_SLOT_PREFIX}${slotId}`, payload);
+    if (!result.success) return result;
+
+    this._markSynced(slotId, record.metadata);
+    console.log(`[SaveSync] Pushed slot ${slotId}`);
+    return { success: true };
+  }
+
+  /**
+   * Download a remote slot over the local one
+   */
+  async pull(slotId) {
+    const record = await this.readRemoteRecord(slotId);
+    if (!record) return { success: false, error: 'Nothing to pull' };
+
+    const result = await this.saveManager.writeSlotRecord(slotId, record);
+    if (!result.success) return result;
+
+    this._markSynced(slotId, record.metadata);
+    console.log(`[SaveSync] Pulled slot ${slotId}`);
+    return { success: true };
+  }
+
+  // ========== SYNC ==========
+
+  /**
+   * Sync one slot. Conflicts are only resolved when a resolution is given.
+   * @param {number} slotId
+   * @param {string|null} resolution - 'local' (push) or 'remote' (pull) for conflicts
+   * @returns {Promise<Object>} Comparison report plus { success, error? }
+   */
+  async syncSlot(slotId, resolution = null) {
+    if (!this.remote) return { slotId, success: false, error: 'No remote configured' };
+
+    try {
+      const report = await this.compareSlot(slotId);
+      let action = report.action;
+
+      if (action === SYNC_ACTION.CONFLICT) {
+        if (resolution === 'local') action = SYNC_ACTION.PUSH;
+        else if (resolution === 'remote') action = SYNC_ACTION.PULL;
+        else return { ...report, success: false, error: 'Conflict' };
+      }
+
+      let result = { success: true };
+      if (action === SYNC_ACTION.PUSH) {
+        result = await this.push(slotId);
+      } else if (action === SYNC_ACTION.PULL) {
+        result = await this.pull(slotId);
+      } else if (action === SYNC_ACTION.IN_SYNC) {
+        this._markSynced(slotId, report.local);
+      }
+
+      return { ...report, applied: action, ...result };
+    } catch (error) {
+      console.error(`[SaveSync] Sync failed for slot ${slotId}:`, error);
+      return { slotId, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Sync every slot; conflicts are reported, not resolved
+   */
+  async syncAll() {
+    if (this.isSyncing) return { success: false, error: 'Sync in progress', slots: [] };
+
+    this.isSyncing = true;
+    try {
+      const slots = [];
+      for (const slotId of this.getSlotIds()) {
+        slots.push(await this.syncSlot(slotId));
+      }
+      const conflicts = slots.filter(s => s.action === SYNC_ACTION.CONFLICT).length;
+      const failed = slots.filter(s => !s.success && s.action !== SYNC_ACTION.CONFLICT).length;
+      console.log(`[SaveSync] Sync complete (${conflicts} conflicts, ${failed} failed)`);
+      return { success: failed === 0, slots, conflicts };
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Push after each local save, unless that would overwrite unseen remote progress
+   */
+  async _autoPush(slotId) {
+    if (!this.remote || !this.state.autoPush || this.isSyncing) return;
+
+    const report = await this.syncSlot(slotId);
+    if (report.action === SYNC_ACTION.CONFLICT) {
+      console.warn(`[SaveSync] Slot ${slotId} conflicts with remote - open Cloud Sync to resolve`);
+    }
+  }
+
+  _markSynced(slotId, metadata) {
+    this.state.lastSynced[slotId] = {
+      timestamp: metadata.timestamp,
+      playtime: metadata.playtime || 0,
+    };
+    this.saveState();
+  }
+
+  // ========== PERSISTENCE ==========
+
+  loadState() {
+    try {
+      const saved = localStorage.getItem(SYNC_STATE_KEY);
+      if (saved) {
+        this.state = { ...this.state, ...JSON.parse(saved) };
+      }
+    } catch (e) {
+      console.warn('[SaveSync] Failed to load sync state:', e);
+    }
+  }
+
+  saveState() {
+    try {
+      localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(this.state));
+    } catch (e) {
+      console.warn('[SaveSync] Failed to save sync state:', e);
+    }
+  }
+
+  dispose() {
+    this.saveManager?.off('onSaveComplete', this._onSaveComplete);
+    this.remote = null;
+  }
+}
+
+// ========== SINGLETON ==========
+let saveSyncInstance = null;
+
+export function getSaveSync() {
+  if (!saveSyncInstance) {
+    saveSyncInstance = new SaveSync();
+  }
+  return saveSyncInstance;
+}
+
+export { SaveSync };
+export default SaveSync;
@@ -18,6 +18,7 @@
 
 import { getSaveManager, formatPlaytime, formatTimestamp, AUTOSAVE_SLOT, MAX_MANUAL_SLOTS } from './SaveManager.js';
 import { SAVE_SLOT_TYPE } from './SaveDataSchema.js';
+import { getGamepadNavigator } from './GamepadNavigator.js';
 
 // ========== CONSTANTS ==========
 const SCREENSHOT_WIDTH = 320;
@@ -109,6 +110,9 @@ class SaveUI {
     // Hook into save manager events
     this.hookSaveEvents();
     
+    // Gamepad focus for the load/save slot menus
+    this.registerGamepadNav();
+    
     console.log('[SaveUI] Initialized');
   }
   
@@ -535,6 +539,7 @@ class SaveUI {
           <div class="slot-name">${slot.label}</div>
           <div class="slot-level">Level ${meta.playerLevel} ${meta.playerName || ''}</div>
           <div class="slot-location">📍 ${meta.locationName || 'Unknown'}</div>
+          ${meta.worldSeed !== undefined ? `<div class="slot-seed">🌍 Seed ${meta.worldSeed}</div>` : ''}
           <div class="slot-details">
             <span class="playtime">⏱️ ${playtimeStr}</span>
             <span class="timestamp">📅 ${timestampStr}</span>
@@ -672,6 +677,32 @@ class SaveUI {
   
   // ========== KEYBOARD NAVIGATION ==========
   
+  /**
+   * Load/save menu currently showing slots, or null
+   */
+  getOpenSlotMenu() {
+    return document.querySelector('#load-menu-overlay.active, #save-menu-overlay.active');
+  }
+  
+  /**
+   * D-pad moves between slots and their buttons; A on a slot runs its
+   * primary action (Load / Save Here), B presses the menu's Back button
+   */
+  registerGamepadNav() {
+    getGamepadNavigator().registerMenu('saveSlots', {
+      isOpen: () => !!this.getOpenSlotMenu(),
+      getRoot: () => this.getOpenSlotMenu(),
+      selector: '.save-slot, .slot-btn, .menu-btn',
+      onConfirm: (el) => {
+        if (!el?.classList.contains('save-slot')) return false;
+        this.selectSlot(el);
+        el.querySelector('.primary')?.click();
+        return true;
+      },
+      onBack: () => this.getOpenSlotMenu()?.querySelector('[id$="-back"]')?.click(),
+    });
+  }
+  
   /**
    * Setup keyboard navigation for slot container
    */
@@ -958,6 +989,12 @@ class SaveUI {
         color: #aaa;
       }
       
+      .save-slot.enhanced .slot-seed {
+        font-size: 11px;
+        color: #888;
+        font-family: monospace;
+      }
+      
       .save-slot.enhanced .slot-details {
         display: flex;
         gap: 16px;
@@ -8,6 +8,8 @@ import {
   getAvailableItems,
   getItemPrice as getMerchantItemPrice,
 } from '../data/MerchantData.js';
+import { getGamepadNavigator } from './GamepadNavigator.js';
+import { getInputMap } from './InputMap.js';
 
 // Re-export for backwards compatibility
 export { SHOP_ITEMS, MERCHANT_INVENTORIES };
@@ -22,6 +24,7 @@ export { SHOP_ITEMS, MERCHANT_INVENTORIES };
  * - Different merchant types (Blacksmith, Healer, General)
  * - Price scaling based on item rarity
  * - Level-locked items (items appear as player levels up)
+ * - Faction items that appear once the player's reputation tier allows
  * - Insufficient gold feedback
  */
 
@@ -47,6 +50,13 @@ export class ShopManager {
     
     this.createUI();
     
+    getGamepadNavigator().registerMenu('shop', {
+      isOpen: () => this.isOpen,
+      getRoot: () => this.container,
+      selector: '.shop-tab, [data-action], .shop-btn',
+      onBack: () => this.back(),
+    });
+    
     console.log('[ShopManager] Initialized');
   }
   
@@ -364,12 +374,13 @@ export class ShopManager {
   }
   
   /**
-   * Get available items for current merchant, filtered by player level
+   * Get available items for current merchant, filtered by player level and reputation
    */
   getAvailableItems() {
     const type = this.currentNPC?.type || 'merchant';
     const playerLevel = this.getPlayerLevel();
-    return getAvailableItems(type, playerLevel);
+    const questRewards = this.gm?.questRewards;
+    return getAvailableItems(type, playerLevel, questRewards && ((factionId) => questRewards.getReputation(factionId)));
   }
   
   /**
@@ -539,7 +550,6 @@ export class ShopManager {
       
       // Remove from inventory
       this.equipmentManager.inventory.splice(idx, 1);
-      this.equipmentManager.saveEquipment();
     } else {
       // Find item in loot inventory
       const inv = this.lootManager.getInventory();
@@ -1063,20 +1073,27 @@ export class ShopManager {
       });
     });
     
-    // Escape key to close
+    // Back key to close
     this._escHandler = (e) => {
-      if (e.code === 'Escape' && this.isOpen) {
-        if (this.confirmMode) {
-          this.confirmMode = null;
-          this.render();
-        } else {
-          this.close();
-        }
+      if (getInputMap().matches(e, 'back') && this.isOpen) {
+        this.back();
       }
     };
     document.addEventListener('keydown', this._escHandler);
   }
   
+  /**
+   * Back out of the confirm dialog, or close the shop
+   */
+  back() {
+    if (this.confirmMode) {
+      this.confirmMode = null;
+      this.render();
+    } else {
+      this.close();
+    }
+  }
+  
   /**
    * Check if shop is open
    */
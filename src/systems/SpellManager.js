@@ -53,13 +53,8 @@ export class SpellManager {
     this.onBuffExpired = null;        // (spellId) => void
     this.onShieldExpired = null;      // (spellId) => void
     
-    // Load saved state
-    this._loadState();
-    
-    // Initialize with starter spells if new player
-    if (this.learnedSpells.size === 0) {
-      this._initStarterSpells();
-    }
+    // New player starts with starter spells (replaced when a save loads)
+    this._initStarterSpells();
   }
   
   /**
@@ -78,54 +73,40 @@ export class SpellManager {
     this.equipToHotbar('minorHeal', 1);
     
     console.log('[SpellManager] Initialized starter spells: Spark, Minor Heal');
-    this._saveState();
   }
   
   /**
-   * Load state from localStorage
+   * Learned spells + hotbar for SaveManager
    */
-  _loadState() {
-    try {
-      const saved = localStorage.getItem('ashen_spells');
-      if (saved) {
-        const data = JSON.parse(saved);
-        
-        // Restore learned spells
-        if (data.learnedSpells) {
-          this.learnedSpells = new Set(data.learnedSpells);
-        }
-        
-        // Restore hotbar
-        if (data.hotbarSlots) {
-          this.hotbarSlots = data.hotbarSlots;
-        }
-        
-        // Restore active slot
-        if (typeof data.activeSlot === 'number') {
-          this.activeSlot = data.activeSlot;
-        }
-        
-        console.log(`[SpellManager] Loaded ${this.learnedSpells.size} learned spells`);
-      }
-    } catch (e) {
-      console.warn('[SpellManager] Failed to load state:', e);
-    }
+  getSaveData() {
+    return {
+      learnedSpells: Array.from(this.learnedSpells),
+      hotbarSlots: [...this.hotbarSlots],
+      activeSlot: this.activeSlot,
+    };
   }
   
   /**
-   * Save state to localStorage
+   * Restore learned spells + hotbar (null = fresh game, starter spells)
    */
-  _saveState() {
-    try {
-      const data = {
-        learnedSpells: Array.from(this.learnedSpells),
-        hotbarSlots: this.hotbarSlots,
-        activeSlot: this.activeSlot
-      };
-      localStorage.setItem('ashen_spells', JSON.stringify(data));
-    } catch (e) {
-      console.warn('[SpellManager] Failed to save state:', e);
+  loadSaveData(data) {
+    this.learnedSpells = new Set(data?.learnedSpells || []);
+    this.hotbarSlots = data?.hotbarSlots ? [...data.hotbarSlots] : [null, null, null, null, null, null];
+    this.activeSlot = typeof data?.activeSlot === 'number' ? data.activeSlot : 0;
+    
+    // Effects from the previous session don't carry over
+    this.cooldowns = {};
+    this.activeBuffs = {};
+    this.activeShields = {};
+    this.activeEffects = {};
+    
+    if (this.learnedSpells.size === 0) {
+      this._initStarterSpells();
+    } else if (this.onHotbarChanged) {
+      this.onHotbarChanged(this.hotbarSlots);
     }
+    
+    console.log(`[SpellManager] Loaded ${this.learnedSpells.size} learned spells`);
   }
   
   /**
@@ -150,7 +131,6 @@ export class SpellManager {
       this.onSpellLearned(spellId);
     }
     
-    this._saveState();
     return true;
   }
   
@@ -210,7 +190,6 @@ export class SpellManager {
       this.onHotbarChanged(this.hotbarSlots);
     }
     
-    this._saveState();
     return true;
   }
   
@@ -226,8 +205,6 @@ export class SpellManager {
     if (this.onHotbarChanged) {
       this.onHotbarChanged(this.hotbarSlots);
     }
-    
-    this._saveState();
   }
   
   /**
@@ -237,7 +214,6 @@ export class SpellManager {
   selectSlot(slot) {
     if (slot < 0 || slot > 5) return;
     this.activeSlot = slot;
-    this._saveState();
   }
   
   /**
@@ -25,11 +25,13 @@ import {
   getDefaultCombatData,
   getDefaultShopData,
   cloneSaveData,
+  validateSaveData as validateSaveSchema,
 } from './SaveDataSchema.js';
 
 // ========== INITIALIZATION ORDER ==========
 // Managers must be restored in this order due to dependencies
 const RESTORATION_ORDER = [
+  'settings',    // InputMap - keybindings, no dependencies
   'time',        // TimeManager - no dependencies, affects lighting
   'weather',     // WeatherManager - depends on time for visibility
   'world',       // WorldManager - discovered locations, fast travel
@@ -76,6 +78,7 @@ class StateRestoration {
       lootManager: systems.lootManager || null,
       questManager: systems.questManager || null,
       questRewards: systems.questRewards || null,
+      bountyBoard: systems.bountyBoard || null,
       timeManager: systems.timeManager || null,
       weatherManager: systems.weatherManager || null,
       craftingManager: systems.craftingManager || null,
@@ -83,8 +86,17 @@ class StateRestoration {
       shopManager: systems.shopManager || null,
       bossSpawner: systems.bossSpawner || null,
       dungeonManager: systems.dungeonManager || null,
+      dungeonRewards: systems.dungeonRewards || null,
+      puzzleManager: systems.puzzleManager || null,
       spellManager: systems.spellManager || null,
       manaManager: systems.manaManager || null,
+      weaponManager: systems.weaponManager || null,
+      chestManager: systems.chestManager || null,
+      companionManager: systems.companionManager || null,
+      fastTravelManager: systems.fastTravelManager || null,
+      rareEventManager: systems.rareEventManager || null,
+      timeWeatherGameplay: systems.timeWeatherGameplay || null,
+      inputMap: systems.inputMap || null,
       npcManager: systems.npcManager || null,
       scene: systems.scene || null,
       hud: systems.hud || null,
@@ -171,10 +183,10 @@ class StateRestoration {
         this.restorePlayer(saveData.player);
         break;
       case 'inventory':
-        this.restoreInventory(saveData.inventory);
+        this.restoreInventory(saveData.inventory, saveData.combat);
         break;
       case 'equipment':
-        this.restoreEquipment(saveData.equipment);
+        this.restoreEquipment(saveData.equipment, saveData.inventory);
         break;
       case 'quest':
         this.restoreQuests(saveData.quest);
@@ -198,7 +210,10 @@ class StateRestoration {
         this.restoreBosses(saveData.world?.bossesDefeated);
         break;
       case 'dungeons':
-        this.restoreDungeons(saveData.world?.dungeons);
+        this.restoreDungeons(saveData.world);
+        break;
+      case 'settings':
+        this.restoreSettings(saveData.settings);
         break;
     }
   }
@@ -212,20 +227,9 @@ class StateRestoration {
     const tm = this.systems.timeManager;
     if (!tm || !timeData) return;
     
-    const defaults = getDefaultWorldData().time;
-    const t = { ...defaults, ...timeData };
-    
-    tm.currentHour = t.currentHour;
-    tm.currentMinute = t.currentMinute;
-    tm.currentDay = t.currentDay;
-    tm.dayPhase = t.dayPhase;
-    tm.moonPhase = t.moonPhase;
-    tm.isPaused = t.isPaused;
-    
-    // Update visuals
+    const t = { ...getDefaultWorldData().time, ...timeData };
+    tm.loadSaveData(t);
     if (tm.updateCelestials) tm.updateCelestials();
-    if (tm.updateClockUI) tm.updateClockUI();
-    if (tm.updateDayPhase) tm.updateDayPhase();
     
     console.log(`[StateRestoration] Time restored: Day ${t.currentDay}, ${t.currentHour}:${t.currentMinute.toString().padStart(2, '0')}`);
   }
@@ -237,33 +241,26 @@ class StateRestoration {
     const wm = this.systems.weatherManager;
     if (!wm || !weatherData) return;
     
-    const defaults = getDefaultWorldData().weather;
-    const w = { ...defaults, ...weatherData };
-    
-    wm.currentWeather = w.currentWeather;
-    wm.intensity = w.intensity;
-    wm.transitionProgress = w.transitionProgress;
-    wm.lastWeatherChange = w.lastWeatherChange;
-    
-    // Apply weather visuals
-    if (wm.applyWeather) wm.applyWeather();
-    if (wm.setWeather) wm.setWeather(w.currentWeather, w.intensity);
+    wm.loadSaveData({ ...getDefaultWorldData().weather, ...weatherData });
     
-    console.log(`[StateRestoration] Weather restored: ${w.currentWeather}`);
+    console.log(`[StateRestoration] Weather restored: ${wm.currentWeather}`);
   }
   
   /**
-   * Restore World state (locations, fast travel, flags)
+   * Restore World state (locations, fast travel, chests, events, flags)
    */
   restoreWorld(worldData) {
     if (!worldData) return;
     
-    // World flags could be used by various systems
-    // Store for later reference
-    this.worldFlags = worldData.worldFlags || {};
+    this.systems.worldFlags?.loadSaveData(worldData.worldFlags);
     this.discoveredLocations = new Set(worldData.discoveredLocations || []);
     this.fastTravelPoints = new Set(worldData.fastTravelPoints || ['ashvale_village']);
     
+    this.systems.fastTravelManager?.loadSaveData(worldData.fastTravelLocations);
+    this.systems.chestManager?.loadSaveData(worldData.openedChests);
+    this.systems.rareEventManager?.loadSaveData(worldData.rareEvents);
+    this.systems.timeWeatherGameplay?.loadSaveData(worldData.gameplay);
+    
     console.log(`[StateRestoration] World restored: ${this.discoveredLocations.size} locations discovered`);
   }
   
@@ -313,8 +310,9 @@ class StateRestoration {
       gm.stats = { ...p.stats };
       gm.spentStatPoints = p.spentStatPoints;
       
-      // Infusions
-      gm.infusions = { ...p.infusions };
+      // Infusions (legacy stat tracks are refunded)
+      gm.setInfusions(p.infusions);
+      gm.boneBladeKills = p.boneBladeKills || 0;
       
       // Abilities - convert array to Set
       gm.unlockedAbilities = new Set(p.unlockedAbilities || []);
@@ -323,6 +321,7 @@ class StateRestoration {
       // Death tracking
       gm.deathCount = p.deathCount;
       gm.deathLessons = { ...p.deathLessons };
+      if (gm.deathResearch) gm.deathResearch.deserialize(p.deathResearch);
       
       // Checkpoint
       if (p.checkpoint && gm.checkpoint) {
@@ -355,68 +354,69 @@ class StateRestoration {
     
     // Spells
     if (this.systems.spellManager) {
-      this.systems.spellManager.unlockedSpells = new Set(p.unlockedSpells || ['fireball']);
-      this.systems.spellManager.equippedSpells = [...(p.equippedSpells || ['fireball', null, null, null])];
+      this.systems.spellManager.loadSaveData(p.spells);
+    }
+    
+    // Companion
+    if (this.systems.companionManager) {
+      this.systems.companionManager.loadSaveData(p.companion);
     }
     
     console.log(`[StateRestoration] Player restored: Level ${p.level}, HP ${p.health}/${p.maxHealth}`);
   }
   
   /**
-   * Restore Inventory state
+   * Restore Inventory state (boss kill records ride along from combat)
    */
-  restoreInventory(inventoryData) {
+  restoreInventory(inventoryData, combatData) {
     const lm = this.systems.lootManager;
     if (!lm || !inventoryData) return;
     
     const defaults = getDefaultInventoryData();
     const inv = { ...defaults, ...inventoryData };
     
-    lm.gold = inv.gold;
-    lm.inventory = cloneSaveData(inv.items || []);
-    lm.collectedSouls = new Set(inv.bossSouls || []);
-    lm.collectedTrophies = new Set(inv.bossTrophies || []);
+    lm.loadSaveData({
+      gold: inv.gold,
+      items: inv.items,
+      potionHotbar: inv.potionHotbar,
+      bossKills: combatData?.bossKills,
+    });
     
-    // Validate items exist in game data
-    this.validateInventoryItems(lm.inventory);
+    // Validate items have IDs and sane quantities
+    this.validateInventoryItems(lm.inventory.items);
     
     // Refresh inventory UI if available
     if (this.systems.inventoryUI?.refresh) {
       this.systems.inventoryUI.refresh();
     }
     
-    console.log(`[StateRestoration] Inventory restored: ${inv.gold} gold, ${inv.items.length} items`);
+    console.log(`[StateRestoration] Inventory restored: ${inv.gold} gold, ${Object.keys(lm.inventory.items).length} items`);
   }
   
   /**
-   * Restore Equipment state
+   * Restore Equipment state (equipment bag lives in the inventory section)
    */
-  restoreEquipment(equipmentData) {
-    const em = this.systems.equipmentManager;
-    if (!em || !equipmentData) return;
+  restoreEquipment(equipmentData, inventoryData) {
+    if (!equipmentData) return;
     
     const defaults = getDefaultEquipmentData();
     const eq = { ...defaults, ...equipmentData };
     
-    // Equipped items
-    em.equipped = {
-      weapon: eq.equipped?.weapon ? cloneSaveData(eq.equipped.weapon) : null,
-      armor: eq.equipped?.armor ? cloneSaveData(eq.equipped.armor) : null,
-      accessory: eq.equipped?.accessory ? cloneSaveData(eq.equipped.accessory) : null,
-    };
-    
-    // Weapon slots
-    em.weaponSlots = (eq.weaponSlots || [null, null, null, null]).map(w => 
-      w ? cloneSaveData(w) : null
-    );
-    em.activeWeaponSlot = eq.activeWeaponSlot || 0;
-    
-    // Potion slots
-    em.potionSlots = [...(eq.potionSlots || [null, null])];
+    // Equipped armor/accessories + bag
+    if (this.systems.equipmentManager) {
+      this.systems.equipmentManager.loadSaveData({
+        equipped: eq.equipped,
+        inventory: inventoryData?.equipment,
+      });
+    }
     
-    // Refresh equipped weapon visual
-    if (em.refreshEquippedWeapon) em.refreshEquippedWeapon();
-    if (em.updateEquipmentUI) em.updateEquipmentUI();
+    // Weapon quick-slots
+    if (this.systems.weaponManager) {
+      this.systems.weaponManager.loadSaveData({
+        activeSlot: eq.activeWeaponSlot,
+        quickSlots: eq.weaponSlots,
+      });
+    }
     
     console.log(`[StateRestoration] Equipment restored`);
   }
@@ -431,34 +431,19 @@ class StateRestoration {
     const defaults = getDefaultQuestData();
     const q = { ...defaults, ...questData };
     
-    // Active quests - convert array to Map
-    qm.activeQuests = new Map();
-    (q.activeQuests || []).forEach(questState => {
-      const { questId, ...state } = questState;
-      // Validate quest exists
-      if (this.validateQuestExists(questId)) {
-        qm.activeQuests.set(questId, state);
-      } else {
-        this.validationWarnings.push(`Quest '${questId}' no longer exists, removed from active`);
-      }
-    });
-    
-    // Completed/failed quests
-    qm.completedQuests = new Set(q.completedQuests || []);
-    qm.failedQuests = new Set(q.failedQuests || []);
-    qm.availableQuests = new Set(q.availableQuests || []);
+    // Bounty board first so accepted bounties resolve
+    if (this.systems.bountyBoard) this.systems.bountyBoard.loadSaveData(q.bountyBoard);
     
-    // Cooldowns - convert object to Map
-    qm.questCooldowns = new Map();
-    Object.entries(q.questCooldowns || {}).forEach(([questId, time]) => {
-      qm.questCooldowns.set(questId, time);
+    // Drop active quests that no longer exist
+    const activeQuests = (q.activeQuests || []).filter(({ questId }) => {
+      if (this.validateQuestExists(questId)) return true;
+      this.validationWarnings.push(`Quest '${questId}' no longer exists, removed from active`);
+      return false;
     });
     
-    // Tracked quests
-    qm.trackedQuests = [...(q.trackedQuests || [])];
+    qm.loadSaveData({ ...q, activeQuests });
     
     // Refresh quest UI
-    if (qm.updateQuestUI) qm.updateQuestUI();
     if (this.systems.questUI?.refresh) this.systems.questUI.refresh();
     
     console.log(`[StateRestoration] Quests restored: ${qm.activeQuests.size} active, ${qm.completedQuests.size} completed`);
@@ -472,13 +457,7 @@ class StateRestoration {
     if (!qr || !reputationData) return;
     
     const defaults = getDefaultReputationData();
-    const r = { ...defaults, ...reputationData };
-    
-    qr.reputation = { ...r.factions };
-    qr.unlockedTitles = new Set(r.titles || []);
-    qr.activeTitle = r.activeTitle;
-    qr.unlockedMilestones = new Set(r.unlockedMilestones || []);
-    qr.unlockedAchievements = new Set(r.achievements || []);
+    qr.loadSaveData({ ...defaults, ...reputationData });
     
     console.log(`[StateRestoration] Reputation restored`);
   }
@@ -491,10 +470,7 @@ class StateRestoration {
     if (!cm || !craftingData) return;
     
     const defaults = getDefaultCraftingData();
-    const c = { ...defaults, ...craftingData };
-    
-    cm.unlockedRecipes = new Set(c.unlockedRecipes || []);
-    cm.stats = cloneSaveData(c.craftingStats || { totalCrafted: 0, recipesCrafted: {} });
+    cm.loadSaveData({ ...defaults, ...craftingData });
     
     // Validate recipes exist
     this.validateRecipes(cm.unlockedRecipes);
@@ -583,40 +559,39 @@ class StateRestoration {
   }
   
   /**
-   * Restore Dungeon states
+   * Restore Dungeon progress, rewards and solved puzzles
    */
-  restoreDungeons(dungeonStates) {
-    const dm = this.systems.dungeonManager;
-    if (!dm) return;
-    
-    dm.dungeonStates = cloneSaveData(dungeonStates || {});
+  restoreDungeons(worldData) {
+    this.systems.dungeonManager?.loadSaveData(worldData?.dungeons);
+    this.systems.dungeonRewards?.loadSaveData(worldData?.dungeonRewards);
+    this.systems.puzzleManager?.loadSaveData(worldData?.puzzles);
     
     console.log(`[StateRestoration] Dungeon states restored`);
   }
   
+  /**
+   * Restore keybindings. Saves without them keep the current map.
+   */
+  restoreSettings(settingsData) {
+    if (!this.systems.inputMap || !settingsData?.keybindings) return;
+    
+    this.systems.inputMap.loadSaveData(settingsData.keybindings);
+    
+    console.log(`[StateRestoration] Keybindings restored: ${Object.keys(settingsData.keybindings).length} changed`);
+  }
+  
   // ========== VALIDATION ==========
   
   /**
    * Pre-load validation of save data
    */
   validateSaveData(saveData) {
-    // Check version
-    if (!saveData.version) {
-      this.validationWarnings.push('Save has no version number');
-    }
+    // Path-level schema checks (see SaveDataSchema.validateSaveData)
+    const { errors, warnings } = validateSaveSchema(saveData);
+    this.validationErrors.push(...errors);
+    this.validationWarnings.push(...warnings);
     
-    // Check required sections
-    const requiredSections = ['player', 'inventory', 'equipment'];
-    for (const section of requiredSections) {
-      if (!saveData[section]) {
-        this.validationWarnings.push(`Missing ${section} data, using defaults`);
-      }
-    }
-    
-    // Validate player level
-    if (saveData.player?.level && saveData.player.level < 1) {
-      this.validationErrors.push('Invalid player level');
-    }
+    return { errors, warnings };
   }
   
   /**
@@ -641,12 +616,12 @@ class StateRestoration {
    */
   validateInventoryItems(items) {
     // Would check against ItemManager data
-    // For now, just ensure items have required fields
-    items.forEach((item, index) => {
-      if (!item.id) {
-        this.validationWarnings.push(`Inventory item at index ${index} has no ID`);
+    // For now, just ensure quantities are usable
+    for (const [itemId, quantity] of Object.entries(items)) {
+      if (typeof quantity !== 'number' || quantity < 0) {
+        this.validationWarnings.push(`Inventory item '${itemId}' has invalid quantity`);
       }
-    });
+    }
   }
   
   /**
@@ -68,9 +68,6 @@ export class TimeManager {
     // UI element
     this.clockElement = null;
     this.createClockUI();
-    
-    // Load saved time
-    this.load();
   }
   
   /**
@@ -537,37 +534,31 @@ export class TimeManager {
   }
   
   /**
-   * Save time state to localStorage
+   * Time of day for SaveManager (world.time)
    */
-  save() {
-    const saveData = {
-      hour: this.currentHour,
-      minute: this.currentMinute,
-      day: this.currentDay,
-      moonPhase: this.moonPhase
+  getSaveData() {
+    return {
+      currentHour: this.currentHour,
+      currentMinute: this.currentMinute,
+      currentDay: this.currentDay,
+      dayPhase: this.dayPhase,
+      moonPhase: this.moonPhase,
+      isPaused: this.isPaused,
     };
-    localStorage.setItem('ashen-time', JSON.stringify(saveData));
   }
   
   /**
-   * Load time state from localStorage
+   * Restore time of day (null = fresh game)
    */
-  load() {
-    try {
-      const data = localStorage.getItem('ashen-time');
-      if (data) {
-        const saveData = JSON.parse(data);
-        this.currentHour = saveData.hour ?? 10;
-        this.currentMinute = saveData.minute ?? 0;
-        this.currentDay = saveData.day ?? 1;
-        this.moonPhase = saveData.moonPhase ?? 4;
-        this.dayPhase = this.calculatePhase(this.currentHour);
-        this.updateClockUI();
-        console.log(`[TimeManager] Loaded time: Day ${this.currentDay}, ${this.currentHour}:${String(this.currentMinute).padStart(2, '0')}`);
-      }
-    } catch (e) {
-      console.warn('[TimeManager] Failed to load saved time:', e);
-    }
+  loadSaveData(data) {
+    this.currentHour = data?.currentHour ?? 10;
+    this.currentMinute = data?.currentMinute ?? 0;
+    this.currentDay = data?.currentDay ?? 1;
+    this.moonPhase = data?.moonPhase ?? 4;
+    this.isPaused = data?.isPaused ?? false;
+    this.dayPhase = this.calculatePhase(this.currentHour);
+    this.updateClockUI();
+    console.log(`[TimeManager] Loaded time: Day ${this.currentDay}, ${this.currentHour}:${String(this.currentMinute).padStart(2, '0')}`);
   }
   
   /**
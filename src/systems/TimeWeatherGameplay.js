@@ -497,9 +497,6 @@ export class TimeWeatherGameplay {
     if (this.shownHints.has(hintId)) return;
     this.shownHints.add(hintId);
     
-    // Save shown hints
-    localStorage.setItem('ashen-hints', JSON.stringify([...this.shownHints]));
-    
     const hint = document.createElement('div');
     hint.className = 'tutorial-hint';
     hint.textContent = message;
@@ -647,6 +644,15 @@ export class TimeWeatherGameplay {
       return 'night_patrol';
     }
     
+    if (scheduleType === 'MERCHANT') {
+      // Shopkeepers mind the shop through lunch
+      if (hour < schedule.wake) return 'sleeping';
+      if (hour < schedule.openShop) return 'waking';
+      if (hour < schedule.closeShop) return 'working';
+      if (hour < schedule.sleep) return 'socializing';
+      return 'sleeping';
+    }
+    
     // Standard schedules
     if (hour < schedule.wake) return 'sleeping';
     if (hour < schedule.work) return 'waking';
@@ -1124,36 +1130,27 @@ export class TimeWeatherGameplay {
   }
   
   /**
-   * Save state
+   * Shown hints + warmth buff for SaveManager (world.gameplay)
    */
-  save() {
-    const data = {
+  getSaveData() {
+    return {
       shownHints: [...this.shownHints],
       hasWarmthBuff: this.hasWarmthBuff,
       warmthBuffEndTime: this.warmthBuffEndTime
     };
-    localStorage.setItem('ashen-gameplay-time', JSON.stringify(data));
   }
   
   /**
-   * Load state
+   * Restore state (null = fresh game)
    */
-  load() {
-    try {
-      const data = localStorage.getItem('ashen-gameplay-time');
-      if (data) {
-        const parsed = JSON.parse(data);
-        this.shownHints = new Set(parsed.shownHints || []);
-        this.hasWarmthBuff = parsed.hasWarmthBuff || false;
-        this.warmthBuffEndTime = parsed.warmthBuffEndTime || 0;
-        
-        // Check if warmth buff expired while offline
-        if (this.hasWarmthBuff && Date.now() > this.warmthBuffEndTime) {
-          this.hasWarmthBuff = false;
-        }
-      }
-    } catch (e) {
-      console.warn('[TimeWeatherGameplay] Failed to load state:', e);
+  loadSaveData(data) {
+    this.shownHints = new Set(data?.shownHints || []);
+    this.hasWarmthBuff = data?.hasWarmthBuff || false;
+    this.warmthBuffEndTime = data?.warmthBuffEndTime || 0;
+    
+    // Check if warmth buff expired while offline
+    if (this.hasWarmthBuff && Date.now() > this.warmthBuffEndTime) {
+      this.hasWarmthBuff = false;
     }
   }
 }
@@ -1164,7 +1161,6 @@ let gameplayInstance = null;
 export function createTimeWeatherGameplay(gameManager) {
   if (!gameplayInstance) {
     gameplayInstance = new TimeWeatherGameplay(gameManager);
-    gameplayInstance.load();
   }
   return gameplayInstance;
 }
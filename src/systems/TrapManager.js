@@ -0,0 +1,630 @@
+import * as THREE from 'three';
+import { getInputMap, formatChord } from './InputMap.js';
+
+/**
+ * TrapManager.js - Dungeon Trap Runtime
+ * Phase 22: Dungeon Instances
+ *
+ * Brings the generator's room and corridor traps (DungeonData TRAP_TYPE) to life.
+ * Owned by DungeonManager, which loads it with each dungeon and updates it
+ * every frame; PuzzleManager springs traps through activateNearby().
+ *
+ * Trap cycle: armed -> telegraph -> active -> resetting -> armed
+ * - pressure, tripwire, weight and proximity traps arm a trigger volume that
+ *   the player, an enemy or an ally walking in sets off
+ * - timed traps (fire jets) run the cycle on their own
+ * - the telegraph (click + pulsing glow) is the window to dodge clear
+ * - oneShot traps are spent after firing; hidden pits stay revealed
+ *
+ * Hits on the player go through GameManager.takeDamage with the trap's damage
+ * type, so deathLessons learn from trap deaths. Enemies caught in a trap take
+ * the same damage through EnemyManager.damageEnemy; trap kills drop loot but
+ * earn no Remnant or XP.
+ *
+ * Interact next to an armed trap disarms it for the rest of the run (onDisarm).
+ */
+
+// ========== TRAP STATES ==========
+export const TRAP_STATE = {
+  ARMED: 'armed',
+  TELEGRAPH: 'telegraph',
+  ACTIVE: 'active',
+  RESETTING: 'resetting',
+  SPENT: 'spent',
+  DISARMED: 'disarmed',
+};
+
+// ========== SETTINGS ==========
+const DEFAULT_ACTIVE_TIME = 0.5;
+const DEFAULT_RESET_TIME = 4;
+const DOT_TICK = 1;                 // Seconds between lingering (duration) damage ticks
+const DISARM_REACH = 1.2;           // Disarm prompt shows this far outside the trigger volume
+const PIT_CLIMB_OUT = 0.6;          // Fallen players climb out this far past the pit's edge
+const WARN_COLOR = 0xff5522;
+const DISARMED_COLOR = 0x333333;
+
+/**
+ * TrapManager - Trigger, damage and disarm dungeon traps
+ */
+export class TrapManager {
+  constructor(scene, gameManager, inputManager, audioManager = null) {
+    this.scene = scene;
+    this.gm = gameManager;
+    this.input = inputManager;
+    this.audio = audioManager;
+
+    // Live traps in the current dungeon
+    this.traps = [];
+    this.group = new THREE.Group();
+    this.group.name = 'DungeonTraps';
+
+    // Trap the disarm prompt points at
+    this.disarmTarget = null;
+
+    // Disarm listeners (dungeon progress)
+    this.onDisarmCallbacks = [];
+
+    this._createMaterials();
+    this._createPromptUI();
+  }
+
+  _createMaterials() {
+    this.materials = {
+      metal: new THREE.MeshStandardMaterial({ color: 0x4a4a4a, roughness: 0.7, metalness: 0.3 }),
+      spike: new THREE.MeshStandardMaterial({ color: 0x999999, roughness: 0.4, metalness: 0.8 }),
+      wood: new THREE.MeshStandardMaterial({ color: 0x6b4a2b, roughness: 0.9 }),
+      rock: new THREE.MeshStandardMaterial({ color: 0x5a5550, roughness: 1 }),
+      hole: new THREE.MeshBasicMaterial({ color: 0x050505 }),
+      flame: new THREE.MeshBasicMaterial({ color: 0xff7722, transparent: true, opacity: 0.8 }),
+      cloud: new THREE.MeshBasicMaterial({ color: 0x66cc44, transparent: true, opacity: 0.35, depthWrite: false }),
+    };
+  }
+
+  _createPromptUI() {
+    if (typeof document === 'undefined' || !document.body) return;
+
+    this.promptElement = document.createElement('div');
+    this.promptElement.id = 'trap-disarm-prompt';
+    this.promptElement.style.cssText = `
+      position: fixed;
+      bottom: 25%;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(20, 10, 5, 0.8);
+      color: #fff;
+      padding: 10px 22px;
+      border-radius: 8px;
+      font-family: 'Segoe UI', sans-serif;
+      font-size: 16px;
+      pointer-events: none;
+      display: none;
+      z-index: 100;
+      border: 1px solid rgba(255, 120, 60, 0.5);
+    `;
+    document.body.appendChild(this.promptElement);
+  }
+
+  // ========================================
+  // LOADING
+  // ========================================
+
+  /**
+   * Build the traps of a generated dungeon
+   * @param {Object} dungeon - DungeonGenerator instance data
+   * @param {Iterable<string>} disarmedIds - Traps already disarmed this run
+   */
+  loadDungeon(dungeon, disarmedIds = []) {
+    this.clear();
+    const disarmed = new Set(disarmedIds);
+
+    for (const room of dungeon.rooms) {
+      for (const trap of room.traps || []) {
+        this.addTrap(trap, {
+          x: room.position.x + trap.position.x,
+          z: room.position.z + trap.position.z,
+        }, disarmed.has(trap.id));
+      }
+    }
+
+    for (const conn of dungeon.connections || []) {
+      const trap = conn.corridor?.trap;
+      if (!trap) continue;
+      const id = `trap_corridor_${conn.from}_${conn.to}`;
+      const isNorthSouth = conn.direction === 'north' || conn.direction === 'south';
+      this.addTrap({ ...trap, id }, conn.corridor.position, disarmed.has(id), isNorthSouth ? 0 : Math.PI / 2);
+    }
+
+    if (this.scene) this.scene.add(this.group);
+    console.log(`[TrapManager] Loaded ${this.traps.length} traps`);
+  }
+
+  /**
+   * Add one trap at a world position
+   * @param {Object} def - TRAP_TYPE entry plus id
+   * @param {{x, z}} position
+   * @param {boolean} isDisarmed
+   * @param {number} rotation - Y rotation (arrow lanes run across corridors)
+   */
+  addTrap(def, position, isDisarmed = false, rotation = 0) {
+    const mesh = this._buildMesh(def);
+    mesh.position.set(position.x, 0, position.z);
+    mesh.rotation.y = rotation;
+    this.group.add(mesh);
+
+    const trap = {
+      id: def.id,
+      def,
+      position: new THREE.Vector3(position.x, 0, position.z),
+      mesh,
+      state: TRAP_STATE.ARMED,
+      timer: 0,
+      tickTimer: 0,
+      ticksLeft: 0,
+      hitThisCycle: new Set(),
+      revealed: def.visualType !== 'hidden_floor',
+    };
+
+    if (isDisarmed) {
+      this._setDisarmed(trap);
+    } else if (def.triggerType === 'timed') {
+      trap.state = TRAP_STATE.RESETTING;
+      trap.timer = def.cooldownTime ?? DEFAULT_RESET_TIME;
+    }
+
+    this.traps.push(trap);
+    return trap;
+  }
+
+  /**
+   * Remove every trap (dungeon unloaded)
+   */
+  clear() {
+    for (const trap of this.traps) {
+      trap.mesh.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.userData.ownMaterial) child.material.dispose();
+      });
+    }
+    this.group.clear();
+    if (this.scene) this.scene.remove(this.group);
+    this.traps = [];
+    this._setPrompt(null);
+  }
+
+  // ========================================
+  // TRAP VISUALS
+  // ========================================
+
+  /**
+   * Trap model by visualType. userData.warn is the material that glows while
+   * telegraphing; userData.active is the part shown while the trap fires.
+   */
+  _buildMesh(def) {
+    const group = new THREE.Group();
+    group.name = `Trap_${def.id}`;
+    const warn = new THREE.MeshStandardMaterial({ color: 0x4a4a4a, roughness: 0.7, metalness: 0.3 });
+    const active = new THREE.Group();
+    active.visible = false;
+
+    const add = (parent, geometry, material, x, y, z) => {
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.set(x, y, z);
+      if (material === warn) mesh.userData.ownMaterial = true;
+      parent.add(mesh);
+      return mesh;
+    };
+
+    switch (def.visualType) {
+      case 'floor_spikes': {
+        add(group, new THREE.BoxGeometry(2, 0.05, 2), warn, 0, 0.025, 0);
+        const spikeGeo = new THREE.ConeGeometry(0.08, 0.6, 6);
+        for (let i = 0; i < 9; i++) {
+          add(active, spikeGeo, this.materials.spike, (i % 3 - 1) * 0.6, 0.3, (Math.floor(i / 3) - 1) * 0.6);
+        }
+        break;
+      }
+
+      case 'wall_arrows': {
+        // Arrow slits on posts either side of the lane, tripwire between them
+        const postGeo = new THREE.BoxGeometry(0.3, 1.8, 0.3);
+        add(group, postGeo, this.materials.metal, -1.8, 0.9, 0);
+        add(group, postGeo, warn, 1.8, 0.9, 0);
+        add(group, new THREE.BoxGeometry(3.6, 0.02, 0.02), this.materials.wood, 0, 0.15, 0);
+        const arrowGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.7, 4);
+        const count = def.projectileCount || 3;
+        for (let i = 0; i < count; i++) {
+          const arrow = add(active, arrowGeo, this.materials.wood, 0, 1.2, (i - (count - 1) / 2) * 0.4);
+          arrow.rotation.z = Math.PI / 2;
+        }
+        break;
+      }
+
+      case 'fire_grate': {
+        add(group, new THREE.BoxGeometry(1.6, 0.06, 1.6), warn, 0, 0.03, 0);
+        add(active, new THREE.ConeGeometry(def.hitRadius * 0.8, 2.2, 10), this.materials.flame, 0, 1.1, 0);
+        break;
+      }
+
+      case 'poison_vent': {
+        add(group, new THREE.CylinderGeometry(0.35, 0.45, 0.15, 10), warn, 0, 0.075, 0);
+        add(active, new THREE.SphereGeometry(def.hitRadius, 14, 10), this.materials.cloud, 0, 0.8, 0);
+        break;
+      }
+
+      case 'cracked_ceiling': {
+        // Cracked patch overhead, a pressure plate below
+        add(group, new THREE.BoxGeometry(2.2, 0.1, 2.2), warn, 0, 3.6, 0);
+        add(group, new THREE.BoxGeometry(1.2, 0.04, 1.2), this.materials.metal, 0, 0.02, 0);
+        const rockGeo = new THREE.DodecahedronGeometry(0.35);
+        for (let i = 0; i < 4; i++) {
+          const angle = (i / 4) * Math.PI * 2;
+          add(active, rockGeo, this.materials.rock, Math.cos(angle) * 0.7, 3.4, Math.sin(angle) * 0.7);
+        }
+        break;
+      }
+
+      case 'hidden_floor': {
+        // Almost floor-coloured until it gives way
+        warn.color.setHex(0x3d3a36);
+        warn.roughness = 0.95;
+        warn.metalness = 0;
+        add(group, new THREE.BoxGeometry(2, 0.03, 2), warn, 0, 0.015, 0);
+        const hole = add(group, new THREE.CircleGeometry(def.hitRadius, 16), this.materials.hole, 0, 0.04, 0);
+        hole.rotation.x = -Math.PI / 2;
+        hole.visible = false;
+        group.userData.hole = hole;
+        break;
+      }
+
+      default:
+        add(group, new THREE.BoxGeometry(1.5, 0.05, 1.5), warn, 0, 0.025, 0);
+        break;
+    }
+
+    group.add(active);
+    group.userData.warn = warn;
+    group.userData.active = active;
+    return group;
+  }
+
+  /**
+   * Per-frame visuals: telegraph glow and the firing animation
+   */
+  _animate(trap) {
+    const { warn, active, hole } = trap.mesh.userData;
+
+    if (trap.state === TRAP_STATE.TELEGRAPH) {
+      const pulse = 0.5 + 0.5 * Math.sin(trap.timer * 30);
+      warn.emissive.setHex(WARN_COLOR);
+      warn.emissiveIntensity = 0.3 + pulse * 0.7;
+    } else if (trap.state !== TRAP_STATE.DISARMED) {
+      warn.emissiveIntensity = 0;
+    }
+
+    active.visible = trap.state === TRAP_STATE.ACTIVE;
+    if (hole) hole.visible = trap.revealed;
+    if (!active.visible) return;
+
+    // 0 -> 1 across the active window
+    const duration = this._activeTime(trap.def);
+    const t = Math.min(1, 1 - trap.timer / duration);
+    switch (trap.def.visualType) {
+      case 'wall_arrows':
+        active.position.x = -1.8 + t * 3.6;
+        break;
+      case 'cracked_ceiling':
+        active.position.y = -3.1 * Math.min(1, t * 1.5);
+        break;
+      case 'floor_spikes':
+        active.position.y = -0.6 + Math.min(1, t * 4) * 0.6;
+        break;
+      case 'poison_vent':
+        active.scale.setScalar(0.6 + 0.4 * Math.min(1, t * 3));
+        break;
+    }
+  }
+
+  // ========================================
+  // UPDATE
+  // ========================================
+
+  /**
+   * Update every trap - call each frame while in a dungeon
+   */
+  update(delta) {
+    if (this.traps.length === 0) return;
+
+    const actors = this._getActors();
+    for (const trap of this.traps) {
+      this._updateTrap(trap, delta, actors);
+      this._animate(trap);
+    }
+
+    this._updateDisarm();
+  }
+
+  /**
+   * Everything a trap can catch: the player, live enemies and allies
+   */
+  _getActors() {
+    const actors = [];
+    const player = this.gm?.player;
+    if (player && !this.gm.isDead) {
+      actors.push({ kind: 'player', entity: player, position: player.mesh.position });
+    }
+
+    const enemyManager = this.gm?.enemyManager;
+    for (const enemy of enemyManager?.enemies || []) {
+      if (enemy.isDead || enemy.health <= 0 || enemy.state === 'dormant') continue;
+      actors.push({ kind: 'enemy', entity: enemy, position: enemy.mesh.position });
+    }
+    for (const ally of enemyManager?.allies || []) {
+      if (ally.isDead) continue;
+      actors.push({ kind: 'ally', entity: ally, position: ally.mesh.position });
+    }
+    return actors;
+  }
+
+  _updateTrap(trap, delta, actors) {
+    const def = trap.def;
+
+    switch (trap.state) {
+      case TRAP_STATE.ARMED:
+        if (def.triggerType !== 'timed' && actors.some(a => this._isInside(trap, a.position, def.triggerRadius))) {
+          this.spring(trap);
+        }
+        break;
+
+      case TRAP_STATE.TELEGRAPH:
+        trap.timer -= delta;
+        if (trap.timer <= 0) this._fire(trap);
+        break;
+
+      case TRAP_STATE.ACTIVE:
+        this._applyHits(trap, delta, actors);
+        trap.timer -= delta;
+        if (trap.timer <= 0) {
+          if (def.oneShot) {
+            trap.state = TRAP_STATE.SPENT;
+          } else {
+            trap.state = TRAP_STATE.RESETTING;
+            trap.timer = def.resetTime ?? def.cooldownTime ?? DEFAULT_RESET_TIME;
+          }
+        }
+        break;
+
+      case TRAP_STATE.RESETTING:
+        trap.timer -= delta;
+        if (trap.timer <= 0) {
+          // Timed traps go straight into their next warning
+          if (def.triggerType === 'timed') {
+            this.spring(trap);
+          } else {
+            trap.state = TRAP_STATE.ARMED;
+          }
+        }
+        break;
+    }
+  }
+
+  /**
+   * Start a trap's telegraph. Returns false if it cannot fire right now.
+   */
+  spring(trap) {
+    const ready = trap.state === TRAP_STATE.ARMED ||
+      (trap.def.triggerType === 'timed' && trap.state === TRAP_STATE.RESETTING);
+    if (!ready) return false;
+
+    trap.state = TRAP_STATE.TELEGRAPH;
+    trap.timer = trap.def.telegraphTime ?? 0;
+    this._playSound('trapClick', trap, 0.6);
+    return true;
+  }
+
+  _fire(trap) {
+    trap.state = TRAP_STATE.ACTIVE;
+    trap.timer = this._activeTime(trap.def);
+    trap.tickTimer = 0;
+    trap.ticksLeft = Math.round((trap.def.duration || 0) / DOT_TICK);
+    trap.hitThisCycle.clear();
+    trap.revealed = true;
+    this._playSound('trapSpring', trap, 0.8);
+  }
+
+  _activeTime(def) {
+    return def.duration ?? def.activeTime ?? DEFAULT_ACTIVE_TIME;
+  }
+
+  /**
+   * Damage whoever is inside the trap. Lingering traps (duration) tick once a
+   * second; the rest hit each actor once per firing.
+   */
+  _applyHits(trap, delta, actors) {
+    const def = trap.def;
+    let damage = def.damage;
+
+    if (def.duration) {
+      trap.tickTimer -= delta;
+      if (trap.tickTimer > 0 || trap.ticksLeft <= 0) return;
+      trap.tickTimer += DOT_TICK;
+      trap.ticksLeft--;
+      damage = Math.max(1, Math.round(def.damage * DOT_TICK / def.duration));
+      trap.hitThisCycle.clear();
+    }
+
+    for (const actor of actors) {
+      if (trap.hitThisCycle.has(actor.entity)) continue;
+      if (!this._isInside(trap, actor.position, def.hitRadius)) continue;
+
+      trap.hitThisCycle.add(actor.entity);
+      this._hit(trap, actor, damage);
+    }
+  }
+
+  _hit(trap, actor, damage) {
+    const def = trap.def;
+
+    switch (actor.kind) {
+      case 'player': {
+        // Dodge i-frames carry the player through a trap unharmed
+        if (actor.entity.isInvincible) return;
+        this.gm.takeDamage(damage, def.damageType || 'physical', 0, false, null);
+        if (def.effect === 'fall' && !this.gm.isDead) this._climbOut(trap, actor.entity);
+        break;
+      }
+      case 'enemy':
+        this.gm.enemyManager.damageEnemy(actor.entity, damage, 0, trap.position, 'trap');
+        break;
+      case 'ally':
+        actor.entity.receiveEnemyHit(damage, null);
+        break;
+    }
+  }
+
+  /**
+   * The player fell into a pit: put them on its edge, on the side they came from
+   */
+  _climbOut(trap, player) {
+    const pos = player.mesh.position;
+    const dir = new THREE.Vector3(pos.x - trap.position.x, 0, pos.z - trap.position.z);
+    if (dir.lengthSq() < 0.0001) dir.set(0, 0, 1);
+    dir.normalize().multiplyScalar(trap.def.hitRadius + PIT_CLIMB_OUT);
+
+    pos.x = trap.position.x + dir.x;
+    pos.z = trap.position.z + dir.z;
+    player.velocity?.set(0, 0, 0);
+    this._notify('You fall into a pit and climb back out');
+  }
+
+  _isInside(trap, position, radius = 0) {
+    const dx = position.x - trap.position.x;
+    const dz = position.z - trap.position.z;
+    return dx * dx + dz * dz <= radius * radius;
+  }
+
+  // ========================================
+  // PUZZLE PENALTIES
+  // ========================================
+
+  /**
+   * Spring every trap within radius of a point (puzzle failure)
+   * @returns {number} How many traps were set off
+   */
+  activateNearby(position, radius) {
+    let sprung = 0;
+    for (const trap of this.traps) {
+      if (this._isInside(trap, position, radius) && this.spring(trap)) sprung++;
+    }
+    return sprung;
+  }
+
+  // ========================================
+  // DISARMING
+  // ========================================
+
+  /**
+   * Show the disarm prompt by the closest disarmable trap; interact disarms it
+   */
+  _updateDisarm() {
+    const playerPos = this.gm?.player?.mesh.position;
+    if (!playerPos || this.gm.isDead) {
+      this._setPrompt(null);
+      return;
+    }
+
+    let target = null;
+    let bestDist = Infinity;
+    for (const trap of this.traps) {
+      if (!this._canDisarm(trap)) continue;
+      const reach = (trap.def.triggerRadius ?? trap.def.hitRadius) + DISARM_REACH;
+      const dist = Math.hypot(playerPos.x - trap.position.x, playerPos.z - trap.position.z);
+      if (dist <= reach && dist < bestDist) {
+        target = trap;
+        bestDist = dist;
+      }
+    }
+
+    this.disarmTarget = target;
+    const key = target && formatChord(getInputMap().getBindings('interact')[0]);
+    this._setPrompt(target ? `<span style="color:#ffaa66">[${key}]</span> Disarm ${target.def.name}` : null);
+
+    if (target && this.input?.interact) {
+      this.disarm(target);
+    }
+  }
+
+  /**
+   * Armed traps can be disarmed; timed traps between firings. A hidden pit
+   * has to be found (fallen into) first.
+   */
+  _canDisarm(trap) {
+    if (!trap.revealed) return false;
+    if (trap.state === TRAP_STATE.ARMED) return true;
+    return trap.def.triggerType === 'timed' && trap.state === TRAP_STATE.RESETTING;
+  }
+
+  disarm(trap) {
+    if (!this._canDisarm(trap)) return false;
+
+    this._setDisarmed(trap);
+    this._setPrompt(null);
+    this._playSound('doorUnlock', trap, 0.5);
+    this._notify(`${trap.def.name} disarmed`);
+    console.log(`[TrapManager] Disarmed ${trap.id}`);
+
+    this.onDisarmCallbacks.forEach(cb => cb(trap));
+    return true;
+  }
+
+  _setDisarmed(trap) {
+    trap.state = TRAP_STATE.DISARMED;
+    trap.revealed = true;
+    const { warn } = trap.mesh.userData;
+    warn.color.setHex(DISARMED_COLOR);
+    warn.emissiveIntensity = 0;
+  }
+
+  /**
+   * Register callback for disarmed traps
+   * @returns {Function} Unsubscribe
+   */
+  onDisarm(callback) {
+    this.onDisarmCallbacks.push(callback);
+    return () => {
+      this.onDisarmCallbacks = this.onDisarmCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  _setPrompt(html) {
+    if (!this.promptElement) return;
+    if (html) this.promptElement.innerHTML = html;
+    this.promptElement.style.display = html ? 'block' : 'none';
+  }
+
+  _playSound(name, trap, volume) {
+    if (this.audio) {
+      this.audio.play(name, { position: trap.position, volume });
+    }
+  }
+
+  _notify(message) {
+    this.gm?.itemManager?.showNotification(message);
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.clear();
+    this.promptElement?.remove();
+    for (const mat of Object.values(this.materials)) {
+      mat.dispose();
+    }
+  }
+}
+
+export default TrapManager;
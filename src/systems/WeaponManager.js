@@ -16,6 +16,8 @@ import {
   calculateStaminaCost,
   calculateRange,
   calculateCritChance,
+  calculateStatusBuildup,
+  getBoneEvolutionStage,
   getWeapon,
 } from '../data/WeaponData.js';
 
@@ -56,13 +58,8 @@ export class WeaponManager {
     this.onAttackHit = null;
     this.onAttackEnd = null;
     
-    // Load saved state
-    this.loadState();
-    
-    // Initialize with default weapon if none equipped
-    if (!this.activeWeapon) {
-      this.equipWeapon(DEFAULT_WEAPON_ID, WEAPON_RARITY.COMMON, 0);
-    }
+    // Start with the default weapon (replaced when a save loads)
+    this.equipWeapon(DEFAULT_WEAPON_ID, WEAPON_RARITY.COMMON, 0);
     
     console.log('[WeaponManager] Initialized with weapon:', this.activeWeapon?.name);
   }
@@ -106,7 +103,6 @@ export class WeaponManager {
       this.quickSlots[this.activeSlot] = weapon;
     }
     
-    this.saveState();
     this.updateEquipmentBonuses();
     
     console.log(`[WeaponManager] Equipped ${weapon.name} (${rarity.name})`);
@@ -158,6 +154,7 @@ export class WeaponManager {
       'axe': WEAPON_CATEGORY.AXE,
       'spear': WEAPON_CATEGORY.SPEAR,
       'greatsword': WEAPON_CATEGORY.GREATSWORD,
+      'greatshield': WEAPON_CATEGORY.GREATSHIELD,
     };
     
     const category = modelToCategory[equipmentItem.weaponModel] || WEAPON_CATEGORY.SWORD;
@@ -193,7 +190,6 @@ export class WeaponManager {
       this.quickSlots[this.activeSlot] = weapon;
     }
     
-    this.saveState();
     this.updateEquipmentBonuses();
     
     console.log(`[WeaponManager] Equipped dynamic weapon: ${weapon.name}`);
@@ -227,8 +223,7 @@ export class WeaponManager {
       this.activeWeapon = weapon;
       this.activeRarity = weapon.rarity;
       this.updateEquipmentBonuses();
-      this.saveState();
-      
+        
       console.log(`[WeaponManager] Switched to: ${weapon.name}`);
       
       // Notify UI
@@ -273,6 +268,12 @@ export class WeaponManager {
       damage *= moveset.damageMultiplier;
     }
     
+    // Bone weapons grow with Bone infusion
+    const evolution = this.getBoneEvolution();
+    if (evolution) {
+      damage *= evolution.damageMult;
+    }
+    
     // Apply combo bonus (5% per combo hit, max 25%)
     if (this.comboCount > 0) {
       damage *= 1 + Math.min(this.comboCount * 0.05, 0.25);
@@ -326,6 +327,24 @@ export class WeaponManager {
     return this.activeWeapon.moveset[attackType] || null;
   }
   
+  /**
+   * Get status buildup dealt per hit by an attack
+   * @returns {object|null} e.g. { bleed: 20 }
+   */
+  getStatusBuildup(attackType = 'light') {
+    if (!this.activeWeapon) return null;
+    const evolution = this.getBoneEvolution();
+    return calculateStatusBuildup(this.activeWeapon, attackType, evolution ? evolution.buildupMult : 1);
+  }
+  
+  /**
+   * Get evolution stage of the active bone weapon (null for other weapons)
+   */
+  getBoneEvolution() {
+    if (this.activeWeapon?.category?.id !== WEAPON_CATEGORY.BONE.id) return null;
+    return getBoneEvolutionStage(this.gameManager?.infusions?.bone || 0);
+  }
+  
   /**
    * Roll for critical hit
    * @returns {boolean} True if crit
@@ -520,6 +539,7 @@ export class WeaponManager {
       groundPound: attackInfo.groundPound || false,
       stagger: attackInfo.stagger || false,
       specialEffect: this.activeWeapon.specialEffect || null,
+      statusBuildup: this.getStatusBuildup(this.attackType),
       comboCount: this.comboCount,
     };
   }
@@ -584,6 +604,8 @@ export class WeaponManager {
       specialEffect: this.activeWeapon.specialEffect || null,
       lightAttack: this.activeWeapon.moveset.light.name,
       heavyAttack: this.activeWeapon.moveset.heavy.name,
+      statusBuildup: this.getStatusBuildup('light'),
+      boneEvolution: this.getBoneEvolution(),
     };
   }
   
@@ -608,8 +630,11 @@ export class WeaponManager {
   
   // ========== PERSISTENCE ==========
   
-  saveState() {
-    const data = {
+  /**
+   * Quick slots for SaveManager
+   */
+  getSaveData() {
+    return {
       activeSlot: this.activeSlot,
       quickSlots: this.quickSlots.map(w => {
         if (!w) return null;
@@ -629,19 +654,20 @@ export class WeaponManager {
         };
       }),
     };
-    localStorage.setItem('ashen_weapons', JSON.stringify(data));
   }
   
-  loadState() {
+  /**
+   * Restore quick slots (null = fresh game, default weapon)
+   */
+  loadSaveData(data) {
     try {
-      const saved = localStorage.getItem('ashen_weapons');
-      if (!saved) return;
-      
-      const data = JSON.parse(saved);
-      this.activeSlot = data.activeSlot || 0;
+      this.quickSlots = [null, null, null, null];
+      this.activeWeapon = null;
+      this.activeRarity = null;
+      this.activeSlot = data?.activeSlot || 0;
       
       // Restore quick slots
-      if (data.quickSlots) {
+      if (data?.quickSlots) {
         data.quickSlots.forEach((savedWeapon, index) => {
           if (!savedWeapon) return;
           
@@ -685,11 +711,15 @@ export class WeaponManager {
         this.activeWeapon = this.quickSlots[this.activeSlot];
         this.activeRarity = this.activeWeapon.rarity;
       }
-      
-      console.log('[WeaponManager] Loaded saved weapon state');
     } catch (e) {
       console.error('[WeaponManager] Failed to load state:', e);
     }
+    
+    if (!this.activeWeapon) {
+      this.equipWeapon(DEFAULT_WEAPON_ID, WEAPON_RARITY.COMMON, this.activeSlot);
+    } else {
+      this.updateEquipmentBonuses();
+    }
   }
   
   // ========== DEBUG ==========
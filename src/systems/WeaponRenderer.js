@@ -60,7 +60,7 @@ export class WeaponRenderer {
   
   /**
    * Create a weapon mesh based on type and rarity
-   * @param {string} weaponType - sword, axe, spear, dagger, greatsword, longsword
+   * @param {string} weaponType - sword, axe, spear, dagger, greatsword, longsword, greatshield
    * @param {object} rarity - Rarity tier from WEAPON_RARITY
    * @param {object} options - Additional options (name, specialEffect, etc.)
    * @returns {THREE.Group} Weapon mesh group
@@ -93,6 +93,9 @@ export class WeaponRenderer {
       case 'dagger':
         this.buildDagger(weapon, rarity, options);
         break;
+      case 'greatshield':
+        this.buildGreatshield(weapon, rarity, options);
+        break;
       default:
         // Default to sword
         this.buildSword(weapon, rarity, options);
@@ -136,6 +139,8 @@ export class WeaponRenderer {
       'halberd': 'spear',
       'dagger': 'dagger',
       'knife': 'dagger',
+      'greatshield': 'greatshield',
+      'shield': 'greatshield',
     };
     
     return typeMap[normalized] || 'sword';
@@ -594,6 +599,41 @@ export class WeaponRenderer {
     weapon.add(pommel);
   }
   
+  // ========== GREATSHIELD ==========
+  buildGreatshield(weapon, rarity, options) {
+    const faceMat = this.createMaterial(MATERIAL_CONFIGS.blade, rarity, true);
+    const rimMat = this.createMaterial(MATERIAL_CONFIGS.guard, rarity, true);
+    const handleMat = this.createMaterial(MATERIAL_CONFIGS.handle, rarity);
+    
+    // Tall slab face
+    const faceGeo = new THREE.BoxGeometry(0.5, 0.8, 0.05);
+    const face = new THREE.Mesh(faceGeo, faceMat);
+    face.position.y = 0.2;
+    weapon.add(face);
+    
+    // Reinforced rim - top and bottom bands
+    const bandGeo = new THREE.BoxGeometry(0.54, 0.05, 0.07);
+    const topBand = new THREE.Mesh(bandGeo, rimMat);
+    topBand.position.y = 0.6;
+    weapon.add(topBand);
+    const bottomBand = new THREE.Mesh(bandGeo, rimMat);
+    bottomBand.position.y = -0.2;
+    weapon.add(bottomBand);
+    
+    // Central boss for bashing
+    const bossGeo = new THREE.SphereGeometry(0.08, 10, 8, 0, Math.PI * 2, 0, Math.PI / 2);
+    const boss = new THREE.Mesh(bossGeo, rimMat);
+    boss.position.set(0, 0.2, 0.025);
+    boss.rotation.x = Math.PI / 2;
+    weapon.add(boss);
+    
+    // Grip behind the face
+    const gripGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.18, 8);
+    const grip = new THREE.Mesh(gripGeo, handleMat);
+    grip.position.set(0, 0.2, -0.07);
+    weapon.add(grip);
+  }
+  
   // ========== GLOW EFFECT ==========
   addGlowEffect(weapon, rarity) {
     // Point light for weapon glow
@@ -675,6 +715,11 @@ export class WeaponRenderer {
           position: new THREE.Vector3(0.4, 0.1, 0.35),
           rotation: new THREE.Euler(0, 0, -Math.PI / 8),
         };
+      case 'greatshield':
+        return {
+          position: new THREE.Vector3(0.45, 0.1, 0.45),
+          rotation: new THREE.Euler(0, -Math.PI / 3, 0),
+        };
       case 'longsword':
       case 'sword':
       default:
@@ -212,9 +212,6 @@ export class WeatherManager {
     
     // Create lightning flash light
     this.createLightningLight();
-    
-    // Load saved weather
-    this.load();
   }
   
   /**
@@ -682,37 +679,28 @@ export class WeatherManager {
   }
   
   /**
-   * Save weather state
+   * Weather state for SaveManager (world.weather)
    */
-  save() {
-    const saveData = {
-      weather: this.currentWeather,
+  getSaveData() {
+    return {
+      currentWeather: this.currentWeather,
       biome: this.currentBiome,
-      hoursUntilChange: this.hoursUntilChange
+      hoursUntilChange: this.hoursUntilChange,
     };
-    localStorage.setItem('ashen-weather', JSON.stringify(saveData));
   }
   
   /**
-   * Load weather state
+   * Restore weather (null = fresh game, clear skies)
    */
-  load() {
-    try {
-      const data = localStorage.getItem('ashen-weather');
-      if (data) {
-        const saveData = JSON.parse(data);
-        this.currentWeather = saveData.weather || WEATHER_TYPES.CLEAR;
-        this.currentBiome = saveData.biome || 'default';
-        this.hoursUntilChange = saveData.hoursUntilChange ?? this.getRandomChangeInterval();
-        
-        // Apply loaded weather immediately
-        this.setWeatherImmediate(this.currentWeather);
-        
-        console.log(`[WeatherManager] Loaded weather: ${this.currentWeather}, biome: ${this.currentBiome}`);
-      }
-    } catch (e) {
-      console.warn('[WeatherManager] Failed to load saved weather:', e);
-    }
+  loadSaveData(data) {
+    this.currentWeather = data?.currentWeather || WEATHER_TYPES.CLEAR;
+    this.currentBiome = data?.biome || 'default';
+    this.hoursUntilChange = data?.hoursUntilChange ?? this.getRandomChangeInterval();
+    
+    // Apply loaded weather immediately
+    this.setWeatherImmediate(this.currentWeather);
+    
+    console.log(`[WeatherManager] Loaded weather: ${this.currentWeather}, biome: ${this.currentBiome}`);
   }
   
   /**
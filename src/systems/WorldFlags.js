@@ -0,0 +1,73 @@
+/**
+ * WorldFlags.js - Named story/world state flags
+ *
+ * Single owner of world flags ('met_elder', 'bridge_repaired', ...). Dialogue
+ * effects set them and dialogue conditions read them; any other system can
+ * too. Persisted through SaveManager (world.worldFlags).
+ */
+
+class WorldFlags {
+  constructor() {
+    this.flags = {}; // flagId -> value (true, number or string)
+    this.listeners = [];
+  }
+
+  get(flagId) {
+    return this.flags[flagId];
+  }
+
+  has(flagId) {
+    return this.flags[flagId] !== undefined && this.flags[flagId] !== false;
+  }
+
+  /**
+   * Set a flag (undefined/null clears it)
+   */
+  set(flagId, value = true) {
+    const previous = this.flags[flagId];
+    if (value === undefined || value === null) {
+      delete this.flags[flagId];
+    } else {
+      this.flags[flagId] = value;
+    }
+    if (previous !== this.flags[flagId]) {
+      console.log(`[WorldFlags] ${flagId} = ${this.flags[flagId]}`);
+      this.listeners.forEach(callback => callback(flagId, this.flags[flagId], previous));
+    }
+  }
+
+  clear(flagId) {
+    this.set(flagId, null);
+  }
+
+  /**
+   * Listen for flag changes
+   * @param {Function} callback - (flagId, value, previous)
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  // ========== SAVE / LOAD ==========
+
+  getSaveData() {
+    return { ...this.flags };
+  }
+
+  loadSaveData(data) {
+    this.flags = { ...(data || {}) };
+  }
+}
+
+// ========== SINGLETON ==========
+let worldFlagsInstance = null;
+
+export function getWorldFlags() {
+  if (!worldFlagsInstance) {
+    worldFlagsInstance = new WorldFlags();
+  }
+  return worldFlagsInstance;
+}
+
+export { WorldFlags };
+export default WorldFlags;
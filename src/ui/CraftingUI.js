@@ -650,6 +650,8 @@ export class CraftingUI {
         return 'Quest reward';
       case UNLOCK_METHOD.LEVEL_UP:
         return 'Unlocks at higher level';
+      case UNLOCK_METHOD.REPUTATION:
+        return 'Taught by a faction that holds you in high regard';
       default:
         return 'Unknown source';
     }
@@ -1000,13 +1002,12 @@ export class CraftingUI {
    * Update method (called from game loop)
    */
   update() {
-    // Check for C key toggle
+    // Check for crafting toggle (reading it consumes the press)
     if (this.inputManager?.craftingToggle) {
       this.toggle();
-      this.inputManager.craftingToggle = false;
     }
     
-    // Close on Escape
+    // Close on back
     if (this.isOpen && this.inputManager?.escape) {
       this.close();
     }
@@ -1,8 +1,11 @@
 /**
  * CrucibleUI - Infusion menu that opens near bonfire with E key
- * Shows 4 tracks: Strength, Vitality, Stamina, Spirit
+ * Shows 3 tracks: Bone, Blood, Stone (defined in InfusionData.js)
  */
 
+import { INFUSION_TRACKS } from '../data/InfusionData.js';
+import { getInputMap } from '../systems/InputMap.js';
+
 export class CrucibleUI {
   constructor(gameManager, inputManager, player) {
     this.gm = gameManager;
@@ -10,7 +13,7 @@ export class CrucibleUI {
     this.player = player;
     this.isOpen = false;
     this.selectedTrack = 0;
-    this.tracks = ['strength', 'vitality', 'stamina', 'spirit'];
+    this.tracks = Object.keys(INFUSION_TRACKS);
     
     // Create UI container
     this._createUI();
@@ -32,6 +35,7 @@ export class CrucibleUI {
     this.menuEl = document.getElementById('crucible-menu');
     this.trackEls = this.tracks.map(t => document.getElementById(`track-${t}`));
     this.remnantEl = document.getElementById('crucible-remnant');
+    this.depthEl = document.getElementById('crucible-depth');
   }
   
   update() {
@@ -53,7 +57,7 @@ export class CrucibleUI {
       }
     } else {
       // Check for close conditions
-      if (!nearBonfire || isDead || this.input.keys['Escape']) {
+      if (!nearBonfire || isDead || this.input.isActionHeld('back')) {
         this._close();
       }
     }
@@ -92,27 +96,20 @@ export class CrucibleUI {
   _handleKey(e) {
     if (!this.isOpen) return;
     
-    switch (e.code) {
-      case 'ArrowUp':
-      case 'KeyW':
-        e.preventDefault();
-        this.selectedTrack = (this.selectedTrack - 1 + this.tracks.length) % this.tracks.length;
-        break;
-      case 'ArrowDown':
-      case 'KeyS':
-        e.preventDefault();
-        this.selectedTrack = (this.selectedTrack + 1) % this.tracks.length;
-        break;
-      case 'Enter':
-      case 'KeyF':
-        e.preventDefault();
-        this._purchaseSelected();
-        break;
-      case 'Escape':
-      case 'KeyE':
-        e.preventDefault();
-        this._close();
-        break;
+    const inputMap = getInputMap();
+    if (inputMap.matches(e, 'menuUp')) {
+      e.preventDefault();
+      this.selectedTrack = (this.selectedTrack - 1 + this.tracks.length) % this.tracks.length;
+    } else if (inputMap.matches(e, 'menuDown')) {
+      e.preventDefault();
+      this.selectedTrack = (this.selectedTrack + 1) % this.tracks.length;
+    } else if (inputMap.matches(e, 'menuConfirm')) {
+      e.preventDefault();
+      this._purchaseSelected();
+    } else if (inputMap.matches(e, 'back') || inputMap.matches(e, 'interact')) {
+      // Interact closes too - it's the key that opened the menu
+      e.preventDefault();
+      this._close();
     }
   }
   
@@ -120,7 +117,7 @@ export class CrucibleUI {
     const track = this.tracks[this.selectedTrack];
     const info = this.gm.getTrackInfo(track);
     
-    if (info.maxed || !info.canAfford) return;
+    if (info.maxed || info.capped || !info.canAfford) return;
     
     // Perform infusion
     if (this.gm.infuse(track)) {
@@ -138,29 +135,18 @@ export class CrucibleUI {
     const totalLevel = this.gm.getTotalDepth() || 0;
     
     // Scale player slightly based on total infusion
-    const scale = 1.0 + (totalLevel * 0.01); // Up to 1.2x at max
+    const scale = 1.0 + (totalLevel * 0.01); // Up to 1.1x at max depth
     if (isFinite(scale) && scale > 0) {
       this.player.mesh.scale.setScalar(scale);
     }
     
-    // Track-specific effects
-    switch (track) {
-      case 'strength':
-        // Red glow on body
-        this._addGlow(this.player.body, 0xff4444, level * 0.1);
-        break;
-      case 'vitality':
-        // Green glow
-        this._addGlow(this.player.body, 0x44ff44, level * 0.1);
-        break;
-      case 'stamina':
-        // Yellow glow
-        this._addGlow(this.player.body, 0xffff44, level * 0.1);
-        break;
-      case 'spirit':
-        // Blue glow on visor
-        this._addGlow(this.player.visor, 0x4488ff, level * 0.3);
-        break;
+    // Track-specific glow
+    const color = INFUSION_TRACKS[track]?.color;
+    if (color === undefined) return;
+    this._addGlow(this.player.body, color, level * 0.1);
+    if (track === 'bone' && level >= 3) {
+      // Predator Sense - eyes take on the bone glow
+      this._addGlow(this.player.visor, color, 0.3);
     }
   }
   
@@ -187,6 +173,9 @@ export class CrucibleUI {
     if (this.remnantEl) {
       this.remnantEl.textContent = `Remnant: ${this.gm.remnant}`;
     }
+    if (this.depthEl) {
+      this.depthEl.textContent = `Depth ${this.gm.getTotalDepth()}/${this.gm.MAX_TOTAL_DEPTH} · Humanity ${this.gm.getHumanity()}`;
+    }
     
     // Update each track
     this.tracks.forEach((track, i) => {
@@ -199,18 +188,20 @@ export class CrucibleUI {
       // Update visual state
       el.classList.toggle('selected', isSelected);
       el.classList.toggle('maxed', info.maxed);
-      el.classList.toggle('affordable', info.canAfford && !info.maxed);
+      el.classList.toggle('affordable', info.canAfford && !info.maxed && !info.capped);
       
       // Update content
       const nameEl = el.querySelector('.track-name');
       const levelEl = el.querySelector('.track-level');
       const costEl = el.querySelector('.track-cost');
       const bonusEl = el.querySelector('.track-bonus');
+      const nextEl = el.querySelector('.track-next');
       
       if (nameEl) nameEl.textContent = info.name;
-      if (levelEl) levelEl.textContent = `Lv. ${info.level}/${this.gm.MAX_TRACK_DEPTH}`;
-      if (costEl) costEl.textContent = info.maxed ? 'MAX' : `Cost: ${info.cost}`;
-      if (bonusEl) bonusEl.textContent = info.bonus;
+      if (levelEl) levelEl.textContent = `Depth ${info.level}/${this.gm.MAX_TRACK_DEPTH}`;
+      if (costEl) costEl.textContent = info.maxed ? 'MAX' : info.capped ? 'LIMIT' : `Cost: ${info.cost}`;
+      if (bonusEl) bonusEl.textContent = info.unlocks.length > 0 ? info.unlocks.join(' · ') : 'None';
+      if (nextEl) nextEl.textContent = info.desc;
     });
   }
 }
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { STATUS_EFFECTS } from '../data/StatusEffectData.js';
 
 /**
  * DamageNumberManager - Floating damage numbers when attacks connect.
@@ -112,6 +113,18 @@ export class DamageNumberManager {
         slot.element.textContent = `-${dmgText}`;
         slot.floatSpeed = 2.5;
         break;
+      case 'bleed':
+      case 'poison':
+      case 'frost': {
+        // Status proc burst
+        const effect = STATUS_EFFECTS[type];
+        color = effect.color;
+        fontSize = 22;
+        extraStyle = `text-shadow: 0 0 6px ${effect.color}, 0 1px 3px #000;`;
+        slot.element.textContent = `${effect.icon} ${dmgText}`;
+        slot.floatSpeed = 3;
+        break;
+      }
       default: // normal
         color = '#ffffff';
         fontSize = 18;
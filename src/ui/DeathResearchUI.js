@@ -0,0 +1,332 @@
+/**
+ * DeathResearchUI - Death Research ledger page
+ * Press L to open (or from the Character Stats page)
+ * Lists what has killed you; spend Remnant on counters at a bonfire
+ */
+import { ENEMY_TYPES } from '../entities/Enemy.js';
+import { ENEMY_RESEARCH, getDamageTypeKey } from '../data/DeathResearchData.js';
+import { getInputMap } from '../systems/InputMap.js';
+
+export class DeathResearchUI {
+  constructor(gameManager, deathResearch) {
+    this.gm = gameManager;
+    this.research = deathResearch;
+
+    this.isOpen = false;
+    this.selectedKey = null;
+
+    // Create UI elements
+    this._createUI();
+
+    // Keyboard listener
+    this._setupInput();
+  }
+
+  _setupInput() {
+    const inputMap = getInputMap();
+    window.addEventListener('keydown', (e) => {
+      // Toggle the ledger
+      if (inputMap.matches(e, 'openDeathLedger')) {
+        e.preventDefault();
+        this.toggle();
+      }
+
+      // Back to close
+      if (inputMap.matches(e, 'back') && this.isOpen) {
+        this.close();
+      }
+    });
+  }
+
+  _createUI() {
+    // Container overlay
+    this.container = document.createElement('div');
+    this.container.id = 'death-research-ui';
+    this.container.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.85);
+      display: none;
+      justify-content: center;
+      align-items: center;
+      z-index: 1000;
+      font-family: 'Cinzel', serif;
+    `;
+
+    // Ledger panel
+    this.panel = document.createElement('div');
+    this.panel.style.cssText = `
+      background: linear-gradient(135deg, rgba(30, 20, 20, 0.95), rgba(15, 10, 10, 0.98));
+      border: 2px solid rgba(170, 60, 60, 0.5);
+      border-radius: 8px;
+      padding: 32px 48px;
+      min-width: 620px;
+      max-width: 720px;
+      box-shadow: 0 0 40px rgba(0, 0, 0, 0.8), 0 0 80px rgba(170, 60, 60, 0.15) inset;
+    `;
+
+    // Title
+    const title = document.createElement('h2');
+    title.textContent = 'DEATH RESEARCH';
+    title.style.cssText = `
+      text-align: center;
+      color: #e08080;
+      font-size: 24px;
+      margin: 0 0 8px 0;
+      text-shadow: 0 0 10px rgba(200, 60, 60, 0.5);
+      letter-spacing: 4px;
+    `;
+    this.panel.appendChild(title);
+
+    // Remnant / bonfire info
+    this.infoLine = document.createElement('div');
+    this.infoLine.style.cssText = `
+      text-align: center;
+      color: #aaa;
+      font-size: 14px;
+      margin-bottom: 20px;
+      padding-bottom: 16px;
+      border-bottom: 1px solid rgba(170, 60, 60, 0.3);
+    `;
+    this.panel.appendChild(this.infoLine);
+
+    // Two columns: killers list | counters for the selected killer
+    const columns = document.createElement('div');
+    columns.style.cssText = `
+      display: flex;
+      gap: 20px;
+      min-height: 260px;
+    `;
+
+    this.killerList = document.createElement('div');
+    this.killerList.style.cssText = `
+      width: 220px;
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      max-height: 360px;
+      overflow-y: auto;
+    `;
+    columns.appendChild(this.killerList);
+
+    this.counterList = document.createElement('div');
+    this.counterList.style.cssText = `
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+    `;
+    columns.appendChild(this.counterList);
+
+    this.panel.appendChild(columns);
+
+    // Close hint
+    const closeHint = document.createElement('div');
+    closeHint.textContent = 'Press L or ESC to close';
+    closeHint.style.cssText = `
+      text-align: center;
+      color: #666;
+      font-size: 12px;
+      margin-top: 24px;
+    `;
+    this.panel.appendChild(closeHint);
+
+    this.container.appendChild(this.panel);
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * All ledger keys with at least one death, most deaths first
+   */
+  _getKillers() {
+    const ledger = this.research.ledger;
+    const killers = [];
+
+    for (const [type, entry] of Object.entries(ledger.enemies)) {
+      if (!ENEMY_RESEARCH[type]) continue;
+      killers.push({
+        key: type,
+        name: ENEMY_TYPES[type]?.name || ENEMY_RESEARCH[type].name || type,
+        sub: ENEMY_RESEARCH[type].family,
+        deaths: entry.deaths,
+      });
+    }
+    for (const [damageType, deaths] of Object.entries(ledger.damageTypes)) {
+      if (damageType === 'unknown') continue;
+      killers.push({
+        key: getDamageTypeKey(damageType),
+        name: `${damageType.charAt(0).toUpperCase()}${damageType.slice(1)} damage`,
+        sub: 'Damage type',
+        deaths,
+      });
+    }
+
+    return killers.sort((a, b) => b.deaths - a.deaths);
+  }
+
+  _update() {
+    const atBonfire = this.gm.isNearBonfire();
+    this.infoLine.innerHTML = `
+      Remnant: <span style="color: #ffd088">${this.gm.remnant}</span>
+      &nbsp;·&nbsp; Deaths: ${this.gm.deathCount}
+      &nbsp;·&nbsp; ${atBonfire
+        ? '<span style="color: #8bc34a">Resting at bonfire</span>'
+        : '<span style="color: #aa3333">Research only at a bonfire</span>'}
+    `;
+
+    const killers = this._getKillers();
+    if (!killers.find(k => k.key === this.selectedKey)) {
+      this.selectedKey = killers.length > 0 ? killers[0].key : null;
+    }
+
+    this._renderKillers(killers);
+    this._renderCounters(atBonfire);
+  }
+
+  _renderKillers(killers) {
+    this.killerList.innerHTML = '';
+
+    if (killers.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'Nothing has killed you yet.';
+      empty.style.cssText = `color: #666; font-size: 13px; font-style: italic;`;
+      this.killerList.appendChild(empty);
+      return;
+    }
+
+    for (const killer of killers) {
+      const row = document.createElement('div');
+      const selected = killer.key === this.selectedKey;
+      row.style.cssText = `
+        padding: 8px 12px;
+        background: ${selected ? 'rgba(170, 60, 60, 0.25)' : 'rgba(0, 0, 0, 0.3)'};
+        border: 1px solid ${selected ? 'rgba(224, 128, 128, 0.6)' : 'transparent'};
+        border-radius: 6px;
+        cursor: pointer;
+      `;
+      row.innerHTML = `
+        <div style="color: #ddd; font-size: 14px;">${killer.name}</div>
+        <div style="color: #888; font-size: 11px;">${killer.sub} · ☠ ${killer.deaths}</div>
+      `;
+      row.addEventListener('click', () => {
+        this.selectedKey = killer.key;
+        this._update();
+      });
+      this.killerList.appendChild(row);
+    }
+  }
+
+  _renderCounters(atBonfire) {
+    this.counterList.innerHTML = '';
+    if (!this.selectedKey) return;
+
+    for (const counterId of this.research.getAvailableCounters(this.selectedKey)) {
+      const info = this.research.getCounterInfo(this.selectedKey, counterId);
+      const { counter } = info;
+
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 14px;
+        background: rgba(0, 0, 0, 0.3);
+        border-radius: 6px;
+      `;
+
+      const icon = document.createElement('span');
+      icon.textContent = counter.icon;
+      icon.style.cssText = `font-size: 22px; width: 30px; text-align: center;`;
+      row.appendChild(icon);
+
+      const nameCol = document.createElement('div');
+      nameCol.style.cssText = `flex: 1;`;
+      nameCol.innerHTML = `
+        <div style="color: #e0c0a0; font-size: 15px; font-weight: bold;">
+          ${counter.name} <span style="color: #888; font-size: 11px;">${info.tier}/${counter.maxTier}</span>
+        </div>
+        <div style="color: #888; font-size: 11px; margin-top: 2px;">${counter.desc}</div>
+        <div style="color: #8bc34a; font-size: 11px; margin-top: 2px;">${info.current}</div>
+      `;
+      row.appendChild(nameCol);
+
+      const buyBtn = document.createElement('button');
+      const canBuy = info.canBuy && atBonfire;
+      buyBtn.textContent = info.maxed ? 'MAX' : `${info.cost}`;
+      buyBtn.title = info.blocked || (atBonfire ? '' : 'Rest at a bonfire to research');
+      buyBtn.disabled = !canBuy;
+      buyBtn.style.cssText = `
+        min-width: 70px;
+        padding: 6px 10px;
+        border: 2px solid rgba(180, 140, 80, 0.5);
+        border-radius: 4px;
+        background: rgba(180, 140, 80, 0.2);
+        color: ${info.maxed ? '#4caf50' : '#ffd088'};
+        font-family: 'Cinzel', serif;
+        font-size: 13px;
+        cursor: ${canBuy ? 'pointer' : 'not-allowed'};
+        opacity: ${canBuy || info.maxed ? '1' : '0.4'};
+      `;
+      buyBtn.addEventListener('click', () => {
+        if (!this.gm.isNearBonfire()) return;
+        if (this.research.purchaseCounter(this.selectedKey, counterId)) {
+          this._update();
+        }
+      });
+      row.appendChild(buyBtn);
+
+      if (info.blocked && !info.maxed) {
+        const blocked = document.createElement('div');
+        blocked.textContent = info.blocked;
+        blocked.style.cssText = `color: #aa3333; font-size: 10px; width: 90px; text-align: right;`;
+        row.appendChild(blocked);
+      }
+
+      this.counterList.appendChild(row);
+    }
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this._update();
+    this.container.style.display = 'flex';
+
+    // Play sound
+    if (this.gm.audioManager) {
+      this.gm.audioManager.play('menuOpen', { volume: 0.4 });
+    }
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.container.style.display = 'none';
+
+    // Play sound
+    if (this.gm.audioManager) {
+      this.gm.audioManager.play('menuBack', { volume: 0.3 });
+    }
+  }
+
+  update() {
+    // Remnant/bonfire state can change while open; rebuild at a low rate
+    if (!this.isOpen) return;
+    this._refreshTimer = (this._refreshTimer || 0) + 1;
+    if (this._refreshTimer >= 30) {
+      this._refreshTimer = 0;
+      this._update();
+    }
+  }
+}
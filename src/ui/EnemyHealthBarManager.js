@@ -1,10 +1,13 @@
 import * as THREE from 'three';
+import { STATUS_EFFECTS } from '../data/StatusEffectData.js';
 
 /**
  * EnemyHealthBarManager - Floating HTML health bars above enemies
  * Pools DOM elements (max 10) and projects enemy world positions to screen space.
  * Only visible when enemy is aggroed or within 15m of the player.
  * Fades out on enemy death.
+ * Status buildup meters (bleed/poison/frost) appear under the bar while filling.
+ * Allies (EnemyManager.allies - escorts, companions) get a green bar.
  */
 
 const MAX_BARS = 10;
@@ -15,6 +18,7 @@ export class EnemyHealthBarManager {
   constructor(camera) {
     this.camera = camera;
     this.enemyManager = null;
+    this.gameManager = null; // For Predator Sense (Bone infusion)
     
     // DOM container
     this.container = document.createElement('div');
@@ -76,6 +80,26 @@ export class EnemyHealthBarManager {
         transition: width 0.15s ease;
         border-radius: 2px;
       }
+      .enemy-hbar-status {
+        display: none;
+        align-items: center;
+        gap: 3px;
+        margin-top: 2px;
+        font-size: 8px;
+        line-height: 1;
+      }
+      .enemy-hbar-status.active { display: flex; }
+      .enemy-hbar-status-bg {
+        flex: 1;
+        height: 3px;
+        background: rgba(0, 0, 0, 0.7);
+        border-radius: 2px;
+        overflow: hidden;
+      }
+      .enemy-hbar-status-fill {
+        height: 100%;
+        width: 0%;
+      }
     `;
     document.head.appendChild(style);
     
@@ -107,10 +131,30 @@ export class EnemyHealthBarManager {
     bg.appendChild(fill);
     root.appendChild(bg);
     
+    // One thin meter per status effect
+    const statusRows = {};
+    for (const effect of Object.values(STATUS_EFFECTS)) {
+      const row = document.createElement('div');
+      row.className = 'enemy-hbar-status';
+      const icon = document.createElement('span');
+      icon.textContent = effect.icon;
+      const meterBg = document.createElement('div');
+      meterBg.className = 'enemy-hbar-status-bg';
+      const meterFill = document.createElement('div');
+      meterFill.className = 'enemy-hbar-status-fill';
+      meterFill.style.background = effect.color;
+      meterBg.appendChild(meterFill);
+      row.appendChild(icon);
+      row.appendChild(meterBg);
+      root.appendChild(row);
+      statusRows[effect.id] = { row, fill: meterFill };
+    }
+    
     return {
       root,
       nameEl,
       fill,
+      statusRows,
       active: false,
       enemyRef: null,
       dying: false,
@@ -122,6 +166,10 @@ export class EnemyHealthBarManager {
     this.enemyManager = enemyManager;
   }
   
+  setGameManager(gameManager) {
+    this.gameManager = gameManager;
+  }
+  
   /**
    * Find a free bar from the pool (or steal the farthest one)
    */
@@ -148,15 +196,27 @@ export class EnemyHealthBarManager {
   update(delta, playerPos) {
     if (!this.enemyManager || !playerPos) return;
     
-    const enemies = this.enemyManager.enemies || [];
+    const enemies = [...(this.enemyManager.enemies || [])];
+    const boss = this.enemyManager.boss;
+    if (boss && boss.isActive && !boss.isDead) {
+      enemies.push(boss);
+    }
+    enemies.push(...(this.enemyManager.allies || []));
     const screenW = window.innerWidth;
     const screenH = window.innerHeight;
     
     // Build list of enemies that should have health bars
     const visible = [];
     
+    // Predator Sense extends range and reveals hidden ambushers
+    const infusion = this.gameManager ? this.gameManager.getInfusionBonuses() : null;
+    const range = VISIBILITY_RANGE * (infusion ? infusion.senseRangeMult : 1);
+    const senseDormant = infusion ? infusion.senseDormant : false;
+    
     for (const enemy of enemies) {
-      if (!enemy.mesh || !enemy.mesh.visible) continue;
+      if (!enemy.mesh) continue;
+      const sensed = senseDormant && enemy.state === 'dormant';
+      if (!enemy.mesh.visible && !sensed) continue;
       
       const pos = enemy.mesh.position;
       const dx = pos.x - playerPos.x;
@@ -165,7 +225,7 @@ export class EnemyHealthBarManager {
       
       // Show if aggroed (chasing/attacking/circling) or within range and alive
       const isAggroed = enemy.state !== 'idle' && enemy.state !== 'patrol' && enemy.state !== 'dormant' && enemy.state !== 'dead';
-      const inRange = dist < VISIBILITY_RANGE;
+      const inRange = dist < range;
       const alive = enemy.health > 0;
       const justDied = enemy.isDead && enemy.health <= 0;
       
@@ -216,7 +276,7 @@ export class EnemyHealthBarManager {
       bar.dyingTimer = 0;
       
       // Set name + level
-      const name = v.enemy.config.name || 'Enemy';
+      const name = v.enemy.config.name || v.enemy.name || 'Enemy';
       const level = v.enemy.config.level || '';
       bar.nameEl.innerHTML = `${name}${level ? `<span class="enemy-hbar-level">Lv${level}</span>` : ''}`;
       
@@ -252,7 +312,9 @@ export class EnemyHealthBarManager {
       bar.fill.style.width = `${ratio * 100}%`;
       
       // Color: green→yellow→red
-      if (ratio > 0.5) {
+      if (enemy.isAlly) {
+        bar.fill.style.background = `linear-gradient(90deg, #2f8a3a, #55cc66)`;
+      } else if (ratio > 0.5) {
         bar.fill.style.background = `linear-gradient(90deg, #aa2222, #dd4444)`;
       } else if (ratio > 0.25) {
         bar.fill.style.background = `linear-gradient(90deg, #aa6622, #dd8844)`;
@@ -260,6 +322,8 @@ export class EnemyHealthBarManager {
         bar.fill.style.background = `linear-gradient(90deg, #aa2222, #ff3333)`;
       }
       
+      this._updateStatusMeters(bar, enemy);
+      
       // Project to screen
       this._screenPos.set(
         enemy.mesh.position.x,
@@ -292,6 +356,22 @@ export class EnemyHealthBarManager {
     }
   }
   
+  /**
+   * Show buildup meters that are currently filling, hide empty ones
+   */
+  _updateStatusMeters(bar, enemy) {
+    const meters = enemy.statusMeters;
+    for (const [id, ui] of Object.entries(bar.statusRows)) {
+      const meter = meters ? meters[id] : null;
+      if (!meter || meter.value <= 0) {
+        ui.row.classList.remove('active');
+        continue;
+      }
+      ui.row.classList.add('active');
+      ui.fill.style.width = `${Math.min(1, meter.value / meter.threshold) * 100}%`;
+    }
+  }
+  
   dispose() {
     for (const bar of this.pool) {
       bar.root.remove();
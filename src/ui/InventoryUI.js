@@ -1,6 +1,8 @@
 import { ITEM_TYPES } from '../systems/LootManager.js';
 import { RARITY, EQUIPMENT_SLOTS } from '../systems/EquipmentManager.js';
 import { MATERIALS, MATERIAL_CATEGORY, getMaterial } from '../data/MaterialData.js';
+import { getMaterialStore } from '../systems/MaterialStore.js';
+import { getGamepadNavigator } from '../systems/GamepadNavigator.js';
 
 /**
  * InventoryUI - Unified inventory interface for items and equipment
@@ -33,6 +35,14 @@ export class InventoryUI {
     this.createUI();
     this.createHotbar();
     
+    // Gamepad: D-pad walks tabs, slots and action buttons; B closes
+    getGamepadNavigator().registerMenu('inventory', {
+      isOpen: () => this.isOpen,
+      getRoot: () => this.container,
+      selector: '.tab-btn, .item-slot, .equip-slot, button',
+      onBack: () => this.toggle(),
+    });
+    
     console.log('[InventoryUI] Initialized');
   }
   
@@ -498,8 +508,7 @@ export class InventoryUI {
    * Render the Materials tab content (Phase 23: Crafting Materials)
    */
   renderMaterialsTab() {
-    // Read crafting materials from localStorage
-    const storedMaterials = JSON.parse(localStorage.getItem('ashen-materials') || '{}');
+    const storedMaterials = getMaterialStore().getAllMaterials();
     
     // Group materials by category
     const categorizedMaterials = {
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getInputMap } from '../systems/InputMap.js';
 
 /**
  * MinimapManager - Real-time minimap overlay
@@ -424,8 +425,9 @@ export class MinimapManager {
    * Set up keyboard controls
    */
   _setupKeyBindings() {
+    const inputMap = getInputMap();
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'm' || e.key === 'M') {
+      if (inputMap.matches(e, 'toggleMinimap')) {
         this.toggle();
       }
     });
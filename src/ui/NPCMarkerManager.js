@@ -3,6 +3,8 @@ import * as THREE from 'three';
 /**
  * NPCMarkerManager - Screen-space floating quest markers above NPCs.
  * Yellow ! for available quests, gray ? for in-progress.
+ * Village NPCs get a role icon and what they're doing, wherever their
+ * schedule has taken them (over their hut while they're indoors).
  * Projected from NPC world positions each frame.
  * Gentle bob via CSS animation.
  */
@@ -10,11 +12,29 @@ import * as THREE from 'three';
 const MAX_MARKERS = 12;
 const MARKER_OFFSET_Y = 3.2; // World units above NPC origin
 const VISIBLE_RANGE = 40;     // Only show within this distance
+const VILLAGE_NPC_RANGE = 30; // Village NPC role markers
+
+const VILLAGE_NPC_ICONS = {
+  merchant: '🛒',
+  blacksmith: '⚒️',
+  guard: '🛡️',
+  elder: '📜',
+  villager: '👤',
+  healer: '💚',
+};
+
+const QUEST_MARKER_ICONS = {
+  quest_available: { text: '!', className: 'quest-available' },
+  daily: { text: '!', className: 'quest-available' },
+  turn_in: { text: '?', className: 'quest-turnin' },
+  in_progress: { text: '?', className: 'quest-progress' },
+};
 
 export class NPCMarkerManager {
   constructor(camera) {
     this.camera = camera;
     this.npcQuestGivers = null;
+    this.villageNPCs = null;
     
     // DOM container
     this.container = document.createElement('div');
@@ -58,6 +78,11 @@ export class NPCMarkerManager {
       .npc-qm-icon.quest-progress {
         color: #aaaaaa;
       }
+      .npc-qm-icon.village-npc {
+        font-size: 16px;
+        animation: none;
+        opacity: 0.85;
+      }
       .npc-qm-name {
         font-family: 'Cinzel', serif;
         font-size: 10px;
@@ -104,8 +129,15 @@ export class NPCMarkerManager {
     this.npcQuestGivers = npcQuestGivers;
   }
   
+  /**
+   * Village NPCs (NPCManager) to mark with their role and activity
+   */
+  setVillageNPCs(npcManager) {
+    this.villageNPCs = npcManager;
+  }
+  
   update(delta, playerPos) {
-    if (!this.npcQuestGivers || !playerPos) {
+    if ((!this.npcQuestGivers && !this.villageNPCs) || !playerPos) {
       // Hide all
       for (const m of this.pool) m.root.classList.remove('visible');
       return;
@@ -113,21 +145,38 @@ export class NPCMarkerManager {
     
     const screenW = window.innerWidth;
     const screenH = window.innerHeight;
-    const npcs = this.npcQuestGivers.npcs;
+    
+    const distanceTo = (pos) => {
+      const dx = pos.x - playerPos.x;
+      const dz = pos.z - playerPos.z;
+      return Math.sqrt(dx * dx + dz * dz);
+    };
     
     // Collect NPCs that have a marker to show
     const visible = [];
-    npcs.forEach((npc) => {
+    (this.npcQuestGivers?.npcs || []).forEach((npc) => {
       if (!npc.marker || !npc.marker.visible) return;
-      if (npc.markerType === 'none') return;
+      const icon = QUEST_MARKER_ICONS[npc.markerType];
+      if (!icon) return;
       
       const pos = npc.getPosition();
-      const dx = pos.x - playerPos.x;
-      const dz = pos.z - playerPos.z;
-      const dist = Math.sqrt(dx * dx + dz * dz);
+      const dist = distanceTo(pos);
       if (dist > VISIBLE_RANGE) return;
       
-      visible.push({ npc, dist });
+      visible.push({ id: npc.id, pos, dist, icon, name: npc.npcData.name || '' });
+    });
+    
+    (this.villageNPCs?.getNPCs() || []).forEach((npc) => {
+      const dist = distanceTo(npc.position);
+      if (dist > VILLAGE_NPC_RANGE) return;
+      
+      visible.push({
+        id: npc.id,
+        pos: npc.position,
+        dist,
+        icon: { text: VILLAGE_NPC_ICONS[npc.type] || '👤', className: 'village-npc' },
+        name: npc.activity || '',
+      });
     });
     
     // Sort by distance (closest first)
@@ -138,38 +187,15 @@ export class NPCMarkerManager {
       const slot = this.pool[i];
       
       if (i < visible.length) {
-        const { npc } = visible[i];
+        const { id, pos, icon, name } = visible[i];
         slot.active = true;
-        slot.npcId = npc.id;
-        
-        // Set icon
-        let iconText, iconClass;
-        switch (npc.markerType) {
-          case 'quest_available':
-          case 'daily':
-            iconText = '!';
-            iconClass = 'quest-available';
-            break;
-          case 'turn_in':
-            iconText = '?';
-            iconClass = 'quest-turnin';
-            break;
-          case 'in_progress':
-            iconText = '?';
-            iconClass = 'quest-progress';
-            break;
-          default:
-            slot.root.classList.remove('visible');
-            slot.active = false;
-            continue;
-        }
+        slot.npcId = id;
         
-        slot.icon.textContent = iconText;
-        slot.icon.className = `npc-qm-icon ${iconClass}`;
-        slot.name.textContent = npc.npcData.name || '';
+        slot.icon.textContent = icon.text;
+        slot.icon.className = `npc-qm-icon ${icon.className}`;
+        slot.name.textContent = name;
         
         // Project to screen
-        const pos = npc.getPosition();
         this._screenPos.set(pos.x, pos.y + MARKER_OFFSET_Y, pos.z);
         this._screenPos.project(this.camera);
         
@@ -18,6 +18,7 @@ import {
 } from '../data/QuestData.js';
 
 import { getQuestManager } from '../systems/QuestManager.js';
+import { getInputMap } from '../systems/InputMap.js';
 
 // ========== CONSTANTS ==========
 const MAX_TRACKED_QUESTS = 3;
@@ -28,7 +29,7 @@ const COMPLETION_POPUP_DURATION = 5000;
 class QuestUI {
   constructor() {
     this.isOpen = false;
-    this.currentTab = 'active'; // 'active', 'available', 'completed'
+    this.currentTab = 'active'; // 'active', 'available', 'completed', 'failed'
     this.trackedQuests = new Set();
     this.sortBy = 'difficulty'; // 'difficulty', 'type', 'distance'
     this.filterType = 'all';
@@ -68,6 +69,7 @@ class QuestUI {
     questManager.on('onQuestTurnedIn', (data) => this.onQuestTurnedIn(data));
     questManager.on('onQuestFailed', (data) => this.onQuestFailed(data));
     questManager.on('onQuestAvailable', (data) => this.onQuestAvailable(data));
+    questManager.on('onQuestChoice', (data) => this.onQuestChoice(data));
     
     this.updateHUDTracker();
     
@@ -280,6 +282,16 @@ class QuestUI {
         color: #888;
       }
 
+      .quest-list-item.failed {
+        opacity: 0.6;
+        border-color: #5a2a2a;
+      }
+
+      .quest-list-item.failed .quest-list-name {
+        color: #aa6666;
+        text-decoration: line-through;
+      }
+
       .quest-list-meta {
         display: flex;
         justify-content: space-between;
@@ -437,6 +449,38 @@ class QuestUI {
         text-align: right;
       }
 
+      /* Branch History */
+      .quest-path-section {
+        margin-top: 20px;
+        padding: 12px 15px;
+        background: rgba(170,120,255,0.05);
+        border: 1px solid rgba(170,120,255,0.25);
+        border-radius: 6px;
+      }
+
+      .quest-path-title {
+        font-size: 14px;
+        font-weight: bold;
+        color: #ddaaff;
+        margin-bottom: 8px;
+      }
+
+      .quest-path-step {
+        font-size: 13px;
+        color: #ccc;
+        padding: 3px 0;
+      }
+
+      .quest-path-step .quest-path-quest {
+        color: #888;
+      }
+
+      .quest-path-closed {
+        font-size: 12px;
+        color: #aa6666;
+        padding-left: 18px;
+      }
+
       /* Rewards Preview */
       .quest-rewards-section {
         margin-top: 20px;
@@ -868,6 +912,9 @@ class QuestUI {
         <button class="quest-tab" data-tab="completed">
           Completed <span class="quest-tab-count" id="tab-count-completed">0</span>
         </button>
+        <button class="quest-tab" data-tab="failed">
+          Failed <span class="quest-tab-count" id="tab-count-failed">0</span>
+        </button>
       </div>
       
       <div class="quest-filter-bar">
@@ -881,6 +928,11 @@ class QuestUI {
             <option value="deliver">Deliver</option>
             <option value="escort">Escort</option>
             <option value="boss">Boss</option>
+            <option value="survive">Survive</option>
+            <option value="defend">Defend</option>
+            <option value="craft">Craft</option>
+            <option value="puzzle">Puzzle</option>
+            <option value="dungeon">Dungeon</option>
           </select>
         </div>
         <div class="quest-filter-group">
@@ -1030,13 +1082,14 @@ class QuestUI {
   // ========== KEY BINDINGS ==========
   
   setupKeyBindings() {
+    const inputMap = getInputMap();
     window.addEventListener('keydown', (e) => {
-      if (e.key.toLowerCase() === 'j' && !this.isInputFocused()) {
+      if (inputMap.matches(e, 'openQuestLog') && !this.isInputFocused()) {
         e.preventDefault();
         this.toggle();
       }
       
-      if (e.key === 'Escape' && this.isOpen) {
+      if (inputMap.matches(e, 'back') && this.isOpen) {
         this.close();
       }
     });
@@ -1096,6 +1149,8 @@ class QuestUI {
       this.questManager.availableQuests.size;
     document.getElementById('tab-count-completed').textContent = 
       this.questManager.completedQuests.size;
+    document.getElementById('tab-count-failed').textContent = 
+      this.questManager.failedQuests.size;
   }
 
   // ========== QUEST LIST ==========
@@ -1124,6 +1179,11 @@ class QuestUI {
         const quest = getQuest(questId);
         if (quest) quests.push({ quest, state: null, id: questId, completed: true });
       });
+    } else if (this.currentTab === 'failed') {
+      this.questManager.failedQuests.forEach(questId => {
+        const quest = getQuest(questId);
+        if (quest) quests.push({ quest, state: null, id: questId, failed: true });
+      });
     }
     
     // Filter by type
@@ -1150,11 +1210,12 @@ class QuestUI {
       return;
     }
     
-    listEl.innerHTML = quests.map(({ quest, state, id, completed }) => {
+    listEl.innerHTML = quests.map(({ quest, state, id, completed, failed }) => {
       const isReady = state && state.status === QUEST_STATUS.READY_TO_TURN_IN;
       const classes = [
         'quest-list-item',
         completed ? 'completed' : '',
+        failed ? 'failed' : '',
         isReady ? 'ready' : '',
       ].filter(Boolean).join(' ');
       
@@ -1207,11 +1268,12 @@ class QuestUI {
       objectivesHtml = state.objectives.map(obj => {
         const complete = obj.current >= obj.required;
         const progress = Math.min(100, (obj.current / obj.required) * 100);
+        const chosen = obj.options?.find(opt => opt.id === obj.chosen);
         return `
           <div class="quest-objective ${complete ? 'complete' : ''}">
             <span class="quest-objective-icon">${this.getObjectiveIcon(obj.type)}</span>
             <div class="quest-objective-text">
-              <div class="quest-objective-name">${obj.targetName}</div>
+              <div class="quest-objective-name">${obj.targetName}${chosen ? ` — ${chosen.label}` : ''}</div>
               <div class="quest-objective-progress">
                 <div class="quest-progress-bar">
                   <div class="quest-progress-fill" style="width: ${progress}%"></div>
@@ -1318,6 +1380,8 @@ class QuestUI {
       <div class="quest-objectives-title">Objectives</div>
       ${objectivesHtml}
       
+      ${this.renderBranchHistory(questId)}
+      
       <div class="quest-rewards-section">
         <div class="quest-rewards-title">Rewards</div>
         <div class="quest-rewards-list">${rewardsHtml}</div>
@@ -1332,6 +1396,40 @@ class QuestUI {
     });
   }
 
+  /**
+   * Choices made along this quest's chain and the quests each one closed off
+   */
+  renderBranchHistory(questId) {
+    if (!this.questManager) return '';
+    
+    const chainQuests = getQuestChain(questId)?.quests || [questId];
+    const history = this.questManager.getChoiceHistory(chainQuests);
+    if (history.length === 0) return '';
+    
+    const stepsHtml = history.map(choice => {
+      const quest = getQuest(choice.questId);
+      const objective = quest?.objectives.find(obj => obj.id === choice.objectiveId);
+      const option = objective?.options.find(opt => opt.id === choice.optionId);
+      const closedHtml = (choice.failed || []).map(id => `
+        <div class="quest-path-closed">✗ ${getQuest(id)?.title || id}</div>
+      `).join('');
+      return `
+        <div class="quest-path-step">
+          ⚖️ ${option?.label || choice.optionId}
+          <span class="quest-path-quest">(${quest?.title || choice.questId})</span>
+        </div>
+        ${closedHtml}
+      `;
+    }).join('');
+    
+    return `
+      <div class="quest-path-section">
+        <div class="quest-path-title">Path Taken</div>
+        ${stepsHtml}
+      </div>
+    `;
+  }
+
   handleQuestAction(action, questId) {
     const quest = getQuest(questId);
     
@@ -1463,6 +1561,14 @@ class QuestUI {
     this.updateHUDTracker();
   }
 
+  onQuestChoice(data) {
+    this.updateQuestList();
+    this.updateHUDTracker();
+    if (this.isOpen) {
+      this.showQuestDetails(data.questId);
+    }
+  }
+
   onQuestAvailable(data) {
     const quest = getQuest(data.questId);
     if (quest) {
@@ -1509,6 +1615,11 @@ class QuestUI {
       [QUEST_TYPE.DELIVER]: '📬',
       [QUEST_TYPE.ESCORT]: '🛡️',
       [QUEST_TYPE.BOSS]: '💀',
+      [QUEST_TYPE.SURVIVE]: '🌙',
+      [QUEST_TYPE.DEFEND]: '🏰',
+      [QUEST_TYPE.PUZZLE]: '🧩',
+      [QUEST_TYPE.CRAFT]: '🔨',
+      [QUEST_TYPE.DUNGEON]: '🗝️',
     };
     return icons[type] || '❓';
   }
@@ -1525,6 +1636,13 @@ class QuestUI {
       'defeat_boss': '💀',
       'use_item': '🎯',
       'craft_item': '🔨',
+      'make_choice': '⚖️',
+      'survive_nights': '🌙',
+      'defend_location': '🏰',
+      'timed_hunt': '⏱️',
+      'solve_puzzle': '🧩',
+      'clear_dungeon': '🗝️',
+      'bounty_target': '📜',
     };
     return icons[type] || '•';
   }
@@ -5,36 +5,24 @@
  *
  * Audio:    5 volume sliders (master, sfx, ambient, ui, music) + mute checkbox
  * Display:  minimap opacity slider, HUD scale radio buttons
- * Controls: read-only keybinding reference grid
+ * Controls: rebindable keymap (primary + secondary key per action) with
+ *           conflict highlighting; bindings live in InputMap and are saved
+ *           with the game (settings.keybindings); gamepad button per action
+ *           (fixed layout) plus stick dead zone and look sensitivity
  *
  * Phase 42 — Settings Menu & Audio Controls
  */
 
 import audioEngine from '../audio/AudioEngine.js';
+import { getInputMap, chordFromEvent, formatChord } from '../systems/InputMap.js';
+import { INPUT_ACTIONS, MAX_BINDINGS_PER_ACTION, GAMEPAD_BUTTON_NAMES } from '../data/InputActionData.js';
 
 const LS_AUDIO = 'ashen-audio-settings';
 const LS_DISPLAY = 'ashen-display-settings';
+const LS_GAMEPAD = 'ashen-gamepad-settings';
 
 const TABS = ['Audio', 'Display', 'Controls'];
 
-const KEYBINDS = [
-  ['WASD',      'Move'],
-  ['Left Click','Attack'],
-  ['Shift',     'Dodge Roll'],
-  ['Space',     'Jump'],
-  ['E',         'Interact'],
-  ['Tab',       'World Map'],
-  ['I',         'Inventory'],
-  ['J',         'Quest Log'],
-  ['C',         'Character'],
-  ['K',         'Crafting'],
-  ['1-4',       'Switch Weapon'],
-  ['F1-F6',     'Cast Spell'],
-  ['Ctrl+1/2/3','Use Potion'],
-  ['M',         'Toggle Mute'],
-  ['Esc',       'Settings'],
-];
-
 export class SettingsUI {
   constructor() {
     this.isOpen = false;
@@ -43,11 +31,20 @@ export class SettingsUI {
     // Saved prefs (loaded from localStorage)
     this._audioPrefs = { master: 70, sfx: 85, ambient: 50, ui: 60, music: 35, muted: false };
     this._displayPrefs = { minimapOpacity: 100, hudScale: 'normal' };
+    this._gamepadPrefs = { deadZone: 15, lookSensitivity: 100 };
+
+    // Controls tab: { actionId, slot } while waiting for a key to bind
+    this._capture = null;
+    this._controlsNotice = '';
+    this._onCaptureKey = (e) => this._handleCaptureKey(e);
+    this._onCaptureKeyUp = (e) => this._handleCaptureKeyUp(e);
+    this._onCaptureMouse = (e) => this._handleCaptureMouse(e);
 
     this._loadPrefs();
     this._buildDOM();
     this._applyAudioPrefs();
     this._applyDisplayPrefs();
+    this._applyGamepadPrefs();
   }
 
   /* ================================================================
@@ -63,6 +60,10 @@ export class SettingsUI {
       const d = JSON.parse(localStorage.getItem(LS_DISPLAY));
       if (d) Object.assign(this._displayPrefs, d);
     } catch (_) {}
+    try {
+      const g = JSON.parse(localStorage.getItem(LS_GAMEPAD));
+      if (g) Object.assign(this._gamepadPrefs, g);
+    } catch (_) {}
   }
 
   _saveAudioPrefs() {
@@ -73,6 +74,10 @@ export class SettingsUI {
     localStorage.setItem(LS_DISPLAY, JSON.stringify(this._displayPrefs));
   }
 
+  _saveGamepadPrefs() {
+    localStorage.setItem(LS_GAMEPAD, JSON.stringify(this._gamepadPrefs));
+  }
+
   _applyAudioPrefs() {
     const p = this._audioPrefs;
     audioEngine.setVolume('master', p.master / 100);
@@ -100,6 +105,14 @@ export class SettingsUI {
     }
   }
 
+  _applyGamepadPrefs() {
+    const p = this._gamepadPrefs;
+    getInputMap().setGamepadSettings({
+      deadZone: p.deadZone / 100,
+      lookSensitivity: p.lookSensitivity / 100,
+    });
+  }
+
   /* ================================================================
    *  DOM CONSTRUCTION
    * ================================================================ */
@@ -288,31 +301,201 @@ export class SettingsUI {
    * ================================================================ */
 
   _buildControlsTab() {
-    const heading = document.createElement('div');
-    heading.style.cssText = 'display:flex; font-size:12px; color:#888; letter-spacing:1px; padding-bottom:6px; border-bottom:1px solid rgba(218,165,32,0.15); margin-bottom:4px;';
-    const h1 = document.createElement('span'); h1.textContent = 'KEY'; h1.style.cssText = 'width:100px;';
-    const h2 = document.createElement('span'); h2.textContent = 'ACTION'; h2.style.cssText = 'flex:1;';
-    heading.appendChild(h1);
-    heading.appendChild(h2);
-    this._content.appendChild(heading);
+    const inputMap = getInputMap();
+
+    // Chord -> names of the actions it clashes with, per action
+    const conflictsFor = (actionId, chord) =>
+      inputMap.getConflicts(actionId, chord).map(id => INPUT_ACTIONS[id].label);
+
+    const toolbar = document.createElement('div');
+    toolbar.style.cssText = 'display:flex; align-items:center; gap:10px; margin-bottom:10px;';
+    const conflictCount = inputMap.findAllConflicts().length;
+    const summary = document.createElement('span');
+    summary.style.cssText = `flex:1; font-size:12px; color:${conflictCount ? '#e06050' : '#888'};`;
+    summary.textContent = conflictCount
+      ? `⚠ ${conflictCount} conflicting key${conflictCount === 1 ? '' : 's'}`
+      : 'Click a key to rebind · Backspace clears · Esc cancels';
+    const resetBtn = document.createElement('button');
+    resetBtn.textContent = 'Reset to Defaults';
+    resetBtn.style.cssText = `
+      padding:5px 12px; border:1px solid rgba(218,165,32,0.3); background:rgba(0,0,0,0.3);
+      color:#c0b090; font-family:'Cinzel',serif; font-size:12px; border-radius:4px; cursor:pointer;
+    `;
+    resetBtn.onclick = () => {
+      this._stopCapture();
+      inputMap.resetToDefaults();
+      this._controlsNotice = 'Controls reset to defaults';
+      this._switchTab(2);
+    };
+    toolbar.appendChild(summary);
+    toolbar.appendChild(resetBtn);
+    this._content.appendChild(toolbar);
+
+    if (this._controlsNotice) {
+      const notice = document.createElement('div');
+      notice.textContent = this._controlsNotice;
+      notice.style.cssText = 'font-size:12px; color:#DAA520; margin-bottom:10px;';
+      this._content.appendChild(notice);
+      this._controlsNotice = '';
+    }
+
+    let category = null;
+    let rowIndex = 0;
+    for (const [actionId, action] of Object.entries(INPUT_ACTIONS)) {
+      if (action.category !== category) {
+        category = action.category;
+        rowIndex = 0;
+        const heading = document.createElement('div');
+        heading.textContent = category.toUpperCase();
+        heading.style.cssText = 'font-size:12px; color:#888; letter-spacing:1px; padding:10px 0 6px; border-bottom:1px solid rgba(218,165,32,0.15); margin-bottom:4px;';
+        this._content.appendChild(heading);
+      }
 
-    KEYBINDS.forEach(([key, action], i) => {
       const row = document.createElement('div');
       row.style.cssText = `
-        display:flex; align-items:center; padding:6px 0;
-        background:${i % 2 === 0 ? 'rgba(255,255,255,0.03)' : 'transparent'};
+        display:flex; align-items:center; gap:8px; padding:4px 0;
+        background:${rowIndex++ % 2 === 0 ? 'rgba(255,255,255,0.03)' : 'transparent'};
         font-size:13px;
       `;
-      const kSpan = document.createElement('span');
-      kSpan.textContent = key;
-      kSpan.style.cssText = 'width:100px; color:#DAA520; font-size:12px; letter-spacing:0.5px;';
-      const aSpan = document.createElement('span');
-      aSpan.textContent = action;
-      aSpan.style.cssText = 'flex:1; color:#c0b090;';
-      row.appendChild(kSpan);
-      row.appendChild(aSpan);
+      const label = document.createElement('span');
+      label.textContent = action.label;
+      label.style.cssText = 'flex:1; color:#c0b090;';
+      row.appendChild(label);
+
+      const chords = inputMap.getBindings(actionId);
+      for (let slot = 0; slot < MAX_BINDINGS_PER_ACTION; slot++) {
+        const chord = chords[slot] || null;
+        const capturing = this._capture?.actionId === actionId && this._capture.slot === slot;
+        const conflicts = chord ? conflictsFor(actionId, chord) : [];
+
+        const btn = document.createElement('button');
+        btn.textContent = capturing ? 'Press a key…' : formatChord(chord);
+        btn.title = conflicts.length ? `Also bound to: ${conflicts.join(', ')}` : '';
+        const color = capturing ? '#fff' : conflicts.length ? '#e06050' : chord ? '#DAA520' : '#555';
+        btn.style.cssText = `
+          width:100px; padding:4px 0; font-size:12px; font-family:'Cinzel',serif;
+          border:1px solid ${conflicts.length ? 'rgba(224,96,80,0.6)' : 'rgba(218,165,32,0.25)'};
+          background:${capturing ? 'rgba(218,165,32,0.25)' : 'rgba(0,0,0,0.3)'};
+          color:${color}; border-radius:4px; cursor:pointer; letter-spacing:0.5px;
+        `;
+        btn.onclick = (e) => {
+          e.stopPropagation();
+          this._startCapture(actionId, slot);
+        };
+        row.appendChild(btn);
+      }
+
+      const padButton = inputMap.getGamepadButton(actionId);
+      const pad = document.createElement('span');
+      pad.textContent = padButton !== null ? GAMEPAD_BUTTON_NAMES[padButton] : '';
+      pad.title = padButton !== null ? 'Gamepad' : '';
+      pad.style.cssText = 'width:52px; text-align:center; font-size:11px; color:#888;';
+      row.appendChild(pad);
       this._content.appendChild(row);
-    });
+    }
+
+    this._buildGamepadSection();
+  }
+
+  _buildGamepadSection() {
+    const heading = document.createElement('div');
+    heading.textContent = 'GAMEPAD';
+    heading.style.cssText = 'font-size:12px; color:#888; letter-spacing:1px; padding:16px 0 6px; border-bottom:1px solid rgba(218,165,32,0.15); margin-bottom:10px;';
+    this._content.appendChild(heading);
+
+    const pad = Array.from(navigator.getGamepads?.() || []).find(Boolean);
+    const status = document.createElement('div');
+    status.textContent = pad ? `Connected: ${pad.id}` : 'No gamepad detected — press a button on the controller';
+    status.style.cssText = `font-size:12px; color:${pad ? '#DAA520' : '#666'}; margin-bottom:12px;`;
+    this._content.appendChild(status);
+
+    const onChange = (key) => (v) => {
+      this._gamepadPrefs[key] = v;
+      this._applyGamepadPrefs();
+      this._saveGamepadPrefs();
+    };
+    this._content.appendChild(this._makeSliderRow('Stick Dead Zone', this._gamepadPrefs.deadZone, 0, 40, onChange('deadZone')));
+    this._content.appendChild(this._makeSliderRow('Look Sensitivity', this._gamepadPrefs.lookSensitivity, 25, 300, onChange('lookSensitivity')));
+  }
+
+  /* ================================================================
+   *  KEY CAPTURE (rebinding)
+   * ================================================================ */
+
+  isCapturingKey() {
+    return !!this._capture;
+  }
+
+  _startCapture(actionId, slot) {
+    this._stopCapture();
+    this._capture = { actionId, slot, modifier: null };
+    // Capture phase on window runs before every other key/mouse listener
+    window.addEventListener('keydown', this._onCaptureKey, true);
+    window.addEventListener('keyup', this._onCaptureKeyUp, true);
+    // Deferred so the click that started capture isn't taken as the binding
+    setTimeout(() => {
+      if (this._capture) window.addEventListener('mousedown', this._onCaptureMouse, true);
+    }, 0);
+    this._switchTab(2);
+  }
+
+  _stopCapture() {
+    this._capture = null;
+    window.removeEventListener('keydown', this._onCaptureKey, true);
+    window.removeEventListener('keyup', this._onCaptureKeyUp, true);
+    window.removeEventListener('mousedown', this._onCaptureMouse, true);
+  }
+
+  _handleCaptureKey(e) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.repeat) return;
+
+    if (e.code === 'Escape') {
+      this._stopCapture();
+      this._switchTab(2);
+      return;
+    }
+    if (e.code === 'Backspace' || e.code === 'Delete') {
+      this._applyCapture(null);
+      return;
+    }
+    // A modifier might start a chord (Ctrl+1) - it binds alone only if released first
+    if (/^(Shift|Control|Alt|Meta)/.test(e.code)) {
+      this._capture.modifier = e.code;
+      return;
+    }
+    this._applyCapture(chordFromEvent(e));
+  }
+
+  _handleCaptureKeyUp(e) {
+    // Key-ups pass through so InputManager doesn't think the key is still held
+    if (this._capture?.modifier === e.code) {
+      this._applyCapture(e.code);
+    }
+  }
+
+  _handleCaptureMouse(e) {
+    // Clicking another control (tab, binding, reset) just cancels
+    if (e.target.closest('button, input')) {
+      this._stopCapture();
+      return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    this._applyCapture(chordFromEvent({ button: e.button }));
+  }
+
+  _applyCapture(chord) {
+    const { actionId, slot } = this._capture;
+    this._stopCapture();
+
+    const { conflicts } = getInputMap().setBinding(actionId, slot, chord);
+    if (conflicts.length > 0) {
+      const names = conflicts.map(id => INPUT_ACTIONS[id].label).join(', ');
+      this._controlsNotice = `${formatChord(chord)} is also bound to ${names} — both will fire`;
+    }
+    this._switchTab(2);
   }
 
   /* ================================================================
@@ -390,6 +573,7 @@ export class SettingsUI {
 
   close() {
     if (!this.isOpen) return;
+    this._stopCapture();
     this.isOpen = false;
     this._overlay.style.display = 'none';
   }
@@ -1,8 +1,10 @@
 /**
  * StatsUI - Character Stats Menu
- * Press TAB or P to open
+ * Press P (openStats binding) to open
  * Allocate stat points earned from leveling (3 per level)
  */
+import { getInputMap } from '../systems/InputMap.js';
+
 export class StatsUI {
   constructor(gameManager, inputManager, player) {
     this.gm = gameManager;
@@ -19,15 +21,16 @@ export class StatsUI {
   }
   
   _setupInput() {
+    const inputMap = getInputMap();
     window.addEventListener('keydown', (e) => {
-      // TAB or P to toggle stats menu
-      if (e.code === 'Tab' || e.code === 'KeyP') {
+      // Toggle stats menu
+      if (inputMap.matches(e, 'openStats')) {
         e.preventDefault();
         this.toggle();
       }
       
-      // ESC to close
-      if (e.code === 'Escape' && this.isOpen) {
+      // Back to close
+      if (inputMap.matches(e, 'back') && this.isOpen) {
         this.close();
       }
     });
@@ -191,7 +194,7 @@ export class StatsUI {
     
     // Close hint
     const closeHint = document.createElement('div');
-    closeHint.textContent = 'Press TAB, P, or ESC to close';
+    closeHint.textContent = 'Press TAB, P, or ESC to close · L for Death Research';
     closeHint.style.cssText = `
       text-align: center;
       color: #666;
@@ -325,14 +325,13 @@ export class TouchControls {
         
         // Fire input events
         if (action === 'attack') {
-          this.inputManager._bufferAction('mouse0');
+          this.inputManager.pressAction('lightAttack');
         } else if (action === 'dodge') {
-          this.inputManager._bufferAction('Space');
+          this.inputManager.pressAction('dodge');
         } else if (action === 'block') {
-          this.inputManager.keys['ShiftLeft'] = true;
-          this.inputManager.keys['ShiftRight'] = true;
+          this.inputManager.setActionHeld('block', true);
         } else if (action === 'interact') {
-          this.inputManager._bufferAction('KeyE');
+          this.inputManager.pressAction('interact');
         }
       }, { passive: false });
       
@@ -344,8 +343,7 @@ export class TouchControls {
         btn.style.boxShadow = '0 0 12px rgba(218, 165, 32, 0.15)';
         
         if (action === 'block') {
-          this.inputManager.keys['ShiftLeft'] = false;
-          this.inputManager.keys['ShiftRight'] = false;
+          this.inputManager.setActionHeld('block', false);
         }
       }, { passive: false });
       
@@ -355,8 +353,7 @@ export class TouchControls {
         btn.style.boxShadow = '0 0 12px rgba(218, 165, 32, 0.15)';
         
         if (action === 'block') {
-          this.inputManager.keys['ShiftLeft'] = false;
-          this.inputManager.keys['ShiftRight'] = false;
+          this.inputManager.setActionHeld('block', false);
         }
       }, { passive: false });
     });
@@ -406,10 +403,10 @@ export class TouchControls {
         
         // Update InputManager keys based on joystick position
         const threshold = 0.25;
-        this.inputManager.keys['KeyW'] = this.joystick.deltaY < -threshold;
-        this.inputManager.keys['KeyS'] = this.joystick.deltaY > threshold;
-        this.inputManager.keys['KeyA'] = this.joystick.deltaX < -threshold;
-        this.inputManager.keys['KeyD'] = this.joystick.deltaX > threshold;
+        this.inputManager.setActionHeld('moveForward', this.joystick.deltaY < -threshold);
+        this.inputManager.setActionHeld('moveBack', this.joystick.deltaY > threshold);
+        this.inputManager.setActionHeld('moveLeft', this.joystick.deltaX < -threshold);
+        this.inputManager.setActionHeld('moveRight', this.joystick.deltaX > threshold);
         
         break;
       }
@@ -430,10 +427,10 @@ export class TouchControls {
         this.joystickKnob.style.boxShadow = '0 0 15px rgba(218, 165, 32, 0.3)';
         
         // Clear movement keys
-        this.inputManager.keys['KeyW'] = false;
-        this.inputManager.keys['KeyS'] = false;
-        this.inputManager.keys['KeyA'] = false;
-        this.inputManager.keys['KeyD'] = false;
+        this.inputManager.setActionHeld('moveForward', false);
+        this.inputManager.setActionHeld('moveBack', false);
+        this.inputManager.setActionHeld('moveLeft', false);
+        this.inputManager.setActionHeld('moveRight', false);
         
         break;
       }
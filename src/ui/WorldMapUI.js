@@ -3,7 +3,7 @@
  * Phase 27: Minimap & World Map
  * 
  * Features:
- * - Full-screen map overlay (Tab key toggle)
+ * - Full-screen map overlay (openMap binding, Tab by default)
  * - Pan with mouse drag or WASD
  * - Zoom with scroll wheel (4 levels)
  * - Show all discovered terrain with fog of war
@@ -11,9 +11,11 @@
  * - Region names displayed
  * - Filter buttons (quests, NPCs, dungeons, etc)
  * - Search function for locations
- * - Close with Tab or Escape
+ * - Close with the openMap or back binding
  */
 
+import { getInputMap } from '../systems/InputMap.js';
+
 // Biome color palette matching MinimapManager
 const BIOME_COLORS = {
   castle: '#555555',
@@ -308,7 +310,7 @@ export class WorldMapUI {
     `;
     this.searchInput.addEventListener('input', () => this._handleSearch());
     this.searchInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
+      if (getInputMap().matches(e, 'back')) {
         this.searchInput.value = '';
         this._handleSearch();
         this.searchInput.blur();
@@ -617,8 +619,10 @@ export class WorldMapUI {
    * Handle keyboard input
    */
   _handleKeyDown(e) {
-    // Toggle map with Tab
-    if (e.key === 'Tab' && !e.ctrlKey && !e.altKey) {
+    const inputMap = getInputMap();
+    
+    // Toggle map
+    if (inputMap.matches(e, 'openMap')) {
       // Don't toggle if typing in search
       if (document.activeElement === this.searchInput) return;
       
@@ -627,8 +631,8 @@ export class WorldMapUI {
       return;
     }
     
-    // Close with Escape
-    if (e.key === 'Escape' && this.visible) {
+    // Close with back
+    if (inputMap.matches(e, 'back') && this.visible) {
       e.preventDefault();
       this.hide();
       return;
@@ -1197,15 +1201,17 @@ export class WorldMapUI {
       });
     }
     
-    // NPCs
+    // NPCs (wherever their schedule has them right now)
     if (this.npcManager && this.npcManager.npcs) {
       this.npcManager.npcs.forEach(npc => {
         if (npc.mesh && npc.mesh.position) {
+          const role = npc.type ? npc.type.charAt(0).toUpperCase() + npc.type.slice(1) : 'NPC';
           this.poiCache.push({
             type: 'npc',
-            name: npc.name || 'NPC',
+            name: npc.name || role,
             x: npc.mesh.position.x,
             z: npc.mesh.position.z,
+            description: npc.activity,
             canFastTravel: false
           });
         }
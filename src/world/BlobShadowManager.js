@@ -102,6 +102,7 @@ export class BlobShadowManager {
     for (const [npc, shadow] of this._npcShadows) {
       const pos = npc.mesh ? npc.mesh.position : npc.position;
       if (pos) this._place(shadow, pos);
+      shadow.visible = !npc.indoors; // No shadow for NPCs inside their hut
     }
 
     // Enemies (pooled)
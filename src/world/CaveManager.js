@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getWorldSeedOffset } from './WorldSeed.js';
 
 /**
  * CaveManager - Creates cave entrance POIs with dynamic chunk loading
@@ -14,6 +15,9 @@ export class CaveManager {
     this.scene = scene;
     this.terrain = terrainGenerator;
     
+    // World seed offset so cave (and dungeon entrance) placement differs per world
+    this.worldSeed = getWorldSeedOffset(this.terrain.seed, 'caves');
+    
     // Region-based generation (larger than terrain chunks)
     this.regionSize = 150;      // 150x150 units per region
     this.loadDistance = 2;      // Load regions within 2 of player
@@ -129,7 +133,7 @@ export class CaveManager {
     
     const worldOffsetX = rx * this.regionSize;
     const worldOffsetZ = rz * this.regionSize;
-    const regionSeed = rx * 73856093 + rz * 19349663 + 54321; // Different seed than villages
+    const regionSeed = rx * 73856093 + rz * 19349663 + 54321 + this.worldSeed; // Different seed than villages
     
     // Try to place one cave in this region
     const attempts = 25;
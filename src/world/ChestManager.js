@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { ITEM_TYPES } from '../systems/LootManager.js';
 import { RARITY } from '../systems/EquipmentManager.js';
 import { RECIPES, UNLOCK_METHOD } from '../data/RecipeData.js';
+import { getWorldSeedOffset } from './WorldSeed.js';
 
 /**
  * ChestManager - Places and manages treasure chests throughout the world
@@ -103,6 +104,9 @@ export class ChestManager {
     this.loadDistance = 2;
     this.unloadDistance = 4;
     
+    // World seed offset for chest placement and contents
+    this.worldSeed = getWorldSeedOffset(this.terrain.seed, 'chests');
+    
     // Chest settings
     this.interactionDistance = 3.0;
     this.respawnTimeMs = 5 * 60 * 1000; // 5 minutes
@@ -116,8 +120,8 @@ export class ChestManager {
     this.lastPlayerRegionX = null;
     this.lastPlayerRegionZ = null;
     
-    // Persistence
-    this.openedChests = this._loadOpenedChests();
+    // Opened chest key -> open time (saved through SaveManager)
+    this.openedChests = {};
     
     // Interaction state
     this.nearbyChest = null;
@@ -136,33 +140,26 @@ export class ChestManager {
   }
   
   // ========== PERSISTENCE ==========
-  _loadOpenedChests() {
-    try {
-      const saved = localStorage.getItem('ashen_opened_chests');
-      if (saved) {
-        const data = JSON.parse(saved);
-        // Filter out expired entries
-        const now = Date.now();
-        const filtered = {};
-        for (const [key, timestamp] of Object.entries(data)) {
-          if (now - timestamp < this.respawnTimeMs) {
-            filtered[key] = timestamp;
-          }
-        }
-        return filtered;
+  /**
+   * Opened chests still on respawn cooldown, for SaveManager
+   */
+  getSaveData() {
+    const now = Date.now();
+    const data = {};
+    for (const [key, timestamp] of Object.entries(this.openedChests)) {
+      if (now - timestamp < this.respawnTimeMs) {
+        data[key] = timestamp;
       }
-    } catch (e) {
-      console.warn('[ChestManager] Failed to load opened chests:', e);
     }
-    return {};
+    return data;
   }
   
-  _saveOpenedChests() {
-    try {
-      localStorage.setItem('ashen_opened_chests', JSON.stringify(this.openedChests));
-    } catch (e) {
-      console.warn('[ChestManager] Failed to save opened chests:', e);
-    }
+  /**
+   * Restore opened chests (null = fresh game)
+   */
+  loadSaveData(data) {
+    this.openedChests = { ...(data || {}) };
+    this._reloadRegions();
   }
   
   _getChestKey(x, z) {
@@ -339,7 +336,7 @@ export class ChestManager {
       meshes: [],
     };
     
-    const regionSeed = rx * 73856093 + rz * 19349663;
+    const regionSeed = rx * 73856093 + rz * 19349663 + this.worldSeed;
     
     // Get ruins in this region
     if (this.ruinsManager && this.ruinsManager.ruins) {
@@ -442,7 +439,6 @@ export class ChestManager {
       }
       // Respawned - remove from opened list
       delete this.openedChests[chestKey];
-      this._saveOpenedChests();
     }
     
     // Create chest mesh group
@@ -580,7 +576,6 @@ export class ChestManager {
     
     // Mark as opened for persistence
     this.openedChests[chestData.key] = Date.now();
-    this._saveOpenedChests();
     
     // Start opening animation
     this.openingChests.push({
@@ -771,9 +766,13 @@ export class ChestManager {
   // Force respawn all chests (for testing/debug)
   respawnAll() {
     this.openedChests = {};
-    this._saveOpenedChests();
-    
-    // Reload all regions
+    this._reloadRegions();
+  }
+  
+  /**
+   * Rebuild loaded regions so chests match openedChests
+   */
+  _reloadRegions() {
     const keys = [...this.regions.keys()];
     for (const key of keys) {
       this._unloadRegion(key);
@@ -4,11 +4,16 @@
  * 
  * Generates dungeon layouts procedurally based on DungeonData templates.
  * Uses graph-based room placement with guaranteed paths from entrance to boss.
+ * Each call lays out one floor; every floor but the last ends in a stairwell.
+ * Floors may hide a secret room behind an illusory wall and a one-way
+ * shortcut door. loadLayout() builds the same instance data from a
+ * hand-authored layout.
  */
 
 import {
   getDungeonById,
   getRoomCount,
+  getFloorConfig,
   getEnemySpawnConfig,
   getTrapConfig,
   getPuzzleConfig,
@@ -17,7 +22,10 @@ import {
   ROOM_TYPE,
   ROOM_SIZE,
   ROOM_TEMPLATES,
+  TRAP_TYPE,
+  SECRET_SETTINGS,
 } from '../data/DungeonData.js';
+import { validateDungeonLayout, getLayoutRoomSize, getLayoutDirection, LAYOUT_SIDES } from '../data/DungeonLayouts.js';
 
 // Room grid cell size (units)
 const CELL_SIZE = 20;
@@ -40,9 +48,12 @@ export class DungeonGenerator {
     // Connections between rooms
     this.connections = [];
     
-    // Critical path from entrance to boss
+    // Critical path from entrance to boss (or stairs)
     this.criticalPath = [];
     
+    // Floor being generated (see getFloorConfig)
+    this.floorConfig = null;
+    
     // Dungeon bounds
     this.bounds = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
   }
@@ -62,16 +73,20 @@ export class DungeonGenerator {
    * Generate a complete dungeon instance
    * @param {string} dungeonId - ID from DungeonData
    * @param {string} modifier - Dungeon modifier (none, elite, cursed, blessed, timed)
+   * @param {number} floor - Floor number, 1 = top
    * @returns {Object} Complete dungeon data for rendering
    */
-  generate(dungeonId, modifier = 'none') {
+  generate(dungeonId, modifier = 'none', floor = 1) {
     const dungeonData = getDungeonById(dungeonId);
     if (!dungeonData) {
       console.error(`[DungeonGenerator] Unknown dungeon: ${dungeonId}`);
       return null;
     }
     
-    console.log(`[DungeonGenerator] Generating ${dungeonData.name} (${modifier})`);
+    this.floorConfig = getFloorConfig(dungeonId, floor, modifier);
+    
+    console.log(`[DungeonGenerator] Generating ${dungeonData.name} floor ` +
+      `${this.floorConfig.floor}/${this.floorConfig.floorCount} (${modifier})`);
     
     // Reset state
     this.grid.clear();
@@ -81,11 +96,11 @@ export class DungeonGenerator {
     this.bounds = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
     
     // Calculate room count
-    const roomCount = getRoomCount(dungeonId, modifier);
+    const roomCount = getRoomCount(dungeonId, modifier, this.random);
     console.log(`[DungeonGenerator] Target room count: ${roomCount}`);
     
     // Generate room types based on distribution
-    const roomTypes = this._generateRoomTypes(dungeonData, roomCount);
+    const roomTypes = this._generateRoomTypes(dungeonData, roomCount, this.floorConfig.isFinal);
     
     // Place rooms using graph-based algorithm
     this._placeRooms(roomTypes, dungeonData);
@@ -96,12 +111,16 @@ export class DungeonGenerator {
     // Validate path from entrance to boss
     if (!this._validatePath()) {
       console.warn('[DungeonGenerator] Invalid path, regenerating...');
-      return this.generate(dungeonId, modifier); // Retry
+      return this.generate(dungeonId, modifier, floor); // Retry
     }
     
     // Populate rooms with content
     this._populateRooms(dungeonData, modifier);
     
+    // Secrets go in last so they never shift the rolls above
+    const hiddenWalls = this._placeSecretRoom(dungeonData, modifier);
+    const shortcuts = this._placeShortcut();
+    
     // Calculate dungeon bounds
     this._calculateBounds();
     
@@ -112,12 +131,17 @@ export class DungeonGenerator {
       dungeonData,
       modifier,
       seed: this.seed,
+      floor: this.floorConfig.floor,
+      floorCount: this.floorConfig.floorCount,
       rooms: this.rooms,
       connections: this.connections,
       criticalPath: this.criticalPath,
       bounds: this.bounds,
       entranceRoom: this.rooms.find(r => r.type === ROOM_TYPE.ENTRANCE),
-      bossRoom: this.rooms.find(r => r.type === ROOM_TYPE.BOSS),
+      bossRoom: this.rooms.find(r => r.type === ROOM_TYPE.BOSS) || null,
+      stairsRoom: this.rooms.find(r => r.type === ROOM_TYPE.STAIRS) || null,
+      hiddenWalls,
+      shortcuts,
       
       // Aggregate stats
       stats: {
@@ -135,18 +159,264 @@ export class DungeonGenerator {
     return instance;
   }
   
+  /**
+   * Build a dungeon instance from a hand-authored layout (see DungeonLayouts.js)
+   * @param {Object} layout - Layout definition
+   * @param {string} modifier - Dungeon modifier
+   * @returns {Object|null} Same shape as generate(), plus the layout's secrets,
+   *   shortcuts and triggers in world space; null if the layout is invalid
+   */
+  loadLayout(layout, modifier = 'none') {
+    const problems = validateDungeonLayout(layout);
+    if (problems.length > 0) {
+      console.error(`[DungeonGenerator] Invalid layout ${layout.id}: ${problems.join('; ')}`);
+      return null;
+    }
+    
+    const dungeonData = getDungeonById(layout.dungeonId);
+    this.floorConfig = getFloorConfig(layout.dungeonId, 1, modifier);
+    
+    console.log(`[DungeonGenerator] Loading layout ${layout.id} (${modifier})`);
+    
+    // Reset state
+    this.grid.clear();
+    this.rooms = [];
+    this.connections = [];
+    this.criticalPath = [];
+    this.bounds = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
+    
+    for (const def of layout.rooms) {
+      const room = this._createLayoutRoom(def, dungeonData, modifier);
+      this.rooms.push(room);
+      this.grid.set(`${room.gridX},${room.gridZ}`, room);
+    }
+    
+    // Corridors are fixed - no random doors or traps
+    for (const def of layout.connections) {
+      const from = this.getRoomById(def.from);
+      const to = this.getRoomById(def.to);
+      const direction = getLayoutDirection(
+        layout.rooms.find(r => r.id === def.from), layout.rooms.find(r => r.id === def.to));
+      
+      from.connections.push(to.id);
+      to.connections.push(from.id);
+      
+      const conn = { from: from.id, to: to.id, direction, type: def.type || 'corridor', secret: !!def.secret };
+      if (conn.type === 'corridor') {
+        conn.corridor = this._createFixedCorridor(from, to, direction);
+      }
+      this.connections.push(conn);
+    }
+    
+    for (const room of this.rooms) {
+      room.doorPositions = this.connections
+        .filter(c => c.from === room.id || c.to === room.id)
+        .map(c => (c.from === room.id ? c.direction : this._getOppositeDirection(c.direction)));
+      room.isDeadEnd = room.connections.length === 1 && room.type !== ROOM_TYPE.ENTRANCE;
+    }
+    
+    const toWorld = (roomId, p) => {
+      const room = this.getRoomById(roomId);
+      return { x: room.position.x + (p.x || 0), y: p.y || 0, z: room.position.z + (p.z || 0) };
+    };
+    
+    const hiddenWalls = (layout.secrets || []).map(secret =>
+      this._addIllusoryWall(secret.id, this.getRoomById(secret.room), this.getRoomById(secret.hides), secret.wall));
+    
+    // Shortcut doors lift from the room they stand in
+    const shortcuts = (layout.shortcuts || []).map(shortcut => {
+      const room = this.getRoomById(shortcut.room);
+      const length = Math.hypot(shortcut.door.x, shortcut.door.z) || 1;
+      const openSide = { x: -shortcut.door.x / length, z: -shortcut.door.z / length };
+      room.features.push(
+        { type: 'shortcut_door', id: shortcut.id, position: { ...shortcut.door, y: 0 }, openSide },
+        { type: 'ladder', id: shortcut.id, position: { ...shortcut.ladder, y: 0 } },
+      );
+      return {
+        id: shortcut.id,
+        name: shortcut.name,
+        roomId: room.id,
+        doorPosition: toWorld(room.id, shortcut.door),
+        openSide,
+        ladderPosition: toWorld(room.id, shortcut.ladder),
+        exitTo: { ...shortcut.exitTo },
+        unlocked: false,
+      };
+    });
+    
+    const triggers = (layout.triggers || []).map(trigger => {
+      const room = this.getRoomById(trigger.room);
+      if (trigger.type === 'checkpoint') {
+        room.features.push({ type: 'bonfire', position: { ...trigger.position, y: 0 }, isLit: true, brazier: true });
+      }
+      return { ...trigger, roomId: room.id, position: toWorld(room.id, trigger.position) };
+    });
+    
+    this.criticalPath = this._findLayoutPath();
+    this._calculateBounds();
+    
+    const instance = {
+      id: `${layout.dungeonId}_${layout.id}`,
+      dungeonId: layout.dungeonId,
+      dungeonData,
+      layoutId: layout.id,
+      modifier,
+      seed: this.seed,
+      floor: 1,
+      floorCount: this.floorConfig.floorCount,
+      rooms: this.rooms,
+      connections: this.connections,
+      criticalPath: this.criticalPath,
+      bounds: this.bounds,
+      entranceRoom: this.rooms.find(r => r.type === ROOM_TYPE.ENTRANCE),
+      bossRoom: this.rooms.find(r => r.type === ROOM_TYPE.BOSS) || null,
+      stairsRoom: null,
+      hiddenWalls,
+      shortcuts,
+      triggers,
+      
+      stats: {
+        roomCount: this.rooms.length,
+        enemyCount: this.rooms.reduce((sum, r) => sum + (r.enemies?.length || 0), 0),
+        trapCount: this.rooms.reduce((sum, r) => sum + (r.traps?.length || 0), 0),
+        chestCount: this.rooms.reduce((sum, r) => sum + (r.chests?.length || 0), 0),
+        puzzleCount: 0,
+      },
+    };
+    
+    console.log(`[DungeonGenerator] Loaded layout with ${instance.stats.roomCount} rooms, ` +
+      `${hiddenWalls.length} secrets, ${shortcuts.length} shortcuts`);
+    
+    return instance;
+  }
+  
+  /**
+   * Create a room object from a layout room definition
+   */
+  _createLayoutRoom(def, dungeonData, modifier) {
+    const size = getLayoutRoomSize(def);
+    const at = (p = {}) => ({ x: p.x || 0, y: p.y || 0, z: p.z || 0 });
+    const { enemyLevelRange } = this.floorConfig;
+    
+    const room = {
+      id: def.id,
+      name: def.name,
+      type: def.type,
+      gridX: def.grid.x,
+      gridZ: def.grid.z,
+      position: { x: def.grid.x * CELL_SIZE, y: 0, z: def.grid.z * CELL_SIZE },
+      width: size.width,
+      height: size.height,
+      depth: size.depth,
+      template: {},
+      doorPositions: [],
+      features: [],
+      propZones: [],
+      connections: [],
+      enemies: (def.enemies || []).map((e, i) => ({
+        type: e.type,
+        isElite: !!e.elite,
+        behavior: e.behavior || null,
+        id: `enemy_${def.id}_${i}`,
+        spawnPosition: at(e.position),
+        levelRange: enemyLevelRange,
+      })),
+      traps: (def.traps || []).map((t, i) => ({
+        ...TRAP_TYPE[t.type],
+        id: `trap_${def.id}_${i}`,
+        position: at(t.position),
+        isArmed: true,
+      })),
+      chests: (def.chests || []).map((c, i) => ({
+        id: c.id || `chest_${def.id}_${i}`,
+        type: c.type || 'normal',
+        position: at(c.position),
+        loot: c.loot || generateChestLoot(dungeonData.id, c.type || 'normal', modifier),
+        isOpen: false,
+        isLocked: !!c.locked,
+        unlocksOnClear: !!c.locked,
+      })),
+      props: (def.props || []).map(p => ({ ...p, position: at(p.position) })),
+      lights: [],
+      puzzle: null,
+      isCleared: def.type === ROOM_TYPE.ENTRANCE && !def.enemies?.length,
+      isExplored: def.type === ROOM_TYPE.ENTRANCE,
+      isBranch: false,
+      isDeadEnd: false,
+      isSecret: false,
+    };
+    
+    if (def.miniboss && dungeonData.miniboss) {
+      room.miniboss = {
+        ...dungeonData.miniboss,
+        id: `miniboss_${def.id}`,
+        spawnPosition: at(def.miniboss.position),
+        isDefeated: false,
+      };
+    }
+    
+    if (def.type === ROOM_TYPE.ENTRANCE) {
+      room.features.push({ type: 'entrance_portal', position: { x: 0, y: 0, z: room.depth / 2 - 1 } });
+    }
+    
+    if (def.type === ROOM_TYPE.BOSS) {
+      room.boss = {
+        ...dungeonData.boss,
+        id: `boss_${def.id}`,
+        spawnPosition: at(def.boss?.position),
+        isDefeated: false,
+        currentPhase: 1,
+      };
+      room.features.push(
+        { type: 'boss_altar', position: { x: 0, y: 0, z: room.depth / 2 - 3 } },
+        { type: 'exit_portal', position: { x: 0, y: 0, z: room.depth / 2 - 1 }, isActive: false },
+      );
+    }
+    
+    this._addLighting(room, dungeonData);
+    return room;
+  }
+  
+  /**
+   * Shortest route from the entrance to the boss that avoids secret passages
+   */
+  _findLayoutPath() {
+    const entrance = this.rooms.find(r => r.type === ROOM_TYPE.ENTRANCE);
+    const boss = this.rooms.find(r => r.type === ROOM_TYPE.BOSS);
+    const open = this.connections.filter(c => !c.secret);
+    const previous = new Map([[entrance.id, null]]);
+    const queue = [entrance.id];
+    
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (id === boss.id) break;
+      for (const c of open) {
+        const next = c.from === id ? c.to : c.to === id ? c.from : null;
+        if (next && !previous.has(next)) {
+          previous.set(next, id);
+          queue.push(next);
+        }
+      }
+    }
+    
+    const path = [];
+    for (let id = boss.id; id; id = previous.get(id)) path.unshift(this.getRoomById(id));
+    return path;
+  }
+  
   /**
    * Generate list of room types based on dungeon distribution
    */
-  _generateRoomTypes(dungeonData, count) {
+  _generateRoomTypes(dungeonData, count, isFinalFloor = true) {
     const types = [];
+    const exitType = isFinalFloor ? ROOM_TYPE.BOSS : ROOM_TYPE.STAIRS;
     
-    // Always include entrance and boss
+    // Always include entrance and the way onward
     types.push(ROOM_TYPE.ENTRANCE);
-    types.push(ROOM_TYPE.BOSS);
+    types.push(exitType);
     
-    // Always include miniboss if present
-    if (dungeonData.miniboss) {
+    // Always include miniboss if present (last floor only)
+    if (dungeonData.miniboss && isFinalFloor) {
       types.push(ROOM_TYPE.MINIBOSS);
     }
     
@@ -173,7 +443,7 @@ export class DungeonGenerator {
     
     // Shuffle middle rooms (keep entrance first, boss last)
     const entrance = types.shift();
-    const boss = types.splice(types.indexOf(ROOM_TYPE.BOSS), 1)[0];
+    const boss = types.splice(types.indexOf(exitType), 1)[0];
     
     // Shuffle remaining
     for (let i = types.length - 1; i > 0; i--) {
@@ -310,8 +580,12 @@ export class DungeonGenerator {
                        type === ROOM_TYPE.CORRIDOR ? ROOM_SIZE.CORRIDOR :
                        size;
     
+    // Deeper floors prefix their ids so progress (cleared rooms, looted
+    // chests, disarmed traps) never collides with the floor above
+    const floor = this.floorConfig?.floor || 1;
+    
     const room = {
-      id: `room_${this.rooms.length}`,
+      id: floor > 1 ? `f${floor}_room_${this.rooms.length}` : `room_${this.rooms.length}`,
       type,
       gridX,
       gridZ,
@@ -331,7 +605,7 @@ export class DungeonGenerator {
       // Template data
       template: template,
       doorPositions: template.doorPositions || ['north', 'south'],
-      features: template.features || [],
+      features: [...(template.features || [])], // Copy - rooms push their own features
       propZones: template.propZones || [],
       
       // Connections (room IDs)
@@ -445,11 +719,11 @@ export class DungeonGenerator {
   }
   
   /**
-   * Validate that a path exists from entrance to boss
+   * Validate that a path exists from entrance to boss (or stairs)
    */
   _validatePath() {
     const entrance = this.rooms.find(r => r.type === ROOM_TYPE.ENTRANCE);
-    const boss = this.rooms.find(r => r.type === ROOM_TYPE.BOSS);
+    const boss = this.rooms.find(r => r.type === ROOM_TYPE.BOSS || r.type === ROOM_TYPE.STAIRS);
     
     if (!entrance || !boss) return false;
     
@@ -510,6 +784,10 @@ export class DungeonGenerator {
         case ROOM_TYPE.BOSS:
           this._populateBossRoom(room, dungeonData);
           break;
+          
+        case ROOM_TYPE.STAIRS:
+          this._populateStairsRoom(room, dungeonData, modifier);
+          break;
       }
       
       // Add props based on dungeon theme
@@ -533,12 +811,23 @@ export class DungeonGenerator {
       position: { x: 0, y: 0, z: room.depth / 2 - 1 },
     });
     
+    const { floor, floorCount } = this.floorConfig;
+    
     // Maybe add a hint sign
     if (this.random() < 0.5) {
+      const title = floorCount > 1 ? `${dungeonData.name} - Floor ${floor}` : dungeonData.name;
       room.props.push({
         type: 'sign',
         position: { x: 2, y: 1.5, z: 0 },
-        text: `${dungeonData.name}\nBeware: ${dungeonData.boss.name} lurks within`,
+        text: `${title}\nBeware: ${dungeonData.boss.name} lurks within`,
+      });
+    }
+    
+    // The Abyss opens off the top floor of every normal run
+    if (floor === 1 && Number.isFinite(floorCount)) {
+      room.features.push({
+        type: 'abyss_gate',
+        position: { x: -room.width / 2 + 2.5, y: 0, z: 0 },
       });
     }
   }
@@ -548,7 +837,7 @@ export class DungeonGenerator {
    */
   _populateCombatRoom(room, dungeonData, modifier) {
     // Get enemy configuration
-    const enemyConfig = getEnemySpawnConfig(dungeonData.id, room.type, modifier);
+    const enemyConfig = getEnemySpawnConfig(dungeonData.id, room.type, modifier, this.floorConfig.floor);
     
     // Place enemies at spawn points
     for (let i = 0; i < enemyConfig.enemies.length; i++) {
@@ -564,7 +853,7 @@ export class DungeonGenerator {
           y: 0,
           z: Math.sin(angle) * radius,
         },
-        levelRange: dungeonData.enemyLevelRange,
+        levelRange: this.floorConfig.enemyLevelRange,
       });
     }
     
@@ -586,7 +875,7 @@ export class DungeonGenerator {
     
     // Small chance for bonus chest
     if (this.random() < 0.2) {
-      const loot = generateChestLoot(dungeonData.id, 'normal', modifier);
+      const loot = generateChestLoot(dungeonData.id, 'normal', modifier, this.floorConfig.floor);
       room.chests.push({
         id: `chest_${room.id}_0`,
         type: 'normal',
@@ -606,7 +895,7 @@ export class DungeonGenerator {
     if (puzzle) {
       room.puzzle = {
         ...puzzle,
-        id: `puzzle_${room.id}`,
+        id: `puzzle_${this.seed}_${room.id}`,  // Room ids repeat across dungeons and runs
         isSolved: false,
         currentState: new Array(puzzle.componentCount).fill(0),
         reward: generateChestLoot(dungeonData.id, 'treasure'),
@@ -625,7 +914,7 @@ export class DungeonGenerator {
     // Puzzle rooms have no enemies until failed
     room.enemiesOnFail = [];
     if (puzzle && puzzle.failurePenalty === 'spawn_enemies') {
-      const enemyConfig = getEnemySpawnConfig(dungeonData.id, ROOM_TYPE.COMBAT);
+      const enemyConfig = getEnemySpawnConfig(dungeonData.id, ROOM_TYPE.COMBAT, 'none', this.floorConfig.floor);
       room.enemiesOnFail = enemyConfig.enemies.slice(0, 2); // Fewer enemies on fail
     }
   }
@@ -660,7 +949,7 @@ export class DungeonGenerator {
    */
   _populateTreasureRoom(room, dungeonData, modifier) {
     // Main treasure chest
-    const mainLoot = generateChestLoot(dungeonData.id, 'treasure', modifier);
+    const mainLoot = generateChestLoot(dungeonData.id, 'treasure', modifier, this.floorConfig.floor);
     room.chests.push({
       id: `chest_${room.id}_main`,
       type: 'treasure',
@@ -674,7 +963,7 @@ export class DungeonGenerator {
     // Additional smaller chests
     const extraChests = Math.floor(this.random() * 2) + 1;
     for (let i = 0; i < extraChests; i++) {
-      const loot = generateChestLoot(dungeonData.id, 'normal', modifier);
+      const loot = generateChestLoot(dungeonData.id, 'normal', modifier, this.floorConfig.floor);
       room.chests.push({
         id: `chest_${room.id}_${i}`,
         type: 'normal',
@@ -748,7 +1037,7 @@ export class DungeonGenerator {
     };
     
     // Add some adds (helper enemies)
-    const enemyConfig = getEnemySpawnConfig(dungeonData.id, room.type, modifier);
+    const enemyConfig = getEnemySpawnConfig(dungeonData.id, room.type, modifier, this.floorConfig.floor);
     room.enemies = enemyConfig.enemies.slice(0, 2).map((e, i) => ({
       ...e,
       id: `miniboss_add_${room.id}_${i}`,
@@ -813,6 +1102,19 @@ export class DungeonGenerator {
     });
   }
   
+  /**
+   * Populate stairs room (guarded way down to the next floor)
+   */
+  _populateStairsRoom(room, dungeonData, modifier) {
+    this._populateCombatRoom(room, dungeonData, modifier);
+  
+    room.features.push({
+      type: 'stairwell',
+      position: { x: 0, y: 0, z: -room.depth / 2 + 2.5 },
+      leadsTo: this.floorConfig.floor + 1,
+    });
+  }
+  
   /**
    * Add decorative props to room
    */
@@ -945,6 +1247,160 @@ export class DungeonGenerator {
     }
   }
   
+  /**
+   * Maybe hide a treasure room behind an illusory wall off one of the
+   * floor's rooms. Generated walls only give way to an attack.
+   * @returns {Array} World-space hidden walls (empty if none was placed)
+   */
+  _placeSecretRoom(dungeonData, modifier) {
+    if (this.random() >= SECRET_SETTINGS.secretRoomChance) return [];
+    
+    const exits = [ROOM_TYPE.ENTRANCE, ROOM_TYPE.BOSS, ROOM_TYPE.STAIRS];
+    const spots = [];
+    for (const host of this.rooms.filter(r => !exits.includes(r.type))) {
+      for (const [side, offset] of Object.entries(LAYOUT_SIDES)) {
+        const x = host.gridX + offset.x;
+        const z = host.gridZ + offset.z;
+        if (!this.grid.has(`${x},${z}`)) spots.push({ host, side, x, z });
+      }
+    }
+    if (spots.length === 0) return [];
+    
+    const { host, side, x, z } = spots[Math.floor(this.random() * spots.length)];
+    const room = this._createRoom(ROOM_TYPE.TREASURE, x, z, dungeonData);
+    Object.assign(room, ROOM_SIZE.SMALL, { isBranch: true, isDeadEnd: true });
+    
+    this.rooms.push(room);
+    this.grid.set(`${x},${z}`, room);
+    host.connections.push(room.id);
+    room.connections.push(host.id);
+    this.connections.push({
+      from: host.id,
+      to: room.id,
+      direction: side,
+      type: 'corridor',
+      secret: true,
+      corridor: this._createFixedCorridor(host, room, side),
+    });
+    
+    const wall = this._addIllusoryWall(`secret_${room.id}`, host, room, side, true);
+    this._populateTreasureRoom(room, dungeonData, modifier);
+    this._addProps(room, dungeonData);
+    this._addLighting(room, dungeonData);
+    
+    console.log(`[DungeonGenerator] Secret room ${room.id} behind the ${side} wall of ${host.id}`);
+    return [wall];
+  }
+  
+  /**
+   * Maybe bar a door between two neighbouring rooms that sit far apart on
+   * the path, so the deeper one opens a way back. The door only lifts from
+   * the deeper side and stays out of room connections until it does.
+   * @returns {Array} World-space shortcuts (empty if none was placed)
+   */
+  _placeShortcut() {
+    if (this.random() >= SECRET_SETTINGS.shortcutChance) return [];
+    
+    // Steps from the entrance (generated floors are trees)
+    const entrance = this.rooms.find(r => r.type === ROOM_TYPE.ENTRANCE);
+    const steps = new Map([[entrance.id, 0]]);
+    const queue = [entrance];
+    while (queue.length > 0) {
+      const room = queue.shift();
+      for (const id of room.connections) {
+        const next = this.getRoomById(id);
+        if (!steps.has(id) && !next.isSecret) {
+          steps.set(id, steps.get(room.id) + 1);
+          queue.push(next);
+        }
+      }
+    }
+    
+    const pairs = [];
+    for (const far of this.rooms.filter(r => steps.has(r.id))) {
+      for (const [side, offset] of Object.entries(LAYOUT_SIDES)) {
+        const near = this.getRoomAt(far.gridX + offset.x, far.gridZ + offset.z);
+        if (!near || !steps.has(near.id) || far.connections.includes(near.id)) continue;
+        if (steps.get(far.id) - steps.get(near.id) >= SECRET_SETTINGS.shortcutMinSkip) {
+          pairs.push({ far, near, side });
+        }
+      }
+    }
+    if (pairs.length === 0) return [];
+    
+    const { far, near, side } = pairs[Math.floor(this.random() * pairs.length)];
+    const id = `shortcut_${far.id}_${near.id}`;
+    const corridor = this._createFixedCorridor(far, near, side);
+    const back = LAYOUT_SIDES[this._getOppositeDirection(side)];
+    
+    this.connections.push({ from: far.id, to: near.id, direction: side, type: 'corridor', shortcut: id, corridor });
+    
+    console.log(`[DungeonGenerator] Shortcut from ${far.id} back to ${near.id}`);
+    return [{
+      id,
+      name: 'Shortcut Door',
+      roomId: far.id,
+      toRoomId: near.id,
+      doorPosition: { ...corridor.position },
+      openSide: { x: back.x, z: back.z },
+      unlocked: false,
+    }];
+  }
+  
+  /**
+   * Corridor geometry without random doors or traps
+   */
+  _createFixedCorridor(from, to, direction) {
+    return {
+      position: { x: (from.position.x + to.position.x) / 2, y: 0, z: (from.position.z + to.position.z) / 2 },
+      width: ROOM_SIZE.CORRIDOR.width,
+      height: ROOM_SIZE.CORRIDOR.height,
+      length: CORRIDOR_LENGTH,
+      direction,
+      hasDoor: false,
+      hasTrap: false,
+    };
+  }
+  
+  /**
+   * Hide a room behind an illusory wall filling the doorway on one side
+   * of its neighbour
+   * @returns {Object} World-space wall for World.registerSecrets
+   */
+  _addIllusoryWall(id, room, hidden, side, attackOnly = false) {
+    const offset = LAYOUT_SIDES[side];
+    const local = { x: offset.x * room.width / 2, z: offset.z * room.depth / 2 };
+    const alongX = offset.z !== 0;
+    const halfWidth = ROOM_SIZE.CORRIDOR.width / 2;
+    
+    hidden.isSecret = true;
+    room.features.push({
+      type: 'illusory_wall',
+      id,
+      position: { ...local, y: 0 },
+      wall: side,
+      hides: hidden.id,
+      width: ROOM_SIZE.CORRIDOR.width,
+      height: Math.min(room.height, ROOM_SIZE.CORRIDOR.height),
+    });
+    
+    const center = { x: room.position.x + local.x, y: 0, z: room.position.z + local.z };
+    return {
+      id,
+      roomId: room.id,
+      hides: hidden.id,
+      position: center,
+      bounds: {
+        minX: center.x - (alongX ? halfWidth : 0.5),
+        maxX: center.x + (alongX ? halfWidth : 0.5),
+        minZ: center.z - (alongX ? 0.5 : halfWidth),
+        maxZ: center.z + (alongX ? 0.5 : halfWidth),
+      },
+      attackOnly,
+      revealed: false,
+    };
+  }
+  
   /**
    * Calculate dungeon bounds
    */
@@ -137,6 +137,7 @@ export class DungeonRenderer {
     this.currentDungeon = null;
     this.renderedRooms = new Map();
     this.doors = new Map();
+    this.secretMeshes = new Map();   // Illusory walls and shortcut doors by id
     this.activeLights = [];
     this.particleSystems = [];
     
@@ -166,9 +167,12 @@ export class DungeonRenderer {
     // Set up dungeon-wide fog
     this.setupFog(dungeonInstance.dungeonData);
     
+    // Rooms behind illusory walls stay off the minimap until found
+    const hiddenRoomIds = new Set((dungeonInstance.hiddenWalls || []).map(w => w.hides));
+    
     // Render each room
     for (const room of dungeonInstance.rooms) {
-      this.renderRoom(room, theme, palette);
+      this.renderRoom(room, theme, palette, hiddenRoomIds.has(room.id));
     }
     
     // Render connections (corridors and doors)
@@ -196,6 +200,7 @@ export class DungeonRenderer {
     // Clear tracking
     this.renderedRooms.clear();
     this.doors.clear();
+    this.secretMeshes.clear();
     this.activeLights = [];
     this.particleSystems = [];
     this.minimapRooms = [];
@@ -237,8 +242,9 @@ export class DungeonRenderer {
 
   /**
    * Render a single room
+   * @param {boolean} isHidden - Behind an illusory wall; left off the minimap
    */
-  renderRoom(room, theme, palette) {
+  renderRoom(room, theme, palette, isHidden = false) {
     const roomGroup = new THREE.Group();
     roomGroup.name = `Room_${room.id}`;
     roomGroup.position.set(room.position.x, room.position.y, room.position.z);
@@ -271,6 +277,7 @@ export class DungeonRenderer {
       type: room.type,
       isExplored: room.isExplored,
       isCleared: room.isCleared,
+      isRevealed: !isHidden,
     });
   }
 
@@ -876,16 +883,198 @@ export class DungeonRenderer {
         // Already handled in boss features
         break;
       case 'bonfire':
-        // Already handled in rest features
+        // Rest rooms draw theirs in rest features; authored checkpoints are braziers
+        if (feature.brazier) this.addBrazier(roomGroup, position, palette);
         break;
       case 'boss_altar':
         // Already handled in boss features
         break;
+      case 'stairwell':
+        this.addStairwell(roomGroup, position, palette);
+        break;
+      case 'abyss_gate':
+        this.addStairwell(roomGroup, position, palette, 0x8844ff);
+        break;
+      case 'illusory_wall':
+        this.addIllusoryWall(roomGroup, feature, palette);
+        break;
+      case 'shortcut_door':
+        this.addShortcutDoor(roomGroup, feature, palette);
+        break;
+      case 'ladder':
+        this.addLadder(roomGroup, position, palette);
+        break;
       default:
         console.log(`[DungeonRenderer] Unknown feature type: ${type}`);
     }
   }
 
+  /**
+   * Add a stairwell down to the next floor (or into the Abyss)
+   */
+  addStairwell(roomGroup, position, palette, glowColor = palette.light) {
+    const stairGroup = new THREE.Group();
+    stairGroup.position.set(position.x, 0, position.z);
+    
+    // Dark opening in the floor
+    const holeGeo = new THREE.PlaneGeometry(3, 3);
+    const holeMat = new THREE.MeshBasicMaterial({ color: 0x020203 });
+    const hole = new THREE.Mesh(holeGeo, holeMat);
+    hole.rotation.x = -Math.PI / 2;
+    hole.position.y = 0.01;
+    stairGroup.add(hole);
+    
+    // First steps leading down into the dark
+    const stepMat = this.getMaterial('stair', palette.floor, { roughness: 0.9 });
+    for (let i = 0; i < 3; i++) {
+      const step = new THREE.Mesh(new THREE.BoxGeometry(2.6, 0.1, 0.7), stepMat);
+      step.position.set(0, 0.05 - i * 0.01, 1.1 - i * 0.75);
+      step.scale.x = 1 - i * 0.12;
+      step.receiveShadow = true;
+      stairGroup.add(step);
+    }
+    
+    // Stone rim
+    const rimMat = this.getMaterial('stair-rim', palette.wall, { roughness: 0.8 });
+    const rimGeo = new THREE.BoxGeometry(3.4, 0.3, 0.2);
+    for (const [x, z, rotation] of [[0, -1.6, 0], [-1.6, 0, Math.PI / 2], [1.6, 0, Math.PI / 2]]) {
+      const rim = new THREE.Mesh(rimGeo, rimMat);
+      rim.position.set(x, 0.15, z);
+      rim.rotation.y = rotation;
+      rim.castShadow = true;
+      stairGroup.add(rim);
+    }
+    
+    // Faint glow rising from below
+    const glow = new THREE.PointLight(glowColor, 0.8, 5);
+    glow.position.set(0, -0.5, 0);
+    stairGroup.add(glow);
+    this.activeLights.push(glow);
+    
+    roomGroup.add(stairGroup);
+  }
+
+  /**
+   * Add a lit stone brazier (checkpoint outside a rest room)
+   */
+  addBrazier(roomGroup, position, palette) {
+    const brazierGroup = new THREE.Group();
+    brazierGroup.position.set(position.x, 0, position.z);
+    
+    const stoneMat = this.getMaterial('brazier', palette.accent, { roughness: 0.8, metalness: 0.3 });
+    const stand = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.3, 0.9, 8), stoneMat);
+    stand.position.y = 0.45;
+    brazierGroup.add(stand);
+    
+    const bowl = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.3, 0.3, 10), stoneMat);
+    bowl.position.y = 1.05;
+    bowl.castShadow = true;
+    brazierGroup.add(bowl);
+    
+    const fireLight = new THREE.PointLight(0xff6622, 1.5, 7);
+    fireLight.position.y = 1.5;
+    fireLight.userData.flicker = true;
+    fireLight.userData.baseIntensity = 1.5;
+    brazierGroup.add(fireLight);
+    this.activeLights.push(fireLight);
+    
+    roomGroup.add(brazierGroup);
+  }
+
+  /**
+   * Add an illusory wall - indistinguishable from stone until struck or walked into
+   */
+  addIllusoryWall(roomGroup, feature, palette) {
+    const { position, wall, width, height } = feature;
+    const wallMat = this.getMaterial('wall', palette.wall, { roughness: 0.9 });
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, height, 0.3), wallMat);
+    
+    mesh.position.set(position.x, height / 2, position.z);
+    if (wall === 'east' || wall === 'west') {
+      mesh.rotation.y = Math.PI / 2;
+    }
+    mesh.receiveShadow = true;
+    
+    roomGroup.add(mesh);
+    this.secretMeshes.set(feature.id, { wall: mesh, hides: feature.hides });
+  }
+
+  /**
+   * Add a barred iron door, the bar on its openSide (the only side it lifts from)
+   */
+  addShortcutDoor(parentGroup, feature, palette) {
+    const doorGroup = new THREE.Group();
+    doorGroup.position.set(feature.position.x, 0, feature.position.z);
+    if (feature.openSide) {
+      doorGroup.rotation.y = Math.atan2(feature.openSide.x, feature.openSide.z);
+    }
+    
+    const ironMat = this.getMaterial('iron', 0x3a3a40, { roughness: 0.5, metalness: 0.7 });
+    const door = new THREE.Mesh(new THREE.BoxGeometry(1.8, 2.8, 0.12), ironMat);
+    door.position.y = 1.4;
+    doorGroup.add(door);
+    
+    // Wooden bar across brackets
+    const barMat = this.getMaterial('shortcut-bar', palette.accent, { roughness: 0.9 });
+    const bar = new THREE.Mesh(new THREE.BoxGeometry(2.4, 0.2, 0.15), barMat);
+    bar.position.set(0, 1.3, 0.15);
+    bar.castShadow = true;
+    doorGroup.add(bar);
+    
+    parentGroup.add(doorGroup);
+    this.secretMeshes.set(feature.id, { door, bar });
+  }
+
+  /**
+   * Add a ladder climbing out through the ceiling
+   */
+  addLadder(roomGroup, position, palette) {
+    const ladderGroup = new THREE.Group();
+    ladderGroup.position.set(position.x, 0, position.z);
+    
+    const woodMat = this.getMaterial('ladder', palette.accent, { roughness: 0.9 });
+    const railGeo = new THREE.BoxGeometry(0.08, 6, 0.08);
+    for (const x of [-0.35, 0.35]) {
+      const rail = new THREE.Mesh(railGeo, woodMat);
+      rail.position.set(x, 3, 0);
+      ladderGroup.add(rail);
+    }
+    
+    const rungGeo = new THREE.BoxGeometry(0.7, 0.06, 0.06);
+    for (let y = 0.4; y < 6; y += 0.45) {
+      const rung = new THREE.Mesh(rungGeo, woodMat);
+      rung.position.y = y;
+      ladderGroup.add(rung);
+    }
+    
+    roomGroup.add(ladderGroup);
+  }
+
+  /**
+   * Dispel an illusory wall and put the room behind it on the minimap
+   */
+  revealIllusoryWall(id) {
+    const secret = this.secretMeshes.get(id);
+    if (secret?.wall) {
+      secret.wall.visible = false;
+      
+      const room = this.minimapRooms.find(r => r.id === secret.hides);
+      if (room) room.isRevealed = true;
+    }
+  }
+
+  /**
+   * Lift the bar from a shortcut door and swing it open
+   */
+  unbarShortcutDoor(id) {
+    const secret = this.secretMeshes.get(id);
+    if (secret?.door) {
+      secret.bar.visible = false;
+      secret.door.rotation.y = Math.PI / 2;
+      secret.door.position.x = 0.9;
+    }
+  }
+
   /**
    * Add props to the room
    */
@@ -1351,6 +1540,22 @@ export class DungeonRenderer {
       this.renderCorridor(connection.corridor, palette);
     }
     
+    // Secret passages have an illusory wall instead of a door
+    if (connection.secret) return;
+    
+    // One-way shortcuts are barred from the far (from) room's side
+    if (connection.shortcut) {
+      this.addShortcutDoor(this.doorsGroup, {
+        id: connection.shortcut,
+        position: connection.corridor.position,
+        openSide: {
+          x: Math.sign(fromRoom.position.x - toRoom.position.x),
+          z: Math.sign(fromRoom.position.z - toRoom.position.z),
+        },
+      }, palette);
+      return;
+    }
+    
     // Create door at connection point
     this.renderDoor(fromRoom, toRoom, connection, palette);
   }
@@ -1426,52 +1631,11 @@ export class DungeonRenderer {
     corridorGroup.add(light);
     this.activeLights.push(light);
     
-    // Add trap if present
-    if (corridorData.trap) {
-      this.addCorridorTrap(corridorGroup, corridorData.trap, palette);
-    }
+    // Corridor traps are built and run by TrapManager
     
     this.roomsGroup.add(corridorGroup);
   }
 
-  /**
-   * Add trap to corridor
-   */
-  addCorridorTrap(group, trap, palette) {
-    const trapMat = new THREE.MeshStandardMaterial({
-      color: 0x4a4a4a,
-      roughness: 0.7,
-      metalness: 0.3,
-    });
-    
-    switch (trap.visualType) {
-      case 'floor_spikes':
-        // Spike plate
-        const plateGeo = new THREE.BoxGeometry(2, 0.05, 2);
-        const plate = new THREE.Mesh(plateGeo, trapMat);
-        plate.position.y = 0.025;
-        plate.userData.isTrap = true;
-        plate.userData.trapData = trap;
-        group.add(plate);
-        break;
-        
-      case 'wall_arrows':
-        // Arrow slits
-        const slitMat = new THREE.MeshStandardMaterial({
-          color: 0x1a1a1a,
-          roughness: 0.9,
-        });
-        const slitGeo = new THREE.BoxGeometry(0.05, 0.3, 0.1);
-        for (let i = 0; i < 3; i++) {
-          const slit = new THREE.Mesh(slitGeo, slitMat);
-          slit.position.set(2, 1.5, (i - 1) * 0.5);
-          slit.userData.isTrap = true;
-          group.add(slit);
-        }
-        break;
-    }
-  }
-
   /**
    * Render a door between rooms
    */
@@ -1738,7 +1902,7 @@ export class DungeonRenderer {
    */
   getMinimapData() {
     return {
-      rooms: this.minimapRooms,
+      rooms: this.minimapRooms.filter(r => r.isRevealed),
       bounds: this.currentDungeon?.bounds,
       dungeonName: this.currentDungeon?.dungeonData?.name,
     };
@@ -1855,6 +2019,18 @@ export const dungeonRenderer = {
     }
   },
   
+  revealIllusoryWall(id) {
+    if (dungeonRendererInstance) {
+      dungeonRendererInstance.revealIllusoryWall(id);
+    }
+  },
+  
+  unbarShortcutDoor(id) {
+    if (dungeonRendererInstance) {
+      dungeonRendererInstance.unbarShortcutDoor(id);
+    }
+  },
+  
   dispose() {
     if (dungeonRendererInstance) {
       dungeonRendererInstance.dispose();
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getWorldSeedOffset } from './WorldSeed.js';
 
 /**
  * FoliageManager - Procedural vegetation with dynamic chunk loading
@@ -12,6 +13,9 @@ export class FoliageManager {
     this.scene = scene;
     this.terrain = terrain;
     
+    // World seed offset for chunk seeds
+    this.worldSeed = getWorldSeedOffset(this.terrain.seed, 'foliage');
+    
     // Chunk configuration (match terrain)
     this.chunkSize = 64;
     this.loadDistance = 3;      // Load foliage within 3 chunks
@@ -202,7 +206,7 @@ export class FoliageManager {
     const worldOffsetZ = cz * this.chunkSize;
     
     // Generate seed for this chunk
-    const chunkSeed = cx * 73856093 + cz * 19349663;
+    const chunkSeed = cx * 73856093 + cz * 19349663 + this.worldSeed;
     
     // === GENERATE TREES ===
     const treePositions = [];
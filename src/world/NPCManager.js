@@ -101,6 +101,8 @@ export class NPCManager {
       
       // Create the NPC
       const npc = this._createNPC(worldX, worldY, worldZ, npcType, village);
+      npc.id = `${npcType.type}_${Math.round(village.x)}_${Math.round(village.z)}_${i}`;
+      npc.homeIndex = i; // Hut this NPC sleeps in (wraps around the village's huts)
       this.npcs.push(npc);
     }
   }
@@ -201,6 +203,7 @@ export class NPCManager {
       position: new THREE.Vector3(x, y, z),
       villageX: village.x,
       villageZ: village.z,
+      faction: village.faction || null, // Greets the player by this faction's standing
     };
   }
   
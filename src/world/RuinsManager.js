@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getWorldSeedOffset } from './WorldSeed.js';
 
 /**
  * RuinsManager - Creates ancient ruins with dynamic region loading
@@ -13,6 +14,9 @@ export class RuinsManager {
     this.terrain = terrainGenerator;
     this.colliders = colliders;
     
+    // World seed offset so ruin placement differs per world
+    this.worldSeed = getWorldSeedOffset(this.terrain.seed, 'ruins');
+    
     // Region-based generation
     this.regionSize = 150;
     this.loadDistance = 2;
@@ -109,7 +113,7 @@ export class RuinsManager {
     
     const worldOffsetX = rx * this.regionSize;
     const worldOffsetZ = rz * this.regionSize;
-    const regionSeed = rx * 48271 + rz * 16807;
+    const regionSeed = rx * 48271 + rz * 16807 + this.worldSeed;
     
     const attempts = 15;
     for (let i = 0; i < attempts; i++) {
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { createNoise2D } from 'simplex-noise';
 import { TextureFactory } from '../utils/TextureFactory.js';
+import { DEFAULT_WORLD_SEED, createSeededRandom, isLegacyWorldSeed } from './WorldSeed.js';
 
 /**
  * TerrainGenerator - Infinite Procedural Terrain with Chunking
@@ -10,7 +11,7 @@ import { TextureFactory } from '../utils/TextureFactory.js';
  * Chunks are dynamically loaded/unloaded based on player position.
  */
 export class TerrainGenerator {
-  constructor(scene) {
+  constructor(scene, seed = DEFAULT_WORLD_SEED) {
     this.scene = scene;
     
     // Chunk parameters
@@ -27,12 +28,16 @@ export class TerrainGenerator {
     this.castleRadius = 30;    // Flat zone radius
     this.castleBlendRadius = 45; // Transition zone
     
-    // Noise generators (seeded for reproducibility)
-    this.seed = 12345;
-    this.noise2D = createNoise2D(() => this.seed / 10000);
+    // Noise generators (seeded from the world seed for reproducibility)
+    this.seed = seed;
+    const legacy = isLegacyWorldSeed(seed);
+    this.noise2D = createNoise2D(legacy ? () => this.seed / 10000 : createSeededRandom(this.seed));
     
     // Separate noise for biome moisture (different seed so it's independent of height)
-    this.moistureNoise = createNoise2D(() => (this.seed + 7777) / 10000);
+    this.moistureNoise = createNoise2D(legacy ? () => (this.seed + 7777) / 10000 : createSeededRandom(this.seed + 7777));
+    
+    // Foliage hash offset (the legacy world's placement predates seeds)
+    this.foliageSeed = legacy ? 0 : this.seed;
     
     // Noise octaves for natural terrain
     this.octaves = [
@@ -493,7 +498,7 @@ export class TerrainGenerator {
    * Deterministic hash for foliage placement — consistent per chunk
    */
   _foliageHash(x, z, salt) {
-    let h = (x * 374761 + z * 668265 + (salt || 0) * 982451) | 0;
+    let h = (x * 374761 + z * 668265 + (salt || 0) * 982451 + this.foliageSeed) | 0;
     h = ((h >> 16) ^ h) * 0x45d9f3b | 0;
     h = ((h >> 16) ^ h) * 0x45d9f3b | 0;
     return ((h >> 16) ^ h) & 0x7fffffff;
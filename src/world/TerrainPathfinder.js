@@ -0,0 +1,180 @@
+/**
+ * TerrainPathfinder - Walkable routes over the terrain heightfield
+ *
+ * Grid A* over TerrainGenerator.getTerrainHeight: cells under water, and steps
+ * steeper than MAX_STEP_SLOPE, are blocked; climbing costs extra so routes
+ * follow the lay of the land. Long trips are planned one leg at a time.
+ * Used by escort NPCs (EscortNPC).
+ */
+
+const CELL_SIZE = 3;            // World units per grid cell
+const MAX_STEP_SLOPE = 1.0;     // Rise over run allowed between neighbouring cells
+const CLIMB_COST = 4;           // Extra cost per unit of height climbed
+const SEARCH_MARGIN = 24;       // Search may wander this far outside the start-goal box
+const MAX_EXPANSIONS = 4000;    // Give up (and walk straight) past this many nodes
+export const PATH_LEG_LENGTH = 60; // Goals farther than this are approached in legs
+
+const NEIGHBORS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1],
+];
+
+/**
+ * Find a walkable route from start toward goal
+ * @param {Object} terrain - { getTerrainHeight(x, z), waterLevel }
+ * @param {{x, z}} start
+ * @param {{x, z}} goal
+ * @returns {Array<{x, z}>|null} Waypoints ending at the goal (or the end of this leg), null if none found
+ */
+export function findTerrainPath(terrain, start, goal) {
+  const legGoal = clampLeg(start, goal);
+
+  const minX = Math.min(start.x, legGoal.x) - SEARCH_MARGIN;
+  const minZ = Math.min(start.z, legGoal.z) - SEARCH_MARGIN;
+  const cols = Math.ceil((Math.max(start.x, legGoal.x) + SEARCH_MARGIN - minX) / CELL_SIZE) + 1;
+  const rows = Math.ceil((Math.max(start.z, legGoal.z) + SEARCH_MARGIN - minZ) / CELL_SIZE) + 1;
+
+  const toCell = (p) => ({
+    i: Math.round((p.x - minX) / CELL_SIZE),
+    j: Math.round((p.z - minZ) / CELL_SIZE),
+  });
+  const worldX = (i) => minX + i * CELL_SIZE;
+  const worldZ = (j) => minZ + j * CELL_SIZE;
+  const key = (i, j) => j * cols + i;
+
+  const waterLevel = terrain.waterLevel ?? -Infinity;
+  const heights = new Map();
+  const heightAt = (i, j) => {
+    const k = key(i, j);
+    if (!heights.has(k)) heights.set(k, terrain.getTerrainHeight(worldX(i), worldZ(j)));
+    return heights.get(k);
+  };
+
+  const from = toCell(start);
+  const to = toCell(legGoal);
+  const heuristic = (i, j) => Math.hypot(i - to.i, j - to.j) * CELL_SIZE;
+
+  const cameFrom = new Map();
+  const cost = new Map([[key(from.i, from.j), 0]]);
+  const open = new MinHeap();
+  open.push({ i: from.i, j: from.j, f: heuristic(from.i, from.j) });
+
+  let expansions = 0;
+  while (open.size > 0 && expansions < MAX_EXPANSIONS) {
+    const node = open.pop();
+    const nodeKey = key(node.i, node.j);
+    if (node.i === to.i && node.j === to.j) {
+      return buildPath(cameFrom, nodeKey, cols, worldX, worldZ, legGoal);
+    }
+    expansions++;
+
+    const g = cost.get(nodeKey);
+    const h0 = heightAt(node.i, node.j);
+
+    for (const [di, dj] of NEIGHBORS) {
+      const ni = node.i + di;
+      const nj = node.j + dj;
+      if (ni < 0 || nj < 0 || ni >= cols || nj >= rows) continue;
+
+      const h1 = heightAt(ni, nj);
+      const isGoal = ni === to.i && nj === to.j;
+      if (h1 < waterLevel && !isGoal) continue;
+
+      const run = Math.hypot(di, dj) * CELL_SIZE;
+      const rise = h1 - h0;
+      if (Math.abs(rise) / run > MAX_STEP_SLOPE) continue;
+
+      const next = g + run + Math.max(0, rise) * CLIMB_COST;
+      const nextKey = key(ni, nj);
+      if (next >= (cost.get(nextKey) ?? Infinity)) continue;
+
+      cost.set(nextKey, next);
+      cameFrom.set(nextKey, nodeKey);
+      open.push({ i: ni, j: nj, f: next + heuristic(ni, nj) });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Cut the goal down to PATH_LEG_LENGTH along the straight line from start
+ */
+function clampLeg(start, goal) {
+  const dx = goal.x - start.x;
+  const dz = goal.z - start.z;
+  const dist = Math.hypot(dx, dz);
+  if (dist <= PATH_LEG_LENGTH) return { x: goal.x, z: goal.z };
+  const scale = PATH_LEG_LENGTH / dist;
+  return { x: start.x + dx * scale, z: start.z + dz * scale };
+}
+
+/**
+ * Walk cameFrom back to the start, keeping only the cells where the route turns
+ */
+function buildPath(cameFrom, endKey, cols, worldX, worldZ, legGoal) {
+  const cells = [];
+  for (let k = endKey; k !== undefined; k = cameFrom.get(k)) {
+    cells.push({ i: k % cols, j: Math.floor(k / cols) });
+  }
+  cells.reverse();
+
+  const path = [];
+  for (let n = 1; n < cells.length - 1; n++) {
+    const prev = cells[n - 1];
+    const cell = cells[n];
+    const next = cells[n + 1];
+    const turns = cell.i - prev.i !== next.i - cell.i || cell.j - prev.j !== next.j - cell.j;
+    if (turns) path.push({ x: worldX(cell.i), z: worldZ(cell.j) });
+  }
+  path.push({ x: legGoal.x, z: legGoal.z });
+  return path;
+}
+
+/**
+ * Binary min-heap on node.f
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let n = items.length - 1;
+    while (n > 0) {
+      const parent = (n - 1) >> 1;
+      if (items[parent].f <= items[n].f) break;
+      [items[parent], items[n]] = [items[n], items[parent]];
+      n = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let n = 0;
+      for (;;) {
+        const left = n * 2 + 1;
+        const right = left + 1;
+        let smallest = n;
+        if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+        if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+        if (smallest === n) break;
+        [items[smallest], items[n]] = [items[n], items[smallest]];
+        n = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+export default { findTerrainPath, PATH_LEG_LENGTH };
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { TextureFactory } from '../utils/TextureFactory.js';
+import { getWorldSeedOffset } from './WorldSeed.js';
+import { VILLAGE_FACTION_WEIGHTS } from '../data/ReputationData.js';
 
 /**
  * VillageManager - Creates villages with dynamic chunk loading
@@ -13,6 +15,9 @@ export class VillageManager {
     this.scene = scene;
     this.terrain = terrainGenerator;
     
+    // World seed offset so village placement differs per world
+    this.worldSeed = getWorldSeedOffset(this.terrain.seed, 'villages');
+    
     // Region-based generation (larger than terrain chunks)
     this.regionSize = 200;      // 200x200 units per region
     this.loadDistance = 2;      // Load regions within 2 of player
@@ -127,7 +132,7 @@ export class VillageManager {
     
     const worldOffsetX = rx * this.regionSize;
     const worldOffsetZ = rz * this.regionSize;
-    const regionSeed = rx * 73856093 + rz * 19349663;
+    const regionSeed = rx * 73856093 + rz * 19349663 + this.worldSeed;
     
     // Try to place one village in this region
     const attempts = 20;
@@ -172,6 +177,7 @@ export class VillageManager {
         rotation: this._seededRandom(regionSeed + i * 7) * Math.PI * 2,
         size: 2 + Math.floor(this._seededRandom(regionSeed + i * 11) * 2),
         regionKey: key,
+        faction: this._pickFaction(this._seededRandom(regionSeed + i * 13)),
       };
       
       this._buildVillage(village, regionData);
@@ -246,26 +252,33 @@ export class VillageManager {
     
     // Huts in a circle
     const hutCount = village.size;
+    const huts = [];
     for (let i = 0; i < hutCount; i++) {
       const angle = (i / hutCount) * Math.PI * 2 + Math.random() * 0.5;
       const dist = 8 + Math.random() * 5;
       const hx = Math.cos(angle) * dist;
       const hz = Math.sin(angle) * dist;
-      this._createHut(group, hx, hz, village);
+      huts.push(this._createHut(group, hx, hz, village));
     }
     
     // Market stalls
     const stallCount = 1 + Math.floor(Math.random() * 2);
+    const stalls = [];
     for (let i = 0; i < stallCount; i++) {
       const angle = (i / stallCount) * Math.PI * 2 + Math.PI / 4 + Math.random() * 0.3;
       const dist = 5 + Math.random() * 3;
-      this._createMarketStall(group, Math.cos(angle) * dist, Math.sin(angle) * dist, village);
+      const sx = Math.cos(angle) * dist;
+      const sz = Math.sin(angle) * dist;
+      this._createMarketStall(group, sx, sz, village);
+      stalls.push({ localX: sx, localZ: sz });
     }
     
     // Crafting stations (Phase 23)
     const stations = this._createCraftingStations(group, village);
     village.craftingStations = stations;
     
+    village.layout = this._buildLayout(village, huts, stalls, stations);
+    
     // Fences
     const fenceCount = 3 + Math.floor(Math.random() * 3);
     for (let i = 0; i < fenceCount; i++) {
@@ -318,6 +331,58 @@ export class VillageManager {
     
     hut.rotation.y = Math.random() * Math.PI * 2;
     group.add(hut);
+    
+    return { localX, localZ, rotation: hut.rotation.y, radius: bodyRadius };
+  }
+  
+  /**
+   * World position of a point in a village's local (rotated) space.
+   * Matches how the village group places its children.
+   */
+  _localToWorld(village, localX, localZ) {
+    const cos = Math.cos(village.rotation);
+    const sin = Math.sin(village.rotation);
+    return {
+      x: village.x + localX * cos + localZ * sin,
+      z: village.z - localX * sin + localZ * cos,
+    };
+  }
+  
+  /**
+   * Spots NPCs walk between (Phase 18 schedules), in world space.
+   * Work spots sit a step in front of each building, toward the well.
+   */
+  _buildLayout(village, huts, stalls, stations) {
+    const inFront = (localX, localZ, step) => {
+      const dist = Math.sqrt(localX * localX + localZ * localZ) || 1;
+      const scale = Math.max(0, dist - step) / dist;
+      return this._localToWorld(village, localX * scale, localZ * scale);
+    };
+    const station = (type) => stations.find(s => s.type === type);
+    
+    return {
+      well: inFront(0, 0, 0),
+      huts: huts.map(hut => {
+        // Doors face the hut's local +Z
+        const doorDist = hut.radius + 0.8;
+        return {
+          ...this._localToWorld(village, hut.localX, hut.localZ),
+          door: this._localToWorld(
+            village,
+            hut.localX + Math.sin(hut.rotation) * doorDist,
+            hut.localZ + Math.cos(hut.rotation) * doorDist
+          ),
+        };
+      }),
+      stalls: stalls.map(stall => inFront(stall.localX, stall.localZ, 1.2)),
+      forge: inFront(station('forge').localX, station('forge').localZ, 1.5),
+      workbench: inFront(station('workbench').localX, station('workbench').localZ, 1.2),
+      alchemyTable: inFront(station('alchemy_table').localX, station('alchemy_table').localZ, 1.2),
+      patrol: [0, 1, 2, 3].map(i => {
+        const angle = (i / 4) * Math.PI * 2;
+        return this._localToWorld(village, Math.cos(angle) * 11, Math.sin(angle) * 11);
+      }),
+    };
   }
   
   /**
@@ -880,9 +945,22 @@ export class VillageManager {
     return fires;
   }
   
+  /**
+   * Faction holding a village, from a 0-1 roll against VILLAGE_FACTION_WEIGHTS
+   */
+  _pickFaction(roll) {
+    const total = VILLAGE_FACTION_WEIGHTS.reduce((sum, entry) => sum + entry.weight, 0);
+    let threshold = roll * total;
+    for (const entry of VILLAGE_FACTION_WEIGHTS) {
+      threshold -= entry.weight;
+      if (threshold < 0) return entry.faction;
+    }
+    return VILLAGE_FACTION_WEIGHTS[0].faction;
+  }
+  
   /**
    * Get all village positions for minimap (Phase 27)
-   * Returns array of { x, z, name, type }
+   * Returns array of { x, z, name, type, faction }
    */
   getVillagePositions() {
     return this.villages.map(v => ({
@@ -890,9 +968,18 @@ export class VillageManager {
       z: v.z,
       name: v.name || 'Village',
       type: v.type || 'village',
+      faction: v.faction,
     }));
   }
   
+  /**
+   * Layout of the loaded village centered at (x, z), or null if it isn't loaded
+   */
+  getVillageLayout(x, z) {
+    const village = this.villages.find(v => Math.abs(v.x - x) < 0.01 && Math.abs(v.z - z) < 0.01);
+    return village?.layout || null;
+  }
+  
   /**
    * Get loaded region count (debugging)
    */
@@ -14,7 +14,7 @@ import { TextureFactory } from '../utils/TextureFactory.js';
  * Replaces the cathedral dungeon with open world terrain.
  */
 export class World {
-  constructor(scene) {
+  constructor(scene, seed) {
     this.scene = scene;
     
     // Collision systems
@@ -22,9 +22,11 @@ export class World {
     this.floorZones = [];     // (Legacy - unused with terrain)
     this.stairs = [];         // (Legacy - unused with terrain)
     this.doors = [];          // Interactive doors
-    this.hiddenWalls = [];    // Illusory walls (future)
+    this.hiddenWalls = [];    // Illusory walls of the loaded dungeon floor
     this.ladders = [];        // Climbable ladders (future)
-    this.shortcuts = [];      // Unlockable shortcuts (future)
+    this.shortcuts = [];      // Barred shortcut doors of the loaded dungeon floor
+    this.onHiddenWallRevealedCallbacks = [];
+    this.onShortcutUnlockedCallbacks = [];
     
     // Player spawn/checkpoint
     this.bonfirePosition = new THREE.Vector3(0, 0, 0);
@@ -42,7 +44,7 @@ export class World {
     // _createSkybox() REMOVED — it created SphereGeometry(500) at origin with BackSide shader
     // that appeared as a giant cyan dome artifact blocking the view.
     // scene.background (managed by DayNightLighting) already provides sky color.
-    this.terrain = new TerrainGenerator(scene);
+    this.terrain = new TerrainGenerator(scene, seed);
     this._createStartingCastle();
     this._createGateRoadAndExterior();
     this._createHorizonMountains();
@@ -83,6 +85,13 @@ export class World {
     return this.terrain.getBiome(x, z);
   }
   
+  /**
+   * Seed this world was generated from
+   */
+  getSeed() {
+    return this.terrain.seed;
+  }
+  
   // ========================================
   // WALL COLLISION
   // ========================================
@@ -1079,11 +1088,115 @@ export class World {
   getNearbyDoor(position) { return null; }
   tryOpenDoor(id, itemManager) { return false; }
   getNearbyLadder(position) { return null; }
-  getNearbyShortcut(position) { return null; }
-  unlockShortcut(id) { return false; }
-  checkHiddenWallHit(position, range) { return null; }
-  revealHiddenWall(id) {}
-  checkInsideIllusoryWall(position) { return null; }
+  
+  // ========================================
+  // DUNGEON SECRETS AND SHORTCUTS
+  // ========================================
+  
+  /**
+   * Take over the illusory walls and shortcut doors of a dungeon floor
+   * (DungeonGenerator), replacing any previous ones
+   */
+  registerSecrets({ hiddenWalls = [], shortcuts = [] } = {}) {
+    this.hiddenWalls = hiddenWalls;
+    this.shortcuts = shortcuts;
+  }
+  
+  /**
+   * Forget secrets when their dungeon unloads
+   */
+  clearSecrets() {
+    this.hiddenWalls = [];
+    this.shortcuts = [];
+  }
+  
+  /**
+   * Barred shortcut door within reach, if still locked. One-way doors
+   * (openSide) can only be unbarred by someone standing on that side.
+   */
+  getNearbyShortcut(position) {
+    return this.shortcuts.find(s => {
+      if (s.unlocked) return false;
+      const dx = position.x - s.doorPosition.x;
+      const dz = position.z - s.doorPosition.z;
+      if (s.openSide && dx * s.openSide.x + dz * s.openSide.z <= 0) return false;
+      return Math.hypot(dx, dz) < 2.5;
+    }) || null;
+  }
+  
+  /**
+   * Lift the bar from a shortcut door
+   * @returns {boolean} True if it was locked
+   */
+  unlockShortcut(id) {
+    const shortcut = this.shortcuts.find(s => s.id === id);
+    if (!shortcut || shortcut.unlocked) return false;
+    
+    shortcut.unlocked = true;
+    this.onShortcutUnlockedCallbacks.forEach(cb => cb(shortcut));
+    console.log(`[World] Shortcut unlocked: ${id}`);
+    return true;
+  }
+  
+  /**
+   * Hidden wall struck by an attack at position (range = attack reach)
+   */
+  checkHiddenWallHit(position, range) {
+    return this._findHiddenWall(position, range || 0);
+  }
+  
+  /**
+   * Dispel an illusory wall
+   */
+  revealHiddenWall(id) {
+    const wall = this.hiddenWalls.find(w => w.id === id);
+    if (!wall || wall.revealed) return;
+    
+    wall.revealed = true;
+    this.onHiddenWallRevealedCallbacks.forEach(cb => cb(wall));
+    console.log(`[World] Illusory wall revealed: ${id}`);
+  }
+  
+  /**
+   * Hidden wall the player is walking through (attack-only walls hold)
+   */
+  checkInsideIllusoryWall(position) {
+    const wall = this._findHiddenWall(position, 0);
+    return wall && !wall.attackOnly ? wall : null;
+  }
+  
+  /**
+   * Unrevealed wall whose footprint, grown by margin, holds position
+   */
+  _findHiddenWall(position, margin) {
+    return this.hiddenWalls.find(({ revealed, bounds }) => !revealed &&
+      position.x >= bounds.minX - margin && position.x <= bounds.maxX + margin &&
+      position.z >= bounds.minZ - margin && position.z <= bounds.maxZ + margin) || null;
+  }
+  
+  /**
+   * Register callback for revealed illusory walls - (wall)
+   * @returns {Function} Unsubscribe
+   */
+  onHiddenWallRevealed(callback) {
+    this.onHiddenWallRevealedCallbacks.push(callback);
+    return () => {
+      const idx = this.onHiddenWallRevealedCallbacks.indexOf(callback);
+      if (idx !== -1) this.onHiddenWallRevealedCallbacks.splice(idx, 1);
+    };
+  }
+  
+  /**
+   * Register callback for unbarred shortcut doors - (shortcut)
+   * @returns {Function} Unsubscribe
+   */
+  onShortcutUnlocked(callback) {
+    this.onShortcutUnlockedCallbacks.push(callback);
+    return () => {
+      const idx = this.onShortcutUnlockedCallbacks.indexOf(callback);
+      if (idx !== -1) this.onShortcutUnlockedCallbacks.splice(idx, 1);
+    };
+  }
   
   // ========================================
   // BOSS ARENA STUBS (Legacy API - Phase 11)
@@ -0,0 +1,175 @@
+/**
+ * WorldSeed - Shareable world seed for procedural generation
+ *
+ * One seed drives terrain, villages, ruins, caves, chests, gathering nodes
+ * and dungeon layouts so two players entering the same seed explore the
+ * identical world.
+ *
+ * The overworld is generated when the page boots, so switching to a different
+ * seed stores a pending action in sessionStorage and reloads; the pending
+ * action (start a new game / load a slot) is picked up again after boot.
+ */
+
+export const DEFAULT_WORLD_SEED = 12345;
+
+const PENDING_WORLD_KEY = 'ashen_pending_world';
+const SEED_URL_PARAM = 'seed';
+
+// Seed the currently generated world was built with
+let activeWorldSeed = DEFAULT_WORLD_SEED;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Normalize user input into a world seed (unsigned 32-bit integer).
+ * Plain numbers are used as-is, any other text is hashed so players can
+ * share words ("ashvale") as well as numbers. Returns null for empty input.
+ */
+export function normalizeWorldSeed(input) {
+  if (input === null || input === undefined) return null;
+
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? Math.floor(Math.abs(input)) >>> 0 : null;
+  }
+
+  const text = String(input).trim();
+  if (!text) return null;
+
+  if (/^\d+$/.test(text)) {
+    const value = Number(text);
+    if (value <= 0xffffffff) return value;
+  }
+
+  return hashString(text.toLowerCase());
+}
+
+/**
+ * Roll a fresh random world seed
+ */
+export function generateWorldSeed() {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+/**
+ * Derive an independent sub-seed for one generator (e.g. 'villages')
+ */
+export function deriveSeed(worldSeed, salt) {
+  return hashString(`${worldSeed}:${salt}`);
+}
+
+/**
+ * Saves made before world seeds existed have none and load as the default
+ * seed, so that seed keeps the original generators and rebuilds their world
+ */
+export function isLegacyWorldSeed(seed) {
+  return seed === DEFAULT_WORLD_SEED;
+}
+
+/**
+ * Offset a generator adds to its chunk/region seeds (kept small so the sin
+ * hashes stay precise); the legacy world adds none
+ */
+export function getWorldSeedOffset(worldSeed, salt) {
+  return isLegacyWorldSeed(worldSeed) ? 0 : deriveSeed(worldSeed, salt) % 1000000;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32), returns [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get the seed of the currently generated world
+ */
+export function getWorldSeed() {
+  return activeWorldSeed;
+}
+
+/**
+ * Build a link that boots straight into the given seed
+ */
+export function getWorldSeedShareUrl(seed = activeWorldSeed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(SEED_URL_PARAM, String(seed));
+  url.searchParams.delete('autostart');
+  return url.toString();
+}
+
+// ========== BOOT / RELOAD ==========
+
+/**
+ * Read the pending world action left by requestWorldReload() (if any)
+ */
+function readPendingWorld() {
+  try {
+    const raw = sessionStorage.getItem(PENDING_WORLD_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Decide which seed to build the world with at page boot.
+ * Priority: pending reload > ?seed= URL param > default.
+ */
+export function resolveBootWorldSeed() {
+  const pending = readPendingWorld();
+  let seed = normalizeWorldSeed(pending?.seed);
+
+  if (seed === null) {
+    const urlParams = new URLSearchParams(window.location.search);
+    seed = normalizeWorldSeed(urlParams.get(SEED_URL_PARAM));
+  }
+
+  activeWorldSeed = seed === null ? DEFAULT_WORLD_SEED : seed;
+  console.log(`[WorldSeed] World seed: ${activeWorldSeed}`);
+  return activeWorldSeed;
+}
+
+/**
+ * Rebuild the world with another seed by reloading the page.
+ * @param {number} seed - Seed to generate after reload
+ * @param {Object} action - { type: 'new' } or { type: 'load', slotId }
+ */
+export function requestWorldReload(seed, action) {
+  try {
+    sessionStorage.setItem(PENDING_WORLD_KEY, JSON.stringify({ seed, ...action }));
+  } catch (e) {
+    console.warn('[WorldSeed] Failed to store pending world:', e);
+    return false;
+  }
+
+  console.log(`[WorldSeed] Reloading to generate world ${seed}`);
+  window.location.reload();
+  return true;
+}
+
+/**
+ * Take (and clear) the pending action after a seed reload
+ * @returns {Object|null} { seed, type, slotId? }
+ */
+export function consumePendingWorldAction() {
+  const pending = readPendingWorld();
+  sessionStorage.removeItem(PENDING_WORLD_KEY);
+  return pending;
+}
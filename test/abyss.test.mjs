@@ -0,0 +1,201 @@
+/**
+ * Abyss tests - the endless mode never reaches a boss floor, affixes stack
+ * through getModifierEffects and stop at their caps, chests and payouts grow
+ * with depth, haste and volatile corpses reach enemies, withering stops
+ * healing, and each seed keeps an exportable leaderboard.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  getFloorConfig,
+  getModifierEffects,
+  rollAbyssAffix,
+  generateChestLoot,
+  getAbyssRewards,
+  ABYSS_AFFIX,
+  ABYSS_SETTINGS,
+} from '../src/data/DungeonData.js';
+import { DungeonGenerator } from '../src/world/DungeonGenerator.js';
+import { DungeonManager } from '../src/systems/DungeonManager.js';
+import { DungeonRewards } from '../src/systems/DungeonRewards.js';
+import { GameManager } from '../src/systems/GameManager.js';
+import { EnemyManager } from '../src/entities/EnemyManager.js';
+
+const TEMPLE = 'corrupted_temple';
+
+test('the Abyss has no last floor, and only normal top floors hold the gate', () => {
+  const deep = getFloorConfig(TEMPLE, 40, 'abyss');
+  assert.equal(deep.floor, 40);
+  assert.equal(deep.floorCount, Infinity);
+  assert.equal(deep.isFinal, false);
+
+  const abyssFloor = new DungeonGenerator(5).generate(TEMPLE, 'abyss', 12);
+  assert.equal(abyssFloor.bossRoom, null);
+  assert.ok(abyssFloor.stairsRoom);
+  assert.equal(abyssFloor.stairsRoom.features.find(f => f.type === 'stairwell').leadsTo, 13);
+
+  const gates = (instance) => instance.entranceRoom.features.filter(f => f.type === 'abyss_gate');
+  assert.equal(gates(new DungeonGenerator(5).generate(TEMPLE, 'none', 1)).length, 1);
+  assert.equal(gates(new DungeonGenerator(5).generate(TEMPLE, 'none', 2)).length, 0);
+  assert.equal(gates(new DungeonGenerator(5).generate(TEMPLE, 'abyss', 1)).length, 0);
+});
+
+test('affixes stack onto modifier effects: multipliers multiply, amounts add', () => {
+  const effects = getModifierEffects('abyss', ['haste', 'haste', 'exploding_corpses', 'exploding_corpses', 'darkness']);
+  assert.ok(Math.abs(effects.enemySpeedMult - 1.44) < 1e-9);
+  assert.equal(effects.corpseExplosionDamage, 30);
+  assert.equal(effects.lightMult, 0.5);
+
+  // Stacks on top of a modifier's own effects without touching the table
+  const cursed = getModifierEffects('cursed', ['no_healing']);
+  assert.equal(cursed.healingReduction, 0.5);
+  assert.equal(cursed.healingMult, 0);
+  assert.equal(getModifierEffects('cursed').healingMult, undefined);
+});
+
+test('affix rolls respect max stacks and run out', () => {
+  const affixes = [];
+  let affix;
+  while ((affix = rollAbyssAffix(affixes, Math.random))) {
+    affixes.push(affix);
+  }
+
+  const total = Object.values(ABYSS_AFFIX).reduce((sum, a) => sum + a.maxStacks, 0);
+  assert.equal(affixes.length, total);
+  for (const a of Object.values(ABYSS_AFFIX)) {
+    assert.equal(affixes.filter(id => id === a.id).length, a.maxStacks);
+  }
+});
+
+test('Abyss chests and payouts scale with depth', () => {
+  const original = Math.random;
+  Math.random = () => 0;
+  try {
+    const top = generateChestLoot(TEMPLE, 'normal', 'abyss', 1);
+    const deep = generateChestLoot(TEMPLE, 'normal', 'abyss', 5);
+    const normal = generateChestLoot(TEMPLE, 'normal', 'none', 5);
+    assert.equal(top.remnants, 50);
+    assert.equal(deep.remnants, 50 * (1 + 4 * ABYSS_SETTINGS.rewardPerFloor));
+    assert.equal(normal.remnants, 50);
+  } finally {
+    Math.random = original;
+  }
+
+  assert.deepEqual(getAbyssRewards(0), { remnants: 0, xp: 0 });
+  assert.deepEqual(getAbyssRewards(4), {
+    remnants: 4 * ABYSS_SETTINGS.remnantsPerFloor,
+    xp: 4 * ABYSS_SETTINGS.xpPerFloor,
+  });
+});
+
+test('withering stops all healing, including lifesteal', () => {
+  // Health only - skip the constructor's HUD lookups
+  const gm = Object.create(GameManager.prototype);
+  Object.assign(gm, { isDead: false, health: 50, maxHealth: 100, healingMult: 1 });
+
+  assert.equal(gm.heal(80), 50);
+  assert.equal(gm.health, 100);
+
+  gm.health = 50;
+  gm.healingMult = 0;
+  assert.equal(gm.heal(30), 0);
+  gm.getInfusionBonuses = () => ({ lifesteal: 0.5 });
+  gm.onPlayerDealtDamage(40);
+  assert.equal(gm.health, 50);
+});
+
+test('hastened enemies run on a faster clock and volatile corpses burst', () => {
+  const deltas = [];
+  const hits = [];
+  const enemies = Object.create(EnemyManager.prototype);
+  Object.assign(enemies, {
+    enemies: [{ isDead: false, mesh: { position: new THREE.Vector3(50, 0, 0) }, update: (d) => deltas.push(d) }],
+    allies: [],
+    boss: null,
+    affixEffects: {},
+    pendingExplosions: [],
+    gm: { isDead: false, takeDamage: (amount, type) => hits.push([amount, type]) },
+    // Spawning and group tactics are beside the point here
+    updateDynamicSpawns: () => {},
+    _checkDormantTriggers: () => {},
+    _assignTargets: () => {},
+    _coordinateFlanking: () => {},
+    _coordinateGroups: () => {},
+  });
+  const player = { mesh: { position: new THREE.Vector3(0, 0, 0) }, isInvincible: false, activeAttack: null };
+
+  enemies.setAffixEffects(getModifierEffects('abyss', ['haste']));
+  enemies.update(0.1, player);
+  assert.ok(Math.abs(deltas.at(-1) - 0.12) < 1e-9);
+
+  enemies.setAffixEffects(getModifierEffects('abyss', ['exploding_corpses']));
+  enemies.pendingExplosions.push(
+    { position: new THREE.Vector3(1, 0, 0), damage: 15, timer: 0.8 },
+    { position: new THREE.Vector3(20, 0, 0), damage: 15, timer: 0.8 },
+  );
+  enemies._updateCorpseExplosions(0.5, player);
+  assert.deepEqual(hits, []);
+  enemies._updateCorpseExplosions(0.5, player);
+  assert.deepEqual(hits, [[15, 'fire']]);
+  assert.equal(enemies.pendingExplosions.length, 0);
+
+  // Leaving the dungeon defuses anything still pending
+  enemies.pendingExplosions.push({ position: new THREE.Vector3(), damage: 15, timer: 0.8 });
+  enemies.setAffixEffects({});
+  assert.equal(enemies.pendingExplosions.length, 0);
+});
+
+test('Abyss runs roll the same affixes per seed and settle by depth', () => {
+  const settled = [];
+  const manager = Object.create(DungeonManager.prototype);
+  manager.currentDungeonId = TEMPLE;
+  manager.gameManager = { dungeonRewards: { completeAbyssRun: (run) => { settled.push(run); return { rank: 1 }; } } };
+  manager.abyssRun = { ...manager._createRunProgress(777, 1, 'abyss'), affixes: [], deepestFloor: 4 };
+
+  const first = [2, 3, 4].map(floor => manager._rollAbyssAffix(floor).id);
+  manager.abyssRun.affixes = [];
+  const again = [2, 3, 4].map(floor => manager._rollAbyssAffix(floor).id);
+  assert.deepEqual(again, first);
+
+  assert.equal(manager.getProgress(), manager.abyssRun);
+  assert.deepEqual(manager._endAbyssRun(), { rank: 1 });
+  assert.equal(settled[0].seed, 777);
+  assert.equal(settled[0].depth, 4);
+  assert.deepEqual(settled[0].affixes, first);
+});
+
+test('the leaderboard ranks by depth then time, keeps the top runs and exports', () => {
+  // Records only - skip the constructor's victory screen DOM
+  const rewards = Object.create(DungeonRewards.prototype);
+  rewards.loadSaveData(null);
+  const paid = [];
+  rewards.game = { addRemnant: (n) => paid.push(['remnant', n]), gainXP: (n) => paid.push(['xp', n]) };
+
+  const run = (depth, timeMs, seed = 1) => rewards.recordAbyssRun({ seed, dungeonId: TEMPLE, depth, timeMs });
+  assert.equal(run(3, 90000), 1);
+  assert.equal(run(5, 200000), 1);
+  assert.equal(run(3, 60000), 2);
+  assert.deepEqual(rewards.getAbyssLeaderboard(1).map(e => [e.depth, e.timeMs]),
+    [[5, 200000], [3, 60000], [3, 90000]]);
+
+  for (let i = 0; i < ABYSS_SETTINGS.leaderboardSize; i++) run(4, 1000 + i);
+  assert.equal(rewards.getAbyssLeaderboard(1).length, ABYSS_SETTINGS.leaderboardSize);
+  assert.equal(run(1, 10), null);
+  assert.equal(rewards.getAbyssLeaderboard(2).length, 0);
+
+  const { rank, rewards: payout } = rewards.completeAbyssRun({ seed: 2, dungeonId: TEMPLE, depth: 2, timeMs: 5000 });
+  assert.equal(rank, 1);
+  assert.deepEqual(paid, [['remnant', payout.remnants], ['xp', payout.xp]]);
+
+  const exported = JSON.parse(rewards.exportAbyssLeaderboard());
+  assert.equal(exported.leaderboards['1'][0].depth, 5);
+  assert.equal(exported.leaderboards['2'].length, 1);
+
+  const saved = JSON.parse(JSON.stringify(rewards.getSaveData()));
+  rewards.loadSaveData(saved);
+  assert.deepEqual(rewards.getAbyssLeaderboard(1), exported.leaderboards['1']);
+});
@@ -0,0 +1,135 @@
+/**
+ * Autosave delta chain tests - autosaves append section deltas that replay
+ * over the base on load, compact into a fresh base once the chain is full
+ * or outweighs half the base, stop at the last readable link, and leave
+ * sync records holding one full save.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SaveManager, AUTOSAVE_SLOT } from '../src/systems/SaveManager.js';
+import { createDefaultSaveData, cloneSaveData, SAVE_SLOT_TYPE } from '../src/systems/SaveDataSchema.js';
+
+const memory = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (memory.has(key) ? memory.get(key) : null),
+  setItem: (key, value) => memory.set(key, String(value)),
+  removeItem: (key) => memory.delete(key),
+  key: (i) => [...memory.keys()][i] ?? null,
+  get length() { return memory.size; },
+};
+
+const deltaKey = (index) => `ashen_save_${AUTOSAVE_SLOT}_delta_${index}`;
+
+const openedChests = (prefix) =>
+  Object.fromEntries(Array.from({ length: 1500 }, (_, i) => [`${prefix}_${i * 7919 % 100003}`, 1000 + i]));
+
+// Saves whatever state the test hands it instead of reading live systems
+class HeadlessSaves extends SaveManager {
+  constructor() {
+    super();
+    this.state = createDefaultSaveData(AUTOSAVE_SLOT, SAVE_SLOT_TYPE.AUTOSAVE);
+    
+    // A lived-in world, so the base outweighs a run of level-up deltas
+    this.state.world.openedChests = openedChests('chest');
+  }
+
+  gatherGameState() {
+    return cloneSaveData(this.state);
+  }
+
+  /**
+   * Autosave after raising the player a level; returns the state written
+   */
+  async levelUpAndAutosave() {
+    this.state.player.level++;
+    this.state.updatedAt++;
+    const result = await this.save(AUTOSAVE_SLOT, { isAutosave: true, silent: true });
+    assert.equal(result.success, true);
+    return cloneSaveData(this.state);
+  }
+}
+
+function freshSaves() {
+  memory.clear();
+  return new HeadlessSaves();
+}
+
+test('autosaves after the first are deltas that replay over the base on load', async () => {
+  const saves = freshSaves();
+  await saves.levelUpAndAutosave();
+  saves.state.inventory.gold = 250;
+  await saves.levelUpAndAutosave();
+  const latest = await saves.levelUpAndAutosave();
+
+  assert.equal(saves.slotMetadataCache[AUTOSAVE_SLOT].deltaCount, 2);
+  assert.ok(memory.has(deltaKey(1)) && memory.has(deltaKey(2)));
+  assert.deepEqual(await saves.readSaveData(AUTOSAVE_SLOT), latest);
+
+  // A new session reads the chain length back from the stored metadata
+  assert.deepEqual(await new HeadlessSaves().readSaveData(AUTOSAVE_SLOT), latest);
+});
+
+test('a full chain compacts into a new base and drops its deltas', async () => {
+  const saves = freshSaves();
+  await saves.levelUpAndAutosave();
+  for (let i = 0; i < 8; i++) await saves.levelUpAndAutosave();
+  assert.equal(saves.slotMetadataCache[AUTOSAVE_SLOT].deltaCount, 8);
+
+  const latest = await saves.levelUpAndAutosave();
+  assert.equal(saves.slotMetadataCache[AUTOSAVE_SLOT].deltaCount, 0);
+  assert.equal([...memory.keys()].filter(key => key.startsWith(deltaKey(''))).length, 0);
+  assert.deepEqual(await saves.readSaveData(AUTOSAVE_SLOT), latest);
+
+  // The next autosave starts a new chain on the compacted base
+  const next = await saves.levelUpAndAutosave();
+  assert.equal(saves.slotMetadataCache[AUTOSAVE_SLOT].deltaCount, 1);
+  assert.deepEqual(await saves.readSaveData(AUTOSAVE_SLOT), next);
+});
+
+test('deltas outweighing half the base compact early', async () => {
+  const saves = freshSaves();
+  await saves.levelUpAndAutosave();
+  saves.state.world.openedChests = openedChests('cache');
+  await saves.levelUpAndAutosave();
+  assert.equal(saves.slotMetadataCache[AUTOSAVE_SLOT].deltaCount, 1);
+
+  const latest = await saves.levelUpAndAutosave();
+  assert.equal(saves.slotMetadataCache[AUTOSAVE_SLOT].deltaCount, 0);
+  assert.deepEqual(await saves.readSaveData(AUTOSAVE_SLOT), latest);
+});
+
+test('a missing or truncated delta keeps the progress before it', async () => {
+  const saves = freshSaves();
+  await saves.levelUpAndAutosave();
+  const afterFirst = await saves.levelUpAndAutosave();
+  const afterSecond = await saves.levelUpAndAutosave();
+  await saves.levelUpAndAutosave();
+
+  const third = memory.get(deltaKey(3));
+  memory.set(deltaKey(3), third.slice(0, Math.floor(third.length / 2)));
+  assert.deepEqual(await saves.readSaveData(AUTOSAVE_SLOT), afterSecond);
+
+  memory.delete(deltaKey(2));
+  assert.deepEqual(await saves.readSaveData(AUTOSAVE_SLOT), afterFirst);
+});
+
+test('slot records carry one full save and no delta count', async () => {
+  const saves = freshSaves();
+  await saves.levelUpAndAutosave();
+  const base = memory.get(`ashen_save_${AUTOSAVE_SLOT}`);
+  assert.equal((await saves.readSlotRecord(AUTOSAVE_SLOT)).data, base);
+
+  const latest = await saves.levelUpAndAutosave();
+  const record = await saves.readSlotRecord(AUTOSAVE_SLOT);
+  assert.equal('deltaCount' in record.metadata, false);
+  assert.deepEqual(saves.decompressSaveData(record.data), latest);
+
+  // Writing a record back replaces the chain with that one base
+  await saves.writeSlotRecord(AUTOSAVE_SLOT, record);
+  assert.equal(memory.has(deltaKey(1)), false);
+  assert.equal(saves.slotMetadataCache[AUTOSAVE_SLOT].deltaCount, undefined);
+  assert.deepEqual(await saves.readSaveData(AUTOSAVE_SLOT), latest);
+});
@@ -0,0 +1,162 @@
+/**
+ * Bounty board tests - generated quests come from world data, rotate daily
+ * without dropping accepted bounties, and survive a save round trip.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getQuest, OBJECTIVE_TYPE } from '../src/data/QuestData.js';
+import { BOUNTY_KIND, getBountyLevelBand } from '../src/data/BountyData.js';
+import { BIOME_SOURCE } from '../src/data/MaterialData.js';
+import { DIFFICULTY_ZONES } from '../src/entities/EnemyManager.js';
+import { BountyBoard } from '../src/systems/BountyBoard.js';
+import { QuestManager } from '../src/systems/QuestManager.js';
+import { QuestWorldHooks } from '../src/systems/QuestWorldHooks.js';
+import './helpers/headless.mjs';
+
+const FAR_VILLAGE = { x: 200, z: -150, name: 'Village', type: 'village' };
+
+/**
+ * Board on a fresh quest manager, posted for day 1
+ */
+function freshBoard({ level = 1, villages = [FAR_VILLAGE] } = {}) {
+  const qm = new QuestManager();
+  qm.loadSaveData({});
+  const timeManager = { onDayChange: null, currentDay: 1 };
+  const board = new BountyBoard();
+  board.init({
+    questManager: qm,
+    gameManager: { currentLevel: level },
+    timeManager,
+    villageManager: { getVillagePositions: () => villages },
+  });
+  return { qm, board, timeManager };
+}
+
+function contextFor(board, level) {
+  return { ...board.getWorldContext(), level, band: getBountyLevelBand(level) };
+}
+
+test('each kind builds a quest from live world data', () => {
+  const { board } = freshBoard({ level: 5 });
+  const context = contextFor(board, 5);
+  const random = () => 0.5;
+  const zoneTypes = DIFFICULTY_ZONES.MEDIUM.enemyTypes.map(t => t.toLowerCase());
+
+  const kill = board.generateBounty(BOUNTY_KIND.KILL, 'test_kill', context, random);
+  assert.equal(kill.objectives[0].type, OBJECTIVE_TYPE.KILL_ENEMY);
+  assert.ok(zoneTypes.includes(kill.objectives[0].target));
+  assert.equal(kill.turnIn, 'notice_board');
+
+  const gather = board.generateBounty(BOUNTY_KIND.GATHER, 'test_gather', context, random);
+  assert.equal(gather.objectives[0].type, OBJECTIVE_TYPE.GATHER_ITEM);
+
+  const deliver = board.generateBounty(BOUNTY_KIND.DELIVER, 'test_deliver', context, random);
+  assert.deepEqual(deliver.objectives[0].position, { x: FAR_VILLAGE.x, y: 0, z: FAR_VILLAGE.z });
+  assert.match(deliver.title + deliver.description, /east/);
+
+  const mark = board.generateBounty(BOUNTY_KIND.BOUNTY, 'test_mark', context, random);
+  assert.equal(mark.objectives[0].type, OBJECTIVE_TYPE.BOUNTY_TARGET);
+  assert.ok(DIFFICULTY_ZONES.MEDIUM.enemyTypes.includes(mark.objectives[0].enemyType));
+  assert.ok(mark.title.includes(mark.objectives[0].markName));
+
+  // No villages far enough away, no deliveries
+  const nearby = { ...context, villages: [{ x: 10, z: 10 }] };
+  assert.equal(board.generateBounty(BOUNTY_KIND.DELIVER, 'test_none', nearby, random), null);
+});
+
+test('rewards scale with player level', () => {
+  const { board } = freshBoard();
+  const low = board.scaleRewards(BOUNTY_KIND.KILL, contextFor(board, 2));
+  const high = board.scaleRewards(BOUNTY_KIND.KILL, contextFor(board, 5));
+  assert.ok(high.gold > low.gold);
+  assert.ok(high.xp > low.xp);
+});
+
+test('a new day replaces postings but keeps accepted bounties', () => {
+  const { qm, board, timeManager } = freshBoard();
+  const [accepted, ...others] = board.getPostings().map(q => q.id);
+  assert.equal(qm.acceptQuest(accepted).success, true);
+
+  timeManager.onDayChange(2);
+  assert.ok(getQuest(accepted));
+  others.forEach(id => assert.ok(!getQuest(id)));
+  assert.ok(board.getPostings().length > 0);
+  assert.ok(board.getPostings().every(q => q.postedDay === 2));
+});
+
+test('accepted bounties survive a save round trip', () => {
+  const { qm, board } = freshBoard();
+  const [questId] = board.getPostings().map(q => q.id);
+  qm.acceptQuest(questId);
+  const saved = JSON.parse(JSON.stringify({ board: board.getSaveData(), quests: qm.getSaveData() }));
+
+  // Another game session: nothing registered until the board loads
+  board.loadSaveData({ day: 9, bounties: [] });
+  assert.ok(!getQuest(questId));
+
+  const restoredBoard = new BountyBoard();
+  const restored = new QuestManager();
+  restoredBoard.questManager = restored;
+  restoredBoard.loadSaveData(saved.board);
+  restored.loadSaveData(saved.quests);
+
+  assert.equal(restored.hasActiveQuest(questId), true);
+  assert.equal(restoredBoard.day, 1);
+});
+
+test('killing a named mark completes its bounty', () => {
+  const { qm, board } = freshBoard();
+  const quest = board.generateBounty(BOUNTY_KIND.BOUNTY, 'bounty_test_mark', contextFor(board, 1), () => 0.3);
+  board.register(quest);
+  qm.updateAvailableQuests();
+  assert.equal(qm.acceptQuest(quest.id).success, true);
+
+  const enemyManager = {
+    enemies: [],
+    spawnWave(center, { types, elite }) {
+      const enemy = { isDead: false, type: types[0], elite, config: { name: types[0] } };
+      this.enemies.push(enemy);
+      return [enemy];
+    },
+    removeEnemy(enemy) {
+      this.enemies.splice(this.enemies.indexOf(enemy), 1);
+    },
+  };
+  const hooks = new QuestWorldHooks();
+  hooks.init({ questManager: qm, enemyManager, gatheringManager: { onGather: () => () => {} } });
+
+  const objective = quest.objectives[0];
+  hooks.update(0.1, { x: objective.position.x, y: 0, z: objective.position.z });
+  const [mark] = enemyManager.enemies;
+  assert.equal(mark.elite, true);
+  assert.equal(mark.config.name, objective.markName);
+
+  // A plain kill of the same type doesn't count; the mark does
+  hooks.onEnemyKilled(objective.enemyType, {});
+  assert.equal(qm.getQuestState(quest.id).objectives[0].current, 0);
+  mark.isDead = true;
+  hooks.onEnemyKilled(objective.enemyType, mark);
+  assert.equal(qm.getQuestState(quest.id).status, 'ready');
+  assert.equal(board.getClaimable()[0].id, quest.id);
+});
+
+test('gathered materials count toward gather bounties', () => {
+  const { qm, board } = freshBoard();
+  const quest = board.generateBounty(BOUNTY_KIND.GATHER, 'bounty_test_gather', {
+    ...contextFor(board, 1), materialBiome: BIOME_SOURCE.ANY,
+  }, () => 0);
+  board.register(quest);
+  qm.updateAvailableQuests();
+  qm.acceptQuest(quest.id);
+
+  const listeners = [];
+  const hooks = new QuestWorldHooks();
+  hooks.init({ questManager: qm, gatheringManager: { onGather: (cb) => { listeners.push(cb); return () => {}; } } });
+
+  const { target, required } = quest.objectives[0];
+  listeners.forEach(cb => cb(target, required));
+  assert.equal(qm.getQuestState(quest.id).status, 'ready');
+});
@@ -0,0 +1,63 @@
+/**
+ * Combat simulator tests - a fixed seed reproduces the same report, and
+ * matchup summaries add up: outcomes cover every run, win rate follows
+ * kills, and fights stop at the time limit.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CombatSimulator, parsePolicy, PLAYER_POLICIES } from '../src/sim/CombatSimulator.js';
+
+const MATCHUPS = {
+  weapons: ['iron_sword'],
+  targets: ['HOLLOW_SOLDIER', 'ANCIENT_GOLEM'],
+  policies: [PLAYER_POLICIES.dodge_light3, PLAYER_POLICIES.block_heavy],
+};
+
+test('the same seed gives the same report', () => {
+  const first = new CombatSimulator({ runs: 3, seed: 7 }).run(MATCHUPS);
+  const second = new CombatSimulator({ runs: 3, seed: 7 }).run(MATCHUPS);
+
+  assert.equal(first.matchups.length, 4);
+  assert.deepEqual(second, first);
+});
+
+test('matchup summaries account for every run', () => {
+  const sim = new CombatSimulator({ runs: 3, seed: 7 });
+  const policy = parsePolicy('dodge_light3');
+  const matchup = sim.runMatchup('iron_sword', 'ANCIENT_GOLEM', policy);
+  const runs = [7, 8, 9].map(seed => sim.runOnce('iron_sword', 'ANCIENT_GOLEM', policy, seed));
+
+  assert.equal(matchup.runs, 3);
+  assert.equal(matchup.kills + matchup.deaths + matchup.timeouts, 3);
+  assert.equal(matchup.kills, runs.filter(r => r.outcome === 'kill').length);
+  assert.equal(matchup.winRate, Math.round(matchup.kills / 3 * 100) / 100);
+  assert.equal(matchup.damageDealt.min, Math.min(...runs.map(r => r.damageDealt)));
+  assert.equal(matchup.damageDealt.max, Math.max(...runs.map(r => r.damageDealt)));
+  assert.ok(matchup.damageDealt.min <= matchup.damageDealt.mean && matchup.damageDealt.mean <= matchup.damageDealt.max);
+});
+
+test('fights past the time limit are timeouts with no kill time', () => {
+  const sim = new CombatSimulator({ runs: 2, seed: 1, maxTime: 0.5 });
+  const matchup = sim.runMatchup('iron_sword', 'HOLLOW_SOLDIER', 'trade_light3');
+
+  assert.equal(matchup.timeouts, 2);
+  assert.equal(matchup.winRate, 0);
+  assert.equal(matchup.timeToKill, null);
+
+  // Times are rounded to the millisecond
+  const { time } = sim.runOnce('iron_sword', 'HOLLOW_SOLDIER', parsePolicy('trade_light3'), 1);
+  assert.ok(Math.abs(time - 0.5) <= sim.dt + 0.001, `stopped at ${time}s`);
+});
+
+test('policy specs parse into a reaction and an attack string', () => {
+  assert.deepEqual(parsePolicy('parry on tell, light attack x2, heavy'), {
+    spec: 'parry on tell, light attack x2, heavy',
+    reaction: 'parry',
+    attacks: ['light', 'light', 'heavy'],
+  });
+  assert.throws(() => parsePolicy('dodge on tell, block on tell'), /two reactions/);
+  assert.throws(() => parsePolicy('cartwheel'), /Unknown policy clause/);
+});
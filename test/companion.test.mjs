@@ -0,0 +1,288 @@
+/**
+ * Companion tests - stats follow the player's level, the combat state machine
+ * engages, retreats and goes down, the player revives and hires companions,
+ * enemies split their attention between player and companion, companion
+ * kills drop loot without paying the player, and the companion survives a save.
+ *
+ * Run: npm test
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getCompanionStats, COMPANIONS } from '../src/data/CompanionData.js';
+import { Companion, COMPANION_STATES } from '../src/entities/Companion.js';
+import { CompanionManager } from '../src/systems/CompanionManager.js';
+import { EnemyManager } from '../src/entities/EnemyManager.js';
+import { DialogueRuntime } from '../src/systems/DialogueRuntime.js';
+import { WorldFlags } from '../src/systems/WorldFlags.js';
+import { fakeEnemy } from './helpers/headless.mjs';
+
+const FLAT = { getTerrainHeight: () => 0 };
+const ORIGIN = { x: 0, z: 0 };
+
+function companionAt(x, z, options = {}) {
+  return new Companion({ companionId: 'sellsword', terrain: FLAT, position: { x, z }, ...options });
+}
+
+/**
+ * Manager with fake systems; the player stands at the origin with 200 gold
+ */
+function makeManager({ gold = 200, level = 1 } = {}) {
+  const registered = [];
+  const notes = [];
+  const input = { pressed: false };
+  const manager = new CompanionManager();
+  manager.init({
+    terrain: FLAT,
+    gameManager: { currentLevel: level },
+    enemyManager: {
+      enemies: [],
+      registerAlly: (ally) => registered.push(ally),
+      unregisterAlly: (ally) => registered.splice(registered.indexOf(ally), 1),
+      damageEnemy: () => {},
+    },
+    lootManager: {
+      gold,
+      getGold() { return this.gold; },
+      spendGold(amount) {
+        if (this.gold < amount) return false;
+        this.gold -= amount;
+        return true;
+      },
+    },
+    player: { mesh: { position: new THREE.Vector3(0, 0, 0) } },
+    inputManager: {
+      get interact() {
+        const pressed = input.pressed;
+        input.pressed = false;
+        return pressed;
+      },
+    },
+    itemManager: { showNotification: (message) => notes.push(message) },
+  });
+  return { manager, registered, notes, input };
+}
+
+test('companion stats grow with the player level', () => {
+  const base = getCompanionStats('sellsword', 1);
+  assert.equal(base.maxHealth, COMPANIONS.sellsword.health);
+  assert.equal(getCompanionStats('sellsword', 5).maxHealth, base.maxHealth + COMPANIONS.sellsword.healthPerLevel * 4);
+
+  const companion = companionAt(0, 0);
+  companion.health = companion.maxHealth / 2;
+  companion.setLevel(5);
+  assert.equal(companion.maxHealth, getCompanionStats('sellsword', 5).maxHealth);
+  assert.equal(companion.health, Math.round(companion.maxHealth / 2));
+  assert.equal(companion.config.level, 5);
+});
+
+test('the companion follows, then engages and strikes nearby enemies', () => {
+  const companion = companionAt(10, 0);
+  companion.update(0.5, ORIGIN, []);
+  assert.equal(companion.state, COMPANION_STATES.FOLLOW);
+  assert.ok(companion.mesh.position.x < 10);
+
+  const strikes = [];
+  companion.onStrike = (enemy, damage) => strikes.push([enemy, damage]);
+  const enemy = fakeEnemy(companion.mesh.position.x + 6, 0);
+  for (let i = 0; i < 20; i++) companion.update(0.1, ORIGIN, [enemy]);
+
+  assert.equal(companion.state, COMPANION_STATES.ENGAGE);
+  assert.ok(strikes.length >= 1);
+  assert.equal(strikes[0][0], enemy);
+  assert.equal(strikes[0][1], companion.damage);
+
+  // Enemies wandering off past the leash are let go
+  enemy.mesh.position.set(40, 0, 0);
+  companion.update(0.1, ORIGIN, [enemy]);
+  assert.equal(companion.state, COMPANION_STATES.FOLLOW);
+});
+
+test('a badly hurt companion retreats and recovers', () => {
+  const companion = companionAt(2, 0);
+  companion.receiveEnemyHit(companion.maxHealth * 0.8);
+  assert.equal(companion.state, COMPANION_STATES.RETREAT);
+
+  // Ignores enemies while recovering
+  const enemy = fakeEnemy(4, 0);
+  for (let i = 0; i < 200 && companion.state === COMPANION_STATES.RETREAT; i++) {
+    companion.update(0.1, ORIGIN, [enemy]);
+  }
+  assert.notEqual(companion.state, COMPANION_STATES.RETREAT);
+  assert.ok(companion.health >= companion.maxHealth * 0.6);
+});
+
+test('a downed companion waits for the player to revive them', () => {
+  const { manager, input, notes } = makeManager();
+  assert.equal(manager.hire('sellsword'), true);
+  const companion = manager.companion;
+
+  companion.receiveEnemyHit(companion.maxHealth);
+  assert.equal(companion.state, COMPANION_STATES.DOWNED);
+  assert.equal(companion.isDead, true);
+  assert.ok(notes.some(n => n.includes('is down')));
+
+  // Too far away to help
+  companion.placeAt(10, 0);
+  input.pressed = true;
+  manager.update(0.1, ORIGIN);
+  assert.equal(companion.state, COMPANION_STATES.DOWNED);
+
+  companion.placeAt(1, 0);
+  input.pressed = true;
+  manager.update(0.1, ORIGIN);
+  assert.equal(companion.state, COMPANION_STATES.FOLLOW);
+  assert.equal(companion.isDead, false);
+  assert.equal(companion.health, companion.maxHealth / 2);
+});
+
+test('hiring costs gold, and only one companion comes along', () => {
+  const { manager, registered, notes } = makeManager({ gold: 100 });
+
+  assert.equal(manager.hire('sellsword'), false);
+  assert.equal(manager.companion, null);
+  assert.deepEqual(notes, ['Not enough gold!']);
+
+  assert.equal(manager.hire('woodcutter'), true);
+  assert.equal(manager.lootManager.gold, 40);
+  assert.deepEqual(registered, [manager.companion]);
+  assert.equal(manager.hire('woodcutter'), false);
+
+  manager.dismiss();
+  assert.equal(manager.getCompanionId(), null);
+  assert.deepEqual(registered, []);
+});
+
+test('the companion levels with the player', () => {
+  const { manager } = makeManager({ level: 3 });
+  manager.hire('sellsword');
+  assert.equal(manager.companion.level, 3);
+
+  manager.gameManager.currentLevel = 4;
+  manager.update(0.1, ORIGIN);
+  assert.equal(manager.companion.maxHealth, getCompanionStats('sellsword', 4).maxHealth);
+});
+
+test('village NPCs hire companions in conversation', () => {
+  const { manager } = makeManager();
+  const runtime = new DialogueRuntime();
+  runtime.init({ worldFlags: new WorldFlags(), inventory: manager.lootManager, companionManager: manager });
+
+  const session = runtime.start('villager', { random: () => 0 });
+  session.advance();
+  session.choose(session.node.choices.findIndex(c => c.next === 'hire'));
+  assert.equal(session.node.id, 'hire');
+  session.choose(0);
+
+  assert.equal(session.node.id, 'hired');
+  assert.equal(manager.getCompanionId(), 'woodcutter');
+  assert.equal(runtime.checkCondition({ companion: 'none' }), false);
+
+  // With a companion along, the hire choice gives way to dismissal
+  const again = runtime.start('guard', { random: () => 0 });
+  again.advance();
+  assert.equal(again.node.choices.some(c => c.next === 'hire'), false);
+  again.choose(again.node.choices.findIndex(c => c.next === 'dismiss'));
+  assert.equal(manager.getCompanionId(), null);
+});
+
+test('short of gold, the hire offer is turned down', () => {
+  const { manager } = makeManager({ gold: 20 });
+  const runtime = new DialogueRuntime();
+  runtime.init({ worldFlags: new WorldFlags(), inventory: manager.lootManager, companionManager: manager });
+
+  const session = runtime.start('guard', { random: () => 0 });
+  session.advance();
+  session.choose(session.node.choices.findIndex(c => c.next === 'hire'));
+  assert.equal(session.node.id, 'hire_short');
+  assert.equal(manager.companion, null);
+});
+
+test('the companion round-trips through the save', () => {
+  const { manager } = makeManager();
+  assert.equal(manager.getSaveData(), null);
+
+  manager.hire('sellsword');
+  manager.companion.receiveEnemyHit(manager.companion.maxHealth);
+  const saved = manager.getSaveData();
+  assert.deepEqual(saved, { id: 'sellsword', health: 0, downed: true });
+
+  const { manager: loaded, registered } = makeManager();
+  loaded.loadSaveData(saved);
+  assert.equal(loaded.getCompanionId(), 'sellsword');
+  assert.equal(loaded.companion.state, COMPANION_STATES.DOWNED);
+  assert.deepEqual(registered, [loaded.companion]);
+
+  loaded.loadSaveData(null);
+  assert.equal(loaded.companion, null);
+});
+
+test('enemies split between player and companion, flanking each separately', () => {
+  // Targeting only - skip the constructor's world spawning
+  const manager = Object.create(EnemyManager.prototype);
+  manager.allies = [];
+  const player = { mesh: { position: new THREE.Vector3(0, 0, 0) } };
+  const companion = companionAt(20, 0);
+  manager.registerAlly(companion);
+
+  const nearPlayer = [fakeEnemy(-2, 0), fakeEnemy(0, 3)];
+  const nearCompanion = [fakeEnemy(22, 0), fakeEnemy(20, 3)];
+  manager.enemies = [...nearPlayer, ...nearCompanion];
+  const flanked = [];
+  manager._assignFlanker = (enemies, targetPos) => flanked.push([enemies, targetPos]);
+
+  manager._assignTargets(player);
+  assert.ok(nearPlayer.every(e => e.combatTarget === player));
+  assert.ok(nearCompanion.every(e => e.combatTarget === companion));
+
+  manager._coordinateFlanking(player);
+  assert.equal(flanked.length, 2);
+  assert.deepEqual(flanked.map(([enemies]) => enemies), [nearPlayer, nearCompanion]);
+  assert.equal(flanked[1][1], companion.mesh.position);
+
+  // A downed companion is no longer a target
+  companion.down();
+  manager._assignTargets(player);
+  assert.ok(nearCompanion.every(e => e.combatTarget === player));
+});
+
+test('companion kills drop loot and count for quests but pay the player nothing', () => {
+  // Kill credit only - skip the constructor's world spawning
+  const manager = Object.create(EnemyManager.prototype);
+  const paid = [];
+  const dropped = [];
+  const killed = [];
+  manager.gm = {
+    onPlayerKill: (remnant) => { paid.push(['kill', remnant]); return remnant; },
+    addRemnant: (amount) => paid.push(['remnant', amount]),
+    calculateEnemyXP: () => 12,
+    gainXP: (amount) => paid.push(['xp', amount]),
+  };
+  manager.lootManager = { rollLoot: (enemy) => dropped.push(enemy) };
+  manager.onEnemyDeath = (type) => killed.push(type);
+  manager.affixEffects = {};
+
+  const makeVictim = () => ({
+    ...fakeEnemy(1, 0),
+    config: { type: 'HOLLOW_SOLDIER', remnantDrop: 30 },
+    takeDamage: () => 'died',
+    respawn: () => {},
+  });
+
+  mock.timers.enable({ apis: ['setTimeout'] });
+  try {
+    const byCompanion = makeVictim();
+    assert.equal(manager.damageEnemy(byCompanion, 50, 0, null, 'companion'), 'died');
+    assert.deepEqual(paid, []);
+    assert.deepEqual(dropped, [byCompanion]);
+    assert.deepEqual(killed, ['HOLLOW_SOLDIER']);
+
+    // The player's own kills still pay out
+    manager._onEnemyKilled(makeVictim());
+    assert.deepEqual(paid, [['kill', 30], ['remnant', 30], ['xp', 12]]);
+    assert.equal(dropped.length, 2);
+  } finally {
+    mock.timers.reset();
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * Death replay tests - the recording keeps the last ten seconds whatever
+ * the frame rate, and the frozen death starts at the window's edge.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { DeathReplay } from '../src/systems/DeathReplay.js';
+
+// Recording only - skip the constructor's overlay and key listener
+function makeReplay() {
+  const replay = Object.create(DeathReplay.prototype);
+  Object.assign(replay, {
+    gm: { isDead: false, health: 100 },
+    player: { mesh: new THREE.Object3D(), state: 'idle' },
+    enemyManager: { enemies: [], boss: null },
+    frames: [],
+    hits: [],
+    time: 0,
+    isPlaying: false,
+    lastDeath: null,
+    studyHintEl: null,
+  });
+  return replay;
+}
+
+for (const hz of [30, 60, 144]) {
+  test(`a ${hz} Hz recording holds the last ten seconds`, () => {
+    const replay = makeReplay();
+    for (let i = 0; i < hz * 15; i++) replay.record(1 / hz);
+
+    replay.onPlayerDeath('physical');
+    const span = replay.lastDeath.endTime - replay.lastDeath.startTime;
+    assert.ok(span <= 10 && span > 10 - 2 / hz, `span ${span}`);
+    assert.ok(Math.abs(replay.lastDeath.frames.length - hz * 10) <= 1);
+  });
+}
@@ -0,0 +1,104 @@
+/**
+ * Death Research tests - deaths are logged by killer and damage type,
+ * counters are gated by deaths and Remnant, wards soften hits from what
+ * they were researched against, and the Failed Experiment is logged as
+ * the killer of its own hits.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/headless.mjs';
+import { GameManager } from '../src/systems/GameManager.js';
+import { DeathResearchManager } from '../src/systems/DeathResearchManager.js';
+import { ENEMY_RESEARCH, RESEARCH_COUNTERS } from '../src/data/DeathResearchData.js';
+import { BOSS_TYPE } from '../src/entities/Boss.js';
+
+function makeGame() {
+  const gm = new GameManager();
+  gm.deathResearch = new DeathResearchManager(gm);
+  return gm;
+}
+
+// Lethal hit, then respawn so the death timer doesn't hold the test open
+function killPlayer(gm, damageType, sourceType) {
+  gm.health = 1;
+  assert.equal(gm.takeDamage(1000, damageType, 0, false, sourceType), 'died');
+  gm.respawn();
+}
+
+test('deaths are logged by killer and damage type', () => {
+  const gm = makeGame();
+  killPlayer(gm, 'physical', 'HOLLOW_SOLDIER');
+  killPlayer(gm, 'fire', 'HOLLOW_SOLDIER');
+  killPlayer(gm, 'fire', null);
+
+  const research = gm.deathResearch;
+  assert.equal(research.getDeaths('HOLLOW_SOLDIER'), 2);
+  assert.deepEqual(research.ledger.enemies.HOLLOW_SOLDIER.damageTypes, { physical: 1, fire: 1 });
+
+  // Traps and the environment only count toward the damage type
+  assert.equal(research.getDeaths('damage:fire'), 2);
+  assert.equal(Object.keys(research.ledger.enemies).length, 1);
+});
+
+test('counters need enough deaths and Remnant, and cost Remnant', () => {
+  const gm = makeGame();
+  const research = gm.deathResearch;
+  const { costs } = RESEARCH_COUNTERS.warding;
+  gm.remnant = costs[0];
+
+  assert.equal(research.getCounterInfo('BERSERKER', 'warding').blocked, 'Die 1 more time');
+  assert.equal(research.purchaseCounter('BERSERKER', 'warding'), false);
+
+  killPlayer(gm, 'physical', 'BERSERKER');
+  gm.remnant = costs[0] - 1;
+  assert.equal(research.getCounterInfo('BERSERKER', 'warding').blocked, 'Not enough Remnant');
+
+  gm.remnant = costs[0];
+  assert.equal(research.purchaseCounter('BERSERKER', 'warding'), true);
+  assert.equal(gm.remnant, 0);
+  assert.equal(research.getTier('BERSERKER', 'warding'), 1);
+
+  // The second tier wants three deaths
+  gm.remnant = costs[1];
+  assert.equal(research.getCounterInfo('BERSERKER', 'warding').blocked, 'Die 2 more times');
+
+  // Counters outside the enemy's list can't be bought
+  assert.equal(research.purchaseCounter('BERSERKER', 'sundering'), false);
+});
+
+test('warding softens hits from its source and caps at half damage', () => {
+  const gm = makeGame();
+  const research = gm.deathResearch;
+  research.ledger.counters.BERSERKER = { warding: 3 };
+  research.ledger.counters['damage:physical'] = { warding: 3 };
+
+  assert.equal(research.getIncomingDamageMult('BERSERKER', 'magical'), 0.85);
+  assert.equal(research.getIncomingDamageMult('SENTINEL', 'physical'), 0.85);
+  assert.equal(research.getIncomingDamageMult('SENTINEL', 'magical'), 1);
+  assert.equal(research.getIncomingDamageMult('BERSERKER', 'physical'), 0.7);
+
+  research.ledger.counters.BERSERKER = { warding: 10 };
+  assert.equal(research.getIncomingDamageMult('BERSERKER', 'physical'), 0.5);
+
+  const health = gm.health;
+  gm.takeDamage(40, 'physical', 0, false, 'BERSERKER');
+  assert.equal(health - gm.health, 20);
+});
+
+test('the Failed Experiment is logged as the killer of its own hits', () => {
+  const gm = makeGame();
+  const research = gm.deathResearch;
+  killPlayer(gm, 'physical', BOSS_TYPE);
+  killPlayer(gm, 'magical', BOSS_TYPE);
+
+  assert.equal(research.getDeaths(BOSS_TYPE), 2);
+  assert.deepEqual(research.getAvailableCounters(BOSS_TYPE), ['warding']);
+  assert.equal(ENEMY_RESEARCH[BOSS_TYPE].name, 'The Failed Experiment');
+
+  gm.remnant = RESEARCH_COUNTERS.warding.costs[0];
+  assert.equal(research.purchaseCounter(BOSS_TYPE, 'warding'), true);
+  assert.equal(research.getIncomingDamageMult(BOSS_TYPE, 'magical'), 0.95);
+});
@@ -0,0 +1,155 @@
+/**
+ * DialogueRuntime tests - every dialogue tree links up, conditions and
+ * effects hit the right systems, and quest givers talk quests first.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIALOGUE_TREES, DIALOGUE_END_ACTION } from '../src/data/DialogueData.js';
+import { QUEST_STATUS, getQuest } from '../src/data/QuestData.js';
+import { DialogueRuntime, QUEST_VIEW } from '../src/systems/DialogueRuntime.js';
+import { WorldFlags } from '../src/systems/WorldFlags.js';
+
+// Always the first text variant
+const first = () => 0;
+
+function fakeQuestManager({ available = [], active = [], completed = [] } = {}) {
+  const activeQuests = new Map(active.map(([id, state]) => [id, state]));
+  return {
+    activeQuests,
+    availableQuests: new Set(available),
+    accepted: [],
+    getQuestState: (id) => activeQuests.get(id),
+    hasCompletedQuest: (id) => completed.includes(id),
+    getAvailableQuestsForNpc(npcId) {
+      return [...this.availableQuests].map(getQuest).filter(q => q.giver === npcId);
+    },
+    getTurnInQuestsForNpc(npcId) {
+      return [...activeQuests]
+        .filter(([id, state]) => getQuest(id).turnIn === npcId && state.status === QUEST_STATUS.READY_TO_TURN_IN)
+        .map(([id, state]) => ({ quest: getQuest(id), state }));
+    },
+    acceptQuest(id) {
+      if (!this.availableQuests.has(id)) return { success: false };
+      this.accepted.push(id);
+      return { success: true };
+    },
+  };
+}
+
+function makeRuntime(systems = {}) {
+  const runtime = new DialogueRuntime();
+  runtime.init({ worldFlags: new WorldFlags(), ...systems });
+  return runtime;
+}
+
+test('every dialogue tree only links to nodes it has', () => {
+  for (const [treeId, tree] of Object.entries(DIALOGUE_TREES)) {
+    const { nodes } = tree;
+    assert.ok(nodes[tree.start], `${treeId}: missing start node ${tree.start}`);
+    for (const [nodeId, node] of Object.entries(nodes)) {
+      const targets = [
+        node.next,
+        ...(node.branch || []).map(b => b.next),
+        ...(node.choices || []).map(c => c.next),
+      ].filter(Boolean);
+      for (const target of targets) {
+        assert.ok(nodes[target], `${treeId}.${nodeId} links to missing node ${target}`);
+      }
+    }
+  }
+});
+
+test('merchant conversation walks to the shop', () => {
+  const session = makeRuntime().start('merchant', { random: first });
+  assert.equal(session.node.id, 'greeting');
+  session.advance();
+  assert.equal(session.node.id, 'prompt');
+
+  // The Union choice is hidden without reputation
+  assert.equal(session.node.choices.some(c => c.next === 'union_deal'), false);
+
+  session.choose(0);
+  assert.equal(session.node.id, 'shop');
+  session.advance();
+  assert.equal(session.ended, true);
+  assert.equal(session.endAction, DIALOGUE_END_ACTION.SHOP);
+});
+
+test('unknown NPC types fall back to the given tree', () => {
+  const session = makeRuntime().start('scarecrow', { fallbackTreeId: 'villager', random: first });
+  assert.equal(session.node.text, DIALOGUE_TREES.villager.nodes.greeting.text[0]);
+});
+
+test('conditions read flags, reputation and time of day', () => {
+  const worldFlags = new WorldFlags();
+  const runtime = makeRuntime({
+    worldFlags,
+    questRewards: { getReputation: (faction) => (faction === 'merchants_union' ? 600 : 0) },
+    timeManager: { dayPhase: 'night' },
+  });
+  worldFlags.set('gate_opened', 'north');
+
+  assert.equal(runtime.checkCondition({ flag: 'gate_opened' }), true);
+  assert.equal(runtime.checkCondition({ flag: 'gate_opened', equals: 'south' }), false);
+  assert.equal(runtime.checkCondition({ reputation: 'merchants_union', min: 500 }), true);
+  assert.equal(runtime.checkCondition({ reputation: 'hunters_guild', min: 500 }), false);
+  assert.equal(runtime.checkCondition({ timeOfDay: ['night', 'dusk'] }), true);
+  assert.equal(runtime.checkCondition({
+    all: [{ flag: 'gate_opened' }, { not: { timeOfDay: 'day' } }],
+  }), true);
+
+  // Branches on entry: the guard greets differently at night
+  assert.equal(runtime.start('guard', { random: first }).node.id, 'greeting_night');
+});
+
+test('effects set flags and give items once', () => {
+  const given = [];
+  const worldFlags = new WorldFlags();
+  const runtime = makeRuntime({ worldFlags, inventory: { addItem: (id, qty) => given.push([id, qty]) } });
+
+  const session = runtime.start('healer', { random: first });
+  session.advance();
+  const gift = session.node.choices.findIndex(c => c.next === 'gift');
+  session.choose(gift);
+
+  assert.deepEqual(given, [['health-potion', 1]]);
+  assert.equal(worldFlags.has('healer_gift_given'), true);
+  assert.equal(session.node.choices.some(c => c.next === 'gift'), false);
+  assert.deepEqual(worldFlags.getSaveData(), { healer_gift_given: true });
+});
+
+test('quest givers offer quests before their idle line', () => {
+  const questManager = fakeQuestManager({ available: ['first_steps'] });
+  const session = makeRuntime({ questManager }).start('elder_marcus');
+
+  assert.equal(session.node.questView, QUEST_VIEW.OFFER);
+  assert.equal(session.node.quest.id, 'first_steps');
+
+  session.choose(0); // Accept
+  assert.deepEqual(questManager.accepted, ['first_steps']);
+  assert.equal(session.node.questView, QUEST_VIEW.ACCEPTED);
+});
+
+test('a quest that can no longer be accepted ends the conversation', () => {
+  const questManager = fakeQuestManager({ available: ['first_steps'] });
+  const session = makeRuntime({ questManager }).start('elder_marcus');
+  questManager.availableQuests.clear();
+
+  session.choose(0);
+  assert.equal(session.ended, true);
+});
+
+test('completed quests unlock follow-up choices', () => {
+  const questManager = fakeQuestManager({ completed: ['first_steps'] });
+  const runtime = makeRuntime({ questManager });
+
+  assert.equal(runtime.getQuestStatus('first_steps'), QUEST_STATUS.COMPLETED);
+  assert.equal(runtime.getQuestStatus('guard_duty'), 'none');
+
+  const session = runtime.start('elder_marcus');
+  assert.equal(session.node.questView, undefined);
+  assert.ok(session.node.choices.some(c => c.next === 'troubled'));
+});
@@ -0,0 +1,181 @@
+/**
+ * Dungeon floor tests - every floor but the last ends in a stairwell, enemy
+ * levels climb with depth, each floor has its own seed, rest-room bonfires
+ * become checkpoints, stair prompts show the bound interact key, and floor
+ * progress and deepest-floor records survive a save.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getFloorConfig, getDungeonById, FLOOR_SCALING, ROOM_TYPE } from '../src/data/DungeonData.js';
+import { DungeonGenerator } from '../src/world/DungeonGenerator.js';
+import { DungeonManager } from '../src/systems/DungeonManager.js';
+import { DungeonRewards } from '../src/systems/DungeonRewards.js';
+import { getInputMap } from '../src/systems/InputMap.js';
+
+const TEMPLE = 'corrupted_temple';
+
+test('floor config raises enemy levels and elite chance with depth', () => {
+  const temple = getDungeonById(TEMPLE);
+  const top = getFloorConfig(TEMPLE, 1);
+  const bottom = getFloorConfig(TEMPLE, 3);
+
+  assert.deepEqual(top.enemyLevelRange, temple.enemyLevelRange);
+  assert.equal(top.isFinal, false);
+  assert.equal(bottom.isFinal, true);
+  assert.equal(bottom.floorCount, temple.floors);
+  assert.deepEqual(bottom.enemyLevelRange, {
+    min: temple.enemyLevelRange.min + 2 * FLOOR_SCALING.levelsPerFloor,
+    max: temple.enemyLevelRange.max + 2 * FLOOR_SCALING.levelsPerFloor,
+  });
+  assert.ok(bottom.eliteChance > top.eliteChance);
+
+  // Out-of-range floors clamp to the dungeon's depth
+  assert.equal(getFloorConfig(TEMPLE, 9).floor, 3);
+});
+
+test('upper floors end in a guarded stairwell, the last floor in the boss', () => {
+  const upper = new DungeonGenerator(1234).generate(TEMPLE, 'none', 1);
+  assert.equal(upper.floor, 1);
+  assert.equal(upper.floorCount, 3);
+  assert.equal(upper.bossRoom, null);
+  assert.equal(upper.stairsRoom.type, ROOM_TYPE.STAIRS);
+  assert.equal(upper.stairsRoom.features.find(f => f.type === 'stairwell').leadsTo, 2);
+  assert.ok(upper.stairsRoom.enemies.length > 0);
+
+  const last = new DungeonGenerator(1234).generate(TEMPLE, 'none', 3);
+  assert.equal(last.stairsRoom, null);
+  assert.equal(last.bossRoom.type, ROOM_TYPE.BOSS);
+  assert.ok(last.rooms.some(r => r.type === ROOM_TYPE.MINIBOSS));
+});
+
+test('deeper floors spawn higher-level enemies under their own room ids', () => {
+  const levels = (floor) => {
+    const instance = new DungeonGenerator(99).generate(TEMPLE, 'none', floor);
+    const enemy = instance.rooms.flatMap(r => r.enemies).find(e => e.levelRange);
+    return { instance, levelRange: enemy.levelRange };
+  };
+
+  const top = levels(1);
+  const second = levels(2);
+  assert.equal(second.levelRange.min, top.levelRange.min + FLOOR_SCALING.levelsPerFloor);
+  assert.ok(top.instance.rooms.every(r => r.id.startsWith('room_')));
+  assert.ok(second.instance.rooms.every(r => r.id.startsWith('f2_room_')));
+});
+
+test('each floor of a run gets its own seed, the top floor keeps the run seed', () => {
+  const manager = Object.create(DungeonManager.prototype);
+  const runSeed = 424242;
+
+  assert.equal(manager._getFloorSeed(runSeed, 1), runSeed);
+  const second = manager._getFloorSeed(runSeed, 2);
+  const third = manager._getFloorSeed(runSeed, 3);
+  assert.notEqual(second, runSeed);
+  assert.notEqual(second, third);
+  assert.equal(manager._getFloorSeed(runSeed, 2), second);
+});
+
+test('reaching a rest-room bonfire sets the checkpoint for respawn and resume', () => {
+  const checkpoints = [];
+  const manager = Object.create(DungeonManager.prototype);
+  manager.currentDungeonId = TEMPLE;
+  manager.currentFloor = 2;
+  manager.dungeonProgress = new Map([[TEMPLE, { checkpoint: null }]]);
+  manager.gameManager = { setCheckpoint: (pos) => checkpoints.push(pos.clone()) };
+  manager.player = { mesh: { position: new THREE.Vector3(50, 0.5, 10) } };
+  manager.currentDungeon = {
+    rooms: [{
+      id: 'f2_room_4',
+      type: ROOM_TYPE.REST,
+      position: { x: 40, y: 0, z: 0 },
+      features: [{ type: 'bonfire', position: { x: 0, y: 0, z: 0 } }],
+    }],
+  };
+
+  // Too far away
+  manager._checkBonfires();
+  assert.equal(manager.getProgress().checkpoint, null);
+
+  manager.player.mesh.position.set(41, 0.5, 1);
+  manager._checkBonfires();
+  assert.deepEqual(manager.getProgress().checkpoint, { floor: 2, roomId: 'f2_room_4' });
+  assert.equal(checkpoints.length, 1);
+  assert.deepEqual(checkpoints[0].toArray(), [40, 0.5, 2]);
+
+  // Already the checkpoint
+  manager._checkBonfires();
+  assert.equal(checkpoints.length, 1);
+});
+
+test('stairwell and Abyss Gate prompts show the interact key as bound', () => {
+  const upper = new DungeonGenerator(1234).generate(TEMPLE, 'none', 1);
+  const manager = Object.create(DungeonManager.prototype);
+  const parts = { '.exit-title': { textContent: '' }, '.exit-action': { innerHTML: '' } };
+  manager.stairsPromptElement = { style: {}, querySelector: (selector) => parts[selector] };
+  manager.currentDungeon = upper;
+  manager.abyssRun = false;
+  manager.inputManager = { interact: false };
+  manager.player = { mesh: { position: new THREE.Vector3() } };
+  const standAt = (room, type) => {
+    const feature = room.features.find(f => f.type === type);
+    manager.player.mesh.position.set(room.position.x + feature.position.x, 0.5, room.position.z + feature.position.z);
+    manager._checkStairs();
+  };
+
+  standAt(upper.stairsRoom, 'stairwell');
+  assert.match(parts['.exit-action'].innerHTML, /^\[E\] Descend to Floor/);
+
+  getInputMap().setBinding('interact', 0, 'KeyB');
+  try {
+    standAt(upper.stairsRoom, 'stairwell');
+    assert.match(parts['.exit-action'].innerHTML, /^\[B\] Descend to Floor/);
+    standAt(upper.entranceRoom, 'abyss_gate');
+    assert.equal(parts['.exit-action'].innerHTML, '[B] Descend into the Abyss');
+  } finally {
+    getInputMap().resetAction('interact');
+  }
+});
+
+test('floor progress round-trips through the save, older saves start at the top', () => {
+  const manager = Object.create(DungeonManager.prototype);
+  manager.dungeonProgress = new Map([[TEMPLE, {
+    seed: 7, roomsCleared: new Set(), chestsLooted: new Set(), puzzlesSolved: new Set(), trapsDisarmed: new Set(),
+    floor: 2, deepestFloor: 2, checkpoint: { floor: 2, roomId: 'f2_room_4' },
+  }]]);
+
+  const saved = JSON.parse(JSON.stringify(manager.getSaveData()));
+  manager.loadSaveData(saved);
+  const progress = manager.dungeonProgress.get(TEMPLE);
+  assert.equal(progress.floor, 2);
+  assert.equal(progress.deepestFloor, 2);
+  assert.deepEqual(progress.checkpoint, { floor: 2, roomId: 'f2_room_4' });
+
+  const { floor, deepestFloor, checkpoint, ...older } = saved[TEMPLE];
+  manager.loadSaveData({ [TEMPLE]: older });
+  const fallback = manager.dungeonProgress.get(TEMPLE);
+  assert.equal(fallback.floor, 1);
+  assert.equal(fallback.deepestFloor, 1);
+  assert.equal(fallback.checkpoint, null);
+});
+
+test('dungeon rewards keep the deepest floor reached across runs', () => {
+  // Records only - skip the constructor's victory screen DOM
+  const rewards = Object.create(DungeonRewards.prototype);
+  rewards.loadSaveData(null);
+
+  assert.equal(rewards.getDeepestFloor(TEMPLE), 0);
+  assert.equal(rewards.recordFloorReached(TEMPLE, 2), true);
+  assert.equal(rewards.recordFloorReached(TEMPLE, 1), false);
+  assert.equal(rewards.getDeepestFloor(TEMPLE), 2);
+
+  const saved = JSON.parse(JSON.stringify(rewards.getSaveData()));
+  rewards.loadSaveData(saved);
+  assert.equal(rewards.getDeepestFloor(TEMPLE), 2);
+
+  // Saves from before floors existed
+  rewards.loadSaveData({ completedDungeons: {}, firstKillTracking: [], bestTimes: {} });
+  assert.equal(rewards.getDeepestFloor(TEMPLE), 0);
+});
@@ -0,0 +1,186 @@
+/**
+ * Authored layout tests - The Crypt validates and loads into the same
+ * instance shape the generator produces, broken layouts are caught, World's
+ * illusory-wall and shortcut hooks work off the loaded secrets, found
+ * secrets survive a save and new runs, and authored dungeons never roll
+ * for a cave.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getDungeonForCave, ROOM_TYPE, TRAP_TYPE } from '../src/data/DungeonData.js';
+import {
+  THE_CRYPT_LAYOUT,
+  getDungeonLayout,
+  listLayoutEntrances,
+  validateDungeonLayout,
+} from '../src/data/DungeonLayouts.js';
+import { DungeonGenerator } from '../src/world/DungeonGenerator.js';
+import { DungeonManager } from '../src/systems/DungeonManager.js';
+import { createSecretsWorld } from './helpers/world.mjs';
+
+const CRYPT = 'the_crypt';
+
+test('The Crypt is a valid layout registered for its dungeon', () => {
+  assert.deepEqual(validateDungeonLayout(THE_CRYPT_LAYOUT), []);
+  assert.equal(getDungeonLayout(CRYPT), THE_CRYPT_LAYOUT);
+  assert.equal(getDungeonLayout('corrupted_temple'), null);
+
+  const trapdoor = listLayoutEntrances().find(e => e.id === 'chapel_trapdoor');
+  assert.equal(trapdoor.dungeonId, CRYPT);
+  assert.equal(trapdoor.shortcut, 'crypt_shortcut');
+});
+
+test('validation reports authoring mistakes', () => {
+  const broken = {
+    ...THE_CRYPT_LAYOUT,
+    rooms: THE_CRYPT_LAYOUT.rooms.map(r => (r.id === 'secret_room' ? { ...r, grid: { x: 3, z: 2 } } : r)),
+    connections: [
+      ...THE_CRYPT_LAYOUT.connections.filter(c => c.to !== 'crypt_lord_arena'),
+      { from: 'secret_room', to: 'crypt_lord_arena', type: 'door', secret: true },
+    ],
+    triggers: [{ id: 'lost', room: 'nowhere', type: 'notify', position: { x: 0, z: 0 }, radius: 1 }],
+  };
+
+  const problems = validateDungeonLayout(broken);
+  assert.ok(problems.some(p => p.includes('south_corridor -> secret_room') && p.includes('not adjacent')));
+  assert.ok(problems.some(p => p.includes('secret_room -> crypt_lord_arena')));
+  assert.ok(problems.some(p => p.includes('"secret_room" cannot be reached')));
+  assert.ok(problems.some(p => p.includes('"lost" is in missing room')));
+
+  // A boss hidden behind a secret is rejected outright
+  const hiddenBoss = {
+    ...THE_CRYPT_LAYOUT,
+    connections: THE_CRYPT_LAYOUT.connections.map(c =>
+      (c.to === 'crypt_lord_arena' ? { ...c, secret: true } : c)),
+  };
+  assert.ok(validateDungeonLayout(hiddenBoss).includes('boss room is only reachable through a secret'));
+  assert.equal(new DungeonGenerator(1).loadLayout(broken), null);
+});
+
+test('loading The Crypt builds rooms, secrets, shortcuts and triggers in world space', () => {
+  const crypt = new DungeonGenerator(1).loadLayout(THE_CRYPT_LAYOUT);
+
+  assert.equal(crypt.layoutId, CRYPT);
+  assert.equal(crypt.rooms.length, 8);
+  assert.equal(crypt.entranceRoom.id, 'antechamber');
+  assert.equal(crypt.bossRoom.boss.name, 'The Crypt Lord');
+  assert.equal(crypt.stairsRoom, null);
+  assert.deepEqual(crypt.criticalPath.map(r => r.id),
+    ['antechamber', 'west_corridor', 'ossuary', 'ritual_chamber', 'south_corridor', 'crypt_lord_arena']);
+
+  const ossuary = crypt.rooms.find(r => r.id === 'ossuary');
+  assert.deepEqual(ossuary.enemies.map(e => [e.type, e.behavior]),
+    [['bone_revenant', 'ambush'], ['bone_revenant', 'ambush']]);
+  assert.equal(ossuary.traps[0].id, 'trap_ossuary_0');
+  assert.equal(ossuary.traps[0].name, TRAP_TYPE.FALLING.name);
+  assert.equal(crypt.rooms.find(r => r.id === 'ritual_chamber').miniboss.name, 'The Crypt Guardian');
+
+  // Fixed loot stays fixed; the guardian's chest is rolled
+  const shard = crypt.rooms.find(r => r.id === 'secret_room').chests[0];
+  assert.deepEqual(shard.loot.items.map(i => i.id), ['apotheosis_shard', 'alchemist_journal_page']);
+
+  // The illusory wall covers the doorway on the corridor's east side
+  const [wall] = crypt.hiddenWalls;
+  assert.equal(wall.hides, 'secret_room');
+  assert.deepEqual(wall.position, { x: 2, y: 0, z: 40 });
+  assert.ok(crypt.rooms.find(r => r.id === 'secret_room').isSecret);
+  assert.ok(crypt.connections.find(c => c.to === 'secret_room').secret);
+
+  const [shortcut] = crypt.shortcuts;
+  assert.deepEqual(shortcut.doorPosition, { x: -20, y: 0, z: 37 });
+  assert.deepEqual(shortcut.exitTo, { x: -15, z: -12 });
+  assert.equal(shortcut.unlocked, false);
+
+  // Checkpoint triggers become braziers the bonfire logic already handles
+  const brazier = crypt.entranceRoom.features.find(f => f.type === 'bonfire');
+  assert.ok(brazier.brazier);
+  assert.deepEqual(crypt.triggers.find(t => t.id === 'south_draft').position, { x: 0, y: 0, z: 40 });
+});
+
+test('World reveals illusory walls and unbars shortcuts from the loaded layout', () => {
+  const crypt = new DungeonGenerator(1).loadLayout(THE_CRYPT_LAYOUT);
+  const world = createSecretsWorld();
+  const revealed = [];
+  const unlocked = [];
+  world.onHiddenWallRevealed((wall) => revealed.push(wall.id));
+  const unsubscribe = world.onShortcutUnlocked((shortcut) => unlocked.push(shortcut.id));
+
+  world.registerSecrets(crypt);
+
+  // Struck from a sword's length away, or walked into
+  assert.equal(world.checkHiddenWallHit({ x: 0.3, z: 40 }, 1), null);
+  assert.equal(world.checkHiddenWallHit({ x: 0.8, z: 40 }, 1).id, 'crypt_illusory_wall');
+  assert.equal(world.checkInsideIllusoryWall({ x: 2, z: 45 }), null);
+  assert.equal(world.checkInsideIllusoryWall({ x: 2.2, z: 41 }).id, 'crypt_illusory_wall');
+  world.revealHiddenWall('crypt_illusory_wall');
+  world.revealHiddenWall('crypt_illusory_wall');
+  assert.deepEqual(revealed, ['crypt_illusory_wall']);
+  assert.equal(world.checkInsideIllusoryWall({ x: 2.2, z: 41 }), null);
+
+  assert.equal(world.getNearbyShortcut({ x: -20, z: 42 }), null);
+  assert.equal(world.getNearbyShortcut({ x: -20, z: 38 }).id, 'crypt_shortcut');
+  assert.equal(world.unlockShortcut('crypt_shortcut'), true);
+  assert.equal(world.unlockShortcut('crypt_shortcut'), false);
+  assert.equal(world.getNearbyShortcut({ x: -20, z: 38 }), null);
+  assert.deepEqual(unlocked, ['crypt_shortcut']);
+
+  unsubscribe();
+  world.clearSecrets();
+  assert.equal(world.unlockShortcut('crypt_shortcut'), false);
+  assert.equal(world.checkHiddenWallHit({ x: 2, z: 40 }, 1), null);
+});
+
+test('found secrets and unbarred shortcuts persist through saves and new runs', () => {
+  const messages = [];
+  const manager = Object.create(DungeonManager.prototype);
+  manager.currentDungeonId = CRYPT;
+  manager.dungeonProgress = new Map([[CRYPT, manager._createRunProgress(9, 1, 'none')]]);
+  manager.currentDungeon = new DungeonGenerator(9).loadLayout(THE_CRYPT_LAYOUT);
+  manager.world = createSecretsWorld();
+  manager.gameManager = { itemManager: { showNotification: (m) => messages.push(m) } };
+  manager.player = { mesh: { position: new THREE.Vector3(0, 0.5, 40) } };
+  manager.firedTriggers = new Set();
+
+  // The trapdoor only opens once the shortcut is unbarred from below
+  const trapdoorOpen = () => manager._getOpenLayoutEntrances().some(e => e.id === 'chapel_trapdoor');
+  assert.equal(trapdoorOpen(), false);
+
+  manager._onHiddenWallRevealed(manager.currentDungeon.hiddenWalls[0]);
+  manager._onShortcutUnlocked(manager.currentDungeon.shortcuts[0]);
+  assert.equal(trapdoorOpen(), true);
+
+  // Notify triggers fire once per visit
+  manager._checkTriggers();
+  manager._checkTriggers();
+  assert.deepEqual(messages, ['A cold draft seeps through the east wall.']);
+
+  const saved = JSON.parse(JSON.stringify(manager.getSaveData()));
+  manager.loadSaveData(saved);
+  const progress = manager.dungeonProgress.get(CRYPT);
+  assert.deepEqual([...progress.secretsFound], ['crypt_illusory_wall']);
+  assert.deepEqual([...progress.shortcutsUnlocked], ['crypt_shortcut']);
+
+  // A fresh load of the floor reopens them before World takes over
+  const reloaded = new DungeonGenerator(9).loadLayout(THE_CRYPT_LAYOUT);
+  manager._registerSecrets(reloaded);
+  assert.equal(reloaded.hiddenWalls[0].revealed, true);
+  assert.equal(manager.world.getNearbyShortcut(reloaded.shortcuts[0].doorPosition), null);
+
+  // Older saves have neither
+  const { secretsFound, shortcutsUnlocked, ...older } = saved[CRYPT];
+  manager.loadSaveData({ [CRYPT]: older });
+  assert.equal(manager.dungeonProgress.get(CRYPT).shortcutsUnlocked.size, 0);
+  assert.equal(trapdoorOpen(), false);
+});
+
+test('authored dungeons are never rolled for a cave', () => {
+  for (let i = 0; i < 200; i++) {
+    const dungeon = getDungeonForCave(i * 37, i * -53, 12345);
+    assert.notEqual(dungeon.id, CRYPT);
+  }
+  assert.equal(THE_CRYPT_LAYOUT.rooms.filter(r => r.type === ROOM_TYPE.BOSS).length, 1);
+});
@@ -0,0 +1,127 @@
+/**
+ * Generated secret tests - floors may hide a treasure room behind an
+ * illusory wall that only an attack dispels, and bar a shortcut door that
+ * lifts from the deeper side alone; hidden rooms stay off the minimap until
+ * found, and what the player opens is kept in the run's progress.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ROOM_TYPE, ROOM_SIZE, SECRET_SETTINGS } from '../src/data/DungeonData.js';
+import { DungeonGenerator } from '../src/world/DungeonGenerator.js';
+import { DungeonRenderer } from '../src/world/DungeonRenderer.js';
+import { DungeonManager } from '../src/systems/DungeonManager.js';
+import { createSecretsWorld } from './helpers/world.mjs';
+
+const TEMPLE = 'corrupted_temple';
+
+// First seed whose top floor rolled the wanted secret
+function findFloor(has) {
+  for (let seed = 1; seed < 500; seed++) {
+    const floor = new DungeonGenerator(seed).generate(TEMPLE, 'none', 1);
+    if (has(floor)) return floor;
+  }
+  throw new Error('no seed rolled the secret');
+}
+
+test('a secret treasure room hides behind a wall only an attack dispels', () => {
+  const floor = findFloor(f => f.hiddenWalls.length > 0);
+  const [wall] = floor.hiddenWalls;
+  const host = floor.rooms.find(r => r.id === wall.roomId);
+  const room = floor.rooms.find(r => r.id === wall.hides);
+
+  assert.equal(room.type, ROOM_TYPE.TREASURE);
+  assert.ok(room.isSecret);
+  assert.equal(room.width, ROOM_SIZE.SMALL.width);
+  assert.ok(room.chests.length > 0);
+  assert.ok(![ROOM_TYPE.ENTRANCE, ROOM_TYPE.BOSS, ROOM_TYPE.STAIRS].includes(host.type));
+  assert.ok(floor.connections.some(c => c.secret && c.from === host.id && c.to === room.id));
+  assert.equal(host.features.find(f => f.type === 'illusory_wall').hides, room.id);
+
+  const world = createSecretsWorld();
+  world.registerSecrets(floor);
+  assert.equal(world.checkInsideIllusoryWall(wall.position), null);
+  assert.equal(world.checkHiddenWallHit(wall.position, 1), wall);
+});
+
+test('shortcuts cut out part of the path and only lift from the deeper side', () => {
+  const floor = findFloor(f => f.shortcuts.length > 0);
+  const [shortcut] = floor.shortcuts;
+  const far = floor.rooms.find(r => r.id === shortcut.roomId);
+  const near = floor.rooms.find(r => r.id === shortcut.toRoomId);
+
+  // Barred, so not a way through yet
+  assert.ok(!far.connections.includes(near.id));
+  assert.equal(floor.connections.find(c => c.shortcut === shortcut.id).from, far.id);
+
+  // Steps from the entrance along open connections
+  const steps = new Map([[floor.entranceRoom.id, 0]]);
+  const queue = [floor.entranceRoom];
+  while (queue.length > 0) {
+    const room = queue.shift();
+    for (const id of room.connections) {
+      if (steps.has(id)) continue;
+      steps.set(id, steps.get(room.id) + 1);
+      queue.push(floor.rooms.find(r => r.id === id));
+    }
+  }
+  assert.ok(steps.get(far.id) - steps.get(near.id) >= SECRET_SETTINGS.shortcutMinSkip);
+
+  // openSide points back into the deeper room
+  const toFar = { x: far.position.x - shortcut.doorPosition.x, z: far.position.z - shortcut.doorPosition.z };
+  assert.ok(toFar.x * shortcut.openSide.x + toFar.z * shortcut.openSide.z > 0);
+
+  const world = createSecretsWorld();
+  world.registerSecrets(floor);
+  const { x, z } = shortcut.doorPosition;
+  const { x: sx, z: sz } = shortcut.openSide;
+  assert.equal(world.getNearbyShortcut({ x: x - sx, z: z - sz }), null);
+  assert.equal(world.getNearbyShortcut({ x: x + sx, z: z + sz }), shortcut);
+  assert.equal(world.unlockShortcut(shortcut.id), true);
+});
+
+test('rooms behind illusory walls stay off the minimap until the wall falls', () => {
+  const floor = findFloor(f => f.hiddenWalls.length > 0);
+  const [wall] = floor.hiddenWalls;
+  const renderer = new DungeonRenderer(new THREE.Scene());
+  renderer.renderDungeon(floor);
+
+  const mapped = () => renderer.getMinimapData().rooms.map(r => r.id);
+  assert.equal(mapped().length, floor.rooms.length - 1);
+  assert.ok(!mapped().includes(wall.hides));
+
+  renderer.revealIllusoryWall(wall.id);
+  assert.ok(mapped().includes(wall.hides));
+  assert.equal(renderer.secretMeshes.get(wall.id).wall.visible, false);
+});
+
+test('walls and shortcuts opened in a run stay open when the floor reloads', () => {
+  const floor = findFloor(f => f.hiddenWalls.length > 0 && f.shortcuts.length > 0);
+  const snapshot = JSON.stringify(floor);
+
+  const manager = Object.create(DungeonManager.prototype);
+  manager.currentDungeonId = TEMPLE;
+  manager.dungeonProgress = new Map([[TEMPLE, manager._createRunProgress(floor.seed, 1, 'none')]]);
+  manager.currentDungeon = floor;
+  manager.world = createSecretsWorld();
+  manager.gameManager = { itemManager: { showNotification: () => {} } };
+
+  manager._registerSecrets(floor);
+  manager._onHiddenWallRevealed(floor.hiddenWalls[0]);
+  manager._onShortcutUnlocked(floor.shortcuts[0]);
+
+  const saved = JSON.parse(JSON.stringify(manager.getSaveData()));
+  manager.loadSaveData(saved);
+  assert.deepEqual([...manager.dungeonProgress.get(TEMPLE).secretsFound], [floor.hiddenWalls[0].id]);
+
+  // Same floor, loaded fresh
+  const reloaded = JSON.parse(snapshot);
+  manager.currentDungeon = reloaded;
+  manager._registerSecrets(reloaded);
+  assert.equal(reloaded.hiddenWalls[0].revealed, true);
+  assert.equal(reloaded.shortcuts[0].unlocked, true);
+  assert.equal(manager.world.checkHiddenWallHit(reloaded.hiddenWalls[0].position, 1), null);
+});
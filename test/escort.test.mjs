@@ -0,0 +1,145 @@
+/**
+ * Escort tests - TerrainPathfinder routes around water and cliffs, the escort
+ * waits for the player and shelters from enemies, enemies go after it, and its
+ * arrival or death settles the escort quest.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { findTerrainPath } from '../src/world/TerrainPathfinder.js';
+import { EscortNPC } from '../src/entities/EscortNPC.js';
+import { EnemyManager } from '../src/entities/EnemyManager.js';
+import { QuestManager } from '../src/systems/QuestManager.js';
+import { QuestWorldHooks } from '../src/systems/QuestWorldHooks.js';
+import { fakeEnemy } from './helpers/headless.mjs';
+
+const FLAT = { getTerrainHeight: () => 0, waterLevel: -2 };
+
+test('paths go around water', () => {
+  const lake = {
+    waterLevel: -2,
+    getTerrainHeight: (x, z) => (Math.abs(x) < 8 && Math.abs(z) < 10 ? -5 : 0),
+  };
+  const path = findTerrainPath(lake, { x: -20, z: 0 }, { x: 20, z: 0 });
+
+  assert.ok(path);
+  assert.deepEqual(path[path.length - 1], { x: 20, z: 0 });
+  assert.ok(path.every(p => lake.getTerrainHeight(p.x, p.z) >= lake.waterLevel));
+  assert.ok(path.some(p => Math.abs(p.z) >= 10));
+});
+
+test('paths climb through the gap in a cliff, or give up without one', () => {
+  const cliff = (gap) => ({
+    waterLevel: -2,
+    getTerrainHeight: (x, z) => (Math.abs(x) <= 2 && !(gap && z >= 12 && z <= 18) ? 20 : 0),
+  });
+
+  const path = findTerrainPath(cliff(true), { x: -20, z: 0 }, { x: 20, z: 0 });
+  assert.ok(path);
+  assert.ok(path.some(p => p.z >= 12));
+
+  assert.equal(findTerrainPath(cliff(false), { x: -20, z: 0 }, { x: 20, z: 0 }), null);
+});
+
+test('the escort walks on with the player and waits when they fall behind', () => {
+  const escort = new EscortNPC({
+    terrain: FLAT,
+    name: 'Lydia',
+    position: { x: 0, z: 0 },
+    destination: { x: 40, z: 0 },
+  });
+
+  for (let i = 0; i < 10; i++) escort.update(0.2, { x: escort.mesh.position.x, z: 2 });
+  assert.equal(escort.state, 'walking');
+  const x = escort.mesh.position.x;
+  assert.ok(x > 3);
+
+  escort.update(1, { x: x - 20, z: 0 });
+  escort.update(1, { x: x - 20, z: 0 });
+  assert.equal(escort.state, 'waiting');
+  assert.equal(escort.mesh.position.x, x);
+
+  escort.update(0.2, { x: x - 3, z: 0 });
+  assert.equal(escort.state, 'walking');
+});
+
+test('the escort shelters by the player while enemies are near', () => {
+  const escort = new EscortNPC({ terrain: FLAT, position: { x: 0, z: 0 }, destination: { x: 40, z: 0 } });
+  const player = { x: -6, z: 0 };
+
+  escort.update(0.5, player, [fakeEnemy(4, 0)]);
+  assert.equal(escort.state, 'fleeing');
+  assert.ok(escort.mesh.position.x < 0);
+
+  escort.update(0.5, player, []);
+  assert.equal(escort.state, 'walking');
+});
+
+test('enemies go after a nearby escort unless the player is clearly closer', () => {
+  // Target picking only - skip the constructor's world spawning
+  const manager = Object.create(EnemyManager.prototype);
+  manager.allies = [];
+  const player = { mesh: { position: new THREE.Vector3(0, 0, 0) } };
+  const escort = { isDead: false, aggroBias: 3, mesh: { position: new THREE.Vector3(8, 0, 0) } };
+  const enemy = fakeEnemy(10, 0);
+
+  assert.equal(manager._pickTarget(enemy, player), player);
+  manager.registerAlly(escort);
+  assert.equal(manager._pickTarget(enemy, player), escort);
+  assert.equal(manager._pickTarget(fakeEnemy(5, 0), player), escort);
+  assert.equal(manager._pickTarget(fakeEnemy(2, 0), player), player);
+
+  escort.isDead = true;
+  assert.equal(manager._pickTarget(enemy, player), player);
+});
+
+/**
+ * Escort quest accepted, with hooks spawning the escort on the first update
+ */
+function escortQuest() {
+  const qm = new QuestManager();
+  qm.loadSaveData({ completedQuests: ['merchant_delivery'] });
+  assert.equal(qm.acceptQuest('escort_the_merchant').success, true);
+
+  const registered = [];
+  const enemyManager = {
+    enemies: [],
+    registerAlly: (escort) => registered.push(escort),
+    unregisterAlly: (escort) => registered.splice(registered.indexOf(escort), 1),
+  };
+  const hooks = new QuestWorldHooks();
+  hooks.init({ questManager: qm, enemyManager, terrain: FLAT });
+  hooks.update(0.1, { x: 0, y: 0, z: 0 });
+
+  return { qm, hooks, registered, escort: hooks.escorts.get('escort_the_merchant') };
+}
+
+test('the escort dying fails the quest', () => {
+  const { qm, hooks, registered, escort } = escortQuest();
+  assert.ok(escort);
+  assert.deepEqual(registered, [escort]);
+  assert.equal(escort.config.name, 'Lydia');
+
+  escort.receiveEnemyHit(40);
+  assert.equal(qm.getQuestState('escort_the_merchant').objectives[0].npcCurrentHealth, 60);
+
+  escort.receiveEnemyHit(80);
+  assert.equal(qm.hasActiveQuest('escort_the_merchant'), false);
+  assert.equal(hooks.escorts.size, 0);
+  assert.deepEqual(registered, []);
+});
+
+test('the escort reaching the destination completes the objective', () => {
+  const { qm, escort } = escortQuest();
+
+  // Player walks alongside until the escort gets there
+  for (let i = 0; i < 200 && escort.state !== 'arrived'; i++) {
+    const { x, z } = escort.mesh.position;
+    escort.update(0.5, { x, z: z + 2 });
+  }
+  assert.equal(escort.state, 'arrived');
+  assert.equal(qm.getQuestState('escort_the_merchant').status, 'ready');
+});
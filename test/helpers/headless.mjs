@@ -0,0 +1,22 @@
+/**
+ * Shared stand-ins for tests that run game systems outside the browser.
+ * Importing this module installs the document stub.
+ */
+
+import * as THREE from 'three';
+
+// QuestManager looks up its tracker/notification elements and skips them when absent
+globalThis.document ??= { getElementById: () => null };
+
+/**
+ * Live enemy at (x, z) chasing anything within detectionRange
+ */
+export function fakeEnemy(x, z, detectionRange = 10) {
+  return {
+    isDead: false,
+    health: 50,
+    state: 'chase',
+    mesh: { position: new THREE.Vector3(x, 0, z), visible: true },
+    config: { detectionRange },
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * Shared World stand-ins for the dungeon tests.
+ */
+
+import { World } from '../../src/world/World.js';
+
+/**
+ * World with only the secret hooks (illusory walls and shortcut doors) -
+ * skips the constructor's terrain and castle
+ */
+export function createSecretsWorld() {
+  const world = Object.create(World.prototype);
+  Object.assign(world, {
+    hiddenWalls: [],
+    shortcuts: [],
+    onHiddenWallRevealedCallbacks: [],
+    onShortcutUnlockedCallbacks: [],
+  });
+  return world;
+}
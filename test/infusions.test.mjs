@@ -0,0 +1,73 @@
+/**
+ * Infusion tests - depths feed the player's stats, legacy Crucible tracks
+ * are refunded as Remnant on load, and infusing is gated by cost, track
+ * depth and total depth.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/headless.mjs';
+import { GameManager } from '../src/systems/GameManager.js';
+import { getInfusionCost, MAX_TRACK_DEPTH } from '../src/data/InfusionData.js';
+
+test('infusion depths feed max health, stamina, damage and tradeoffs', () => {
+  const gm = new GameManager();
+  gm.setInfusions({ bone: 1, blood: 4, stone: 3 });
+  gm.applyInfusionBonuses();
+  gm.health = gm.maxHealth;
+
+  // Vital Thirst +30 and Bulwark +40 health, Quickened Pulse +15 stamina
+  assert.equal(gm.maxHealth, 170);
+  assert.equal(gm.maxStamina, 115);
+  assert.equal(gm.getDamageMultiplier(), 1.05);
+
+  const bonuses = gm.getInfusionBonuses();
+  assert.equal(bonuses.lifesteal, 0.1);
+  assert.equal(Math.round(bonuses.incomingDamageMult * 100) / 100, 1.2);
+  assert.equal(Math.round(bonuses.moveSpeedMult * 100) / 100, 0.9);
+  assert.equal(gm.getHumanity(), 90);
+  assert.equal(gm.hasInfusionUnlock('bulwark'), true);
+  assert.equal(gm.hasInfusionUnlock('rooted_guard'), false);
+});
+
+test('legacy tracks are refunded and depths are clamped on load', () => {
+  const gm = new GameManager();
+  gm.remnant = 50;
+  gm.setInfusions({ strength: 2, vitality: 1, bone: 2, stone: 9 });
+
+  assert.deepEqual(gm.infusions, { bone: 2, blood: 0, stone: MAX_TRACK_DEPTH });
+  assert.equal(gm.remnant, 50 + getInfusionCost(1) + getInfusionCost(2) + getInfusionCost(1));
+
+  // Current saves owe nothing
+  gm.setInfusions({ bone: 1, blood: 0, stone: 0 });
+  assert.equal(gm.remnant, 650);
+});
+
+test('infusing costs Remnant and stops at the track and total depth caps', () => {
+  const gm = new GameManager();
+  gm.remnant = getInfusionCost(1) - 1;
+  assert.equal(gm.infuse('bone'), false);
+  assert.equal(gm.infusions.bone, 0);
+  assert.equal(gm.getTrackInfo('bone').canAfford, false);
+
+  gm.remnant = getInfusionCost(1) + getInfusionCost(2);
+  assert.equal(gm.infuse('bone'), true);
+  assert.equal(gm.infuse('bone'), true);
+  assert.equal(gm.remnant, 0);
+  assert.equal(gm.infusions.bone, 2);
+  assert.equal(gm.infuse('rot'), false);
+
+  gm.remnant = 1e6;
+  gm.setInfusions({ bone: MAX_TRACK_DEPTH, blood: 4, stone: 0 });
+  assert.equal(gm.infuse('bone'), false);
+  assert.equal(gm.getTrackInfo('bone').maxed, true);
+
+  // One more depth reaches the total cap; nothing else can be infused after
+  assert.equal(gm.infuse('blood'), true);
+  assert.equal(gm.remnant, 1e6 - getInfusionCost(5));
+  assert.equal(gm.canInfuse('stone'), false);
+  assert.equal(gm.getTrackInfo('stone').capped, true);
+  assert.equal(gm.infuse('stone'), false);
+});
@@ -0,0 +1,106 @@
+/**
+ * InputMap tests - default keymap sanity, conflict detection between
+ * contexts, and keybinding save/load.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputMap, chordFromEvent, formatChord } from '../src/systems/InputMap.js';
+import { INPUT_ACTIONS, GAMEPAD_BUTTON, PRE_REBINDING_KEYS } from '../src/data/InputActionData.js';
+
+test('default bindings have no conflicts', () => {
+  assert.deepEqual(new InputMap().findAllConflicts(), []);
+});
+
+test('pre-rebinding keys load with their old clashes flagged', () => {
+  const map = new InputMap();
+  map.loadSaveData(PRE_REBINDING_KEYS);
+  assert.equal(map.matches({ code: 'Tab' }, 'cycleWeapon'), true);
+  assert.deepEqual(map.findAllConflicts(), [
+    { chord: 'KeyQ', actions: ['cycleWeapon', 'lockOn'] },
+    { chord: 'KeyF', actions: ['castSpell', 'parryAbility'] },
+    { chord: 'Tab', actions: ['cycleWeapon', 'openMap'] },
+  ]);
+});
+
+test('a gameplay and a menu action may share a key', () => {
+  const map = new InputMap();
+  // KeyW is moveForward (gameplay) and menuUp (menu) by default
+  assert.deepEqual(map.getConflicts('moveForward', 'KeyW'), []);
+  assert.ok(map.getBindings('menuUp').includes('KeyW'));
+});
+
+test('death study keys share gameplay keys and follow rebinding', () => {
+  const map = new InputMap();
+  // R dashes while alive and studies the death once dead
+  assert.deepEqual(map.getConflicts('studyDeath', 'KeyR'), []);
+  assert.equal(map.matches({ code: 'KeyR' }, 'studyDeath'), true);
+  assert.equal(map.isHeld('freeCameraDown', { ControlRight: true }), true);
+
+  map.setBinding('freeCameraUp', 0, 'KeyE');
+  assert.equal(map.isHeld('freeCameraUp', { Space: true }), false);
+  assert.equal(map.isHeld('freeCameraUp', { KeyE: true }), true);
+  assert.deepEqual(map.getConflicts('freeCameraUp', 'Escape'), ['back']);
+});
+
+test('binding a gameplay key to a global action is a conflict', () => {
+  const map = new InputMap();
+  const { success, conflicts } = map.setBinding('openMap', 0, 'KeyE');
+  assert.equal(success, true);
+  assert.deepEqual(conflicts, ['interact']);
+  assert.deepEqual(map.findAllConflicts(), [{ chord: 'KeyE', actions: ['interact', 'openMap'] }]);
+});
+
+test('modified presses fall back to the bare key unless the chord is bound', () => {
+  const map = new InputMap();
+  // Shift held for block must not swallow dodge
+  assert.equal(map.matches({ code: 'Space', shiftKey: true }, 'dodge'), true);
+  // Ctrl+1 is a potion, not weapon slot 1
+  assert.equal(map.matches({ code: 'Digit1', ctrlKey: true }, 'useHealthPotion'), true);
+  assert.equal(map.matches({ code: 'Digit1', ctrlKey: true }, 'weaponSlot1'), false);
+});
+
+test('held actions need their modifiers held', () => {
+  const map = new InputMap();
+  map.setBinding('moveForward', 0, 'Alt+KeyW');
+  assert.equal(map.isHeld('moveForward', { KeyW: true }), false);
+  assert.equal(map.isHeld('moveForward', { KeyW: true, AltLeft: true }), true);
+});
+
+test('only changed bindings are saved and they load back', () => {
+  const map = new InputMap();
+  map.setBinding('dodge', 0, 'KeyV');
+  map.setBinding('block', 1, null);
+
+  const saved = map.getSaveData();
+  assert.deepEqual(saved, { dodge: ['KeyV'], block: ['ShiftLeft'] });
+
+  const restored = new InputMap();
+  restored.loadSaveData({ ...saved, removedAction: ['KeyK'] });
+  assert.deepEqual(restored.getBindings('dodge'), ['KeyV']);
+  assert.deepEqual(restored.getBindings('block'), ['ShiftLeft']);
+  assert.equal(restored.getBindings('removedAction').length, 0);
+
+  restored.loadSaveData(null);
+  assert.deepEqual(restored.getBindings('dodge'), INPUT_ACTIONS.dodge.defaults);
+});
+
+test('chords read from events and format for display', () => {
+  assert.equal(chordFromEvent({ code: 'Digit1', ctrlKey: true }), 'Ctrl+Digit1');
+  assert.equal(chordFromEvent({ code: 'ShiftLeft', shiftKey: true }), 'ShiftLeft');
+  assert.equal(chordFromEvent({ button: 2 }), 'Mouse2');
+  assert.equal(formatChord('Ctrl+Digit1'), 'Ctrl+1');
+  assert.equal(formatChord('Mouse0'), 'Left Click');
+});
+
+test('gamepad settings are clamped and actions map to fixed pad buttons', () => {
+  const map = new InputMap();
+  map.setGamepadSettings({ deadZone: 2, lookSensitivity: -1 });
+  assert.deepEqual(map.gamepad, { deadZone: 0.9, lookSensitivity: 0.1 });
+  map.setGamepadSettings({ lookSensitivity: 1.5 });
+  assert.deepEqual(map.gamepad, { deadZone: 0.9, lookSensitivity: 1.5 });
+  assert.equal(map.getGamepadButton('lightAttack'), GAMEPAD_BUTTON.RT);
+  assert.equal(map.getGamepadButton('menuUp'), null);
+});
@@ -0,0 +1,92 @@
+/**
+ * Legacy save migration tests - pre-SaveManager keys fold into the most
+ * recent slot, or into a fresh autosave when there is none or its data key
+ * has gone missing, and the migration is only marked done once it wrote.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AUTOSAVE_SLOT } from '../src/systems/SaveManager.js';
+import { createDefaultSaveData, SAVE_SLOT_TYPE } from '../src/systems/SaveDataSchema.js';
+import { migrateLegacyStorage } from '../src/systems/LegacySaveMigration.js';
+
+const memory = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (memory.has(key) ? memory.get(key) : null),
+  setItem: (key, value) => memory.set(key, String(value)),
+  removeItem: (key) => memory.delete(key),
+  key: (i) => [...memory.keys()][i] ?? null,
+  get length() { return memory.size; },
+};
+
+function seedLegacyKeys() {
+  memory.clear();
+  memory.set('ashen_inventory', JSON.stringify({ gold: 420, items: {} }));
+  memory.set('boss_killed_ashen_knight', 'true');
+}
+
+/**
+ * SaveManager stand-in: slot metadata plus whatever data keys exist
+ */
+function makeSaveManager(slots) {
+  const written = [];
+  return {
+    written,
+    getMostRecentSave: () => {
+      const [slotId, slot] = Object.entries(slots).sort((a, b) => b[1].metadata.timestamp - a[1].metadata.timestamp)[0] || [];
+      return slotId === undefined ? null : { slotId: Number(slotId), metadata: slot.metadata };
+    },
+    readSlotRecord: async (slotId) => {
+      const slot = slots[slotId];
+      return slot?.data ? { slotId, metadata: slot.metadata, data: slot.data } : null;
+    },
+    writeSlotRecord: async (slotId, record) => {
+      written.push({ slotId, ...record });
+      return { success: true };
+    },
+    compressSaveData: (data) => JSON.stringify(data),
+    decompressSaveData: (data) => JSON.parse(data),
+  };
+}
+
+test('legacy keys fold into the most recent slot', async () => {
+  seedLegacyKeys();
+  const slotData = createDefaultSaveData(2, SAVE_SLOT_TYPE.MANUAL);
+  slotData.player.level = 7;
+  const saveManager = makeSaveManager({
+    2: { metadata: { timestamp: 2000 }, data: JSON.stringify(slotData) },
+  });
+
+  const result = await migrateLegacyStorage(saveManager);
+  assert.equal(result.slotId, 2);
+
+  const saved = JSON.parse(saveManager.written[0].data);
+  assert.equal(saved.player.level, 7);
+  assert.equal(saved.inventory.gold, 420);
+  assert.ok(saved.combat.bossKills.ashen_knight);
+  assert.equal(memory.has('ashen_inventory'), false);
+  assert.equal(memory.has('boss_killed_ashen_knight'), false);
+});
+
+test('slot metadata without its data key migrates into a fresh autosave and is marked done', async () => {
+  seedLegacyKeys();
+  const saveManager = makeSaveManager({
+    1: { metadata: { timestamp: 3000 }, data: null },
+  });
+
+  const result = await migrateLegacyStorage(saveManager);
+  assert.equal(result.slotId, AUTOSAVE_SLOT);
+  assert.equal(saveManager.written.length, 1);
+
+  const saved = JSON.parse(saveManager.written[0].data);
+  assert.equal(saved.inventory.gold, 420);
+  assert.equal(saved.player.level, createDefaultSaveData(AUTOSAVE_SLOT, SAVE_SLOT_TYPE.AUTOSAVE).player.level);
+  assert.equal(memory.has('ashen_inventory'), false);
+
+  // Done - the next launch does nothing
+  memory.set('ashen_inventory', JSON.stringify({ gold: 1 }));
+  assert.equal(await migrateLegacyStorage(saveManager), null);
+  assert.equal(saveManager.written.length, 1);
+});
@@ -0,0 +1,145 @@
+/**
+ * NPC scheduler tests - village NPCs follow NPC_SCHEDULES between their hut,
+ * work spot and the well, go indoors to sleep and shelter from rain.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { TimeWeatherGameplay } from '../src/systems/TimeWeatherGameplay.js';
+import { WEATHER_TYPES } from '../src/systems/WeatherManager.js';
+import { NPCScheduler } from '../src/systems/NPCScheduler.js';
+
+const LAYOUT = {
+  well: { x: 0, z: 0 },
+  huts: [
+    { x: 10, z: 0, door: { x: 8, z: 0 } },
+    { x: -10, z: 0, door: { x: -8, z: 0 } },
+  ],
+  stalls: [{ x: 0, z: 6 }],
+  forge: { x: 0, z: -6 },
+  workbench: { x: 5, z: 5 },
+  alchemyTable: { x: -5, z: 5 },
+  patrol: [{ x: 11, z: 0 }, { x: 0, z: 11 }, { x: -11, z: 0 }, { x: 0, z: -11 }],
+};
+
+function makeNPC(type, homeIndex) {
+  return {
+    id: `${type}_${homeIndex}`,
+    type,
+    homeIndex,
+    position: new THREE.Vector3(0, 0, 0),
+    mesh: new THREE.Group(),
+    villageX: 0,
+    villageZ: 0,
+  };
+}
+
+/**
+ * Scheduler over one village at the given hour and weather
+ */
+function village(types, { hour = 10, weather = WEATHER_TYPES.CLEAR } = {}) {
+  const npcs = types.map((type, i) => makeNPC(type, i));
+  const clock = { currentHour: hour };
+  const weatherManager = { currentWeather: weather };
+  // The real schedule lookup, without the HUD the constructor builds
+  const timeWeatherGameplay = Object.create(TimeWeatherGameplay.prototype);
+  timeWeatherGameplay.timeManager = clock;
+
+  const scheduler = new NPCScheduler();
+  scheduler.init({
+    npcManager: { getNPCs: () => npcs, terrain: { getTerrainHeight: () => 0 } },
+    villageManager: { getVillageLayout: () => LAYOUT },
+    timeWeatherGameplay,
+    weatherManager,
+  });
+  return { npcs, clock, weatherManager, scheduler };
+}
+
+/**
+ * Run the scheduler long enough for anyone to cross the village
+ */
+function runFor(scheduler, seconds) {
+  for (let t = 0; t < seconds; t += 0.5) scheduler.update(0.5);
+}
+
+test('NPCs start at their scheduled spot', () => {
+  const { npcs, scheduler } = village(['merchant', 'blacksmith']);
+  scheduler.update(0.1);
+  const [merchant, blacksmith] = npcs;
+
+  assert.deepEqual([merchant.position.x, merchant.position.z], [0, 6]);
+  assert.deepEqual([blacksmith.position.x, blacksmith.position.z], [0, -6]);
+  assert.equal(merchant.activity, 'Minding the market stall');
+  assert.equal(merchant.indoors, false);
+});
+
+test('at night NPCs walk home through the door and go indoors', () => {
+  const { npcs, clock, scheduler } = village(['merchant']);
+  const [merchant] = npcs;
+  scheduler.update(0.1);
+
+  clock.currentHour = 23;
+  scheduler.update(1);
+  assert.equal(merchant.indoors, false); // Still walking
+  runFor(scheduler, 30);
+  assert.equal(merchant.indoors, true);
+  assert.equal(merchant.mesh.visible, false);
+  assert.deepEqual([merchant.position.x, merchant.position.z], [10, 0]);
+
+  // Morning: out the door and back to work
+  clock.currentHour = 9;
+  scheduler.update(1);
+  assert.equal(merchant.indoors, false);
+  assert.equal(merchant.mesh.visible, true);
+  runFor(scheduler, 30);
+  assert.ok(merchant.position.distanceTo(new THREE.Vector3(0, 0, 6)) < 0.5);
+});
+
+test('rain sends villagers home, guards keep their shift', () => {
+  const { npcs, weatherManager, scheduler } = village(['villager', 'guard', 'guard']);
+  scheduler.update(0.1);
+  const [villager, dayGuard, nightGuard] = npcs;
+  assert.equal(dayGuard.shift, 'day');
+  assert.equal(nightGuard.shift, 'night');
+  assert.equal(nightGuard.indoors, true);
+
+  weatherManager.currentWeather = WEATHER_TYPES.STORM;
+  runFor(scheduler, 30);
+  assert.equal(villager.indoors, true);
+  assert.equal(villager.activity, 'Sheltering from the weather');
+  assert.equal(dayGuard.indoors, false);
+  assert.equal(dayGuard.activity, 'On patrol');
+});
+
+test('NPCs hold still while the player is close', () => {
+  const { npcs, clock, scheduler } = village(['blacksmith']);
+  const [blacksmith] = npcs;
+  scheduler.update(0.1);
+
+  clock.currentHour = 21; // Evening at the well
+  const player = { x: 0, y: 0, z: -5 };
+  scheduler.update(1, player);
+  scheduler.update(5, player);
+  assert.deepEqual([blacksmith.position.x, blacksmith.position.z], [0, -6]);
+
+  scheduler.update(5, { x: 50, y: 0, z: 50 });
+  assert.notDeepEqual([blacksmith.position.x, blacksmith.position.z], [0, -6]);
+});
+
+test('guards spawned after init take the next shift in their village', () => {
+  const { npcs, scheduler } = village(['guard']);
+  scheduler.update(0.1);
+
+  const lateGuard = makeNPC('guard', 1);
+  const otherVillageGuard = { ...makeNPC('guard', 2), villageX: 500 };
+  npcs.push(lateGuard, otherVillageGuard);
+  scheduler.update(0.1);
+
+  assert.equal(npcs[0].shift, 'day');
+  assert.equal(lateGuard.shift, 'night');
+  assert.equal(lateGuard.indoors, true);
+  assert.equal(otherVillageGuard.shift, 'day');
+});
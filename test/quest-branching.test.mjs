@@ -0,0 +1,147 @@
+/**
+ * Quest branching tests - choice objectives pick the next quest, close off
+ * competing quests for good and survive a save round trip.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  QUESTS,
+  arePrerequisitesMet,
+  getBranchOrigin,
+  getChoiceObjectives,
+  getCompetingQuests,
+  getNextInChain,
+  getQuest,
+} from '../src/data/QuestData.js';
+import { QuestManager } from '../src/systems/QuestManager.js';
+import { DialogueRuntime, QUEST_VIEW } from '../src/systems/DialogueRuntime.js';
+import { WorldFlags } from '../src/systems/WorldFlags.js';
+import './helpers/headless.mjs';
+
+/**
+ * Quest manager that has done Lydia's delivery and is at the toll camp
+ */
+function atTollCamp() {
+  const qm = new QuestManager();
+  qm.loadSaveData({ completedQuests: ['merchant_delivery'] });
+  assert.equal(qm.acceptQuest('the_toll_road').success, true);
+  qm.updateProgress('explore', 'toll_camp', 1);
+  return qm;
+}
+
+test('every choice option unlocks and fails quests that exist', () => {
+  for (const quest of Object.values(QUESTS)) {
+    for (const obj of getChoiceObjectives(quest.objectives)) {
+      assert.ok(obj.options.length >= 2, `${quest.id}.${obj.id}: a choice needs options`);
+      for (const option of obj.options) {
+        for (const id of [...(option.unlocks || []), ...(option.fails || [])]) {
+          assert.ok(getQuest(id), `${quest.id}.${obj.id}.${option.id} names missing quest ${id}`);
+        }
+      }
+    }
+  }
+});
+
+test('branch quests need the choice that unlocks them', () => {
+  assert.deepEqual(getBranchOrigin('smugglers_run'), {
+    questId: 'the_toll_road', objectiveId: 'obj_2', optionId: 'take_the_bribe',
+  });
+  assert.equal(getBranchOrigin('bandit_problem'), null);
+
+  const completed = ['merchant_delivery', 'the_toll_road'];
+  const choices = [{ questId: 'the_toll_road', optionId: 'report_bandits' }];
+  assert.equal(arePrerequisitesMet('clear_the_toll_road', completed, choices), true);
+  assert.equal(arePrerequisitesMet('smugglers_run', completed, choices), false);
+  assert.equal(arePrerequisitesMet('smugglers_run', completed), false);
+
+  const [deal] = getChoiceObjectives(getQuest('the_toll_road').objectives);
+  assert.deepEqual(getCompetingQuests(deal, 'take_the_bribe').sort(), ['clear_the_toll_road', 'escort_the_merchant']);
+  assert.deepEqual(getCompetingQuests(deal, 'report_bandits'), ['smugglers_run']);
+});
+
+test('a choice waits for earlier objectives', () => {
+  const qm = new QuestManager();
+  qm.loadSaveData({ completedQuests: ['merchant_delivery'] });
+  qm.acceptQuest('the_toll_road');
+
+  const result = qm.makeChoice('the_toll_road', 'obj_2', 'report_bandits');
+  assert.equal(result.success, false);
+  assert.equal(qm.getChoiceHistory().length, 0);
+});
+
+test('choosing a side picks the next quest and fails the other path', () => {
+  const qm = atTollCamp();
+  const events = [];
+  qm.on('onQuestChoice', ({ option, failed }) => events.push([option.id, failed]));
+
+  const result = qm.makeChoice('the_toll_road', 'obj_2', 'take_the_bribe');
+  assert.equal(result.success, true);
+  assert.equal(qm.getQuestState('the_toll_road').status, 'ready');
+  assert.deepEqual(events, [['take_the_bribe', ['escort_the_merchant', 'clear_the_toll_road']]]);
+  assert.equal(qm.makeChoice('the_toll_road', 'obj_2', 'report_bandits').success, false);
+
+  assert.equal(qm.turnInQuest('the_toll_road').success, true);
+  assert.equal(qm.availableQuests.has('smugglers_run'), true);
+  assert.equal(qm.availableQuests.has('clear_the_toll_road'), false);
+  assert.equal(qm.availableQuests.has('escort_the_merchant'), false);
+  assert.equal(qm.acceptQuest('clear_the_toll_road').success, false);
+  assert.equal(getNextInChain('the_toll_road', qm.getChoiceHistory()), 'smugglers_run');
+});
+
+test('an active competing quest is failed when its path closes', () => {
+  const qm = atTollCamp();
+  qm.acceptQuest('escort_the_merchant');
+  const failed = [];
+  qm.on('onQuestFailed', ({ questId }) => failed.push(questId));
+
+  qm.makeChoice('the_toll_road', 'obj_2', 'take_the_bribe');
+  assert.deepEqual(failed, ['escort_the_merchant']);
+  assert.equal(qm.hasActiveQuest('escort_the_merchant'), false);
+  assert.equal(qm.failedQuests.has('escort_the_merchant'), true);
+  // Repeatable, but a closed path doesn't come back off cooldown
+  assert.equal(qm.questCooldowns.has('escort_the_merchant'), false);
+});
+
+test('branch history survives a save round trip', () => {
+  const qm = atTollCamp();
+  qm.makeChoice('the_toll_road', 'obj_2', 'report_bandits');
+  qm.turnInQuest('the_toll_road');
+
+  const restored = new QuestManager();
+  restored.loadSaveData(JSON.parse(JSON.stringify(qm.getSaveData())));
+
+  assert.deepEqual(
+    restored.getChoiceHistory(['the_toll_road']).map(c => [c.optionId, c.failed]),
+    [['report_bandits', ['smugglers_run']]],
+  );
+  assert.equal(restored.availableQuests.has('clear_the_toll_road'), true);
+  assert.equal(restored.availableQuests.has('smugglers_run'), false);
+});
+
+test('the deciding NPC offers the choice in conversation', () => {
+  const qm = atTollCamp();
+  const reputation = [];
+  const runtime = new DialogueRuntime();
+  runtime.init({
+    questManager: qm,
+    worldFlags: new WorldFlags(),
+    questRewards: { getReputation: () => 0, addReputation: (...args) => reputation.push(args) },
+  });
+  qm.on('onQuestChoice', ({ option }) => {
+    Object.entries(option.reputation).forEach(args => runtime.systems.questRewards.addReputation(...args));
+  });
+
+  const session = runtime.start('merchant_lydia');
+  assert.equal(session.node.questView, QUEST_VIEW.CHOICE);
+  assert.deepEqual(session.node.choices.map(c => c.text), ['Tell Lydia everything', 'Cover for the bandits']);
+
+  session.choose(0);
+  assert.equal(session.node.id, 'quest_choice_made');
+  assert.deepEqual(reputation, [['merchants_union', 100], ['bandits', -150]]);
+
+  // Next time Lydia talks about the finished quest instead
+  assert.equal(runtime.start('merchant_lydia').node.questView, QUEST_VIEW.TURN_IN);
+});
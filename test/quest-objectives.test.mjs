@@ -0,0 +1,209 @@
+/**
+ * Quest objective tests - craft, puzzle, dungeon, survive, defend and
+ * timed-hunt objectives progress from the systems that drive them.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuestManager } from '../src/systems/QuestManager.js';
+import { QuestWorldHooks } from '../src/systems/QuestWorldHooks.js';
+import * as THREE from 'three';
+import { PuzzleManager } from '../src/systems/PuzzleManager.js';
+import { DungeonRewards } from '../src/systems/DungeonRewards.js';
+import { DungeonManager } from '../src/systems/DungeonManager.js';
+import { DungeonGenerator } from '../src/world/DungeonGenerator.js';
+import './helpers/headless.mjs';
+
+// Pressure plates draw their numbers on a canvas
+const canvas2d = { fillRect() {}, fillText() {} };
+globalThis.document.createElement ??= () => ({ getContext: () => canvas2d });
+
+// Puzzle runtime without its prompt, notification and success flash
+class HeadlessPuzzles extends PuzzleManager {
+  _createPuzzleUI() {}
+  _showPrompt() {}
+  _hidePrompt() {}
+  _showSolvedNotification() {}
+  _playSuccessEffect() {}
+}
+
+// Rewards without the victory screen
+class HeadlessRewards extends DungeonRewards {
+  createVictoryScreen() {}
+}
+
+// First seed whose catacombs floor rolled a pressure-plate puzzle (puzzle types are not seeded)
+function findPlateFloor(fromSeed, modifier = 'none') {
+  for (let seed = fromSeed; seed < fromSeed + 500; seed++) {
+    const floor = new DungeonGenerator(seed).generate('forgotten_catacombs', modifier);
+    if (floor.rooms.some(r => r.puzzle?.visualType === 'floor_plates')) return floor;
+  }
+  throw new Error('no seed rolled a pressure-plate puzzle');
+}
+
+/**
+ * Walk the player onto each plate in solution order
+ */
+function stepPlates(puzzles, puzzle, player) {
+  for (const index of puzzle.solution) {
+    puzzle.components[index].getWorldPosition(player.position);
+    player.position.y = 0.5;
+    puzzles.update(0.05);
+    player.position.copy(puzzle.roomPosition).add(new THREE.Vector3(0, 0.5, 6));
+    puzzles.update(0.05);
+  }
+}
+
+/**
+ * Quest manager with the given quests done and one quest accepted, plus hooks wired to it
+ */
+function withQuest(questId, completedQuests = [], systems = {}) {
+  const qm = new QuestManager();
+  qm.loadSaveData({ completedQuests });
+  assert.equal(qm.acceptQuest(questId).success, true);
+
+  const hooks = new QuestWorldHooks();
+  hooks.init({ questManager: qm, ...systems });
+  return { qm, hooks, objective: qm.getQuestState(questId).objectives[0] };
+}
+
+test('crafted items count toward craft objectives', () => {
+  const listeners = [];
+  const craftingManager = { onCraft: (cb) => { listeners.push(cb); return () => {}; } };
+  const { qm } = withQuest('apprentices_test', [], { craftingManager });
+
+  listeners.forEach(cb => cb({ id: 'refine_steel' }, 'refined_steel', 2));
+  listeners.forEach(cb => cb({ id: 'craft_iron_sword' }, 'iron_sword', 1));
+  assert.equal(qm.getQuestState('apprentices_test').status, 'ready');
+});
+
+test('any puzzle counts, and dungeon clears must match the modifier', () => {
+  const puzzles = withQuest('echoes_in_stone', ['explore_the_ruins']);
+  puzzles.hooks.onPuzzleSolved({ id: 'pressure_plates_1' });
+  puzzles.hooks.onPuzzleSolved({ id: 'torch_room_2' });
+  assert.equal(puzzles.qm.getQuestState('echoes_in_stone').status, 'ready');
+
+  const dungeon = withQuest('trial_of_the_elite', ['hollow_purge']);
+  dungeon.hooks.onDungeonCleared('forsaken_crypt', 'cursed');
+  assert.equal(dungeon.objective.current, 0);
+  dungeon.hooks.onDungeonCleared('forsaken_crypt', 'elite');
+  assert.equal(dungeon.qm.getQuestState('trial_of_the_elite').status, 'ready');
+});
+
+test('stepping a generated floor\'s pressure plates and beating its boss complete their quests', () => {
+  const input = { interact: false, consumeAction: () => false };
+  const player = { position: new THREE.Vector3() };
+  const puzzles = new HeadlessPuzzles(new THREE.Scene(), input, { play() {} }, null);
+  puzzles.setPlayer(player);
+  const quest = withQuest('echoes_in_stone', ['explore_the_ruins'], { puzzleManager: puzzles });
+
+  // One plate puzzle on each of two floors
+  const first = findPlateFloor(1);
+  const second = findPlateFloor(first.seed + 1);
+  for (const floor of [first, second]) {
+    puzzles.clearDungeonPuzzles();
+    const [puzzle] = puzzles.createPuzzlesForDungeon(floor).filter(p => p.visualType === 'floor_plates');
+    stepPlates(puzzles, puzzle, player);
+    assert.equal(puzzle.isActive, false);
+  }
+  assert.equal(quest.qm.getQuestState('echoes_in_stone').status, 'ready');
+
+  // The boss falls on an elite run
+  const dungeonRewards = new HeadlessRewards({});
+  const dungeon = withQuest('trial_of_the_elite', ['hollow_purge'], { dungeonRewards });
+  const floor = new DungeonGenerator(7).generate('forgotten_catacombs', 'elite');
+  const manager = Object.assign(Object.create(DungeonManager.prototype), {
+    gameManager: { dungeonRewards },
+    currentDungeonId: floor.dungeonId,
+    currentDungeon: floor,
+    dungeonProgress: new Map([[floor.dungeonId, {
+      roomsCleared: new Set(),
+      chestsLooted: new Set(),
+      puzzlesSolved: new Set(),
+      startedAt: Date.now() - 60000,
+      enemiesKilled: 0,
+    }]]),
+    exitPortal: null,
+  });
+  manager.markBossDefeated();
+
+  assert.equal(dungeonRewards.completedDungeons.get('forgotten_catacombs').modifier, 'elite');
+  assert.equal(dungeon.qm.getQuestState('trial_of_the_elite').status, 'ready');
+});
+
+test('a night only counts when dawn comes without a death', () => {
+  const timeManager = { onPhaseChange: null };
+  const gameManager = { deathCount: 0 };
+  const { qm, objective } = withQuest('sleepless_vigil', ['guard_duty'], { timeManager, gameManager });
+
+  timeManager.onPhaseChange('night', 'dusk');
+  timeManager.onPhaseChange('dawn', 'night');
+  assert.equal(objective.current, 1);
+
+  timeManager.onPhaseChange('night', 'dusk');
+  gameManager.deathCount++;
+  timeManager.onPhaseChange('dawn', 'night');
+  assert.equal(objective.current, 1);
+
+  timeManager.onPhaseChange('night', 'dusk');
+  timeManager.onPhaseChange('dawn', 'night');
+  assert.equal(qm.getQuestState('sleepless_vigil').status, 'ready');
+});
+
+test('timed hunt progress resets when the window closes', () => {
+  const { qm, objective } = withQuest('hollow_purge');
+
+  qm.updateProgress('kill', 'HOLLOW_SOLDIER', 1);
+  qm.updateProgress('kill', 'HOLLOW_SOLDIER', 1);
+  assert.equal(objective.current, 2);
+
+  // Timer checker closes a stale window
+  objective.windowStartedAt -= objective.timeLimitSeconds * 1000;
+  qm.expireHuntWindows();
+  assert.equal(objective.current, 0);
+  assert.equal(objective.windowStartedAt, null);
+
+  // A kill after an expired window starts a new one
+  qm.updateProgress('kill', 'HOLLOW_SOLDIER', 1);
+  objective.windowStartedAt -= objective.timeLimitSeconds * 1000;
+  qm.updateProgress('kill', 'HOLLOW_SOLDIER', 1);
+  assert.equal(objective.current, 1);
+});
+
+test('defend objectives count cleared waves and reset if the player leaves', () => {
+  const enemyManager = {
+    enemies: [],
+    spawnWave(center, { count }) {
+      const wave = Array.from({ length: count }, () => ({ isDead: false }));
+      this.enemies.push(...wave);
+      return wave;
+    },
+    removeEnemy(enemy) {
+      this.enemies.splice(this.enemies.indexOf(enemy), 1);
+    },
+  };
+  const { hooks, objective } = withQuest('hold_the_line', ['guard_duty', 'sleepless_vigil'], {
+    enemyManager,
+    gameManager: { deathCount: 0 },
+  });
+  const gate = { x: objective.position.x, y: 0, z: objective.position.z };
+
+  hooks.update(0.1, gate);
+  assert.ok(hooks.activeDefense);
+  hooks.update(6, gate);
+  assert.equal(enemyManager.enemies.length, objective.waveSize);
+
+  enemyManager.enemies.forEach(enemy => { enemy.isDead = true; });
+  hooks.update(0.1, gate);
+  assert.equal(objective.current, 1);
+
+  // Next wave arrives, then the player runs off
+  hooks.update(objective.waveIntervalSeconds + 1, gate);
+  assert.equal(enemyManager.enemies.filter(e => !e.isDead).length, objective.waveSize);
+  hooks.update(0.1, { x: gate.x + objective.radius * 2, y: 0, z: gate.z });
+  assert.equal(objective.current, 0);
+  assert.equal(hooks.activeDefense, null);
+  assert.equal(enemyManager.enemies.filter(e => !e.isDead).length, 0);
+});
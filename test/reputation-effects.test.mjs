@@ -0,0 +1,123 @@
+/**
+ * Reputation effects tests - faction tiers gate shop gear, change village
+ * greetings, teach faction recipes and send ambushes from hostile villages.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAvailableItems } from '../src/data/MerchantData.js';
+import { REP_TIERS, FACTION_AMBUSHES, AMBUSH_COOLDOWN, getRepTierKey } from '../src/data/ReputationData.js';
+import { DialogueRuntime } from '../src/systems/DialogueRuntime.js';
+import { ReputationEffects, getTierUnlocks } from '../src/systems/ReputationEffects.js';
+
+/**
+ * Stand-in for QuestRewards: reputation lookup plus onReputationChange listeners
+ */
+function fakeRewards(reputation = {}) {
+  const listeners = [];
+  return {
+    reputation,
+    getReputation: (factionId) => reputation[factionId] || 0,
+    on: (event, cb) => listeners.push(cb),
+    change(factionId, rep) {
+      reputation[factionId] = rep;
+      listeners.forEach(cb => cb({ factionId, newRep: rep }));
+    },
+  };
+}
+
+test('tier keys follow the reputation thresholds', () => {
+  assert.equal(getRepTierKey(-5000), 'HATED');
+  assert.equal(getRepTierKey(-500), 'HOSTILE');
+  assert.equal(getRepTierKey(0), 'NEUTRAL');
+  assert.equal(getRepTierKey(REP_TIERS.HONORED.min), 'HONORED');
+});
+
+test('faction gear only stocks once its tier is reached', () => {
+  const stocked = (rep) => getAvailableItems('blacksmith', 20, (f) => rep[f] || 0);
+
+  assert.ok(!stocked({}).includes('ashvale_warden_shield'));
+  assert.ok(!stocked({ village: REP_TIERS.FRIENDLY.min }).includes('ashvale_warden_shield'));
+  assert.ok(stocked({ village: REP_TIERS.HONORED.min }).includes('ashvale_warden_shield'));
+
+  // Without a reputation lookup gated items stay hidden
+  assert.ok(!getAvailableItems('blacksmith', 20).includes('ashvale_warden_shield'));
+});
+
+test('village NPCs greet by their faction standing', () => {
+  const rewards = fakeRewards({ bandits: -2000, village: REP_TIERS.FRIENDLY.min });
+  const runtime = new DialogueRuntime();
+  runtime.init({ questRewards: rewards });
+
+  const hostile = runtime.start('merchant', { faction: 'bandits', random: () => 0 });
+  assert.equal(hostile.node.id, 'greeting_hostile');
+  hostile.advance();
+  assert.equal(hostile.ended, true);
+  assert.equal(hostile.endAction, null);
+
+  const friendly = runtime.start('guard', { faction: 'village', random: () => 0 });
+  assert.equal(friendly.node.id, 'greeting_friendly');
+
+  // No faction: the usual greeting
+  assert.equal(runtime.start('merchant', { random: () => 0 }).node.id, 'greeting');
+});
+
+test('faction recipes are taught when reputation reaches their tier', () => {
+  const unlocked = new Set();
+  const craftingManager = {
+    unlockRecipe: (id) => (unlocked.has(id) ? false : (unlocked.add(id), true)),
+  };
+  const rewards = fakeRewards();
+  const effects = new ReputationEffects();
+  effects.init({ questRewards: rewards, craftingManager });
+  assert.equal(unlocked.size, 0);
+
+  rewards.change('hunters_guild', REP_TIERS.FRIENDLY.min);
+  assert.ok(unlocked.has('trackers_charm'));
+  assert.ok(!unlocked.has('guild_beastbane'));
+
+  rewards.change('hunters_guild', REP_TIERS.HONORED.min);
+  assert.ok(unlocked.has('guild_beastbane'));
+
+  const guildUnlocks = getTierUnlocks('hunters_guild');
+  assert.deepEqual(guildUnlocks.FRIENDLY.map(u => u.id), ['trackers_charm']);
+});
+
+test('hostile villages send an ambush squad, then wait out the cooldown', () => {
+  const spawned = [];
+  const enemyManager = {
+    spawnWave(center, { types, count }) {
+      const wave = Array.from({ length: count }, (_, i) => ({ type: types[i], config: { name: types[i] } }));
+      spawned.push(...wave);
+      return wave;
+    },
+  };
+  const notices = [];
+  const effects = new ReputationEffects();
+  effects.init({
+    questRewards: fakeRewards({ bandits: -2000 }),
+    enemyManager,
+    villageManager: {
+      getVillagePositions: () => [
+        { x: 0, z: 0, faction: 'bandits' },
+        { x: 0, z: 30, faction: 'village' },
+      ],
+    },
+    questManager: { showNotification: (text) => notices.push(text) },
+  });
+
+  const squad = FACTION_AMBUSHES.bandits.squad;
+  effects.update(0.1, { x: 10, y: 0, z: 0 });
+  assert.equal(spawned.length, squad.length);
+  assert.deepEqual(spawned.map(e => e.config.name), squad.map(m => m.name));
+  assert.deepEqual(notices, [FACTION_AMBUSHES.bandits.message]);
+
+  // Same village stays quiet until the cooldown runs out
+  effects.update(5, { x: 10, y: 0, z: 0 });
+  assert.equal(spawned.length, squad.length);
+  effects.update(AMBUSH_COOLDOWN, { x: 10, y: 0, z: 0 });
+  effects.update(0.1, { x: 10, y: 0, z: 0 });
+  assert.equal(spawned.length, squad.length * 2);
+});
@@ -0,0 +1,154 @@
+/**
+ * Save fixture tests - every fixture under test/fixtures/saves must migrate
+ * to the current schema and pass validation, so schema changes can't
+ * silently break old saves.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  SAVE_VERSION,
+  SAVE_MIGRATIONS,
+  migrateSaveData,
+  upgradeSaveData,
+  validateSaveData,
+  createSaveDelta,
+  applySaveDelta,
+  getDeltaSections,
+} from '../src/systems/SaveDataSchema.js';
+import { StateRestoration } from '../src/systems/StateRestoration.js';
+import { PRE_REBINDING_KEYS } from '../src/data/InputActionData.js';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'saves');
+
+const fixtures = readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .map(file => ({ file, data: JSON.parse(readFileSync(join(FIXTURE_DIR, file), 'utf8')) }));
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+// Shape mismatches (wrong types) - missing fields just fall back to defaults
+function typeMismatches(warnings) {
+  return warnings.filter(w => w.includes(': expected '));
+}
+
+// ========== REGISTRY ==========
+
+test('migration registry chains every version up to SAVE_VERSION', () => {
+  for (let version = 0; version < SAVE_VERSION; version++) {
+    const steps = SAVE_MIGRATIONS.filter(m => m.from === version);
+    assert.equal(steps.length, 1, `expected exactly one migration from v${version}`);
+    assert.equal(steps[0].to, version + 1, `migration from v${version} should go to v${version + 1}`);
+  }
+});
+
+test('there is a fixture for every save version', () => {
+  const versions = new Set(fixtures.map(({ data }) => data.version || 0));
+  for (let version = 0; version <= SAVE_VERSION; version++) {
+    assert.ok(versions.has(version), `missing fixture for save version ${version}`);
+  }
+});
+
+// ========== FIXTURES ==========
+
+for (const { file, data } of fixtures) {
+  test(`${file} migrates to v${SAVE_VERSION} and validates`, () => {
+    const { data: migrated, validation } = upgradeSaveData(data);
+
+    assert.equal(migrated.version, SAVE_VERSION);
+    assert.deepEqual(validation.errors, []);
+    assert.deepEqual(typeMismatches(validation.warnings), []);
+
+    const restoration = new StateRestoration();
+    const { errors, warnings } = restoration.validateSaveData(migrated);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(typeMismatches(warnings), []);
+  });
+
+  test(`${file} migration steps do not modify their input`, () => {
+    let current = deepFreeze({ ...JSON.parse(JSON.stringify(data)), version: data.version || 0 });
+    while (current.version < SAVE_VERSION) {
+      const step = SAVE_MIGRATIONS.find(m => m.from === current.version);
+      current = deepFreeze({ ...step.migrate(current), version: step.to });
+    }
+  });
+
+  test(`${file} is stable once migrated`, () => {
+    const once = migrateSaveData(data);
+    const twice = migrateSaveData(once.data);
+    assert.deepEqual(twice.migrationsApplied, []);
+    assert.deepEqual(twice.data, once.data);
+  });
+}
+
+// ========== SPECIFIC MIGRATIONS ==========
+
+test('v1 inventory snapshot is recovered into gold/items/potionHotbar', () => {
+  const { data } = fixtures.find(({ data }) => data.version === 1);
+  const { data: migrated } = migrateSaveData(data);
+
+  assert.equal(migrated.inventory.gold, data.inventory.items.gold);
+  assert.deepEqual(migrated.inventory.items, data.inventory.items.items);
+  assert.equal(migrated.player.spells, null);
+  assert.equal('unlockedSpells' in migrated.player, false);
+});
+
+test('saves from before rebinding keep their weapon and spell keys', () => {
+  const { data } = fixtures.find(({ data }) => data.version === 2);
+  const { data: migrated } = migrateSaveData(data);
+  assert.deepEqual(migrated.settings.keybindings, PRE_REBINDING_KEYS);
+
+  // Saves made since then already carry their keybindings
+  const rebound = { ...data, settings: { keybindings: {} } };
+  assert.deepEqual(migrateSaveData(rebound).data.settings.keybindings, {});
+});
+
+// ========== DELTAS ==========
+
+test('a save delta carries only changed sections and rebuilds the full save', () => {
+  const { data: base } = migrateSaveData(fixtures.find(({ data }) => data.version === SAVE_VERSION).data);
+  const next = JSON.parse(JSON.stringify(base));
+  next.updatedAt = base.updatedAt + 60000;
+  next.playtime = base.playtime + 60;
+  next.inventory.gold += 25;
+
+  const delta = createSaveDelta(base, next);
+  assert.deepEqual(getDeltaSections(delta), ['inventory']);
+  assert.deepEqual(applySaveDelta(base, delta), next);
+});
+
+// ========== VALIDATION ==========
+
+test('validation errors name the offending path', () => {
+  const { data } = migrateSaveData(fixtures.find(({ data }) => data.version === SAVE_VERSION).data);
+  data.player.level = 0;
+  data.player.position.y = 'high';
+  data.inventory.gold = '12';
+
+  const { valid, errors, warnings } = validateSaveData(data);
+  assert.equal(valid, false);
+  assert.ok(errors.includes('player.level: expected number >= 1, got 0'));
+  assert.ok(errors.includes('player.position.y: expected number, got "high"'));
+  assert.ok(warnings.includes('inventory.gold: expected number, got "12"'));
+});
+
+test('saves from a newer version are rejected untouched', () => {
+  const future = { ...fixtures[fixtures.length - 1].data, version: SAVE_VERSION + 1 };
+  const { data, migrationsApplied, validation } = upgradeSaveData(future);
+
+  assert.equal(data, future);
+  assert.deepEqual(migrationsApplied, []);
+  assert.ok(validation.errors.some(e => e.includes('newer')));
+});
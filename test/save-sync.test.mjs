@@ -0,0 +1,186 @@
+/**
+ * Save sync tests - detectSyncAction picks push, pull or conflict from the
+ * last synced baseline, and SaveSync pushes, pulls and holds conflicts over
+ * RestStorageBackend against a local save-server.mjs on an ephemeral port.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { createSaveServer } from '../save-server.mjs';
+import { RestStorageBackend, STORAGE_BACKEND_TYPE } from '../src/systems/SaveStorage.js';
+import { SaveSync, SYNC_ACTION, detectSyncAction, describeConflict } from '../src/systems/SaveSync.js';
+
+// SaveSync keeps its baselines in localStorage
+const memory = new Map();
+globalThis.localStorage ??= {
+  getItem: (key) => (memory.has(key) ? memory.get(key) : null),
+  setItem: (key, value) => memory.set(key, String(value)),
+  removeItem: (key) => memory.delete(key),
+};
+
+const meta = (timestamp, playtime) => ({ timestamp, playtime });
+
+/**
+ * Run fn with a save server listening on a free port
+ */
+async function withServer(fn) {
+  const server = createSaveServer().listen(0);
+  await once(server, 'listening');
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+    await once(server, 'close');
+  }
+}
+
+/**
+ * One machine: a SaveSync over an in-memory stand-in for SaveManager's slots
+ */
+function makeMachine(endpoint) {
+  const slots = new Map();
+  const saveManager = {
+    on: () => {},
+    off: () => {},
+    getSaveInfo: (slotId) => slots.get(slotId)?.metadata || null,
+    readSlotRecord: async (slotId) => slots.get(slotId) || null,
+    writeSlotRecord: async (slotId, record) => {
+      slots.set(slotId, { slotId, metadata: record.metadata, data: record.data });
+      return { success: true };
+    },
+  };
+  const sync = new SaveSync();
+  sync.state.lastSynced = {};   // Machines share the stub localStorage, not baselines
+  sync.init(saveManager);
+  assert.equal(sync.configure(STORAGE_BACKEND_TYPE.REST, { endpoint }).success, true);
+
+  const save = (slotId, metadata, data) => slots.set(slotId, { slotId, metadata, data });
+  return { sync, slots, save };
+}
+
+// ========== DETECTION ==========
+
+test('detectSyncAction picks the side that changed since the last sync', () => {
+  const base = meta(1000, 60);
+  const localNewer = meta(2000, 90);
+  const remoteNewer = meta(3000, 120);
+
+  const table = [
+    // local, remote, lastSynced -> action
+    [null, null, null, SYNC_ACTION.NONE],
+    [base, null, null, SYNC_ACTION.PUSH],
+    [null, base, null, SYNC_ACTION.PULL],
+    [base, meta(1000, 60.7), null, SYNC_ACTION.IN_SYNC],
+    [base, base, base, SYNC_ACTION.IN_SYNC],
+    [localNewer, base, base, SYNC_ACTION.PUSH],
+    [base, remoteNewer, base, SYNC_ACTION.PULL],
+    [localNewer, remoteNewer, base, SYNC_ACTION.CONFLICT],
+    [localNewer, remoteNewer, null, SYNC_ACTION.CONFLICT],
+    [base, meta(1000, 61), null, SYNC_ACTION.CONFLICT],
+  ];
+
+  for (const [local, remote, lastSynced, expected] of table) {
+    assert.equal(detectSyncAction(local, remote, lastSynced), expected,
+      `${JSON.stringify({ local, remote, lastSynced })}`);
+  }
+});
+
+test('describeConflict flags a newer save with less playtime as diverged', () => {
+  assert.deepEqual(describeConflict(meta(2000, 90), meta(1000, 60)),
+    { newer: 'local', furtherAlong: 'local', diverged: false });
+  assert.deepEqual(describeConflict(meta(2000, 30), meta(1000, 60)),
+    { newer: 'local', furtherAlong: 'remote', diverged: true });
+  assert.deepEqual(describeConflict(meta(1000, 60), meta(2000, 30)),
+    { newer: 'remote', furtherAlong: 'local', diverged: true });
+});
+
+// ========== REST BACKEND ==========
+
+test('RestStorageBackend reads, writes, lists and removes against the save server', async () => {
+  await withServer(async (endpoint) => {
+    const backend = new RestStorageBackend(`${endpoint}/`);
+    assert.equal(backend.isAvailable(), true);
+
+    assert.deepEqual(await backend.write('ashen_slot_1', '{"a":1}'), { success: true });
+    await backend.write('ashen_slot_2', 'two');
+    await backend.write('other key/with slash', 'x');
+
+    assert.equal(await backend.read('ashen_slot_1'), '{"a":1}');
+    assert.equal(await backend.read('other key/with slash'), 'x');
+    assert.deepEqual((await backend.keys('ashen_slot_')).sort(), ['ashen_slot_1', 'ashen_slot_2']);
+
+    assert.deepEqual(await backend.remove('ashen_slot_2'), { success: true });
+    assert.deepEqual(await backend.remove('ashen_slot_2'), { success: true });
+    assert.deepEqual(await backend.keys('ashen_slot_'), ['ashen_slot_1']);
+  });
+});
+
+test('a missing key is a 404 the backend reads as empty', async () => {
+  await withServer(async (endpoint) => {
+    const backend = new RestStorageBackend(endpoint);
+    assert.equal(await backend.read('ashen_slot_3'), null);
+
+    const response = await fetch(`${endpoint}/saves/ashen_slot_3`);
+    assert.equal(response.status, 404);
+  });
+
+  // Server gone: reads throw, writes report the failure
+  const offline = new RestStorageBackend('http://127.0.0.1:9');
+  await assert.rejects(offline.read('ashen_slot_1'));
+  assert.equal((await offline.write('ashen_slot_1', 'x')).success, false);
+});
+
+// ========== SYNC ==========
+
+test('a save pushed from one machine is pulled on another', async () => {
+  await withServer(async (endpoint) => {
+    const desktop = makeMachine(endpoint);
+    const laptop = makeMachine(endpoint);
+
+    desktop.save(1, meta(1000, 60), 'compressed-desktop');
+    const pushed = await desktop.sync.syncSlot(1);
+    assert.equal(pushed.applied, SYNC_ACTION.PUSH);
+    assert.equal(pushed.success, true);
+
+    const pulled = await laptop.sync.syncSlot(1);
+    assert.equal(pulled.applied, SYNC_ACTION.PULL);
+    assert.equal(laptop.slots.get(1).data, 'compressed-desktop');
+    assert.deepEqual(laptop.slots.get(1).metadata, meta(1000, 60));
+
+    // Nothing left to do on either side
+    assert.equal((await desktop.sync.syncSlot(1)).applied, SYNC_ACTION.IN_SYNC);
+    assert.equal((await laptop.sync.syncSlot(1)).applied, SYNC_ACTION.IN_SYNC);
+    assert.equal((await laptop.sync.syncSlot(2)).applied, SYNC_ACTION.NONE);
+  });
+});
+
+test('saves made on both machines since the last sync conflict until one side is chosen', async () => {
+  await withServer(async (endpoint) => {
+    const desktop = makeMachine(endpoint);
+    const laptop = makeMachine(endpoint);
+
+    desktop.save(1, meta(1000, 60), 'shared');
+    await desktop.sync.syncSlot(1);
+    await laptop.sync.syncSlot(1);
+
+    // Both play on
+    desktop.save(1, meta(2000, 90), 'desktop-progress');
+    await desktop.sync.syncSlot(1);
+    laptop.save(1, meta(3000, 75), 'laptop-progress');
+
+    const report = await laptop.sync.syncSlot(1);
+    assert.equal(report.action, SYNC_ACTION.CONFLICT);
+    assert.equal(report.success, false);
+    assert.deepEqual(report.conflict, { newer: 'local', furtherAlong: 'remote', diverged: true });
+    assert.equal(laptop.slots.get(1).data, 'laptop-progress');
+
+    // Keep the further-along desktop save
+    const resolved = await laptop.sync.syncSlot(1, 'remote');
+    assert.equal(resolved.applied, SYNC_ACTION.PULL);
+    assert.equal(laptop.slots.get(1).data, 'desktop-progress');
+    assert.equal((await laptop.sync.syncSlot(1)).applied, SYNC_ACTION.IN_SYNC);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Status buildup tests - hits fill an enemy's meters, a full meter procs
+ * into burst damage and raises its threshold, bosses resist harder, and
+ * meters drain while the enemy isn't being hit.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import './helpers/headless.mjs';
+import { Enemy } from '../src/entities/Enemy.js';
+import { STATUS_EFFECTS, BOSS_STATUS_RESIST, getStatusProcDamage } from '../src/data/StatusEffectData.js';
+
+// Skips the canvas indicator, model loading and frame-driven hit/death effects
+class HeadlessEnemy extends Enemy {
+  _createBreakIndicator() { return new THREE.Object3D(); }
+  _loadGLTFModel() {}
+  _flashModel() {}
+  _applyHitRecoil() {}
+  _enemyDeathSequence() {}
+}
+
+function makeEnemy(config = {}) {
+  return new HeadlessEnemy(new THREE.Scene(), new THREE.Vector3(), { type: 'HOLLOW_SOLDIER', health: 1000, ...config });
+}
+
+test('buildup below the threshold fills the meter without a proc', () => {
+  const enemy = makeEnemy();
+  const { procs, result } = enemy.applyStatusBuildup({ bleed: 60, poison: 30 });
+
+  assert.deepEqual(procs, []);
+  assert.equal(result, null);
+  assert.equal(enemy.statusMeters.bleed.value, 60);
+  assert.equal(enemy.statusMeters.poison.value, 30);
+  assert.equal(enemy.health, 1000);
+});
+
+test('a full meter procs burst damage, empties and raises its threshold', () => {
+  const enemy = makeEnemy();
+  enemy.applyStatusBuildup({ bleed: 60 });
+  const { procs, result } = enemy.applyStatusBuildup({ bleed: 40 });
+
+  const damage = getStatusProcDamage('bleed', 1000);
+  assert.deepEqual(procs, [{ id: 'bleed', damage }]);
+  assert.equal(result, 'hit');
+  assert.equal(enemy.health, 1000 - damage);
+  assert.deepEqual(enemy.statusMeters.bleed, {
+    value: 0,
+    threshold: STATUS_EFFECTS.bleed.threshold * (1 + STATUS_EFFECTS.bleed.procResistGain),
+    procs: 1,
+  });
+
+  // The same buildup no longer procs
+  assert.deepEqual(enemy.applyStatusBuildup({ bleed: 100 }).procs, []);
+});
+
+test('frost procs crack posture', () => {
+  const enemy = makeEnemy();
+  enemy.applyStatusBuildup({ frost: STATUS_EFFECTS.frost.threshold });
+  assert.equal(enemy.posture, STATUS_EFFECTS.frost.burstPosture);
+});
+
+test('bosses need more buildup to proc', () => {
+  const boss = makeEnemy({ type: 'CRYPT_LORD' });
+  assert.equal(boss.statusMeters.bleed.threshold, STATUS_EFFECTS.bleed.threshold * BOSS_STATUS_RESIST);
+  assert.deepEqual(boss.applyStatusBuildup({ bleed: STATUS_EFFECTS.bleed.threshold }).procs, []);
+
+  // Procs during the phase transition are wasted
+  boss.state = 'boss_transition';
+  assert.deepEqual(boss.applyStatusBuildup({ bleed: STATUS_EFFECTS.bleed.threshold }).procs, []);
+  assert.equal(boss.statusMeters.bleed.procs, 1);
+  assert.equal(boss.health, 1000);
+});
+
+test('a lethal proc stops the rest and dead enemies take no buildup', () => {
+  const enemy = makeEnemy();
+  enemy.health = 1;
+  const { procs, result } = enemy.applyStatusBuildup({ bleed: 200, poison: 200 });
+
+  assert.deepEqual(procs.map(p => p.id), ['bleed']);
+  assert.equal(result, 'died');
+  assert.equal(enemy.isDead, true);
+  assert.deepEqual(enemy.applyStatusBuildup({ frost: 200 }), { procs: [], result: null });
+  assert.equal(enemy.statusMeters.frost.value, 0);
+});
+
+test('meters drain over time and never go below zero', () => {
+  const enemy = makeEnemy();
+  const player = { mesh: { position: new THREE.Vector3(500, 0, 500) }, state: 'idle' };
+  enemy.applyStatusBuildup({ bleed: 15, poison: 50 });
+  enemy.update(2, player);
+
+  assert.equal(enemy.statusMeters.bleed.value, 0);
+  assert.equal(enemy.statusMeters.poison.value, 50 - STATUS_EFFECTS.poison.decayPerSec * 2);
+});
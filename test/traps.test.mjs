@@ -0,0 +1,243 @@
+/**
+ * Trap tests - traps telegraph before they fire, hurt the player through
+ * GameManager.takeDamage with their damage type, catch enemies too, cycle or
+ * stay spent, can be disarmed, and are sprung by failed puzzles.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { TRAP_TYPE } from '../src/data/DungeonData.js';
+import { TrapManager, TRAP_STATE } from '../src/systems/TrapManager.js';
+import { DungeonManager } from '../src/systems/DungeonManager.js';
+import { PuzzleManager } from '../src/systems/PuzzleManager.js';
+import { getInputMap } from '../src/systems/InputMap.js';
+
+/**
+ * Manager over a fake GameManager with the player at (x, z)
+ */
+function makeTraps({ x = 10, z = 10 } = {}) {
+  const hits = [];
+  const enemyHits = [];
+  const input = { pressed: false };
+  const gm = {
+    isDead: false,
+    player: { mesh: { position: new THREE.Vector3(x, 0, z) }, isInvincible: false, velocity: new THREE.Vector3() },
+    takeDamage: (amount, damageType) => hits.push([amount, damageType]),
+    enemyManager: {
+      enemies: [],
+      allies: [],
+      damageEnemy: (enemy, damage, postureDamage, attackerPos, source) => enemyHits.push([enemy, damage, source]),
+    },
+  };
+  const inputManager = {
+    get interact() {
+      const pressed = input.pressed;
+      input.pressed = false;
+      return pressed;
+    },
+  };
+  const manager = new TrapManager(null, gm, inputManager);
+  return { manager, gm, hits, enemyHits, input };
+}
+
+function addTrap(manager, type, x = 0, z = 0) {
+  return manager.addTrap({ ...TRAP_TYPE[type], id: `test_${type}` }, { x, z });
+}
+
+/**
+ * Run the manager for a number of seconds in small steps
+ */
+function run(manager, seconds, step = 0.05) {
+  for (let t = 0; t < seconds - 1e-9; t += step) manager.update(step);
+}
+
+test('a spike trap telegraphs, then hits the player and resets', () => {
+  const { manager, gm, hits } = makeTraps();
+  const trap = addTrap(manager, 'SPIKE');
+
+  gm.player.mesh.position.set(0.3, 0, 0);
+  manager.update(0.05);
+  assert.equal(trap.state, TRAP_STATE.TELEGRAPH);
+  run(manager, 0.3);
+  assert.deepEqual(hits, []);
+
+  run(manager, 0.5);
+  assert.deepEqual(hits, [[25, 'physical']]);
+
+  // One hit per firing, then back to armed after the reset time
+  gm.player.mesh.position.set(10, 0, 10);
+  run(manager, 0.6 + TRAP_TYPE.SPIKE.resetTime);
+  assert.equal(hits.length, 1);
+  assert.equal(trap.state, TRAP_STATE.ARMED);
+});
+
+test('fire jets cycle on their own and burn with their damage type', () => {
+  const { manager, gm, hits } = makeTraps({ x: 0.5, z: 0 });
+  const trap = addTrap(manager, 'FIRE');
+
+  assert.equal(trap.state, TRAP_STATE.RESETTING);
+  run(manager, TRAP_TYPE.FIRE.cooldownTime + TRAP_TYPE.FIRE.telegraphTime + 0.2);
+  assert.equal(trap.state, TRAP_STATE.ACTIVE);
+  assert.deepEqual(hits, [[40, 'fire']]);
+
+  gm.player.mesh.position.set(10, 0, 10);
+  run(manager, TRAP_TYPE.FIRE.activeTime);
+  assert.equal(trap.state, TRAP_STATE.RESETTING);
+});
+
+test('dodging through a trap avoids the hit', () => {
+  const { manager, gm, hits } = makeTraps({ x: 0, z: 0 });
+  addTrap(manager, 'SPIKE');
+  gm.player.isInvincible = true;
+  run(manager, 1);
+  assert.deepEqual(hits, []);
+});
+
+test('enemies set traps off and get caught in them', () => {
+  const { manager, gm, hits, enemyHits } = makeTraps();
+  addTrap(manager, 'FALLING');
+  const enemy = { isDead: false, health: 80, state: 'chase', mesh: { position: new THREE.Vector3(0.5, 0, 0) } };
+  gm.enemyManager.enemies.push(enemy);
+
+  run(manager, 1.3);
+  assert.deepEqual(enemyHits, [[enemy, 50, 'trap']]);
+  assert.deepEqual(hits, []);
+});
+
+test('poison clouds tick over their duration', () => {
+  const { manager, hits } = makeTraps({ x: 1, z: 0 });
+  const trap = addTrap(manager, 'POISON');
+
+  run(manager, TRAP_TYPE.POISON.telegraphTime + TRAP_TYPE.POISON.duration + 0.2);
+  assert.equal(hits.length, 5);
+  assert.ok(hits.every(([amount, type]) => amount === 3 && type === 'poison'));
+  assert.equal(trap.state, TRAP_STATE.RESETTING);
+});
+
+test('falling rocks only come down once', () => {
+  const { manager, gm, hits } = makeTraps({ x: 0, z: 0 });
+  const trap = addTrap(manager, 'FALLING');
+
+  run(manager, 1.5);
+  assert.equal(trap.state, TRAP_STATE.SPENT);
+  run(manager, 5);
+  assert.equal(hits.length, 1);
+
+  gm.player.mesh.position.set(0.2, 0, 0);
+  run(manager, 2);
+  assert.equal(hits.length, 1);
+});
+
+test('a hidden pit drops the player, who climbs out at the edge, and can then be disarmed', () => {
+  const { manager, gm, hits, input } = makeTraps({ x: 2, z: 0 });
+  const trap = addTrap(manager, 'PIT');
+
+  // Nothing to disarm until it has been found
+  manager.update(0.05);
+  assert.equal(manager.disarmTarget, null);
+
+  gm.player.mesh.position.set(0.5, 0, 0);
+  run(manager, 0.5);
+  assert.deepEqual(hits, [[35, 'physical']]);
+  assert.ok(Math.abs(gm.player.mesh.position.x - (TRAP_TYPE.PIT.hitRadius + 0.6)) < 1e-6);
+  assert.equal(trap.revealed, true);
+
+  run(manager, TRAP_TYPE.PIT.resetTime + 0.5);
+  assert.equal(manager.disarmTarget, trap);
+  input.pressed = true;
+  manager.update(0.05);
+  assert.equal(trap.state, TRAP_STATE.DISARMED);
+});
+
+test('the disarm prompt shows the interact key as bound', () => {
+  const { manager } = makeTraps({ x: 1.8, z: 0 });
+  addTrap(manager, 'SPIKE');
+  manager.promptElement = { innerHTML: '', style: {} };
+
+  manager.update(0.05);
+  assert.match(manager.promptElement.innerHTML, /\[E\]<\/span> Disarm/);
+
+  getInputMap().setBinding('interact', 0, 'KeyB');
+  try {
+    manager.update(0.05);
+    assert.match(manager.promptElement.innerHTML, /\[B\]<\/span> Disarm/);
+  } finally {
+    getInputMap().resetAction('interact');
+  }
+});
+
+test('disarmed traps stay quiet and report the disarm', () => {
+  const { manager, gm, hits, input } = makeTraps({ x: 1.8, z: 0 });
+  const trap = addTrap(manager, 'SPIKE');
+  const disarmed = [];
+  const unsubscribe = manager.onDisarm(t => disarmed.push(t.id));
+
+  input.pressed = true;
+  manager.update(0.05);
+  assert.equal(trap.state, TRAP_STATE.DISARMED);
+  assert.deepEqual(disarmed, ['test_SPIKE']);
+  unsubscribe();
+
+  gm.player.mesh.position.set(0, 0, 0);
+  run(manager, 2);
+  assert.deepEqual(hits, []);
+});
+
+test('dungeon traps load at their room positions, minus disarmed ones', () => {
+  const { manager } = makeTraps();
+  const dungeon = {
+    rooms: [{
+      position: { x: 40, y: 0, z: -20 },
+      traps: [
+        { ...TRAP_TYPE.SPIKE, id: 'trap_room_0', position: { x: 2, y: 0, z: 3 }, isArmed: true },
+        { ...TRAP_TYPE.PIT, id: 'trap_room_1', position: { x: -4, y: 0, z: 0 }, isArmed: true },
+      ],
+    }],
+    connections: [{ from: 'a', to: 'b', direction: 'east', corridor: { position: { x: 5, y: 0, z: 5 }, trap: { ...TRAP_TYPE.ARROW } } }],
+  };
+
+  manager.loadDungeon(dungeon, ['trap_room_1']);
+  assert.equal(manager.traps.length, 3);
+  assert.deepEqual([manager.traps[0].position.x, manager.traps[0].position.z], [42, -17]);
+  assert.equal(manager.traps[1].state, TRAP_STATE.DISARMED);
+  assert.equal(manager.traps[2].id, 'trap_corridor_a_b');
+
+  manager.clear();
+  assert.equal(manager.traps.length, 0);
+});
+
+test('dungeon progress remembers disarmed traps through a save', () => {
+  const dungeonManager = Object.create(DungeonManager.prototype);
+  dungeonManager.currentDungeonId = 'catacombs';
+  dungeonManager.dungeonProgress = new Map([['catacombs', {
+    roomsCleared: new Set(), chestsLooted: new Set(), puzzlesSolved: new Set(), trapsDisarmed: new Set(),
+  }]]);
+
+  dungeonManager.markTrapDisarmed('trap_room_3_0');
+  const saved = dungeonManager.getSaveData();
+  assert.deepEqual(saved.catacombs.trapsDisarmed, ['trap_room_3_0']);
+
+  // Saves from before traps were disarmable load with none
+  dungeonManager.loadSaveData({ catacombs: { ...saved.catacombs, trapsDisarmed: undefined } });
+  assert.equal(dungeonManager.getProgress().trapsDisarmed.size, 0);
+});
+
+test('failed puzzles spring nearby traps, or hurt the player when there are none', () => {
+  const { manager, gm, hits } = makeTraps();
+  const near = addTrap(manager, 'SPIKE', 3, 0);
+  const far = addTrap(manager, 'SPIKE', 30, 0);
+  gm.trapManager = manager;
+
+  const puzzles = Object.create(PuzzleManager.prototype);
+  puzzles.gm = gm;
+  puzzles._activateFailTraps({ roomPosition: new THREE.Vector3(0, 0, 0) });
+  assert.equal(near.state, TRAP_STATE.TELEGRAPH);
+  assert.equal(far.state, TRAP_STATE.ARMED);
+  assert.deepEqual(hits, []);
+
+  puzzles._activateFailTraps({ roomPosition: new THREE.Vector3(100, 0, 0) });
+  assert.deepEqual(hits, [[15, 'trap']]);
+});
@@ -0,0 +1,71 @@
+/**
+ * World seed tests - the default seed, which saves from before seeds load
+ * with, keeps the original generators so those saves reload into the same
+ * terrain, villages, chests, gather nodes and cave dungeons; every other
+ * seed gets its own world.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createNoise2D } from 'simplex-noise';
+import { DUNGEONS } from '../src/data/DungeonData.js';
+import { TerrainGenerator } from '../src/world/TerrainGenerator.js';
+import { DungeonManager } from '../src/systems/DungeonManager.js';
+import {
+  DEFAULT_WORLD_SEED,
+  getWorldSeedOffset,
+  isLegacyWorldSeed,
+  normalizeWorldSeed,
+} from '../src/world/WorldSeed.js';
+
+// Noise only - no material or chunk meshes
+class HeadlessTerrain extends TerrainGenerator {
+  _createTerrainMaterial() { return null; }
+  _updateChunks() {}
+}
+
+const SAMPLES = [[0, 0], [137.5, -42], [-800, 615], [2048, 4096]];
+
+test('the default seed keeps the original terrain noise and foliage hash', () => {
+  const terrain = new HeadlessTerrain(new THREE.Scene());
+  const original = createNoise2D(() => 12345 / 10000);
+  const originalMoisture = createNoise2D(() => (12345 + 7777) / 10000);
+
+  assert.equal(terrain.seed, DEFAULT_WORLD_SEED);
+  assert.equal(terrain.foliageSeed, 0);
+  for (const [x, z] of SAMPLES) {
+    assert.equal(terrain.noise2D(x, z), original(x, z));
+    assert.equal(terrain.moistureNoise(x, z), originalMoisture(x, z));
+  }
+
+  // An explicit 12345 is the same world
+  assert.ok(isLegacyWorldSeed(normalizeWorldSeed('12345')));
+});
+
+test('other seeds generate their own terrain and placement', () => {
+  const legacy = new HeadlessTerrain(new THREE.Scene());
+  const seeded = new HeadlessTerrain(new THREE.Scene(), normalizeWorldSeed('ashvale'));
+
+  assert.ok(SAMPLES.some(([x, z]) => seeded.noise2D(x, z) !== legacy.noise2D(x, z)));
+  assert.equal(seeded.foliageSeed, seeded.seed);
+
+  for (const salt of ['villages', 'chests', 'gathering', 'caves', 'ruins', 'foliage']) {
+    assert.equal(getWorldSeedOffset(DEFAULT_WORLD_SEED, salt), 0);
+    assert.ok(getWorldSeedOffset(seeded.seed, salt) < 1000000);
+  }
+  assert.notEqual(getWorldSeedOffset(seeded.seed, 'villages'), getWorldSeedOffset(seeded.seed, 'chests'));
+});
+
+test('caves in the default world lead to the dungeons they always did', () => {
+  const manager = Object.create(DungeonManager.prototype);
+  manager.world = { getSeed: () => DEFAULT_WORLD_SEED };
+  const original = Object.values(DUNGEONS).filter(d => !d.layout);
+
+  for (const cave of [{ x: 120.4, z: -75.9 }, { x: -310, z: 44.2 }, { x: 0, z: 0 }]) {
+    const index = Math.abs(Math.floor(cave.x * 7 + cave.z * 13)) % original.length;
+    assert.equal(manager._getDungeonIdForCave(cave), original[index].id);
+  }
+});